@@ -1,6 +1,11 @@
 // API Gateway Configuration
 import { Platform } from 'react-native';
 import Constants from 'expo-constants';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { supabase } from './supabase';
+
+// Proof of the second factor from the auth service (login code step or enrolling); sent with every request
+const TWO_FACTOR_TOKEN_KEY = '@two_factor_token';
 
 /**
  * Get the appropriate API Gateway URL based on the platform
@@ -56,6 +61,45 @@ export const API_GATEWAY_URL = getApiGatewayUrl();
 // API Gateway timeout in milliseconds
 export const API_TIMEOUT = 10000; // 10 seconds
 
+/**
+ * Keep the two-factor session token for this sign-in
+ * @param {string|null} token - twoFactorToken from the auth service (null to clear it)
+ */
+export const setTwoFactorToken = async (token) => {
+  try {
+    if (token) {
+      await AsyncStorage.setItem(TWO_FACTOR_TOKEN_KEY, token);
+    } else {
+      await AsyncStorage.removeItem(TWO_FACTOR_TOKEN_KEY);
+    }
+  } catch (error) {
+    console.warn('Could not store the two-factor session token:', error.message);
+  }
+};
+
+/**
+ * Build the Authorization header for authenticated API Gateway routes
+ * The gateway verifies the Supabase access token and derives the caller's identity from it.
+ * Accounts with two-factor authentication also send X-Two-Factor-Token, without which user
+ * management is refused.
+ * @returns {Promise<Object>} Headers object (empty if there is no active session)
+ */
+export const getAuthHeaders = async () => {
+  try {
+    const { data: { session } } = await supabase.auth.getSession();
+    if (session?.access_token) {
+      const twoFactorToken = await AsyncStorage.getItem(TWO_FACTOR_TOKEN_KEY);
+      return {
+        Authorization: `Bearer ${session.access_token}`,
+        ...(twoFactorToken ? { 'X-Two-Factor-Token': twoFactorToken } : {}),
+      };
+    }
+  } catch (error) {
+    console.warn('Could not read Supabase session for API request:', error.message);
+  }
+  return {};
+};
+
 // Log the API Gateway URL being used (for debugging)
 if (__DEV__) {
   console.log('API Gateway URL:', String(API_GATEWAY_URL));
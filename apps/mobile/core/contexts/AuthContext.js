@@ -1,10 +1,12 @@
 import React, { createContext, useContext, useState, useEffect, useRef } from 'react';
 import { supabase } from '../config/supabase';
 import { getEmployeeByUsername } from '../../utils/employees';
+import { getTwoFactorStatus } from '../../utils/twoFactor';
 import { subscribeToNotifications } from '../../features/notifications/services/realtimeNotifications';
 import { subscribeToAttendance } from '../../features/attendance/services/realtimeAttendance';
 import { subscribeToWorkModeChanges } from '../../features/employees/services/realtimeEmployees';
 import { startLocationMonitoring, stopLocationMonitoring } from '../../features/geofencing/services/locationMonitoringService';
+import { startPunchSync, stopPunchSync } from '../../features/attendance/services/punchSyncService';
 
 const AuthContext = createContext();
 
@@ -94,8 +96,9 @@ export function AuthProvider({ children }) {
         realtimeSubscriptionsRef.current.workMode.unsubscribe();
         realtimeSubscriptionsRef.current.workMode = null;
       }
-      // Stop location monitoring
+      // Stop location monitoring and punch sync
       stopLocationMonitoring();
+      stopPunchSync();
       return;
     }
 
@@ -164,7 +167,14 @@ export function AuthProvider({ children }) {
       console.error('[AUTH_CONTEXT] Error setting up work mode subscription:', error);
     }
 
-    // 4. Start location monitoring (for automatic checkout)
+    // 4. Sync punches queued while offline
+    try {
+      startPunchSync(user);
+    } catch (error) {
+      console.error('[AUTH_CONTEXT] Error starting punch sync:', error);
+    }
+
+    // 5. Start location monitoring (for automatic checkout)
     (async () => {
       try {
         console.log('[AUTH_CONTEXT] Starting location monitoring for user:', user.username);
@@ -189,8 +199,9 @@ export function AuthProvider({ children }) {
         realtimeSubscriptionsRef.current.workMode.unsubscribe();
         realtimeSubscriptionsRef.current.workMode = null;
       }
-      // Stop location monitoring
+      // Stop location monitoring and punch sync
       stopLocationMonitoring();
+      stopPunchSync();
     };
   }, [user]); // Re-run when user changes
 
@@ -309,6 +320,14 @@ export function AuthProvider({ children }) {
         }
       }
       
+      // Whether the org policy requires two-factor authentication for this role is server configuration
+      let twoFactorSetupRequired = false;
+      if (!userData.two_factor_enabled) {
+        const twoFactorStatus = await getTwoFactorStatus();
+        if (currentCall.cancelled) return;
+        twoFactorSetupRequired = twoFactorStatus.success && twoFactorStatus.data?.required === true;
+      }
+      
       // Combine Supabase user with database data and employee data
       // Note: authUser is already available from line 91
       const combinedUser = {
@@ -322,6 +341,10 @@ export function AuthProvider({ children }) {
         workMode: userData.work_mode || employee?.workMode || 'in_office',
         hireDate: userData.hire_date || employee?.hireDate,
         id: employee?.id || userId,
+        // AppNavigator keeps the user on ChangePasswordRequiredScreen until this is cleared
+        mustChangePassword: userData.must_change_password === true,
+        // AppNavigator keeps the user on TwoFactorScreen until they have set up an authenticator app
+        twoFactorSetupRequired,
       };
       
       // Final check before setting user
@@ -392,6 +415,17 @@ export function AuthProvider({ children }) {
     setUser(userData);
   };
 
+  // Called after the user has set a new password on ChangePasswordRequiredScreen
+  // (the auth service has already cleared must_change_password)
+  const handlePasswordChanged = () => {
+    setUser(current => (current ? { ...current, mustChangePassword: false } : current));
+  };
+
+  // Called after the user has turned on two-factor authentication on TwoFactorScreen
+  const handleTwoFactorEnabled = () => {
+    setUser(current => (current ? { ...current, twoFactorSetupRequired: false } : current));
+  };
+
   const handleLogout = async () => {
     try {
       console.log('[AUTH_CONTEXT] Logout started');
@@ -410,8 +444,9 @@ export function AuthProvider({ children }) {
         realtimeSubscriptionsRef.current.workMode.unsubscribe();
         realtimeSubscriptionsRef.current.workMode = null;
       }
-      // Stop location monitoring
+      // Stop location monitoring and punch sync
       stopLocationMonitoring();
+      stopPunchSync();
       console.log('[AUTH_CONTEXT] ✓ Realtime subscriptions cleaned up');
       
       // 2. Clear user state to prevent UI from rendering with stale data
@@ -450,8 +485,9 @@ export function AuthProvider({ children }) {
         realtimeSubscriptionsRef.current.workMode.unsubscribe();
         realtimeSubscriptionsRef.current.workMode = null;
       }
-      // Stop location monitoring
+      // Stop location monitoring and punch sync
       stopLocationMonitoring();
+      stopPunchSync();
       setUser(null);
       setIsLoading(false);
       
@@ -470,6 +506,8 @@ export function AuthProvider({ children }) {
     isLoading,
     handleLogin,
     handleLogout,
+    handlePasswordChanged,
+    handleTwoFactorEnabled,
   };
 
   return (
@@ -8,6 +8,8 @@ import { useAuth } from '../contexts/AuthContext';
 import { useTheme } from '../contexts/ThemeContext';
 import AuthNavigator from './AuthNavigator';
 import DrawerNavigator from './DrawerNavigator';
+import ChangePasswordRequiredScreen from '../../screens/ChangePasswordRequiredScreen';
+import TwoFactorScreen from '../../screens/TwoFactorScreen';
 import { ROUTES } from '../../shared/constants/routes';
 
 const Stack = createStackNavigator();
@@ -104,7 +106,9 @@ export default function AppNavigator() {
 
   // CRITICAL FIX: Use user.uid as key to force navigation reset when user changes
   // This prevents manager screens from rendering with wrong user data
-  const navigationKey = user ? `${user.uid}-${user.role}` : 'no-user';
+  const navigationKey = user
+    ? `${user.uid}-${user.role}${user.mustChangePassword ? '-change-password' : ''}${user.twoFactorSetupRequired ? '-two-factor' : ''}`
+    : 'no-user';
 
   return (
     <NavigationContainer
@@ -113,7 +117,21 @@ export default function AppNavigator() {
       linking={linking}
     >
       <StatusBar style={theme === 'dark' ? 'light' : 'dark'} />
-      {!user ? <AuthNavigator /> : <DrawerNavigator user={user} />}
+      {!user ? (
+        <AuthNavigator />
+      ) : user.mustChangePassword ? (
+        // A new password is required before the dashboard (set by an admin or an expired password)
+        <Stack.Navigator screenOptions={{ headerShown: false }}>
+          <Stack.Screen name={ROUTES.CHANGE_PASSWORD_REQUIRED} component={ChangePasswordRequiredScreen} />
+        </Stack.Navigator>
+      ) : user.twoFactorSetupRequired ? (
+        // The org policy requires an authenticator app for this role (TWO_FACTOR_REQUIRED_ROLES)
+        <Stack.Navigator screenOptions={{ headerShown: false }}>
+          <Stack.Screen name={ROUTES.TWO_FACTOR} component={TwoFactorScreen} />
+        </Stack.Navigator>
+      ) : (
+        <DrawerNavigator user={user} />
+      )}
     </NavigationContainer>
   );
 }
@@ -16,6 +16,9 @@ import AuthMethodSelection from '../../screens/AuthMethodSelection';
 import LeaveRequestScreen from '../../screens/LeaveRequestScreen';
 import CalendarScreen from '../../screens/CalendarScreen';
 import ThemeSettingsScreen from '../../screens/ThemeSettingsScreen';
+import TwoFactorScreen from '../../screens/TwoFactorScreen';
+import AuditLogScreen from '../../screens/AuditLogScreen';
+import SuspiciousPunchesScreen from '../../screens/SuspiciousPunchesScreen';
 import NotificationsScreen from '../../screens/NotificationsScreen';
 import TicketScreen from '../../screens/TicketScreen';
 import HRDashboard from '../../screens/HRDashboard';
@@ -102,6 +105,11 @@ export default function MainNavigator({ user }) {
           options={{ title: 'Theme Settings' }}
           initialParams={{ user }}
         />
+        <Stack.Screen 
+          name={ROUTES.TWO_FACTOR} 
+          component={TwoFactorScreen}
+          options={{ title: 'Two-Factor Authentication' }}
+        />
         <Stack.Screen 
           name={ROUTES.NOTIFICATIONS} 
           component={NotificationsScreen}
@@ -151,6 +159,11 @@ export default function MainNavigator({ user }) {
           options={{ title: 'Theme Settings' }}
           initialParams={{ user }}
         />
+        <Stack.Screen 
+          name={ROUTES.TWO_FACTOR} 
+          component={TwoFactorScreen}
+          options={{ title: 'Two-Factor Authentication' }}
+        />
         <Stack.Screen 
           name={ROUTES.NOTIFICATIONS} 
           component={NotificationsScreen}
@@ -195,16 +208,28 @@ export default function MainNavigator({ user }) {
               options={{ title: 'Create User' }}
               initialParams={{ user }}
             />
+            <Stack.Screen 
+              name={ROUTES.AUDIT_LOG} 
+              component={AuditLogScreen}
+              options={{ title: 'Audit Log' }}
+            />
+            <Stack.Screen 
+              name={ROUTES.SUSPICIOUS_PUNCHES} 
+              component={SuspiciousPunchesScreen}
+              options={{ title: 'Suspicious Punches' }}
+            />
           </>
         )}
+        {(user.role === ROLES.SUPER_ADMIN || user.role === ROLES.MANAGER) && (
+          <Stack.Screen 
+            name="ReportsScreen" 
+            component={ReportsScreen}
+            options={{ headerShown: false }}
+            initialParams={{ user }}
+          />
+        )}
         {user.role === ROLES.SUPER_ADMIN && (
           <>
-            <Stack.Screen 
-              name="ReportsScreen" 
-              component={ReportsScreen}
-              options={{ headerShown: false }}
-              initialParams={{ user }}
-            />
             <Stack.Screen 
               name={ROUTES.ATTENDANCE_SETTINGS} 
               component={AttendanceSettingsScreen}
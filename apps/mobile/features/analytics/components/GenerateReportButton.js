@@ -1,6 +1,7 @@
 /**
  * Generate Report Button Component
- * Allows Super Admin to generate reports with different date ranges
+ * Allows Super Admin and managers to generate reports with different date ranges
+ * (managers' reports are limited to their own department by the reporting service)
  */
 import React, { useState } from 'react';
 import {
@@ -17,7 +18,7 @@ import {
 import { Ionicons } from '@expo/vector-icons';
 import { useTheme } from '../../../core/contexts/ThemeContext';
 import { useAuth } from '../../../core/contexts/AuthContext';
-import { generateReport, downloadReport, openReport } from '../services/reportService';
+import { generateReport, downloadReport, openReport, isRateLimitError } from '../services/reportService';
 import { fontSize, spacing, iconSize, responsiveFont, responsivePadding } from '../../../utils/responsive';
 
 const REPORT_RANGES = [
@@ -28,6 +29,12 @@ const REPORT_RANGES = [
   { value: 'custom', label: 'Custom Date Range' },
 ];
 
+const REPORT_FORMATS = [
+  { value: 'pdf', label: 'PDF' },
+  { value: 'csv', label: 'CSV' },
+  { value: 'xlsx', label: 'Excel' },
+];
+
 export default function GenerateReportButton({ style }) {
   const { colors } = useTheme();
   const { user } = useAuth();
@@ -38,12 +45,17 @@ export default function GenerateReportButton({ style }) {
   const [customFrom, setCustomFrom] = useState('');
   const [customTo, setCustomTo] = useState('');
   const [lastReportId, setLastReportId] = useState(null);
+  const [selectedFormat, setSelectedFormat] = useState('pdf');
+  const [lastReportFormat, setLastReportFormat] = useState('pdf');
+  const [includeEmployees, setIncludeEmployees] = useState(true);
 
-  // Only show for super admin
-  if (!user || user.role !== 'super_admin') {
+  // Only show for super admin and managers
+  if (!user || (user.role !== 'super_admin' && user.role !== 'manager')) {
     return null;
   }
 
+  const isDepartmentScoped = user.role === 'manager';
+
   const handleGenerate = async () => {
     if (selectedRange === 'custom' && (!customFrom || !customTo)) {
       Alert.alert('Error', 'Please select both start and end dates for custom range');
@@ -56,12 +68,14 @@ export default function GenerateReportButton({ style }) {
         selectedRange,
         selectedRange === 'custom' ? customFrom : null,
         selectedRange === 'custom' ? customTo : null,
-        user
+        user,
+        { includeEmployees, format: selectedFormat }
       );
 
-      // Store reportId for download
+      // Store reportId (and its format, for the file extension) for download
       if (result.reportId) {
         setLastReportId(result.reportId);
+        setLastReportFormat(selectedFormat);
       }
 
       Alert.alert(
@@ -80,7 +94,7 @@ export default function GenerateReportButton({ style }) {
       );
     } catch (error) {
       Alert.alert(
-        'Error',
+        isRateLimitError(error) ? 'Please Wait' : 'Error',
         error.message || 'Failed to generate report. Please try again.',
         [{ text: 'OK' }]
       );
@@ -104,7 +118,7 @@ export default function GenerateReportButton({ style }) {
         { cancelable: false }
       );
 
-      const result = await downloadReport(lastReportId, user);
+      const result = await downloadReport(lastReportId, user, lastReportFormat);
       
       if (result.success && result.fileUri) {
         // Offer to share/open the file
@@ -134,8 +148,8 @@ export default function GenerateReportButton({ style }) {
       }
     } catch (error) {
       Alert.alert(
-        'Download Failed',
-        error.message || 'Failed to download report. The report may have expired (reports expire after 30 minutes).',
+        isRateLimitError(error) ? 'Please Wait' : 'Download Failed',
+        error.message || 'Failed to download report. The report may still be generating or may have expired.',
         [{ text: 'OK' }]
       );
     } finally {
@@ -218,6 +232,15 @@ export default function GenerateReportButton({ style }) {
               contentContainerStyle={styles.modalBodyContent}
               showsVerticalScrollIndicator={true}
             >
+              {isDepartmentScoped && (
+                <View style={[styles.scopeNote, { backgroundColor: colors.background }]}>
+                  <Ionicons name="business-outline" size={iconSize.sm} color={colors.primary} />
+                  <Text style={[styles.scopeNoteText, { color: colors.textSecondary, fontSize: responsiveFont(12) }]}>
+                    Report limited to your department ({user.department || 'not assigned'})
+                  </Text>
+                </View>
+              )}
+
               <Text
                 style={[
                   styles.label,
@@ -332,6 +355,65 @@ export default function GenerateReportButton({ style }) {
                 </View>
               )}
 
+              <Text
+                style={[
+                  styles.label,
+                  { color: colors.textSecondary, fontSize: responsiveFont(14), marginTop: spacing.md },
+                ]}
+              >
+                Format:
+              </Text>
+              <View style={styles.formatRow}>
+                {REPORT_FORMATS.map((format) => (
+                  <TouchableOpacity
+                    key={format.value}
+                    style={[
+                      styles.formatOption,
+                      {
+                        backgroundColor:
+                          selectedFormat === format.value
+                            ? colors.primaryLight
+                            : colors.background,
+                        borderColor:
+                          selectedFormat === format.value ? colors.primary : colors.border,
+                      },
+                    ]}
+                    onPress={() => setSelectedFormat(format.value)}
+                    disabled={isGenerating}
+                  >
+                    <Text
+                      style={{
+                        color: selectedFormat === format.value ? colors.primary : colors.text,
+                        fontSize: responsiveFont(14),
+                        fontWeight: '600',
+                      }}
+                    >
+                      {format.label}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </View>
+
+              <TouchableOpacity
+                style={[styles.optionRow, { marginTop: spacing.md }]}
+                onPress={() => setIncludeEmployees(!includeEmployees)}
+                disabled={isGenerating}
+              >
+                <Ionicons
+                  name={includeEmployees ? 'checkbox' : 'square-outline'}
+                  size={iconSize.md}
+                  color={includeEmployees ? colors.primary : colors.textSecondary}
+                />
+                <Text
+                  style={[
+                    styles.rangeLabel,
+                    { color: colors.text, fontSize: responsiveFont(14), marginLeft: spacing.sm },
+                  ]}
+                >
+                  Include per-employee breakdown
+                </Text>
+              </TouchableOpacity>
+
               <View style={styles.buttonContainer}>
                 <TouchableOpacity
                   style={[
@@ -459,6 +541,17 @@ const styles = StyleSheet.create({
     fontWeight: '600',
     marginBottom: spacing.sm,
   },
+  scopeNote: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 8,
+    padding: responsivePadding(10),
+    marginBottom: spacing.md,
+  },
+  scopeNoteText: {
+    marginLeft: spacing.sm,
+    flex: 1,
+  },
   rangeOption: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -470,6 +563,22 @@ const styles = StyleSheet.create({
   rangeLabel: {
     flex: 1,
   },
+  formatRow: {
+    flexDirection: 'row',
+  },
+  formatOption: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: spacing.sm,
+    borderRadius: 8,
+    borderWidth: 1,
+    marginRight: spacing.sm,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: spacing.sm,
+  },
   customRangeContainer: {
     marginTop: spacing.md,
   },
@@ -1,59 +1,80 @@
 /**
  * Report Service - Frontend service for generating reports
  */
-import { API_GATEWAY_URL, API_TIMEOUT } from '../../../core/config/api';
+import { API_GATEWAY_URL, API_TIMEOUT, getAuthHeaders } from '../../../core/config/api';
 import * as FileSystem from 'expo-file-system';
 import * as FileSystemLegacy from 'expo-file-system/legacy';
 import { Linking, Platform } from 'react-native';
 
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} Seconds to wait, or null if missing/invalid
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+  if (/^\d+$/.test(String(value).trim())) {
+    return parseInt(value, 10);
+  }
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+}
+
+/**
+ * Build the error thrown for a 429 response
+ * The error has code 'RATE_LIMITED' and retryAfter (seconds, or null) so screens can tell the user to wait
+ * @param {string} action - What was rate limited (e.g. 'report requests')
+ * @param {number|null} retryAfter - Seconds to wait
+ * @returns {Error} Error with code and retryAfter
+ */
+function createRateLimitError(action, retryAfter) {
+  let wait = 'a moment';
+  if (retryAfter !== null && retryAfter < 60) {
+    wait = `${Math.max(retryAfter, 1)} second${retryAfter === 1 ? '' : 's'}`;
+  } else if (retryAfter !== null) {
+    const minutes = Math.ceil(retryAfter / 60);
+    wait = `about ${minutes} minute${minutes === 1 ? '' : 's'}`;
+  }
+  const error = new Error(`Too many ${action}. Please try again in ${wait}.`);
+  error.code = 'RATE_LIMITED';
+  error.retryAfter = retryAfter;
+  return error;
+}
+
+/**
+ * Check whether an error is a rate limit rejection (429) from generateReport or downloadReport
+ * @param {Error} error - Thrown error
+ * @returns {boolean} True if the user should wait and retry
+ */
+export function isRateLimitError(error) {
+  return error?.code === 'RATE_LIMITED';
+}
+
 /**
  * Generate a report
  * @param {string} range - Report range: 'weekly', 'monthly', 'yearly', 'all', or 'custom'
  * @param {string} from - Start date (ISO format) - optional, required for custom
  * @param {string} to - End date (ISO format) - optional, required for custom
- * @param {Object} user - User object with email and id
+ * @param {Object} user - Current user (used for logging; identity comes from the session token)
+ * @param {Object} options - Extra report options: { includeEmployees?: boolean, format?: 'pdf' | 'csv' | 'xlsx', departments?: string[] }
+ *   (departments is honoured for super admins only; managers always get their own department)
  * @returns {Promise<Object>} API response
  */
-export async function generateReport(range, from = null, to = null, user = null) {
+export async function generateReport(range, from = null, to = null, user = null, options = {}) {
   try {
     // Validate API Gateway URL
     if (!API_GATEWAY_URL || API_GATEWAY_URL.includes('localhost') || API_GATEWAY_URL.includes('undefined')) {
       throw new Error('API Gateway is not configured. Please check your app configuration.');
     }
 
+    // The gateway derives the caller's identity from the Supabase access token
     const headers = {
       'Content-Type': 'application/json',
+      ...(await getAuthHeaders()),
     };
 
-    // Add authentication headers if user is available
-    // Backend expects x-user-id or x-user-email to verify super_admin role
-    if (user) {
-      // Prefer uid (Supabase Auth ID) as it matches the database uid column
-      // This is more reliable than the 'id' field which might have different formats
-      if (user.uid) {
-        headers['x-user-id'] = String(user.uid);
-      } else if (user.id) {
-        headers['x-user-id'] = String(user.id);
-      }
-      
-      // Always send email - backend will prioritize email lookup for better reliability
-      if (user.email) {
-        headers['x-user-email'] = user.email;
-      }
-      
-      if (__DEV__) {
-        console.log('[ReportService] Sending user headers:', {
-          'x-user-id': headers['x-user-id'],
-          'x-user-email': headers['x-user-email'],
-          userRole: user.role,
-          userUid: user.uid,
-          userId: user.id,
-        });
-      }
-    } else {
-      if (__DEV__) {
-        console.warn('[ReportService] No user object provided - report generation may fail');
-      }
+    if (!headers.Authorization && __DEV__) {
+      console.warn('[ReportService] No active session - report generation will be rejected');
     }
 
     const url = `${API_GATEWAY_URL}/api/reports/generate`;
@@ -64,6 +85,7 @@ export async function generateReport(range, from = null, to = null, user = null)
         from,
         to,
         hasUser: !!user,
+        hasSession: !!headers.Authorization,
       });
     }
 
@@ -77,12 +99,25 @@ export async function generateReport(range, from = null, to = null, user = null)
         range,
         from,
         to,
+        ...options,
       }),
       signal: controller.signal,
     });
 
     clearTimeout(timeoutId);
 
+    // Rate limited by the gateway, or every report slot is busy
+    if (response.status === 429) {
+      const retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+      let code = null;
+      try {
+        code = (await response.json()).code;
+      } catch (parseError) {
+        // Body is informational only
+      }
+      throw createRateLimitError(code === 'REPORTS_BUSY' ? 'reports are being generated right now' : 'report requests', retryAfter);
+    }
+
     if (!response.ok) {
       // Try to parse error response
       let errorMessage = 'Failed to generate report';
@@ -91,8 +126,10 @@ export async function generateReport(range, from = null, to = null, user = null)
         errorMessage = errorData.message || errorData.error || errorMessage;
         
         // Provide more specific error messages
-        if (response.status === 401 || response.status === 403) {
-          errorMessage = 'Permission denied. Only super admins can generate reports.';
+        if (response.status === 401) {
+          errorMessage = 'Your session has expired. Please log in again.';
+        } else if (response.status === 403) {
+          errorMessage = errorData.message || 'Permission denied. Only super admins and managers can generate reports.';
         } else if (response.status === 503) {
           errorMessage = 'Reporting service is unavailable. Please try again later.';
         } else if (response.status === 400) {
@@ -141,7 +178,7 @@ export async function generateReport(range, from = null, to = null, user = null)
     }
     
     // If error already has a message (from our error handling above), use it
-    if (error.message && error.message !== 'Failed to generate report') {
+    if (isRateLimitError(error) || (error.message && error.message !== 'Failed to generate report')) {
       throw error;
     }
     
@@ -153,29 +190,18 @@ export async function generateReport(range, from = null, to = null, user = null)
 /**
  * Download a generated report
  * @param {string} reportId - Report ID from generate response
- * @param {Object} user - User object for authentication
+ * @param {Object} user - Current user (identity comes from the session token)
+ * @param {string} format - Format the report was generated in ('pdf', 'csv' or 'xlsx')
  * @returns {Promise<{success: boolean, fileUri?: string, error?: string}>} Download result
  */
-export async function downloadReport(reportId, user = null) {
+export async function downloadReport(reportId, user = null, format = 'pdf') {
   try {
     // Validate API Gateway URL
     if (!API_GATEWAY_URL || API_GATEWAY_URL.includes('localhost') || API_GATEWAY_URL.includes('undefined')) {
       throw new Error('API Gateway is not configured. Please check your app configuration.');
     }
 
-    const headers = {};
-
-    // Add authentication headers if user is available
-    if (user) {
-      if (user.uid) {
-        headers['x-user-id'] = String(user.uid);
-      } else if (user.id) {
-        headers['x-user-id'] = String(user.id);
-      }
-      if (user.email) {
-        headers['x-user-email'] = user.email;
-      }
-    }
+    const headers = await getAuthHeaders();
 
     const url = `${API_GATEWAY_URL}/api/reports/download/${reportId}`;
     
@@ -189,7 +215,7 @@ export async function downloadReport(reportId, user = null) {
     if (!documentDir) {
       throw new Error('Document directory is not available. Please ensure expo-file-system is properly configured.');
     }
-    const fileUri = documentDir + `report-${reportId}.pdf`;
+    const fileUri = documentDir + `report-${reportId}.${format}`;
     
     if (__DEV__) {
       console.log('[ReportService] Downloading to:', fileUri);
@@ -200,6 +226,19 @@ export async function downloadReport(reportId, user = null) {
       headers,
     });
 
+    if (downloadResult.status === 409) {
+      // Report is still generating (or failed) - don't leave the error body behind as a report file
+      await FileSystemLegacy.deleteAsync(fileUri, { idempotent: true });
+      throw new Error('The report is not ready yet. Please try again in a moment.');
+    }
+
+    if (downloadResult.status === 429) {
+      await FileSystemLegacy.deleteAsync(fileUri, { idempotent: true });
+      const retryAfterHeader = Object.entries(downloadResult.headers || {})
+        .find(([name]) => name.toLowerCase() === 'retry-after')?.[1];
+      throw createRateLimitError('download requests', parseRetryAfter(retryAfterHeader));
+    }
+
     if (downloadResult.status !== 200) {
       throw new Error(`Download failed with status ${downloadResult.status}`);
     }
@@ -214,10 +253,14 @@ export async function downloadReport(reportId, user = null) {
     };
   } catch (error) {
     console.error('[ReportService] Error downloading report:', error);
+
+    if (isRateLimitError(error)) {
+      throw error;
+    }
     
     // Handle specific error types
     if (error.message?.includes('404') || error.message?.includes('not found')) {
-      throw new Error('Report not found or has expired. Reports expire after 30 minutes.');
+      throw new Error('Report not found or has expired.');
     }
     
     if (error.message?.includes('Network') || error.message?.includes('fetch')) {
@@ -245,7 +288,7 @@ export async function openReport(fileUri) {
         await Linking.openURL(contentUri);
         return { success: true };
       } else {
-        throw new Error('No app available to open PDF files');
+        throw new Error('No app available to open this file');
       }
     } else {
       // For iOS, use file URI directly
@@ -255,7 +298,7 @@ export async function openReport(fileUri) {
         await Linking.openURL(fileUri);
         return { success: true };
       } else {
-        throw new Error('No app available to open PDF files');
+        throw new Error('No app available to open this file');
       }
     }
   } catch (error) {
@@ -11,3 +11,15 @@ export {
   setAutoCheckoutEnabled,
   clearAllConfigCache,
 } from './services/attendanceConfigService';
+
+export {
+  getPendingPunches,
+  getPendingPunchCount,
+  subscribeToPendingPunches,
+} from './services/punchQueue';
+
+export {
+  startPunchSync,
+  stopPunchSync,
+  syncPendingPunchesNow,
+} from './services/punchSyncService';
@@ -4,6 +4,7 @@
  */
 import { supabase } from '../../../core/config/supabase';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { AUDIT_ACTIONS, recordAuditEvent } from '../../../utils/auditLog';
 
 const CONFIG_CACHE_KEY = '@attendance_config_cache';
 const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
@@ -79,6 +80,9 @@ export const setAttendanceConfig = async (configKey, configValue, description =
   try {
     console.log(`[AttendanceConfig] Setting config ${configKey}:`, configValue);
 
+    // Current value, for the audit log
+    const previousValue = await getAttendanceConfig(configKey, false);
+
     const { data, error } = await supabase.rpc('set_attendance_config', {
       p_config_key: configKey,
       p_config_value: configValue,
@@ -97,6 +101,15 @@ export const setAttendanceConfig = async (configKey, configValue, description =
     await clearConfigCache(configKey);
 
     console.log(`[AttendanceConfig] ✓ Config ${configKey} updated successfully`);
+
+    await recordAuditEvent({
+      action: AUDIT_ACTIONS.ATTENDANCE_CONFIG_UPDATE,
+      targetType: 'attendance_config',
+      targetId: configKey,
+      targetLabel: configKey,
+      before: { value: previousValue },
+      after: { value: configValue },
+    });
     return {
       success: true,
     };
@@ -118,7 +131,7 @@ export const setAutoCheckoutEnabled = async (enabled) => {
   return await setAttendanceConfig(
     'auto_checkout_enabled',
     { enabled },
-    'Enable automatic checkout when employee leaves 1km office radius'
+    'Enable automatic checkout when employee leaves their office site'
   );
 };
 
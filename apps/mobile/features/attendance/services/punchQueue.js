@@ -0,0 +1,161 @@
+/**
+ * Offline Punch Queue
+ * Check-ins and check-outs that couldn't reach Supabase, kept in AsyncStorage until they are synced
+ * (see syncPendingPunches in utils/storage.js and punchSyncService.js).
+ *
+ * Each punch keeps the time and location it was made with and a client-generated id, so sending it
+ * more than once never creates a second record. Failed attempts are retried with exponential backoff.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const PENDING_PUNCHES_KEY = '@pending_punches';
+
+// Backoff between attempts: 15 seconds, doubling up to 30 minutes
+const RETRY_BASE_DELAY_MS = 15 * 1000;
+const RETRY_MAX_DELAY_MS = 30 * 60 * 1000;
+
+const listeners = new Set();
+
+// Reads and writes run one at a time so a punch queued during a sync isn't lost
+let queueLock = Promise.resolve();
+
+/**
+ * Run a queue operation after the ones already started
+ * @param {Function} operation - Async function
+ * @returns {Promise<*>} Result of the operation
+ */
+const withQueueLock = (operation) => {
+  const run = queueLock.then(operation);
+  queueLock = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Read every pending punch from AsyncStorage
+ * @returns {Promise<Array>} Pending punches (all users)
+ */
+const readQueue = async () => {
+  try {
+    const queueJson = await AsyncStorage.getItem(PENDING_PUNCHES_KEY);
+    return queueJson ? JSON.parse(queueJson) : [];
+  } catch (error) {
+    console.error('[PunchQueue] Error reading pending punches:', error);
+    return [];
+  }
+};
+
+/**
+ * Save the pending punches and notify listeners
+ * @param {Array} punches - Pending punches (all users)
+ */
+const writeQueue = async (punches) => {
+  await AsyncStorage.setItem(PENDING_PUNCHES_KEY, JSON.stringify(punches));
+  listeners.forEach(listener => {
+    try {
+      listener(punches.length);
+    } catch (error) {
+      console.error('[PunchQueue] Error in queue listener:', error);
+    }
+  });
+};
+
+/**
+ * Generate a client id for a punch (UUID v4)
+ * @returns {string} UUID
+ */
+export const generateClientId = () => {
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (char) => {
+    const random = (Math.random() * 16) | 0;
+    const value = char === 'x' ? random : (random & 0x3) | 0x8;
+    return value.toString(16);
+  });
+};
+
+/**
+ * Get the pending punches, oldest first
+ * @param {string} username - Only this user's punches (optional)
+ * @returns {Promise<Array>} Pending punches
+ */
+export const getPendingPunches = async (username = null) => {
+  const punches = await readQueue();
+  return punches
+    .filter(punch => !username || punch.username === username)
+    .sort((a, b) => new Date(a.deviceTimestamp) - new Date(b.deviceTimestamp));
+};
+
+/**
+ * Get the number of pending punches
+ * @param {string} username - Only this user's punches (optional)
+ * @returns {Promise<number>} Number of pending punches
+ */
+export const getPendingPunchCount = async (username = null) => {
+  const punches = await getPendingPunches(username);
+  return punches.length;
+};
+
+/**
+ * Add a punch to the queue (a punch with the same clientId is only queued once)
+ * @param {Object} punch - { clientId, username, type, deviceTimestamp, location, authMethod, photo }
+ *   (legacyId: id of the AsyncStorage record it was migrated from, see migrateLegacyAttendanceRecords)
+ * @returns {Promise<Object>} The queued punch
+ */
+export const enqueuePunch = (punch) => withQueueLock(async () => {
+  const punches = await readQueue();
+  const existing = punches.find(item => item.clientId === punch.clientId);
+  if (existing) {
+    return existing;
+  }
+
+  const queuedPunch = {
+    ...punch,
+    queuedAt: new Date().toISOString(),
+    attempts: 0,
+    nextAttemptAt: new Date().toISOString(),
+    lastError: null,
+  };
+  await writeQueue([...punches, queuedPunch]);
+  console.log('[PunchQueue] Punch queued for sync:', punch.clientId);
+  return queuedPunch;
+});
+
+/**
+ * Remove a punch from the queue (synced, or rejected by the server)
+ * @param {string} clientId - Client id of the punch
+ */
+export const removePendingPunch = (clientId) => withQueueLock(async () => {
+  const punches = await readQueue();
+  await writeQueue(punches.filter(punch => punch.clientId !== clientId));
+});
+
+/**
+ * Record a failed sync attempt and schedule the next one with exponential backoff
+ * @param {string} clientId - Client id of the punch
+ * @param {string} errorMessage - Why the attempt failed
+ */
+export const markPunchAttemptFailed = (clientId, errorMessage) => withQueueLock(async () => {
+  const punches = await readQueue();
+  await writeQueue(punches.map(punch => {
+    if (punch.clientId !== clientId) {
+      return punch;
+    }
+    const attempts = punch.attempts + 1;
+    const delay = Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), RETRY_MAX_DELAY_MS);
+    return {
+      ...punch,
+      attempts,
+      nextAttemptAt: new Date(Date.now() + delay).toISOString(),
+      lastError: errorMessage || null,
+    };
+  }));
+});
+
+/**
+ * Listen for queue changes
+ * @param {Function} listener - Called with the number of pending punches (all users)
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeToPendingPunches = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
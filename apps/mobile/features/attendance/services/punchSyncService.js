@@ -0,0 +1,138 @@
+/**
+ * Punch Sync Service
+ * Sends the signed-in user's queued offline punches (punchQueue.js) to Supabase: right away, when
+ * the app comes back to the foreground, and otherwise when the next backoff delay is over.
+ * Punches the server rejects are dropped from the queue and the user is notified; punches refused
+ * because the session expired stay queued until the user is signed in again.
+ */
+
+import { AppState } from 'react-native';
+import * as Notifications from 'expo-notifications';
+import { syncPendingPunches, migrateLegacyAttendanceRecords } from '../../../utils/storage';
+import { getPendingPunches, subscribeToPendingPunches } from './punchQueue';
+
+let currentUser = null;
+let syncTimer = null;
+let isSyncing = false;
+let appStateSubscription = null;
+let unsubscribeFromQueue = null;
+
+/**
+ * Tell the user that a queued punch was not recorded
+ * @param {Object} punch - The rejected punch
+ * @param {string} reason - Server message
+ */
+const notifyRejectedPunch = async (punch, reason) => {
+  try {
+    const label = punch.type === 'checkin' ? 'check-in' : 'check-out';
+    await Notifications.scheduleNotificationAsync({
+      content: {
+        title: 'Punch Not Recorded',
+        body: `Your ${label} from ${new Date(punch.deviceTimestamp).toLocaleString()} could not be recorded: ${reason}`,
+        sound: true,
+      },
+      trigger: null, // Show immediately
+    });
+  } catch (error) {
+    console.error('[PunchSync] Error sending notification:', error);
+  }
+};
+
+/**
+ * Schedule the next sync for when the oldest pending punch may be retried
+ */
+const scheduleNextSync = async () => {
+  if (syncTimer) {
+    clearTimeout(syncTimer);
+    syncTimer = null;
+  }
+  if (!currentUser) {
+    return;
+  }
+
+  const punches = await getPendingPunches(currentUser.username);
+  if (punches.length === 0) {
+    return;
+  }
+
+  const delay = Math.max(new Date(punches[0].nextAttemptAt) - Date.now(), 0);
+  syncTimer = setTimeout(() => {
+    syncTimer = null;
+    syncPendingPunchesNow();
+  }, delay);
+};
+
+/**
+ * Send the signed-in user's pending punches now
+ * @param {Object} options - { force: true to ignore the backoff delay }
+ * @returns {Promise<{synced: number, rejected: Array, remaining: number} | null>} Sync result, or null if not started or already syncing
+ */
+export const syncPendingPunchesNow = async ({ force = false } = {}) => {
+  if (!currentUser || isSyncing) {
+    return null;
+  }
+
+  isSyncing = true;
+  try {
+    const result = await syncPendingPunches(currentUser.username, { force });
+
+    if (result.synced > 0) {
+      console.log(`[PunchSync] ✓ ${result.synced} queued punch(es) synced, ${result.remaining} pending`);
+    }
+    for (const { punch, error } of result.rejected) {
+      await notifyRejectedPunch(punch, error);
+    }
+
+    return result;
+  } catch (error) {
+    console.error('[PunchSync] Error syncing pending punches:', error);
+    return null;
+  } finally {
+    isSyncing = false;
+    await scheduleNextSync();
+  }
+};
+
+/**
+ * Start syncing a user's queued punches
+ * @param {Object} user - Signed-in user
+ */
+export const startPunchSync = (user) => {
+  stopPunchSync();
+  currentUser = user;
+
+  // Coming back to the app is a good moment to try again (often back online)
+  appStateSubscription = AppState.addEventListener('change', (nextAppState) => {
+    if (nextAppState === 'active') {
+      syncPendingPunchesNow({ force: true });
+    }
+  });
+
+  // A newly queued punch or a failed attempt changes when the next sync is due
+  unsubscribeFromQueue = subscribeToPendingPunches(() => {
+    if (!isSyncing) {
+      scheduleNextSync();
+    }
+  });
+
+  // Punches older app versions saved locally are queued (once) before the first sync
+  migrateLegacyAttendanceRecords().finally(() => syncPendingPunchesNow({ force: true }));
+  console.log('[PunchSync] ✓ Punch sync started for user:', user.username);
+};
+
+/**
+ * Stop syncing (on logout); queued punches stay on the device
+ */
+export const stopPunchSync = () => {
+  if (syncTimer) {
+    clearTimeout(syncTimer);
+    syncTimer = null;
+  }
+  appStateSubscription?.remove();
+  appStateSubscription = null;
+  if (unsubscribeFromQueue) {
+    unsubscribeFromQueue();
+    unsubscribeFromQueue = null;
+  }
+  currentUser = null;
+};
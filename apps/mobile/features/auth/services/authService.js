@@ -1,14 +1,15 @@
 // Authentication Service - Business logic for authentication
 // Migrated to Supabase
 import { supabase } from '../../../core/config/supabase';
-import { API_GATEWAY_URL } from '../../../core/config/api';
+import { API_GATEWAY_URL, getAuthHeaders } from '../../../core/config/api';
 
 /**
  * Authenticate user with Supabase (via API Gateway preferred)
  * Supports both username and email login
  * @param {string} usernameOrEmail - Username or email to authenticate
  * @param {string} password - Password to authenticate
- * @returns {Promise<{success: boolean, user?: Object, error?: string}>}
+ * @returns {Promise<{success: boolean, user?: Object, error?: string, code?: string, lockedUntil?: string,
+ *   twoFactorRequired?: boolean, challengeToken?: string}>}
  */
 export const authenticateUser = async (usernameOrEmail, password) => {
   try {
@@ -25,7 +26,8 @@ export const authenticateUser = async (usernameOrEmail, password) => {
         }),
       });
       
-      const data = await response.json();
+      // Error pages in front of the gateway (e.g. a 503 from a proxy) may not be JSON
+      const data = await response.json().catch(() => ({}));
       
       if (response.ok && data.success) {
         console.log('✓ Authentication successful via API Gateway for:', data.user?.username || usernameOrEmail);
@@ -40,9 +42,55 @@ export const authenticateUser = async (usernameOrEmail, password) => {
             department: data.user?.department || '',
             position: data.user?.position || '',
             workMode: data.user?.workMode || 'in_office',
+            mustChangePassword: data.user?.mustChangePassword === true,
+            twoFactorSetupRequired: data.user?.twoFactorSetupRequired === true,
           }
         };
       }
+
+      // Accounts with two-factor authentication finish the login with POST /api/auth/login/two-factor
+      if (data.code === 'TWO_FACTOR_REQUIRED') {
+        return {
+          success: false,
+          twoFactorRequired: true,
+          challengeToken: data.challengeToken,
+          error: data.error,
+        };
+      }
+
+      // Deactivated accounts are final: the Supabase fallback would only fail with a less clear error
+      if (data.code === 'ACCOUNT_INACTIVE') {
+        return {
+          success: false,
+          error: data.error || 'This account has been deactivated',
+          code: data.code,
+        };
+      }
+
+      // Lockouts and throttling are final: falling back to Supabase would bypass them. This includes the
+      // gateway's own rate limit (429 RATE_LIMITED), which answers without reaching the auth service
+      if (response.status === 429 || ['ACCOUNT_LOCKED', 'LOGIN_RATE_LIMITED', 'RATE_LIMITED'].includes(data.code)) {
+        const code = data.code || 'RATE_LIMITED';
+        const retryAfter = Number(data.retryAfter || response.headers.get('Retry-After')) || 0;
+        const lockedUntil = data.lockedUntil
+          || (retryAfter > 0 ? new Date(Date.now() + retryAfter * 1000).toISOString() : null);
+        return {
+          success: false,
+          error: data.message || data.error || 'Too many failed attempts. Please try again later',
+          code,
+          lockedUntil,
+        };
+      }
+
+      // Any other answer is final; only an unavailable auth service (503/504) falls back to Supabase,
+      // so a wrong password doesn't get a second, uncounted try there
+      if (response.status !== 503 && response.status !== 504) {
+        return {
+          success: false,
+          error: data.error || 'Invalid username or password',
+          code: data.code,
+        };
+      }
     } catch (apiError) {
       console.log('API Gateway authentication failed, using Supabase directly:', apiError.message);
     }
@@ -105,6 +153,12 @@ export const authenticateUser = async (usernameOrEmail, password) => {
       console.log('✗ Authentication failed: User data not found');
       return { success: false, error: 'User data not found' };
     }
+
+    // The second factor is only checked by the auth service, so these accounts can't sign in without it
+    if (userData.two_factor_enabled) {
+      await supabase.auth.signOut();
+      return { success: false, error: 'Unable to reach the server to check your two-factor code. Please try again later' };
+    }
     
     console.log('✓ Authentication successful for:', userData.username || email, 'with role:', userData.role);
     return {
@@ -118,6 +172,7 @@ export const authenticateUser = async (usernameOrEmail, password) => {
         department: userData.department || '',
         position: userData.position || '',
         workMode: userData.work_mode || 'in_office',
+        mustChangePassword: userData.must_change_password === true,
       }
     };
   } catch (error) {
@@ -170,8 +225,9 @@ export const checkUsernameExists = async (username) => {
 };
 
 /**
- * Create user in Supabase (via API Gateway)
- * @param {Object} userData - {username, password, email, name, role, department, position, workMode, hireDate}
+ * Create a user through the API Gateway (no direct Supabase fallback)
+ * @param {Object} userData - {username, password, email, name, role, department, position, workMode, hireDate,
+ *   mustChangePassword}
  * @returns {Promise<{success: boolean, error?: string, uid?: string}>}
  */
 export const createUser = async (userData) => {
@@ -185,7 +241,8 @@ export const createUser = async (userData) => {
       department = '',
       position = '',
       workMode = 'in_office',
-      hireDate = new Date().toISOString().split('T')[0]
+      hireDate = new Date().toISOString().split('T')[0],
+      mustChangePassword = false
     } = userData;
     
     if (!username || !password || !role) {
@@ -208,6 +265,7 @@ export const createUser = async (userData) => {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...(await getAuthHeaders()),
         },
         body: JSON.stringify({
           username,
@@ -219,6 +277,7 @@ export const createUser = async (userData) => {
           position,
           workMode,
           hireDate,
+          mustChangePassword,
         }),
       });
       
@@ -228,57 +287,15 @@ export const createUser = async (userData) => {
         console.log('✓ User created via API Gateway:', username, `(${role}, ${department || 'No dept'})`);
         return { success: true, uid: data.user?.uid };
       } else {
-        return { success: false, error: data.error || 'Failed to create user' };
+        // Password policy rejections list every rule the password breaks
+        const error = Array.isArray(data.errors) && data.errors.length > 0 ? data.errors.join('\n') : data.error;
+        return { success: false, error: error || 'Failed to create user' };
       }
     } catch (apiError) {
-      console.log('API Gateway create failed, using Supabase directly');
-      
-      // Fallback: Create user directly in Supabase
-      const { data: authData, error: authError } = await supabase.auth.signUp({
-        email: email,
-        password: password,
-        options: {
-          data: {
-            username: username,
-            name: name || username,
-          }
-        }
-      });
-      
-      if (authError || !authData.user) {
-        let errorMessage = 'Failed to create user';
-        if (authError?.message?.includes('already registered')) {
-          errorMessage = 'Email already exists';
-        } else if (authError?.message?.includes('Invalid email')) {
-          errorMessage = 'Invalid email address';
-        }
-        return { success: false, error: errorMessage };
-      }
-      
-      // Create user document in Supabase database
-      const { error: dbError } = await supabase
-        .from('users')
-        .insert({
-          uid: authData.user.id,
-          username: username,
-          email: email,
-          name: name || username,
-          role: role,
-          department: department || '',
-          position: position || '',
-          work_mode: workMode || 'in_office',
-          hire_date: hireDate || new Date().toISOString().split('T')[0],
-          is_active: true,
-        });
-      
-      if (dbError) {
-        // Try to delete the auth user if database insert fails
-        await supabase.auth.admin.deleteUser(authData.user.id).catch(() => {});
-        return { success: false, error: 'Failed to create user profile' };
-      }
-      
-      console.log('✓ User created in Supabase:', username, `(${role}, ${department || 'No dept'})`);
-      return { success: true, uid: authData.user.id };
+      // No direct Supabase fallback: only the auth service checks permissions, the password policy,
+      // two-factor verification and writes the audit log
+      console.error('API Gateway user create failed:', apiError);
+      return { success: false, error: 'Network error. Please check your connection and try again' };
     }
   } catch (error) {
     console.error('Error creating user:', error);
@@ -287,7 +304,7 @@ export const createUser = async (userData) => {
 };
 
 /**
- * Update user role in Supabase (via API Gateway)
+ * Update a user's role through the API Gateway (no direct Supabase fallback)
  * @param {string} username - Username to update
  * @param {string} newRole - New role
  * @returns {Promise<{success: boolean, error?: string}>}
@@ -300,6 +317,7 @@ export const updateUserRole = async (username, newRole) => {
         method: 'PATCH',
         headers: {
           'Content-Type': 'application/json',
+          ...(await getAuthHeaders()),
         },
         body: JSON.stringify({ role: newRole }),
       });
@@ -313,23 +331,10 @@ export const updateUserRole = async (username, newRole) => {
         return { success: false, error: data.error || 'Failed to update user role' };
       }
     } catch (apiError) {
-      console.log('API Gateway update failed, using Supabase directly');
-      
-      // Fallback: Update directly in Supabase
-      const { error } = await supabase
-        .from('users')
-        .update({ 
-          role: newRole,
-          updated_at: new Date().toISOString(),
-        })
-        .eq('username', username);
-      
-      if (error) {
-        return { success: false, error: error.message || 'Failed to update user role' };
-      }
-      
-      console.log('✓ User role updated in Supabase:', username, '->', newRole);
-      return { success: true };
+      // No direct Supabase fallback: only the auth service checks permissions, the password policy,
+      // two-factor verification and writes the audit log
+      console.error('API Gateway user update failed:', apiError);
+      return { success: false, error: 'Network error. Please check your connection and try again' };
     }
   } catch (error) {
     console.error('Error updating user role:', error);
@@ -338,38 +343,20 @@ export const updateUserRole = async (username, newRole) => {
 };
 
 /**
- * Update user information in Supabase (via API Gateway)
+ * Update user information through the API Gateway (no direct Supabase fallback)
  * @param {string} username - Username to update
  * @param {Object} updates - Fields to update
  * @returns {Promise<{success: boolean, error?: string}>}
  */
 export const updateUserInfo = async (username, updates) => {
   try {
-    // Convert camelCase to snake_case for database
-    const dbUpdates = {};
-    if (updates.workMode !== undefined) {
-      dbUpdates.work_mode = updates.workMode;
-    }
-    if (updates.hireDate !== undefined) {
-      dbUpdates.hire_date = updates.hireDate;
-    }
-    if (updates.isActive !== undefined) {
-      dbUpdates.is_active = updates.isActive;
-    }
-    
-    // Copy other fields
-    Object.keys(updates).forEach(key => {
-      if (!['workMode', 'hireDate', 'isActive'].includes(key)) {
-        dbUpdates[key] = updates[key];
-      }
-    });
-    
     // Use API Gateway (recommended)
     try {
       const response = await fetch(`${API_GATEWAY_URL}/api/auth/users/${username}`, {
         method: 'PATCH',
         headers: {
           'Content-Type': 'application/json',
+          ...(await getAuthHeaders()),
         },
         body: JSON.stringify(updates), // API Gateway handles conversion
       });
@@ -383,21 +370,10 @@ export const updateUserInfo = async (username, updates) => {
         return { success: false, error: data.error || 'Failed to update user info' };
       }
     } catch (apiError) {
-      console.log('API Gateway update failed, using Supabase directly');
-      
-      // Fallback: Update directly in Supabase
-      dbUpdates.updated_at = new Date().toISOString();
-      const { error } = await supabase
-        .from('users')
-        .update(dbUpdates)
-        .eq('username', username);
-      
-      if (error) {
-        return { success: false, error: error.message || 'Failed to update user info' };
-      }
-      
-      console.log('✓ User info updated in Supabase:', username);
-      return { success: true };
+      // No direct Supabase fallback: only the auth service checks permissions, the password policy,
+      // two-factor verification and writes the audit log
+      console.error('API Gateway user update failed:', apiError);
+      return { success: false, error: 'Network error. Please check your connection and try again' };
     }
   } catch (error) {
     console.error('Error updating user info:', error);
@@ -1,13 +1,13 @@
 /**
  * useLocationState Hook
- * Tracks user's location state relative to office radius
+ * Tracks user's location state relative to the boundary of their nearest permitted office site
  * Used for displaying warnings and blocking checkout
  */
 import { useState, useEffect, useCallback } from 'react';
 import { getCurrentLocationState } from '../services/locationMonitoringService';
-import { getOfficeLocation } from '../services/geofenceService';
+import { resolveNearestSite } from '../services/geofenceService';
 import { getCurrentLocation } from '../services/geofenceService';
-import { isWithin1km, getDistanceInMeters, formatDistance } from '../utils/distance';
+import { formatDistance } from '../utils/distance';
 import { isAutoCheckoutEnabled } from '../../attendance/services/attendanceConfigService';
 
 /**
@@ -19,7 +19,8 @@ import { isAutoCheckoutEnabled } from '../../attendance/services/attendanceConfi
  */
 export const useLocationState = (user, isCheckedIn, pollInterval = 30000) => {
   const [isInside, setIsInside] = useState(null); // null = unknown, true = inside, false = outside
-  const [distance, setDistance] = useState(null);
+  const [distance, setDistance] = useState(null); // Meters outside the site boundary
+  const [site, setSite] = useState(null); // Nearest permitted office site
   const [isLoading, setIsLoading] = useState(false);
   const [autoCheckoutEnabled, setAutoCheckoutEnabled] = useState(false);
   const [error, setError] = useState(null);
@@ -28,6 +29,7 @@ export const useLocationState = (user, isCheckedIn, pollInterval = 30000) => {
     if (!user || !isCheckedIn) {
       setIsInside(null);
       setDistance(null);
+      setSite(null);
       return;
     }
 
@@ -36,6 +38,7 @@ export const useLocationState = (user, isCheckedIn, pollInterval = 30000) => {
     if (workMode !== 'in_office') {
       setIsInside(true); // Remote workers are always "inside"
       setDistance(null);
+      setSite(null);
       return;
     }
 
@@ -47,14 +50,6 @@ export const useLocationState = (user, isCheckedIn, pollInterval = 30000) => {
       const autoCheckout = await isAutoCheckoutEnabled(true);
       setAutoCheckoutEnabled(autoCheckout);
 
-      // Get office location
-      const officeLocation = await getOfficeLocation();
-      if (!officeLocation) {
-        setIsInside(true); // Assume inside if no office location
-        setDistance(null);
-        return;
-      }
-
       // Get current location
       const currentLocation = await getCurrentLocation();
       if (!currentLocation || !currentLocation.latitude || !currentLocation.longitude) {
@@ -62,24 +57,22 @@ export const useLocationState = (user, isCheckedIn, pollInterval = 30000) => {
         return;
       }
 
-      // Calculate distance
-      const dist = getDistanceInMeters(
+      // Resolve the nearest permitted office site
+      const nearest = await resolveNearestSite(
         currentLocation.latitude,
         currentLocation.longitude,
-        officeLocation.latitude,
-        officeLocation.longitude
-      );
-
-      // Check if inside radius
-      const inside = isWithin1km(
-        currentLocation.latitude,
-        currentLocation.longitude,
-        officeLocation.latitude,
-        officeLocation.longitude
+        currentLocation.accuracy
       );
+      if (!nearest) {
+        setIsInside(true); // Assume inside if no office site
+        setDistance(null);
+        setSite(null);
+        return;
+      }
 
-      setIsInside(inside);
-      setDistance(dist);
+      setIsInside(nearest.isInside);
+      setDistance(nearest.distanceOutside);
+      setSite(nearest.site);
     } catch (err) {
       console.error('[useLocationState] Error checking location:', err);
       setError(err.message || 'Error checking location');
@@ -93,6 +86,7 @@ export const useLocationState = (user, isCheckedIn, pollInterval = 30000) => {
     if (!isCheckedIn || !user) {
       setIsInside(null);
       setDistance(null);
+      setSite(null);
       return;
     }
 
@@ -110,6 +104,7 @@ export const useLocationState = (user, isCheckedIn, pollInterval = 30000) => {
   return {
     isInside,
     distance,
+    site,
     isLoading,
     error,
     autoCheckoutEnabled,
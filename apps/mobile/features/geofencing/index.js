@@ -15,9 +15,12 @@ export {
   setActiveGeofence,
   getActiveGeofence,
   validateGeofence,
-  getOfficeLocation,
-  updateOfficeLocation,
   canUpdateOfficeLocation,
+  getOfficeSites,
+  getPermittedOfficeSites,
+  resolveNearestSite,
+  saveOfficeSite,
+  setOfficeSiteAssignments,
   validateCheckInLocation,
 } from './services/geofenceService';
 
@@ -30,6 +33,14 @@ export {
   getCurrentLocationState,
 } from './services/locationMonitoringService';
 
+// Location Integrity
+export {
+  SUSPICIOUS_RISK_SCORE,
+  RISK_FLAG_LABELS,
+  captureLocationIntegrity,
+  getSuspiciousPunches,
+} from './services/locationIntegrityService';
+
 // Checkout Validation
 export {
   validateCheckoutLocation,
@@ -43,10 +54,14 @@ export { useLocationState } from './hooks/useLocationState';
 export {
   calculateDistance,
   isPointInGeofence,
-  isWithin1km,
+  isPointInPolygon,
+  getDistanceToPolygon,
+  getPolygonCenter,
+  getAccuracyBuffer,
   getDistanceInMeters,
   formatDistance,
   getClosestGeofence,
+  getNearestSite,
 } from './utils/distance';
 
 // Screens
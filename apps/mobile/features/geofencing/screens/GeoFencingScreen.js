@@ -1,12 +1,15 @@
 /**
  * GeoFencing Screen
- * Screen for managing office location with interactive map
+ * Screen for managing office sites (circle or polygon boundary, timezone and who may use them) with an interactive map
+ * Polygon boundaries are drawn by tapping the map to drop points
  * Uses OpenStreetMap (default provider) via react-native-maps
  */
 import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
+  TextInput,
+  Switch,
   StyleSheet,
   TouchableOpacity,
   Alert,
@@ -16,24 +19,75 @@ import {
   Platform,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import MapView, { Marker, Circle } from 'react-native-maps';
+import MapView, { Marker, Circle, Polygon } from 'react-native-maps';
 import { useTheme } from '../../../core/contexts/ThemeContext';
-import { getOfficeLocation, updateOfficeLocation, canUpdateOfficeLocation } from '../services/geofenceService';
-import { formatDistance } from '../utils/distance';
+import {
+  getCurrentLocation,
+  getOfficeSites,
+  saveOfficeSite,
+  setOfficeSiteAssignments,
+  canUpdateOfficeLocation,
+} from '../services/geofenceService';
+import { formatDistance, getPolygonCenter } from '../utils/distance';
 import { reverseGeocode, cancelReverseGeocode } from '../utils/reverseGeocoding';
 import { spacing } from '../../../utils/responsive';
-import { isHRAdmin } from '../../../shared/constants/roles';
+
+const DEFAULT_RADIUS_METERS = 1000;
+
+// Map colors: selected site, other active sites, inactive sites
+const SITE_COLORS = {
+  selected: { stroke: '#ef4444', fill: 'rgba(239, 68, 68, 0.2)' },
+  active: { stroke: '#3b82f6', fill: 'rgba(59, 130, 246, 0.15)' },
+  inactive: { stroke: '#9ca3af', fill: 'rgba(156, 163, 175, 0.15)' },
+};
+
+const VERTEX_COLOR = '#f59e0b';
+
+/**
+ * Check if a site uses a polygon boundary
+ * @param {Object} site - Office site
+ * @returns {boolean} True for polygon sites, false for circles
+ */
+const hasPolygon = (site) => Array.isArray(site.boundary) && site.boundary.length >= 3;
+
+/**
+ * Device timezone, used as the default for new sites
+ * @returns {string} IANA timezone
+ */
+const getDeviceTimezone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch (error) {
+    return 'UTC';
+  }
+};
+
+/**
+ * Split a comma-separated input into trimmed, non-empty values
+ * @param {string} value - e.g. "john, jane"
+ * @returns {Array<string>} Values
+ */
+const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Compare two lists regardless of order
+ * @param {Array<string>} a - First list
+ * @param {Array<string>} b - Second list
+ * @returns {boolean} True if both contain the same values
+ */
+const sameList = (a, b) => JSON.stringify([...new Set(a)].sort()) === JSON.stringify([...new Set(b)].sort());
 
 export default function GeoFencingScreen({ navigation, route }) {
   const { user } = route.params || {};
   const { colors } = useTheme();
   const mapRef = useRef(null);
 
-  const [officeLocation, setOfficeLocation] = useState(null);
+  const [sites, setSites] = useState([]);
+  const [selectedSiteId, setSelectedSiteId] = useState(null);
+  const [draft, setDraft] = useState(null); // Site being created or edited (null when viewing)
   const [isLoading, setIsLoading] = useState(true);
   const [isSaving, setIsSaving] = useState(false);
   const [error, setError] = useState(null);
-  const [isLocked, setIsLocked] = useState(false); // Track if marker is locked (dragging disabled)
   const [locationName, setLocationName] = useState('Unknown location'); // Human-readable location name
   const [isResolvingLocation, setIsResolvingLocation] = useState(false); // Loading state for reverse geocoding
   const [mapReady, setMapReady] = useState(false); // Track if map is ready to render
@@ -49,9 +103,11 @@ export default function GeoFencingScreen({ navigation, route }) {
   const canEdit = canUpdateOfficeLocation(user);
   const isReadOnly = !canEdit;
 
-  // Load office location on mount
+  const selectedSite = sites.find(site => site.id === selectedSiteId) || null;
+
+  // Load office sites on mount
   useEffect(() => {
-    loadOfficeLocation();
+    loadSites();
 
     // Log map configuration status (for debugging Android Google Maps API key)
     if (Platform.OS === 'android') {
@@ -78,7 +134,7 @@ export default function GeoFencingScreen({ navigation, route }) {
     console.error('[GeoFencingScreen] MapView error:', error);
     setMapError(error?.message || 'Failed to load map');
     setMapReady(false);
-    
+
     // Log specific error details for debugging
     if (Platform.OS === 'android') {
       console.error('[GeoFencingScreen] Android MapView error details:', {
@@ -98,15 +154,8 @@ export default function GeoFencingScreen({ navigation, route }) {
   const resolveLocationName = async (latitude, longitude) => {
     try {
       setIsResolvingLocation(true);
-      console.log('[GeoFencingScreen] Resolving location name for:', {
-        latitude: latitude.toFixed(6),
-        longitude: longitude.toFixed(6),
-      });
-
       const name = await reverseGeocode(latitude, longitude, 600); // 600ms debounce
       setLocationName(name);
-
-      console.log('[GeoFencingScreen] Location name resolved:', name);
     } catch (err) {
       console.error('[GeoFencingScreen] Error resolving location name:', err);
       setLocationName('Unknown location');
@@ -116,231 +165,188 @@ export default function GeoFencingScreen({ navigation, route }) {
   };
 
   /**
-   * Load office location from database or initialize from GPS if not exists
-   * This is the ONLY place where GPS is called automatically (on initial load if DB is empty)
+   * Center the map on a point and resolve its name
+   * @param {number} latitude - Latitude
+   * @param {number} longitude - Longitude
    */
-  const loadOfficeLocation = async () => {
+  const focusOn = async (latitude, longitude) => {
+    setRegion({
+      latitude,
+      longitude,
+      latitudeDelta: 0.01,
+      longitudeDelta: 0.01,
+    });
+    await resolveLocationName(latitude, longitude);
+  };
+
+  /**
+   * Load office sites and select one (the given site, the current selection, or the first site)
+   * @param {string} siteIdToSelect - Site to select after loading (optional)
+   */
+  const loadSites = async (siteIdToSelect = null) => {
     try {
       setIsLoading(true);
       setError(null);
-      
-      console.log('[GeoFencingScreen] Loading office location from database...');
-      const location = await getOfficeLocation();
-
-      if (location) {
-        // Office location exists in DB - use it as source of truth
-        console.log('[GeoFencingScreen] Office location found in DB:', {
-          latitude: location.latitude.toFixed(6),
-          longitude: location.longitude.toFixed(6),
-        });
-        
-        setOfficeLocation(location);
-        // Update map region to center on office location
-        setRegion({
-          latitude: location.latitude,
-          longitude: location.longitude,
-          latitudeDelta: 0.01,
-          longitudeDelta: 0.01,
-        });
-        // If location exists in database, marker should be locked by default
-        setIsLocked(true);
-        
-        // Resolve location name from coordinates
-        await resolveLocationName(location.latitude, location.longitude);
+
+      const loadedSites = await getOfficeSites();
+      console.log('[GeoFencingScreen] Office sites loaded:', loadedSites.length);
+      setSites(loadedSites);
+
+      const site =
+        loadedSites.find(s => s.id === (siteIdToSelect || selectedSiteId)) ||
+        loadedSites[0] ||
+        null;
+
+      setSelectedSiteId(site ? site.id : null);
+      if (site) {
+        await focusOn(site.latitude, site.longitude);
       } else {
-        // No office location set in DB - initialize from GPS ONCE
-        console.log('[GeoFencingScreen] No office location in DB, initializing from GPS...');
-        
-        try {
-          const { getCurrentLocation } = await import('../services/geofenceService');
-          const gpsLocation = await getCurrentLocation();
-
-          if (gpsLocation) {
-            console.log('[GeoFencingScreen] GPS location obtained:', {
-              latitude: gpsLocation.latitude.toFixed(6),
-              longitude: gpsLocation.longitude.toFixed(6),
-            });
-
-            const initialLocation = {
-              id: 'office_location',
-              latitude: gpsLocation.latitude,
-              longitude: gpsLocation.longitude,
-              radius_meters: 1000,
-            };
-
-            setOfficeLocation(initialLocation);
-            setRegion({
-              latitude: gpsLocation.latitude,
-              longitude: gpsLocation.longitude,
-              latitudeDelta: 0.01,
-              longitudeDelta: 0.01,
-            });
-            setIsLocked(false); // Unlocked so user can adjust before saving
-
-            // Resolve location name from GPS coordinates
-            await resolveLocationName(gpsLocation.latitude, gpsLocation.longitude);
-          } else {
-            // GPS failed - use default region
-            console.warn('[GeoFencingScreen] GPS location unavailable, using default region');
-            setOfficeLocation(null);
-            setIsLocked(false);
-            setLocationName('Unknown location');
-          }
-        } catch (gpsError) {
-          console.error('[GeoFencingScreen] Error getting GPS location:', gpsError);
-          // GPS failed - use default region
-          setOfficeLocation(null);
-          setIsLocked(false);
-          setLocationName('Unknown location');
-        }
+        setLocationName('Unknown location');
       }
     } catch (err) {
-      console.error('[GeoFencingScreen] Error loading office location:', err);
-      setError(err.message || 'Failed to load office location');
+      console.error('[GeoFencingScreen] Error loading office sites:', err);
+      setError(err.message || 'Failed to load office sites');
     } finally {
       setIsLoading(false);
     }
   };
 
+  const handleSelectSite = async (site) => {
+    if (draft) {
+      return; // Finish or cancel the current edit first
+    }
+    setSelectedSiteId(site.id);
+    await focusOn(site.latitude, site.longitude);
+  };
+
   /**
-   * Handle marker drag end - updates officeLocation state (single source of truth)
-   * This is the ONLY way marker position changes via dragging
+   * Start creating a site at the current GPS position (or the map center if GPS is unavailable)
    */
-  const handleMarkerDragEnd = async (event) => {
-    if (isReadOnly || isLocked) {
-      console.log('[GeoFencingScreen] Marker drag ignored (read-only or locked)');
-      return; // Don't allow dragging in read-only mode or when locked
+  const handleAddSite = async () => {
+    if (isReadOnly) {
+      return;
     }
 
-    const { latitude, longitude } = event.nativeEvent.coordinate;
-    
-    console.log('[GeoFencingScreen] Marker drag ended - updating officeLocation state:', {
-      latitude: latitude.toFixed(6),
-      longitude: longitude.toFixed(6),
-      previousLatitude: officeLocation?.latitude?.toFixed(6),
-      previousLongitude: officeLocation?.longitude?.toFixed(6),
-    });
+    const gpsLocation = await getCurrentLocation();
+    const latitude = gpsLocation ? gpsLocation.latitude : region.latitude;
+    const longitude = gpsLocation ? gpsLocation.longitude : region.longitude;
 
-    // Update officeLocation state (single source of truth)
-    const newLocation = {
-      ...officeLocation,
+    setError(null);
+    setDraft({
+      id: null,
+      name: '',
       latitude,
       longitude,
-    };
+      radiusInput: String(DEFAULT_RADIUS_METERS),
+      shape: 'circle',
+      boundary: [],
+      timezone: getDeviceTimezone(),
+      is_active: true,
+      usernamesInput: '',
+      departmentsInput: '',
+    });
+    await focusOn(latitude, longitude);
+  };
 
-    // Update state - this will trigger marker re-render at new position
-    setOfficeLocation(newLocation);
+  const handleEditSite = () => {
+    if (isReadOnly || !selectedSite) {
+      return;
+    }
 
-    // Update region to center on new location
-    setRegion({
-      latitude,
-      longitude,
-      latitudeDelta: 0.01,
-      longitudeDelta: 0.01,
+    setError(null);
+    setDraft({
+      id: selectedSite.id,
+      name: selectedSite.name,
+      latitude: selectedSite.latitude,
+      longitude: selectedSite.longitude,
+      radiusInput: String(selectedSite.radius_meters),
+      shape: hasPolygon(selectedSite) ? 'polygon' : 'circle',
+      boundary: hasPolygon(selectedSite) ? selectedSite.boundary : [],
+      timezone: selectedSite.timezone,
+      is_active: selectedSite.is_active,
+      usernamesInput: (selectedSite.assigned_usernames || []).join(', '),
+      departmentsInput: (selectedSite.assigned_departments || []).join(', '),
     });
+  };
 
-    // Resolve location name from new coordinates (debounced)
-    await resolveLocationName(latitude, longitude);
-    
-    console.log('[GeoFencingScreen] Marker position updated in state:', {
-      latitude: newLocation.latitude.toFixed(6),
-      longitude: newLocation.longitude.toFixed(6),
-    });
+  const handleCancelEdit = async () => {
+    setDraft(null);
+    setError(null);
+    if (selectedSite) {
+      await focusOn(selectedSite.latitude, selectedSite.longitude);
+    }
   };
 
-  const handleSaveLocation = async () => {
-    if (isReadOnly || !officeLocation) {
+  const updateDraft = (changes) => {
+    setDraft(current => ({ ...current, ...changes }));
+  };
+
+  /**
+   * Handle marker drag end - moves the center of a circle site being edited
+   */
+  const handleMarkerDragEnd = async (event) => {
+    if (!draft) {
       return;
     }
 
-    try {
-      setIsSaving(true);
-      setError(null);
-
-      const result = await updateOfficeLocation(
-        officeLocation.latitude,
-        officeLocation.longitude,
-        officeLocation.radius_meters || 1000,
-        user
-      );
+    const { latitude, longitude } = event.nativeEvent.coordinate;
+    updateDraft({ latitude, longitude });
+    await focusOn(latitude, longitude);
+  };
 
-      if (result.success) {
-        Alert.alert('Success', 'Office location updated successfully');
-        await loadOfficeLocation();
-      } else {
-        setError(result.error || 'Failed to update office location');
-        Alert.alert('Error', result.error || 'Failed to update office location');
-        // Reload to get correct location
-        await loadOfficeLocation();
-      }
-    } catch (err) {
-      console.error('[GeoFencingScreen] Error saving location:', err);
-      setError(err.message || 'Failed to save location');
-      Alert.alert('Error', err.message || 'Failed to save location');
-      // Reload to get correct location
-      await loadOfficeLocation();
-    } finally {
-      setIsSaving(false);
+  /**
+   * Handle map tap - drops a boundary point while drawing a polygon
+   */
+  const handleMapPress = (event) => {
+    if (!draft || draft.shape !== 'polygon' || event.nativeEvent.action === 'marker-press') {
+      return;
     }
+
+    const { latitude, longitude } = event.nativeEvent.coordinate;
+    setDraft(current => ({ ...current, boundary: [...current.boundary, { latitude, longitude }] }));
+  };
+
+  /**
+   * Handle boundary point drag end - moves that point
+   * @param {number} index - Point index
+   */
+  const handleVertexDragEnd = (index, event) => {
+    const { latitude, longitude } = event.nativeEvent.coordinate;
+    setDraft(current => ({
+      ...current,
+      boundary: current.boundary.map((point, i) => (i === index ? { latitude, longitude } : point)),
+    }));
+  };
+
+  const handleUndoPoint = () => {
+    setDraft(current => ({ ...current, boundary: current.boundary.slice(0, -1) }));
+  };
+
+  const handleClearPoints = () => {
+    updateDraft({ boundary: [] });
   };
 
   /**
-   * Handle "Use Current Location" button - explicitly fetches GPS ONCE and updates officeLocation state
-   * This is the ONLY way GPS is called after initial load (user-initiated)
+   * Handle "Use Current Location" - moves a circle site to the current GPS position,
+   * or adds it as a boundary point of a polygon (walk the perimeter to trace it)
    */
   const handleUseCurrentLocation = async () => {
-    if (isReadOnly) {
-      Alert.alert('Read Only', 'You do not have permission to update the office location.');
+    if (!draft) {
       return;
     }
 
-    console.log('[GeoFencingScreen] "Use Current Location" button pressed - fetching GPS...');
-
     try {
-      const { getCurrentLocation } = await import('../services/geofenceService');
       const gpsLocation = await getCurrentLocation();
 
       if (gpsLocation) {
-        console.log('[GeoFencingScreen] GPS location obtained via button:', {
-          latitude: gpsLocation.latitude.toFixed(6),
-          longitude: gpsLocation.longitude.toFixed(6),
-          previousLatitude: officeLocation?.latitude?.toFixed(6),
-          previousLongitude: officeLocation?.longitude?.toFixed(6),
-        });
-
-        // Update officeLocation state (single source of truth) with GPS coordinates
-        const newLocation = {
-          id: officeLocation?.id || 'office_location',
-          latitude: gpsLocation.latitude,
-          longitude: gpsLocation.longitude,
-          radius_meters: 1000, // Always use 1000m
-          updated_by: user?.username,
-          updated_at: new Date().toISOString(),
-        };
-
-        // Update state - this will trigger marker to snap to GPS position
-        setOfficeLocation(newLocation);
-        
-        // Re-center map to new marker position
-        setRegion({
-          latitude: gpsLocation.latitude,
-          longitude: gpsLocation.longitude,
-          latitudeDelta: 0.01,
-          longitudeDelta: 0.01,
-        });
-
-        // Resolve location name from GPS coordinates
-        await resolveLocationName(gpsLocation.latitude, gpsLocation.longitude);
-
-        // Unlock marker when using current location (allows dragging before locking)
-        setIsLocked(false);
-
-        console.log('[GeoFencingScreen] Marker snapped to GPS location:', {
-          latitude: newLocation.latitude.toFixed(6),
-          longitude: newLocation.longitude.toFixed(6),
-        });
+        const point = { latitude: gpsLocation.latitude, longitude: gpsLocation.longitude };
+        if (draft.shape === 'polygon') {
+          setDraft(current => ({ ...current, boundary: [...current.boundary, point] }));
+        } else {
+          updateDraft(point);
+        }
+        await focusOn(gpsLocation.latitude, gpsLocation.longitude);
       } else {
-        console.warn('[GeoFencingScreen] GPS location unavailable');
         Alert.alert('Error', 'Could not get current location. Please enable location services.');
       }
     } catch (err) {
@@ -350,102 +356,94 @@ export default function GeoFencingScreen({ navigation, route }) {
   };
 
   /**
-   * Handle "Lock Office Location" - persists officeLocation state to database
-   * Does NOT call GPS - only saves current state
+   * Save the site being edited, then its assignments if they changed
    */
-  const handleLockLocation = async () => {
-    if (isReadOnly || !officeLocation) {
-      console.warn('[GeoFencingScreen] handleLockLocation: Read-only or no location');
+  const handleSaveSite = async () => {
+    if (isReadOnly || !draft) {
       return;
     }
 
+    const isPolygon = draft.shape === 'polygon';
+    const radius = Number(draft.radiusInput);
+    if (!isPolygon && (!Number.isInteger(radius) || radius <= 0)) {
+      setError('Radius must be a whole number of meters greater than 0');
+      return;
+    }
+
+    if (isPolygon && draft.boundary.length < 3) {
+      setError('Tap the map to drop at least 3 boundary points');
+      return;
+    }
+
+    // A polygon site is centered on its points (used for its map marker)
+    const center = isPolygon ? getPolygonCenter(draft.boundary) : draft;
+
     try {
       setIsSaving(true);
       setError(null);
 
-      console.log('[GeoFencingScreen] Locking location - saving officeLocation state to DB:', {
-        latitude: officeLocation.latitude.toFixed(6),
-        longitude: officeLocation.longitude.toFixed(6),
-        radius: 1000,
-        locationName,
-        user: user?.username,
-        userRole: user?.role,
-      });
-
-      // Save current officeLocation state (marker position) to database
-      // Do NOT call GPS - only persist what's in state
-      const result = await updateOfficeLocation(
-        officeLocation.latitude,
-        officeLocation.longitude,
-        1000, // Always save as 1000m
+      const result = await saveOfficeSite(
+        {
+          id: draft.id,
+          name: draft.name,
+          latitude: center.latitude,
+          longitude: center.longitude,
+          radius_meters: Number.isInteger(radius) && radius > 0 ? radius : DEFAULT_RADIUS_METERS,
+          boundary: isPolygon ? draft.boundary : null,
+          timezone: draft.timezone,
+          is_active: draft.is_active,
+        },
         user
       );
 
-      console.log('[GeoFencingScreen] Update result:', result);
-      console.log('[GeoFencingScreen] Final payload sent to Supabase:', {
-        latitude: officeLocation.latitude.toFixed(6),
-        longitude: officeLocation.longitude.toFixed(6),
-        radius_meters: 1000,
-        locationName,
-      });
+      if (!result.success) {
+        setError(result.error || 'Failed to save office site');
+        Alert.alert('Error', result.error || 'Failed to save office site');
+        return;
+      }
 
-      if (result.success) {
-        console.log('[GeoFencingScreen] Location locked successfully');
-        // Disable marker dragging
-        setIsLocked(true);
-        
-        // Update office location with saved data
-        if (result.location) {
-          setOfficeLocation(result.location);
-        } else {
-          // Update radius to 1000m
-          setOfficeLocation({
-            ...officeLocation,
-            radius_meters: 1000,
-          });
-        }
+      const original = sites.find(site => site.id === draft.id) || {
+        id: result.siteId,
+        name: draft.name.trim(),
+        assigned_usernames: [],
+        assigned_departments: [],
+      };
+      const usernames = splitList(draft.usernamesInput);
+      const departments = splitList(draft.departmentsInput);
 
-        // Show success feedback
-        Alert.alert('Success', 'Office location saved and locked', [
-          {
-            text: 'OK',
-            onPress: () => {
-              // Reload to get latest data
-              loadOfficeLocation();
-            },
-          },
-        ]);
-      } else {
-        const errorMsg = result.error || 'Failed to lock location';
-        console.error('[GeoFencingScreen] Failed to lock location:', errorMsg);
-        setError(errorMsg);
-        Alert.alert('Error', errorMsg);
-        // Reload to get correct location
-        await loadOfficeLocation();
+      if (
+        !sameList(usernames, original.assigned_usernames || []) ||
+        !sameList(departments, original.assigned_departments || [])
+      ) {
+        const assignResult = await setOfficeSiteAssignments(
+          { ...original, name: draft.name.trim() },
+          usernames,
+          departments,
+          user
+        );
+
+        if (!assignResult.success) {
+          // The site itself was saved; keep editing so the assignments can be corrected
+          updateDraft({ id: result.siteId });
+          setError(assignResult.error || 'Failed to update site assignments');
+          Alert.alert('Site Saved', `The site was saved, but its assignments were not: ${assignResult.error}`);
+          await loadSites(result.siteId);
+          return;
+        }
       }
+
+      setDraft(null);
+      Alert.alert('Success', draft.id ? 'Office site updated successfully' : 'Office site added successfully');
+      await loadSites(result.siteId);
     } catch (err) {
-      console.error('[GeoFencingScreen] Exception locking location:', {
-        message: err.message,
-        stack: err.stack,
-        name: err.name,
-      });
-      const errorMsg = err.message || 'Failed to lock location';
-      setError(errorMsg);
-      Alert.alert('Error', errorMsg);
-      // Reload to get correct location
-      await loadOfficeLocation();
+      console.error('[GeoFencingScreen] Error saving office site:', err);
+      setError(err.message || 'Failed to save office site');
+      Alert.alert('Error', err.message || 'Failed to save office site');
     } finally {
       setIsSaving(false);
     }
   };
 
-  const handleUnlockLocation = () => {
-    if (isReadOnly) {
-      return;
-    }
-    setIsLocked(false);
-  };
-
   const styles = StyleSheet.create({
     container: {
       flex: 1,
@@ -477,6 +475,24 @@ export default function GeoFencingScreen({ navigation, route }) {
       borderTopWidth: 1,
       borderTopColor: colors.border,
     },
+    siteChip: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      gap: 4,
+      paddingHorizontal: 12,
+      paddingVertical: 6,
+      borderRadius: 16,
+      marginRight: 8,
+      backgroundColor: colors.border,
+    },
+    siteChipActive: {
+      backgroundColor: colors.primary,
+    },
+    siteChipText: {
+      fontSize: 14,
+      fontWeight: '500',
+      color: colors.text,
+    },
     infoCard: {
       backgroundColor: colors.card,
       borderRadius: 12,
@@ -509,6 +525,23 @@ export default function GeoFencingScreen({ navigation, route }) {
       fontWeight: '600',
       color: colors.text,
     },
+    input: {
+      borderWidth: 1,
+      borderColor: colors.border,
+      borderRadius: 8,
+      paddingHorizontal: 12,
+      paddingVertical: 8,
+      fontSize: 14,
+      color: colors.text,
+      backgroundColor: colors.background,
+      marginTop: 4,
+      marginBottom: 12,
+    },
+    hintText: {
+      fontSize: 12,
+      color: colors.textSecondary,
+      marginBottom: 12,
+    },
     readOnlyBadge: {
       backgroundColor: '#f59e0b',
       paddingHorizontal: 12,
@@ -551,6 +584,7 @@ export default function GeoFencingScreen({ navigation, route }) {
       color: '#ef4444',
       fontSize: 14,
       marginTop: 8,
+      marginBottom: 8,
       textAlign: 'center',
     },
     loadingContainer: {
@@ -594,39 +628,255 @@ export default function GeoFencingScreen({ navigation, route }) {
     },
   });
 
-  if (isLoading) {
+  if (isLoading && sites.length === 0) {
     return (
       <View style={styles.container}>
         <View style={styles.header}>
           <TouchableOpacity onPress={() => navigation.goBack()}>
             <Ionicons name="arrow-back" size={24} color="#fff" />
           </TouchableOpacity>
-          <Text style={styles.headerTitle}>Office Location</Text>
+          <Text style={styles.headerTitle}>Office Sites</Text>
           <View style={{ width: 24 }} />
         </View>
         <View style={styles.loadingContainer}>
           <ActivityIndicator size="large" color={colors.primary} />
-          <Text style={[styles.emptyStateText, { marginTop: 16 }]}>Loading office location...</Text>
+          <Text style={[styles.emptyStateText, { marginTop: 16 }]}>Loading office sites...</Text>
         </View>
       </View>
     );
   }
 
+  // Sites drawn on the map; the site being edited is drawn from the draft instead
+  const mapSites = sites.filter(site => !draft || site.id !== draft.id);
+
+  const renderLocationName = () => (
+    <View style={[styles.infoRow, { marginBottom: spacing.md }]}>
+      <View style={{ flex: 1 }}>
+        <Text style={styles.infoLabel}>Location</Text>
+        <View style={{ flexDirection: 'row', alignItems: 'center', marginTop: spacing.xs / 2 }}>
+          {isResolvingLocation ? (
+            <>
+              <ActivityIndicator size="small" color={colors.primary} style={{ marginRight: spacing.xs }} />
+              <Text style={[styles.infoValue, { fontStyle: 'italic' }]}>Resolving location...</Text>
+            </>
+          ) : (
+            <Text style={[styles.infoValue, { flex: 1 }]} numberOfLines={2}>
+              {locationName}
+            </Text>
+          )}
+        </View>
+      </View>
+    </View>
+  );
+
+  const renderSiteDetails = () => (
+    <View style={styles.infoCard}>
+      <View style={[styles.infoRow, { marginBottom: 12 }]}>
+        <Text style={[styles.infoTitle, { marginBottom: 0, flex: 1 }]}>{selectedSite.name}</Text>
+        {!selectedSite.is_active && (
+          <Text style={[styles.infoLabel, { color: SITE_COLORS.inactive.stroke }]}>Inactive</Text>
+        )}
+      </View>
+
+      {renderLocationName()}
+
+      <View style={styles.infoRow}>
+        <Text style={styles.infoLabel}>Latitude</Text>
+        <Text style={styles.infoValue}>{selectedSite.latitude.toFixed(6)}</Text>
+      </View>
+
+      <View style={styles.infoRow}>
+        <Text style={styles.infoLabel}>Longitude</Text>
+        <Text style={styles.infoValue}>{selectedSite.longitude.toFixed(6)}</Text>
+      </View>
+
+      <View style={styles.infoRow}>
+        <Text style={styles.infoLabel}>Boundary</Text>
+        <Text style={styles.infoValue}>
+          {hasPolygon(selectedSite)
+            ? `Polygon (${selectedSite.boundary.length} points)`
+            : `${formatDistance(selectedSite.radius_meters, 0)} radius`}
+        </Text>
+      </View>
+
+      <View style={styles.infoRow}>
+        <Text style={styles.infoLabel}>Timezone</Text>
+        <Text style={styles.infoValue}>{selectedSite.timezone}</Text>
+      </View>
+
+      <View style={styles.infoRow}>
+        <Text style={styles.infoLabel}>Employees</Text>
+        <Text style={[styles.infoValue, { flex: 1, textAlign: 'right', marginLeft: spacing.md }]}>
+          {selectedSite.assigned_usernames?.length ? selectedSite.assigned_usernames.join(', ') : '—'}
+        </Text>
+      </View>
+
+      <View style={styles.infoRow}>
+        <Text style={styles.infoLabel}>Departments</Text>
+        <Text style={[styles.infoValue, { flex: 1, textAlign: 'right', marginLeft: spacing.md }]}>
+          {selectedSite.assigned_departments?.length ? selectedSite.assigned_departments.join(', ') : '—'}
+        </Text>
+      </View>
+
+      {selectedSite.updated_by && (
+        <View style={styles.infoRow}>
+          <Text style={styles.infoLabel}>Last Updated By</Text>
+          <Text style={styles.infoValue}>{selectedSite.updated_by}</Text>
+        </View>
+      )}
+
+      {selectedSite.updated_at && (
+        <View style={styles.infoRow}>
+          <Text style={styles.infoLabel}>Last Updated</Text>
+          <Text style={styles.infoValue}>
+            {new Date(selectedSite.updated_at).toLocaleString()}
+          </Text>
+        </View>
+      )}
+    </View>
+  );
+
+  const renderSiteForm = () => (
+    <View style={styles.infoCard}>
+      <Text style={styles.infoTitle}>{draft.id ? 'Edit Site' : 'New Site'}</Text>
+
+      {renderLocationName()}
+
+      <Text style={styles.infoLabel}>Name</Text>
+      <TextInput
+        style={styles.input}
+        value={draft.name}
+        onChangeText={name => updateDraft({ name })}
+        placeholder="e.g. Head Office"
+        placeholderTextColor={colors.textSecondary}
+      />
+
+      <Text style={styles.infoLabel}>Boundary</Text>
+      <View style={{ flexDirection: 'row', marginTop: 4, marginBottom: 12 }}>
+        {[
+          { value: 'circle', title: 'Circle', icon: 'ellipse-outline' },
+          { value: 'polygon', title: 'Polygon', icon: 'shapes-outline' },
+        ].map((option) => {
+          const isSelected = draft.shape === option.value;
+          return (
+            <TouchableOpacity
+              key={option.value}
+              style={[styles.siteChip, isSelected && styles.siteChipActive]}
+              onPress={() => updateDraft({ shape: option.value })}
+            >
+              <Ionicons name={option.icon} size={14} color={isSelected ? '#fff' : colors.text} />
+              <Text style={[styles.siteChipText, isSelected && { color: '#fff' }]}>{option.title}</Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+
+      {draft.shape === 'circle' ? (
+        <>
+          <Text style={styles.hintText}>
+            {draft.latitude.toFixed(6)}, {draft.longitude.toFixed(6)} · Drag the red marker to move the site
+          </Text>
+
+          <Text style={styles.infoLabel}>Radius (meters)</Text>
+          <TextInput
+            style={styles.input}
+            value={draft.radiusInput}
+            onChangeText={radiusInput => updateDraft({ radiusInput })}
+            keyboardType="number-pad"
+          />
+        </>
+      ) : (
+        <>
+          <Text style={styles.hintText}>
+            Tap the map to drop boundary points in order around the site ({draft.boundary.length} placed,
+            at least 3). Drag a point to adjust it.
+          </Text>
+
+          <View style={{ flexDirection: 'row', gap: 8, marginBottom: 12 }}>
+            <TouchableOpacity
+              style={[styles.siteChip, draft.boundary.length === 0 && styles.buttonDisabled]}
+              onPress={handleUndoPoint}
+              disabled={draft.boundary.length === 0}
+            >
+              <Ionicons name="arrow-undo" size={14} color={colors.text} />
+              <Text style={styles.siteChipText}>Undo Last Point</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.siteChip, draft.boundary.length === 0 && styles.buttonDisabled]}
+              onPress={handleClearPoints}
+              disabled={draft.boundary.length === 0}
+            >
+              <Ionicons name="trash-outline" size={14} color={colors.text} />
+              <Text style={styles.siteChipText}>Clear Points</Text>
+            </TouchableOpacity>
+          </View>
+        </>
+      )}
+
+      <Text style={styles.infoLabel}>Timezone</Text>
+      <TextInput
+        style={styles.input}
+        value={draft.timezone}
+        onChangeText={timezone => updateDraft({ timezone })}
+        placeholder="e.g. Asia/Jakarta"
+        placeholderTextColor={colors.textSecondary}
+        autoCapitalize="none"
+        autoCorrect={false}
+      />
+
+      <Text style={styles.infoLabel}>Employees (usernames, comma-separated)</Text>
+      <TextInput
+        style={styles.input}
+        value={draft.usernamesInput}
+        onChangeText={usernamesInput => updateDraft({ usernamesInput })}
+        placeholder="e.g. john.doe, jane.smith"
+        placeholderTextColor={colors.textSecondary}
+        autoCapitalize="none"
+        autoCorrect={false}
+      />
+
+      <Text style={styles.infoLabel}>Departments (comma-separated)</Text>
+      <TextInput
+        style={styles.input}
+        value={draft.departmentsInput}
+        onChangeText={departmentsInput => updateDraft({ departmentsInput })}
+        placeholder="e.g. Warehouse, Logistics"
+        placeholderTextColor={colors.textSecondary}
+      />
+
+      <Text style={styles.hintText}>
+        Employees with no site assignment (personal or through their department) may check in at any active site.
+      </Text>
+
+      <View style={styles.infoRow}>
+        <Text style={styles.infoLabel}>Active</Text>
+        <Switch
+          value={draft.is_active}
+          onValueChange={is_active => updateDraft({ is_active })}
+          trackColor={{ false: colors.border, true: colors.primary }}
+        />
+      </View>
+    </View>
+  );
+
   return (
     <View style={styles.container}>
       <View style={styles.header}>
         <TouchableOpacity onPress={() => navigation.goBack()}>
           <Ionicons name="arrow-back" size={24} color="#fff" />
         </TouchableOpacity>
-        <Text style={styles.headerTitle}>Office Location</Text>
-        <TouchableOpacity onPress={loadOfficeLocation}>
+        <Text style={styles.headerTitle}>Office Sites</Text>
+        <TouchableOpacity onPress={() => loadSites()} disabled={!!draft}>
           <Ionicons name="refresh" size={24} color="#fff" />
         </TouchableOpacity>
       </View>
 
       <ScrollView
         style={{ flex: 1 }}
-        refreshControl={<RefreshControl refreshing={isLoading} onRefresh={loadOfficeLocation} />}
+        keyboardShouldPersistTaps="handled"
+        refreshControl={
+          <RefreshControl refreshing={isLoading} onRefresh={() => loadSites()} enabled={!draft} />
+        }
       >
         {/* Map Container */}
         <View style={styles.mapContainer}>
@@ -652,43 +902,94 @@ export default function GeoFencingScreen({ navigation, route }) {
               mapType="standard"
               onMapReady={handleMapReady}
               onError={handleMapError}
+              onPress={handleMapPress}
               // Android: Uses Google Maps (requires API key in AndroidManifest.xml)
               // iOS: Uses Apple Maps (no API key needed)
               // Provider is automatically selected by react-native-maps based on platform
             >
-            {officeLocation && (
-              <>
-                {/* Red draggable marker */}
-                <Marker
-                  coordinate={{
-                    latitude: officeLocation.latitude,
-                    longitude: officeLocation.longitude,
-                  }}
-                  draggable={canEdit && !isLocked}
-                  onDragEnd={handleMarkerDragEnd}
-                  pinColor="#ef4444" // Red color
-                  title="Office Location"
-                  description={`Radius: ${formatDistance(officeLocation.radius_meters || 1000)}${isLocked ? ' (Locked)' : ''}`}
-                />
-
-                {/* 1km radius circle (always 1000m) */}
-                <Circle
-                  center={{
-                    latitude: officeLocation.latitude,
-                    longitude: officeLocation.longitude,
-                  }}
-                  radius={1000} // Always 1000m = 1km
-                  strokeColor="#ef4444"
-                  fillColor="rgba(239, 68, 68, 0.2)"
-                  strokeWidth={2}
-                />
-              </>
-            )}
+              {mapSites.map((site) => {
+                const siteColors = !site.is_active
+                  ? SITE_COLORS.inactive
+                  : site.id === selectedSiteId && !draft
+                    ? SITE_COLORS.selected
+                    : SITE_COLORS.active;
+
+                return (
+                  <React.Fragment key={site.id}>
+                    <Marker
+                      coordinate={{ latitude: site.latitude, longitude: site.longitude }}
+                      pinColor={siteColors.stroke}
+                      title={site.name}
+                      description={`Radius: ${formatDistance(site.radius_meters, 0)}${site.is_active ? '' : ' (Inactive)'}`}
+                      onPress={() => handleSelectSite(site)}
+                    />
+                    {hasPolygon(site) ? (
+                      <Polygon
+                        coordinates={site.boundary}
+                        strokeColor={siteColors.stroke}
+                        fillColor={siteColors.fill}
+                        strokeWidth={2}
+                      />
+                    ) : (
+                      <Circle
+                        center={{ latitude: site.latitude, longitude: site.longitude }}
+                        radius={site.radius_meters}
+                        strokeColor={siteColors.stroke}
+                        fillColor={siteColors.fill}
+                        strokeWidth={2}
+                      />
+                    )}
+                  </React.Fragment>
+                );
+              })}
+
+              {draft && draft.shape === 'polygon' && (
+                <>
+                  {/* Boundary being drawn: one draggable marker per point */}
+                  {draft.boundary.length >= 3 && (
+                    <Polygon
+                      coordinates={draft.boundary}
+                      strokeColor={SITE_COLORS.selected.stroke}
+                      fillColor={SITE_COLORS.selected.fill}
+                      strokeWidth={2}
+                    />
+                  )}
+                  {draft.boundary.map((point, index) => (
+                    <Marker
+                      key={`vertex-${index}`}
+                      coordinate={point}
+                      draggable
+                      onDragEnd={(event) => handleVertexDragEnd(index, event)}
+                      pinColor={VERTEX_COLOR}
+                      title={`Point ${index + 1}`}
+                    />
+                  ))}
+                </>
+              )}
+
+              {draft && draft.shape === 'circle' && (
+                <>
+                  {/* Red draggable marker for the site being edited */}
+                  <Marker
+                    coordinate={{ latitude: draft.latitude, longitude: draft.longitude }}
+                    draggable
+                    onDragEnd={handleMarkerDragEnd}
+                    pinColor={SITE_COLORS.selected.stroke}
+                    title={draft.name || 'New Site'}
+                  />
+                  <Circle
+                    center={{ latitude: draft.latitude, longitude: draft.longitude }}
+                    radius={Number(draft.radiusInput) > 0 ? Number(draft.radiusInput) : DEFAULT_RADIUS_METERS}
+                    strokeColor={SITE_COLORS.selected.stroke}
+                    fillColor={SITE_COLORS.selected.fill}
+                    strokeWidth={2}
+                  />
+                </>
+              )}
             </MapView>
           )}
         </View>
 
-        {/* Info Card */}
         <View style={styles.controlsContainer}>
           {isReadOnly && (
             <View style={styles.readOnlyBadge}>
@@ -696,80 +997,42 @@ export default function GeoFencingScreen({ navigation, route }) {
             </View>
           )}
 
-          {officeLocation ? (
-            <View style={styles.infoCard}>
-              <Text style={styles.infoTitle}>Office Location</Text>
-
-              {/* Location Name */}
-              <View style={[styles.infoRow, { marginBottom: spacing.md }]}>
-                <View style={{ flex: 1 }}>
-                  <Text style={styles.infoLabel}>Location</Text>
-                  <View style={{ flexDirection: 'row', alignItems: 'center', marginTop: spacing.xs / 2 }}>
-                    {isResolvingLocation ? (
-                      <>
-                        <ActivityIndicator size="small" color={colors.primary} style={{ marginRight: spacing.xs }} />
-                        <Text style={[styles.infoValue, { fontStyle: 'italic' }]}>Resolving location...</Text>
-                      </>
-                    ) : (
-                      <Text style={[styles.infoValue, { flex: 1 }]} numberOfLines={2}>
-                        {locationName}
-                      </Text>
-                    )}
-                  </View>
-                </View>
-              </View>
-
-              <View style={styles.infoRow}>
-                <Text style={styles.infoLabel}>Latitude</Text>
-                <Text style={styles.infoValue}>{officeLocation.latitude.toFixed(6)}</Text>
-              </View>
-
-              <View style={styles.infoRow}>
-                <Text style={styles.infoLabel}>Longitude</Text>
-                <Text style={styles.infoValue}>{officeLocation.longitude.toFixed(6)}</Text>
-              </View>
-
-              <View style={styles.infoRow}>
-                <Text style={styles.infoLabel}>Radius</Text>
-                <Text style={styles.infoValue}>
-                  {formatDistance(1000)} {/* Always 1000m */}
-                </Text>
-              </View>
-
-              {isLocked && (
-                <View style={styles.infoRow}>
-                  <View style={{ flexDirection: 'row', alignItems: 'center', gap: 4 }}>
-                    <Ionicons name="lock-closed" size={16} color="#10b981" />
-                    <Text style={[styles.infoLabel, { color: '#10b981' }]}>Location Locked</Text>
-                  </View>
-                </View>
-              )}
-
-              {officeLocation.updated_by && (
-                <View style={styles.infoRow}>
-                  <Text style={styles.infoLabel}>Last Updated By</Text>
-                  <Text style={styles.infoValue}>{officeLocation.updated_by}</Text>
-                </View>
-              )}
+          {/* Site picker */}
+          {sites.length > 0 && !draft && (
+            <ScrollView horizontal showsHorizontalScrollIndicator={false} style={{ marginBottom: 12 }}>
+              {sites.map((site) => {
+                const isSelected = site.id === selectedSiteId;
+                return (
+                  <TouchableOpacity
+                    key={site.id}
+                    style={[styles.siteChip, isSelected && styles.siteChipActive]}
+                    onPress={() => handleSelectSite(site)}
+                  >
+                    <Ionicons
+                      name={site.is_active ? 'business' : 'business-outline'}
+                      size={14}
+                      color={isSelected ? '#fff' : colors.text}
+                    />
+                    <Text style={[styles.siteChipText, isSelected && { color: '#fff' }]}>{site.name}</Text>
+                  </TouchableOpacity>
+                );
+              })}
+            </ScrollView>
+          )}
 
-              {officeLocation.updated_at && (
-                <View style={styles.infoRow}>
-                  <Text style={styles.infoLabel}>Last Updated</Text>
-                  <Text style={styles.infoValue}>
-                    {new Date(officeLocation.updated_at).toLocaleString()}
-                  </Text>
-                </View>
-              )}
-            </View>
+          {draft ? (
+            renderSiteForm()
+          ) : selectedSite ? (
+            renderSiteDetails()
           ) : (
             <View style={styles.infoCard}>
               <View style={styles.emptyState}>
                 <Ionicons name="location-outline" size={48} color={colors.textSecondary} />
-                <Text style={styles.emptyStateText}>No office location set</Text>
+                <Text style={styles.emptyStateText}>No office sites set</Text>
                 <Text style={styles.emptyStateText}>
                   {canEdit
-                    ? 'Use "Set Current Location" to set the office location'
-                    : 'Contact an administrator to set the office location'}
+                    ? 'Use "Add Site" to set up the first office site'
+                    : 'Contact an administrator to set up office sites'}
                 </Text>
               </View>
             </View>
@@ -778,7 +1041,7 @@ export default function GeoFencingScreen({ navigation, route }) {
           {error && <Text style={styles.errorText}>{error}</Text>}
 
           {/* Action Buttons */}
-          {canEdit && (
+          {canEdit && draft && (
             <>
               <TouchableOpacity
                 style={styles.button}
@@ -786,45 +1049,57 @@ export default function GeoFencingScreen({ navigation, route }) {
                 disabled={isSaving}
               >
                 <Ionicons name="locate" size={20} color="#fff" />
-                <Text style={styles.buttonText}>Use Current Location</Text>
+                <Text style={styles.buttonText}>
+                  {draft.shape === 'polygon' ? 'Add Point at Current Location' : 'Use Current Location'}
+                </Text>
               </TouchableOpacity>
 
-              {officeLocation && (
-                <>
-                  {isLocked ? (
-                    <TouchableOpacity
-                      style={[styles.button, styles.buttonSecondary]}
-                      onPress={handleUnlockLocation}
-                      disabled={isSaving}
-                    >
-                      <Ionicons name="lock-open" size={20} color={colors.text} />
-                      <Text style={styles.buttonSecondaryText}>Unlock to Edit</Text>
-                    </TouchableOpacity>
-                  ) : (
-                    <TouchableOpacity
-                      style={[styles.button, isSaving && styles.buttonDisabled]}
-                      onPress={handleLockLocation}
-                      disabled={isSaving}
-                    >
-                      {isSaving ? (
-                        <>
-                          <ActivityIndicator size="small" color="#fff" />
-                          <Text style={styles.buttonText}>Saving...</Text>
-                        </>
-                      ) : (
-                        <>
-                          <Ionicons name="lock-closed" size={20} color="#fff" />
-                          <Text style={styles.buttonText}>Lock Location</Text>
-                        </>
-                      )}
-                    </TouchableOpacity>
-                  )}
-                </>
+              <TouchableOpacity
+                style={[styles.button, isSaving && styles.buttonDisabled]}
+                onPress={handleSaveSite}
+                disabled={isSaving}
+              >
+                {isSaving ? (
+                  <>
+                    <ActivityIndicator size="small" color="#fff" />
+                    <Text style={styles.buttonText}>Saving...</Text>
+                  </>
+                ) : (
+                  <>
+                    <Ionicons name="checkmark" size={20} color="#fff" />
+                    <Text style={styles.buttonText}>Save Site</Text>
+                  </>
+                )}
+              </TouchableOpacity>
+
+              <TouchableOpacity
+                style={[styles.button, styles.buttonSecondary]}
+                onPress={handleCancelEdit}
+                disabled={isSaving}
+              >
+                <Ionicons name="close" size={20} color={colors.text} />
+                <Text style={styles.buttonSecondaryText}>Cancel</Text>
+              </TouchableOpacity>
+            </>
+          )}
+
+          {canEdit && !draft && (
+            <>
+              {selectedSite && (
+                <TouchableOpacity style={styles.button} onPress={handleEditSite}>
+                  <Ionicons name="create-outline" size={20} color="#fff" />
+                  <Text style={styles.buttonText}>Edit Site</Text>
+                </TouchableOpacity>
               )}
+
+              <TouchableOpacity style={[styles.button, styles.buttonSecondary]} onPress={handleAddSite}>
+                <Ionicons name="add" size={20} color={colors.text} />
+                <Text style={styles.buttonSecondaryText}>Add Site</Text>
+              </TouchableOpacity>
             </>
           )}
 
-          {!canEdit && officeLocation && (
+          {!canEdit && selectedSite && (
             <View style={[styles.button, styles.buttonSecondary]}>
               <Ionicons name="lock-closed" size={20} color={colors.text} />
               <Text style={styles.buttonSecondaryText}>
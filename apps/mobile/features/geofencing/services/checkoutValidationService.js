@@ -2,16 +2,16 @@
  * Checkout Validation Service
  * Validates manual checkout attempts based on location and auto_checkout_enabled setting
  */
-import { getOfficeLocation } from './geofenceService';
+import { resolveNearestSite } from './geofenceService';
 import { getCurrentLocation } from './geofenceService';
-import { isWithin1km, getDistanceInMeters, formatDistance } from '../utils/distance';
+import { formatDistance } from '../utils/distance';
 import { isAutoCheckoutEnabled } from '../../attendance/services/attendanceConfigService';
 
 /**
  * Validate manual checkout attempt
  * @param {Object} user - User object
  * @param {Object} location - Current location (optional, will fetch if not provided)
- * @returns {Promise<{valid: boolean, error?: string, distance?: number}>}
+ * @returns {Promise<{valid: boolean, error?: string, distance?: number, site?: Object}>}
  */
 export const validateCheckoutLocation = async (user, location = null) => {
   try {
@@ -46,39 +46,31 @@ export const validateCheckoutLocation = async (user, location = null) => {
       };
     }
 
-    // Get office location
-    const officeLocation = await getOfficeLocation();
-    if (!officeLocation) {
-      // No office location configured - allow checkout
-      console.warn('[CheckoutValidation] No office location configured, allowing checkout');
-      return { valid: true };
-    }
-
-    // Check if user is within 1km radius
-    const isWithinRadius = isWithin1km(
+    // Resolve the nearest permitted office site
+    const nearest = await resolveNearestSite(
       currentLocation.latitude,
       currentLocation.longitude,
-      officeLocation.latitude,
-      officeLocation.longitude
+      currentLocation.accuracy
     );
+    if (!nearest) {
+      // No office site configured - allow checkout
+      console.warn('[CheckoutValidation] No office site configured, allowing checkout');
+      return { valid: true };
+    }
 
-    if (!isWithinRadius) {
-      const distance = getDistanceInMeters(
-        currentLocation.latitude,
-        currentLocation.longitude,
-        officeLocation.latitude,
-        officeLocation.longitude
-      );
+    const { site, distance, distanceOutside, isInside } = nearest;
 
+    if (!isInside) {
       return {
         valid: false,
-        error: `You must be within 1km of the office to check out. You are currently ${formatDistance(distance)} away from the office location.`,
+        error: `You must be at ${site.name} to check out. You are currently ${formatDistance(distanceOutside)} outside the site boundary.`,
         distance,
+        site,
       };
     }
 
-    // User is within radius
-    return { valid: true };
+    // User is inside the site
+    return { valid: true, distance, site };
   } catch (error) {
     console.error('[CheckoutValidation] Error validating checkout location:', error);
     // On error, allow checkout (graceful fallback)
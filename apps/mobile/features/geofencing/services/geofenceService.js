@@ -4,12 +4,20 @@
  */
 import * as Location from 'expo-location';
 import { supabase } from '../../../core/config/supabase';
-import { calculateDistance, isPointInGeofence, isWithin1km, getDistanceInMeters, formatDistance } from '../utils/distance';
+import { calculateDistance, isPointInGeofence, getNearestSite, formatDistance } from '../utils/distance';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { AUDIT_ACTIONS, recordAuditEvent } from '../../../utils/auditLog';
+import { captureLocationIntegrity } from './locationIntegrityService';
 
 const GEOFENCES_STORAGE_KEY = '@geofences';
 const ACTIVE_GEOFENCE_KEY = '@active_geofence';
 
+// Polygon boundaries are limited to this many points (enforced again by save_office_site)
+const MAX_BOUNDARY_POINTS = 100;
+
+// Site fields recorded in the audit log
+const OFFICE_SITE_AUDIT_FIELDS = ['name', 'latitude', 'longitude', 'radius_meters', 'boundary', 'timezone', 'is_active'];
+
 /**
  * Request location permissions
  * @returns {Promise<boolean>} True if permissions granted
@@ -31,8 +39,8 @@ export const requestLocationPermissions = async () => {
 };
 
 /**
- * Get current location
- * @returns {Promise<{latitude: number, longitude: number, accuracy: number} | null>}
+ * Get current location with its integrity data (provider, mocked, altitude, speed)
+ * @returns {Promise<{latitude: number, longitude: number, accuracy: number, provider: string|null, mocked: boolean|null, altitude: number|null, speed: number|null} | null>}
  */
 export const getCurrentLocation = async () => {
   try {
@@ -62,6 +70,7 @@ export const getCurrentLocation = async () => {
       latitude: location.coords.latitude,
       longitude: location.coords.longitude,
       accuracy: location.coords.accuracy,
+      ...(await captureLocationIntegrity(location)),
     };
   } catch (error) {
     console.error('[GeofenceService] Error getting location:', error);
@@ -312,7 +321,7 @@ export const validateGeofence = (geofence) => {
 };
 
 /**
- * Check if user has permission to update office location
+ * Check if user has permission to manage office sites
  * Only super_admin and HR (manager with department='HR') can update
  * @param {Object} user - User object with role and department
  * @returns {boolean} True if user has permission
@@ -336,275 +345,276 @@ export const canUpdateOfficeLocation = (user) => {
 };
 
 /**
- * Get office location from database
+ * Get every office site (active and inactive) with its assignments
  * Uses the database function for safe retrieval
- * @returns {Promise<{id: string, latitude: number, longitude: number, radius_meters: number, updated_by: string, updated_at: string} | null>}
+ * @returns {Promise<Array<{id: string, name: string, latitude: number, longitude: number, radius_meters: number, boundary: Array|null, timezone: string, is_active: boolean, assigned_usernames: Array<string>, assigned_departments: Array<string>, updated_by: string, updated_at: string}>>}
  */
-export const getOfficeLocation = async () => {
+export const getOfficeSites = async () => {
   try {
-    // Use the database function for safe retrieval
-    const { data, error } = await supabase.rpc('get_office_location');
+    const { data, error } = await supabase.rpc('get_office_sites');
 
     if (error) {
-      console.error('[GeofenceService] Error getting office location:', error);
-      return null;
+      console.error('[GeofenceService] Error getting office sites:', error);
+      return [];
     }
 
-    // Function returns array, get first result
-    if (data && data.length > 0) {
-      return {
-        id: data[0].id,
-        latitude: data[0].latitude,
-        longitude: data[0].longitude,
-        radius_meters: data[0].radius_meters,
-        updated_by: data[0].updated_by,
-        updated_at: data[0].updated_at,
-      };
+    return data || [];
+  } catch (error) {
+    console.error('[GeofenceService] Error getting office sites:', error);
+    return [];
+  }
+};
+
+/**
+ * Get the active office sites the signed-in user may check in and out at
+ * (sites assigned to them or their department, or every active site if none of those is active)
+ * @returns {Promise<Array<{id: string, name: string, latitude: number, longitude: number, radius_meters: number, boundary: Array|null, timezone: string}> | null>} Null if the sites could not be loaded
+ */
+export const getPermittedOfficeSites = async () => {
+  try {
+    const { data, error } = await supabase.rpc('get_permitted_office_sites');
+
+    if (error) {
+      console.error('[GeofenceService] Error getting permitted office sites:', error);
+      return null;
     }
 
-    // No office location set
-    return null;
+    return data || [];
   } catch (error) {
-    console.error('[GeofenceService] Error getting office location:', error);
+    console.error('[GeofenceService] Error getting permitted office sites:', error);
     return null;
   }
 };
 
 /**
- * Update office location
- * Only super_admin and HR can update
- * @param {number} latitude - Office latitude (-90 to 90)
- * @param {number} longitude - Office longitude (-180 to 180)
- * @param {number} radius - Geofence radius in meters (default: 1000)
- * @param {Object} user - Current user object for permission check
- * @returns {Promise<{success: boolean, error?: string, location?: Object}>}
+ * Resolve the nearest office site the signed-in user is permitted to use
+ * @param {number} latitude - User's current latitude
+ * @param {number} longitude - User's current longitude
+ * @param {number} accuracy - Reported GPS accuracy in meters, widens the boundary slightly (optional)
+ * @returns {Promise<{site: Object, distance: number, distanceOutside: number, isInside: boolean} | null>} Null if no site is configured or the sites could not be loaded
  */
-export const updateOfficeLocation = async (latitude, longitude, radius = 1000, user = null) => {
-  try {
-    console.log('[GeofenceService] updateOfficeLocation called:', {
-      latitude,
-      longitude,
-      radius,
-      hasUser: !!user,
-      userRole: user?.role,
-      userDepartment: user?.department,
-    });
+export const resolveNearestSite = async (latitude, longitude, accuracy = null) => {
+  const sites = await getPermittedOfficeSites();
+  return getNearestSite(latitude, longitude, sites, accuracy);
+};
 
-    // Validate inputs
-    if (typeof latitude !== 'number' || isNaN(latitude)) {
-      console.error('[GeofenceService] Invalid latitude:', latitude);
-      return {
-        success: false,
-        error: 'Valid latitude is required',
-      };
-    }
+/**
+ * Validate an office site before saving
+ * @param {Object} site - { name, latitude, longitude, radius_meters, boundary, timezone }
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateOfficeSite = (site) => {
+  if (!site.name || !site.name.trim()) {
+    return 'Site name is required';
+  }
 
-    if (latitude < -90 || latitude > 90) {
-      console.error('[GeofenceService] Latitude out of range:', latitude);
-      return {
-        success: false,
-        error: 'Latitude must be between -90 and 90',
-      };
-    }
+  if (typeof site.latitude !== 'number' || isNaN(site.latitude)) {
+    return 'Valid latitude is required';
+  }
 
-    if (typeof longitude !== 'number' || isNaN(longitude)) {
-      console.error('[GeofenceService] Invalid longitude:', longitude);
-      return {
-        success: false,
-        error: 'Valid longitude is required',
-      };
+  if (site.latitude < -90 || site.latitude > 90) {
+    return 'Latitude must be between -90 and 90';
+  }
+
+  if (typeof site.longitude !== 'number' || isNaN(site.longitude)) {
+    return 'Valid longitude is required';
+  }
+
+  if (site.longitude < -180 || site.longitude > 180) {
+    return 'Longitude must be between -180 and 180';
+  }
+
+  if (!Number.isInteger(site.radius_meters) || site.radius_meters <= 0) {
+    return 'Valid radius (a whole number of meters greater than 0) is required';
+  }
+
+  if (site.boundary) {
+    if (!Array.isArray(site.boundary) || site.boundary.length < 3 || site.boundary.length > MAX_BOUNDARY_POINTS) {
+      return `Boundary must have between 3 and ${MAX_BOUNDARY_POINTS} points`;
     }
 
-    if (longitude < -180 || longitude > 180) {
-      console.error('[GeofenceService] Longitude out of range:', longitude);
-      return {
-        success: false,
-        error: 'Longitude must be between -180 and 180',
-      };
+    const invalidPoint = site.boundary.some(point =>
+      typeof point.latitude !== 'number' || typeof point.longitude !== 'number' ||
+      point.latitude < -90 || point.latitude > 90 || point.longitude < -180 || point.longitude > 180
+    );
+    if (invalidPoint) {
+      return 'Boundary points need a valid latitude and longitude';
     }
+  }
+
+  if (!site.timezone || !site.timezone.trim()) {
+    return 'Timezone is required';
+  }
+
+  return null;
+};
 
-    if (typeof radius !== 'number' || isNaN(radius) || radius <= 0) {
-      console.error('[GeofenceService] Invalid radius:', radius);
+/**
+ * Turn a database error from the office site functions into a user-facing message
+ * @param {Object} error - Supabase error
+ * @param {string} fallback - Message when the error has none
+ * @returns {string} Error message
+ */
+const getOfficeSiteErrorMessage = (error, fallback) => {
+  if (error.message?.includes('permission') || error.message?.includes('Insufficient')) {
+    return 'Insufficient permissions. Only super_admin and HR can manage office sites.';
+  }
+
+  if (error.message?.includes('User not found.')) {
+    return 'User not found in database. Please ensure your account is properly set up.';
+  }
+
+  return error.message || fallback;
+};
+
+/**
+ * Create or update an office site
+ * Only super_admin and HR can save (enforced again by save_office_site)
+ * @param {Object} site - { id (omit to create), name, latitude, longitude, radius_meters, boundary, timezone, is_active }
+ *   boundary: polygon vertices [{ latitude, longitude }], or null for a circle of radius_meters
+ * @param {Object} user - Current user object for permission check
+ * @returns {Promise<{success: boolean, error?: string, siteId?: string}>}
+ */
+export const saveOfficeSite = async (site, user) => {
+  try {
+    if (!canUpdateOfficeLocation(user)) {
       return {
         success: false,
-        error: 'Valid radius (greater than 0) is required',
+        error: 'Insufficient permissions. Only super_admin and HR can manage office sites.',
       };
     }
 
-    // CRITICAL: Verify auth session before proceeding
-    console.log('[GeofenceService] Verifying auth session...');
-    const { data: { session }, error: sessionError } = await supabase.auth.getSession();
-    
-    if (sessionError) {
-      console.error('[GeofenceService] Session error:', sessionError);
-      return {
-        success: false,
-        error: 'Authentication session error. Please log in again.',
-      };
+    const validationError = validateOfficeSite(site);
+    if (validationError) {
+      return { success: false, error: validationError };
     }
 
-    if (!session || !session.user) {
-      console.error('[GeofenceService] No active session found');
+    const payload = {
+      name: site.name.trim(),
+      latitude: site.latitude,
+      longitude: site.longitude,
+      radius_meters: site.radius_meters,
+      boundary: site.boundary
+        ? site.boundary.map(point => ({ latitude: point.latitude, longitude: point.longitude }))
+        : null,
+      timezone: site.timezone.trim(),
+      is_active: site.is_active !== false,
+    };
+
+    // Current version, for the audit log
+    const previousSite = site.id
+      ? (await getOfficeSites()).find(existing => existing.id === site.id) || null
+      : null;
+
+    const { data, error } = await supabase.rpc('save_office_site', {
+      p_site_id: site.id || null,
+      p_name: payload.name,
+      p_latitude: payload.latitude,
+      p_longitude: payload.longitude,
+      p_radius_meters: payload.radius_meters,
+      p_timezone: payload.timezone,
+      p_is_active: payload.is_active,
+      p_boundary: payload.boundary,
+    });
+
+    if (error) {
+      console.error('[GeofenceService] Error saving office site:', error);
       return {
         success: false,
-        error: 'No active session. Please log in again.',
+        error: getOfficeSiteErrorMessage(error, 'Failed to save office site'),
       };
     }
 
-    console.log('[GeofenceService] Auth session verified:', {
-      userId: session.user.id,
-      email: session.user.email,
-    });
-
-    // Use session.user directly instead of calling getUser() again
-    // This prevents AuthSessionMissingError when session exists but getUser() fails
-    const authUser = session.user;
-
-    console.log('[GeofenceService] Auth user retrieved:', {
-      id: authUser.id,
-      email: authUser.email,
+    await recordAuditEvent({
+      action: site.id ? AUDIT_ACTIONS.OFFICE_SITE_UPDATE : AUDIT_ACTIONS.OFFICE_SITE_CREATE,
+      targetType: 'office_site',
+      targetId: data,
+      targetLabel: payload.name,
+      before: previousSite,
+      after: payload,
+      fields: OFFICE_SITE_AUDIT_FIELDS,
     });
 
-    // Verify user exists in database
-    const { data: userData, error: userDataError } = await supabase
-      .from('users')
-      .select('uid, username, role, department')
-      .eq('uid', authUser.id)
-      .single();
-
-    if (userDataError || !userData) {
-      console.error('[GeofenceService] User not found in database:', {
-        error: userDataError,
-        authUserId: authUser.id,
-        searchedUid: authUser.id,
-      });
-      
-      // Try fallback: search by email
-      const { data: userByEmail, error: emailError } = await supabase
-        .from('users')
-        .select('uid, username, role, department')
-        .eq('email', authUser.email)
-        .single();
-
-      if (emailError || !userByEmail) {
-        console.error('[GeofenceService] User not found by email either:', {
-          email: authUser.email,
-          error: emailError,
-        });
-        return {
-          success: false,
-          error: 'User not found in database. Please contact administrator.',
-        };
-      }
+    return { success: true, siteId: data };
+  } catch (error) {
+    console.error('[GeofenceService] Exception in saveOfficeSite:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to save office site',
+    };
+  }
+};
 
-      console.log('[GeofenceService] User found by email fallback:', userByEmail);
-      
-      // Check permissions
-      if (!canUpdateOfficeLocation(userByEmail)) {
-        console.error('[GeofenceService] Insufficient permissions:', userByEmail);
-        return {
-          success: false,
-          error: 'Insufficient permissions. Only super_admin and HR can update office location.',
-        };
-      }
-    } else {
-      console.log('[GeofenceService] User found in database:', {
-        uid: userData.uid,
-        username: userData.username,
-        role: userData.role,
-        department: userData.department,
-      });
-
-      // Permission check (client-side validation)
-      if (!canUpdateOfficeLocation(userData)) {
-        console.error('[GeofenceService] Insufficient permissions:', userData);
-        return {
-          success: false,
-          error: 'Insufficient permissions. Only super_admin and HR can update office location.',
-        };
-      }
+/**
+ * Replace the employees and departments assigned to an office site
+ * Only super_admin and HR can assign (enforced again by set_office_site_assignments)
+ * @param {Object} site - Site as returned by getOfficeSites (its current assignments are audited)
+ * @param {Array<string>} usernames - Assigned employees
+ * @param {Array<string>} departments - Assigned departments
+ * @param {Object} user - Current user object for permission check
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export const setOfficeSiteAssignments = async (site, usernames, departments, user) => {
+  try {
+    if (!canUpdateOfficeLocation(user)) {
+      return {
+        success: false,
+        error: 'Insufficient permissions. Only super_admin and HR can manage office sites.',
+      };
     }
 
-    // Call database function (server-side enforces permissions)
-    console.log('[GeofenceService] Calling set_office_location RPC:', {
-      p_latitude: latitude,
-      p_longitude: longitude,
-      p_radius_meters: radius,
-    });
+    const assignments = {
+      usernames: [...new Set(usernames.map(name => name.trim()).filter(Boolean))].sort(),
+      departments: [...new Set(departments.map(name => name.trim()).filter(Boolean))].sort(),
+    };
 
-    const { data, error } = await supabase.rpc('set_office_location', {
-      p_latitude: latitude,
-      p_longitude: longitude,
-      p_radius_meters: radius,
+    const { error } = await supabase.rpc('set_office_site_assignments', {
+      p_site_id: site.id,
+      p_usernames: assignments.usernames,
+      p_departments: assignments.departments,
     });
 
     if (error) {
-      console.error('[GeofenceService] RPC error:', {
-        code: error.code,
-        message: error.message,
-        details: error.details,
-        hint: error.hint,
-      });
-      
-      // Check if it's a permission error
-      if (error.message?.includes('permission') || error.message?.includes('Insufficient')) {
-        return {
-          success: false,
-          error: 'Insufficient permissions. Only super_admin and HR can update office location.',
-        };
-      }
-
-      // Check if it's a "User not found" error
-      if (error.message?.includes('User not found')) {
-        return {
-          success: false,
-          error: 'User not found in database. Please ensure your account is properly set up.',
-        };
-      }
-
+      console.error('[GeofenceService] Error assigning office site:', error);
       return {
         success: false,
-        error: error.message || 'Failed to update office location',
+        error: getOfficeSiteErrorMessage(error, 'Failed to update site assignments'),
       };
     }
 
-    console.log('[GeofenceService] RPC success, data:', data);
-
-    // Fetch updated location to verify
-    const updatedLocation = await getOfficeLocation();
-    console.log('[GeofenceService] Updated location retrieved:', updatedLocation);
-
-    if (!updatedLocation) {
-      console.warn('[GeofenceService] Warning: Location update succeeded but could not retrieve updated location');
-    }
+    await recordAuditEvent({
+      action: AUDIT_ACTIONS.OFFICE_SITE_ASSIGN,
+      targetType: 'office_site',
+      targetId: site.id,
+      targetLabel: site.name,
+      before: {
+        usernames: site.assigned_usernames || [],
+        departments: site.assigned_departments || [],
+      },
+      after: assignments,
+    });
 
-    return {
-      success: true,
-      location: updatedLocation,
-    };
+    return { success: true };
   } catch (error) {
-    console.error('[GeofenceService] Exception in updateOfficeLocation:', {
-      message: error.message,
-      stack: error.stack,
-      name: error.name,
-    });
+    console.error('[GeofenceService] Exception in setOfficeSiteAssignments:', error);
     return {
       success: false,
-      error: error.message || 'Failed to update office location',
+      error: error.message || 'Failed to update site assignments',
     };
   }
 };
 
 /**
  * Validate check-in location based on work mode
- * - in_office: Must be within 1km of office location
+ * - in_office: Must be inside the nearest permitted office site (its polygon or radius, plus a GPS accuracy buffer)
  * - semi_remote or fully_remote: No location restriction
  * @param {Object} user - User object with workMode/work_mode
  * @param {number} userLat - User's current latitude
  * @param {number} userLon - User's current longitude
- * @returns {Promise<{valid: boolean, error?: string, distance?: number, warning?: string}>}
+ * @param {number} accuracy - Reported GPS accuracy in meters (optional)
+ * @returns {Promise<{valid: boolean, error?: string, distance?: number, site?: Object, warning?: string}>}
  */
-export const validateCheckInLocation = async (user, userLat, userLon) => {
+export const validateCheckInLocation = async (user, userLat, userLon, accuracy = null) => {
   try {
     // Validate coordinates
     if (typeof userLat !== 'number' || typeof userLon !== 'number' || isNaN(userLat) || isNaN(userLon)) {
@@ -626,44 +636,33 @@ export const validateCheckInLocation = async (user, userLat, userLon) => {
 
     // For in_office work mode, validate location
     if (workMode === 'in_office') {
-      // Fetch office location from database
-      const officeLocation = await getOfficeLocation();
+      const nearest = await resolveNearestSite(userLat, userLon, accuracy);
 
-      if (!officeLocation) {
-        // No office location set - allow check-in but warn
-        console.warn('[GeofenceService] No office location configured, allowing check-in');
+      if (!nearest) {
+        // No office site set - allow check-in but warn
+        console.warn('[GeofenceService] No office site configured, allowing check-in');
         return {
           valid: true,
           warning: 'Office location not configured. Check-in allowed.',
         };
       }
 
-      // Check if user is within 1km radius
-      const isWithinRadius = isWithin1km(
-        userLat,
-        userLon,
-        officeLocation.latitude,
-        officeLocation.longitude
-      );
-
-      if (!isWithinRadius) {
-        const distance = getDistanceInMeters(
-          userLat,
-          userLon,
-          officeLocation.latitude,
-          officeLocation.longitude
-        );
+      const { site, distance, distanceOutside, isInside } = nearest;
 
+      if (!isInside) {
         return {
           valid: false,
-          error: `You must be within 1km of the office to check in. You are currently ${formatDistance(distance)} away from the office location.`,
+          error: `You must be at ${site.name} to check in. You are currently ${formatDistance(distanceOutside)} outside the site boundary.`,
           distance,
+          site,
         };
       }
 
-      // User is within 1km radius
+      // User is inside the site
       return {
         valid: true,
+        distance,
+        site,
       };
     }
 
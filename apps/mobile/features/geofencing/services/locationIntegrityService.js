@@ -0,0 +1,100 @@
+/**
+ * Location Integrity Service
+ * Captures the data used to spot spoofed locations (provider, mocked flag, altitude, speed) with
+ * every punch, and lists the punches the server scored as suspicious for HR.
+ *
+ * The risk score itself is computed by the database when the punch is recorded (migration 033),
+ * from these fields and the distance and time since the user's last punch.
+ */
+
+import * as Location from 'expo-location';
+import { supabase } from '../../../core/config/supabase';
+
+/**
+ * Risk score (0-100) from which a punch is listed as suspicious
+ */
+export const SUSPICIOUS_RISK_SCORE = 50;
+
+/**
+ * Labels for the risk flags stored in attendance_records.location.risk_flags
+ */
+export const RISK_FLAG_LABELS = {
+  mock_location: 'Mock location',
+  impossible_travel: 'Impossible travel',
+  implausible_speed: 'Implausible speed',
+  low_accuracy: 'Low GPS accuracy',
+};
+
+/**
+ * Get the location provider the device can use
+ * Only Android reports providers; iOS always returns null
+ * @returns {Promise<string|null>} 'gps', 'network', 'passive' or null
+ */
+const getLocationProvider = async () => {
+  try {
+    const status = await Location.getProviderStatusAsync();
+    if (status.gpsAvailable) return 'gps';
+    if (status.networkAvailable) return 'network';
+    if (status.passiveAvailable) return 'passive';
+    return null;
+  } catch (error) {
+    console.warn('[LocationIntegrity] Unable to get the location provider:', error);
+    return null;
+  }
+};
+
+/**
+ * Capture the integrity data of a position from expo-location
+ * Missing values are null (e.g. mocked is only reported on Android)
+ * @param {Object} position - LocationObject from Location.getCurrentPositionAsync
+ * @returns {Promise<{provider: string|null, mocked: boolean|null, altitude: number|null, speed: number|null}>}
+ */
+export const captureLocationIntegrity = async (position) => {
+  const coords = position?.coords || {};
+
+  return {
+    provider: await getLocationProvider(),
+    mocked: typeof position?.mocked === 'boolean' ? position.mocked : null,
+    altitude: typeof coords.altitude === 'number' ? coords.altitude : null,
+    speed: typeof coords.speed === 'number' && coords.speed >= 0 ? coords.speed : null,
+  };
+};
+
+/**
+ * Get the punches scored as suspicious (super admins and HR admins)
+ * @param {Object} options - { days, minScore }
+ *   days: how far back to look (default 30); minScore: lowest risk score listed (default SUSPICIOUS_RISK_SCORE)
+ * @returns {Promise<{success: boolean, punches?: Array, error?: string}>}
+ */
+export const getSuspiciousPunches = async ({ days = 30, minScore = SUSPICIOUS_RISK_SCORE } = {}) => {
+  try {
+    const from = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const { data, error } = await supabase.rpc('get_suspicious_punches', {
+      p_from: from.toISOString(),
+      p_min_score: minScore,
+    });
+
+    if (error) {
+      console.error('[LocationIntegrity] Error loading suspicious punches:', error);
+      return { success: false, error: error.message || 'Failed to load suspicious punches' };
+    }
+
+    const punches = (data || []).map(record => ({
+      id: record.id,
+      username: record.username,
+      employeeName: record.employee_name,
+      type: record.type,
+      timestamp: record.timestamp,
+      location: record.location || {},
+      authMethod: record.auth_method,
+      riskScore: record.risk_score,
+      riskFlags: record.location?.risk_flags || [],
+    }));
+
+    return { success: true, punches };
+  } catch (error) {
+    console.error('[LocationIntegrity] Error loading suspicious punches:', error);
+    return { success: false, error: error.message || 'Failed to load suspicious punches' };
+  }
+};
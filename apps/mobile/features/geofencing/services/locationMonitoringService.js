@@ -1,12 +1,12 @@
 /**
  * Location Monitoring Service
  * Monitors user location every 60 seconds and automatically checks out
- * if user leaves the 1km office radius while checked in
+ * if user leaves the boundary of their nearest permitted office site while checked in
  */
 import * as Location from 'expo-location';
 import { getCurrentLocation } from './geofenceService';
-import { getOfficeLocation } from './geofenceService';
-import { isWithin1km, getDistanceInMeters, formatDistance } from '../utils/distance';
+import { resolveNearestSite } from './geofenceService';
+import { formatDistance } from '../utils/distance';
 import { getUserAttendanceRecords, saveAttendanceRecord } from '../../../utils/storage';
 import { getCurrentLocationWithAddress } from '../../../utils/location';
 import { isAutoCheckoutEnabled } from '../../attendance/services/attendanceConfigService';
@@ -109,8 +109,11 @@ const isUserCheckedIn = async (username) => {
 
 /**
  * Send notification to manager about employee auto checkout
+ * @param {Object} employee - User object
+ * @param {number} distance - Distance outside the site boundary in meters
+ * @param {Object} site - Office site the employee left
  */
-const notifyManager = async (employee, distance) => {
+const notifyManager = async (employee, distance, site) => {
   try {
     // Get employee's manager
     const { data: managerData, error } = await supabase
@@ -131,13 +134,15 @@ const notifyManager = async (employee, distance) => {
       p_recipient_uid: managerData.uid || null,
       p_recipient_username: managerData.username,
       p_title: 'Employee Auto Check-Out',
-      p_body: `${employee.name || employee.username} was automatically checked out after leaving the office area (${formatDistance(distance)} away).`,
+      p_body: `${employee.name || employee.username} was automatically checked out after leaving ${site.name} (${formatDistance(distance)} outside).`,
       p_type: 'attendance',
       p_data: {
         type: 'auto_checkout',
         employee_username: employee.username,
         employee_name: employee.name || employee.username,
         distance: distance,
+        site_id: site.id,
+        site_name: site.name,
         timestamp: new Date().toISOString(),
       },
     });
@@ -156,10 +161,10 @@ const notifyManager = async (employee, distance) => {
  * Automatically check out user
  * @param {Object} user - User object
  * @param {Object} location - Current location
- * @param {number} distance - Distance from office in meters
+ * @param {Object} nearest - Site the user left: { site, distance (to its center), distanceOutside (to its boundary) } in meters
  * @returns {Promise<boolean>} True if checkout successful
  */
-const performAutomaticCheckout = async (user, location, distance) => {
+const performAutomaticCheckout = async (user, location, { site, distance, distanceOutside }) => {
   try {
     // Prevent duplicate checkouts (within 2 minutes)
     const now = Date.now();
@@ -170,7 +175,8 @@ const performAutomaticCheckout = async (user, location, distance) => {
 
     console.log('[LocationMonitoring] Performing automatic checkout:', {
       username: user.username,
-      distance: `${distance.toFixed(0)}m`,
+      site: site.name,
+      distanceOutside: `${distanceOutside.toFixed(0)}m`,
     });
 
     // Get current location with address
@@ -185,6 +191,9 @@ const performAutomaticCheckout = async (user, location, distance) => {
       location: {
         ...locationData,
         distance_from_office: distance,
+        distance_outside_site: distanceOutside,
+        site_id: site.id,
+        site_name: site.name,
         checkout_reason: 'AUTO_CHECKOUT_OUTSIDE_RADIUS',
       },
       authMethod: 'automatic_geofence',
@@ -201,7 +210,7 @@ const performAutomaticCheckout = async (user, location, distance) => {
       console.log('[LocationMonitoring] ✓ Automatic checkout successful:', {
         username: user.username,
         recordId: result.id || attendanceRecord.id,
-        distance: `${distance.toFixed(0)}m`,
+        distanceOutside: `${distanceOutside.toFixed(0)}m`,
         timestamp: attendanceRecord.timestamp,
         location: {
           latitude: locationData.latitude,
@@ -210,14 +219,14 @@ const performAutomaticCheckout = async (user, location, distance) => {
       });
 
       // Notify user
-      const distanceFormatted = formatDistance(distance);
+      const distanceFormatted = formatDistance(distanceOutside);
       await sendNotification(
         'Automatic Check-Out',
-        `You have been automatically checked out because you left the office area. You were ${distanceFormatted} away from the office.`
+        `You have been automatically checked out because you left ${site.name}. You were ${distanceFormatted} outside the site boundary.`
       );
 
       // Notify manager
-      await notifyManager(user, distance);
+      await notifyManager(user, distanceOutside, site);
 
       // Update state
       lastKnownLocationState = 'outside';
@@ -227,6 +236,11 @@ const performAutomaticCheckout = async (user, location, distance) => {
 
     return false;
   } catch (error) {
+    if (error.rejected) {
+      // e.g. already checked out from another device
+      console.warn('[LocationMonitoring] Automatic checkout rejected by the server:', error.message);
+      return false;
+    }
     console.error('[LocationMonitoring] Error performing automatic checkout:', error);
     return false;
   }
@@ -235,7 +249,7 @@ const performAutomaticCheckout = async (user, location, distance) => {
 /**
  * Check location and perform automatic checkout if needed
  * @param {Object} user - User object
- * @returns {Promise<{isInside: boolean, distance?: number}>}
+ * @returns {Promise<{isInside: boolean, distance?: number, site?: Object}>}
  */
 const checkLocationAndCheckout = async (user) => {
   try {
@@ -272,39 +286,30 @@ const checkLocationAndCheckout = async (user) => {
       return { isInside: null }; // Unknown state
     }
 
-    // Get office location
-    const officeLocation = await getOfficeLocation();
-    if (!officeLocation) {
-      // No office location configured, skip check
-      console.warn('[LocationMonitoring] No office location configured');
-      return { isInside: true }; // Assume inside if no office location
-    }
-
-    // Calculate distance
-    const distance = getDistanceInMeters(
+    // Resolve the nearest permitted office site
+    const nearest = await resolveNearestSite(
       currentLocation.latitude,
       currentLocation.longitude,
-      officeLocation.latitude,
-      officeLocation.longitude
+      currentLocation.accuracy
     );
+    if (!nearest) {
+      // No office site configured, skip check
+      console.warn('[LocationMonitoring] No office site configured');
+      return { isInside: true }; // Assume inside if no office site
+    }
 
-    // Check if user is within 1km radius
-    const isWithinRadius = isWithin1km(
-      currentLocation.latitude,
-      currentLocation.longitude,
-      officeLocation.latitude,
-      officeLocation.longitude
-    );
+    const { site, distance, distanceOutside, isInside } = nearest;
 
     // Update state tracking
     const previousState = lastKnownLocationState;
-    lastKnownLocationState = isWithinRadius ? 'inside' : 'outside';
+    lastKnownLocationState = isInside ? 'inside' : 'outside';
 
     // Only act on state transitions (inside -> outside)
-    if (!isWithinRadius && previousState === 'inside') {
-      console.log('[LocationMonitoring] User left office radius:', {
+    if (!isInside && previousState === 'inside') {
+      console.log('[LocationMonitoring] User left office site:', {
         username: user.username,
-        distance: `${distance.toFixed(0)}m`,
+        site: site.name,
+        distanceOutside: `${distanceOutside.toFixed(0)}m`,
       });
 
       // Check if auto checkout is enabled
@@ -312,7 +317,7 @@ const checkLocationAndCheckout = async (user) => {
 
       if (autoCheckoutEnabled) {
         // Auto checkout enabled - perform automatic checkout
-        const success = await performAutomaticCheckout(user, currentLocation, distance);
+        const success = await performAutomaticCheckout(user, currentLocation, nearest);
         if (success) {
           // Stop monitoring after successful checkout
           console.log('[LocationMonitoring] Auto checkout successful, stopping monitoring');
@@ -321,24 +326,25 @@ const checkLocationAndCheckout = async (user) => {
         }
       } else {
         // Auto checkout disabled - just notify user (don't checkout)
-        const distanceFormatted = formatDistance(distance);
+        const distanceFormatted = formatDistance(distanceOutside);
         await sendNotification(
           'Outside Office Area',
-          `You are ${distanceFormatted} away from the office. Manual checkout is blocked until you return within 1km.`
+          `You are ${distanceFormatted} outside ${site.name}. Manual checkout is blocked until you return to the site.`
         );
       }
-    } else if (isWithinRadius && previousState === 'outside') {
-      // User re-entered radius
-      console.log('[LocationMonitoring] User re-entered office radius:', user.username);
+    } else if (isInside && previousState === 'outside') {
+      // User re-entered the site
+      console.log('[LocationMonitoring] User re-entered office site:', user.username);
       await sendNotification(
         'Back in Office Area',
-        'You have returned to the office area. You can now check out manually if needed.'
+        `You have returned to ${site.name}. You can now check out manually if needed.`
       );
     }
 
     return {
-      isInside: isWithinRadius,
+      isInside,
       distance,
+      site,
     };
   } catch (error) {
     console.error('[LocationMonitoring] Error in location check:', error);
@@ -429,8 +435,8 @@ export const stopLocationMonitoring = () => {
 };
 
 /**
- * Get current location state (inside/outside radius)
- * @returns {Promise<{isInside: boolean | null, distance?: number}>}
+ * Get current location state (inside/outside the nearest site)
+ * @returns {Promise<{isInside: boolean | null, distance?: number, site?: Object}>}
  */
 export const getCurrentLocationState = async () => {
   if (!currentUser) {
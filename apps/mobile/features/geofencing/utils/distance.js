@@ -89,20 +89,6 @@ export const isPointInGeofence = (pointLat, pointLon, centerLat, centerLon, radi
   return distance <= radius;
 };
 
-/**
- * Check if user is within 1km radius of a location
- * Pure utility function using Haversine formula
- * @param {number} userLat - User's latitude
- * @param {number} userLon - User's longitude
- * @param {number} targetLat - Target location latitude
- * @param {number} targetLon - Target location longitude
- * @returns {boolean} True if user is within 1km (1000m) radius
- */
-export const isWithin1km = (userLat, userLon, targetLat, targetLon) => {
-  const ONE_KM_IN_METERS = 1000;
-  return isPointInGeofence(userLat, userLon, targetLat, targetLon, ONE_KM_IN_METERS);
-};
-
 /**
  * Get distance to target location in meters
  * Pure utility function using Haversine formula
@@ -170,3 +156,157 @@ export const getClosestGeofence = (pointLat, pointLon, geofences) => {
 
   return closest;
 };
+
+/**
+ * Largest GPS accuracy (meters) allowed to widen a site boundary
+ * Keeps a poor fix from letting people check in from well outside (e.g. the car park next to the campus)
+ */
+export const MAX_ACCURACY_BUFFER_METERS = 50;
+
+/**
+ * Get the tolerance added around a site boundary for a GPS fix
+ * @param {number} accuracy - Reported GPS accuracy in meters (optional)
+ * @returns {number} Buffer in meters (0 to MAX_ACCURACY_BUFFER_METERS)
+ */
+export const getAccuracyBuffer = (accuracy) => {
+  if (typeof accuracy !== 'number' || isNaN(accuracy) || accuracy <= 0) {
+    return 0;
+  }
+  return Math.min(accuracy, MAX_ACCURACY_BUFFER_METERS);
+};
+
+/**
+ * Check if a point is inside a polygon (ray casting)
+ * @param {number} pointLat - Latitude of the point to check
+ * @param {number} pointLon - Longitude of the point to check
+ * @param {Array<{latitude: number, longitude: number}>} vertices - Polygon vertices in order (at least 3)
+ * @returns {boolean} True if the point is inside the polygon
+ */
+export const isPointInPolygon = (pointLat, pointLon, vertices) => {
+  if (!Array.isArray(vertices) || vertices.length < 3) {
+    return false;
+  }
+
+  let inside = false;
+  for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+    const a = vertices[i];
+    const b = vertices[j];
+    const crosses =
+      (a.latitude > pointLat) !== (b.latitude > pointLat) &&
+      pointLon < ((b.longitude - a.longitude) * (pointLat - a.latitude)) / (b.latitude - a.latitude) + a.longitude;
+
+    if (crosses) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+/**
+ * Get the distance from a point to a polygon boundary
+ * Edges are measured on a flat projection around the point, which is accurate at site scale
+ * @param {number} pointLat - Latitude of the point
+ * @param {number} pointLon - Longitude of the point
+ * @param {Array<{latitude: number, longitude: number}>} vertices - Polygon vertices in order (at least 3)
+ * @returns {number} 0 if the point is inside, otherwise meters to the nearest edge (Infinity if invalid)
+ */
+export const getDistanceToPolygon = (pointLat, pointLon, vertices) => {
+  if (!Array.isArray(vertices) || vertices.length < 3) {
+    return Infinity;
+  }
+
+  if (isPointInPolygon(pointLat, pointLon, vertices)) {
+    return 0;
+  }
+
+  const metersPerDegreeLat = (Math.PI * 6371000) / 180;
+  const metersPerDegreeLon = metersPerDegreeLat * Math.cos(toRadians(pointLat));
+  const project = (vertex) => ({
+    x: (vertex.longitude - pointLon) * metersPerDegreeLon,
+    y: (vertex.latitude - pointLat) * metersPerDegreeLat,
+  });
+
+  let minDistance = Infinity;
+  for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+    const a = project(vertices[j]);
+    const b = project(vertices[i]);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+
+    // Closest point on the edge to the origin (the point being checked)
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared));
+    const distance = Math.hypot(a.x + t * dx, a.y + t * dy);
+
+    if (distance < minDistance) {
+      minDistance = distance;
+    }
+  }
+  return minDistance;
+};
+
+/**
+ * Get the center of a polygon (average of its vertices), used as the site's map marker
+ * @param {Array<{latitude: number, longitude: number}>} vertices - Polygon vertices
+ * @returns {{latitude: number, longitude: number} | null} Center, or null if there are no vertices
+ */
+export const getPolygonCenter = (vertices) => {
+  if (!Array.isArray(vertices) || vertices.length === 0) {
+    return null;
+  }
+
+  const sum = vertices.reduce(
+    (total, vertex) => ({
+      latitude: total.latitude + vertex.latitude,
+      longitude: total.longitude + vertex.longitude,
+    }),
+    { latitude: 0, longitude: 0 }
+  );
+
+  return {
+    latitude: sum.latitude / vertices.length,
+    longitude: sum.longitude / vertices.length,
+  };
+};
+
+/**
+ * Get the office site nearest to a point
+ * Sites with a boundary are polygons; the others are circles of radius_meters around their center.
+ * A site containing the point always wins; among several, the one with the closest center.
+ * Otherwise the site whose boundary is closest (so a large campus beats a small office just past it).
+ * The point counts as inside when it is within the GPS accuracy buffer of the boundary.
+ * @param {number} pointLat - Latitude of the point
+ * @param {number} pointLon - Longitude of the point
+ * @param {Array} sites - Office sites with latitude, longitude, radius_meters and boundary
+ * @param {number} accuracy - Reported GPS accuracy in meters (optional)
+ * @returns {{site: Object, distance: number, distanceOutside: number, isInside: boolean} | null} Nearest site with the distance to its center and to its boundary, or null if no sites
+ */
+export const getNearestSite = (pointLat, pointLon, sites, accuracy = null) => {
+  if (!Array.isArray(sites) || sites.length === 0) {
+    return null;
+  }
+
+  let nearest = null;
+
+  sites.forEach((site) => {
+    const distance = calculateDistance(pointLat, pointLon, site.latitude, site.longitude, 'm');
+    const distanceOutside = Array.isArray(site.boundary) && site.boundary.length >= 3
+      ? getDistanceToPolygon(pointLat, pointLon, site.boundary)
+      : Math.max(distance - site.radius_meters, 0);
+
+    if (
+      !nearest ||
+      distanceOutside < nearest.distanceOutside ||
+      (distanceOutside === nearest.distanceOutside && distance < nearest.distance)
+    ) {
+      nearest = { site, distance, distanceOutside };
+    }
+  });
+
+  return {
+    site: nearest.site,
+    distance: nearest.distance,
+    distanceOutside: nearest.distanceOutside,
+    isInside: nearest.distanceOutside <= getAccuracyBuffer(accuracy),
+  };
+};
@@ -155,7 +155,29 @@ export default function AttendanceHistory({ route }) {
               </View>
             )}
 
-            {/* Photo */}
+            {/* Offline punches: not synced yet, or synced long after they were made */}
+            {(item.pendingSync || item.isLateSync) && (
+              <View className="flex-row items-center" style={{ marginBottom: spacing.xs }}>
+                <Ionicons
+                  name={item.pendingSync ? 'cloud-upload-outline' : 'cloud-done-outline'}
+                  size={iconSize.sm}
+                  color={colors.warning}
+                />
+                <Text 
+                  className="ml-1"
+                  style={{ 
+                    color: colors.warning,
+                    fontSize: responsiveFont(12) 
+                  }}
+                >
+                  {item.pendingSync
+                    ? 'Pending sync'
+                    : `Synced late${item.syncedAt ? ` (${new Date(item.syncedAt).toLocaleString()})` : ''}`}
+                </Text>
+              </View>
+            )}
+
+                        {/* Photo */}
             {item.photo && (
               <View style={{ marginTop: spacing.xs }}>
                 <Image 
@@ -143,7 +143,7 @@ export default function AttendanceSettingsScreen({ navigation, route }) {
                   lineHeight: 20,
                 }}
               >
-                When enabled, employees are automatically checked out when they leave the 1km office radius.
+                When enabled, employees are automatically checked out when they leave their office site.
                 When disabled, manual checkout is blocked if the employee is outside the radius.
               </Text>
             </View>
@@ -228,7 +228,7 @@ export default function AttendanceSettingsScreen({ navigation, route }) {
               >
                 • Location is monitored every 60 seconds while employees are checked in{'\n'}
                 • Only applies to employees with "in_office" work mode{'\n'}
-                • Office location and 1km radius are configured in GeoFencing settings{'\n'}
+                • Office sites, their boundaries and who may use them are configured in GeoFencing settings{'\n'}
                 • Managers receive notifications when their department employees are auto checked out
               </Text>
             </View>
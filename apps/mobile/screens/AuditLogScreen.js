@@ -0,0 +1,313 @@
+/**
+ * Audit Log Screen
+ * Administrative changes (user management, manual attendance, office sites, attendance settings,
+ * leave decisions, report schedules), newest first, filterable by actor, target and action
+ * Super admins and HR admins only (audit:read in the auth service)
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  FlatList,
+  TouchableOpacity,
+  Alert,
+  RefreshControl,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useAuth } from '../core/contexts/AuthContext';
+import { useTheme } from '../contexts/ThemeContext';
+import { getAuditLog } from '../utils/auditLog';
+import { spacing, iconSize, responsivePadding, responsiveFont } from '../utils/responsive';
+
+const PAGE_SIZE = 30;
+
+// Action filters: an area matches every action in it (e.g. "leave" = leave.approve and leave.reject)
+const ACTION_FILTERS = [
+  { title: 'All', value: '' },
+  { title: 'Users', value: 'user' },
+  { title: 'Attendance', value: 'attendance' },
+  { title: 'Leave', value: 'leave' },
+  { title: 'Office Sites', value: 'office_site' },
+  { title: 'Settings', value: 'attendance_config' },
+  { title: 'Report Schedules', value: 'report_schedule' },
+  { title: 'Reports', value: 'report' },
+];
+
+const ACTION_ICONS = {
+  user: 'person-outline',
+  attendance: 'time-outline',
+  leave: 'calendar-outline',
+  office_site: 'location-outline',
+  attendance_config: 'settings-outline',
+  report_schedule: 'alarm-outline',
+  report: 'document-text-outline',
+};
+
+/**
+ * Format an audit value for display
+ * @param {*} value - Value from the changes object
+ * @returns {string} Display text
+ */
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * Turn "user.role_change" into "User: role change"
+ * @param {string} action - Audit action
+ * @returns {string} Label
+ */
+const formatAction = (action) => {
+  const [area, verb] = action.split('.');
+  const areaLabel = area.replace(/_/g, ' ');
+  return `${areaLabel.charAt(0).toUpperCase()}${areaLabel.slice(1)}: ${verb.replace(/_/g, ' ')}`;
+};
+
+export default function AuditLogScreen() {
+  const { handleLogout } = useAuth();
+  const { colors } = useTheme();
+  const [entries, setEntries] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [actorInput, setActorInput] = useState('');
+  const [targetInput, setTargetInput] = useState('');
+  const [filters, setFilters] = useState({ actor: '', target: '', action: '' });
+  const [isLoading, setIsLoading] = useState(true);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+
+  useEffect(() => {
+    loadEntries(1);
+  }, [filters]);
+
+  /**
+   * Load a page of entries (page 1 replaces the list, later pages are appended)
+   * @param {number} page - Page number
+   */
+  const loadEntries = async (page) => {
+    const result = await getAuditLog({ ...filters, page, pageSize: PAGE_SIZE });
+
+    if (result.success) {
+      setEntries(current => (page === 1 ? result.entries : [...current, ...result.entries]));
+      setPagination(result.pagination);
+    } else if (result.sessionExpired) {
+      Alert.alert('Session Expired', result.error, [{ text: 'OK', onPress: handleLogout }]);
+    } else {
+      Alert.alert('Error', result.error || 'Failed to load the audit log');
+    }
+    setIsLoading(false);
+  };
+
+  const onRefresh = async () => {
+    setIsRefreshing(true);
+    await loadEntries(1);
+    setIsRefreshing(false);
+  };
+
+  const onEndReached = async () => {
+    if (isLoadingMore || !pagination || pagination.page >= pagination.totalPages) return;
+    setIsLoadingMore(true);
+    await loadEntries(pagination.page + 1);
+    setIsLoadingMore(false);
+  };
+
+  const applySearch = () => {
+    setIsLoading(true);
+    setFilters(current => ({ ...current, actor: actorInput.trim(), target: targetInput.trim() }));
+  };
+
+  const selectAction = (action) => {
+    if (action === filters.action) return;
+    setIsLoading(true);
+    setFilters(current => ({ ...current, action }));
+  };
+
+  const renderEntry = ({ item }) => {
+    const area = item.action.split('.')[0];
+    const changes = Object.entries(item.changes || {});
+
+    return (
+      <View
+        className="rounded-xl shadow-sm"
+        style={{
+          backgroundColor: colors.surface,
+          padding: responsivePadding(16),
+          marginBottom: spacing.md,
+        }}
+      >
+        <View className="flex-row items-center" style={{ marginBottom: spacing.xs }}>
+          <Ionicons name={ACTION_ICONS[area] || 'ellipse-outline'} size={iconSize.md} color={colors.primary} />
+          <Text
+            className="font-semibold flex-1"
+            style={{ color: colors.text, fontSize: responsiveFont(16), marginLeft: spacing.sm }}
+          >
+            {formatAction(item.action)}
+          </Text>
+          <Text style={{ color: colors.textTertiary, fontSize: responsiveFont(12) }}>
+            {new Date(item.createdAt).toLocaleString()}
+          </Text>
+        </View>
+
+        <Text style={{ color: colors.textSecondary, fontSize: responsiveFont(14) }}>
+          {item.actor.username || 'System'}
+          {item.actor.role ? ` (${item.actor.role})` : ''}
+          {' → '}
+          {item.target.label || item.target.id || item.target.type}
+        </Text>
+
+        {changes.length > 0 && (
+          <View style={{ marginTop: spacing.sm }}>
+            {changes.map(([field, change]) => (
+              <Text
+                key={field}
+                style={{ color: colors.text, fontSize: responsiveFont(13), marginBottom: 2 }}
+              >
+                <Text className="font-semibold">{field}: </Text>
+                {formatValue(change.before)} → {formatValue(change.after)}
+              </Text>
+            ))}
+          </View>
+        )}
+
+        <Text style={{ color: colors.textTertiary, fontSize: responsiveFont(12), marginTop: spacing.sm }}>
+          {item.source}
+          {item.ipAddress ? ` · ${item.ipAddress}` : ''}
+          {item.device ? ` · ${item.device}` : ''}
+        </Text>
+      </View>
+    );
+  };
+
+  const FilterButton = ({ title, value }) => {
+    const isActive = filters.action === value;
+    return (
+      <TouchableOpacity
+        className="rounded-full"
+        style={{
+          backgroundColor: isActive ? colors.primary : colors.borderLight,
+          paddingHorizontal: responsivePadding(16),
+          paddingVertical: spacing.xs,
+          marginRight: spacing.xs,
+        }}
+        onPress={() => selectAction(value)}
+      >
+        <Text
+          className="font-medium"
+          style={{ color: isActive ? '#ffffff' : colors.text, fontSize: responsiveFont(14) }}
+        >
+          {title}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
+  const inputStyle = {
+    backgroundColor: colors.background,
+    borderColor: colors.border,
+    color: colors.text,
+    fontSize: responsiveFont(14),
+    paddingHorizontal: spacing.md,
+    paddingVertical: spacing.sm,
+  };
+
+  return (
+    <View className="flex-1" style={{ backgroundColor: colors.background }}>
+      {/* Filters */}
+      <View
+        className="shadow-sm"
+        style={{
+          backgroundColor: colors.surface,
+          paddingHorizontal: responsivePadding(16),
+          paddingVertical: responsivePadding(12),
+        }}
+      >
+        <View className="flex-row" style={{ marginBottom: spacing.sm }}>
+          <TextInput
+            className="flex-1 rounded-lg border"
+            style={[inputStyle, { marginRight: spacing.xs }]}
+            placeholder="Actor (username)"
+            placeholderTextColor={colors.textTertiary}
+            value={actorInput}
+            onChangeText={setActorInput}
+            autoCapitalize="none"
+            autoCorrect={false}
+            returnKeyType="search"
+            onSubmitEditing={applySearch}
+          />
+          <TextInput
+            className="flex-1 rounded-lg border"
+            style={inputStyle}
+            placeholder="Target (username, ID, key)"
+            placeholderTextColor={colors.textTertiary}
+            value={targetInput}
+            onChangeText={setTargetInput}
+            autoCapitalize="none"
+            autoCorrect={false}
+            returnKeyType="search"
+            onSubmitEditing={applySearch}
+          />
+          <TouchableOpacity
+            className="rounded-lg items-center justify-center"
+            style={{ backgroundColor: colors.primary, paddingHorizontal: spacing.md, marginLeft: spacing.xs }}
+            onPress={applySearch}
+          >
+            <Ionicons name="search" size={iconSize.md} color="#fff" />
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+          <View className="flex-row">
+            {ACTION_FILTERS.map(filter => (
+              <FilterButton key={filter.value || 'all'} title={filter.title} value={filter.value} />
+            ))}
+          </View>
+        </ScrollView>
+      </View>
+
+      {isLoading ? (
+        <View className="flex-1 justify-center items-center">
+          <ActivityIndicator size="large" color={colors.primary} />
+        </View>
+      ) : (
+        <FlatList
+          data={entries}
+          renderItem={renderEntry}
+          keyExtractor={(item) => item.id}
+          contentContainerStyle={{ padding: responsivePadding(16), flexGrow: 1 }}
+          refreshControl={<RefreshControl refreshing={isRefreshing} onRefresh={onRefresh} />}
+          onEndReached={onEndReached}
+          onEndReachedThreshold={0.5}
+          ListFooterComponent={isLoadingMore ? <ActivityIndicator color={colors.primary} /> : null}
+          ListEmptyComponent={
+            <View className="flex-1 justify-center items-center">
+              <Ionicons name="document-text-outline" size={iconSize['4xl']} color={colors.textTertiary} />
+              <Text
+                className="font-semibold text-center"
+                style={{ color: colors.textSecondary, fontSize: responsiveFont(18), marginTop: spacing.md }}
+              >
+                No audit entries found
+              </Text>
+            </View>
+          }
+          showsVerticalScrollIndicator={false}
+        />
+      )}
+
+      {pagination && entries.length > 0 && (
+        <View
+          className="border-t"
+          style={{ backgroundColor: colors.surface, borderColor: colors.border, padding: responsivePadding(12) }}
+        >
+          <Text className="text-center" style={{ color: colors.textSecondary, fontSize: responsiveFont(14) }}>
+            Showing {entries.length} of {pagination.total} entr{pagination.total !== 1 ? 'ies' : 'y'}
+          </Text>
+        </View>
+      )}
+    </View>
+  );
+}
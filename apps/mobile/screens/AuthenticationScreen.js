@@ -356,6 +356,7 @@ export default function AuthenticationScreen({ navigation, route }) {
       };
 
       // GEOFENCING VALIDATION
+      let site = null; // Office site the user checked in or out at (in_office users)
       if (type === 'checkin') {
         // Validate location coordinates are available
         if (!location.latitude || !location.longitude) {
@@ -371,7 +372,8 @@ export default function AuthenticationScreen({ navigation, route }) {
         const validation = await validateCheckInLocation(
           user,
           location.latitude,
-          location.longitude
+          location.longitude,
+          location.accuracy
         );
 
         if (!validation.valid) {
@@ -388,6 +390,7 @@ export default function AuthenticationScreen({ navigation, route }) {
         if (validation.warning) {
           console.warn('[AuthenticationScreen] Location validation warning:', validation.warning);
         }
+        site = validation.site || null;
       } else if (type === 'checkout') {
         // Validate checkout location (only if auto_checkout is disabled)
         const { validateCheckoutLocation } = await import('../features/geofencing/services/checkoutValidationService');
@@ -397,7 +400,7 @@ export default function AuthenticationScreen({ navigation, route }) {
           // Block checkout if validation fails
           Alert.alert(
             'Check-Out Blocked',
-            validation.error || 'You must be within 1km of the office to check out.',
+            validation.error || 'You must be at the office to check out.',
             [{ text: 'OK' }]
           );
           return;
@@ -407,6 +410,7 @@ export default function AuthenticationScreen({ navigation, route }) {
         if (validation.warning) {
           console.warn('[AuthenticationScreen] Checkout validation warning:', validation.warning);
         }
+        site = validation.site || null;
       }
 
       const attendanceRecord = {
@@ -415,7 +419,7 @@ export default function AuthenticationScreen({ navigation, route }) {
         type: type,
         timestamp: new Date().toISOString(),
         photo: null, // No photo needed for device-native authentication
-        location: location,
+        location: site ? { ...location, site_id: site.id, site_name: site.name } : location,
         authMethod: authMethod, // Store which authentication method was used
       };
 
@@ -426,11 +430,13 @@ export default function AuthenticationScreen({ navigation, route }) {
         locationAddress: attendanceRecord.location?.address || 'N/A'
       });
 
-      await saveAttendanceRecord(attendanceRecord);
+      const savedRecord = await saveAttendanceRecord(attendanceRecord);
       
       Alert.alert(
-        'Success',
-        `Successfully ${type === 'checkin' ? 'checked in' : 'checked out'}!`,
+        savedRecord?.pendingSync ? 'Saved Offline' : 'Success',
+        savedRecord?.pendingSync
+          ? `Your ${type === 'checkin' ? 'check-in' : 'check-out'} is saved on this device and will sync when you're back online.`
+          : `Successfully ${type === 'checkin' ? 'checked in' : 'checked out'}!`,
         [
           { 
             text: 'OK', 
@@ -442,6 +448,15 @@ export default function AuthenticationScreen({ navigation, route }) {
       );
     } catch (error) {
       console.error('Error saving attendance:', error);
+      if (error.rejected) {
+        // The server re-checks the location and the check-in/check-out sequence
+        Alert.alert(
+          type === 'checkin' ? 'Check-In Blocked' : 'Check-Out Blocked',
+          error.message,
+          [{ text: 'OK' }]
+        );
+        return;
+      }
       Alert.alert('Error', 'Failed to save attendance record');
     }
   };
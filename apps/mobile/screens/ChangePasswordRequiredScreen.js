@@ -0,0 +1,267 @@
+/**
+ * Change Password Required Screen
+ * Shown instead of the dashboard while the user's account is flagged must_change_password
+ * (set by an admin, for new accounts with an admin-chosen password, or when the password has expired)
+ *
+ * SECURITY:
+ * - The auth service verifies the current password and enforces the password policy
+ * - It clears the flag only after the new password is set, so leaving this screen early is not possible
+ */
+
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+  KeyboardAvoidingView,
+  Platform,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useAuth } from '../core/contexts/AuthContext';
+import { useTheme } from '../contexts/ThemeContext';
+import { changePassword } from '../utils/passwordChange';
+import { PASSWORD_HINT } from '../utils/passwordPolicy';
+import { spacing, iconSize, componentSize, responsivePadding, responsiveFont } from '../utils/responsive';
+import Logo from '../components/Logo';
+import Trademark from '../components/Trademark';
+
+export default function ChangePasswordRequiredScreen() {
+  const { user, handlePasswordChanged, handleLogout } = useAuth();
+  const { colors } = useTheme();
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [showPasswords, setShowPasswords] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [errors, setErrors] = useState({});
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!currentPassword) {
+      newErrors.currentPassword = 'Current password is required';
+    }
+    if (!newPassword) {
+      newErrors.newPassword = 'New password is required';
+    }
+    if (!confirmPassword) {
+      newErrors.confirmPassword = 'Please confirm your new password';
+    } else if (newPassword !== confirmPassword) {
+      newErrors.confirmPassword = 'Passwords do not match';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = async () => {
+    setErrors({});
+    if (!validateForm()) {
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const result = await changePassword(currentPassword, newPassword, user?.email);
+
+      if (result.success) {
+        Alert.alert('Password Changed', 'Your new password has been saved.', [
+          { text: 'Continue', onPress: handlePasswordChanged },
+        ]);
+        return;
+      }
+
+      if (result.code === 'INVALID_CURRENT_PASSWORD') {
+        setErrors({ currentPassword: result.error });
+      } else if (result.code === 'PASSWORD_POLICY' || result.code === 'PASSWORD_REUSED') {
+        setErrors({ newPassword: result.error });
+      } else if (result.sessionExpired) {
+        Alert.alert('Session Expired', result.error, [{ text: 'OK', onPress: handleLogout }]);
+      } else {
+        Alert.alert('Error', result.error || 'Failed to change password');
+      }
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const renderPasswordInput = ({ label, value, onChangeText, error, placeholder, hint, onSubmitEditing }) => (
+    <View style={{ marginBottom: spacing.md }}>
+      <Text
+        style={{
+          color: colors.text,
+          fontSize: responsiveFont(14),
+          fontWeight: '600',
+          marginBottom: spacing.xs,
+        }}
+      >
+        {label}
+      </Text>
+      <View
+        style={{
+          flexDirection: 'row',
+          alignItems: 'center',
+          backgroundColor: colors.borderLight,
+          borderRadius: 12,
+          paddingHorizontal: responsivePadding(16),
+          paddingVertical: spacing.md,
+          borderWidth: error ? 1 : 0,
+          borderColor: error ? colors.error : 'transparent',
+        }}
+      >
+        <Ionicons name="lock-closed-outline" size={iconSize.md} color={colors.textSecondary} />
+        <TextInput
+          style={{
+            flex: 1,
+            color: colors.text,
+            fontSize: responsiveFont(14),
+            marginLeft: spacing.md,
+          }}
+          placeholder={placeholder}
+          placeholderTextColor={colors.textTertiary}
+          value={value}
+          onChangeText={onChangeText}
+          secureTextEntry={!showPasswords}
+          autoCapitalize="none"
+          autoCorrect={false}
+          editable={!isSaving}
+          onSubmitEditing={onSubmitEditing}
+        />
+      </View>
+      {error && (
+        <Text style={{ fontSize: responsiveFont(12), color: colors.error, marginTop: spacing.xs / 2 }}>
+          {error}
+        </Text>
+      )}
+      {hint && (
+        <Text style={{ fontSize: responsiveFont(12), color: colors.textTertiary, marginTop: spacing.xs / 2 }}>
+          {hint}
+        </Text>
+      )}
+    </View>
+  );
+
+  return (
+    <KeyboardAvoidingView
+      style={{ flex: 1, backgroundColor: colors.background }}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <ScrollView contentContainerStyle={{ flexGrow: 1 }} keyboardShouldPersistTaps="handled">
+        <View style={{ flex: 1, justifyContent: 'center', paddingHorizontal: responsivePadding(32) }}>
+          {/* Header */}
+          <View style={{ alignItems: 'center', marginBottom: spacing['3xl'] }}>
+            <Logo size="medium" style={{ marginBottom: spacing.lg }} />
+            <Text
+              style={{
+                color: colors.text,
+                fontSize: responsiveFont(26),
+                fontWeight: 'bold',
+                marginBottom: spacing.xs,
+              }}
+            >
+              Choose a New Password
+            </Text>
+            <Text style={{ color: colors.textSecondary, fontSize: responsiveFont(14), textAlign: 'center' }}>
+              You need to set a new password before continuing
+            </Text>
+          </View>
+
+          {/* Form */}
+          <View style={{ backgroundColor: colors.surface, borderRadius: 16, padding: responsivePadding(24) }}>
+            {renderPasswordInput({
+              label: 'Current Password *',
+              value: currentPassword,
+              onChangeText: (text) => {
+                setCurrentPassword(text);
+                if (errors.currentPassword) setErrors({ ...errors, currentPassword: null });
+              },
+              error: errors.currentPassword,
+              placeholder: 'Enter current password',
+            })}
+            {renderPasswordInput({
+              label: 'New Password *',
+              value: newPassword,
+              onChangeText: (text) => {
+                setNewPassword(text);
+                if (errors.newPassword) setErrors({ ...errors, newPassword: null });
+              },
+              error: errors.newPassword,
+              placeholder: 'Enter new password',
+              hint: PASSWORD_HINT,
+            })}
+            {renderPasswordInput({
+              label: 'Confirm New Password *',
+              value: confirmPassword,
+              onChangeText: (text) => {
+                setConfirmPassword(text);
+                if (errors.confirmPassword) setErrors({ ...errors, confirmPassword: null });
+              },
+              error: errors.confirmPassword,
+              placeholder: 'Confirm new password',
+              onSubmitEditing: handleSubmit,
+            })}
+
+            {/* Show Passwords */}
+            <TouchableOpacity
+              onPress={() => setShowPasswords(!showPasswords)}
+              style={{ flexDirection: 'row', alignItems: 'center', marginBottom: spacing.lg }}
+              disabled={isSaving}
+            >
+              <Ionicons
+                name={showPasswords ? 'eye-off-outline' : 'eye-outline'}
+                size={iconSize.md}
+                color={colors.textSecondary}
+              />
+              <Text style={{ color: colors.textSecondary, fontSize: responsiveFont(14), marginLeft: spacing.xs }}>
+                {showPasswords ? 'Hide passwords' : 'Show passwords'}
+              </Text>
+            </TouchableOpacity>
+
+            {/* Save Button */}
+            <TouchableOpacity
+              style={{
+                backgroundColor: colors.primary,
+                borderRadius: 12,
+                paddingVertical: componentSize.buttonHeight / 2,
+                alignItems: 'center',
+                marginBottom: spacing.md,
+                opacity: isSaving ? 0.5 : 1,
+                minHeight: componentSize.buttonHeight,
+                justifyContent: 'center',
+              }}
+              onPress={handleSubmit}
+              disabled={isSaving}
+              activeOpacity={0.8}
+            >
+              {isSaving ? (
+                <ActivityIndicator color="white" />
+              ) : (
+                <Text style={{ color: 'white', fontWeight: '600', fontSize: responsiveFont(18) }}>
+                  Change Password
+                </Text>
+              )}
+            </TouchableOpacity>
+
+            {/* Log Out */}
+            <TouchableOpacity
+              onPress={handleLogout}
+              style={{ alignItems: 'center', marginTop: spacing.md }}
+              disabled={isSaving}
+            >
+              <Text style={{ color: colors.primary, fontSize: responsiveFont(14) }}>
+                Log Out
+              </Text>
+            </TouchableOpacity>
+          </View>
+
+          {/* Trademark */}
+          <Trademark position="bottom" style={{ marginTop: spacing['2xl'] }} />
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+}
@@ -8,10 +8,12 @@ import {
   KeyboardAvoidingView,
   Platform,
   ScrollView,
+  Switch,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { createEmployee } from '../utils/employees';
 import { WORK_MODES } from '../utils/workModes';
+import { checkPassword, PASSWORD_HINT } from '../utils/passwordPolicy';
 import { useTheme } from '../contexts/ThemeContext';
 import { isHRAdmin } from '../shared/constants/roles';
 import { fontSize, spacing, iconSize, componentSize, responsivePadding, responsiveFont, wp } from '../utils/responsive';
@@ -44,6 +46,8 @@ export default function CreateUserScreen({ navigation, route }) {
     position: '',
     workMode: WORK_MODES.IN_OFFICE,
     hireDate: new Date().toISOString().split('T')[0],
+    // The admin knows this password, so by default the user replaces it at first login
+    mustChangePassword: true,
   });
   const [isLoading, setIsLoading] = useState(false);
   const [showPassword, setShowPassword] = useState(false);
@@ -65,10 +69,6 @@ export default function CreateUserScreen({ navigation, route }) {
       Alert.alert('Validation Error', 'Password is required');
       return false;
     }
-    if (formData.password.length < 6) {
-      Alert.alert('Validation Error', 'Password must be at least 6 characters');
-      return false;
-    }
     if (formData.password !== formData.confirmPassword) {
       Alert.alert('Validation Error', 'Passwords do not match');
       return false;
@@ -101,6 +101,15 @@ export default function CreateUserScreen({ navigation, route }) {
 
     setIsLoading(true);
     try {
+      const passwordCheck = await checkPassword(formData.password, {
+        username: formData.username.trim(),
+        email: formData.email.trim(),
+      });
+      if (!passwordCheck.valid) {
+        Alert.alert('Validation Error', passwordCheck.errors.join('\n'));
+        return;
+      }
+
       const result = await createEmployee({
         username: formData.username.trim(),
         password: formData.password,
@@ -111,6 +120,7 @@ export default function CreateUserScreen({ navigation, route }) {
         position: formData.position.trim(),
         workMode: formData.workMode,
         hireDate: formData.hireDate,
+        mustChangePassword: formData.mustChangePassword,
       });
 
       if (result.success) {
@@ -218,6 +228,9 @@ export default function CreateUserScreen({ navigation, route }) {
                 <Ionicons name={showPassword ? "eye-off-outline" : "eye-outline"} size={iconSize.md} color={colors.textSecondary} />
               </TouchableOpacity>
             </View>
+            <Text style={{ color: colors.textTertiary, fontSize: responsiveFont(12), marginTop: spacing.xs / 2 }}>
+              {PASSWORD_HINT}
+            </Text>
           </View>
 
           {/* Confirm Password */}
@@ -406,6 +419,24 @@ export default function CreateUserScreen({ navigation, route }) {
             </View>
           </View>
 
+          {/* Must Change Password */}
+          <View className="flex-row items-center" style={{ marginBottom: spacing.lg }}>
+            <View className="flex-1" style={{ marginRight: spacing.md }}>
+              <Text className="font-medium" style={{ color: colors.text, fontSize: responsiveFont(14) }}>
+                Require password change at first login
+              </Text>
+              <Text style={{ color: colors.textSecondary, fontSize: responsiveFont(12), marginTop: spacing.xs / 2 }}>
+                The user must choose their own password before using the app
+              </Text>
+            </View>
+            <Switch
+              value={formData.mustChangePassword}
+              onValueChange={(value) => handleInputChange('mustChangePassword', value)}
+              trackColor={{ false: colors.border, true: colors.primary }}
+              thumbColor="#ffffff"
+            />
+          </View>
+
           {/* Create Button */}
           <TouchableOpacity
             style={{
@@ -13,6 +13,8 @@ import {
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { Ionicons } from '@expo/vector-icons';
 import { getUserAttendanceRecords } from '../utils/storage';
+import { getPendingPunchCount, subscribeToPendingPunches } from '../features/attendance/services/punchQueue';
+import { syncPendingPunchesNow } from '../features/attendance/services/punchSyncService';
 import { useAuth } from '../contexts/AuthContext';
 import { 
   getEmployeeByUsername, 
@@ -64,6 +66,8 @@ export default function EmployeeDashboard({ route }) {
   const [unreadNotificationCount, setUnreadNotificationCount] = useState(0);
   const [leaveBalance, setLeaveBalance] = useState(null);
   const [remainingLeaves, setRemainingLeaves] = useState(null);
+  const [pendingPunchCount, setPendingPunchCount] = useState(0);
+  const [isSyncingPunches, setIsSyncingPunches] = useState(false);
 
   useEffect(() => {
     loadData();
@@ -102,6 +106,12 @@ export default function EmployeeDashboard({ route }) {
     };
     const appStateSubscription = AppState.addEventListener('change', handleAppStateChange);
 
+    // Punches queued offline: refresh the count and status when they are queued or synced
+    const unsubscribeFromPendingPunches = subscribeToPendingPunches(() => {
+      loadPendingPunchCount();
+      loadLastRecord();
+    });
+
     return () => {
       // Only call unsubscribe if it's a function
       if (typeof unsubscribe === 'function') {
@@ -115,6 +125,7 @@ export default function EmployeeDashboard({ route }) {
       }
       clearInterval(notificationInterval);
       appStateSubscription?.remove();
+      unsubscribeFromPendingPunches();
     };
   }, [navigation]);
 
@@ -142,10 +153,33 @@ export default function EmployeeDashboard({ route }) {
       loadEmployeeData(),
       loadMyRequests(),
       loadNotificationCount(),
-      loadLeaveBalance()
+      loadLeaveBalance(),
+      loadPendingPunchCount()
     ]);
   };
 
+  const loadPendingPunchCount = async () => {
+    try {
+      const count = await getPendingPunchCount(user.username);
+      setPendingPunchCount(count);
+    } catch (error) {
+      console.error('Error loading pending punch count:', error);
+    }
+  };
+
+  const handleSyncPunches = async () => {
+    setIsSyncingPunches(true);
+    const result = await syncPendingPunchesNow({ force: true });
+    setIsSyncingPunches(false);
+
+    if (result && result.remaining > 0) {
+      Alert.alert(
+        'Still Offline',
+        'Your punches are saved on this device and will sync automatically when the connection is back.'
+      );
+    }
+  };
+
   const loadLeaveBalance = async () => {
     try {
       if (employee) {
@@ -445,6 +479,41 @@ export default function EmployeeDashboard({ route }) {
               </Text>
             </View>
           )}
+
+          {/* Punches saved offline */}
+          {pendingPunchCount > 0 && (
+            <View 
+              className="flex-row items-center rounded-lg"
+              style={{ 
+                backgroundColor: colors.warningLight,
+                padding: spacing.sm,
+                marginTop: spacing.md,
+              }}
+            >
+              <Ionicons name="cloud-upload-outline" size={iconSize.md} color={colors.warning} />
+              <Text 
+                className="flex-1"
+                style={{ 
+                  color: colors.text,
+                  fontSize: responsiveFont(13),
+                  marginLeft: spacing.sm,
+                }}
+              >
+                {pendingPunchCount} punch{pendingPunchCount !== 1 ? 'es' : ''} pending sync
+              </Text>
+              <TouchableOpacity onPress={handleSyncPunches} disabled={isSyncingPunches}>
+                <Text 
+                  className="font-semibold"
+                  style={{ 
+                    color: colors.primary,
+                    fontSize: responsiveFont(13),
+                  }}
+                >
+                  {isSyncingPunches ? 'Syncing...' : 'Sync now'}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          )}
         </View>
 
         {/* Location Warning Banner - Show when outside radius and auto checkout is disabled */}
@@ -485,7 +554,7 @@ export default function EmployeeDashboard({ route }) {
                   lineHeight: 16,
                 }}
               >
-                You are {locationState.formattedDistance || 'outside'} from the office. Manual checkout is blocked until you return within 1km.
+                You are {locationState.formattedDistance ? `${locationState.formattedDistance} outside` : 'outside'} {locationState.site?.name || 'the office'}. Manual checkout is blocked until you return to the site.
               </Text>
             </View>
           </View>
@@ -11,7 +11,7 @@ import {
 } from 'react-native';
 import { useNavigation } from '@react-navigation/native';
 import { Ionicons } from '@expo/vector-icons';
-import { authenticateUser } from '../utils/auth';
+import { authenticateUser, verifyTwoFactorLogin } from '../utils/auth';
 import { useAuth } from '../contexts/AuthContext';
 import { useTheme } from '../contexts/ThemeContext';
 import { fontSize, spacing, iconSize, componentSize, responsivePadding, responsiveFont, wp } from '../utils/responsive';
@@ -36,6 +36,11 @@ export default function LoginScreen() {
   const [biometricAvailable, setBiometricAvailable] = useState(false);
   const [biometricType, setBiometricType] = useState('');
   const [hasSavedCredentials, setHasSavedCredentials] = useState(false);
+  // "Locked until" notice shown under the form after a lockout/throttling response
+  const [lockNotice, setLockNotice] = useState(null);
+  // Second login step for accounts with two-factor authentication: { usernameOrEmail, password, challengeToken }
+  const [twoFactorChallenge, setTwoFactorChallenge] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
 
   // Load saved credentials and check biometric availability on mount
   useEffect(() => {
@@ -73,6 +78,101 @@ export default function LoginScreen() {
     initializeLogin();
   }, []);
 
+  /**
+   * Build the message for a locked account or throttled network
+   * @param {Object} result - authenticateUser result with code and lockedUntil
+   * @returns {{title: string, message: string}}
+   */
+  const getLockNotice = (result) => {
+    const until = new Date(result.lockedUntil);
+    const sameDay = until.toDateString() === new Date().toDateString();
+    const time = until.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const when = sameDay ? time : `${until.toLocaleDateString()} ${time}`;
+
+    if (result.code === 'ACCOUNT_LOCKED') {
+      return {
+        title: 'Account Locked',
+        message: `Too many failed sign-in attempts. This account is locked until ${when}. Try again then, or ask an administrator to unlock it.`,
+      };
+    }
+    if (result.code === 'RATE_LIMITED') {
+      return {
+        title: 'Too Many Attempts',
+        message: `Too many sign-in attempts. Please try again after ${when}.`,
+      };
+    }
+    return {
+      title: 'Too Many Attempts',
+      message: `Too many failed sign-in attempts from this network. Please try again after ${when}.`,
+    };
+  };
+
+  /**
+   * Sign the user in once authentication (and the two-factor step, if any) succeeded
+   * @param {Object} result - authenticateUser or verifyTwoFactorLogin result
+   * @param {string} usernameToUse - Username or email used to sign in
+   * @param {string} passwordToUse - Password used to sign in
+   */
+  const completeLogin = async (result, usernameToUse, passwordToUse) => {
+    setLockNotice(null);
+    setTwoFactorChallenge(null);
+    setTwoFactorCode('');
+
+    // Save or clear credentials based on Remember Me checkbox
+    if (rememberMe) {
+      await saveCredentials(usernameToUse.trim(), passwordToUse);
+      setHasSavedCredentials(true);
+    } else {
+      await clearCredentials();
+      setHasSavedCredentials(false);
+    }
+
+    // Ensure employees are initialized first
+    const { initializeDefaultEmployees, getEmployeeByUsername } = await import('../utils/employees');
+    await initializeDefaultEmployees();
+    
+    // Fetch full employee data including department
+    const employee = await getEmployeeByUsername(result.user.username);
+    console.log('Employee lookup result:', employee);
+    
+    if (employee) {
+      // Use employee data but prioritize auth role (more reliable)
+      const userData = {
+        username: employee.username,
+        role: result.user.role, // Use role from authentication, not employee data
+        department: employee.department,
+        name: employee.name,
+        email: employee.email,
+        id: employee.id,
+        mustChangePassword: result.user.mustChangePassword,
+        twoFactorSetupRequired: result.user.twoFactorSetupRequired
+      };
+      console.log('Logging in with employee data (using auth role):', userData);
+      loginUser(userData);
+    } else {
+      // Fallback to basic user data if employee not found
+      const userData = {
+        username: result.user.username,
+        role: result.user.role,
+        mustChangePassword: result.user.mustChangePassword,
+        twoFactorSetupRequired: result.user.twoFactorSetupRequired
+      };
+      console.log('Logging in with auth data (employee not found):', userData);
+      loginUser(userData);
+    }
+  };
+
+  /**
+   * Show a locked account or throttled network under the form
+   * @param {Object} result - Result with code and lockedUntil
+   */
+  const showLockNotice = (result) => {
+    console.log('Authentication blocked:', result.code, 'until', result.lockedUntil);
+    const notice = getLockNotice(result);
+    setLockNotice(notice.message);
+    Alert.alert(notice.title, notice.message);
+  };
+
   const performLogin = async (usernameToUse, passwordToUse) => {
     setIsLoading(true);
     try {
@@ -81,44 +181,18 @@ export default function LoginScreen() {
       console.log('Authentication result:', result);
       
       if (result.success) {
-        // Save or clear credentials based on Remember Me checkbox
-        if (rememberMe) {
-          await saveCredentials(usernameToUse.trim(), passwordToUse);
-          setHasSavedCredentials(true);
-        } else {
-          await clearCredentials();
-          setHasSavedCredentials(false);
-        }
-
-        // Ensure employees are initialized first
-        const { initializeDefaultEmployees, getEmployeeByUsername } = await import('../utils/employees');
-        await initializeDefaultEmployees();
-        
-        // Fetch full employee data including department
-        const employee = await getEmployeeByUsername(result.user.username);
-        console.log('Employee lookup result:', employee);
-        
-        if (employee) {
-          // Use employee data but prioritize auth role (more reliable)
-          const userData = {
-            username: employee.username,
-            role: result.user.role, // Use role from authentication, not employee data
-            department: employee.department,
-            name: employee.name,
-            email: employee.email,
-            id: employee.id
-          };
-          console.log('Logging in with employee data (using auth role):', userData);
-          loginUser(userData);
-        } else {
-          // Fallback to basic user data if employee not found
-          const userData = {
-            username: result.user.username,
-            role: result.user.role
-          };
-          console.log('Logging in with auth data (employee not found):', userData);
-          loginUser(userData);
-        }
+        await completeLogin(result, usernameToUse, passwordToUse);
+      } else if (result.twoFactorRequired) {
+        // Ask for the authenticator code before signing in
+        setLockNotice(null);
+        setTwoFactorCode('');
+        setTwoFactorChallenge({
+          usernameOrEmail: usernameToUse.trim(),
+          password: passwordToUse,
+          challengeToken: result.challengeToken,
+        });
+      } else if (result.lockedUntil) {
+        showLockNotice(result);
       } else {
         console.log('Authentication failed');
         Alert.alert('Login Failed', result.error || 'Invalid username or password');
@@ -140,6 +214,44 @@ export default function LoginScreen() {
     await performLogin(username, password);
   };
 
+  const handleVerifyTwoFactor = async () => {
+    if (!twoFactorCode.trim()) {
+      Alert.alert('Error', 'Please enter the code from your authenticator app');
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const { usernameOrEmail, password: challengePassword, challengeToken } = twoFactorChallenge;
+      const result = await verifyTwoFactorLogin(usernameOrEmail, challengePassword, challengeToken, twoFactorCode);
+
+      if (result.success) {
+        if (typeof result.recoveryCodesRemaining === 'number') {
+          Alert.alert(
+            'Recovery Code Used',
+            `You have ${result.recoveryCodesRemaining} recovery code${result.recoveryCodesRemaining === 1 ? '' : 's'} left. `
+              + 'Create new ones under Settings > Two-Factor Authentication.'
+          );
+        }
+        await completeLogin(result, usernameOrEmail, challengePassword);
+      } else if (result.lockedUntil) {
+        setTwoFactorChallenge(null);
+        showLockNotice(result);
+      } else if (result.challengeExpired) {
+        setTwoFactorChallenge(null);
+        Alert.alert('Sign In Expired', result.error);
+      } else {
+        setTwoFactorCode('');
+        Alert.alert('Invalid Code', result.error || 'Invalid verification code');
+      }
+    } catch (error) {
+      console.error('Two-factor login error:', error);
+      Alert.alert('Error', `An error occurred during login: ${error.message || 'Unknown error'}`);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
   const handleBiometricLogin = async () => {
     if (!hasSavedCredentials) {
       Alert.alert('No Saved Credentials', 'Please login with username and password first, and enable "Remember Me" to use biometric login.');
@@ -181,6 +293,141 @@ export default function LoginScreen() {
     }
   };
 
+  // Second step for accounts with two-factor authentication
+  if (twoFactorChallenge) {
+    return (
+      <KeyboardAvoidingView 
+        className="flex-1"
+        style={{ backgroundColor: colors.background }}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <ScrollView 
+          contentContainerStyle={{ flexGrow: 1 }}
+          keyboardShouldPersistTaps="handled"
+        >
+          <View 
+            className="flex-1 justify-center"
+            style={{ paddingHorizontal: responsivePadding(32) }}
+          >
+            <View 
+              className="items-center"
+              style={{ marginBottom: spacing['3xl'] }}
+            >
+              <Logo size="medium" style={{ marginBottom: spacing.lg }} />
+            </View>
+
+            <View 
+              className="rounded-2xl shadow-lg"
+              style={{ 
+                backgroundColor: colors.surface,
+                padding: responsivePadding(24),
+              }}
+            >
+              <Text 
+                className="font-semibold text-center"
+                style={{ 
+                  color: colors.text,
+                  fontSize: responsiveFont(20),
+                  marginBottom: spacing.xs,
+                }}
+              >
+                Two-Step Verification
+              </Text>
+              <Text 
+                className="text-center"
+                style={{ 
+                  color: colors.textSecondary,
+                  fontSize: responsiveFont(14),
+                  marginBottom: spacing.lg,
+                }}
+              >
+                Enter the 6-digit code from your authenticator app, or one of your recovery codes
+              </Text>
+
+              <View 
+                className="flex-row items-center rounded-xl"
+                style={{
+                  backgroundColor: colors.borderLight,
+                  paddingHorizontal: responsivePadding(16),
+                  paddingVertical: spacing.md,
+                  marginBottom: spacing.lg,
+                }}
+              >
+                <Ionicons name="keypad-outline" size={iconSize.md} color={colors.textSecondary} />
+                <TextInput
+                  className="flex-1"
+                  placeholder="123456"
+                  value={twoFactorCode}
+                  onChangeText={setTwoFactorCode}
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                  autoFocus
+                  textContentType="oneTimeCode"
+                  onSubmitEditing={handleVerifyTwoFactor}
+                  returnKeyType="go"
+                  style={{
+                    color: colors.text,
+                    fontSize: responsiveFont(16),
+                    marginLeft: spacing.md,
+                    letterSpacing: 2,
+                  }}
+                  placeholderTextColor={colors.textTertiary}
+                />
+              </View>
+
+              <TouchableOpacity
+                style={{
+                  backgroundColor: colors.primary,
+                  borderRadius: 12,
+                  paddingVertical: componentSize.buttonHeight / 2,
+                  alignItems: 'center',
+                  marginBottom: spacing.md,
+                  opacity: isLoading ? 0.5 : 1,
+                  minHeight: componentSize.buttonHeight,
+                  justifyContent: 'center',
+                }}
+                onPress={handleVerifyTwoFactor}
+                disabled={isLoading}
+                activeOpacity={0.8}
+              >
+                <Text 
+                  style={{ 
+                    color: 'white', 
+                    fontWeight: '600', 
+                    fontSize: responsiveFont(isLoading ? 16 : 18),
+                  }}
+                >
+                  {isLoading ? 'Verifying...' : 'Verify'}
+                </Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity
+                onPress={() => {
+                  setTwoFactorChallenge(null);
+                  setTwoFactorCode('');
+                }}
+                style={{ alignItems: 'center' }}
+                disabled={isLoading}
+              >
+                <Text
+                  style={{
+                    color: colors.primary,
+                    fontSize: responsiveFont(14),
+                  }}
+                >
+                  Back to Sign In
+                </Text>
+              </TouchableOpacity>
+            </View>
+
+            {/* Trademark */}
+            <Trademark position="bottom" style={{ marginTop: spacing['2xl'] }} />
+          </View>
+        </ScrollView>
+      </KeyboardAvoidingView>
+    );
+  }
+
   return (
     <KeyboardAvoidingView 
       className="flex-1"
@@ -266,7 +513,10 @@ export default function LoginScreen() {
                   className="flex-1"
                   placeholder="Enter your username"
                   value={username}
-                  onChangeText={setUsername}
+                  onChangeText={(text) => {
+                    setUsername(text);
+                    setLockNotice(null);
+                  }}
                   autoCapitalize="none"
                   autoCorrect={false}
                   style={{
@@ -374,6 +624,31 @@ export default function LoginScreen() {
               </TouchableOpacity>
             </View>
 
+            {/* Lockout Notice */}
+            {lockNotice && (
+              <View
+                className="flex-row items-center rounded-xl"
+                style={{
+                  backgroundColor: colors.errorLight,
+                  paddingHorizontal: responsivePadding(12),
+                  paddingVertical: spacing.sm,
+                  marginBottom: spacing.md,
+                }}
+              >
+                <Ionicons name="time-outline" size={iconSize.md} color={colors.error} />
+                <Text
+                  className="flex-1"
+                  style={{
+                    color: colors.error,
+                    fontSize: responsiveFont(13),
+                    marginLeft: spacing.sm,
+                  }}
+                >
+                  {lockNotice}
+                </Text>
+              </View>
+            )}
+
             {/* Login Button */}
             <TouchableOpacity
               style={{
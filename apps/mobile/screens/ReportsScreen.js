@@ -1,6 +1,7 @@
 /**
- * Reports Screen - Super Admin only
- * Allows Super Admin to generate reports
+ * Reports Screen - Super Admin and Managers
+ * Allows Super Admin to generate company-wide reports and managers to generate
+ * reports for their own department
  */
 import React from 'react';
 import {
@@ -26,8 +27,8 @@ export default function ReportsScreen({ route, navigation }) {
   // Use user from route params or auth context (avoid duplicate user variable)
   const currentUser = routeUser || authUser;
 
-  // Only show for super admin
-  if (!currentUser || currentUser.role !== 'super_admin') {
+  // Only show for super admin and managers (managers are limited to their department server-side)
+  if (!currentUser || (currentUser.role !== 'super_admin' && currentUser.role !== 'manager')) {
     return (
       <SafeAreaView style={[styles.container, { backgroundColor: colors.background }]} edges={['top']}>
         <View style={[styles.header, { backgroundColor: colors.primary }]}>
@@ -37,7 +38,7 @@ export default function ReportsScreen({ route, navigation }) {
         </View>
         <View style={[styles.content, { backgroundColor: colors.background }]}>
           <Text style={[styles.errorText, { color: colors.error, fontSize: responsiveFont(16) }]}>
-            Access Denied. Only Super Admins can access this section.
+            Access Denied. Only Super Admins and Managers can access this section.
           </Text>
         </View>
       </SafeAreaView>
@@ -87,7 +88,9 @@ export default function ReportsScreen({ route, navigation }) {
             <View style={styles.featureItem}>
               <Ionicons name="checkmark-circle" size={iconSize.sm} color={colors.primary} />
               <Text style={[styles.featureText, { color: colors.text, fontSize: responsiveFont(13) }]}>
-                Company-wide overview statistics
+                {currentUser.role === 'super_admin'
+                  ? 'Company-wide overview statistics'
+                  : `Overview statistics for ${currentUser.department || 'your department'}`}
               </Text>
             </View>
             <View style={styles.featureItem}>
@@ -6,7 +6,7 @@
  * - Supabase handles token validation automatically
  * - User is auto-authenticated via recovery token in deep link
  * - No password data stored
- * - Uses Supabase Auth only
+ * - The new password is set through the auth service, which enforces the password policy
  */
 
 import React, { useState, useEffect } from 'react';
@@ -24,6 +24,8 @@ import {
 import { useNavigation } from '@react-navigation/native';
 import { Ionicons } from '@expo/vector-icons';
 import { supabase } from '../core/config/supabase';
+import { resetPassword } from '../utils/passwordChange';
+import { PASSWORD_HINT } from '../utils/passwordPolicy';
 import { useAuth } from '../core/contexts/AuthContext';
 import { useTheme } from '../contexts/ThemeContext';
 import { fontSize, spacing, iconSize, componentSize, responsivePadding, responsiveFont } from '../utils/responsive';
@@ -76,8 +78,6 @@ export default function ResetPasswordScreen({ route }) {
 
     if (!newPassword.trim()) {
       newErrors.newPassword = 'New password is required';
-    } else if (newPassword.length < 6) {
-      newErrors.newPassword = 'Password must be at least 6 characters long';
     }
 
     if (!confirmPassword.trim()) {
@@ -119,31 +119,21 @@ export default function ResetPasswordScreen({ route }) {
     setIsResetting(true);
 
     try {
-      // Update password using Supabase Auth
-      // Supabase automatically validates the recovery token
-      const { error: updateError } = await supabase.auth.updateUser({
-        password: newPassword,
-      });
+      // The recovery session stands in for the current password
+      const result = await resetPassword(newPassword);
 
-      if (updateError) {
-        console.error('Password reset error:', updateError.message);
+      if (!result.success) {
+        console.error('Password reset error:', result.error);
         
-        // Handle specific error cases
-        if (updateError.message?.includes('Password should be at least')) {
+        // Policy violations and reused passwords
+        if (result.code === 'PASSWORD_POLICY' || result.code === 'PASSWORD_REUSED') {
           setErrors({
-            newPassword: 'Password does not meet security requirements',
+            newPassword: result.error,
           });
           return;
         }
 
-        if (updateError.message?.includes('same as the old password')) {
-          setErrors({
-            newPassword: 'New password must be different from your current password',
-          });
-          return;
-        }
-
-        if (updateError.message?.includes('expired') || updateError.message?.includes('invalid')) {
+        if (result.sessionExpired) {
           Alert.alert(
             'Link Expired',
             'This password reset link has expired. Please request a new password reset link.',
@@ -157,7 +147,7 @@ export default function ResetPasswordScreen({ route }) {
           return;
         }
 
-        Alert.alert('Error', updateError.message || 'Failed to reset password. Please try again.');
+        Alert.alert('Error', result.error || 'Failed to reset password. Please try again.');
         return;
       }
 
@@ -388,7 +378,7 @@ export default function ResetPasswordScreen({ route }) {
                     fontSize: responsiveFont(14),
                     marginLeft: spacing.md,
                   }}
-                  placeholder="Enter new password (min. 6 characters)"
+                  placeholder="Enter new password"
                   placeholderTextColor={colors.textTertiary}
                   value={newPassword}
                   onChangeText={(text) => {
@@ -436,7 +426,7 @@ export default function ResetPasswordScreen({ route }) {
                   marginTop: spacing.xs / 2,
                 }}
               >
-                Password must be at least 6 characters long
+                {PASSWORD_HINT}
               </Text>
             </View>
 
@@ -12,6 +12,7 @@ import {
 import { useNavigation } from '@react-navigation/native';
 import { Ionicons } from '@expo/vector-icons';
 import { createSignupRequest } from '../utils/signupRequests';
+import { checkPassword, PASSWORD_HINT } from '../utils/passwordPolicy';
 import { useTheme } from '../contexts/ThemeContext';
 import { fontSize, spacing, iconSize, componentSize, responsivePadding, responsiveFont, wp } from '../utils/responsive';
 import Logo from '../components/Logo';
@@ -48,10 +49,6 @@ export default function SignUpScreen() {
       Alert.alert('Validation Error', 'Password is required');
       return false;
     }
-    if (formData.password.length < 6) {
-      Alert.alert('Validation Error', 'Password must be at least 6 characters');
-      return false;
-    }
     if (formData.password !== formData.confirmPassword) {
       Alert.alert('Validation Error', 'Passwords do not match');
       return false;
@@ -78,6 +75,16 @@ export default function SignUpScreen() {
 
     setIsLoading(true);
     try {
+      // Checked now so the request doesn't fail when an admin approves it
+      const passwordCheck = await checkPassword(formData.password, {
+        username: formData.username.trim(),
+        email: formData.email.trim(),
+      });
+      if (!passwordCheck.valid) {
+        Alert.alert('Validation Error', passwordCheck.errors.join('\n'));
+        return;
+      }
+
       const result = await createSignupRequest({
         username: formData.username.trim(),
         password: formData.password,
@@ -317,6 +324,9 @@ export default function SignUpScreen() {
                   />
                 </TouchableOpacity>
               </View>
+              <Text style={{ color: colors.textTertiary, fontSize: responsiveFont(12), marginTop: spacing.xs / 2 }}>
+                {PASSWORD_HINT}
+              </Text>
             </View>
 
             {/* Confirm Password Input */}
@@ -0,0 +1,215 @@
+/**
+ * Suspicious Punches Screen
+ * Check-ins and check-outs whose location the server scored as likely spoofed (mock location,
+ * impossible travel since the previous punch, implausible speed, low accuracy), newest first
+ * Super admins and HR admins only (get_suspicious_punches)
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  FlatList,
+  TouchableOpacity,
+  Alert,
+  RefreshControl,
+  ActivityIndicator,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../contexts/ThemeContext';
+import {
+  getSuspiciousPunches,
+  RISK_FLAG_LABELS,
+} from '../features/geofencing/services/locationIntegrityService';
+import { formatDistance } from '../features/geofencing/utils/distance';
+import { spacing, iconSize, responsivePadding, responsiveFont } from '../utils/responsive';
+
+const PERIOD_FILTERS = [
+  { title: 'Last 7 days', days: 7 },
+  { title: 'Last 30 days', days: 30 },
+  { title: 'Last 90 days', days: 90 },
+];
+
+// Scores from this value are shown as high risk (red), lower ones as medium (amber)
+const HIGH_RISK_SCORE = 80;
+
+export default function SuspiciousPunchesScreen() {
+  const { colors } = useTheme();
+  const [punches, setPunches] = useState([]);
+  const [days, setDays] = useState(30);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isRefreshing, setIsRefreshing] = useState(false);
+
+  useEffect(() => {
+    loadPunches();
+  }, [days]);
+
+  const loadPunches = async () => {
+    const result = await getSuspiciousPunches({ days });
+
+    if (result.success) {
+      setPunches(result.punches);
+    } else {
+      Alert.alert('Error', result.error || 'Failed to load suspicious punches');
+    }
+    setIsLoading(false);
+  };
+
+  const onRefresh = async () => {
+    setIsRefreshing(true);
+    await loadPunches();
+    setIsRefreshing(false);
+  };
+
+  const selectPeriod = (value) => {
+    if (value === days) return;
+    setIsLoading(true);
+    setDays(value);
+  };
+
+  const renderPunch = ({ item }) => {
+    const { location } = item;
+    const riskColor = item.riskScore >= HIGH_RISK_SCORE ? colors.error : colors.warning;
+    const details = [
+      typeof location.accuracy === 'number' ? `±${formatDistance(location.accuracy, 0)}` : 'No accuracy',
+      location.provider ? `Provider: ${location.provider}` : null,
+      location.travel_speed_kmh ? `${location.travel_speed_kmh} km/h since the previous punch` : null,
+    ].filter(Boolean);
+
+    return (
+      <View
+        className="rounded-xl shadow-sm"
+        style={{
+          backgroundColor: colors.surface,
+          padding: responsivePadding(16),
+          marginBottom: spacing.md,
+          borderLeftWidth: 4,
+          borderLeftColor: riskColor,
+        }}
+      >
+        <View className="flex-row items-center" style={{ marginBottom: spacing.xs }}>
+          <Ionicons
+            name={item.type === 'checkin' ? 'log-in-outline' : 'log-out-outline'}
+            size={iconSize.md}
+            color={colors.primary}
+          />
+          <Text
+            className="font-semibold flex-1"
+            style={{ color: colors.text, fontSize: responsiveFont(16), marginLeft: spacing.sm }}
+          >
+            {item.employeeName || item.username}
+          </Text>
+          <View
+            className="rounded-full"
+            style={{ backgroundColor: riskColor, paddingHorizontal: spacing.sm, paddingVertical: 2 }}
+          >
+            <Text className="font-semibold" style={{ color: '#ffffff', fontSize: responsiveFont(12) }}>
+              Risk {item.riskScore}
+            </Text>
+          </View>
+        </View>
+
+        <Text style={{ color: colors.textSecondary, fontSize: responsiveFont(14) }}>
+          {item.type === 'checkin' ? 'Check-in' : 'Check-out'} · {new Date(item.timestamp).toLocaleString()}
+        </Text>
+
+        {item.riskFlags.length > 0 && (
+          <View className="flex-row flex-wrap" style={{ marginTop: spacing.sm }}>
+            {item.riskFlags.map(flag => (
+              <View
+                key={flag}
+                className="rounded-full"
+                style={{
+                  backgroundColor: colors.borderLight,
+                  paddingHorizontal: spacing.sm,
+                  paddingVertical: 2,
+                  marginRight: spacing.xs,
+                  marginBottom: spacing.xs,
+                }}
+              >
+                <Text style={{ color: colors.text, fontSize: responsiveFont(12) }}>
+                  {RISK_FLAG_LABELS[flag] || flag}
+                </Text>
+              </View>
+            ))}
+          </View>
+        )}
+
+        <Text style={{ color: colors.text, fontSize: responsiveFont(13), marginTop: spacing.xs }}>
+          {location.site_name || location.address || 'Location unavailable'}
+        </Text>
+
+        <Text style={{ color: colors.textTertiary, fontSize: responsiveFont(12), marginTop: spacing.xs }}>
+          {details.join(' · ')}
+        </Text>
+      </View>
+    );
+  };
+
+  const FilterButton = ({ title, value }) => {
+    const isActive = days === value;
+    return (
+      <TouchableOpacity
+        className="rounded-full"
+        style={{
+          backgroundColor: isActive ? colors.primary : colors.borderLight,
+          paddingHorizontal: responsivePadding(16),
+          paddingVertical: spacing.xs,
+          marginRight: spacing.xs,
+        }}
+        onPress={() => selectPeriod(value)}
+      >
+        <Text
+          className="font-medium"
+          style={{ color: isActive ? '#ffffff' : colors.text, fontSize: responsiveFont(14) }}
+        >
+          {title}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View className="flex-1" style={{ backgroundColor: colors.background }}>
+      {/* Filters */}
+      <View
+        className="shadow-sm flex-row"
+        style={{
+          backgroundColor: colors.surface,
+          paddingHorizontal: responsivePadding(16),
+          paddingVertical: responsivePadding(12),
+        }}
+      >
+        {PERIOD_FILTERS.map(filter => (
+          <FilterButton key={filter.days} title={filter.title} value={filter.days} />
+        ))}
+      </View>
+
+      {isLoading ? (
+        <View className="flex-1 justify-center items-center">
+          <ActivityIndicator size="large" color={colors.primary} />
+        </View>
+      ) : (
+        <FlatList
+          data={punches}
+          renderItem={renderPunch}
+          keyExtractor={(item) => item.id}
+          contentContainerStyle={{ padding: responsivePadding(16), flexGrow: 1 }}
+          refreshControl={<RefreshControl refreshing={isRefreshing} onRefresh={onRefresh} />}
+          ListEmptyComponent={
+            <View className="flex-1 justify-center items-center">
+              <Ionicons name="shield-checkmark-outline" size={iconSize['4xl']} color={colors.textTertiary} />
+              <Text
+                className="font-semibold text-center"
+                style={{ color: colors.textSecondary, fontSize: responsiveFont(18), marginTop: spacing.md }}
+              >
+                No suspicious punches
+              </Text>
+            </View>
+          }
+          showsVerticalScrollIndicator={false}
+        />
+      )}
+    </View>
+  );
+}
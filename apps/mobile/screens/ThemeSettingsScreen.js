@@ -14,6 +14,8 @@ import { Ionicons } from '@expo/vector-icons';
 import { useTheme } from '../contexts/ThemeContext';
 import { useAuth } from '../core/contexts/AuthContext';
 import { changePassword } from '../utils/passwordChange';
+import { PASSWORD_HINT } from '../utils/passwordPolicy';
+import { ROUTES } from '../shared/constants/routes';
 
 export default function ThemeSettingsScreen({ navigation, route }) {
   const { user } = route.params;
@@ -44,10 +46,9 @@ export default function ThemeSettingsScreen({ navigation, route }) {
       errors.currentPassword = 'Current password is required';
     }
 
+    // The password policy itself is checked by the server when the password is changed
     if (!newPassword.trim()) {
       errors.newPassword = 'New password is required';
-    } else if (newPassword.length < 6) {
-      errors.newPassword = 'Password must be at least 6 characters long';
     }
 
     if (!confirmPassword.trim()) {
@@ -103,6 +104,10 @@ export default function ThemeSettingsScreen({ navigation, route }) {
             }
           ]
         );
+      } else if (result.code === 'INVALID_CURRENT_PASSWORD') {
+        setPasswordErrors({ currentPassword: result.error });
+      } else if (result.code === 'PASSWORD_POLICY' || result.code === 'PASSWORD_REUSED') {
+        setPasswordErrors({ newPassword: result.error });
       } else {
         // Show error message
         Alert.alert('Error', result.error || 'Failed to change password');
@@ -522,6 +527,71 @@ export default function ThemeSettingsScreen({ navigation, route }) {
             </Text>
           </TouchableOpacity>
         </View>
+
+        {/* Two-Factor Authentication Section */}
+        <View
+          style={{
+            backgroundColor: colors.surface,
+            borderRadius: 16,
+            padding: 16,
+            marginBottom: 16,
+            shadowColor: colors.shadow,
+            shadowOffset: { width: 0, height: 2 },
+            shadowOpacity: 0.1,
+            shadowRadius: 4,
+            elevation: 3,
+          }}
+        >
+          <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: 12 }}>
+            <View
+              style={{
+                width: 40,
+                height: 40,
+                borderRadius: 20,
+                backgroundColor: colors.primaryLight,
+                alignItems: 'center',
+                justifyContent: 'center',
+                marginRight: 12,
+              }}
+            >
+              <Ionicons name="shield-checkmark" size={20} color={colors.primary} />
+            </View>
+            <View style={{ flex: 1 }}>
+              <Text
+                style={{
+                  fontSize: 16,
+                  fontWeight: '600',
+                  color: colors.text,
+                }}
+              >
+                Two-Factor Authentication
+              </Text>
+              <Text
+                style={{
+                  fontSize: 12,
+                  color: colors.textSecondary,
+                  marginTop: 2,
+                }}
+              >
+                Ask for a code from your authenticator app when you sign in
+              </Text>
+            </View>
+          </View>
+          <TouchableOpacity
+            onPress={() => navigation.navigate(ROUTES.TWO_FACTOR)}
+            style={{
+              backgroundColor: colors.primary,
+              borderRadius: 8,
+              padding: 12,
+              alignItems: 'center',
+              marginTop: 8,
+            }}
+          >
+            <Text style={{ color: 'white', fontWeight: '600', fontSize: 14 }}>
+              Manage Two-Factor Authentication
+            </Text>
+          </TouchableOpacity>
+        </View>
       </View>
 
       {/* Change Password Modal */}
@@ -651,7 +721,7 @@ export default function ThemeSettingsScreen({ navigation, route }) {
                       color: colors.text,
                       fontSize: 16,
                     }}
-                    placeholder="Enter new password (min. 6 characters)"
+                    placeholder="Enter new password"
                     placeholderTextColor={colors.textTertiary}
                     value={newPassword}
                     onChangeText={(text) => {
@@ -685,7 +755,7 @@ export default function ThemeSettingsScreen({ navigation, route }) {
                   </Text>
                 )}
                 <Text style={{ fontSize: 12, color: colors.textTertiary, marginTop: 4 }}>
-                  Password must be at least 6 characters long
+                  {PASSWORD_HINT}
                 </Text>
               </View>
 
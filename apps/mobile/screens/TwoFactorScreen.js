@@ -0,0 +1,432 @@
+/**
+ * Two-Factor Authentication Screen
+ * Set up an authenticator app, replace recovery codes or turn two-factor authentication off
+ * Also shown instead of the dashboard while the user's role requires two-factor authentication
+ * and it is not set up yet (user.twoFactorSetupRequired)
+ *
+ * SECURITY:
+ * - The auth service keeps the secret encrypted and checks every code
+ * - Recovery codes are shown once, right after they are created
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  Alert,
+  KeyboardAvoidingView,
+  Platform,
+  ScrollView,
+  ActivityIndicator,
+  Linking,
+  Share,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useAuth } from '../core/contexts/AuthContext';
+import { useTheme } from '../contexts/ThemeContext';
+import {
+  getTwoFactorStatus,
+  startTwoFactorSetup,
+  enableTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+} from '../utils/twoFactor';
+import { spacing, iconSize, componentSize, responsivePadding, responsiveFont } from '../utils/responsive';
+import Logo from '../components/Logo';
+
+export default function TwoFactorScreen() {
+  const { user, handleTwoFactorEnabled, handleLogout } = useAuth();
+  const { colors } = useTheme();
+  // Shown without the app around it until the required setup is done
+  const isRequiredSetup = user?.twoFactorSetupRequired === true;
+  const [status, setStatus] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [enrollment, setEnrollment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [codeError, setCodeError] = useState(null);
+
+  const loadStatus = async () => {
+    setIsLoading(true);
+    const result = await getTwoFactorStatus();
+    if (result.success) {
+      setStatus(result.data);
+    } else {
+      handleFailure(result);
+    }
+    setIsLoading(false);
+  };
+
+  useEffect(() => {
+    loadStatus();
+  }, []);
+
+  /**
+   * Show a failed request: wrong codes under the input, expired sessions sign out
+   * @param {Object} result - utils/twoFactor result
+   */
+  const handleFailure = (result) => {
+    if (result.sessionExpired) {
+      Alert.alert('Session Expired', result.error, [{ text: 'OK', onPress: handleLogout }]);
+    } else if (result.code === 'INVALID_TWO_FACTOR_CODE') {
+      setCodeError(result.error);
+    } else {
+      Alert.alert('Error', result.error || 'Something went wrong');
+    }
+  };
+
+  const handleStartSetup = async () => {
+    setIsSaving(true);
+    try {
+      const result = await startTwoFactorSetup();
+      if (result.success) {
+        setEnrollment(result.data);
+        setCode('');
+        setCodeError(null);
+      } else {
+        handleFailure(result);
+      }
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleOpenAuthenticator = async () => {
+    try {
+      await Linking.openURL(enrollment.otpauthUri);
+    } catch (error) {
+      Alert.alert(
+        'No Authenticator App Found',
+        'Install an authenticator app, or add an account in it manually with the setup key shown here.'
+      );
+    }
+  };
+
+  /**
+   * Run an action that needs the current code from the authenticator app
+   * @param {Function} action - utils/twoFactor function taking the code
+   * @returns {Promise<Object|null>} Result when it succeeded
+   */
+  const submitCode = async (action) => {
+    if (!code.trim()) {
+      setCodeError('Enter the code from your authenticator app');
+      return null;
+    }
+
+    setIsSaving(true);
+    setCodeError(null);
+    try {
+      const result = await action(code);
+      if (result.success) {
+        setCode('');
+        return result;
+      }
+      handleFailure(result);
+      return null;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleEnable = async () => {
+    const result = await submitCode(enableTwoFactor);
+    if (result) {
+      setEnrollment(null);
+      setRecoveryCodes(result.data.recoveryCodes);
+    }
+  };
+
+  const handleRegenerate = async () => {
+    const result = await submitCode(regenerateRecoveryCodes);
+    if (result) {
+      setRecoveryCodes(result.data.recoveryCodes);
+    }
+  };
+
+  const handleDisable = () => {
+    Alert.alert(
+      'Turn Off Two-Factor Authentication',
+      'Signing in will only need your password. Continue?',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Turn Off',
+          style: 'destructive',
+          onPress: async () => {
+            const result = await submitCode(disableTwoFactor);
+            if (result) {
+              Alert.alert('Two-Factor Authentication Off', result.message || 'Two-factor authentication is off');
+              loadStatus();
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleShareRecoveryCodes = async () => {
+    try {
+      await Share.share({ message: `hadir.ai recovery codes\n\n${recoveryCodes.join('\n')}` });
+    } catch (error) {
+      console.error('Error sharing recovery codes:', error);
+    }
+  };
+
+  const handleRecoveryCodesSaved = () => {
+    setRecoveryCodes(null);
+    if (isRequiredSetup) {
+      handleTwoFactorEnabled();
+    } else {
+      loadStatus();
+    }
+  };
+
+  const renderButton = ({ label, onPress, variant = 'primary' }) => (
+    <TouchableOpacity
+      style={{
+        backgroundColor: variant === 'primary' ? colors.primary : 'transparent',
+        borderWidth: variant === 'primary' ? 0 : 2,
+        borderColor: variant === 'danger' ? colors.error : colors.primary,
+        borderRadius: 12,
+        paddingVertical: spacing.md,
+        alignItems: 'center',
+        justifyContent: 'center',
+        marginTop: spacing.md,
+        opacity: isSaving ? 0.5 : 1,
+        minHeight: componentSize.buttonHeight,
+      }}
+      onPress={onPress}
+      disabled={isSaving}
+      activeOpacity={0.8}
+    >
+      {isSaving && variant === 'primary' ? (
+        <ActivityIndicator color="white" />
+      ) : (
+        <Text
+          style={{
+            color: variant === 'primary' ? 'white' : variant === 'danger' ? colors.error : colors.primary,
+            fontWeight: '600',
+            fontSize: responsiveFont(16),
+          }}
+        >
+          {label}
+        </Text>
+      )}
+    </TouchableOpacity>
+  );
+
+  const renderCodeInput = ({ placeholder, onSubmitEditing }) => (
+    <View style={{ marginTop: spacing.md }}>
+      <View
+        style={{
+          flexDirection: 'row',
+          alignItems: 'center',
+          backgroundColor: colors.borderLight,
+          borderRadius: 12,
+          paddingHorizontal: responsivePadding(16),
+          paddingVertical: spacing.md,
+          borderWidth: codeError ? 1 : 0,
+          borderColor: codeError ? colors.error : 'transparent',
+        }}
+      >
+        <Ionicons name="keypad-outline" size={iconSize.md} color={colors.textSecondary} />
+        <TextInput
+          style={{
+            flex: 1,
+            color: colors.text,
+            fontSize: responsiveFont(16),
+            marginLeft: spacing.md,
+            letterSpacing: 2,
+          }}
+          placeholder={placeholder}
+          placeholderTextColor={colors.textTertiary}
+          value={code}
+          onChangeText={(text) => {
+            setCode(text);
+            if (codeError) setCodeError(null);
+          }}
+          autoCapitalize="none"
+          autoCorrect={false}
+          editable={!isSaving}
+          onSubmitEditing={onSubmitEditing}
+        />
+      </View>
+      {codeError && (
+        <Text style={{ fontSize: responsiveFont(12), color: colors.error, marginTop: spacing.xs / 2 }}>
+          {codeError}
+        </Text>
+      )}
+    </View>
+  );
+
+  const renderParagraph = (text) => (
+    <Text style={{ color: colors.textSecondary, fontSize: responsiveFont(14), marginBottom: spacing.sm }}>
+      {text}
+    </Text>
+  );
+
+  const renderContent = () => {
+    if (isLoading) {
+      return <ActivityIndicator size="large" color={colors.primary} />;
+    }
+
+    // Recovery codes are shown once, after enabling or regenerating
+    if (recoveryCodes) {
+      return (
+        <>
+          {renderParagraph('Save these recovery codes somewhere safe. Each one signs you in once if you lose your phone. They will not be shown again.')}
+          <View
+            style={{
+              flexDirection: 'row',
+              flexWrap: 'wrap',
+              backgroundColor: colors.borderLight,
+              borderRadius: 12,
+              padding: responsivePadding(12),
+              marginTop: spacing.sm,
+            }}
+          >
+            {recoveryCodes.map(recoveryCode => (
+              <Text
+                key={recoveryCode}
+                selectable
+                style={{
+                  width: '50%',
+                  color: colors.text,
+                  fontSize: responsiveFont(15),
+                  fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+                  paddingVertical: spacing.xs,
+                }}
+              >
+                {recoveryCode}
+              </Text>
+            ))}
+          </View>
+          {renderButton({ label: 'Share or Save', onPress: handleShareRecoveryCodes, variant: 'secondary' })}
+          {renderButton({ label: 'I Have Saved My Codes', onPress: handleRecoveryCodesSaved })}
+        </>
+      );
+    }
+
+    if (!status?.configured) {
+      return renderParagraph('Two-factor authentication is not available on this server. Please contact your administrator.');
+    }
+
+    // Enrollment: add the account to the authenticator app, then confirm with its first code
+    if (enrollment) {
+      return (
+        <>
+          {renderParagraph('1. Add your account to an authenticator app (Google Authenticator, Microsoft Authenticator, 1Password...).')}
+          {renderButton({ label: 'Open Authenticator App', onPress: handleOpenAuthenticator, variant: 'secondary' })}
+          <Text style={{ color: colors.textSecondary, fontSize: responsiveFont(13), marginTop: spacing.md }}>
+            Or enter this setup key manually ({enrollment.accountName}):
+          </Text>
+          <Text
+            selectable
+            style={{
+              color: colors.text,
+              fontSize: responsiveFont(15),
+              fontFamily: Platform.OS === 'ios' ? 'Menlo' : 'monospace',
+              backgroundColor: colors.borderLight,
+              borderRadius: 12,
+              padding: responsivePadding(12),
+              marginTop: spacing.xs,
+              marginBottom: spacing.md,
+            }}
+          >
+            {enrollment.secret.match(/.{1,4}/g).join(' ')}
+          </Text>
+          {renderParagraph('2. Enter the 6-digit code the app shows.')}
+          {renderCodeInput({ placeholder: '123456', onSubmitEditing: handleEnable })}
+          {renderButton({ label: 'Turn On', onPress: handleEnable })}
+        </>
+      );
+    }
+
+    if (!status.enabled) {
+      return (
+        <>
+          {renderParagraph(status.required
+            ? 'Your role requires two-factor authentication. Set up an authenticator app to continue.'
+            : 'Protect your account with a code from an authenticator app each time you sign in.')}
+          {renderButton({ label: 'Set Up Authenticator App', onPress: handleStartSetup })}
+        </>
+      );
+    }
+
+    return (
+      <>
+        <View style={{ flexDirection: 'row', alignItems: 'center', marginBottom: spacing.sm }}>
+          <Ionicons name="shield-checkmark" size={iconSize.md} color={colors.success} />
+          <Text style={{ color: colors.text, fontSize: responsiveFont(16), fontWeight: '600', marginLeft: spacing.xs }}>
+            Two-factor authentication is on
+          </Text>
+        </View>
+        {renderParagraph(`${status.recoveryCodesRemaining} recovery code${status.recoveryCodesRemaining === 1 ? '' : 's'} left.`)}
+        {renderParagraph(status.required
+          ? 'Enter a current code to create new recovery codes. Your role requires two-factor authentication, so it cannot be turned off.'
+          : 'Enter a current code to create new recovery codes or turn two-factor authentication off.')}
+        {renderCodeInput({ placeholder: 'Authenticator or recovery code' })}
+        {renderButton({ label: 'New Recovery Codes', onPress: handleRegenerate })}
+        {!status.required && renderButton({ label: 'Turn Off', onPress: handleDisable, variant: 'danger' })}
+      </>
+    );
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={{ flex: 1, backgroundColor: colors.background }}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <ScrollView contentContainerStyle={{ flexGrow: 1 }} keyboardShouldPersistTaps="handled">
+        <View
+          style={{
+            flex: 1,
+            justifyContent: isRequiredSetup ? 'center' : 'flex-start',
+            paddingHorizontal: responsivePadding(isRequiredSetup ? 32 : 16),
+            paddingVertical: spacing.lg,
+          }}
+        >
+          {/* Header (the navigation header is hidden during required setup) */}
+          {isRequiredSetup && (
+            <View style={{ alignItems: 'center', marginBottom: spacing['2xl'] }}>
+              <Logo size="medium" style={{ marginBottom: spacing.lg }} />
+              <Text
+                style={{
+                  color: colors.text,
+                  fontSize: responsiveFont(26),
+                  fontWeight: 'bold',
+                  marginBottom: spacing.xs,
+                }}
+              >
+                Two-Factor Authentication
+              </Text>
+              <Text style={{ color: colors.textSecondary, fontSize: responsiveFont(14), textAlign: 'center' }}>
+                Set up an authenticator app before continuing
+              </Text>
+            </View>
+          )}
+
+          <View style={{ backgroundColor: colors.surface, borderRadius: 16, padding: responsivePadding(24) }}>
+            {renderContent()}
+
+            {/* Log Out */}
+            {isRequiredSetup && (
+              <TouchableOpacity
+                onPress={handleLogout}
+                style={{ alignItems: 'center', marginTop: spacing.lg }}
+                disabled={isSaving}
+              >
+                <Text style={{ color: colors.primary, fontSize: responsiveFont(14) }}>
+                  Log Out
+                </Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+}
@@ -15,9 +15,8 @@ import { getUnreadNotificationCount } from '../../utils/notifications';
 import { fontSize, spacing, iconSize, componentSize, responsivePadding, responsiveFont, wp } from '../../utils/responsive';
 import { ROUTES } from '../constants/routes';
 import { isHRAdmin } from '../constants/roles';
-import { getOfficeLocation } from '../../features/geofencing';
 import { getCurrentLocation } from '../../features/geofencing';
-import { isWithin1km } from '../../features/geofencing';
+import { resolveNearestSite } from '../../features/geofencing';
 import Logo from './Logo';
 import Trademark from './Trademark';
 import HelpButton from './HelpButton';
@@ -96,23 +95,17 @@ export default function CustomDrawer({ navigation, state }) {
         console.error('Error loading notification count:', error);
       }
     }
-    // Check if employee is inside office radius
+    // Check if employee is inside their nearest permitted office site
     if (user && user.role === 'employee') {
       try {
-        const officeLocation = await getOfficeLocation();
-        if (officeLocation) {
-          const currentLocation = await getCurrentLocation();
-          if (currentLocation && currentLocation.latitude && currentLocation.longitude) {
-            const inside = isWithin1km(
-              currentLocation.latitude,
-              currentLocation.longitude,
-              officeLocation.latitude,
-              officeLocation.longitude
-            );
-            setIsEmployeeInsideRadius(inside);
-          } else {
-            setIsEmployeeInsideRadius(false);
-          }
+        const currentLocation = await getCurrentLocation();
+        if (currentLocation && currentLocation.latitude && currentLocation.longitude) {
+          const nearest = await resolveNearestSite(
+            currentLocation.latitude,
+            currentLocation.longitude,
+            currentLocation.accuracy
+          );
+          setIsEmployeeInsideRadius(nearest ? nearest.isInside : false);
         } else {
           setIsEmployeeInsideRadius(false);
         }
@@ -253,7 +246,7 @@ export default function CustomDrawer({ navigation, state }) {
         name: 'Reports',
         icon: 'document-text-outline',
         screen: 'ReportsScreen',
-        roles: ['super_admin'],
+        roles: ['super_admin', 'manager'], // Managers get reports for their own department
       },
       {
         name: 'Attendance Settings',
@@ -261,18 +254,40 @@ export default function CustomDrawer({ navigation, state }) {
         screen: ROUTES.ATTENDANCE_SETTINGS,
         roles: ['super_admin'],
       },
+      {
+        name: 'Audit Log',
+        icon: 'shield-checkmark-outline',
+        screen: ROUTES.AUDIT_LOG,
+        roles: ['super_admin'],
+        // Also allow HR admins (checked in render logic)
+      },
+      {
+        name: 'Suspicious Punches',
+        icon: 'warning-outline',
+        screen: ROUTES.SUSPICIOUS_PUNCHES,
+        roles: ['super_admin'],
+        // Also allow HR admins (checked in render logic)
+      },
     ];
 
     // Manager only items
     const managerItems = [];
 
-    // Filter superAdminItems: HR admins can access Create User, but not Reports
+    // Filter superAdminItems: HR admins can access Create User, managers can access Reports
     const filteredSuperAdminItems = superAdminItems.filter(item => {
-      if (item.screen === ROUTES.CREATE_USER) {
-        // Allow HR admins to see Create User
+      if (
+        item.screen === ROUTES.CREATE_USER ||
+        item.screen === ROUTES.AUDIT_LOG ||
+        item.screen === ROUTES.SUSPICIOUS_PUNCHES
+      ) {
+        // Allow HR admins to see Create User, the Audit Log and Suspicious Punches
         return user.role === 'super_admin' || isHRAdmin(user);
       }
-      // Other super admin items (like Reports) are super_admin only
+      if (item.screen === 'ReportsScreen') {
+        // Managers can generate reports limited to their department
+        return item.roles.includes(user.role);
+      }
+      // Other super admin items are super_admin only
       return user.role === 'super_admin';
     });
 
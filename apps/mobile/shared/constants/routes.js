@@ -5,6 +5,7 @@ export const ROUTES = {
   SIGNUP: 'SignUp',
   FORGOT_PASSWORD: 'ForgotPassword',
   RESET_PASSWORD: 'ResetPassword',
+  CHANGE_PASSWORD_REQUIRED: 'ChangePasswordRequired',
   
   // Employee Routes
   EMPLOYEE_DASHBOARD: 'EmployeeDashboard',
@@ -14,6 +15,7 @@ export const ROUTES = {
   LEAVE_REQUEST: 'LeaveRequestScreen',
   CALENDAR: 'CalendarScreen',
   THEME_SETTINGS: 'ThemeSettingsScreen',
+  TWO_FACTOR: 'TwoFactorScreen',
   NOTIFICATIONS: 'NotificationsScreen',
   TICKET_SCREEN: 'TicketScreen',
   HELP_SUPPORT: 'HelpSupportScreen',
@@ -28,6 +30,8 @@ export const ROUTES = {
   EMPLOYEE_MANAGEMENT: 'EmployeeManagement',
   GEO_FENCING: 'GeoFencingScreen',
   ATTENDANCE_SETTINGS: 'AttendanceSettingsScreen',
+  AUDIT_LOG: 'AuditLogScreen',
+  SUSPICIOUS_PUNCHES: 'SuspiciousPunchesScreen',
 };
 
 // Route groups by role
@@ -39,6 +43,7 @@ export const EMPLOYEE_ROUTES = [
   ROUTES.LEAVE_REQUEST,
   ROUTES.CALENDAR,
   ROUTES.THEME_SETTINGS,
+  ROUTES.TWO_FACTOR,
   ROUTES.NOTIFICATIONS,
   ROUTES.TICKET_SCREEN,
 ];
@@ -47,6 +52,7 @@ export const ADMIN_ROUTES = [
   ROUTES.ADMIN_DASHBOARD,
   ROUTES.CALENDAR,
   ROUTES.THEME_SETTINGS,
+  ROUTES.TWO_FACTOR,
   ROUTES.NOTIFICATIONS,
   ROUTES.HR_DASHBOARD,
   ROUTES.TICKET_MANAGEMENT,
@@ -58,5 +64,7 @@ export const ADMIN_ROUTES = [
 export const SUPER_ADMIN_ROUTES = [
   ...ADMIN_ROUTES,
   ROUTES.CREATE_USER,
+  ROUTES.AUDIT_LOG,
+  ROUTES.SUSPICIOUS_PUNCHES,
 ];
 
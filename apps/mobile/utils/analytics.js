@@ -1,17 +1,32 @@
 // Analytics utilities for attendance data
+// Attendance rates come from the attendance engine shared with the reporting service, so both show the same numbers
 import { getAttendanceRecords, getUserAttendanceRecords } from './storage';
+import { getCalendarEvents } from './calendar';
+import { getEmployeeLeaveRequests } from './leaveManagement';
+import { getEmployeeByUsername } from './employees';
+import { getAttendanceConfig } from '../features/attendance/services/attendanceConfigService';
+import { toDateKey, parseWeekendDays, parseTimeZone, getHolidayDates, calculateAttendance } from './attendanceEngine';
+
+/**
+ * Get the organisation's timezone (timezone attendance config), which days are counted in
+ * @returns {Promise<string>} IANA timezone
+ */
+const getOrganizationTimeZone = async () => {
+  return parseTimeZone(await getAttendanceConfig('timezone'));
+};
 
 /**
  * Group attendance records by date
  * @param {Array} records - Array of attendance records
+ * @param {string} timeZone - Organisation timezone the dates are in
  * @returns {Object} Object with dates as keys and arrays of records as values
  */
-const groupRecordsByDate = (records) => {
+const groupRecordsByDate = (records, timeZone) => {
   const grouped = {};
   
   records.forEach(record => {
     const date = new Date(record.timestamp);
-    const dateKey = date.toISOString().split('T')[0]; // YYYY-MM-DD format
+    const dateKey = toDateKey(date, timeZone); // YYYY-MM-DD in the organisation's timezone, matching the attendance engine
     
     if (!grouped[dateKey]) {
       grouped[dateKey] = [];
@@ -113,6 +128,7 @@ export const getDateRange = (period = 'monthly') => {
 
 /**
  * Calculate attendance rate for a user
+ * Expected days exclude weekends (weekend_days config), holidays, approved leave and days before the hire date
  * @param {string} username - Username to calculate for
  * @param {string} period - Period type ('daily', 'weekly', 'monthly', 'yearly', 'all')
  * @returns {Promise<Object>} Object with attendance rate and details
@@ -120,63 +136,48 @@ export const getDateRange = (period = 'monthly') => {
 export const calculateAttendanceRate = async (username, period = 'monthly') => {
   try {
     const { startDate, endDate } = getDateRange(period);
-    const records = await getUserAttendanceRecords(username);
-    const filteredRecords = filterByDateRange(records, startDate, endDate);
-    
-    if (filteredRecords.length === 0) {
-      return {
-        rate: 0,
-        totalDays: 0,
-        presentDays: 0,
-        period: period,
-        startDate: startDate.toISOString(),
-        endDate: endDate.toISOString()
-      };
+    const [records, employee, leaveRequests, weekendConfig, timeZone] = await Promise.all([
+      getUserAttendanceRecords(username),
+      getEmployeeByUsername(username),
+      getEmployeeLeaveRequests(username),
+      getAttendanceConfig('weekend_days'),
+      getOrganizationTimeZone(),
+    ]);
+
+    // The period is a range of calendar days on the device; punches are put on days in the organisation's timezone
+    let from = toDateKey(startDate);
+    const to = toDateKey(endDate);
+
+    // 'all' starts at the beginning of time; count from the hire date or first record instead
+    if (period === 'all' && !employee?.hireDate) {
+      const firstRecord = records.reduce((earliest, record) => {
+        const timestamp = new Date(record.timestamp);
+        return !earliest || timestamp < earliest ? timestamp : earliest;
+      }, null);
+      from = firstRecord ? toDateKey(firstRecord, timeZone) : to;
     }
-    
-    // Group records by date
-    const groupedByDate = groupRecordsByDate(filteredRecords);
-    
-    // Count days with complete attendance (both check-in and check-out)
-    let presentDays = 0;
-    const dates = Object.keys(groupedByDate).sort();
-    
-    dates.forEach(date => {
-      const dayRecords = groupedByDate[date];
-      const hasCheckIn = dayRecords.some(r => r.type === 'checkin');
-      const hasCheckOut = dayRecords.some(r => r.type === 'checkout');
-      
-      // A day is considered "present" if it has at least a check-in
-      // For more strict calculation, require both check-in and check-out
-      if (hasCheckIn) {
-        presentDays++;
-      }
+
+    const holidays = await getCalendarEvents(username, from, to);
+
+    // All records are passed in: the engine only counts the period's own days
+    const result = calculateAttendance({
+      from,
+      to,
+      records,
+      holidayDates: getHolidayDates(holidays, [username, employee?.uid]),
+      leaves: leaveRequests.filter(request => request.status === 'approved'),
+      hireDate: employee?.hireDate || null,
+      weekendDays: parseWeekendDays(weekendConfig),
+      timeZone,
     });
-    
-    // Calculate total working days in the period
-    let totalDays = 0;
-    const currentDate = new Date(startDate);
-    
-    while (currentDate <= endDate) {
-      // Skip weekends (Saturday = 6, Sunday = 0)
-      const dayOfWeek = currentDate.getDay();
-      if (dayOfWeek !== 0 && dayOfWeek !== 6) {
-        totalDays++;
-      }
-      currentDate.setDate(currentDate.getDate() + 1);
-    }
-    
-    // If no working days in period, use calendar days
-    if (totalDays === 0) {
-      totalDays = Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24)) + 1;
-    }
-    
-    const rate = totalDays > 0 ? (presentDays / totalDays) * 100 : 0;
-    
+
     return {
-      rate: Math.round(rate * 100) / 100, // Round to 2 decimal places
-      totalDays,
-      presentDays,
+      rate: Math.round(result.rate * 100) / 100, // Round to 2 decimal places
+      totalDays: result.expectedDays,
+      presentDays: result.attendedDays,
+      leaveDays: result.leaveDays,
+      holidayDays: result.holidayDays,
+      absentDays: result.absentDays,
       period: period,
       startDate: startDate.toISOString(),
       endDate: endDate.toISOString()
@@ -202,7 +203,10 @@ export const calculateAttendanceRate = async (username, period = 'monthly') => {
 export const calculateAverageHours = async (username, period = 'monthly') => {
   try {
     const { startDate, endDate } = getDateRange(period);
-    const records = await getUserAttendanceRecords(username);
+    const [records, timeZone] = await Promise.all([
+      getUserAttendanceRecords(username),
+      getOrganizationTimeZone(),
+    ]);
     const filteredRecords = filterByDateRange(records, startDate, endDate);
     
     if (filteredRecords.length === 0) {
@@ -217,7 +221,7 @@ export const calculateAverageHours = async (username, period = 'monthly') => {
     }
     
     // Group records by date
-    const groupedByDate = groupRecordsByDate(filteredRecords);
+    const groupedByDate = groupRecordsByDate(filteredRecords, timeZone);
     
     let totalHours = 0;
     let daysWorked = 0;
@@ -0,0 +1,332 @@
+/**
+ * Attendance Engine - Shared attendance calculations
+ *
+ * The same file lives at:
+ *   services/shared/attendanceEngine.js   (reports, as @attendance/shared/attendanceEngine)
+ *   apps/mobile/utils/attendanceEngine.js (in-app analytics; the app bundles its own copy)
+ * Keep both copies identical so reports and the app show the same numbers (npm run check:engine in services/shared).
+ * No I/O and no dependencies: callers fetch the data and pass it in.
+ *
+ * For each employee a day in the period is:
+ *   - not counted: before the hire date, after today, a weekend day or a holiday
+ *   - on leave:    a working day covered by approved leave without a check-in
+ *   - attended:    a working day with at least one check-in
+ *   - absent:      any other working day
+ * Attendance rate = attended days / (working days - leave days).
+ * Days are keyed YYYY-MM-DD in the organisation's timezone (the timezone attendance config), so a punch
+ * lands on the same day on the server and on every device whatever their own timezone.
+ */
+
+// Sunday (0) and Saturday (6); override with the weekend_days attendance config
+const DEFAULT_WEEKEND_DAYS = [0, 6];
+
+// Organisation timezone when none is configured; override with the timezone attendance config
+const DEFAULT_TIME_ZONE = 'UTC';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Intl.DateTimeFormat per timezone (creating one is slow)
+const zonedFormatters = new Map();
+
+/**
+ * Get the calendar date and time of an instant in a timezone
+ * @param {Date} date - Date object
+ * @param {string} timeZone - IANA timezone
+ * @returns {{year: string, month: string, day: string, hour: string, minute: string}} Zero-padded parts
+ */
+function getZonedParts(date, timeZone) {
+  let formatter = zonedFormatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+    zonedFormatters.set(timeZone, formatter);
+  }
+
+  const parts = {};
+  formatter.formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+  return parts;
+}
+
+/**
+ * Get a YYYY-MM-DD key for a date
+ * @param {Date} date - Date object
+ * @param {string|null} timeZone - IANA timezone (omit for the calendar date in local time)
+ * @returns {string} Date key
+ */
+function toDateKey(date, timeZone = null) {
+  if (timeZone) {
+    const { year, month, day } = getZonedParts(date, timeZone);
+    return `${year}-${month}-${day}`;
+  }
+
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Get the minutes since midnight of a date
+ * @param {Date} date - Date object
+ * @param {string|null} timeZone - IANA timezone (omit for local time)
+ * @returns {number} Minutes since midnight
+ */
+function getMinutesOfDay(date, timeZone = null) {
+  if (timeZone) {
+    const { hour, minute } = getZonedParts(date, timeZone);
+    return Number(hour) * 60 + Number(minute);
+  }
+  return date.getHours() * 60 + date.getMinutes();
+}
+
+/**
+ * Move a date key by a number of days (calendar arithmetic, no timezone involved)
+ * @param {string} key - Date key (YYYY-MM-DD)
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} Date key
+ */
+function addDaysToKey(key, days) {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day) + days * DAY_MS).toISOString().split('T')[0];
+}
+
+/**
+ * Get the day of the week of a date key
+ * @param {string} key - Date key (YYYY-MM-DD)
+ * @returns {number} 0 = Sunday ... 6 = Saturday
+ */
+function getWeekdayOfKey(key) {
+  const [year, month, day] = key.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+/**
+ * Parse a YYYY-MM-DD string (or ISO timestamp) as a local date at midnight
+ * @param {string} value - Date string
+ * @returns {Date} Local date
+ */
+function parseDateKey(value) {
+  const [year, month, day] = String(value).split('T')[0].split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * Validate a weekend_days config value
+ * @param {Object|Array} config - { days: [0-6] } or an array of weekday numbers
+ * @returns {Array<number>} Weekend days (0 = Sunday), or the default if invalid
+ */
+function parseWeekendDays(config) {
+  const days = Array.isArray(config) ? config : config?.days;
+  if (!Array.isArray(days)) return DEFAULT_WEEKEND_DAYS;
+
+  const valid = [...new Set(days.map(Number))].filter(day => Number.isInteger(day) && day >= 0 && day <= 6);
+  // Every day off would make every rate 0/0
+  return valid.length < 7 ? valid.sort() : DEFAULT_WEEKEND_DAYS;
+}
+
+/**
+ * Validate a timezone config value
+ * @param {Object|string} config - { timezone: 'Asia/Karachi' } or an IANA timezone name
+ * @returns {string} IANA timezone, or the default if missing or unknown
+ */
+function parseTimeZone(config) {
+  const timeZone = typeof config === 'string' ? config : config?.timezone;
+  if (typeof timeZone !== 'string' || !timeZone) return DEFAULT_TIME_ZONE;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return timeZone;
+  } catch (error) {
+    return DEFAULT_TIME_ZONE;
+  }
+}
+
+/**
+ * Pick the holiday dates that apply to an employee
+ * Holidays visible to everyone apply to all; "selected" holidays only to the listed employees
+ * @param {Array} events - Calendar events: { date, type, visibility, visibleTo, createdBy }
+ * @param {Array<string>} identifiers - The employee's username, uid and/or id
+ * @returns {Array<string>} Holiday date keys
+ */
+function getHolidayDates(events, identifiers = []) {
+  const ids = identifiers.filter(Boolean);
+
+  return (events || [])
+    .filter(event => event.type === 'holiday' && event.date)
+    .filter(event => {
+      const visibility = event.visibility || 'all';
+      if (visibility === 'all') return true;
+      if (visibility === 'selected') return (event.visibleTo || []).some(id => ids.includes(id));
+      // 'none' is a private event: only the creator's own day off
+      return ids.includes(event.createdBy);
+    })
+    .map(event => String(event.date).split('T')[0]);
+}
+
+/**
+ * List the date keys between two date keys (inclusive)
+ * @param {string} fromKey - First day (YYYY-MM-DD)
+ * @param {string} toKey - Last day (YYYY-MM-DD)
+ * @returns {Array<string>} Date keys
+ */
+function getDateKeys(fromKey, toKey) {
+  const keys = [];
+  for (let key = fromKey; key <= toKey; key = addDaysToKey(key, 1)) {
+    keys.push(key);
+  }
+  return keys;
+}
+
+/**
+ * Group attendance records by day
+ * @param {Array} records - Attendance records: { type: 'checkin' | 'checkout', timestamp }
+ * @param {string|null} timeZone - IANA timezone the days are in (omit for local time)
+ * @returns {Object} Date key -> { firstCheckIn: Date|null, lastCheckOut: Date|null }
+ */
+function groupRecordsByDay(records, timeZone = null) {
+  const days = {};
+
+  (records || []).forEach(record => {
+    const timestamp = new Date(record.timestamp);
+    if (isNaN(timestamp.getTime())) return;
+
+    const key = toDateKey(timestamp, timeZone);
+    if (!days[key]) days[key] = { firstCheckIn: null, lastCheckOut: null };
+
+    if (record.type === 'checkin' && (!days[key].firstCheckIn || timestamp < days[key].firstCheckIn)) {
+      days[key].firstCheckIn = timestamp;
+    }
+    if (record.type === 'checkout' && (!days[key].lastCheckOut || timestamp > days[key].lastCheckOut)) {
+      days[key].lastCheckOut = timestamp;
+    }
+  });
+
+  return days;
+}
+
+/**
+ * Calculate one employee's attendance for a period
+ * @param {Object} input
+ * @param {Date|string} input.from - Period start (a Date, or the first day as YYYY-MM-DD)
+ * @param {Date|string} input.to - Period end (a Date, or the last day as YYYY-MM-DD; days after `now` are not counted)
+ * @param {Array} input.records - The employee's attendance records: { type, timestamp }
+ * @param {Array<string>} input.holidayDates - Holiday date keys that apply to the employee
+ * @param {Array} input.leaves - The employee's approved leaves: { startDate, endDate } (YYYY-MM-DD)
+ * @param {string|null} input.hireDate - Hire date (YYYY-MM-DD); earlier days are not counted
+ * @param {Array<number>} input.weekendDays - Days of the week off (0 = Sunday)
+ * @param {string} input.timeZone - Organisation timezone the days are keyed in (see parseTimeZone)
+ * @param {Date} input.now - Current time (defaults to now)
+ * @returns {Object} { workingDays, leaveDays, holidayDays, expectedDays, attendedDays, absentDays,
+ *   presentDays, rate, days, presentDayKeys, leaveDayKeys, workingDayKeys }
+ */
+function calculateAttendance({
+  from,
+  to,
+  records = [],
+  holidayDates = [],
+  leaves = [],
+  hireDate = null,
+  weekendDays = DEFAULT_WEEKEND_DAYS,
+  timeZone = DEFAULT_TIME_ZONE,
+  now = new Date(),
+}) {
+  const weekend = new Set(weekendDays);
+  const holidays = new Set(holidayDates);
+  const toKey = value => (typeof value === 'string' ? value.split('T')[0] : toDateKey(new Date(value), timeZone));
+
+  // Only count from the hire date up to today
+  const fromKey = toKey(from);
+  const toKeyValue = toKey(to);
+  const todayKey = toDateKey(now, timeZone);
+  const hireKey = hireDate ? String(hireDate).split('T')[0] : null;
+  const start = hireKey && hireKey > fromKey ? hireKey : fromKey;
+  const end = toKeyValue < todayKey ? toKeyValue : todayKey;
+
+  let holidayDays = 0;
+  const workingDayKeys = getDateKeys(start, end).filter(key => {
+    if (weekend.has(getWeekdayOfKey(key))) return false;
+    if (holidays.has(key)) {
+      holidayDays++;
+      return false;
+    }
+    return true;
+  });
+  const workingSet = new Set(workingDayKeys);
+
+  // Records may be fetched with some margin around the period; only its own days count
+  const days = groupRecordsByDay(records, timeZone);
+  const presentDayKeys = Object.keys(days)
+    .filter(key => days[key].firstCheckIn && key >= fromKey && key <= toKeyValue)
+    .sort();
+  const presentSet = new Set(presentDayKeys);
+
+  // Working days on approved leave; a day with a check-in counts as attended instead
+  const leaveSet = new Set();
+  (leaves || []).forEach(leave => {
+    if (!leave.startDate || !leave.endDate) return;
+    getDateKeys(String(leave.startDate).split('T')[0], String(leave.endDate).split('T')[0])
+      .filter(key => workingSet.has(key) && !presentSet.has(key))
+      .forEach(key => leaveSet.add(key));
+  });
+
+  const attendedDays = workingDayKeys.filter(key => presentSet.has(key)).length;
+  const expectedDays = workingDayKeys.length - leaveSet.size;
+
+  return {
+    workingDays: workingDayKeys.length,
+    leaveDays: leaveSet.size,
+    holidayDays,
+    expectedDays,
+    attendedDays,
+    absentDays: expectedDays - attendedDays,
+    // Distinct days with a check-in, including weekends and holidays worked
+    presentDays: presentDayKeys.length,
+    rate: expectedDays > 0 ? (attendedDays / expectedDays) * 100 : 0,
+    days,
+    presentDayKeys,
+    leaveDayKeys: [...leaveSet].sort(),
+    workingDayKeys,
+  };
+}
+
+/**
+ * Combine per-employee results into a group attendance rate
+ * Weighted by expected days, so employees hired mid-period count proportionally
+ * @param {Array} results - calculateAttendance results
+ * @returns {Object} { expectedDays, attendedDays, rate }
+ */
+function summarizeAttendance(results) {
+  const expectedDays = results.reduce((sum, result) => sum + result.expectedDays, 0);
+  const attendedDays = results.reduce((sum, result) => sum + result.attendedDays, 0);
+
+  return {
+    expectedDays,
+    attendedDays,
+    rate: expectedDays > 0 ? (attendedDays / expectedDays) * 100 : 0,
+  };
+}
+
+module.exports = {
+  DEFAULT_WEEKEND_DAYS,
+  DEFAULT_TIME_ZONE,
+  toDateKey,
+  parseDateKey,
+  getMinutesOfDay,
+  addDaysToKey,
+  getWeekdayOfKey,
+  parseWeekendDays,
+  parseTimeZone,
+  getHolidayDates,
+  groupRecordsByDay,
+  calculateAttendance,
+  summarizeAttendance,
+};
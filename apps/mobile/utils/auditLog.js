@@ -0,0 +1,161 @@
+/**
+ * Audit Log Utility
+ * Records the administrative changes made from the app (manual attendance, office sites, attendance
+ * settings, leave approvals) and reads the audit log through the API Gateway (GET /api/audit).
+ *
+ * Entries are written with the record_audit_event database function, which takes the actor from the
+ * Supabase session, so they can't be written in someone else's name. Recording never fails the change
+ * itself: it is called after the change succeeded and only logs its own errors.
+ */
+
+import { Platform } from 'react-native';
+import Constants from 'expo-constants';
+import { supabase } from '../core/config/supabase';
+import { API_GATEWAY_URL, API_TIMEOUT, getAuthHeaders } from '../core/config/api';
+
+/**
+ * Actions recorded from the app (<area>.<verb>)
+ */
+export const AUDIT_ACTIONS = {
+  ATTENDANCE_CREATE: 'attendance.create',
+  ATTENDANCE_UPDATE: 'attendance.update',
+  ATTENDANCE_DELETE: 'attendance.delete',
+  OFFICE_SITE_CREATE: 'office_site.create',
+  OFFICE_SITE_UPDATE: 'office_site.update',
+  OFFICE_SITE_ASSIGN: 'office_site.assign',
+  ATTENDANCE_CONFIG_UPDATE: 'attendance_config.update',
+  LEAVE_APPROVE: 'leave.approve',
+  LEAVE_REJECT: 'leave.reject',
+};
+
+/**
+ * Describe this device for audit entries, e.g. "ios 17.5 / app 1.0.0"
+ * @returns {string} Device description
+ */
+const getDeviceDescription = () => {
+  const appVersion = Constants.expoConfig?.version;
+  return `${Platform.OS} ${Platform.Version}${appVersion ? ` / app ${appVersion}` : ''}`;
+};
+
+/**
+ * Compare two versions of a record
+ * @param {Object|null} before - Values before the change (null for creation)
+ * @param {Object|null} after - Values after the change (null for deletion)
+ * @param {Array<string>} [fields] - Fields to compare (default: every field of either version)
+ * @returns {Object} { field: { before, after } } for the fields that differ
+ */
+export const diffChanges = (before, after, fields) => {
+  const keys = fields || [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+  const changes = {};
+
+  keys.forEach(key => {
+    const oldValue = before?.[key] ?? null;
+    const newValue = after?.[key] ?? null;
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes[key] = { before: oldValue, after: newValue };
+    }
+  });
+  return changes;
+};
+
+/**
+ * Record an administrative change made in the app
+ * Never throws; call it after the change succeeded
+ * @param {Object} entry - { action, targetType, targetId, targetLabel, before, after, fields, metadata }
+ * @returns {Promise<{success: boolean, entryId?: string, error?: string}>}
+ */
+export const recordAuditEvent = async ({
+  action,
+  targetType,
+  targetId = null,
+  targetLabel = null,
+  before = null,
+  after = null,
+  fields,
+  metadata = {},
+}) => {
+  try {
+    const { data, error } = await supabase.rpc('record_audit_event', {
+      p_action: action,
+      p_target_type: targetType,
+      p_target_id: targetId === null ? null : String(targetId),
+      p_target_label: targetLabel,
+      p_changes: diffChanges(before, after, fields),
+      p_metadata: metadata,
+      p_device: getDeviceDescription(),
+    });
+
+    if (error) {
+      console.error(`Error recording audit event ${action}:`, error);
+      return { success: false, error: error.message };
+    }
+
+    return { success: true, entryId: data };
+  } catch (error) {
+    console.error(`Error recording audit event ${action}:`, error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Get a page of the audit log, newest first (super admins and HR admins)
+ * @param {Object} filters - { page, pageSize, actor, action, targetType, target, from, to }
+ *   actor: username; action: full action or an area ("leave" for every leave action);
+ *   target: target ID or label; from/to: YYYY-MM-DD
+ * @returns {Promise<{success: boolean, entries?: Array, pagination?: Object, error?: string, sessionExpired?: boolean}>}
+ */
+export const getAuditLog = async (filters = {}) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), API_TIMEOUT);
+
+  const query = Object.entries(filters)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${encodeURIComponent(key)}=${encodeURIComponent(value)}`)
+    .join('&');
+
+  try {
+    const response = await fetch(`${API_GATEWAY_URL}/api/audit?${query}`, {
+      method: 'GET',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(await getAuthHeaders()),
+      },
+      signal: controller.signal,
+    });
+
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      return { success: true, entries: data.entries, pagination: data.pagination };
+    }
+
+    if (response.status === 401) {
+      return {
+        success: false,
+        error: 'Your session has expired. Please log in again',
+        sessionExpired: true,
+      };
+    }
+
+    return {
+      success: false,
+      error: data.error || 'Failed to load the audit log',
+    };
+  } catch (error) {
+    console.error('Audit log request error:', error);
+
+    if (error.name === 'AbortError' || error.message?.includes('Network') || error.message?.includes('fetch')) {
+      return {
+        success: false,
+        error: 'Network error. Please check your connection and try again'
+      };
+    }
+
+    return {
+      success: false,
+      error: error.message || 'An unexpected error occurred'
+    };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
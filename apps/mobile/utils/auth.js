@@ -1,13 +1,79 @@
 // Supabase Authentication
-import { API_GATEWAY_URL, API_TIMEOUT } from '../core/config/api';
+import { API_GATEWAY_URL, API_TIMEOUT, getAuthHeaders, setTwoFactorToken } from '../core/config/api';
 import { supabase } from '../core/config/supabase';
 
+/**
+ * Establish the Supabase session after the API Gateway accepted the login
+ * API Gateway authenticates on the backend, but we need client-side session for database operations
+ * (RLS policies use auth.uid())
+ * @param {Object} gatewayUser - User returned by the API Gateway
+ * @param {string} usernameOrEmail - Username or email the user typed
+ * @param {string} password - Password the user typed
+ */
+const establishSupabaseSession = async (gatewayUser, usernameOrEmail, password) => {
+  try {
+    // Get email from API Gateway response or resolve from username
+    let email = gatewayUser?.email || usernameOrEmail;
+    
+    // If email is not provided and input is a username, look it up
+    if (!email.includes('@') || !gatewayUser?.email) {
+      const { data: userData } = await supabase
+        .from('users')
+        .select('email')
+        .eq('username', gatewayUser?.username || usernameOrEmail)
+        .single();
+      
+      if (userData?.email) {
+        email = userData.email;
+      }
+    }
+    
+    // Establish Supabase session with the same credentials
+    const { data: authData, error: sessionError } = await supabase.auth.signInWithPassword({
+      email: email,
+      password: password,
+    });
+    
+    if (sessionError) {
+      console.warn('⚠️ Could not establish Supabase session after API Gateway login:', sessionError.message);
+      console.warn('⚠️ Database operations requiring RLS may fail. Consider using direct Supabase authentication.');
+    } else if (authData?.user) {
+      console.log('✓ Supabase session established for RLS policies');
+    }
+  } catch (sessionError) {
+    console.warn('⚠️ Error establishing Supabase session:', sessionError.message);
+    // Continue anyway - user is authenticated via API Gateway
+  }
+};
+
+/**
+ * Map the API Gateway login user to the app's user shape
+ * @param {Object} gatewayUser - User returned by the API Gateway
+ * @param {string} usernameOrEmail - Username or email the user typed
+ * @returns {Object} User
+ */
+const mapGatewayUser = (gatewayUser, usernameOrEmail) => ({
+  username: gatewayUser?.username || usernameOrEmail.split('@')[0],
+  role: gatewayUser?.role || 'employee',
+  uid: gatewayUser?.uid || '',
+  email: gatewayUser?.email || usernameOrEmail,
+  name: gatewayUser?.name,
+  department: gatewayUser?.department || '',
+  position: gatewayUser?.position || '',
+  workMode: gatewayUser?.workMode || 'in_office',
+  mustChangePassword: gatewayUser?.mustChangePassword === true,
+  twoFactorSetupRequired: gatewayUser?.twoFactorSetupRequired === true,
+});
+
 /**
  * Authenticate user - tries API Gateway first, falls back to Supabase
  * Supports both username and email login
  * @param {string} usernameOrEmail - Username or email to authenticate
  * @param {string} password - Password to authenticate
- * @returns {Promise<{success: boolean, user?: {username: string, role: string}}>}
+ * @returns {Promise<{success: boolean, user?: {username: string, role: string}, error?: string,
+ *   code?: string, lockedUntil?: string, twoFactorRequired?: boolean, challengeToken?: string}>}
+ *   code/lockedUntil are set when the account is locked or the IP throttled; twoFactorRequired/challengeToken
+ *   when the login must be finished with verifyTwoFactorLogin
  */
 export const authenticateUser = async (usernameOrEmail, password) => {
   // ===== CRITICAL FIX: Clear existing session before new login =====
@@ -34,6 +100,9 @@ export const authenticateUser = async (usernameOrEmail, password) => {
     // Continue anyway - try to proceed with login
   }
   // ===== END FIX =====
+
+  // A previous user's two-factor proof must not carry over to this login
+  await setTwoFactorToken(null);
   
   // First, try API Gateway (recommended - uses backend service)
   try {
@@ -64,73 +133,65 @@ export const authenticateUser = async (usernameOrEmail, password) => {
     
     clearTimeout(timeoutId);
     
-    const data = await response.json();
+    // Error pages in front of the gateway (e.g. a 503 from a proxy) may not be JSON
+    const data = await response.json().catch(() => ({}));
     
     // If API Gateway returns success, use it
     if (response.ok && data.success) {
       console.log('✓ Authentication successful via API Gateway for:', data.user?.username || usernameOrEmail);
-      
-      // IMPORTANT: We need to establish a Supabase session for RLS policies to work
-      // API Gateway authenticates on the backend, but we need client-side session for database operations
-      try {
-        // Get email from API Gateway response or resolve from username
-        let email = data.user?.email || usernameOrEmail;
-        
-        // If email is not provided and input is a username, look it up
-        if (!email.includes('@') || !data.user?.email) {
-          const { data: userData } = await supabase
-            .from('users')
-            .select('email')
-            .eq('username', data.user?.username || usernameOrEmail)
-            .single();
-          
-          if (userData?.email) {
-            email = userData.email;
-          }
-        }
-        
-        // Establish Supabase session with the same credentials
-        // This is needed for RLS policies (auth.uid()) to work
-        const { data: authData, error: sessionError } = await supabase.auth.signInWithPassword({
-          email: email,
-          password: password,
-        });
-        
-        if (sessionError) {
-          console.warn('⚠️ Could not establish Supabase session after API Gateway login:', sessionError.message);
-          console.warn('⚠️ Database operations requiring RLS may fail. Consider using direct Supabase authentication.');
-        } else if (authData?.user) {
-          console.log('✓ Supabase session established for RLS policies');
-        }
-      } catch (sessionError) {
-        console.warn('⚠️ Error establishing Supabase session:', sessionError.message);
-        // Continue anyway - user is authenticated via API Gateway
-      }
-      
+      await establishSupabaseSession(data.user, usernameOrEmail, password);
+      return { success: true, user: mapGatewayUser(data.user, usernameOrEmail) };
+    }
+
+    // Accounts with two-factor authentication need a code before the login completes (verifyTwoFactorLogin)
+    if (data.code === 'TWO_FACTOR_REQUIRED') {
+      console.log('Two-factor code required for:', usernameOrEmail);
       return {
-        success: true,
-        user: {
-          username: data.user?.username || usernameOrEmail.split('@')[0],
-          role: data.user?.role || 'employee',
-          uid: data.user?.uid || '',
-          email: data.user?.email || usernameOrEmail,
-          name: data.user?.name,
-          department: data.user?.department || '',
-          position: data.user?.position || '',
-          workMode: data.user?.workMode || 'in_office',
-        },
+        success: false,
+        twoFactorRequired: true,
+        challengeToken: data.challengeToken,
+        error: data.error,
+      };
+    }
+    
+    // Deactivated accounts are final: the Supabase fallback would only fail with a less clear error
+    if (data.code === 'ACCOUNT_INACTIVE') {
+      return {
+        success: false,
+        error: data.error || 'This account has been deactivated',
+        code: data.code,
+      };
+    }
+
+    // Lockouts and throttling are final: falling back to Supabase would bypass them. This includes the
+    // gateway's own rate limit (429 RATE_LIMITED), which answers without reaching the auth service
+    if (response.status === 429 || ['ACCOUNT_LOCKED', 'LOGIN_RATE_LIMITED', 'RATE_LIMITED'].includes(data.code)) {
+      const code = data.code || 'RATE_LIMITED';
+      const retryAfter = Number(data.retryAfter || response.headers.get('Retry-After')) || 0;
+      const lockedUntil = data.lockedUntil
+        || (retryAfter > 0 ? new Date(Date.now() + retryAfter * 1000).toISOString() : null);
+      console.log('✗ Authentication blocked by API Gateway:', code, lockedUntil);
+      return {
+        success: false,
+        error: data.message || data.error || 'Too many failed attempts. Please try again later',
+        code,
+        lockedUntil,
       };
     }
     
-    // If API Gateway returns an error (but not a service error), fallback to Supabase
+    // Any other answer from the auth service is final. Only an unavailable service (503/504) falls back to
+    // Supabase: trying the password there after a 401 would be an extra guess the lockout never counts
     if (response.status !== 503 && response.status !== 504) {
-      console.log('API Gateway returned error, falling back to Supabase:', data.error || 'Unknown error');
-      // Continue to Supabase fallback below
-    } else {
-      // Service unavailable, fallback to Supabase
-      console.log('API Gateway unavailable, falling back to Supabase');
-      // Continue to Supabase fallback below
+      console.log('✗ Authentication failed via API Gateway:', data.error || response.status);
+      return {
+        success: false,
+        error: data.error || 'Invalid username or password',
+        code: data.code,
+      };
     }
+
+    // Service unavailable, fallback to Supabase
+    console.log('API Gateway unavailable, falling back to Supabase');
   } catch (error) {
     // API Gateway call failed (network error, timeout, etc.), fallback to Supabase
     if (error.name === 'AbortError') {
@@ -239,6 +300,13 @@ export const authenticateUser = async (usernameOrEmail, password) => {
       console.log('✗ Authentication failed: User data not found');
       return { success: false, error: 'User data not found' };
     }
+
+    // The second factor is only checked by the auth service, so these accounts can't sign in without it
+    if (userData.two_factor_enabled) {
+      console.log('✗ Authentication failed: Two-factor account while API Gateway is unavailable');
+      await supabase.auth.signOut();
+      return { success: false, error: 'Unable to reach the server to check your two-factor code. Please try again later' };
+    }
     
     console.log('✓ Authentication successful via Supabase for:', userData.username || email, 'with role:', userData.role);
     return {
@@ -252,6 +320,7 @@ export const authenticateUser = async (usernameOrEmail, password) => {
         department: userData.department || '',
         position: userData.position || '',
         workMode: userData.work_mode || 'in_office',
+        mustChangePassword: userData.must_change_password === true,
       }
     };
   } catch (error) {
@@ -260,6 +329,63 @@ export const authenticateUser = async (usernameOrEmail, password) => {
   }
 };
 
+/**
+ * Finish a login that needs a two-factor code (authenticateUser returned twoFactorRequired)
+ * There is no Supabase fallback: only the auth service can check the code
+ * @param {string} usernameOrEmail - Username or email used for the first step
+ * @param {string} password - Password used for the first step (needed for the Supabase session)
+ * @param {string} challengeToken - Token from the first step
+ * @param {string} code - Authenticator app code or recovery code
+ * @returns {Promise<{success: boolean, user?: Object, error?: string, code?: string, lockedUntil?: string,
+ *   challengeExpired?: boolean, recoveryCodesRemaining?: number}>}
+ */
+export const verifyTwoFactorLogin = async (usernameOrEmail, password, challengeToken, code) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), API_TIMEOUT);
+
+  try {
+    const gatewayUrl = typeof API_GATEWAY_URL === 'string' ? API_GATEWAY_URL : String(API_GATEWAY_URL || 'http://localhost:3000');
+    const response = await fetch(`${gatewayUrl}/api/auth/login/two-factor`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ challengeToken, code: code.trim() }),
+      signal: controller.signal,
+    });
+
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      console.log('✓ Two-factor authentication successful for:', data.user?.username || usernameOrEmail);
+      await establishSupabaseSession(data.user, usernameOrEmail, password);
+      // Sent with every request: without it the auth service treats the session as password-only
+      await setTwoFactorToken(data.twoFactorToken || null);
+      return {
+        success: true,
+        user: mapGatewayUser(data.user, usernameOrEmail),
+        recoveryCodesRemaining: data.recoveryCodesRemaining,
+      };
+    }
+
+    return {
+      success: false,
+      error: data.error || 'Invalid verification code',
+      code: data.code,
+      lockedUntil: data.lockedUntil || null,
+      challengeExpired: data.code === 'TWO_FACTOR_CHALLENGE_EXPIRED',
+    };
+  } catch (error) {
+    console.error('Two-factor verification error:', error);
+    return {
+      success: false,
+      error: 'Network error. Please check your connection and try again',
+    };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
 /**
  * Check if username exists in Supabase
  * @param {string} username
@@ -305,8 +431,9 @@ export const checkUsernameExists = async (username) => {
 };
 
 /**
- * Create user in Supabase (via API Gateway)
- * @param {Object} userData - {username, password, email, name, role, department, position, workMode, hireDate}
+ * Create a user through the API Gateway (no direct Supabase fallback)
+ * @param {Object} userData - {username, password, email, name, role, department, position, workMode, hireDate,
+ *   mustChangePassword}
  * @returns {Promise<{success: boolean, error?: string, uid?: string}>}
  */
 export const addUserToFile = async (userData) => {
@@ -320,7 +447,8 @@ export const addUserToFile = async (userData) => {
       department = '',
       position = '',
       workMode = 'in_office',
-      hireDate = new Date().toISOString().split('T')[0]
+      hireDate = new Date().toISOString().split('T')[0],
+      mustChangePassword = false
     } = userData;
     
     if (!username || !password || !role) {
@@ -344,6 +472,7 @@ export const addUserToFile = async (userData) => {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
+          ...(await getAuthHeaders()),
         },
         body: JSON.stringify({
           username,
@@ -355,6 +484,7 @@ export const addUserToFile = async (userData) => {
           position,
           workMode,
           hireDate,
+          mustChangePassword,
         }),
       });
       
@@ -364,57 +494,15 @@ export const addUserToFile = async (userData) => {
         console.log('✓ User created via API Gateway:', username, `(${role}, ${department || 'No dept'})`);
         return { success: true, uid: data.user?.uid };
       } else {
-        return { success: false, error: data.error || 'Failed to create user' };
+        // Password policy rejections list every rule the password breaks
+        const error = Array.isArray(data.errors) && data.errors.length > 0 ? data.errors.join('\n') : data.error;
+        return { success: false, error: error || 'Failed to create user' };
       }
     } catch (apiError) {
-      console.log('API Gateway create failed, using Supabase directly');
-      
-      // Fallback: Create user directly in Supabase
-      const { data: authData, error: authError } = await supabase.auth.signUp({
-        email: email,
-        password: password,
-        options: {
-          data: {
-            username: username,
-            name: name || username,
-          }
-        }
-      });
-      
-      if (authError || !authData.user) {
-        let errorMessage = 'Failed to create user';
-        if (authError?.message?.includes('already registered')) {
-          errorMessage = 'Email already exists';
-        } else if (authError?.message?.includes('Invalid email')) {
-          errorMessage = 'Invalid email address';
-        }
-        return { success: false, error: errorMessage };
-      }
-      
-      // Create user document in Supabase database
-      const { error: dbError } = await supabase
-        .from('users')
-        .insert({
-          uid: authData.user.id,
-          username: username,
-          email: email,
-          name: name || username,
-          role: role,
-          department: department || '',
-          position: position || '',
-          work_mode: workMode || 'in_office',
-          hire_date: hireDate || new Date().toISOString().split('T')[0],
-          is_active: true,
-        });
-      
-      if (dbError) {
-        // Try to delete the auth user if database insert fails
-        await supabase.auth.admin.deleteUser(authData.user.id).catch(() => {});
-        return { success: false, error: 'Failed to create user profile' };
-      }
-      
-      console.log('✓ User created in Supabase:', username, `(${role}, ${department || 'No dept'})`);
-      return { success: true, uid: authData.user.id };
+      // No direct Supabase fallback: only the auth service checks permissions, the password policy,
+      // two-factor verification and writes the audit log
+      console.error('API Gateway user create failed:', apiError);
+      return { success: false, error: 'Network error. Please check your connection and try again' };
     }
   } catch (error) {
     console.error('Error adding user:', error);
@@ -423,7 +511,7 @@ export const addUserToFile = async (userData) => {
 };
 
 /**
- * Update user role in Supabase (via API Gateway)
+ * Update a user's role through the API Gateway (no direct Supabase fallback)
  * @param {string} username - Username to update
  * @param {string} newRole - New role
  * @returns {Promise<{success: boolean, error?: string}>}
@@ -437,6 +525,7 @@ export const updateUserRole = async (username, newRole) => {
         method: 'PATCH',
         headers: {
           'Content-Type': 'application/json',
+          ...(await getAuthHeaders()),
         },
         body: JSON.stringify({ role: newRole }),
       });
@@ -450,23 +539,10 @@ export const updateUserRole = async (username, newRole) => {
         return { success: false, error: data.error || 'Failed to update user role' };
       }
     } catch (apiError) {
-      console.log('API Gateway update failed, using Supabase directly');
-      
-      // Fallback: Update directly in Supabase
-      const { error } = await supabase
-        .from('users')
-        .update({ 
-          role: newRole,
-          updated_at: new Date().toISOString(),
-        })
-        .eq('username', username);
-      
-      if (error) {
-        return { success: false, error: error.message || 'Failed to update user role' };
-      }
-      
-      console.log('✓ User role updated in Supabase:', username, '->', newRole);
-      return { success: true };
+      // No direct Supabase fallback: only the auth service checks permissions, the password policy,
+      // two-factor verification and writes the audit log
+      console.error('API Gateway user update failed:', apiError);
+      return { success: false, error: 'Network error. Please check your connection and try again' };
     }
   } catch (error) {
     console.error('Error updating user role:', error);
@@ -475,32 +551,13 @@ export const updateUserRole = async (username, newRole) => {
 };
 
 /**
- * Update user information in Supabase (via API Gateway)
+ * Update user information through the API Gateway (no direct Supabase fallback)
  * @param {string} username - Username to update
  * @param {Object} updates - Fields to update (department, position, workMode, hireDate, etc.)
  * @returns {Promise<{success: boolean, error?: string}>}
  */
 export const updateUserInfo = async (username, updates) => {
   try {
-    // Convert camelCase to snake_case for database
-    const dbUpdates = {};
-    if (updates.workMode !== undefined) {
-      dbUpdates.work_mode = updates.workMode;
-    }
-    if (updates.hireDate !== undefined) {
-      dbUpdates.hire_date = updates.hireDate;
-    }
-    if (updates.isActive !== undefined) {
-      dbUpdates.is_active = updates.isActive;
-    }
-    
-    // Copy other fields
-    Object.keys(updates).forEach(key => {
-      if (!['workMode', 'hireDate', 'isActive'].includes(key)) {
-        dbUpdates[key] = updates[key];
-      }
-    });
-    
     // Use API Gateway (recommended)
     try {
       const gatewayUrl = typeof API_GATEWAY_URL === 'string' ? API_GATEWAY_URL : String(API_GATEWAY_URL || 'http://localhost:3000');
@@ -508,6 +565,7 @@ export const updateUserInfo = async (username, updates) => {
         method: 'PATCH',
         headers: {
           'Content-Type': 'application/json',
+          ...(await getAuthHeaders()),
         },
         body: JSON.stringify(updates), // API Gateway handles conversion
       });
@@ -521,21 +579,10 @@ export const updateUserInfo = async (username, updates) => {
         return { success: false, error: data.error || 'Failed to update user info' };
       }
     } catch (apiError) {
-      console.log('API Gateway update failed, using Supabase directly');
-      
-      // Fallback: Update directly in Supabase
-      dbUpdates.updated_at = new Date().toISOString();
-      const { error } = await supabase
-        .from('users')
-        .update(dbUpdates)
-        .eq('username', username);
-      
-      if (error) {
-        return { success: false, error: error.message || 'Failed to update user info' };
-      }
-      
-      console.log('✓ User info updated in Supabase:', username);
-      return { success: true };
+      // No direct Supabase fallback: only the auth service checks permissions, the password policy,
+      // two-factor verification and writes the audit log
+      console.error('API Gateway user update failed:', apiError);
+      return { success: false, error: 'Network error. Please check your connection and try again' };
     }
   } catch (error) {
     console.error('Error updating user info:', error);
@@ -1057,6 +1057,7 @@ export const createEmployee = async (employeeData) => {
       position = '',
       workMode = WORK_MODES.IN_OFFICE,
       hireDate = new Date().toISOString().split('T')[0],
+      mustChangePassword = false,
     } = employeeData;
 
     // Validate required fields
@@ -1111,6 +1112,7 @@ export const createEmployee = async (employeeData) => {
       position,
       workMode,
       hireDate,
+      mustChangePassword,
     });
 
     if (!addUserResult.success) {
@@ -3,6 +3,7 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 import { supabase } from '../core/config/supabase';
 import { createNotification, createBatchNotifications } from './notifications';
 import { getEmployeeById, getAdminUsers, getSuperAdminUsers, getManagersByDepartment } from './employees';
+import { AUDIT_ACTIONS, recordAuditEvent } from './auditLog';
 
 const LEAVE_SETTINGS_KEY = 'leave_settings';
 const EMPLOYEE_LEAVES_KEY = 'employee_leaves';
@@ -948,6 +949,22 @@ export const processLeaveRequest = async (requestId, status, processedBy, adminN
       };
     }
 
+    await recordAuditEvent({
+      action: status === 'approved' ? AUDIT_ACTIONS.LEAVE_APPROVE : AUDIT_ACTIONS.LEAVE_REJECT,
+      targetType: 'leave_request',
+      targetId: requestId,
+      targetLabel: request.employee_id,
+      before: request,
+      after: { ...request, status, processed_by: processedBy, admin_notes: adminNotes || null },
+      fields: ['status', 'processed_by', 'admin_notes'],
+      metadata: {
+        leaveType: request.leave_type,
+        days: request.days,
+        startDate: request.start_date,
+        endDate: request.end_date,
+      },
+    });
+
     // Send notification to employee
     try {
       const employee = await getEmployeeById(request.employee_id);
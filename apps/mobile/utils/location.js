@@ -1,5 +1,6 @@
 // Location utilities for reverse geocoding using OpenStreetMap Nominatim
 import * as Location from 'expo-location';
+import { captureLocationIntegrity } from '../features/geofencing/services/locationIntegrityService';
 
 /**
  * Request location permissions
@@ -32,8 +33,8 @@ export const requestLocationPermissions = async () => {
 };
 
 /**
- * Get current location with coordinates
- * @returns {Promise<{latitude: number, longitude: number, accuracy: number} | null>}
+ * Get current location with coordinates and location integrity data
+ * @returns {Promise<{latitude: number, longitude: number, accuracy: number, provider: string|null, mocked: boolean|null, altitude: number|null, speed: number|null} | null>}
  */
 export const getCurrentLocation = async () => {
   try {
@@ -67,6 +68,8 @@ export const getCurrentLocation = async () => {
       latitude: location.coords.latitude,
       longitude: location.coords.longitude,
       accuracy: location.coords.accuracy,
+      // Used by the server to score the punch for spoofing
+      ...(await captureLocationIntegrity(location)),
     };
   } catch (error) {
     console.error('Error getting location:', error);
@@ -1,123 +1,66 @@
 /**
  * Password Change Utility
- * Secure password change using Supabase Auth only
- * 
+ * Password changes go through the API Gateway (POST /api/auth/password) so the auth service
+ * can enforce the password policy and reject recently used passwords
+ *
  * SECURITY:
  * - Passwords are managed ONLY by Supabase Auth
  * - Passwords are NOT stored in PostgreSQL or AsyncStorage
  * - Each user can ONLY change their own password
  */
 
-import { supabase } from '../core/config/supabase';
+import { API_GATEWAY_URL, API_TIMEOUT, getAuthHeaders } from '../core/config/api';
 
 /**
- * Change user password
- * 
- * Flow:
- * 1. Re-authenticate user with current password
- * 2. If valid, update password using Supabase Auth
- * 
- * @param {string} currentPassword - User's current password
- * @param {string} newPassword - New password
- * @param {string} userEmail - User's email (required for re-authentication)
- * @returns {Promise<{success: boolean, error?: string}>}
+ * Send a password change for the signed-in user
+ * @param {Object} body - { currentPassword?, newPassword }
+ * @returns {Promise<{success: boolean, error?: string, errors?: string[], code?: string, sessionExpired?: boolean}>}
  */
-export const changePassword = async (currentPassword, newPassword, userEmail) => {
-  try {
-    // Validate inputs
-    if (!currentPassword || !newPassword || !userEmail) {
-      return {
-        success: false,
-        error: 'Current password, new password, and email are required'
-      };
-    }
-
-    // Validate password strength (minimum 6 characters as per Supabase default)
-    if (newPassword.length < 6) {
-      return {
-        success: false,
-        error: 'Password must be at least 6 characters long'
-      };
-    }
+const submitPasswordChange = async (body) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), API_TIMEOUT);
 
-    // Step 1: Re-authenticate user with current password
-    // This ensures the user knows their current password before changing it
-    const { data: authData, error: authError } = await supabase.auth.signInWithPassword({
-      email: userEmail,
-      password: currentPassword,
+  try {
+    const gatewayUrl = typeof API_GATEWAY_URL === 'string' ? API_GATEWAY_URL : String(API_GATEWAY_URL || 'http://localhost:3000');
+    const response = await fetch(`${gatewayUrl}/api/auth/password`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(await getAuthHeaders()),
+      },
+      body: JSON.stringify(body),
+      signal: controller.signal,
     });
 
-    if (authError) {
-      console.error('Re-authentication error:', authError.message);
-      
-      // Handle specific error cases
-      if (authError.message?.includes('Invalid login credentials')) {
-        return {
-          success: false,
-          error: 'Current password is incorrect'
-        };
-      }
-      
-      if (authError.message?.includes('Email rate limit exceeded')) {
-        return {
-          success: false,
-          error: 'Too many attempts. Please try again later'
-        };
-      }
+    const data = await response.json();
 
-      return {
-        success: false,
-        error: authError.message || 'Failed to verify current password'
-      };
+    if (response.ok && data.success) {
+      console.log('✓ Password changed successfully');
+      return { success: true };
     }
 
-    if (!authData.user) {
-      return {
-        success: false,
-        error: 'Failed to verify current password'
-      };
-    }
-
-    // Step 2: Update password using Supabase Auth
-    // Note: After re-authentication, we have a valid session
-    const { error: updateError } = await supabase.auth.updateUser({
-      password: newPassword
-    });
-
-    if (updateError) {
-      console.error('Password update error:', updateError.message);
-      
-      // Handle specific error cases
-      if (updateError.message?.includes('Password should be at least')) {
-        return {
-          success: false,
-          error: 'Password does not meet security requirements'
-        };
-      }
-
-      if (updateError.message?.includes('same as the old password')) {
-        return {
-          success: false,
-          error: 'New password must be different from current password'
-        };
-      }
-
+    if (response.status === 401) {
       return {
         success: false,
-        error: updateError.message || 'Failed to update password'
+        error: 'Your session has expired. Please log in again',
+        sessionExpired: true,
       };
     }
 
-    console.log('✓ Password changed successfully');
+    // Policy rejections list every rule the password breaks
     return {
-      success: true
+      success: false,
+      error: Array.isArray(data.errors) && data.errors.length > 0
+        ? data.errors.join('\n')
+        : data.message || data.error || 'Failed to update password',
+      errors: data.errors,
+      code: data.code,
     };
-
   } catch (error) {
     console.error('Error changing password:', error);
-    
-    // Handle network errors
-    if (error.message?.includes('Network') || error.message?.includes('fetch')) {
+
+    // Handle network errors and timeouts
+    if (error.name === 'AbortError' || error.message?.includes('Network') || error.message?.includes('fetch')) {
       return {
         success: false,
         error: 'Network error. Please check your connection and try again'
@@ -128,5 +71,45 @@ export const changePassword = async (currentPassword, newPassword, userEmail) =>
       success: false,
       error: error.message || 'An unexpected error occurred'
     };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+/**
+ * Change user password
+ * The auth service verifies the current password before setting the new one
+ *
+ * @param {string} currentPassword - User's current password
+ * @param {string} newPassword - New password
+ * @param {string} userEmail - User's email (kept for existing callers; the server uses the session)
+ * @returns {Promise<{success: boolean, error?: string, errors?: string[], code?: string}>}
+ */
+export const changePassword = async (currentPassword, newPassword, userEmail) => {
+  // Validate inputs
+  if (!currentPassword || !newPassword || !userEmail) {
+    return {
+      success: false,
+      error: 'Current password, new password, and email are required'
+    };
   }
+
+  return submitPasswordChange({ currentPassword, newPassword });
+};
+
+/**
+ * Set a new password in a session opened from a password reset link
+ * The recovery session stands in for the current password
+ * @param {string} newPassword - New password
+ * @returns {Promise<{success: boolean, error?: string, errors?: string[], code?: string}>}
+ */
+export const resetPassword = async (newPassword) => {
+  if (!newPassword) {
+    return {
+      success: false,
+      error: 'New password is required'
+    };
+  }
+
+  return submitPasswordChange({ newPassword });
 };
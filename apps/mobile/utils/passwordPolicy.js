@@ -0,0 +1,44 @@
+/**
+ * Password Policy
+ * The auth service owns the password policy; screens ask it to check a password before submitting it
+ */
+
+import { API_GATEWAY_URL, API_TIMEOUT } from '../core/config/api';
+
+// Shown under password fields; matches the auth service defaults (PASSWORD_MIN_LENGTH, PASSWORD_MIN_CHARACTER_CLASSES)
+export const PASSWORD_HINT = 'At least 10 characters, using 3 of: lowercase, uppercase, numbers, symbols';
+
+/**
+ * Check a password against the server's password policy
+ * If the gateway can't be reached the password is let through: it is checked again when it is set
+ * @param {string} password - Password to check
+ * @param {Object} [context] - { username, email } (passwords containing them are rejected)
+ * @returns {Promise<{valid: boolean, errors: string[]}>}
+ */
+export const checkPassword = async (password, { username, email } = {}) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), API_TIMEOUT);
+
+  try {
+    const gatewayUrl = typeof API_GATEWAY_URL === 'string' ? API_GATEWAY_URL : String(API_GATEWAY_URL || 'http://localhost:3000');
+    const response = await fetch(`${gatewayUrl}/api/auth/password/check`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ password, username, email }),
+      signal: controller.signal,
+    });
+
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      console.warn('Password check unavailable:', data.error || response.status);
+      return { valid: true, errors: [] };
+    }
+
+    return { valid: data.valid, errors: data.errors || [] };
+  } catch (error) {
+    console.warn('Password check unavailable:', error.message);
+    return { valid: true, errors: [] };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
@@ -1,6 +1,7 @@
 // Session Helper Utilities
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { supabase } from '../core/config/supabase';
+import { setTwoFactorToken } from '../core/config/api';
 
 /**
  * Clear all Supabase session data from AsyncStorage
@@ -20,6 +21,9 @@ export const clearSupabaseSession = async () => {
       await AsyncStorage.multiRemove(supabaseKeys);
       console.log('✓ Cleared Supabase session data');
     }
+
+    // The two-factor proof belongs to this sign-in only
+    await setTwoFactorToken(null);
     
     // Also sign out from Supabase
     await supabase.auth.signOut();
@@ -2,8 +2,22 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { supabase } from '../core/config/supabase';
 import { getEmployeeByUsername } from './employees';
+import { AUDIT_ACTIONS, recordAuditEvent } from './auditLog';
+import {
+  generateClientId,
+  enqueuePunch,
+  getPendingPunches,
+  getPendingPunchCount,
+  removePendingPunch,
+  markPunchAttemptFailed,
+} from '../features/attendance/services/punchQueue';
 
 const ATTENDANCE_RECORDS_KEY = '@attendance_records'; // For fallback only
+// Set once the punches older app versions saved in ATTENDANCE_RECORDS_KEY were moved to the offline queue
+const LEGACY_RECORDS_MIGRATED_KEY = '@attendance_records_migrated';
+
+// Attendance fields compared in audit entries (photos are left out)
+const ATTENDANCE_AUDIT_FIELDS = ['username', 'employee_name', 'type', 'timestamp', 'location', 'auth_method', 'is_manual'];
 
 /**
  * Convert database attendance record format to app format
@@ -22,81 +36,239 @@ const convertAttendanceFromDb = (dbRecord) => {
     authMethod: dbRecord.auth_method,
     isManual: dbRecord.is_manual || false,
     createdBy: dbRecord.created_by,
+    clientId: dbRecord.client_id,
+    isLateSync: dbRecord.is_late_sync || false,
+    syncedAt: dbRecord.synced_at,
     createdAt: dbRecord.created_at,
     updatedAt: dbRecord.updated_at,
     updatedBy: dbRecord.updated_by
   };
 };
 
+// PostgREST error code for exceptions raised by database functions (RAISE EXCEPTION)
+const DB_FUNCTION_EXCEPTION_CODE = 'P0001';
+
+// record_attendance exceptions about the session rather than the punch; queued punches are kept and retried
+const SESSION_REJECTIONS = ['Authentication required', 'User not found'];
+
+/**
+ * Convert a queued punch to app record format
+ * @param {Object} punch - Punch from the offline queue
+ * @returns {Object} Record in app format, flagged pendingSync
+ */
+const convertPendingPunch = (punch) => {
+  return {
+    id: punch.clientId,
+    clientId: punch.clientId,
+    username: punch.username,
+    type: punch.type,
+    timestamp: punch.deviceTimestamp,
+    location: punch.location,
+    photo: punch.photo,
+    authMethod: punch.authMethod,
+    isManual: false,
+    pendingSync: true,
+  };
+};
+
 /**
- * Save attendance record to Supabase
- * @param {Object} attendanceRecord - The attendance record to save
+ * Send a punch to the record_attendance database function
+ * Only punches replayed from the offline queue send their device time; live punches use the server time
+ * @param {Object} punch - { clientId, type, deviceTimestamp, location, authMethod, photo }
+ * @param {Object} options - { queued: true for a punch from the offline queue }
+ * @returns {Promise<{data: Object|null, error: Object|null}>} Supabase RPC result
+ */
+const submitPunch = async (punch, { queued = false } = {}) => {
+  const location = punch.location || {};
+
+  return await supabase.rpc('record_attendance', {
+    p_type: punch.type,
+    p_latitude: location.latitude ?? null,
+    p_longitude: location.longitude ?? null,
+    p_accuracy: location.accuracy ?? null,
+    p_location: location,
+    p_auth_method: punch.authMethod || null,
+    p_photo: punch.photo || null,
+    p_client_id: punch.clientId,
+    p_device_timestamp: queued ? punch.deviceTimestamp : null,
+  });
+};
+
+/**
+ * Save a check-in or check-out through the record_attendance database function
+ * The server validates the location against the user's office sites and the check-in/check-out
+ * sequence. A rejected punch throws an Error with the server's message and `rejected: true`.
+ * When Supabase can't be reached the punch is queued (punchQueue.js) with its original time and
+ * location and synced later; the returned record is then flagged pendingSync.
+ * @param {Object} attendanceRecord - The attendance record to save (username, type, timestamp, location, authMethod, photo)
+ * @returns {Promise<Object>} The saved (or queued) record in app format
  */
 export const saveAttendanceRecord = async (attendanceRecord) => {
+  const punch = {
+    clientId: attendanceRecord.clientId || generateClientId(),
+    username: attendanceRecord.username,
+    type: attendanceRecord.type,
+    deviceTimestamp: attendanceRecord.timestamp || new Date().toISOString(),
+    location: attendanceRecord.location || null,
+    authMethod: attendanceRecord.authMethod || null,
+    photo: attendanceRecord.photo || null,
+  };
+
   try {
-    // Get user UID from current Supabase session
+    // Punches must reach the server in order, so queued ones are sent first
+    if ((await getPendingPunchCount(punch.username)) > 0) {
+      const { remaining } = await syncPendingPunches(punch.username, { force: true });
+      if (remaining > 0) {
+        return convertPendingPunch(await enqueuePunch(punch));
+      }
+    }
+
+    // Make sure there is a Supabase session to record the punch for
     const { data: { user: authUser }, error: authError } = await supabase.auth.getUser();
     if (authError || !authUser) {
       console.error('Error getting Supabase session:', authError);
-      // Fallback to AsyncStorage
-      return await saveAttendanceRecordFallback(attendanceRecord);
+      return convertPendingPunch(await enqueuePunch(punch));
     }
 
-    // Get employee data for employee_name
-    const employee = await getEmployeeByUsername(attendanceRecord.username);
-    
-    const recordData = {
-      user_uid: authUser.id,
-      username: attendanceRecord.username,
-      employee_name: employee?.name || attendanceRecord.employeeName || attendanceRecord.username,
-      type: attendanceRecord.type,
-      timestamp: attendanceRecord.timestamp || new Date().toISOString(),
-      location: attendanceRecord.location || null,
-      photo: attendanceRecord.photo || null,
-      auth_method: attendanceRecord.authMethod || null,
-      is_manual: attendanceRecord.isManual || false,
-      created_by: attendanceRecord.createdBy || null
-    };
-
-    const { data, error } = await supabase
-      .from('attendance_records')
-      .insert(recordData)
-      .select()
-      .single();
+    const { data, error } = await submitPunch(punch);
 
     if (error) {
+      if (error.code === DB_FUNCTION_EXCEPTION_CODE) {
+        // Rejected by the server (outside the site, out of sequence, ...)
+        console.warn('Attendance record rejected:', error.message);
+        const rejection = new Error(error.message);
+        rejection.rejected = true;
+        throw rejection;
+      }
+
       console.error('Error saving attendance record to Supabase:', error);
-      // Fallback to AsyncStorage
-      return await saveAttendanceRecordFallback(attendanceRecord);
+      return convertPendingPunch(await enqueuePunch(punch));
     }
 
     console.log('✓ Attendance record saved to Supabase:', data.id);
     return convertAttendanceFromDb(data);
   } catch (error) {
+    if (error.rejected) {
+      throw error;
+    }
+
     console.error('Error saving attendance record:', error);
-    // Fallback to AsyncStorage
-    return await saveAttendanceRecordFallback(attendanceRecord);
+    return convertPendingPunch(await enqueuePunch(punch));
   }
 };
 
 /**
- * Fallback: Save attendance record to AsyncStorage
+ * Check whether the server rejected a punch because of the session (signed out, expired, not set up)
+ * @param {Object} error - Supabase RPC error
+ * @returns {boolean} True when the punch itself was not judged
+ */
+const isSessionRejection = (error) => {
+  return SESSION_REJECTIONS.some(message => error.message?.startsWith(message));
+};
+
+/**
+ * Send a user's queued punches to Supabase, oldest first
+ * Stops at the first punch that can't be sent (it is retried later with backoff) so punches stay
+ * in order. Nothing is sent without a valid Supabase session, and punches rejected because of the
+ * session are retried too. Punches rejected by the server are removed from the queue and returned.
+ * @param {string} username - User whose punches to send (the one signed in)
+ * @param {Object} options - { force: true to ignore the backoff delay }
+ * @returns {Promise<{synced: number, rejected: Array<{punch: Object, error: string}>, remaining: number}>}
  */
-const saveAttendanceRecordFallback = async (attendanceRecord) => {
+export const syncPendingPunches = async (username, { force = false } = {}) => {
+  const punches = await getPendingPunches(username);
+  const result = { synced: 0, rejected: [], remaining: punches.length };
+
+  if (punches.length === 0 || (!force && new Date(punches[0].nextAttemptAt) > new Date())) {
+    return result;
+  }
+
+  try {
+    const { data: { user: authUser }, error: authError } = await supabase.auth.getUser();
+    if (authError || !authUser) {
+      throw authError || new Error('No Supabase session');
+    }
+  } catch (error) {
+    console.warn('Unable to sync queued attendance records without a session, will retry:', error.message);
+    await markPunchAttemptFailed(punches[0].clientId, error.message);
+    return result;
+  }
+
+  for (const punch of punches) {
+    try {
+      const { data, error } = await submitPunch(punch, { queued: true });
+
+      if (error && error.code === DB_FUNCTION_EXCEPTION_CODE && !isSessionRejection(error)) {
+        console.warn('Queued attendance record rejected:', punch.clientId, error.message);
+        await removePendingPunch(punch.clientId);
+        result.rejected.push({ punch, error: error.message });
+        continue;
+      }
+
+      if (error) {
+        throw error;
+      }
+
+      await removePendingPunch(punch.clientId);
+      result.synced += 1;
+      console.log('✓ Queued attendance record synced to Supabase:', data.id);
+    } catch (error) {
+      console.warn('Unable to sync queued attendance record, will retry:', punch.clientId, error.message);
+      await markPunchAttemptFailed(punch.clientId, error.message);
+      break;
+    }
+  }
+
+  result.remaining = await getPendingPunchCount(username);
+  return result;
+};
+
+/**
+ * Move the check-ins and check-outs older app versions saved in AsyncStorage (when Supabase couldn't be
+ * reached) to the offline queue, so they are synced like any other queued punch. Runs once per device.
+ * @returns {Promise<number>} Number of punches queued
+ */
+export const migrateLegacyAttendanceRecords = async () => {
   try {
+    if (await AsyncStorage.getItem(LEGACY_RECORDS_MIGRATED_KEY)) {
+      return 0;
+    }
+
     const records = await getAttendanceRecordsFallback();
-    const newRecord = {
-      id: Date.now().toString(),
-      ...attendanceRecord,
-      timestamp: attendanceRecord.timestamp || new Date().toISOString()
-    };
-    records.push(newRecord);
-    await AsyncStorage.setItem(ATTENDANCE_RECORDS_KEY, JSON.stringify(records));
-    console.log('⚠️ Saved attendance record to AsyncStorage (fallback)');
-    return newRecord;
+    const isLegacyPunch = (record) => !record.isManual
+      && (record.username || record.userId)
+      && ['checkin', 'checkout'].includes(record.type)
+      && !Number.isNaN(new Date(record.timestamp).getTime());
+    const legacyPunches = records.filter(isLegacyPunch);
+
+    // A migration interrupted halfway must not queue the same record twice
+    const queuedLegacyIds = new Set((await getPendingPunches()).map(punch => punch.legacyId).filter(Boolean));
+
+    for (const record of legacyPunches) {
+      if (record.id && queuedLegacyIds.has(record.id)) {
+        continue;
+      }
+      await enqueuePunch({
+        clientId: generateClientId(),
+        legacyId: record.id || null,
+        username: record.username || record.userId,
+        type: record.type,
+        deviceTimestamp: new Date(record.timestamp).toISOString(),
+        location: record.location || null,
+        authMethod: record.authMethod || null,
+        photo: record.photo || null,
+      });
+    }
+
+    if (legacyPunches.length > 0) {
+      await AsyncStorage.setItem(ATTENDANCE_RECORDS_KEY, JSON.stringify(records.filter(record => !isLegacyPunch(record))));
+      console.log(`✓ Moved ${legacyPunches.length} locally saved attendance record(s) to the offline queue`);
+    }
+    await AsyncStorage.setItem(LEGACY_RECORDS_MIGRATED_KEY, new Date().toISOString());
+    return legacyPunches.length;
   } catch (error) {
-    console.error('Error saving attendance record to AsyncStorage:', error);
-    throw error;
+    console.error('Error moving locally saved attendance records to the offline queue:', error);
+    return 0;
   }
 };
 
@@ -139,11 +311,15 @@ const getAttendanceRecordsFallback = async () => {
 };
 
 /**
- * Get attendance records for a specific user
+ * Get attendance records for a specific user, newest first
+ * Includes the user's punches still waiting in the offline queue (flagged pendingSync)
  * @param {string} username - Username to filter records
  * @returns {Promise<Array>} Array of attendance records for the user
  */
 export const getUserAttendanceRecords = async (username) => {
+  // Queued punches are newer than everything already synced
+  const pendingRecords = (await getPendingPunches(username)).map(convertPendingPunch).reverse();
+
   try {
     const { data, error } = await supabase
       .from('attendance_records')
@@ -155,21 +331,21 @@ export const getUserAttendanceRecords = async (username) => {
       console.error('Error getting user attendance records from Supabase:', error);
       // Fallback to AsyncStorage
       const allRecords = await getAttendanceRecordsFallback();
-      return allRecords.filter(record => 
+      return [...pendingRecords, ...allRecords.filter(record => 
         record.username === username || 
         record.userId === username
-      );
+      )];
     }
 
-    return data.map(convertAttendanceFromDb);
+    return [...pendingRecords, ...data.map(convertAttendanceFromDb)];
   } catch (error) {
     console.error('Error getting user attendance records:', error);
     // Fallback to AsyncStorage
     const allRecords = await getAttendanceRecordsFallback();
-    return allRecords.filter(record => 
+    return [...pendingRecords, ...allRecords.filter(record => 
       record.username === username || 
       record.userId === username
-    );
+    )];
   }
 };
 
@@ -192,6 +368,13 @@ export const updateAttendanceRecord = async (recordId, updates) => {
     delete updateData.createdAt;
     delete updateData.updatedAt;
 
+    // Current values, for the audit log
+    const { data: previous } = await supabase
+      .from('attendance_records')
+      .select('*')
+      .eq('id', recordId)
+      .maybeSingle();
+
     const { error } = await supabase
       .from('attendance_records')
       .update(updateData)
@@ -203,6 +386,16 @@ export const updateAttendanceRecord = async (recordId, updates) => {
       return await updateAttendanceRecordFallback(recordId, updates);
     }
 
+    await recordAuditEvent({
+      action: AUDIT_ACTIONS.ATTENDANCE_UPDATE,
+      targetType: 'attendance_record',
+      targetId: recordId,
+      targetLabel: previous?.username || null,
+      before: previous,
+      after: { ...previous, ...updateData },
+      fields: Object.keys(updateData).filter(key => !['updated_at', 'updated_by', 'photo'].includes(key)),
+    });
+
     return { success: true };
   } catch (error) {
     console.error('Error updating attendance record:', error);
@@ -245,6 +438,13 @@ const updateAttendanceRecordFallback = async (recordId, updates) => {
  */
 export const deleteAttendanceRecord = async (recordId) => {
   try {
+    // Deleted values, for the audit log
+    const { data: previous } = await supabase
+      .from('attendance_records')
+      .select('*')
+      .eq('id', recordId)
+      .maybeSingle();
+
     const { error } = await supabase
       .from('attendance_records')
       .delete()
@@ -256,6 +456,15 @@ export const deleteAttendanceRecord = async (recordId) => {
       return await deleteAttendanceRecordFallback(recordId);
     }
 
+    await recordAuditEvent({
+      action: AUDIT_ACTIONS.ATTENDANCE_DELETE,
+      targetType: 'attendance_record',
+      targetId: recordId,
+      targetLabel: previous?.username || null,
+      before: previous,
+      fields: ATTENDANCE_AUDIT_FIELDS,
+    });
+
     return { success: true };
   } catch (error) {
     console.error('Error deleting attendance record:', error);
@@ -330,6 +539,15 @@ export const createManualAttendanceRecord = async (attendanceData, createdBy) =>
     }
 
     console.log('✓ Manual attendance record created in Supabase:', data.id);
+
+    await recordAuditEvent({
+      action: AUDIT_ACTIONS.ATTENDANCE_CREATE,
+      targetType: 'attendance_record',
+      targetId: data.id,
+      targetLabel: data.username,
+      after: data,
+      fields: ATTENDANCE_AUDIT_FIELDS,
+    });
     return { success: true, recordId: data.id };
   } catch (error) {
     console.error('Error creating manual attendance record:', error);
@@ -0,0 +1,113 @@
+/**
+ * Two-Factor Authentication Utility
+ * Enrollment and management of the signed-in user's authenticator app through the API Gateway
+ * (/api/auth/two-factor). The code step of the login itself is in utils/auth.js (verifyTwoFactorLogin).
+ *
+ * SECURITY:
+ * - The TOTP secret is only shown during setup and is never stored on the device
+ * - Recovery codes are only returned when they are created
+ */
+
+import { API_GATEWAY_URL, API_TIMEOUT, getAuthHeaders, setTwoFactorToken } from '../core/config/api';
+
+/**
+ * Call a two-factor endpoint for the signed-in user
+ * @param {string} method - HTTP method
+ * @param {string} url - Gateway URL
+ * @param {Object} [body] - JSON body
+ * @returns {Promise<{success: boolean, data?: Object, message?: string, error?: string, code?: string, sessionExpired?: boolean}>}
+ */
+const requestTwoFactor = async (method, url, body) => {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), API_TIMEOUT);
+
+  try {
+    const response = await fetch(url, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(await getAuthHeaders()),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+      signal: controller.signal,
+    });
+
+    const data = await response.json();
+
+    if (response.ok && data.success) {
+      return { success: true, data: data.data, message: data.message };
+    }
+
+    if (response.status === 401) {
+      return {
+        success: false,
+        error: 'Your session has expired. Please log in again',
+        sessionExpired: true,
+      };
+    }
+
+    return {
+      success: false,
+      error: data.error || 'Request failed',
+      code: data.code,
+    };
+  } catch (error) {
+    console.error('Two-factor request error:', error);
+
+    if (error.name === 'AbortError' || error.message?.includes('Network') || error.message?.includes('fetch')) {
+      return {
+        success: false,
+        error: 'Network error. Please check your connection and try again'
+      };
+    }
+
+    return {
+      success: false,
+      error: error.message || 'An unexpected error occurred'
+    };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+/**
+ * Get the signed-in user's two-factor status
+ * @returns {Promise<{success: boolean, data?: {configured: boolean, enabled: boolean, required: boolean,
+ *   enabledAt: string|null, recoveryCodesRemaining: number}, error?: string}>}
+ */
+export const getTwoFactorStatus = () => requestTwoFactor('GET', `${API_GATEWAY_URL}/api/auth/two-factor`);
+
+/**
+ * Start enrollment: a new secret for the authenticator app
+ * @returns {Promise<{success: boolean, data?: {secret: string, otpauthUri: string, issuer: string, accountName: string},
+ *   error?: string}>}
+ */
+export const startTwoFactorSetup = () => requestTwoFactor('POST', `${API_GATEWAY_URL}/api/auth/two-factor/setup`);
+
+/**
+ * Turn two-factor authentication on with the first code from the authenticator app
+ * Keeps the returned two-factor session token so this sign-in can still manage users
+ * @param {string} code - 6-digit code
+ * @returns {Promise<{success: boolean, data?: {recoveryCodes: string[]}, error?: string, code?: string}>}
+ */
+export const enableTwoFactor = async (code) => {
+  const result = await requestTwoFactor('POST', `${API_GATEWAY_URL}/api/auth/two-factor/enable`, { code: code.trim() });
+  if (result.success && result.data?.twoFactorToken) {
+    await setTwoFactorToken(result.data.twoFactorToken);
+  }
+  return result;
+};
+
+/**
+ * Replace the recovery codes (the old ones stop working)
+ * @param {string} code - Authenticator or recovery code
+ * @returns {Promise<{success: boolean, data?: {recoveryCodes: string[]}, error?: string, code?: string}>}
+ */
+export const regenerateRecoveryCodes = (code) => requestTwoFactor('POST', `${API_GATEWAY_URL}/api/auth/two-factor/recovery-codes`, { code: code.trim() });
+
+/**
+ * Turn two-factor authentication off (not allowed when the user's role requires it)
+ * @param {string} code - Authenticator or recovery code
+ * @returns {Promise<{success: boolean, error?: string, code?: string}>}
+ */
+export const disableTwoFactor = (code) => requestTwoFactor('POST', `${API_GATEWAY_URL}/api/auth/two-factor/disable`, { code: code.trim() });
@@ -0,0 +1,97 @@
+-- ============================================
+-- Generated Reports Archive Migration (Supabase)
+-- ============================================
+-- Persists metadata for every report produced by the reporting service
+-- (manual and scheduled) so reports survive restarts and are visible to
+-- every service instance. The files themselves live in the configured
+-- storage backend (local filesystem or the Supabase Storage bucket below).
+
+CREATE EXTENSION IF NOT EXISTS "pgcrypto";
+
+-- ============================================
+-- Table
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS generated_reports (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  range VARCHAR(20) NOT NULL,                 -- weekly, monthly, yearly, all, custom
+  period_from DATE,                           -- First day covered by the report
+  period_to DATE,                             -- Last day covered by the report
+  period_label TEXT,                          -- e.g. "January 2026"
+  format VARCHAR(10) NOT NULL DEFAULT 'pdf',  -- pdf, csv, xlsx
+  include_employees BOOLEAN DEFAULT true,     -- Whether the per-employee breakdown was included
+
+  status VARCHAR(20) NOT NULL DEFAULT 'generating', -- generating, ready, failed
+  error_message TEXT,                         -- Failure reason when status = failed
+
+  storage_backend VARCHAR(20),                -- local, supabase
+  storage_key TEXT,                           -- Object key within the storage backend
+  filename TEXT,                              -- Download / attachment filename
+  content_type TEXT,                          -- MIME type served on download
+  file_size INTEGER,                          -- Bytes
+
+  summary JSONB DEFAULT '{}'::jsonb,          -- Overall statistics, for listing without opening the file
+
+  source VARCHAR(20) NOT NULL DEFAULT 'manual', -- manual, scheduled
+  created_by_uid UUID,                        -- auth.uid() of the requester (NULL for scheduled reports)
+  created_by VARCHAR(255),                    -- Requester username (display only)
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ,                     -- Removed by the retention job after this time (NULL = keep)
+
+  CONSTRAINT generated_reports_status_check CHECK (status IN ('generating', 'ready', 'failed')),
+  CONSTRAINT generated_reports_format_check CHECK (format IN ('pdf', 'csv', 'xlsx'))
+);
+
+-- ============================================
+-- Indexes
+-- ============================================
+
+CREATE INDEX IF NOT EXISTS idx_generated_reports_created_at
+ON generated_reports(created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_generated_reports_range
+ON generated_reports(range);
+
+CREATE INDEX IF NOT EXISTS idx_generated_reports_created_by
+ON generated_reports(created_by);
+
+CREATE INDEX IF NOT EXISTS idx_generated_reports_expires_at
+ON generated_reports(expires_at)
+WHERE expires_at IS NOT NULL;
+
+-- ============================================
+-- Enable RLS
+-- ============================================
+
+ALTER TABLE generated_reports ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- SUPER ADMIN: View archived reports
+-- ============================================
+
+-- Inserts, updates and deletes go through the reporting service (service role bypasses RLS)
+CREATE POLICY "Super admins can view generated reports"
+ON generated_reports
+FOR SELECT
+USING (
+  EXISTS (
+    SELECT 1 FROM users
+    WHERE users.uid::text = auth.uid()::text
+    AND users.role = 'super_admin'
+  )
+);
+
+-- ============================================
+-- Storage bucket for the "supabase" storage backend
+-- ============================================
+
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('reports', 'reports', false)
+ON CONFLICT (id) DO NOTHING;
+
+COMMENT ON TABLE generated_reports IS 'Archive of reports generated by the reporting service; files are kept in the configured storage backend';
+COMMENT ON COLUMN generated_reports.storage_key IS 'Object key within storage_backend (e.g. 2026/01/<id>.pdf)';
+COMMENT ON COLUMN generated_reports.expires_at IS 'Set from REPORT_RETENTION_DAYS when the report completes; NULL keeps the report indefinitely';
@@ -0,0 +1,152 @@
+-- ============================================
+-- Report Schedules Migration (Supabase)
+-- ============================================
+-- Replaces the hardcoded monthly report cron in the reporting service.
+-- Each schedule describes when a report is generated, what it covers and
+-- who receives it. Every execution is recorded in report_schedule_runs.
+
+CREATE EXTENSION IF NOT EXISTS "pgcrypto";
+
+-- ============================================
+-- Schedules
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS report_schedules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  name VARCHAR(255) NOT NULL,
+
+  -- When to run
+  frequency VARCHAR(20) NOT NULL,             -- daily, weekly, monthly, cron
+  run_time VARCHAR(5) DEFAULT '02:00',        -- HH:MM in the schedule's timezone (daily/weekly/monthly)
+  day_of_week SMALLINT,                       -- 0 (Sunday) - 6 (Saturday), weekly only
+  day_of_month SMALLINT,                      -- 1 - 28, monthly only
+  cron_expression VARCHAR(100),               -- Five-field cron expression, frequency = cron only
+  timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',-- IANA timezone, e.g. Asia/Karachi
+
+  -- What to generate
+  range_type VARCHAR(20) NOT NULL DEFAULT 'monthly', -- weekly, monthly, yearly, all
+  format VARCHAR(10) NOT NULL DEFAULT 'pdf',          -- pdf, csv, xlsx
+  include_employees BOOLEAN DEFAULT true,
+
+  -- Who receives it: { "users": [usernames], "roles": [roles], "departmentManagers": [departments] }
+  recipients JSONB NOT NULL DEFAULT '{}'::jsonb,
+
+  is_active BOOLEAN DEFAULT true,
+  created_by VARCHAR(255),                    -- Username of the super admin who created it (NULL for seeded)
+
+  last_run_at TIMESTAMPTZ,
+  last_run_status VARCHAR(20),                -- success, failed
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT report_schedules_frequency_check CHECK (frequency IN ('daily', 'weekly', 'monthly', 'cron')),
+  CONSTRAINT report_schedules_range_check CHECK (range_type IN ('weekly', 'monthly', 'yearly', 'all')),
+  CONSTRAINT report_schedules_format_check CHECK (format IN ('pdf', 'csv', 'xlsx')),
+  CONSTRAINT report_schedules_day_of_week_check CHECK (day_of_week IS NULL OR day_of_week BETWEEN 0 AND 6),
+  CONSTRAINT report_schedules_day_of_month_check CHECK (day_of_month IS NULL OR day_of_month BETWEEN 1 AND 28),
+  CONSTRAINT report_schedules_cron_check CHECK (frequency <> 'cron' OR cron_expression IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_schedules_is_active
+ON report_schedules(is_active);
+
+-- ============================================
+-- Run history
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS report_schedule_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  schedule_id UUID NOT NULL REFERENCES report_schedules(id) ON DELETE CASCADE,
+
+  trigger VARCHAR(20) NOT NULL DEFAULT 'scheduled', -- scheduled, manual
+  scheduled_for TIMESTAMPTZ,                  -- Cron tick this run belongs to (NULL for manual runs)
+  triggered_by VARCHAR(255),                  -- Username for manual runs
+
+  status VARCHAR(20) NOT NULL DEFAULT 'running', -- running, success, failed
+  report_id UUID REFERENCES generated_reports(id) ON DELETE SET NULL,
+  recipients TEXT[] DEFAULT '{}',             -- Email addresses the report was sent to
+  error_message TEXT,
+
+  started_at TIMESTAMPTZ DEFAULT NOW(),
+  finished_at TIMESTAMPTZ,
+
+  CONSTRAINT report_schedule_runs_status_check CHECK (status IN ('running', 'success', 'failed')),
+  CONSTRAINT report_schedule_runs_trigger_check CHECK (trigger IN ('scheduled', 'manual'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_schedule_runs_schedule_id
+ON report_schedule_runs(schedule_id, started_at DESC);
+
+-- Only one service instance may claim a given cron tick
+CREATE UNIQUE INDEX IF NOT EXISTS idx_report_schedule_runs_tick
+ON report_schedule_runs(schedule_id, scheduled_for)
+WHERE scheduled_for IS NOT NULL;
+
+-- Link archived reports back to the schedule that produced them
+ALTER TABLE generated_reports
+ADD COLUMN IF NOT EXISTS schedule_id UUID REFERENCES report_schedules(id) ON DELETE SET NULL;
+
+-- ============================================
+-- Enable RLS
+-- ============================================
+
+ALTER TABLE report_schedules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE report_schedule_runs ENABLE ROW LEVEL SECURITY;
+
+-- Writes go through the reporting service (service role bypasses RLS)
+CREATE POLICY "Super admins can view report schedules"
+ON report_schedules
+FOR SELECT
+USING (
+  EXISTS (
+    SELECT 1 FROM users
+    WHERE users.uid::text = auth.uid()::text
+    AND users.role = 'super_admin'
+  )
+);
+
+CREATE POLICY "Super admins can view report schedule runs"
+ON report_schedule_runs
+FOR SELECT
+USING (
+  EXISTS (
+    SELECT 1 FROM users
+    WHERE users.uid::text = auth.uid()::text
+    AND users.role = 'super_admin'
+  )
+);
+
+-- ============================================
+-- Auto-update updated_at
+-- ============================================
+
+CREATE OR REPLACE FUNCTION update_report_schedules_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_update_report_schedules_updated_at ON report_schedules;
+CREATE TRIGGER trigger_update_report_schedules_updated_at
+BEFORE UPDATE ON report_schedules
+FOR EACH ROW
+EXECUTE FUNCTION update_report_schedules_updated_at();
+
+-- ============================================
+-- Seed: the former hardcoded monthly report
+-- ============================================
+-- 1st of every month at 02:00 UTC, previous month, PDF, emailed to super admins
+
+INSERT INTO report_schedules (name, frequency, run_time, day_of_month, timezone, range_type, format, recipients)
+SELECT 'Monthly Attendance Report', 'monthly', '02:00', 1, 'UTC', 'monthly', 'pdf', '{"roles": ["super_admin"]}'::jsonb
+WHERE NOT EXISTS (
+  SELECT 1 FROM report_schedules WHERE name = 'Monthly Attendance Report'
+);
+
+COMMENT ON TABLE report_schedules IS 'Report generation schedules executed by the reporting service';
+COMMENT ON COLUMN report_schedules.recipients IS 'JSON: users (usernames), roles, departmentManagers (department names whose managers receive the report)';
+COMMENT ON TABLE report_schedule_runs IS 'Execution history of report schedules';
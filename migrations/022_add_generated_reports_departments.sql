@@ -0,0 +1,13 @@
+-- ============================================
+-- Department-Scoped Reports Migration (Supabase)
+-- ============================================
+-- Managers can generate reports limited to their own department, and super
+-- admins can filter reports to selected departments. The scope is recorded
+-- with each archived report so it can be shown in the report list.
+
+ALTER TABLE generated_reports
+  ADD COLUMN IF NOT EXISTS departments TEXT[];  -- Departments covered (NULL = all departments)
+
+CREATE INDEX IF NOT EXISTS idx_generated_reports_created_by_uid ON generated_reports(created_by_uid);
+
+COMMENT ON COLUMN generated_reports.departments IS 'Department scope of the report; NULL means company-wide';
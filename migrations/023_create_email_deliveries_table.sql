@@ -0,0 +1,60 @@
+-- ============================================
+-- Email Delivery Log Migration (Supabase)
+-- ============================================
+-- Records the outcome of every report email sent by the reporting service,
+-- whichever transport delivered it (Resend, SMTP or the local outbox),
+-- including how many attempts it took and why it failed.
+
+CREATE EXTENSION IF NOT EXISTS "pgcrypto";
+
+-- ============================================
+-- Table
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS email_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  report_id UUID REFERENCES generated_reports(id) ON DELETE SET NULL,
+  schedule_run_id UUID REFERENCES report_schedule_runs(id) ON DELETE SET NULL, -- NULL for manual reports
+
+  recipient VARCHAR(255) NOT NULL,
+  subject TEXT,
+  transport VARCHAR(20) NOT NULL,             -- resend, smtp, outbox
+
+  status VARCHAR(20) NOT NULL,                -- sent, failed
+  attempts SMALLINT NOT NULL DEFAULT 1,       -- Attempts made, including retries (0 = transport misconfigured)
+  message_id TEXT,                            -- ID assigned by the transport
+  error_message TEXT,                         -- Last error when status = failed
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  delivered_at TIMESTAMPTZ,
+
+  CONSTRAINT email_deliveries_status_check CHECK (status IN ('sent', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_deliveries_report_id
+ON email_deliveries(report_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_email_deliveries_schedule_run_id
+ON email_deliveries(schedule_run_id);
+
+-- ============================================
+-- Enable RLS
+-- ============================================
+
+ALTER TABLE email_deliveries ENABLE ROW LEVEL SECURITY;
+
+-- Writes go through the reporting service (service role bypasses RLS)
+CREATE POLICY "Super admins can view email deliveries"
+ON email_deliveries
+FOR SELECT
+USING (
+  EXISTS (
+    SELECT 1 FROM users
+    WHERE users.uid::text = auth.uid()::text
+    AND users.role = 'super_admin'
+  )
+);
+
+COMMENT ON TABLE email_deliveries IS 'Delivery log for report emails sent by the reporting service';
+COMMENT ON COLUMN email_deliveries.attempts IS 'Send attempts including retries with backoff (EMAIL_MAX_ATTEMPTS)';
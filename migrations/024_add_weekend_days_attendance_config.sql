@@ -0,0 +1,31 @@
+-- ============================================
+-- Weekend Days Attendance Config Migration (Supabase)
+-- ============================================
+-- Attendance rates (reports and in-app analytics) only expect check-ins on
+-- working days. Which days of the week are off is now configurable through
+-- the weekend_days attendance config key instead of being hardcoded to
+-- Saturday/Sunday.
+--
+-- attendance_config is a key/value table (get_attendance_config /
+-- set_attendance_config), but migration 018 also added a unique index on a
+-- constant that only allows one row in total. Drop it so more keys can be
+-- stored; config_key stays unique.
+
+DROP INDEX IF EXISTS idx_attendance_config_singleton;
+
+-- ============================================
+-- Default: Saturday and Sunday off
+-- ============================================
+-- days: 0 = Sunday ... 6 = Saturday (e.g. [5, 6] for a Friday/Saturday weekend)
+
+INSERT INTO attendance_config (config_key, config_value, description, updated_by, singleton)
+VALUES (
+  'weekend_days',
+  '{"days": [0, 6]}'::jsonb,
+  'Days of the week that are not working days (0 = Sunday ... 6 = Saturday)',
+  'system',
+  1
+)
+ON CONFLICT (config_key) DO NOTHING;
+
+COMMENT ON COLUMN attendance_config.singleton IS 'Unused since migration 024 (attendance_config holds one row per config_key)';
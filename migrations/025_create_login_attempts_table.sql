@@ -0,0 +1,58 @@
+-- ============================================
+-- Login Attempts Migration (Supabase)
+-- ============================================
+-- Log of every login attempt through the auth service. Per-IP throttling and
+-- per-account lockout are computed from it; an 'unlocked' row written by
+-- POST /api/auth/users/:username/unlock resets an account's failure count.
+
+CREATE EXTENSION IF NOT EXISTS "pgcrypto";
+
+-- ============================================
+-- Table
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS login_attempts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  identifier VARCHAR(255) NOT NULL,           -- Username or email as typed (lower-cased)
+  user_uid UUID,                              -- Matching user, NULL when the identifier is unknown
+  ip_address VARCHAR(64) NOT NULL,
+  user_agent TEXT,
+
+  outcome VARCHAR(20) NOT NULL,               -- success, failure, locked, blocked, unlocked
+  reason TEXT,                                -- Why it failed, or who unlocked the account
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT login_attempts_outcome_check CHECK (outcome IN ('success', 'failure', 'locked', 'blocked', 'unlocked'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_attempts_user_uid
+ON login_attempts(user_uid, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_login_attempts_identifier
+ON login_attempts(identifier, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_login_attempts_ip_address
+ON login_attempts(ip_address, created_at DESC);
+
+-- ============================================
+-- Enable RLS
+-- ============================================
+
+ALTER TABLE login_attempts ENABLE ROW LEVEL SECURITY;
+
+-- Writes go through the auth service (service role bypasses RLS)
+CREATE POLICY "Super admins can view login attempts"
+ON login_attempts
+FOR SELECT
+USING (
+  EXISTS (
+    SELECT 1 FROM users
+    WHERE users.uid::text = auth.uid()::text
+    AND users.role = 'super_admin'
+  )
+);
+
+COMMENT ON TABLE login_attempts IS 'Login attempt log used for brute-force throttling and account lockout';
+COMMENT ON COLUMN login_attempts.outcome IS 'success/failure count towards lockout; locked/blocked are rejected attempts; unlocked resets the count';
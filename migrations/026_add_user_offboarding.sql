@@ -0,0 +1,73 @@
+-- ============================================
+-- User Offboarding Migration (Supabase)
+-- ============================================
+-- POST /api/auth/users/:username/deactivate bans the user in Supabase Auth,
+-- sets is_active = false, hands their open tickets and pending leave
+-- approvals to a successor and closes any open check-in.
+-- POST /api/auth/users/:username/reactivate restores access.
+--
+-- The current state is kept on the users row; every deactivation and
+-- reactivation is also logged in user_status_changes.
+
+CREATE EXTENSION IF NOT EXISTS "pgcrypto";
+
+-- ============================================
+-- Users: current deactivation
+-- ============================================
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMPTZ,          -- When the deactivation was made
+  ADD COLUMN IF NOT EXISTS deactivation_effective_date DATE,    -- Last day of employment (may be backdated)
+  ADD COLUMN IF NOT EXISTS deactivated_by VARCHAR(255),         -- Username of the admin who deactivated
+  ADD COLUMN IF NOT EXISTS deactivation_reason TEXT,
+  ADD COLUMN IF NOT EXISTS successor_username VARCHAR(255);     -- Who took over tickets and approvals
+
+-- ============================================
+-- Status change log
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS user_status_changes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  user_uid UUID NOT NULL,
+  username VARCHAR(255) NOT NULL,
+
+  action VARCHAR(20) NOT NULL,                -- deactivated, reactivated
+  effective_date DATE NOT NULL,
+  reason TEXT,
+  successor_username VARCHAR(255),
+
+  details JSONB,                              -- { ticketsReassigned, leaveRequestsReassigned, checkoutRecordId }
+
+  performed_by VARCHAR(255) NOT NULL,         -- Username of the admin
+  performed_by_uid UUID,
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT user_status_changes_action_check CHECK (action IN ('deactivated', 'reactivated'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_status_changes_user_uid
+ON user_status_changes(user_uid, created_at DESC);
+
+-- ============================================
+-- Enable RLS
+-- ============================================
+
+ALTER TABLE user_status_changes ENABLE ROW LEVEL SECURITY;
+
+-- Writes go through the auth service (service role bypasses RLS)
+CREATE POLICY "Super admins can view user status changes"
+ON user_status_changes
+FOR SELECT
+USING (
+  EXISTS (
+    SELECT 1 FROM users
+    WHERE users.uid::text = auth.uid()::text
+    AND users.role = 'super_admin'
+  )
+);
+
+COMMENT ON TABLE user_status_changes IS 'Who deactivated or reactivated each user account, and when';
+COMMENT ON COLUMN users.deactivation_effective_date IS 'Last day of employment; cleared on reactivation';
+COMMENT ON COLUMN users.successor_username IS 'User who received the open tickets and pending leave approvals on deactivation';
@@ -0,0 +1,69 @@
+-- ============================================
+-- Password Policy Migration (Supabase)
+-- ============================================
+-- The auth service enforces the password policy (length, character classes,
+-- common passwords) and rejects any of a user's last PASSWORD_HISTORY_COUNT
+-- passwords. Each password it sets is kept in password_history as a salted
+-- scrypt hash; plaintext is never stored.
+--
+-- users.must_change_password is set by an admin
+-- (POST /api/auth/users/:username/require-password-change) or at login once
+-- the password is older than PASSWORD_MAX_AGE_DAYS. The login response reports
+-- it and the app asks for a new password before opening the dashboard.
+
+CREATE EXTENSION IF NOT EXISTS "pgcrypto";
+
+-- ============================================
+-- Users: password status
+-- ============================================
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN NOT NULL DEFAULT FALSE,
+  ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMPTZ;     -- Last change through the auth service
+
+-- Users may update their own row (013), but not clear their own password flags:
+-- only the auth service (service role) changes them
+CREATE OR REPLACE FUNCTION protect_user_password_status()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF COALESCE(auth.role(), '') <> 'service_role' THEN
+    NEW.must_change_password := OLD.must_change_password;
+    NEW.password_changed_at := OLD.password_changed_at;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS protect_user_password_status ON users;
+CREATE TRIGGER protect_user_password_status
+BEFORE UPDATE ON users
+FOR EACH ROW
+EXECUTE FUNCTION protect_user_password_status();
+
+-- ============================================
+-- Password history
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS password_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  user_uid UUID NOT NULL,
+  password_hash TEXT NOT NULL,                -- scrypt$<N>$<r>$<p>$<salt>$<hash> (base64url)
+  changed_by VARCHAR(255),                    -- Username of the admin who set it; NULL when the user did
+
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_password_history_user_uid
+ON password_history(user_uid, created_at DESC);
+
+-- ============================================
+-- Enable RLS
+-- ============================================
+
+-- Only the auth service (service role bypasses RLS) reads or writes password hashes
+ALTER TABLE password_history ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE password_history IS 'Hashes of recent passwords, used to reject password reuse';
+COMMENT ON COLUMN users.must_change_password IS 'The user must choose a new password before using the app';
+COMMENT ON COLUMN users.password_changed_at IS 'When the password was last set through the auth service (NULL: before the policy, or set directly in Supabase Auth)';
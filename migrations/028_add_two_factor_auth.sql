@@ -0,0 +1,79 @@
+-- ============================================
+-- Two-Factor Authentication Migration (Supabase)
+-- ============================================
+-- TOTP (authenticator app) second factor for POST /api/auth/login, with
+-- one-time recovery codes. The auth service encrypts TOTP secrets with
+-- TWO_FACTOR_SECRET before storing them and keeps recovery codes as hashes.
+--
+-- users.two_factor_enabled mirrors enrollment so login and the permission
+-- checks don't need a second query. Roles in TWO_FACTOR_REQUIRED_ROLES
+-- (default super_admin, manager) must enroll before managing users.
+
+-- ============================================
+-- Users: two-factor status
+-- ============================================
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS two_factor_enabled BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Users may update their own row (013), but only the auth service (service role)
+-- turns two-factor authentication on or off
+CREATE OR REPLACE FUNCTION protect_user_two_factor_status()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF COALESCE(auth.role(), '') <> 'service_role' THEN
+    NEW.two_factor_enabled := OLD.two_factor_enabled;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS protect_user_two_factor_status ON users;
+CREATE TRIGGER protect_user_two_factor_status
+BEFORE UPDATE ON users
+FOR EACH ROW
+EXECUTE FUNCTION protect_user_two_factor_status();
+
+-- ============================================
+-- TOTP secrets
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS user_two_factor (
+  user_uid UUID PRIMARY KEY,
+
+  secret_encrypted TEXT NOT NULL,             -- v1.<iv>.<auth tag>.<ciphertext> (AES-256-GCM, base64url)
+  enabled_at TIMESTAMPTZ,                     -- NULL while enrollment waits for the first code
+  last_used_step BIGINT,                      -- Time step of the last accepted code (no replays)
+
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================
+-- Recovery codes
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  user_uid UUID NOT NULL,
+  code_hash TEXT NOT NULL,                    -- SHA-256 of the normalized code
+  used_at TIMESTAMPTZ,                        -- Each code works once
+
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user_uid
+ON user_recovery_codes(user_uid);
+
+-- ============================================
+-- Enable RLS
+-- ============================================
+
+-- Only the auth service (service role bypasses RLS) reads or writes second factors
+ALTER TABLE user_two_factor ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_recovery_codes ENABLE ROW LEVEL SECURITY;
+
+COMMENT ON TABLE user_two_factor IS 'Encrypted TOTP secrets; a row without enabled_at is an unfinished enrollment';
+COMMENT ON TABLE user_recovery_codes IS 'Hashed one-time recovery codes for users who lose their authenticator';
+COMMENT ON COLUMN users.two_factor_enabled IS 'Login requires a TOTP or recovery code after the password';
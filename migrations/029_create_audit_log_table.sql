@@ -0,0 +1,185 @@
+-- ============================================
+-- Audit Log Migration (Supabase)
+-- ============================================
+-- Append-only record of administrative changes: who did what to which record,
+-- the fields before and after, and where the request came from.
+--
+-- Writers:
+--   - auth-service and reporting-service insert with the service role
+--   - the mobile app calls record_audit_event(), which takes the actor from
+--     auth.uid() so a client cannot write entries in someone else's name
+-- Readers: GET /api/audit through the auth service (audit:read permission)
+
+CREATE EXTENSION IF NOT EXISTS "pgcrypto";
+
+-- ============================================
+-- Table
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  -- Who
+  actor_uid UUID,                             -- NULL for system jobs
+  actor_username VARCHAR(255),
+  actor_role VARCHAR(50),
+
+  -- What
+  action VARCHAR(100) NOT NULL,               -- <area>.<verb>, e.g. user.role_change, leave.approve
+  target_type VARCHAR(50) NOT NULL,           -- user, attendance_record, office_location, attendance_config, leave_request, report_schedule, report
+  target_id TEXT,                             -- Primary key of the changed row
+  target_label TEXT,                          -- Human-readable target (username, config key, schedule name)
+  changes JSONB NOT NULL DEFAULT '{}'::jsonb, -- { field: { before, after } } for the fields that changed
+  metadata JSONB NOT NULL DEFAULT '{}'::jsonb,
+
+  -- Where from
+  source VARCHAR(50) NOT NULL,                -- auth-service, reporting-service, mobile
+  ip_address VARCHAR(64),
+  user_agent TEXT,
+  device TEXT,                                -- Mobile platform and app version
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT audit_log_action_format CHECK (action ~ '^[a-z_]+\.[a-z_]+$')
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at
+ON audit_log(created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor
+ON audit_log(actor_username, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_target
+ON audit_log(target_type, target_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_action
+ON audit_log(action, created_at DESC);
+
+-- ============================================
+-- Append-only
+-- ============================================
+
+-- Applies to the service role too: entries can be added, never edited or removed
+CREATE OR REPLACE FUNCTION prevent_audit_log_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+CREATE TRIGGER audit_log_append_only
+BEFORE UPDATE OR DELETE ON audit_log
+FOR EACH ROW
+EXECUTE FUNCTION prevent_audit_log_changes();
+
+DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log;
+CREATE TRIGGER audit_log_no_truncate
+BEFORE TRUNCATE ON audit_log
+FOR EACH STATEMENT
+EXECUTE FUNCTION prevent_audit_log_changes();
+
+-- ============================================
+-- Enable RLS
+-- ============================================
+
+-- No policies: clients neither read nor insert directly (service role bypasses RLS)
+ALTER TABLE audit_log ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- Functions
+-- ============================================
+
+/**
+ * Record an administrative change made from the mobile app
+ * The actor (uid, username, role) is ALWAYS taken from auth.uid(), and the IP
+ * from the request headers PostgREST passes through
+ * Only super_admin and manager accounts make administrative changes
+ */
+CREATE OR REPLACE FUNCTION record_audit_event(
+  p_action VARCHAR,
+  p_target_type VARCHAR,
+  p_target_id TEXT DEFAULT NULL,
+  p_target_label TEXT DEFAULT NULL,
+  p_changes JSONB DEFAULT '{}'::jsonb,
+  p_metadata JSONB DEFAULT '{}'::jsonb,
+  p_device TEXT DEFAULT NULL
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_entry_id UUID;
+  v_user_username VARCHAR(255);
+  v_user_role VARCHAR(50);
+  v_is_active BOOLEAN;
+  v_headers JSON;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Authentication required. Please log in.';
+  END IF;
+
+  SELECT username, role, is_active
+  INTO v_user_username, v_user_role, v_is_active
+  FROM users
+  WHERE uid::text = auth.uid()::text
+  LIMIT 1;
+
+  IF v_user_username IS NULL OR v_is_active = false THEN
+    RAISE EXCEPTION 'User not found or inactive';
+  END IF;
+
+  IF v_user_role NOT IN ('super_admin', 'manager') THEN
+    RAISE EXCEPTION 'Insufficient permissions. Only super_admin and managers record audit events.';
+  END IF;
+
+  v_headers := NULLIF(current_setting('request.headers', true), '')::json;
+
+  INSERT INTO audit_log (
+    actor_uid,
+    actor_username,
+    actor_role,
+    action,
+    target_type,
+    target_id,
+    target_label,
+    changes,
+    metadata,
+    source,
+    ip_address,
+    user_agent,
+    device
+  ) VALUES (
+    auth.uid(),
+    v_user_username,
+    v_user_role,
+    p_action,
+    p_target_type,
+    p_target_id,
+    LEFT(p_target_label, 255),
+    COALESCE(p_changes, '{}'::jsonb),
+    COALESCE(p_metadata, '{}'::jsonb),
+    'mobile',
+    LEFT(TRIM(SPLIT_PART(v_headers->>'x-forwarded-for', ',', 1)), 64),
+    v_headers->>'user-agent',
+    LEFT(p_device, 255)
+  )
+  RETURNING id INTO v_entry_id;
+
+  RETURN v_entry_id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION record_audit_event(VARCHAR, VARCHAR, TEXT, TEXT, JSONB, JSONB, TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION record_audit_event(VARCHAR, VARCHAR, TEXT, TEXT, JSONB, JSONB, TEXT) TO authenticated;
+
+-- ============================================
+-- Comments
+-- ============================================
+
+COMMENT ON TABLE audit_log IS 'Append-only log of administrative changes (UPDATE, DELETE and TRUNCATE are rejected)';
+COMMENT ON COLUMN audit_log.changes IS 'Changed fields only: { field: { before, after } }';
+COMMENT ON COLUMN audit_log.source IS 'Writer: auth-service, reporting-service or mobile (through record_audit_event)';
+COMMENT ON FUNCTION record_audit_event(VARCHAR, VARCHAR, TEXT, TEXT, JSONB, JSONB, TEXT) IS 'Records an audit entry from the mobile app. The actor is always derived from auth.uid(); only super_admin and managers can call it.';
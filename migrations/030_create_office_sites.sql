@@ -0,0 +1,428 @@
+-- ============================================
+-- Office Sites Migration (Supabase)
+-- ============================================
+-- Replaces the single office_location row (migration 016) with named sites,
+-- each with its own center, radius and timezone.
+--
+-- Employees are assigned to sites by username or by department:
+--   - a user with assignments may check in at any of their assigned sites
+--   - a user with no assignments (neither personal nor departmental) to an
+--     active site may check in at any active site
+-- Check-in, checkout and auto-checkout resolve the nearest permitted site
+-- (get_permitted_office_sites()).
+--
+-- office_location is left in place for older app builds and is copied into
+-- the first site below.
+
+CREATE EXTENSION IF NOT EXISTS "pgcrypto";
+
+-- ============================================
+-- Tables
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS office_sites (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  name VARCHAR(100) NOT NULL,                  -- Display name, e.g. "Head Office", "Warehouse"
+  latitude DOUBLE PRECISION NOT NULL,          -- Site center latitude (-90 to 90)
+  longitude DOUBLE PRECISION NOT NULL,         -- Site center longitude (-180 to 180)
+  radius_meters INTEGER NOT NULL DEFAULT 1000, -- Geofence radius in meters
+  timezone VARCHAR(64) NOT NULL DEFAULT 'UTC', -- IANA timezone, e.g. Asia/Jakarta
+  is_active BOOLEAN NOT NULL DEFAULT true,     -- Inactive sites are kept for history but never permit check-in
+
+  updated_by VARCHAR(255),                     -- Username of user who last changed the site (server-set only)
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT office_sites_latitude_range CHECK (latitude >= -90 AND latitude <= 90),
+  CONSTRAINT office_sites_longitude_range CHECK (longitude >= -180 AND longitude <= 180),
+  CONSTRAINT office_sites_radius_positive CHECK (radius_meters > 0)
+);
+
+-- Site names are unique regardless of case
+CREATE UNIQUE INDEX IF NOT EXISTS idx_office_sites_name
+ON office_sites(LOWER(name));
+
+CREATE TABLE IF NOT EXISTS office_site_assignments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+
+  site_id UUID NOT NULL REFERENCES office_sites(id) ON DELETE CASCADE,
+  username VARCHAR(255),                       -- Assigned employee, or
+  department VARCHAR(255),                     -- every employee of this department
+
+  created_by VARCHAR(255),
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  CONSTRAINT office_site_assignments_one_target CHECK ((username IS NULL) <> (department IS NULL))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_office_site_assignments_username
+ON office_site_assignments(site_id, username)
+WHERE username IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_office_site_assignments_department
+ON office_site_assignments(site_id, department)
+WHERE department IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_office_site_assignments_lookup_username
+ON office_site_assignments(username);
+
+CREATE INDEX IF NOT EXISTS idx_office_site_assignments_lookup_department
+ON office_site_assignments(department);
+
+-- ============================================
+-- Existing office location
+-- ============================================
+
+INSERT INTO office_sites (name, latitude, longitude, radius_meters, updated_by)
+SELECT 'Main Office', ol.latitude, ol.longitude, ol.radius_meters, ol.updated_by
+FROM office_location ol
+WHERE NOT EXISTS (SELECT 1 FROM office_sites)
+LIMIT 1;
+
+-- ============================================
+-- Enable RLS
+-- ============================================
+
+ALTER TABLE office_sites ENABLE ROW LEVEL SECURITY;
+ALTER TABLE office_site_assignments ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- RLS Policies
+-- ============================================
+
+-- All authenticated users can view sites and assignments
+-- Changes go through save_office_site() and set_office_site_assignments() only
+DROP POLICY IF EXISTS "Users can view office sites" ON office_sites;
+CREATE POLICY "Users can view office sites"
+ON office_sites
+FOR SELECT
+TO authenticated
+USING (true);
+
+DROP POLICY IF EXISTS "Users can view office site assignments" ON office_site_assignments;
+CREATE POLICY "Users can view office site assignments"
+ON office_site_assignments
+FOR SELECT
+TO authenticated
+USING (true);
+
+-- ============================================
+-- Auto-update updated_at
+-- ============================================
+
+CREATE OR REPLACE FUNCTION update_office_sites_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_update_office_sites_updated_at ON office_sites;
+CREATE TRIGGER trigger_update_office_sites_updated_at
+BEFORE UPDATE ON office_sites
+FOR EACH ROW
+EXECUTE FUNCTION update_office_sites_updated_at();
+
+-- ============================================
+-- Helper Functions
+-- ============================================
+
+/**
+ * Username of the calling super_admin or HR manager
+ * Raises if the caller is not signed in or may not manage office sites
+ */
+CREATE OR REPLACE FUNCTION require_office_site_admin()
+RETURNS VARCHAR
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_username VARCHAR(255);
+  v_user_role VARCHAR(50);
+  v_user_department VARCHAR(255);
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Authentication required. Please log in.';
+  END IF;
+
+  SELECT username, role, department
+  INTO v_user_username, v_user_role, v_user_department
+  FROM users
+  WHERE uid::text = auth.uid()::text
+  LIMIT 1;
+
+  IF v_user_username IS NULL THEN
+    RAISE EXCEPTION 'User not found. Your account may not be properly set up in the database.';
+  END IF;
+
+  IF NOT (v_user_role = 'super_admin' OR (v_user_role = 'manager' AND v_user_department = 'HR')) THEN
+    RAISE EXCEPTION 'Insufficient permissions. Only super_admin and HR can manage office sites.';
+  END IF;
+
+  RETURN v_user_username;
+END;
+$$;
+
+/**
+ * Get every office site (active and inactive) with its assignments
+ * Safe for all authenticated users
+ */
+CREATE OR REPLACE FUNCTION get_office_sites()
+RETURNS TABLE (
+  id UUID,
+  name VARCHAR(100),
+  latitude DOUBLE PRECISION,
+  longitude DOUBLE PRECISION,
+  radius_meters INTEGER,
+  timezone VARCHAR(64),
+  is_active BOOLEAN,
+  assigned_usernames TEXT[],
+  assigned_departments TEXT[],
+  updated_by VARCHAR(255),
+  updated_at TIMESTAMPTZ
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    s.id,
+    s.name,
+    s.latitude,
+    s.longitude,
+    s.radius_meters,
+    s.timezone,
+    s.is_active,
+    COALESCE(ARRAY(
+      SELECT a.username::text FROM office_site_assignments a
+      WHERE a.site_id = s.id AND a.username IS NOT NULL
+      ORDER BY a.username
+    ), '{}'),
+    COALESCE(ARRAY(
+      SELECT a.department::text FROM office_site_assignments a
+      WHERE a.site_id = s.id AND a.department IS NOT NULL
+      ORDER BY a.department
+    ), '{}'),
+    s.updated_by,
+    s.updated_at
+  FROM office_sites s
+  ORDER BY s.name;
+END;
+$$;
+
+/**
+ * Get the active sites the current user may check in and out at
+ * Sites assigned to the user or their department; every active site when
+ * the user has no assignments to an active site
+ */
+CREATE OR REPLACE FUNCTION get_permitted_office_sites()
+RETURNS TABLE (
+  id UUID,
+  name VARCHAR(100),
+  latitude DOUBLE PRECISION,
+  longitude DOUBLE PRECISION,
+  radius_meters INTEGER,
+  timezone VARCHAR(64)
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_username VARCHAR(255);
+  v_user_department VARCHAR(255);
+  v_has_assignments BOOLEAN;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Authentication required. Please log in.';
+  END IF;
+
+  SELECT username, department
+  INTO v_user_username, v_user_department
+  FROM users
+  WHERE uid::text = auth.uid()::text
+  LIMIT 1;
+
+  IF v_user_username IS NULL THEN
+    RAISE EXCEPTION 'User not found. Your account may not be properly set up in the database.';
+  END IF;
+
+  -- Assignments to inactive sites don't count: the user falls back to every
+  -- active site instead of being allowed anywhere
+  SELECT EXISTS (
+    SELECT 1 FROM office_site_assignments a
+    JOIN office_sites s ON s.id = a.site_id
+    WHERE s.is_active = true
+      AND (a.username = v_user_username
+           OR (v_user_department IS NOT NULL AND a.department = v_user_department))
+  ) INTO v_has_assignments;
+
+  RETURN QUERY
+  SELECT s.id, s.name, s.latitude, s.longitude, s.radius_meters, s.timezone
+  FROM office_sites s
+  WHERE s.is_active = true
+    AND (
+      NOT v_has_assignments
+      OR EXISTS (
+        SELECT 1 FROM office_site_assignments a
+        WHERE a.site_id = s.id
+          AND (a.username = v_user_username
+               OR (v_user_department IS NOT NULL AND a.department = v_user_department))
+      )
+    )
+  ORDER BY s.name;
+END;
+$$;
+
+/**
+ * Create (p_site_id NULL) or update an office site
+ * Only super_admin and HR can use this function
+ * updated_by is ALWAYS set server-side from auth.uid() lookup
+ */
+CREATE OR REPLACE FUNCTION save_office_site(
+  p_site_id UUID,
+  p_name VARCHAR,
+  p_latitude DOUBLE PRECISION,
+  p_longitude DOUBLE PRECISION,
+  p_radius_meters INTEGER DEFAULT 1000,
+  p_timezone VARCHAR DEFAULT 'UTC',
+  p_is_active BOOLEAN DEFAULT true
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_site_id UUID;
+  v_user_username VARCHAR(255);
+BEGIN
+  v_user_username := require_office_site_admin();
+
+  -- Validate inputs
+  IF p_name IS NULL OR LENGTH(TRIM(p_name)) = 0 THEN
+    RAISE EXCEPTION 'Site name is required';
+  END IF;
+
+  IF p_latitude < -90 OR p_latitude > 90 THEN
+    RAISE EXCEPTION 'Latitude must be between -90 and 90';
+  END IF;
+
+  IF p_longitude < -180 OR p_longitude > 180 THEN
+    RAISE EXCEPTION 'Longitude must be between -180 and 180';
+  END IF;
+
+  IF p_radius_meters IS NULL OR p_radius_meters <= 0 THEN
+    RAISE EXCEPTION 'Radius must be greater than 0';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_timezone_names WHERE pg_timezone_names.name = p_timezone) THEN
+    RAISE EXCEPTION 'Unknown timezone: %', p_timezone;
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM office_sites
+    WHERE LOWER(office_sites.name) = LOWER(TRIM(p_name))
+      AND (p_site_id IS NULL OR office_sites.id <> p_site_id)
+  ) THEN
+    RAISE EXCEPTION 'A site named "%" already exists', TRIM(p_name);
+  END IF;
+
+  IF p_site_id IS NULL THEN
+    INSERT INTO office_sites (name, latitude, longitude, radius_meters, timezone, is_active, updated_by)
+    VALUES (TRIM(p_name), p_latitude, p_longitude, p_radius_meters, p_timezone, p_is_active, v_user_username)
+    RETURNING office_sites.id INTO v_site_id;
+  ELSE
+    UPDATE office_sites SET
+      name = TRIM(p_name),
+      latitude = p_latitude,
+      longitude = p_longitude,
+      radius_meters = p_radius_meters,
+      timezone = p_timezone,
+      is_active = p_is_active,
+      updated_by = v_user_username
+    WHERE office_sites.id = p_site_id
+    RETURNING office_sites.id INTO v_site_id;
+
+    IF v_site_id IS NULL THEN
+      RAISE EXCEPTION 'Office site not found';
+    END IF;
+  END IF;
+
+  RETURN v_site_id;
+END;
+$$;
+
+/**
+ * Replace the employees and departments assigned to a site
+ * Only super_admin and HR can use this function
+ */
+CREATE OR REPLACE FUNCTION set_office_site_assignments(
+  p_site_id UUID,
+  p_usernames TEXT[] DEFAULT '{}',
+  p_departments TEXT[] DEFAULT '{}'
+)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_username VARCHAR(255);
+  v_unknown_username TEXT;
+BEGIN
+  v_user_username := require_office_site_admin();
+
+  IF NOT EXISTS (SELECT 1 FROM office_sites WHERE id = p_site_id) THEN
+    RAISE EXCEPTION 'Office site not found';
+  END IF;
+
+  SELECT u INTO v_unknown_username
+  FROM UNNEST(COALESCE(p_usernames, '{}')) AS u
+  WHERE NOT EXISTS (SELECT 1 FROM users WHERE users.username = TRIM(u))
+  LIMIT 1;
+
+  IF v_unknown_username IS NOT NULL THEN
+    RAISE EXCEPTION 'User not found: %', v_unknown_username;
+  END IF;
+
+  DELETE FROM office_site_assignments WHERE site_id = p_site_id;
+
+  INSERT INTO office_site_assignments (site_id, username, created_by)
+  SELECT DISTINCT p_site_id, TRIM(u), v_user_username
+  FROM UNNEST(COALESCE(p_usernames, '{}')) AS u
+  WHERE LENGTH(TRIM(u)) > 0;
+
+  INSERT INTO office_site_assignments (site_id, department, created_by)
+  SELECT DISTINCT p_site_id, TRIM(d), v_user_username
+  FROM UNNEST(COALESCE(p_departments, '{}')) AS d
+  WHERE LENGTH(TRIM(d)) > 0;
+END;
+$$;
+
+-- Grant execute permissions
+REVOKE EXECUTE ON FUNCTION require_office_site_admin() FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION get_office_sites() TO authenticated;
+GRANT EXECUTE ON FUNCTION get_permitted_office_sites() TO authenticated;
+GRANT EXECUTE ON FUNCTION save_office_site(UUID, VARCHAR, DOUBLE PRECISION, DOUBLE PRECISION, INTEGER, VARCHAR, BOOLEAN) TO authenticated;
+GRANT EXECUTE ON FUNCTION set_office_site_assignments(UUID, TEXT[], TEXT[]) TO authenticated;
+
+-- ============================================
+-- Comments
+-- ============================================
+
+COMMENT ON TABLE office_sites IS 'Named office sites used for check-in geofencing. Supersedes the single office_location row.';
+COMMENT ON COLUMN office_sites.radius_meters IS 'Geofence radius in meters around the site center';
+COMMENT ON COLUMN office_sites.timezone IS 'IANA timezone of the site (validated against pg_timezone_names)';
+COMMENT ON COLUMN office_sites.is_active IS 'Inactive sites are kept but never permit check-in';
+COMMENT ON COLUMN office_sites.updated_by IS 'Username of the user who last changed the site (server-set only, derived from auth.uid())';
+COMMENT ON TABLE office_site_assignments IS 'Employees (username) or departments assigned to an office site. Users without any assignment may use every active site.';
+COMMENT ON FUNCTION get_office_sites() IS 'Returns every office site with its assigned usernames and departments. Safe for all authenticated users.';
+COMMENT ON FUNCTION get_permitted_office_sites() IS 'Returns the active sites the current user may check in at (their own and their department''s assignments, or every active site when none of their assigned sites is active).';
+COMMENT ON FUNCTION save_office_site(UUID, VARCHAR, DOUBLE PRECISION, DOUBLE PRECISION, INTEGER, VARCHAR, BOOLEAN) IS 'Creates (NULL id) or updates an office site. Only super_admin and HR can use this. updated_by is always set server-side.';
+COMMENT ON FUNCTION set_office_site_assignments(UUID, TEXT[], TEXT[]) IS 'Replaces the usernames and departments assigned to a site. Only super_admin and HR can use this.';
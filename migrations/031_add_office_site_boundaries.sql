@@ -0,0 +1,283 @@
+-- ============================================
+-- Office Site Boundaries Migration (Supabase)
+-- ============================================
+-- Lets an office site use a polygon boundary instead of the circle around its
+-- center. boundary is a JSON array of vertices:
+--   [{ "latitude": -6.2001, "longitude": 106.8012 }, ...]
+-- NULL keeps the circle (latitude, longitude, radius_meters). The center is
+-- still stored for polygon sites and is used for the map marker.
+--
+-- The app tests check-ins against the polygon with a buffer based on the
+-- reported GPS accuracy (capped in features/geofencing/utils/distance.js).
+
+-- ============================================
+-- Column
+-- ============================================
+
+ALTER TABLE office_sites
+ADD COLUMN IF NOT EXISTS boundary JSONB;
+
+-- Polygon boundaries need between 3 and 100 vertices
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint
+    WHERE conname = 'office_sites_boundary_polygon'
+    AND conrelid = 'office_sites'::regclass
+  ) THEN
+    ALTER TABLE office_sites
+    ADD CONSTRAINT office_sites_boundary_polygon
+    CHECK (
+      boundary IS NULL
+      OR (jsonb_typeof(boundary) = 'array' AND jsonb_array_length(boundary) BETWEEN 3 AND 100)
+    );
+  END IF;
+END $$;
+
+-- ============================================
+-- Functions
+-- ============================================
+
+-- Return types and parameters change, so the functions from migration 030 are replaced
+DROP FUNCTION IF EXISTS get_office_sites();
+DROP FUNCTION IF EXISTS get_permitted_office_sites();
+DROP FUNCTION IF EXISTS save_office_site(UUID, VARCHAR, DOUBLE PRECISION, DOUBLE PRECISION, INTEGER, VARCHAR, BOOLEAN);
+
+/**
+ * Get every office site (active and inactive) with its boundary and assignments
+ * Safe for all authenticated users
+ */
+CREATE OR REPLACE FUNCTION get_office_sites()
+RETURNS TABLE (
+  id UUID,
+  name VARCHAR(100),
+  latitude DOUBLE PRECISION,
+  longitude DOUBLE PRECISION,
+  radius_meters INTEGER,
+  boundary JSONB,
+  timezone VARCHAR(64),
+  is_active BOOLEAN,
+  assigned_usernames TEXT[],
+  assigned_departments TEXT[],
+  updated_by VARCHAR(255),
+  updated_at TIMESTAMPTZ
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    s.id,
+    s.name,
+    s.latitude,
+    s.longitude,
+    s.radius_meters,
+    s.boundary,
+    s.timezone,
+    s.is_active,
+    COALESCE(ARRAY(
+      SELECT a.username::text FROM office_site_assignments a
+      WHERE a.site_id = s.id AND a.username IS NOT NULL
+      ORDER BY a.username
+    ), '{}'),
+    COALESCE(ARRAY(
+      SELECT a.department::text FROM office_site_assignments a
+      WHERE a.site_id = s.id AND a.department IS NOT NULL
+      ORDER BY a.department
+    ), '{}'),
+    s.updated_by,
+    s.updated_at
+  FROM office_sites s
+  ORDER BY s.name;
+END;
+$$;
+
+/**
+ * Get the active sites the current user may check in and out at
+ * Sites assigned to the user or their department; every active site when
+ * the user has no assignments to an active site
+ */
+CREATE OR REPLACE FUNCTION get_permitted_office_sites()
+RETURNS TABLE (
+  id UUID,
+  name VARCHAR(100),
+  latitude DOUBLE PRECISION,
+  longitude DOUBLE PRECISION,
+  radius_meters INTEGER,
+  boundary JSONB,
+  timezone VARCHAR(64)
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_username VARCHAR(255);
+  v_user_department VARCHAR(255);
+  v_has_assignments BOOLEAN;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Authentication required. Please log in.';
+  END IF;
+
+  SELECT username, department
+  INTO v_user_username, v_user_department
+  FROM users
+  WHERE uid::text = auth.uid()::text
+  LIMIT 1;
+
+  IF v_user_username IS NULL THEN
+    RAISE EXCEPTION 'User not found. Your account may not be properly set up in the database.';
+  END IF;
+
+  -- Assignments to inactive sites don't count: the user falls back to every
+  -- active site instead of being allowed anywhere
+  SELECT EXISTS (
+    SELECT 1 FROM office_site_assignments a
+    JOIN office_sites s ON s.id = a.site_id
+    WHERE s.is_active = true
+      AND (a.username = v_user_username
+           OR (v_user_department IS NOT NULL AND a.department = v_user_department))
+  ) INTO v_has_assignments;
+
+  RETURN QUERY
+  SELECT s.id, s.name, s.latitude, s.longitude, s.radius_meters, s.boundary, s.timezone
+  FROM office_sites s
+  WHERE s.is_active = true
+    AND (
+      NOT v_has_assignments
+      OR EXISTS (
+        SELECT 1 FROM office_site_assignments a
+        WHERE a.site_id = s.id
+          AND (a.username = v_user_username
+               OR (v_user_department IS NOT NULL AND a.department = v_user_department))
+      )
+    )
+  ORDER BY s.name;
+END;
+$$;
+
+/**
+ * Create (p_site_id NULL) or update an office site
+ * p_boundary NULL keeps a circle of p_radius_meters around the center
+ * Only super_admin and HR can use this function
+ * updated_by is ALWAYS set server-side from auth.uid() lookup
+ */
+CREATE OR REPLACE FUNCTION save_office_site(
+  p_site_id UUID,
+  p_name VARCHAR,
+  p_latitude DOUBLE PRECISION,
+  p_longitude DOUBLE PRECISION,
+  p_radius_meters INTEGER DEFAULT 1000,
+  p_timezone VARCHAR DEFAULT 'UTC',
+  p_is_active BOOLEAN DEFAULT true,
+  p_boundary JSONB DEFAULT NULL
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_site_id UUID;
+  v_user_username VARCHAR(255);
+  v_boundary JSONB;
+  v_vertex JSONB;
+BEGIN
+  v_user_username := require_office_site_admin();
+
+  -- Validate inputs
+  IF p_name IS NULL OR LENGTH(TRIM(p_name)) = 0 THEN
+    RAISE EXCEPTION 'Site name is required';
+  END IF;
+
+  IF p_latitude < -90 OR p_latitude > 90 THEN
+    RAISE EXCEPTION 'Latitude must be between -90 and 90';
+  END IF;
+
+  IF p_longitude < -180 OR p_longitude > 180 THEN
+    RAISE EXCEPTION 'Longitude must be between -180 and 180';
+  END IF;
+
+  IF p_radius_meters IS NULL OR p_radius_meters <= 0 THEN
+    RAISE EXCEPTION 'Radius must be greater than 0';
+  END IF;
+
+  IF NOT EXISTS (SELECT 1 FROM pg_timezone_names WHERE pg_timezone_names.name = p_timezone) THEN
+    RAISE EXCEPTION 'Unknown timezone: %', p_timezone;
+  END IF;
+
+  -- Keep only latitude and longitude of each vertex
+  IF p_boundary IS NOT NULL AND jsonb_typeof(p_boundary) <> 'null' THEN
+    IF jsonb_typeof(p_boundary) <> 'array' OR jsonb_array_length(p_boundary) NOT BETWEEN 3 AND 100 THEN
+      RAISE EXCEPTION 'Boundary must have between 3 and 100 points';
+    END IF;
+
+    v_boundary := '[]'::jsonb;
+    FOR v_vertex IN SELECT value FROM jsonb_array_elements(p_boundary) LOOP
+      IF COALESCE(jsonb_typeof(v_vertex->'latitude'), '') <> 'number'
+         OR COALESCE(jsonb_typeof(v_vertex->'longitude'), '') <> 'number' THEN
+        RAISE EXCEPTION 'Boundary points need a latitude and longitude';
+      END IF;
+
+      IF (v_vertex->>'latitude')::double precision NOT BETWEEN -90 AND 90
+         OR (v_vertex->>'longitude')::double precision NOT BETWEEN -180 AND 180 THEN
+        RAISE EXCEPTION 'Boundary point out of range: %, %', v_vertex->>'latitude', v_vertex->>'longitude';
+      END IF;
+
+      v_boundary := v_boundary || jsonb_build_array(jsonb_build_object(
+        'latitude', (v_vertex->>'latitude')::double precision,
+        'longitude', (v_vertex->>'longitude')::double precision
+      ));
+    END LOOP;
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM office_sites
+    WHERE LOWER(office_sites.name) = LOWER(TRIM(p_name))
+      AND (p_site_id IS NULL OR office_sites.id <> p_site_id)
+  ) THEN
+    RAISE EXCEPTION 'A site named "%" already exists', TRIM(p_name);
+  END IF;
+
+  IF p_site_id IS NULL THEN
+    INSERT INTO office_sites (name, latitude, longitude, radius_meters, boundary, timezone, is_active, updated_by)
+    VALUES (TRIM(p_name), p_latitude, p_longitude, p_radius_meters, v_boundary, p_timezone, p_is_active, v_user_username)
+    RETURNING office_sites.id INTO v_site_id;
+  ELSE
+    UPDATE office_sites SET
+      name = TRIM(p_name),
+      latitude = p_latitude,
+      longitude = p_longitude,
+      radius_meters = p_radius_meters,
+      boundary = v_boundary,
+      timezone = p_timezone,
+      is_active = p_is_active,
+      updated_by = v_user_username
+    WHERE office_sites.id = p_site_id
+    RETURNING office_sites.id INTO v_site_id;
+
+    IF v_site_id IS NULL THEN
+      RAISE EXCEPTION 'Office site not found';
+    END IF;
+  END IF;
+
+  RETURN v_site_id;
+END;
+$$;
+
+-- Grant execute permissions
+GRANT EXECUTE ON FUNCTION get_office_sites() TO authenticated;
+GRANT EXECUTE ON FUNCTION get_permitted_office_sites() TO authenticated;
+GRANT EXECUTE ON FUNCTION save_office_site(UUID, VARCHAR, DOUBLE PRECISION, DOUBLE PRECISION, INTEGER, VARCHAR, BOOLEAN, JSONB) TO authenticated;
+
+-- ============================================
+-- Comments
+-- ============================================
+
+COMMENT ON COLUMN office_sites.boundary IS 'Polygon boundary as [{latitude, longitude}, ...] (3 to 100 vertices). NULL means a circle of radius_meters around the center.';
+COMMENT ON FUNCTION get_office_sites() IS 'Returns every office site with its boundary and assigned usernames and departments. Safe for all authenticated users.';
+COMMENT ON FUNCTION get_permitted_office_sites() IS 'Returns the active sites the current user may check in at (their own and their department''s assignments, or every active site when none of their assigned sites is active).';
+COMMENT ON FUNCTION save_office_site(UUID, VARCHAR, DOUBLE PRECISION, DOUBLE PRECISION, INTEGER, VARCHAR, BOOLEAN, JSONB) IS 'Creates (NULL id) or updates an office site, with an optional polygon boundary. Only super_admin and HR can use this. updated_by is always set server-side.';
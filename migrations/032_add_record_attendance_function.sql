@@ -0,0 +1,306 @@
+-- ============================================
+-- Server-Side Check-In/Check-Out Migration (Supabase)
+-- ============================================
+-- Check-ins and check-outs were validated only on the device and then
+-- inserted straight into attendance_records, so a modified client could
+-- check in from anywhere. record_attendance() now does the insert and the
+-- checks:
+--   - in_office users must be inside one of their permitted office sites
+--     (polygon or radius, widened by the reported GPS accuracy up to 50m,
+--     the same rule as features/geofencing/utils/distance.js)
+--   - check-outs are checked the same way unless auto checkout is enabled
+--     (automatic check-outs happen outside the site)
+--   - punches must alternate: a check-in after a check-out (or none), a
+--     check-out after a check-in
+-- The timestamp is set by the server.
+--
+-- Employees can no longer insert or update their own attendance records
+-- directly. Managers, HR and super admins could still add manual records
+-- (migrations 006 and 012), including their own; migration 037 limits them
+-- to other users (and managers to their own department).
+
+-- ============================================
+-- RLS Policies
+-- ============================================
+
+DROP POLICY IF EXISTS "Users can create own attendance records" ON attendance_records;
+DROP POLICY IF EXISTS "Users can update own attendance records" ON attendance_records;
+
+-- ============================================
+-- Functions
+-- ============================================
+
+/**
+ * Get the distance in meters from a point to an office site's boundary
+ * Sites with a boundary are polygons (edges measured on a flat projection
+ * around the point); the others are circles of radius_meters around the center
+ * Returns 0 when the point is inside
+ */
+CREATE OR REPLACE FUNCTION get_distance_outside_site(
+  p_latitude DOUBLE PRECISION,
+  p_longitude DOUBLE PRECISION,
+  p_site_latitude DOUBLE PRECISION,
+  p_site_longitude DOUBLE PRECISION,
+  p_radius_meters INTEGER,
+  p_boundary JSONB
+)
+RETURNS DOUBLE PRECISION
+LANGUAGE plpgsql
+IMMUTABLE
+SET search_path = public
+AS $$
+DECLARE
+  v_earth_radius CONSTANT DOUBLE PRECISION := 6371000;
+  v_meters_per_degree_lat DOUBLE PRECISION;
+  v_meters_per_degree_lon DOUBLE PRECISION;
+  v_count INTEGER;
+  v_inside BOOLEAN := false;
+  v_min_distance DOUBLE PRECISION;
+  v_a_lat DOUBLE PRECISION;
+  v_a_lon DOUBLE PRECISION;
+  v_b_lat DOUBLE PRECISION;
+  v_b_lon DOUBLE PRECISION;
+  v_ax DOUBLE PRECISION;
+  v_ay DOUBLE PRECISION;
+  v_dx DOUBLE PRECISION;
+  v_dy DOUBLE PRECISION;
+  v_length_squared DOUBLE PRECISION;
+  v_t DOUBLE PRECISION;
+  i INTEGER;
+  j INTEGER;
+BEGIN
+  IF p_boundary IS NULL OR jsonb_typeof(p_boundary) <> 'array' OR jsonb_array_length(p_boundary) < 3 THEN
+    -- Circle: haversine distance to the center minus the radius
+    RETURN GREATEST(
+      2 * v_earth_radius * ASIN(SQRT(
+        POWER(SIN(RADIANS(p_site_latitude - p_latitude) / 2), 2)
+        + COS(RADIANS(p_latitude)) * COS(RADIANS(p_site_latitude))
+          * POWER(SIN(RADIANS(p_site_longitude - p_longitude) / 2), 2)
+      )) - p_radius_meters,
+      0
+    );
+  END IF;
+
+  v_count := jsonb_array_length(p_boundary);
+
+  -- Polygon: ray casting for containment
+  j := v_count - 1;
+  FOR i IN 0 .. v_count - 1 LOOP
+    v_a_lat := (p_boundary->i->>'latitude')::double precision;
+    v_a_lon := (p_boundary->i->>'longitude')::double precision;
+    v_b_lat := (p_boundary->j->>'latitude')::double precision;
+    v_b_lon := (p_boundary->j->>'longitude')::double precision;
+
+    IF (v_a_lat > p_latitude) <> (v_b_lat > p_latitude)
+       AND p_longitude < (v_b_lon - v_a_lon) * (p_latitude - v_a_lat) / (v_b_lat - v_a_lat) + v_a_lon THEN
+      v_inside := NOT v_inside;
+    END IF;
+    j := i;
+  END LOOP;
+
+  IF v_inside THEN
+    RETURN 0;
+  END IF;
+
+  -- Outside: distance to the nearest edge, with the point at the origin
+  v_meters_per_degree_lat := PI() * v_earth_radius / 180;
+  v_meters_per_degree_lon := v_meters_per_degree_lat * COS(RADIANS(p_latitude));
+
+  j := v_count - 1;
+  FOR i IN 0 .. v_count - 1 LOOP
+    v_ax := ((p_boundary->j->>'longitude')::double precision - p_longitude) * v_meters_per_degree_lon;
+    v_ay := ((p_boundary->j->>'latitude')::double precision - p_latitude) * v_meters_per_degree_lat;
+    v_dx := ((p_boundary->i->>'longitude')::double precision - p_longitude) * v_meters_per_degree_lon - v_ax;
+    v_dy := ((p_boundary->i->>'latitude')::double precision - p_latitude) * v_meters_per_degree_lat - v_ay;
+    v_length_squared := v_dx * v_dx + v_dy * v_dy;
+
+    IF v_length_squared = 0 THEN
+      v_t := 0;
+    ELSE
+      v_t := GREATEST(0, LEAST(1, -(v_ax * v_dx + v_ay * v_dy) / v_length_squared));
+    END IF;
+
+    v_min_distance := LEAST(
+      COALESCE(v_min_distance, 'Infinity'::double precision),
+      SQRT(POWER(v_ax + v_t * v_dx, 2) + POWER(v_ay + v_t * v_dy, 2))
+    );
+    j := i;
+  END LOOP;
+
+  RETURN v_min_distance;
+END;
+$$;
+
+/**
+ * Record a check-in or check-out for the current user
+ * Validates the location against the user's permitted office sites and work
+ * mode, and the check-in/check-out sequence. username, employee_name and
+ * timestamp are ALWAYS set server-side
+ * p_location holds the rest of the device's location data (address, etc.);
+ * latitude, longitude, accuracy and the matched site are written over it
+ */
+CREATE OR REPLACE FUNCTION record_attendance(
+  p_type VARCHAR,
+  p_latitude DOUBLE PRECISION,
+  p_longitude DOUBLE PRECISION,
+  p_accuracy DOUBLE PRECISION DEFAULT NULL,
+  p_location JSONB DEFAULT '{}'::jsonb,
+  p_auth_method VARCHAR DEFAULT NULL,
+  p_photo TEXT DEFAULT NULL
+)
+RETURNS attendance_records
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_username VARCHAR(255);
+  v_user_name VARCHAR(255);
+  v_work_mode VARCHAR(50);
+  v_is_active BOOLEAN;
+  v_last_type VARCHAR(20);
+  v_validate_location BOOLEAN;
+  v_site RECORD;
+  v_site_id UUID;
+  v_site_name VARCHAR(100);
+  v_distance_outside DOUBLE PRECISION;
+  v_buffer DOUBLE PRECISION;
+  v_location JSONB;
+  v_record attendance_records;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Authentication required. Please log in.';
+  END IF;
+
+  SELECT username, name, work_mode, is_active
+  INTO v_user_username, v_user_name, v_work_mode, v_is_active
+  FROM users
+  WHERE uid::text = auth.uid()::text
+  LIMIT 1;
+
+  IF v_user_username IS NULL THEN
+    RAISE EXCEPTION 'User not found. Your account may not be properly set up in the database.';
+  END IF;
+
+  IF v_is_active = false THEN
+    RAISE EXCEPTION 'Your account is inactive. Please contact HR.';
+  END IF;
+
+  IF p_type IS NULL OR p_type NOT IN ('checkin', 'checkout') THEN
+    RAISE EXCEPTION 'Attendance type must be checkin or checkout';
+  END IF;
+
+  -- One punch at a time per user, so a double tap can't record two check-ins
+  PERFORM pg_advisory_xact_lock(hashtext('record_attendance:' || auth.uid()::text));
+
+  SELECT type
+  INTO v_last_type
+  FROM attendance_records
+  WHERE username = v_user_username
+  ORDER BY timestamp DESC
+  LIMIT 1;
+
+  IF p_type = 'checkin' AND v_last_type = 'checkin' THEN
+    RAISE EXCEPTION 'You are already checked in. Check out before checking in again.';
+  END IF;
+
+  IF p_type = 'checkout' AND (v_last_type IS NULL OR v_last_type <> 'checkin') THEN
+    RAISE EXCEPTION 'You are not checked in. Check in before checking out.';
+  END IF;
+
+  -- Only in_office users are tied to a site; check-outs only while auto checkout is off
+  v_validate_location := v_work_mode = 'in_office'
+    AND (
+      p_type = 'checkin'
+      OR COALESCE((get_attendance_config('auto_checkout_enabled')->>'enabled')::boolean, false) = false
+    );
+
+  IF v_validate_location THEN
+    IF p_latitude IS NULL OR p_longitude IS NULL
+       OR p_latitude NOT BETWEEN -90 AND 90
+       OR p_longitude NOT BETWEEN -180 AND 180 THEN
+      RAISE EXCEPTION 'Unable to get your current location. Please enable location services and try again.';
+    END IF;
+
+    v_buffer := LEAST(GREATEST(COALESCE(p_accuracy, 0), 0), 50);
+
+    -- Nearest permitted site by distance to its boundary, then to its center
+    SELECT
+      s.id,
+      s.name,
+      get_distance_outside_site(p_latitude, p_longitude, s.latitude, s.longitude, s.radius_meters, s.boundary) AS distance_outside
+    INTO v_site
+    FROM get_permitted_office_sites() s
+    ORDER BY
+      3,
+      POWER(s.latitude - p_latitude, 2) + POWER((s.longitude - p_longitude) * COS(RADIANS(p_latitude)), 2)
+    LIMIT 1;
+
+    -- No active office site at all: allowed, as in the app. A user whose
+    -- assigned sites are all inactive still gets every active site here
+    IF FOUND THEN
+      IF v_site.distance_outside > v_buffer THEN
+        RAISE EXCEPTION 'You must be at % to %. You are currently % m outside the site boundary.',
+          v_site.name,
+          CASE WHEN p_type = 'checkin' THEN 'check in' ELSE 'check out' END,
+          ROUND(v_site.distance_outside::numeric, 1);
+      END IF;
+
+      v_site_id := v_site.id;
+      v_site_name := v_site.name;
+      v_distance_outside := v_site.distance_outside;
+    END IF;
+  END IF;
+
+  v_location := COALESCE(NULLIF(p_location, 'null'::jsonb), '{}'::jsonb)
+    || jsonb_build_object(
+      'latitude', p_latitude,
+      'longitude', p_longitude,
+      'accuracy', p_accuracy
+    );
+
+  IF v_site_id IS NOT NULL THEN
+    v_location := v_location || jsonb_build_object(
+      'site_id', v_site_id,
+      'site_name', v_site_name,
+      'distance_outside_site', v_distance_outside
+    );
+  END IF;
+
+  INSERT INTO attendance_records (
+    user_uid,
+    username,
+    employee_name,
+    type,
+    timestamp,
+    location,
+    photo,
+    auth_method,
+    is_manual
+  ) VALUES (
+    auth.uid(),
+    v_user_username,
+    COALESCE(v_user_name, v_user_username),
+    p_type,
+    NOW(),
+    v_location,
+    p_photo,
+    p_auth_method,
+    false
+  )
+  RETURNING * INTO v_record;
+
+  RETURN v_record;
+END;
+$$;
+
+-- Grant execute permissions
+GRANT EXECUTE ON FUNCTION get_distance_outside_site(DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION, INTEGER, JSONB) TO authenticated;
+GRANT EXECUTE ON FUNCTION record_attendance(VARCHAR, DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION, JSONB, VARCHAR, TEXT) TO authenticated;
+
+-- ============================================
+-- Comments
+-- ============================================
+
+COMMENT ON FUNCTION get_distance_outside_site(DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION, INTEGER, JSONB) IS 'Returns the distance in meters from a point to an office site boundary (polygon or radius), 0 when inside.';
+COMMENT ON FUNCTION record_attendance(VARCHAR, DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION, JSONB, VARCHAR, TEXT) IS 'Records a check-in or check-out for the current user after validating their location against their permitted office sites and the check-in/check-out sequence. Employees can only add their own records through this function.';
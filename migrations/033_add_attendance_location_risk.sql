@@ -0,0 +1,232 @@
+-- ============================================
+-- Attendance Location Risk Migration (Supabase)
+-- ============================================
+-- Scores how likely each check-in/check-out location is to be spoofed. The
+-- app sends the location integrity data with every punch (provider, accuracy,
+-- mocked flag, altitude, speed) in attendance_records.location; a trigger adds
+-- risk_score (0-100) and risk_flags to that JSON:
+--   mock_location      +60  the device reported a mock location
+--   impossible_travel  +50  over 1 km from the user's last recorded punch at
+--                            more than 250 km/h (travel_speed_kmh is stored)
+--   implausible_speed  +20  the device reported more than 250 km/h
+--   low_accuracy       +15  accuracy missing or worse than 100 m
+-- Punches scoring 50 or more are listed for HR by get_suspicious_punches().
+-- Manual records (entered by managers/HR) are not scored.
+
+-- ============================================
+-- Functions
+-- ============================================
+
+/**
+ * Get the distance in meters between two coordinates (haversine)
+ */
+CREATE OR REPLACE FUNCTION get_distance_meters(
+  p_latitude1 DOUBLE PRECISION,
+  p_longitude1 DOUBLE PRECISION,
+  p_latitude2 DOUBLE PRECISION,
+  p_longitude2 DOUBLE PRECISION
+)
+RETURNS DOUBLE PRECISION
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT 2 * 6371000 * ASIN(SQRT(
+    POWER(SIN(RADIANS(p_latitude2 - p_latitude1) / 2), 2)
+    + COS(RADIANS(p_latitude1)) * COS(RADIANS(p_latitude2))
+      * POWER(SIN(RADIANS(p_longitude2 - p_longitude1) / 2), 2)
+  ));
+$$;
+
+/**
+ * Score a punch location for spoofing
+ * Compares it with the user's last punch that has coordinates
+ * Returns { risk_score, risk_flags } (and travel_speed_kmh for impossible travel)
+ */
+CREATE OR REPLACE FUNCTION get_location_risk(
+  p_username VARCHAR,
+  p_location JSONB,
+  p_timestamp TIMESTAMPTZ
+)
+RETURNS JSONB
+LANGUAGE plpgsql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_max_speed CONSTANT DOUBLE PRECISION := 250 / 3.6; -- m/s
+  v_score INTEGER := 0;
+  v_flags TEXT[] := '{}';
+  v_result JSONB;
+  v_latitude DOUBLE PRECISION;
+  v_longitude DOUBLE PRECISION;
+  v_last RECORD;
+  v_distance DOUBLE PRECISION;
+  v_seconds DOUBLE PRECISION;
+  v_travel_speed DOUBLE PRECISION;
+BEGIN
+  IF p_location IS NULL
+     OR jsonb_typeof(p_location) <> 'object'
+     OR COALESCE(jsonb_typeof(p_location->'latitude'), '') <> 'number'
+     OR COALESCE(jsonb_typeof(p_location->'longitude'), '') <> 'number' THEN
+    -- Nothing to score without coordinates
+    RETURN jsonb_build_object('risk_score', 0, 'risk_flags', '[]'::jsonb);
+  END IF;
+
+  v_latitude := (p_location->>'latitude')::double precision;
+  v_longitude := (p_location->>'longitude')::double precision;
+
+  IF p_location->'mocked' = 'true'::jsonb THEN
+    v_score := v_score + 60;
+    v_flags := array_append(v_flags, 'mock_location');
+  END IF;
+
+  SELECT
+    (r.location->>'latitude')::double precision AS latitude,
+    (r.location->>'longitude')::double precision AS longitude,
+    r.timestamp
+  INTO v_last
+  FROM attendance_records r
+  WHERE r.username = p_username
+    AND r.timestamp <= p_timestamp
+    AND jsonb_typeof(r.location->'latitude') = 'number'
+    AND jsonb_typeof(r.location->'longitude') = 'number'
+  ORDER BY r.timestamp DESC
+  LIMIT 1;
+
+  IF FOUND THEN
+    v_distance := get_distance_meters(v_last.latitude, v_last.longitude, v_latitude, v_longitude);
+    v_seconds := GREATEST(EXTRACT(EPOCH FROM (p_timestamp - v_last.timestamp)), 1);
+    v_travel_speed := v_distance / v_seconds;
+
+    IF v_distance > 1000 AND v_travel_speed > v_max_speed THEN
+      v_score := v_score + 50;
+      v_flags := array_append(v_flags, 'impossible_travel');
+      v_result := jsonb_build_object('travel_speed_kmh', ROUND((v_travel_speed * 3.6)::numeric));
+    END IF;
+  END IF;
+
+  IF jsonb_typeof(p_location->'speed') = 'number'
+     AND (p_location->>'speed')::double precision > v_max_speed THEN
+    v_score := v_score + 20;
+    v_flags := array_append(v_flags, 'implausible_speed');
+  END IF;
+
+  IF COALESCE(jsonb_typeof(p_location->'accuracy'), '') <> 'number'
+     OR (p_location->>'accuracy')::double precision > 100 THEN
+    v_score := v_score + 15;
+    v_flags := array_append(v_flags, 'low_accuracy');
+  END IF;
+
+  RETURN COALESCE(v_result, '{}'::jsonb) || jsonb_build_object(
+    'risk_score', LEAST(v_score, 100),
+    'risk_flags', to_jsonb(v_flags)
+  );
+END;
+$$;
+
+/**
+ * Trigger: add the risk score to a new punch's location
+ */
+CREATE OR REPLACE FUNCTION score_attendance_location_risk()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  NEW.location := COALESCE(NEW.location, '{}'::jsonb)
+    - 'risk_score' - 'risk_flags' - 'travel_speed_kmh'
+    || get_location_risk(NEW.username, NEW.location, COALESCE(NEW.timestamp, NOW()));
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trigger_score_attendance_location_risk ON attendance_records;
+CREATE TRIGGER trigger_score_attendance_location_risk
+BEFORE INSERT ON attendance_records
+FOR EACH ROW
+WHEN (NEW.is_manual IS NOT TRUE)
+EXECUTE FUNCTION score_attendance_location_risk();
+
+/**
+ * Get punches with a risk score at or above p_min_score, newest first
+ * Only super_admin and HR can use this function
+ */
+CREATE OR REPLACE FUNCTION get_suspicious_punches(
+  p_from TIMESTAMPTZ,
+  p_to TIMESTAMPTZ DEFAULT NOW(),
+  p_min_score INTEGER DEFAULT 50
+)
+RETURNS TABLE (
+  id UUID,
+  username VARCHAR(255),
+  employee_name VARCHAR(255),
+  type VARCHAR(50),
+  "timestamp" TIMESTAMPTZ,
+  location JSONB,
+  auth_method VARCHAR(50),
+  risk_score INTEGER
+)
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_username VARCHAR(255);
+  v_user_role VARCHAR(50);
+  v_user_department VARCHAR(255);
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Authentication required. Please log in.';
+  END IF;
+
+  SELECT u.username, u.role, u.department
+  INTO v_user_username, v_user_role, v_user_department
+  FROM users u
+  WHERE u.uid::text = auth.uid()::text
+  LIMIT 1;
+
+  IF v_user_username IS NULL THEN
+    RAISE EXCEPTION 'User not found. Your account may not be properly set up in the database.';
+  END IF;
+
+  IF NOT (v_user_role = 'super_admin' OR (v_user_role = 'manager' AND v_user_department = 'HR')) THEN
+    RAISE EXCEPTION 'Insufficient permissions. Only super_admin and HR can review suspicious punches.';
+  END IF;
+
+  RETURN QUERY
+  SELECT
+    r.id,
+    r.username,
+    r.employee_name,
+    r.type,
+    r.timestamp,
+    r.location,
+    r.auth_method,
+    (r.location->>'risk_score')::integer
+  FROM attendance_records r
+  WHERE r.timestamp >= p_from
+    AND r.timestamp <= COALESCE(p_to, NOW())
+    AND jsonb_typeof(r.location->'risk_score') = 'number'
+    AND (r.location->>'risk_score')::integer >= COALESCE(p_min_score, 50)
+  ORDER BY r.timestamp DESC
+  LIMIT 500;
+END;
+$$;
+
+-- Grant execute permissions
+GRANT EXECUTE ON FUNCTION get_distance_meters(DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_suspicious_punches(TIMESTAMPTZ, TIMESTAMPTZ, INTEGER) TO authenticated;
+
+-- Scoring is only done by the trigger. Supabase grants EXECUTE to anon and
+-- authenticated directly, so revoking it from PUBLIC alone is not enough
+REVOKE EXECUTE ON FUNCTION get_location_risk(VARCHAR, JSONB, TIMESTAMPTZ) FROM PUBLIC, anon, authenticated;
+
+-- ============================================
+-- Comments
+-- ============================================
+
+COMMENT ON FUNCTION get_distance_meters(DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION) IS 'Returns the haversine distance in meters between two coordinates.';
+COMMENT ON FUNCTION get_location_risk(VARCHAR, JSONB, TIMESTAMPTZ) IS 'Scores a punch location for spoofing (mock location, impossible travel since the last punch, implausible speed, low accuracy). Returns {risk_score, risk_flags}.';
+COMMENT ON FUNCTION get_suspicious_punches(TIMESTAMPTZ, TIMESTAMPTZ, INTEGER) IS 'Returns punches with a location risk score at or above p_min_score (default 50), newest first. Only super_admin and HR can use this.';
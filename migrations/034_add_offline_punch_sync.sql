@@ -0,0 +1,256 @@
+-- ============================================
+-- Offline Punch Sync Migration (Supabase)
+-- ============================================
+-- The app queues check-ins and check-outs made while Supabase is unreachable
+-- and sends them when it is back. record_attendance() now takes:
+--   - p_client_id: an id generated on the device for each punch. Sending the
+--     same punch twice returns the first record instead of adding another.
+--   - p_device_timestamp: when the punch was made, sent only for punches
+--     replayed from the queue (and ignored without p_client_id). Punches more
+--     than 5 minutes old keep that time and are flagged is_late_sync so HR can
+--     tell them apart; punches up to 72 hours old are accepted.
+-- Late punches go through the same location and sequence checks, and can't be
+-- older than the user's last recorded punch.
+
+-- ============================================
+-- Columns
+-- ============================================
+
+ALTER TABLE attendance_records
+ADD COLUMN IF NOT EXISTS client_id UUID,
+ADD COLUMN IF NOT EXISTS is_late_sync BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN IF NOT EXISTS synced_at TIMESTAMPTZ;
+
+-- ============================================
+-- Indexes
+-- ============================================
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_attendance_records_client_id
+ON attendance_records(client_id)
+WHERE client_id IS NOT NULL;
+
+-- ============================================
+-- Functions
+-- ============================================
+
+-- Parameters change, so the function from migration 032 is replaced
+DROP FUNCTION IF EXISTS record_attendance(VARCHAR, DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION, JSONB, VARCHAR, TEXT);
+
+/**
+ * Record a check-in or check-out for the current user
+ * Validates the location against the user's permitted office sites and work
+ * mode, and the check-in/check-out sequence. username and employee_name are
+ * ALWAYS set server-side
+ * p_location holds the rest of the device's location data (address, etc.);
+ * latitude, longitude, accuracy and the matched site are written over it
+ * p_client_id makes retries safe: a punch already recorded with it is returned
+ * as is. p_device_timestamp is when a queued punch was made on the device; it
+ * is only used (and the record flagged is_late_sync) with a p_client_id and
+ * when it is more than 5 minutes old, otherwise the server time is used
+ */
+CREATE OR REPLACE FUNCTION record_attendance(
+  p_type VARCHAR,
+  p_latitude DOUBLE PRECISION,
+  p_longitude DOUBLE PRECISION,
+  p_accuracy DOUBLE PRECISION DEFAULT NULL,
+  p_location JSONB DEFAULT '{}'::jsonb,
+  p_auth_method VARCHAR DEFAULT NULL,
+  p_photo TEXT DEFAULT NULL,
+  p_client_id UUID DEFAULT NULL,
+  p_device_timestamp TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS attendance_records
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  v_user_username VARCHAR(255);
+  v_user_name VARCHAR(255);
+  v_work_mode VARCHAR(50);
+  v_is_active BOOLEAN;
+  v_last_type VARCHAR(50);
+  v_last_timestamp TIMESTAMPTZ;
+  v_timestamp TIMESTAMPTZ := NOW();
+  v_is_late_sync BOOLEAN := false;
+  v_validate_location BOOLEAN;
+  v_site RECORD;
+  v_site_id UUID;
+  v_site_name VARCHAR(100);
+  v_distance_outside DOUBLE PRECISION;
+  v_buffer DOUBLE PRECISION;
+  v_location JSONB;
+  v_record attendance_records;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Authentication required. Please log in.';
+  END IF;
+
+  SELECT username, name, work_mode, is_active
+  INTO v_user_username, v_user_name, v_work_mode, v_is_active
+  FROM users
+  WHERE uid::text = auth.uid()::text
+  LIMIT 1;
+
+  IF v_user_username IS NULL THEN
+    RAISE EXCEPTION 'User not found. Your account may not be properly set up in the database.';
+  END IF;
+
+  IF v_is_active = false THEN
+    RAISE EXCEPTION 'Your account is inactive. Please contact HR.';
+  END IF;
+
+  IF p_type IS NULL OR p_type NOT IN ('checkin', 'checkout') THEN
+    RAISE EXCEPTION 'Attendance type must be checkin or checkout';
+  END IF;
+
+  -- One punch at a time per user, so a double tap can't record two check-ins
+  PERFORM pg_advisory_xact_lock(hashtext('record_attendance:' || auth.uid()::text));
+
+  -- Already recorded (the response to an earlier attempt was lost)
+  IF p_client_id IS NOT NULL THEN
+    SELECT * INTO v_record
+    FROM attendance_records
+    WHERE client_id = p_client_id
+      AND username = v_user_username;
+
+    IF FOUND THEN
+      RETURN v_record;
+    END IF;
+  END IF;
+
+  -- Punches queued offline keep the time they were made on the device
+  -- (recent ones, or a device clock running ahead, use the server time)
+  IF p_device_timestamp IS NOT NULL AND p_client_id IS NOT NULL THEN
+    IF p_device_timestamp < NOW() - INTERVAL '72 hours' THEN
+      RAISE EXCEPTION 'Punches older than 72 hours can no longer be synced. Please ask HR to add it manually.';
+    END IF;
+
+    IF p_device_timestamp < NOW() - INTERVAL '5 minutes' THEN
+      v_timestamp := p_device_timestamp;
+      v_is_late_sync := true;
+    END IF;
+  END IF;
+
+  SELECT type, timestamp
+  INTO v_last_type, v_last_timestamp
+  FROM attendance_records
+  WHERE username = v_user_username
+  ORDER BY timestamp DESC
+  LIMIT 1;
+
+  IF p_type = 'checkin' AND v_last_type = 'checkin' THEN
+    RAISE EXCEPTION 'You are already checked in. Check out before checking in again.';
+  END IF;
+
+  IF p_type = 'checkout' AND (v_last_type IS NULL OR v_last_type <> 'checkin') THEN
+    RAISE EXCEPTION 'You are not checked in. Check in before checking out.';
+  END IF;
+
+  IF v_last_timestamp IS NOT NULL AND v_timestamp <= v_last_timestamp THEN
+    RAISE EXCEPTION 'This punch is older than your last recorded punch.';
+  END IF;
+
+  -- Only in_office users are tied to a site; check-outs only while auto checkout is off
+  v_validate_location := v_work_mode = 'in_office'
+    AND (
+      p_type = 'checkin'
+      OR COALESCE((get_attendance_config('auto_checkout_enabled')->>'enabled')::boolean, false) = false
+    );
+
+  IF v_validate_location THEN
+    IF p_latitude IS NULL OR p_longitude IS NULL
+       OR p_latitude NOT BETWEEN -90 AND 90
+       OR p_longitude NOT BETWEEN -180 AND 180 THEN
+      RAISE EXCEPTION 'Unable to get your current location. Please enable location services and try again.';
+    END IF;
+
+    v_buffer := LEAST(GREATEST(COALESCE(p_accuracy, 0), 0), 50);
+
+    -- Nearest permitted site by distance to its boundary, then to its center
+    SELECT
+      s.id,
+      s.name,
+      get_distance_outside_site(p_latitude, p_longitude, s.latitude, s.longitude, s.radius_meters, s.boundary) AS distance_outside
+    INTO v_site
+    FROM get_permitted_office_sites() s
+    ORDER BY
+      3,
+      POWER(s.latitude - p_latitude, 2) + POWER((s.longitude - p_longitude) * COS(RADIANS(p_latitude)), 2)
+    LIMIT 1;
+
+    -- No active office site at all: allowed, as in the app. A user whose
+    -- assigned sites are all inactive still gets every active site here
+    IF FOUND THEN
+      IF v_site.distance_outside > v_buffer THEN
+        RAISE EXCEPTION 'You must be at % to %. You are currently % m outside the site boundary.',
+          v_site.name,
+          CASE WHEN p_type = 'checkin' THEN 'check in' ELSE 'check out' END,
+          ROUND(v_site.distance_outside::numeric, 1);
+      END IF;
+
+      v_site_id := v_site.id;
+      v_site_name := v_site.name;
+      v_distance_outside := v_site.distance_outside;
+    END IF;
+  END IF;
+
+  v_location := COALESCE(NULLIF(p_location, 'null'::jsonb), '{}'::jsonb)
+    || jsonb_build_object(
+      'latitude', p_latitude,
+      'longitude', p_longitude,
+      'accuracy', p_accuracy
+    );
+
+  IF v_site_id IS NOT NULL THEN
+    v_location := v_location || jsonb_build_object(
+      'site_id', v_site_id,
+      'site_name', v_site_name,
+      'distance_outside_site', v_distance_outside
+    );
+  END IF;
+
+  INSERT INTO attendance_records (
+    user_uid,
+    username,
+    employee_name,
+    type,
+    timestamp,
+    location,
+    photo,
+    auth_method,
+    is_manual,
+    client_id,
+    is_late_sync,
+    synced_at
+  ) VALUES (
+    auth.uid(),
+    v_user_username,
+    COALESCE(v_user_name, v_user_username),
+    p_type,
+    v_timestamp,
+    v_location,
+    p_photo,
+    p_auth_method,
+    false,
+    p_client_id,
+    v_is_late_sync,
+    NOW()
+  )
+  RETURNING * INTO v_record;
+
+  RETURN v_record;
+END;
+$$;
+
+-- Grant execute permissions
+GRANT EXECUTE ON FUNCTION record_attendance(VARCHAR, DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION, JSONB, VARCHAR, TEXT, UUID, TIMESTAMPTZ) TO authenticated;
+
+-- ============================================
+-- Comments
+-- ============================================
+
+COMMENT ON COLUMN attendance_records.client_id IS 'Id generated by the app for the punch; makes retries of the same punch safe';
+COMMENT ON COLUMN attendance_records.is_late_sync IS 'The punch was queued offline and recorded more than 5 minutes after it was made (timestamp is the device time)';
+COMMENT ON COLUMN attendance_records.synced_at IS 'When the server recorded the punch';
+COMMENT ON FUNCTION record_attendance(VARCHAR, DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION, JSONB, VARCHAR, TEXT, UUID, TIMESTAMPTZ) IS 'Records a check-in or check-out for the current user after validating their location against their permitted office sites and the check-in/check-out sequence. Safe to retry with the same client id; late punches keep their device time and are flagged is_late_sync.';
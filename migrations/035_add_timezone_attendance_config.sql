@@ -0,0 +1,23 @@
+-- ============================================
+-- Organisation Timezone Attendance Config Migration (Supabase)
+-- ============================================
+-- The attendance engine (reports and in-app analytics) puts each punch on a
+-- day. It used the local timezone of whichever machine ran it, so the
+-- reporting server (UTC) and a phone in another timezone put punches near
+-- midnight on different days. Days are now counted in the organisation's
+-- timezone, stored in the timezone attendance config key.
+
+-- ============================================
+-- Default: UTC
+-- ============================================
+-- timezone: IANA timezone name (e.g. {"timezone": "Asia/Karachi"})
+
+INSERT INTO attendance_config (config_key, config_value, description, updated_by, singleton)
+VALUES (
+  'timezone',
+  '{"timezone": "UTC"}'::jsonb,
+  'IANA timezone attendance days are counted in (reports, analytics and late arrivals)',
+  'system',
+  1
+)
+ON CONFLICT (config_key) DO NOTHING;
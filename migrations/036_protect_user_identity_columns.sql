@@ -0,0 +1,50 @@
+-- ============================================
+-- Protect User Identity Columns Migration (Supabase)
+-- ============================================
+-- The update policies from migration 013 ("Users can update own work_mode"
+-- and the manager/HR/super admin work_mode policies) cover the whole row, so
+-- a signed-in user could change their own role, department, email or active
+-- status straight through Supabase, past the auth service's permission
+-- matrix, department scope and audit log.
+--
+-- Like the password (027) and two-factor (028) columns, these columns are now
+-- kept unchanged unless the auth service (service role) makes the update:
+--   uid, username, email, role, department, is_active
+-- Other columns (work_mode, name, position, ...) are still covered by the 013
+-- policies.
+--
+-- The Supabase session the app holds is password-only (signInWithPassword
+-- after the gateway login); two-factor verification is only checked by the
+-- auth and reporting services. So nothing that hands over an account or its
+-- privileges may be writable through that session.
+--
+-- One-off fixes from the SQL editor (such as migration 011) run without a
+-- request role; set it first in the same transaction:
+--   SET LOCAL request.jwt.claims = '{"role": "service_role"}';
+
+CREATE OR REPLACE FUNCTION protect_user_identity_columns()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF COALESCE(auth.role(), '') <> 'service_role' THEN
+    NEW.uid := OLD.uid;
+    NEW.username := OLD.username;
+    NEW.email := OLD.email;
+    NEW.role := OLD.role;
+    NEW.department := OLD.department;
+    NEW.is_active := OLD.is_active;
+  END IF;
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS protect_user_identity_columns ON users;
+CREATE TRIGGER protect_user_identity_columns
+BEFORE UPDATE ON users
+FOR EACH ROW
+EXECUTE FUNCTION protect_user_identity_columns();
+
+-- ============================================
+-- Comments
+-- ============================================
+
+COMMENT ON FUNCTION protect_user_identity_columns() IS 'Keeps uid, username, email, role, department and is_active unchanged unless the service role (auth service) updates the row.';
@@ -0,0 +1,130 @@
+-- ============================================
+-- Restrict Manual Attendance Records Migration (Supabase)
+-- ============================================
+-- Migration 032 moved check-ins and check-outs behind record_attendance(),
+-- but the manual record policies from 006 and 012 still let a manager insert
+-- (or edit) is_manual rows for anyone, themselves included, and for every
+-- department. A manager could skip the location and sequence checks for their
+-- own attendance, or their department's rules for everyone else's.
+--
+-- Manual records and edits now:
+--   - never cover the caller's own attendance (user_uid <> auth.uid())
+--   - are limited to the manager's own department, except for super admins
+--     and HR admins (role = 'manager' AND department = 'HR', migration 012),
+--     who still cover every employee except super admins
+-- Deletes are unchanged.
+
+-- ============================================
+-- RLS Policies
+-- ============================================
+
+DROP POLICY IF EXISTS "Managers and admins can create manual attendance records" ON attendance_records;
+DROP POLICY IF EXISTS "HR admins can create manual attendance records" ON attendance_records;
+DROP POLICY IF EXISTS "Managers and admins can update attendance records" ON attendance_records;
+DROP POLICY IF EXISTS "HR admins can update attendance records" ON attendance_records;
+
+-- ============================================
+-- MANAGERS & ADMINS: Create manual attendance records for others
+-- ============================================
+
+CREATE POLICY "Managers and admins can create manual attendance records"
+ON attendance_records
+FOR INSERT
+WITH CHECK (
+  is_manual = true
+  AND user_uid::text <> auth.uid()::text
+  AND EXISTS (
+    SELECT 1
+    FROM users
+    WHERE uid = auth.uid()::text
+      AND (
+        role = 'super_admin'
+        OR (
+          role = 'manager'
+          AND EXISTS (
+            SELECT 1
+            FROM users employee
+            WHERE employee.uid = attendance_records.user_uid::text
+              AND employee.department = users.department
+          )
+        )
+      )
+  )
+);
+
+-- ============================================
+-- HR ADMINS: Create manual attendance records for other employees
+-- ============================================
+
+CREATE POLICY "HR admins can create manual attendance records"
+ON attendance_records
+FOR INSERT
+WITH CHECK (
+  is_manual = true
+  AND user_uid::text <> auth.uid()::text
+  AND EXISTS (
+    SELECT 1
+    FROM users hr_admin
+    WHERE hr_admin.uid = auth.uid()::text
+      AND hr_admin.role = 'manager'
+      AND hr_admin.department = 'HR'
+      AND EXISTS (
+        SELECT 1
+        FROM users employee
+        WHERE employee.uid = attendance_records.user_uid::text
+          AND employee.role != 'super_admin'
+      )
+  )
+);
+
+-- ============================================
+-- MANAGERS & ADMINS: Update other users' attendance records
+-- ============================================
+
+CREATE POLICY "Managers and admins can update attendance records"
+ON attendance_records
+FOR UPDATE
+USING (
+  user_uid::text <> auth.uid()::text
+  AND EXISTS (
+    SELECT 1
+    FROM users
+    WHERE uid = auth.uid()::text
+      AND (
+        role = 'super_admin'
+        OR (
+          role = 'manager'
+          AND EXISTS (
+            SELECT 1
+            FROM users employee
+            WHERE employee.uid = attendance_records.user_uid::text
+              AND employee.department = users.department
+          )
+        )
+      )
+  )
+);
+
+-- ============================================
+-- HR ADMINS: Update other employees' attendance records
+-- ============================================
+
+CREATE POLICY "HR admins can update attendance records"
+ON attendance_records
+FOR UPDATE
+USING (
+  user_uid::text <> auth.uid()::text
+  AND EXISTS (
+    SELECT 1
+    FROM users hr_admin
+    WHERE hr_admin.uid = auth.uid()::text
+      AND hr_admin.role = 'manager'
+      AND hr_admin.department = 'HR'
+      AND EXISTS (
+        SELECT 1
+        FROM users employee
+        WHERE employee.uid = attendance_records.user_uid::text
+          AND employee.role != 'super_admin'
+      )
+  )
+);
@@ -0,0 +1,164 @@
+/**
+ * Tests: who may add and edit manual attendance records (migrations 006, 012 and 037), and the
+ * users columns only the auth service may change (migration 036)
+ */
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDatabase, asUser, insertUser } = require('./database');
+
+const SUPER_ADMIN = { uid: '00000000-0000-0000-0000-000000000010', username: 'super', role: 'super_admin', department: 'Management' };
+const HR_ADMIN = { uid: '00000000-0000-0000-0000-000000000011', username: 'hr', role: 'manager', department: 'HR' };
+const MANAGER = { uid: '00000000-0000-0000-0000-000000000012', username: 'manager', role: 'manager', department: 'Engineering' };
+const EMPLOYEE = { uid: '00000000-0000-0000-0000-000000000013', username: 'employee', department: 'Engineering' };
+const SALES_EMPLOYEE = { uid: '00000000-0000-0000-0000-000000000014', username: 'sales', department: 'Sales' };
+
+describe('attendance policies', () => {
+  let db;
+
+  /**
+   * Add a manual record as a user
+   * @param {Object} actor - Signed-in user
+   * @param {Object} employee - User the record is for
+   * @returns {Promise<Object>} Inserted row
+   */
+  async function addManualRecord(actor, employee) {
+    return asUser(db, actor.uid, async (tx) => {
+      const { rows } = await tx.query(
+        `INSERT INTO attendance_records (user_uid, username, type, is_manual, created_by)
+         VALUES ($1, $2, 'checkin', true, $3)
+         RETURNING id`,
+        [employee.uid, employee.username, actor.username]
+      );
+      return rows[0];
+    });
+  }
+
+  /**
+   * Move every record of an employee by an hour as a user
+   * @param {Object} actor - Signed-in user
+   * @param {Object} employee - User whose records are edited
+   * @returns {Promise<number>} Rows updated (RLS hides the others)
+   */
+  async function editRecords(actor, employee) {
+    return asUser(db, actor.uid, async (tx) => {
+      const { affectedRows } = await tx.query(
+        `UPDATE attendance_records SET timestamp = timestamp - INTERVAL '1 hour'
+         WHERE user_uid = $1`,
+        [employee.uid]
+      );
+      return affectedRows;
+    });
+  }
+
+  before(async () => {
+    db = await createDatabase();
+    for (const user of [SUPER_ADMIN, HR_ADMIN, MANAGER, EMPLOYEE, SALES_EMPLOYEE]) {
+      await insertUser(db, user);
+    }
+  });
+
+  after(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.exec('DELETE FROM attendance_records');
+    for (const user of [SUPER_ADMIN, HR_ADMIN, MANAGER, EMPLOYEE, SALES_EMPLOYEE]) {
+      await db.query(
+        `INSERT INTO attendance_records (user_uid, username, type, is_manual)
+         VALUES ($1, $2, 'checkin', true)`,
+        [user.uid, user.username]
+      );
+    }
+  });
+
+  describe('manual records', () => {
+    it('lets managers add records for their own department', async () => {
+      assert.ok(await addManualRecord(MANAGER, EMPLOYEE));
+    });
+
+    it('keeps managers from adding records for themselves', async () => {
+      await assert.rejects(addManualRecord(MANAGER, MANAGER), /row-level security/);
+    });
+
+    it('keeps managers from adding records for other departments', async () => {
+      await assert.rejects(addManualRecord(MANAGER, SALES_EMPLOYEE), /row-level security/);
+    });
+
+    it('lets HR admins add records for any department, but not for themselves', async () => {
+      assert.ok(await addManualRecord(HR_ADMIN, SALES_EMPLOYEE));
+      assert.ok(await addManualRecord(HR_ADMIN, MANAGER));
+      await assert.rejects(addManualRecord(HR_ADMIN, HR_ADMIN), /row-level security/);
+      await assert.rejects(addManualRecord(HR_ADMIN, SUPER_ADMIN), /row-level security/);
+    });
+
+    it('lets super admins add records for anyone else', async () => {
+      assert.ok(await addManualRecord(SUPER_ADMIN, SALES_EMPLOYEE));
+      assert.ok(await addManualRecord(SUPER_ADMIN, HR_ADMIN));
+      await assert.rejects(addManualRecord(SUPER_ADMIN, SUPER_ADMIN), /row-level security/);
+    });
+
+    it('refuses employees', async () => {
+      await assert.rejects(addManualRecord(EMPLOYEE, SALES_EMPLOYEE), /row-level security/);
+      await assert.rejects(addManualRecord(EMPLOYEE, EMPLOYEE), /row-level security/);
+    });
+  });
+
+  describe('edits', () => {
+    it("lets managers edit their department's records but not their own", async () => {
+      assert.equal(await editRecords(MANAGER, EMPLOYEE), 1);
+      assert.equal(await editRecords(MANAGER, MANAGER), 0);
+      assert.equal(await editRecords(MANAGER, SALES_EMPLOYEE), 0);
+    });
+
+    it('lets HR admins and super admins edit everyone else', async () => {
+      assert.equal(await editRecords(HR_ADMIN, SALES_EMPLOYEE), 1);
+      assert.equal(await editRecords(HR_ADMIN, HR_ADMIN), 0);
+      assert.equal(await editRecords(HR_ADMIN, SUPER_ADMIN), 0);
+      assert.equal(await editRecords(SUPER_ADMIN, HR_ADMIN), 1);
+      assert.equal(await editRecords(SUPER_ADMIN, SUPER_ADMIN), 0);
+    });
+
+    it('refuses employees', async () => {
+      assert.equal(await editRecords(EMPLOYEE, EMPLOYEE), 0);
+    });
+  });
+
+  describe('users identity columns', () => {
+    /**
+     * Read a users row
+     * @param {Object} user - User
+     * @returns {Promise<Object>} Row
+     */
+    async function loadUser(user) {
+      const { rows } = await db.query('SELECT role, department, is_active, work_mode FROM users WHERE uid = $1', [user.uid]);
+      return rows[0];
+    }
+
+    it('keeps users from changing their own role, department or status', async () => {
+      await asUser(db, EMPLOYEE.uid, tx => tx.query(
+        `UPDATE users SET role = 'super_admin', department = 'HR', is_active = true, work_mode = 'fully_remote'
+         WHERE uid = $1`,
+        [EMPLOYEE.uid]
+      ));
+      assert.deepEqual(await loadUser(EMPLOYEE), {
+        role: 'employee',
+        department: 'Engineering',
+        is_active: true,
+        work_mode: 'fully_remote',
+      });
+    });
+
+    it('lets the service role change them', async () => {
+      const setDepartment = department => asUser(db, null, tx => tx.query(
+        'UPDATE users SET department = $1 WHERE uid = $2',
+        [department, EMPLOYEE.uid]
+      ), 'service_role');
+
+      await setDepartment('Sales');
+      assert.equal((await loadUser(EMPLOYEE)).department, 'Sales');
+      await setDepartment('Engineering');
+      assert.equal((await loadUser(EMPLOYEE)).department, 'Engineering');
+    });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Test database: the attendance migrations applied to an in-memory Postgres (PGlite)
+ *
+ * Supabase provides the auth schema, the API roles and the users table (which no migration creates);
+ * minimal stand-ins are created first. auth.uid() and auth.role() read request.jwt.claims like Supabase does.
+ */
+const fs = require('fs');
+const path = require('path');
+const { PGlite } = require('@electric-sql/pglite');
+const { pgcrypto } = require('@electric-sql/pglite/contrib/pgcrypto');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..');
+
+// Migrations behind attendance records, office sites and their policies, in order
+const MIGRATIONS = [
+  '006_create_attendance_records_table.sql',
+  '012_add_hr_admin_attendance_access.sql',
+  '013_add_users_table_work_mode_update_policies.sql',
+  '016_create_office_location_table.sql',
+  '017_ensure_office_location_rls_policies.sql',
+  '018_create_attendance_config_table.sql',
+  '024_add_weekend_days_attendance_config.sql',
+  '030_create_office_sites.sql',
+  '031_add_office_site_boundaries.sql',
+  '032_add_record_attendance_function.sql',
+  '033_add_attendance_location_risk.sql',
+  '034_add_offline_punch_sync.sql',
+  '035_add_timezone_attendance_config.sql',
+  '036_protect_user_identity_columns.sql',
+  '037_restrict_manual_attendance_records.sql',
+];
+
+const SUPABASE_STAND_INS = `
+CREATE ROLE anon NOLOGIN;
+CREATE ROLE authenticated NOLOGIN;
+CREATE ROLE service_role NOLOGIN BYPASSRLS;
+
+GRANT USAGE ON SCHEMA public TO anon, authenticated, service_role;
+ALTER DEFAULT PRIVILEGES IN SCHEMA public GRANT ALL ON TABLES TO anon, authenticated, service_role;
+
+CREATE SCHEMA auth;
+GRANT USAGE ON SCHEMA auth TO anon, authenticated, service_role;
+
+CREATE FUNCTION auth.uid() RETURNS UUID
+LANGUAGE sql STABLE
+AS $$ SELECT NULLIF(current_setting('request.jwt.claims', true)::jsonb ->> 'sub', '')::uuid $$;
+
+CREATE FUNCTION auth.role() RETURNS TEXT
+LANGUAGE sql STABLE
+AS $$ SELECT NULLIF(current_setting('request.jwt.claims', true), '')::jsonb ->> 'role' $$;
+
+CREATE TABLE users (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  uid VARCHAR(255) UNIQUE NOT NULL,
+  username VARCHAR(255) UNIQUE NOT NULL,
+  email VARCHAR(255) UNIQUE NOT NULL,
+  name VARCHAR(255),
+  role VARCHAR(50) NOT NULL,
+  department VARCHAR(255),
+  position VARCHAR(255),
+  work_mode VARCHAR(50),
+  hire_date DATE,
+  is_active BOOLEAN DEFAULT true,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE users ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view users"
+ON users
+FOR SELECT
+USING (true);
+`;
+
+/**
+ * Create a database with the attendance migrations applied
+ * @returns {Promise<PGlite>} Database (close it when done)
+ */
+async function createDatabase() {
+  const db = new PGlite({ extensions: { pgcrypto } });
+  await db.exec(SUPABASE_STAND_INS);
+  for (const file of MIGRATIONS) {
+    try {
+      await db.exec(fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8'));
+    } catch (error) {
+      throw new Error(`${file}: ${error.message}`);
+    }
+  }
+  return db;
+}
+
+/**
+ * Run queries as a signed-in user, the way PostgREST does: the authenticated role (so RLS applies) with
+ * the user's JWT claims, in a transaction that is rolled back if the callback throws
+ * @param {PGlite} db - Database
+ * @param {string|null} uid - auth.uid() of the user (null: no user)
+ * @param {Function} callback - Receives the transaction
+ * @param {string} [role] - Request role (authenticated or service_role)
+ * @returns {Promise<*>} The callback's result
+ */
+async function asUser(db, uid, callback, role = 'authenticated') {
+  return db.transaction(async (tx) => {
+    await tx.query('SELECT set_config($1, $2, true)', [
+      'request.jwt.claims',
+      JSON.stringify(uid ? { sub: uid, role } : { role }),
+    ]);
+    await tx.exec(`SET LOCAL ROLE ${role}`);
+    return callback(tx);
+  });
+}
+
+/**
+ * Add a users row
+ * @param {PGlite} db - Database
+ * @param {Object} user - { uid, username, role, department, work_mode, is_active }
+ */
+async function insertUser(db, user) {
+  await db.query(
+    `INSERT INTO users (uid, username, email, name, role, department, work_mode, is_active)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [
+      user.uid,
+      user.username,
+      `${user.username}@example.com`,
+      user.name || user.username,
+      user.role || 'employee',
+      user.department || null,
+      user.work_mode || 'in_office',
+      user.is_active !== false,
+    ]
+  );
+}
+
+module.exports = {
+  createDatabase,
+  asUser,
+  insertUser,
+};
@@ -0,0 +1,265 @@
+/**
+ * Tests: record_attendance() check-in/check-out sequence, geofence and offline sync rules
+ * (migrations 030-035)
+ */
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDatabase, asUser, insertUser } = require('./database');
+
+const EMPLOYEE = { uid: '00000000-0000-0000-0000-000000000001', username: 'employee', department: 'Engineering' };
+const REMOTE = { uid: '00000000-0000-0000-0000-000000000002', username: 'remote', work_mode: 'fully_remote' };
+const INACTIVE = { uid: '00000000-0000-0000-0000-000000000003', username: 'inactive', is_active: false };
+
+// Head office: 100 m around this point. 0.001 degrees of latitude is about 111 m
+const OFFICE = { latitude: -6.2, longitude: 106.8 };
+const METERS_PER_DEGREE_LAT = 111195;
+
+/**
+ * Get a point north of the office
+ * @param {number} meters - Distance from the office center
+ * @returns {{latitude: number, longitude: number}} Point
+ */
+function northOfOffice(meters) {
+  return { latitude: OFFICE.latitude + meters / METERS_PER_DEGREE_LAT, longitude: OFFICE.longitude };
+}
+
+describe('record_attendance', () => {
+  let db;
+
+  /**
+   * Punch as a user
+   * @param {Object} user - User (uid)
+   * @param {string} type - checkin or checkout
+   * @param {Object} [options] - { latitude, longitude, accuracy, clientId, deviceTimestamp }
+   * @returns {Promise<Object>} The attendance_records row
+   */
+  async function punch(user, type, { latitude, longitude, accuracy = null, clientId = null, deviceTimestamp = null } = OFFICE) {
+    return asUser(db, user.uid, async (tx) => {
+      const { rows } = await tx.query(
+        `SELECT * FROM record_attendance(
+           p_type => $1, p_latitude => $2, p_longitude => $3, p_accuracy => $4,
+           p_client_id => $5, p_device_timestamp => $6
+         )`,
+        [type, latitude, longitude, accuracy, clientId, deviceTimestamp]
+      );
+      return rows[0];
+    });
+  }
+
+  before(async () => {
+    db = await createDatabase();
+    await insertUser(db, EMPLOYEE);
+    await insertUser(db, REMOTE);
+    await insertUser(db, INACTIVE);
+  });
+
+  after(async () => {
+    await db.close();
+  });
+
+  beforeEach(async () => {
+    await db.exec(`
+      DELETE FROM attendance_records;
+      DELETE FROM office_site_assignments;
+      DELETE FROM office_sites;
+      DELETE FROM attendance_config WHERE config_key = 'auto_checkout_enabled';
+    `);
+    await db.query(
+      'INSERT INTO office_sites (name, latitude, longitude, radius_meters) VALUES ($1, $2, $3, $4)',
+      ['Head Office', OFFICE.latitude, OFFICE.longitude, 100]
+    );
+  });
+
+  describe('sequence', () => {
+    it('records a check-in with the user and server time', async () => {
+      const record = await punch(EMPLOYEE, 'checkin');
+      assert.equal(record.user_uid, EMPLOYEE.uid);
+      assert.equal(record.username, EMPLOYEE.username);
+      assert.equal(record.type, 'checkin');
+      assert.equal(record.is_manual, false);
+      assert.equal(record.is_late_sync, false);
+      assert.equal(record.location.site_name, 'Head Office');
+      assert.ok(Math.abs(new Date(record.timestamp) - Date.now()) < 60 * 1000);
+    });
+
+    it('refuses a second check-in', async () => {
+      await punch(EMPLOYEE, 'checkin');
+      await assert.rejects(punch(EMPLOYEE, 'checkin'), /already checked in/);
+    });
+
+    it('refuses a check-out without a check-in', async () => {
+      await assert.rejects(punch(EMPLOYEE, 'checkout'), /not checked in/);
+    });
+
+    it('alternates check-ins and check-outs', async () => {
+      await punch(EMPLOYEE, 'checkin');
+      await punch(EMPLOYEE, 'checkout');
+      await assert.rejects(punch(EMPLOYEE, 'checkout'), /not checked in/);
+      await punch(EMPLOYEE, 'checkin');
+    });
+
+    it('refuses other punch types', async () => {
+      await assert.rejects(punch(EMPLOYEE, 'break'), /must be checkin or checkout/);
+    });
+
+    it('requires a signed-in, active user', async () => {
+      await assert.rejects(punch({ uid: null }, 'checkin'), /Authentication required/);
+      await assert.rejects(punch({ uid: '00000000-0000-0000-0000-0000000000ff' }, 'checkin'), /User not found/);
+      await assert.rejects(punch(INACTIVE, 'checkin'), /inactive/);
+    });
+  });
+
+  describe('geofence', () => {
+    it('refuses a check-in outside the site', async () => {
+      await assert.rejects(punch(EMPLOYEE, 'checkin', northOfOffice(300)), /must be at Head Office to check in/);
+    });
+
+    it('widens the site by the reported accuracy', async () => {
+      const point = northOfOffice(130);
+      await assert.rejects(punch(EMPLOYEE, 'checkin', { ...point, accuracy: 10 }), /outside the site boundary/);
+      const record = await punch(EMPLOYEE, 'checkin', { ...point, accuracy: 40 });
+      assert.equal(record.location.accuracy, 40);
+    });
+
+    it('caps the accuracy allowance at 50 m', async () => {
+      await assert.rejects(punch(EMPLOYEE, 'checkin', { ...northOfOffice(200), accuracy: 5000 }), /outside the site boundary/);
+    });
+
+    it('requires a location', async () => {
+      await assert.rejects(punch(EMPLOYEE, 'checkin', { latitude: null, longitude: null }), /Unable to get your current location/);
+      await assert.rejects(punch(EMPLOYEE, 'checkin', { latitude: 91, longitude: 0 }), /Unable to get your current location/);
+    });
+
+    it('checks polygon boundaries', async () => {
+      await db.exec('DELETE FROM office_sites');
+      // 0.002 x 0.002 degree square north-east of the office center
+      await db.query(
+        'INSERT INTO office_sites (name, latitude, longitude, radius_meters, boundary) VALUES ($1, $2, $3, $4, $5)',
+        ['Warehouse', -6.199, 106.801, 100, JSON.stringify([
+          { latitude: -6.2, longitude: 106.8 },
+          { latitude: -6.2, longitude: 106.802 },
+          { latitude: -6.198, longitude: 106.802 },
+          { latitude: -6.198, longitude: 106.8 },
+        ])]
+      );
+
+      const record = await punch(EMPLOYEE, 'checkin', { latitude: -6.1985, longitude: 106.8015 });
+      assert.equal(record.location.site_name, 'Warehouse');
+      assert.equal(record.location.distance_outside_site, 0);
+      // Inside the 100 m circle around the center, but outside the polygon
+      await punch(EMPLOYEE, 'checkout', { latitude: -6.1985, longitude: 106.8015 });
+      await assert.rejects(punch(EMPLOYEE, 'checkin', { latitude: -6.2005, longitude: 106.801 }), /must be at Warehouse/);
+    });
+
+    it('only permits the assigned sites', async () => {
+      const { rows: [branch] } = await db.query(
+        'INSERT INTO office_sites (name, latitude, longitude, radius_meters) VALUES ($1, $2, $3, $4) RETURNING id',
+        ['Branch', -6.3, 106.9, 100]
+      );
+      await db.query('INSERT INTO office_site_assignments (site_id, department) VALUES ($1, $2)', [branch.id, 'Engineering']);
+
+      await assert.rejects(punch(EMPLOYEE, 'checkin'), /must be at Branch/);
+      const record = await punch(EMPLOYEE, 'checkin', { latitude: -6.3, longitude: 106.9 });
+      assert.equal(record.location.site_name, 'Branch');
+    });
+
+    it('ignores assignments to inactive sites and never checks against them', async () => {
+      const { rows: [branch] } = await db.query(
+        'INSERT INTO office_sites (name, latitude, longitude, radius_meters, is_active) VALUES ($1, $2, $3, $4, false) RETURNING id',
+        ['Closed Branch', -6.3, 106.9, 100]
+      );
+      await db.query('INSERT INTO office_site_assignments (site_id, username) VALUES ($1, $2)', [branch.id, EMPLOYEE.username]);
+
+      await assert.rejects(punch(EMPLOYEE, 'checkin', { latitude: -6.3, longitude: 106.9 }), /must be at Head Office/);
+      await punch(EMPLOYEE, 'checkin');
+    });
+
+    it('allows any location when there is no active site', async () => {
+      await db.exec('UPDATE office_sites SET is_active = false');
+      const record = await punch(EMPLOYEE, 'checkin', northOfOffice(5000));
+      assert.equal(record.location.site_id, undefined);
+    });
+
+    it('does not tie remote users to a site', async () => {
+      await punch(REMOTE, 'checkin', northOfOffice(5000));
+    });
+
+    it('checks check-outs unless auto checkout is on', async () => {
+      await punch(EMPLOYEE, 'checkin');
+      await assert.rejects(punch(EMPLOYEE, 'checkout', northOfOffice(300)), /must be at Head Office to check out/);
+
+      await db.query(
+        'INSERT INTO attendance_config (config_key, config_value) VALUES ($1, $2)',
+        ['auto_checkout_enabled', JSON.stringify({ enabled: true })]
+      );
+      await punch(EMPLOYEE, 'checkout', northOfOffice(300));
+    });
+  });
+
+  describe('offline sync', () => {
+    const CLIENT_ID = '10000000-0000-0000-0000-000000000001';
+
+    it('returns the first record when a punch is sent again', async () => {
+      const first = await punch(EMPLOYEE, 'checkin', { ...OFFICE, clientId: CLIENT_ID });
+      const again = await punch(EMPLOYEE, 'checkin', { ...OFFICE, clientId: CLIENT_ID });
+      assert.equal(again.id, first.id);
+
+      const { rows } = await db.query('SELECT COUNT(*)::int AS count FROM attendance_records');
+      assert.equal(rows[0].count, 1);
+    });
+
+    it('keeps the device time of a late punch and flags it', async () => {
+      const madeAt = new Date(Date.now() - 2 * 60 * 60 * 1000);
+      const record = await punch(EMPLOYEE, 'checkin', { ...OFFICE, clientId: CLIENT_ID, deviceTimestamp: madeAt.toISOString() });
+      assert.equal(new Date(record.timestamp).getTime(), madeAt.getTime());
+      assert.equal(record.is_late_sync, true);
+    });
+
+    it('uses the server time for recent punches and without a client id', async () => {
+      const madeAt = new Date(Date.now() - 60 * 1000).toISOString();
+      const recent = await punch(EMPLOYEE, 'checkin', { ...OFFICE, clientId: CLIENT_ID, deviceTimestamp: madeAt });
+      assert.equal(recent.is_late_sync, false);
+
+      const old = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString();
+      const withoutClientId = await punch(EMPLOYEE, 'checkout', { ...OFFICE, deviceTimestamp: old });
+      assert.equal(withoutClientId.is_late_sync, false);
+      assert.ok(Math.abs(new Date(withoutClientId.timestamp) - Date.now()) < 60 * 1000);
+    });
+
+    it('refuses punches older than 72 hours', async () => {
+      const madeAt = new Date(Date.now() - 73 * 60 * 60 * 1000).toISOString();
+      await assert.rejects(
+        punch(EMPLOYEE, 'checkin', { ...OFFICE, clientId: CLIENT_ID, deviceTimestamp: madeAt }),
+        /older than 72 hours/
+      );
+    });
+
+    it('refuses a late punch older than the last recorded one', async () => {
+      await punch(EMPLOYEE, 'checkin');
+      await punch(EMPLOYEE, 'checkout');
+      const madeAt = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+      await assert.rejects(
+        punch(EMPLOYEE, 'checkin', { ...OFFICE, clientId: CLIENT_ID, deviceTimestamp: madeAt }),
+        /older than your last recorded punch/
+      );
+    });
+
+    it('checks the location of late punches too', async () => {
+      const madeAt = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+      await assert.rejects(
+        punch(EMPLOYEE, 'checkin', { ...northOfOffice(300), clientId: CLIENT_ID, deviceTimestamp: madeAt }),
+        /must be at Head Office/
+      );
+    });
+  });
+
+  describe('direct writes', () => {
+    it('refuses inserts of punches outside record_attendance', async () => {
+      await assert.rejects(asUser(db, EMPLOYEE.uid, tx => tx.query(
+        `INSERT INTO attendance_records (user_uid, username, type)
+         VALUES ($1, $2, 'checkin')`,
+        [EMPLOYEE.uid, EMPLOYEE.username]
+      )), /row-level security/);
+    });
+  });
+});
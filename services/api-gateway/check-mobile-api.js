@@ -0,0 +1,111 @@
+/**
+ * Check Script: Validate the mobile app's gateway calls against the OpenAPI document
+ *
+ * Usage:
+ *   node check-mobile-api.js [mobileAppDir]   # default ../../apps/mobile
+ *
+ * Finds every `${...}/api/...` URL in the mobile source and checks that the path (and the method,
+ * for fetch calls with the URL inline) is documented at /api/docs. Exits with 1 if any call isn't.
+ */
+const fs = require('fs');
+const path = require('path');
+const { buildOpenAPIDocument } = require('./docs/openapi');
+
+const MOBILE_DIR = path.resolve(process.argv[2] || path.join(__dirname, '..', '..', 'apps', 'mobile'));
+const SKIP_DIRS = ['node_modules', '.expo', 'android', 'ios', 'dist', 'build'];
+
+// `${API_GATEWAY_URL}/api/...` template literals
+const URL_PATTERN = /`\$\{[^}]+\}(\/api\/[^`?]*)[^`]*`/g;
+
+/**
+ * List the JavaScript files of the mobile app
+ * @param {string} dir - Directory to scan
+ * @returns {Array<string>} File paths
+ */
+function listSourceFiles(dir) {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return SKIP_DIRS.includes(entry.name) || entry.name.startsWith('.') ? [] : listSourceFiles(fullPath);
+    }
+    return /\.(js|jsx|ts|tsx)$/.test(entry.name) ? [fullPath] : [];
+  });
+}
+
+/**
+ * Find the gateway calls in a source file
+ * @param {string} source - File contents
+ * @returns {Array<{path: string, method: string|null, line: number}>} method is null when it can't be told
+ *   from the call site (URL built into a variable first)
+ */
+function findCalls(source) {
+  const calls = [];
+  for (const match of source.matchAll(URL_PATTERN)) {
+    const isInlineFetch = /fetch\(\s*$/.test(source.slice(Math.max(0, match.index - 20), match.index));
+    let method = null;
+    if (isInlineFetch) {
+      // The options object follows the URL; stop at the next gateway URL
+      const rest = source.slice(match.index + match[0].length);
+      const nextCall = rest.search(URL_PATTERN);
+      const options = rest.slice(0, nextCall === -1 ? 400 : Math.min(nextCall, 400));
+      method = (options.match(/method:\s*['"](\w+)['"]/) || [null, 'GET'])[1].toLowerCase();
+    }
+    calls.push({
+      path: match[1].replace(/\$\{[^}]+\}/g, '{param}').replace(/\/$/, '') || '/',
+      method,
+      line: source.slice(0, match.index).split('\n').length,
+    });
+  }
+  return calls;
+}
+
+/**
+ * Find the documented paths a called path can match
+ * @param {Object} paths - OpenAPI paths
+ * @param {string} calledPath - Path with {param} placeholders
+ * @returns {Array<string>} Documented paths ({param} matches literal segments too, e.g. /users/export)
+ */
+function matchPaths(paths, calledPath) {
+  const segments = calledPath.split('/');
+  return Object.keys(paths).filter(documented => {
+    const documentedSegments = documented.split('/');
+    return documentedSegments.length === segments.length && documentedSegments.every((segment, i) =>
+      segment === segments[i] || segment.startsWith('{') || segments[i] === '{param}'
+    );
+  });
+}
+
+function main() {
+  if (!fs.existsSync(MOBILE_DIR)) {
+    console.error(`Mobile app not found at ${MOBILE_DIR}`);
+    process.exit(1);
+  }
+
+  const { paths } = buildOpenAPIDocument();
+  const problems = [];
+  let checked = 0;
+
+  listSourceFiles(MOBILE_DIR).forEach(file => {
+    const relative = path.relative(MOBILE_DIR, file);
+    findCalls(fs.readFileSync(file, 'utf8')).forEach(call => {
+      checked++;
+      const documented = matchPaths(paths, call.path);
+      const where = `${relative}:${call.line}`;
+      if (documented.length === 0) {
+        problems.push(`${where} ${call.path} is not a gateway endpoint`);
+      } else if (call.method && !documented.some(documentedPath => paths[documentedPath][call.method])) {
+        const allowed = [...new Set(documented.flatMap(documentedPath => Object.keys(paths[documentedPath])))];
+        problems.push(`${where} ${call.method.toUpperCase()} ${call.path} is not allowed (documented: ${allowed.join(', ').toUpperCase()})`);
+      }
+    });
+  });
+
+  if (problems.length > 0) {
+    console.error(`✗ ${problems.length} of ${checked} mobile API calls don't match the gateway:`);
+    problems.forEach(problem => console.error(`  - ${problem}`));
+    process.exit(1);
+  }
+  console.log(`✓ All ${checked} mobile API calls match the gateway's OpenAPI document`);
+}
+
+main();
@@ -0,0 +1,74 @@
+/**
+ * Gateway Rate Limits
+ * Named policies applied by middleware/rateLimit.js. Each policy limits requests per client IP and/or per
+ * signed-in user within a fixed window. `default` applies to every route in the route table; a route can add
+ * a stricter policy with its `rateLimit` field (config/routes.js), which is counted separately.
+ *
+ * Override any limit with RATE_LIMIT_<POLICY>_<IP|USER>=<max>/<window seconds>, e.g.
+ *   RATE_LIMIT_REPORT_GENERATE_USER=10/3600   - 10 report requests per user per hour
+ *   RATE_LIMIT_DEFAULT_IP=0                   - turn the default per-IP limit off
+ */
+
+const DEFAULT_POLICIES = {
+  // Every route
+  default: { ip: '300/60', user: '120/60' },
+  // Unauthenticated entry points (password guessing, username enumeration); the auth service also throttles logins
+  login: { ip: '20/60' },
+  checkUsername: { ip: '30/60' },
+  passwordCheck: { ip: '30/60' },
+  // Password changes verify the current password, so limit guessing through them as well
+  passwordChange: { user: '10/600' },
+  // Two-factor management verifies authenticator and recovery codes
+  twoFactor: { user: '10/600' },
+  // Expensive endpoints
+  userImport: { user: '10/600' },
+  reportGenerate: { user: '5/600' },
+};
+
+/**
+ * Parse a "<max>/<window seconds>" limit
+ * @param {string} value - Limit string ("0" or "off" disables it)
+ * @param {string} source - Where the value came from (for the error message)
+ * @returns {{max: number, windowMs: number}|null} Limit, or null when disabled
+ */
+function parseLimit(value, source) {
+  const text = String(value).trim();
+  if (text === '0' || text.toLowerCase() === 'off') return null;
+
+  const match = text.match(/^(\d+)\s*\/\s*(\d+)$/);
+  if (!match || parseInt(match[1], 10) === 0 || parseInt(match[2], 10) === 0) {
+    throw new Error(`Invalid rate limit "${value}" for ${source} (expected <max>/<window seconds>, or 0 to disable)`);
+  }
+  return { max: parseInt(match[1], 10), windowMs: parseInt(match[2], 10) * 1000 };
+}
+
+/**
+ * Environment variable name for a policy scope
+ * @param {string} policy - Policy name (camelCase)
+ * @param {string} scope - ip | user
+ * @returns {string} e.g. RATE_LIMIT_REPORT_GENERATE_USER
+ */
+function envName(policy, scope) {
+  return `RATE_LIMIT_${policy.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase()}_${scope.toUpperCase()}`;
+}
+
+/**
+ * Resolve every policy from the defaults and the environment
+ * @returns {Object} { policy: { ip: {max, windowMs}|null, user: {max, windowMs}|null } }
+ */
+function loadPolicies() {
+  return Object.fromEntries(Object.entries(DEFAULT_POLICIES).map(([policy, limits]) => [policy,
+    Object.fromEntries(['ip', 'user'].map(scope => {
+      const variable = envName(policy, scope);
+      const value = process.env[variable] !== undefined && process.env[variable] !== '' ? process.env[variable] : limits[scope];
+      return [scope, value === undefined ? null : parseLimit(value, variable)];
+    })),
+  ]));
+}
+
+const RATE_LIMITS = loadPolicies();
+
+module.exports = {
+  RATE_LIMITS,
+  parseLimit,
+};
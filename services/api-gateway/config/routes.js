@@ -0,0 +1,493 @@
+/**
+ * Gateway Route Table
+ * Every endpoint the gateway exposes, the service it is forwarded to and how it is documented.
+ * routes/index.js mounts one proxy per entry and docs/openapi.js builds the OpenAPI document from it,
+ * so an endpoint added here is both reachable and documented.
+ *
+ * Entry fields:
+ *   method, path     - Gateway route (Express path syntax); forwarded to the same path on the service
+ *   service          - Key of SERVICES
+ *   authenticated    - Require a Supabase access token and forward the signed gateway identity
+ *   timeout          - Upstream timeout in ms
+ *   csv              - Also accept a text/csv request body
+ *   rateLimit        - Policy in config/rateLimits.js applied on top of the default limits
+ *   summary, tag     - OpenAPI operation summary and tag
+ *   description      - Optional longer OpenAPI description
+ *   query            - Query parameters [{ name, type, enum, description }]
+ *   requestBody      - Request schema name (docs/openapi.js)
+ *   optionalBody     - The request body may be omitted
+ *   responses        - { status: schema name | { contentType: schema name } }
+ */
+
+// optional: the gateway is still ready (degraded) while this service is down (GET /health/ready)
+const SERVICES = {
+  auth: {
+    name: 'Auth service',
+    url: process.env.AUTH_SERVICE_URL || 'http://localhost:3001',
+    unavailableMessage: 'Unable to connect to authentication service',
+  },
+  reporting: {
+    name: 'Reporting service',
+    url: process.env.REPORTING_SERVICE_URL || 'http://localhost:3002',
+    unavailableMessage: 'Unable to connect to reporting service. Please ensure the reporting service is deployed and running.',
+    optional: true,
+  },
+};
+
+const REPORT_RANGES = ['weekly', 'monthly', 'yearly', 'all', 'custom'];
+
+const AUDIT_TARGET_TYPES = [
+  'user', 'attendance_record', 'office_location', 'office_site', 'attendance_config', 'leave_request', 'report_schedule', 'report',
+];
+
+const ROUTES = [
+  // ===== Auth =====
+  {
+    method: 'post',
+    path: '/api/auth/login',
+    service: 'auth',
+    authenticated: false,
+    timeout: 10000,
+    rateLimit: 'login',
+    tag: 'Auth',
+    summary: 'Log in with a username or email and password',
+    description: 'Throttled per IP and per account; 423 and 429 responses carry a Retry-After header.',
+    requestBody: 'LoginRequest',
+    responses: { 200: 'LoginResponse', 400: 'Error', 401: 'TwoFactorRequired', 403: 'Error', 423: 'LoginDenied', 429: 'LoginDenied' },
+  },
+  {
+    method: 'post',
+    path: '/api/auth/login/two-factor',
+    service: 'auth',
+    authenticated: false,
+    timeout: 10000,
+    rateLimit: 'login',
+    tag: 'Auth',
+    summary: 'Finish a login with an authenticator or recovery code',
+    description: 'Second step for accounts with two-factor authentication: challengeToken comes from the '
+      + 'TWO_FACTOR_REQUIRED answer of POST /api/auth/login. Wrong codes count towards the account lockout.',
+    requestBody: 'TwoFactorLoginRequest',
+    responses: { 200: 'LoginResponse', 400: 'Error', 401: 'Error', 403: 'Error', 423: 'LoginDenied', 429: 'LoginDenied' },
+  },
+  {
+    method: 'get',
+    path: '/api/auth/check-username/:username',
+    service: 'auth',
+    authenticated: false,
+    timeout: 10000,
+    rateLimit: 'checkUsername',
+    tag: 'Auth',
+    summary: 'Check whether a username is taken',
+    responses: { 200: 'CheckUsernameResponse' },
+  },
+  {
+    method: 'post',
+    path: '/api/auth/password/check',
+    service: 'auth',
+    authenticated: false,
+    timeout: 10000,
+    rateLimit: 'passwordCheck',
+    tag: 'Auth',
+    summary: 'Check a password against the password policy',
+    description: 'Reuse of recent passwords is only checked when the password is changed.',
+    requestBody: 'PasswordCheckRequest',
+    responses: { 200: 'PasswordCheckResponse' },
+  },
+  {
+    method: 'post',
+    path: '/api/auth/password',
+    service: 'auth',
+    authenticated: true,
+    timeout: 10000,
+    rateLimit: 'passwordChange',
+    tag: 'Auth',
+    summary: 'Change your own password',
+    description: 'currentPassword may be omitted only in a session opened from a password recovery link. '
+      + 'Clears the must-change-password flag.',
+    requestBody: 'ChangePasswordRequest',
+    responses: { 200: 'SuccessResponse', 400: 'PasswordRejected', 403: 'Error', 404: 'Error', 500: 'Error' },
+  },
+  {
+    method: 'get',
+    path: '/api/auth/two-factor',
+    service: 'auth',
+    authenticated: true,
+    timeout: 10000,
+    tag: 'Auth',
+    summary: 'Get your two-factor authentication status',
+    responses: { 200: 'TwoFactorStatusResponse', 403: 'Error', 404: 'Error' },
+  },
+  {
+    method: 'post',
+    path: '/api/auth/two-factor/setup',
+    service: 'auth',
+    authenticated: true,
+    timeout: 10000,
+    rateLimit: 'twoFactor',
+    tag: 'Auth',
+    summary: 'Start two-factor enrollment',
+    description: 'Returns a new secret and its otpauth:// URI for an authenticator app. '
+      + 'Logins are unchanged until POST /api/auth/two-factor/enable confirms a code.',
+    responses: { 200: 'TwoFactorSetupResponse', 403: 'Error', 404: 'Error', 409: 'Error', 503: 'Error' },
+  },
+  {
+    method: 'post',
+    path: '/api/auth/two-factor/enable',
+    service: 'auth',
+    authenticated: true,
+    timeout: 10000,
+    rateLimit: 'twoFactor',
+    tag: 'Auth',
+    summary: 'Turn on two-factor authentication with the first authenticator code',
+    description: 'The recovery codes are only returned here and by POST /api/auth/two-factor/recovery-codes.',
+    requestBody: 'TwoFactorCodeRequest',
+    responses: { 200: 'RecoveryCodesResponse', 400: 'Error', 403: 'Error', 404: 'Error', 409: 'Error' },
+  },
+  {
+    method: 'post',
+    path: '/api/auth/two-factor/recovery-codes',
+    service: 'auth',
+    authenticated: true,
+    timeout: 10000,
+    rateLimit: 'twoFactor',
+    tag: 'Auth',
+    summary: 'Replace your recovery codes',
+    requestBody: 'TwoFactorCodeRequest',
+    responses: { 200: 'RecoveryCodesResponse', 400: 'Error', 403: 'Error', 404: 'Error' },
+  },
+  {
+    method: 'post',
+    path: '/api/auth/two-factor/disable',
+    service: 'auth',
+    authenticated: true,
+    timeout: 10000,
+    rateLimit: 'twoFactor',
+    tag: 'Auth',
+    summary: 'Turn off two-factor authentication',
+    description: 'Not allowed for roles that require two-factor authentication (TWO_FACTOR_REQUIRED_BY_POLICY).',
+    requestBody: 'TwoFactorCodeRequest',
+    responses: { 200: 'SuccessResponse', 400: 'Error', 403: 'Error', 404: 'Error' },
+  },
+
+  // ===== Users =====
+  {
+    method: 'post',
+    path: '/api/auth/users',
+    service: 'auth',
+    authenticated: true,
+    timeout: 10000,
+    tag: 'Users',
+    summary: 'Create a user',
+    requestBody: 'CreateUserRequest',
+    responses: { 201: 'UserResponse', 400: 'Error', 403: 'Error', 409: 'Error' },
+  },
+  {
+    method: 'post',
+    path: '/api/auth/users/import',
+    service: 'auth',
+    authenticated: true,
+    timeout: 120000, // Apply mode creates Auth users one at a time
+    csv: true,
+    rateLimit: 'userImport',
+    tag: 'Users',
+    summary: 'Bulk-create users from JSON rows or CSV',
+    description: 'dry-run (default) validates every row without writing; apply creates all users or none.',
+    query: [
+      { name: 'mode', enum: ['dry-run', 'apply'], description: 'For CSV bodies (JSON bodies send mode in the body)' },
+      { name: 'allowNewDepartments', type: 'boolean', description: 'For CSV bodies' },
+    ],
+    requestBody: 'UserImportRequest',
+    responses: { 200: 'UserImportResponse', 201: 'UserImportResponse', 400: 'UserImportResponse', 403: 'Error', 500: 'Error' },
+  },
+  {
+    method: 'get',
+    path: '/api/auth/users/export',
+    service: 'auth',
+    authenticated: true,
+    timeout: 30000,
+    tag: 'Users',
+    summary: 'Export users in the import format',
+    query: [
+      { name: 'format', enum: ['csv', 'json'], description: 'Default csv' },
+      { name: 'department', description: 'Managers always get their own department' },
+      { name: 'includeInactive', type: 'boolean', description: 'Include deactivated users' },
+    ],
+    responses: { 200: { 'text/csv': 'File', 'application/json': 'UserExportResponse' }, 400: 'Error', 403: 'Error' },
+  },
+  {
+    method: 'patch',
+    path: '/api/auth/users/:username/role',
+    service: 'auth',
+    authenticated: true,
+    timeout: 10000,
+    tag: 'Users',
+    summary: 'Change a user\'s role',
+    requestBody: 'UpdateRoleRequest',
+    responses: { 200: 'SuccessResponse', 400: 'Error', 403: 'Error', 404: 'Error' },
+  },
+  {
+    method: 'patch',
+    path: '/api/auth/users/:username/email',
+    service: 'auth',
+    authenticated: true,
+    timeout: 10000,
+    tag: 'Users',
+    summary: 'Change a user\'s email (Auth and profile)',
+    requestBody: 'UpdateEmailRequest',
+    responses: { 200: 'UpdateEmailResponse', 400: 'Error', 403: 'Error', 404: 'Error' },
+  },
+  {
+    method: 'patch',
+    path: '/api/auth/users/:username',
+    service: 'auth',
+    authenticated: true,
+    timeout: 10000,
+    tag: 'Users',
+    summary: 'Update a user\'s profile fields',
+    requestBody: 'UpdateUserRequest',
+    responses: { 200: 'SuccessResponse', 400: 'Error', 403: 'Error', 404: 'Error' },
+  },
+  {
+    method: 'post',
+    path: '/api/auth/users/:username/unlock',
+    service: 'auth',
+    authenticated: true,
+    timeout: 10000,
+    tag: 'Users',
+    summary: 'Clear a login lockout',
+    responses: { 200: 'UnlockResponse', 403: 'Error', 404: 'Error' },
+  },
+  {
+    method: 'post',
+    path: '/api/auth/users/:username/require-password-change',
+    service: 'auth',
+    authenticated: true,
+    timeout: 10000,
+    tag: 'Users',
+    summary: 'Require a user to change their password at next login',
+    requestBody: 'RequirePasswordChangeRequest',
+    optionalBody: true,
+    responses: { 200: 'RequirePasswordChangeResponse', 400: 'Error', 403: 'Error', 404: 'Error' },
+  },
+  {
+    method: 'post',
+    path: '/api/auth/users/:username/two-factor/reset',
+    service: 'auth',
+    authenticated: true,
+    timeout: 10000,
+    tag: 'Users',
+    summary: 'Turn off a user\'s two-factor authentication',
+    description: 'For users who lost their authenticator and recovery codes.',
+    responses: { 200: 'TwoFactorResetResponse', 403: 'Error', 404: 'Error' },
+  },
+  {
+    method: 'post',
+    path: '/api/auth/users/:username/deactivate',
+    service: 'auth',
+    authenticated: true,
+    timeout: 30000,
+    tag: 'Users',
+    summary: 'Deactivate a user and hand their work to a successor',
+    requestBody: 'DeactivateRequest',
+    optionalBody: true,
+    responses: { 200: 'DeactivateResponse', 400: 'Error', 403: 'Error', 404: 'Error', 409: 'Error', 500: 'Error' },
+  },
+  {
+    method: 'post',
+    path: '/api/auth/users/:username/reactivate',
+    service: 'auth',
+    authenticated: true,
+    timeout: 10000,
+    tag: 'Users',
+    summary: 'Restore a deactivated user\'s access',
+    requestBody: 'ReactivateRequest',
+    optionalBody: true,
+    responses: { 200: 'ReactivateResponse', 403: 'Error', 404: 'Error', 409: 'Error' },
+  },
+
+  // ===== Audit =====
+  {
+    method: 'get',
+    path: '/api/audit',
+    service: 'auth',
+    authenticated: true,
+    timeout: 10000,
+    tag: 'Audit',
+    summary: 'List audit log entries, newest first',
+    description: 'Administrative changes from the auth service, reporting service and mobile app.',
+    query: [
+      { name: 'page', type: 'integer' },
+      { name: 'pageSize', type: 'integer', description: 'Default 50, max 200' },
+      { name: 'actor', description: 'Username of the user who made the change' },
+      { name: 'action', description: 'Full action (user.role_change) or an area (user)' },
+      { name: 'targetType', enum: AUDIT_TARGET_TYPES },
+      { name: 'target', description: 'Target ID or label, e.g. a username or config key' },
+      { name: 'from', format: 'date' },
+      { name: 'to', format: 'date' },
+    ],
+    responses: { 200: 'AuditLogResponse', 400: 'Error', 403: 'Error' },
+  },
+
+  // ===== Reports =====
+  {
+    method: 'get',
+    path: '/api/reports/health',
+    service: 'reporting',
+    authenticated: false,
+    timeout: 5000,
+    tag: 'Reports',
+    summary: 'Reporting service health',
+    responses: { 200: 'HealthResponse' },
+  },
+  {
+    method: 'post',
+    path: '/api/reports/generate',
+    service: 'reporting',
+    authenticated: true,
+    timeout: 30000,
+    rateLimit: 'reportGenerate',
+    tag: 'Reports',
+    summary: 'Start generating a report',
+    description: 'Returns immediately with a reportId; poll the report list or download it when ready.',
+    requestBody: 'GenerateReportRequest',
+    responses: { 202: 'GenerateReportResponse', 400: 'Error', 403: 'Error' },
+  },
+  {
+    method: 'get',
+    path: '/api/reports',
+    service: 'reporting',
+    authenticated: true,
+    timeout: 30000,
+    tag: 'Reports',
+    summary: 'List archived reports',
+    query: [
+      { name: 'page', type: 'integer' },
+      { name: 'pageSize', type: 'integer', description: 'Default 20, max 100' },
+      { name: 'range', enum: REPORT_RANGES },
+      { name: 'createdBy', description: 'Username of the requester' },
+      { name: 'from', format: 'date' },
+      { name: 'to', format: 'date' },
+    ],
+    responses: { 200: 'ReportListResponse', 400: 'Error' },
+  },
+  {
+    method: 'get',
+    path: '/api/reports/download/:reportId',
+    service: 'reporting',
+    authenticated: true,
+    timeout: 60000,
+    tag: 'Reports',
+    summary: 'Download a generated report',
+    responses: {
+      200: {
+        'application/pdf': 'File',
+        'text/csv': 'File',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'File',
+      },
+      404: 'Error',
+    },
+  },
+  {
+    method: 'get',
+    path: '/api/reports/:reportId/deliveries',
+    service: 'reporting',
+    authenticated: true,
+    timeout: 30000,
+    tag: 'Reports',
+    summary: 'Email delivery log for a report',
+    responses: { 200: 'DeliveryListResponse', 404: 'Error' },
+  },
+  {
+    method: 'delete',
+    path: '/api/reports/:reportId',
+    service: 'reporting',
+    authenticated: true,
+    timeout: 30000,
+    tag: 'Reports',
+    summary: 'Delete an archived report',
+    responses: { 200: 'SuccessResponse', 403: 'Error', 404: 'Error' },
+  },
+
+  // ===== Report schedules (super admins) =====
+  {
+    method: 'get',
+    path: '/api/reports/schedules',
+    service: 'reporting',
+    authenticated: true,
+    timeout: 30000,
+    tag: 'Report Schedules',
+    summary: 'List report schedules',
+    responses: { 200: 'ScheduleListResponse', 403: 'Error' },
+  },
+  {
+    method: 'post',
+    path: '/api/reports/schedules',
+    service: 'reporting',
+    authenticated: true,
+    timeout: 30000,
+    tag: 'Report Schedules',
+    summary: 'Create a report schedule',
+    requestBody: 'ScheduleRequest',
+    responses: { 201: 'ScheduleResponse', 400: 'Error', 403: 'Error' },
+  },
+  {
+    method: 'get',
+    path: '/api/reports/schedules/:scheduleId',
+    service: 'reporting',
+    authenticated: true,
+    timeout: 30000,
+    tag: 'Report Schedules',
+    summary: 'Get a report schedule',
+    responses: { 200: 'ScheduleResponse', 403: 'Error', 404: 'Error' },
+  },
+  {
+    method: 'patch',
+    path: '/api/reports/schedules/:scheduleId',
+    service: 'reporting',
+    authenticated: true,
+    timeout: 30000,
+    tag: 'Report Schedules',
+    summary: 'Update a report schedule',
+    requestBody: 'ScheduleRequest',
+    responses: { 200: 'ScheduleResponse', 400: 'Error', 403: 'Error', 404: 'Error' },
+  },
+  {
+    method: 'delete',
+    path: '/api/reports/schedules/:scheduleId',
+    service: 'reporting',
+    authenticated: true,
+    timeout: 30000,
+    tag: 'Report Schedules',
+    summary: 'Delete a report schedule',
+    responses: { 200: 'SuccessResponse', 403: 'Error', 404: 'Error' },
+  },
+  {
+    method: 'get',
+    path: '/api/reports/schedules/:scheduleId/runs',
+    service: 'reporting',
+    authenticated: true,
+    timeout: 30000,
+    tag: 'Report Schedules',
+    summary: 'Run history of a report schedule',
+    query: [
+      { name: 'page', type: 'integer' },
+      { name: 'pageSize', type: 'integer' },
+    ],
+    responses: { 200: 'ScheduleRunListResponse', 403: 'Error', 404: 'Error' },
+  },
+  {
+    method: 'post',
+    path: '/api/reports/schedules/:scheduleId/run',
+    service: 'reporting',
+    authenticated: true,
+    timeout: 30000,
+    tag: 'Report Schedules',
+    summary: 'Run a report schedule now',
+    responses: { 202: 'ScheduleRunResponse', 403: 'Error', 404: 'Error' },
+  },
+];
+
+module.exports = {
+  SERVICES,
+  ROUTES,
+};
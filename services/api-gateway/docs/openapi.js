@@ -0,0 +1,961 @@
+/**
+ * OpenAPI Document
+ * Built from the gateway route table (config/routes.js) and served at GET /api/docs
+ */
+const { ROUTES } = require('../config/routes');
+const { version } = require('../package.json');
+
+const ROLES = ['super_admin', 'manager', 'employee'];
+const REPORT_RANGES = ['weekly', 'monthly', 'yearly', 'all', 'custom'];
+const REPORT_FORMATS = ['pdf', 'csv', 'xlsx'];
+const WORK_MODES = ['in_office', 'semi_remote', 'fully_remote'];
+
+const date = { type: 'string', format: 'date' };
+const dateTime = { type: 'string', format: 'date-time' };
+const nullable = schema => ({ ...schema, nullable: true });
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const PAGINATION = {
+  type: 'object',
+  properties: {
+    page: { type: 'integer' },
+    pageSize: { type: 'integer' },
+    total: { type: 'integer' },
+    totalPages: { type: 'integer' },
+  },
+};
+
+const IMPORT_USER_PROPERTIES = {
+  name: { type: 'string' },
+  email: { type: 'string', format: 'email' },
+  username: { type: 'string', pattern: '^[a-zA-Z0-9._-]{3,50}$' },
+  role: { type: 'string', enum: ROLES },
+  department: { type: 'string' },
+  position: { type: 'string' },
+  workMode: { type: 'string', enum: WORK_MODES },
+  hireDate: date,
+};
+
+const SCHEMAS = {
+  // ===== Common =====
+  Error: {
+    type: 'object',
+    required: ['success', 'error'],
+    properties: {
+      success: { type: 'boolean', enum: [false] },
+      error: { type: 'string', description: 'Message to show the user' },
+      message: { type: 'string', description: 'Details' },
+      code: { type: 'string', description: 'Machine-readable code, e.g. FORBIDDEN, ACCOUNT_INACTIVE' },
+    },
+  },
+  SuccessResponse: {
+    type: 'object',
+    required: ['success'],
+    properties: {
+      success: { type: 'boolean' },
+      message: { type: 'string' },
+    },
+  },
+  HealthResponse: {
+    type: 'object',
+    properties: {
+      status: { type: 'string' },
+      message: { type: 'string' },
+      timestamp: dateTime,
+    },
+  },
+  ReadinessResponse: {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ['ok', 'degraded', 'unavailable'] },
+      checks: {
+        type: 'object',
+        description: 'One entry per downstream service',
+        additionalProperties: {
+          type: 'object',
+          properties: {
+            status: { type: 'string', enum: ['ok', 'error'] },
+            latencyMs: { type: 'integer' },
+            optional: { type: 'boolean', description: 'A failure only degrades readiness' },
+            error: { type: 'string' },
+          },
+        },
+      },
+      timestamp: dateTime,
+    },
+  },
+  File: { type: 'string', format: 'binary' },
+
+  // ===== Auth =====
+  LoginRequest: {
+    type: 'object',
+    required: ['usernameOrEmail', 'password'],
+    properties: {
+      usernameOrEmail: { type: 'string' },
+      password: { type: 'string', format: 'password' },
+    },
+  },
+  LoginResponse: {
+    type: 'object',
+    required: ['success', 'user'],
+    properties: {
+      success: { type: 'boolean' },
+      user: ref('User'),
+      twoFactorToken: { type: 'string', description: 'Only after a two-factor code; send as X-Two-Factor-Token to manage users' },
+      recoveryCodesRemaining: { type: 'integer', description: 'Only when the login used a recovery code' },
+    },
+  },
+  LoginDenied: {
+    allOf: [
+      ref('Error'),
+      {
+        type: 'object',
+        properties: {
+          code: { type: 'string', enum: ['ACCOUNT_LOCKED', 'LOGIN_RATE_LIMITED', 'RATE_LIMITED'] },
+          lockedUntil: dateTime,
+          retryAfter: { type: 'integer', description: 'Seconds until attempts are allowed again' },
+        },
+      },
+    ],
+  },
+  TwoFactorRequired: {
+    allOf: [
+      ref('Error'),
+      {
+        type: 'object',
+        properties: {
+          code: { type: 'string', enum: ['TWO_FACTOR_REQUIRED'], description: 'Other 401 answers are plain errors' },
+          challengeToken: { type: 'string', description: 'Send with the code to POST /api/auth/login/two-factor' },
+          expiresIn: { type: 'integer', description: 'Seconds the challenge token is valid' },
+        },
+      },
+    ],
+  },
+  TwoFactorLoginRequest: {
+    type: 'object',
+    required: ['challengeToken', 'code'],
+    properties: {
+      challengeToken: { type: 'string' },
+      code: { type: 'string', description: '6-digit authenticator code or a recovery code' },
+    },
+  },
+  RateLimited: {
+    allOf: [
+      ref('Error'),
+      {
+        type: 'object',
+        properties: {
+          code: { type: 'string', enum: ['RATE_LIMITED', 'REPORTS_BUSY'] },
+          retryAfter: { type: 'integer', description: 'Seconds until the request can be retried (also in Retry-After)' },
+        },
+      },
+    ],
+  },
+  CheckUsernameResponse: {
+    type: 'object',
+    required: ['success', 'exists'],
+    properties: {
+      success: { type: 'boolean' },
+      exists: { type: 'boolean' },
+    },
+  },
+  PasswordPolicy: {
+    type: 'object',
+    properties: {
+      minLength: { type: 'integer' },
+      maxLength: { type: 'integer' },
+      minCharacterClasses: { type: 'integer', description: 'Of lowercase, uppercase, digits and symbols' },
+      characterClasses: { type: 'array', items: { type: 'string' } },
+      historyCount: { type: 'integer', description: 'Recent passwords that may not be reused' },
+      maxAgeDays: { type: 'integer', description: 'Passwords older than this must be changed at login (0: never)' },
+    },
+  },
+  PasswordCheckRequest: {
+    type: 'object',
+    required: ['password'],
+    properties: {
+      password: { type: 'string', format: 'password' },
+      username: { type: 'string', description: 'Rejected when the password contains it' },
+      email: { type: 'string', format: 'email', description: 'Rejected when the password contains its local part' },
+    },
+  },
+  PasswordCheckResponse: {
+    type: 'object',
+    required: ['success', 'valid', 'errors'],
+    properties: {
+      success: { type: 'boolean' },
+      valid: { type: 'boolean' },
+      errors: { type: 'array', items: { type: 'string' } },
+      policy: ref('PasswordPolicy'),
+    },
+  },
+  ChangePasswordRequest: {
+    type: 'object',
+    required: ['newPassword'],
+    properties: {
+      currentPassword: { type: 'string', format: 'password', description: 'Required except after a password recovery link' },
+      newPassword: { type: 'string', format: 'password' },
+    },
+  },
+  PasswordRejected: {
+    allOf: [
+      ref('Error'),
+      {
+        type: 'object',
+        properties: {
+          code: { type: 'string', enum: ['PASSWORD_POLICY', 'PASSWORD_REUSED', 'INVALID_CURRENT_PASSWORD'] },
+          errors: { type: 'array', items: { type: 'string' }, description: 'Every rule the password breaks' },
+        },
+      },
+    ],
+  },
+  TwoFactorStatus: {
+    type: 'object',
+    properties: {
+      configured: { type: 'boolean', description: 'The server supports two-factor authentication' },
+      enabled: { type: 'boolean' },
+      required: { type: 'boolean', description: 'The caller\'s role must use it' },
+      enabledAt: nullable(dateTime),
+      recoveryCodesRemaining: { type: 'integer' },
+    },
+  },
+  TwoFactorStatusResponse: {
+    type: 'object',
+    required: ['success', 'data'],
+    properties: {
+      success: { type: 'boolean' },
+      data: ref('TwoFactorStatus'),
+    },
+  },
+  TwoFactorSetupResponse: {
+    type: 'object',
+    required: ['success', 'data'],
+    properties: {
+      success: { type: 'boolean' },
+      data: {
+        type: 'object',
+        properties: {
+          secret: { type: 'string', description: 'Base32 secret for manual entry' },
+          otpauthUri: { type: 'string', description: 'otpauth://totp/... URI (open it or show it as a QR code)' },
+          issuer: { type: 'string' },
+          accountName: { type: 'string' },
+        },
+      },
+    },
+  },
+  TwoFactorCodeRequest: {
+    type: 'object',
+    required: ['code'],
+    properties: {
+      code: { type: 'string', description: 'Authenticator code (or, except for enable, a recovery code)' },
+    },
+  },
+  RecoveryCodesResponse: {
+    type: 'object',
+    required: ['success', 'data'],
+    properties: {
+      success: { type: 'boolean' },
+      message: { type: 'string' },
+      data: {
+        type: 'object',
+        properties: {
+          recoveryCodes: { type: 'array', items: { type: 'string' }, description: 'Shown once; each works for one login' },
+          twoFactorToken: { type: 'string', description: 'Only when enabling; send as X-Two-Factor-Token to manage users' },
+        },
+      },
+    },
+  },
+
+  // ===== Users =====
+  User: {
+    type: 'object',
+    required: ['uid', 'username', 'role'],
+    properties: {
+      uid: { type: 'string', format: 'uuid' },
+      username: { type: 'string' },
+      email: { type: 'string', format: 'email' },
+      role: { type: 'string', enum: ROLES },
+      name: { type: 'string' },
+      department: { type: 'string' },
+      position: { type: 'string' },
+      workMode: { type: 'string', enum: WORK_MODES },
+      hireDate: date,
+      mustChangePassword: { type: 'boolean', description: 'The user must choose a new password before using the app' },
+      twoFactorSetupRequired: { type: 'boolean', description: 'The user\'s role requires two-factor authentication and it is not set up yet' },
+    },
+  },
+  UserResponse: {
+    type: 'object',
+    required: ['success', 'user'],
+    properties: {
+      success: { type: 'boolean' },
+      user: ref('User'),
+    },
+  },
+  CreateUserRequest: {
+    type: 'object',
+    required: ['username', 'password', 'email', 'role'],
+    properties: {
+      ...IMPORT_USER_PROPERTIES,
+      password: { type: 'string', format: 'password', description: 'Must meet the password policy' },
+      mustChangePassword: { type: 'boolean', description: 'Ask for a new password at first login (default false)' },
+    },
+  },
+  UserImportRequest: {
+    type: 'object',
+    description: 'JSON body; alternatively send CSV (text/csv) with mode and allowNewDepartments in the query',
+    properties: {
+      mode: { type: 'string', enum: ['dry-run', 'apply'], default: 'dry-run' },
+      allowNewDepartments: { type: 'boolean', default: false },
+      rows: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            ...IMPORT_USER_PROPERTIES,
+            password: { type: 'string', format: 'password', description: 'Generated when empty' },
+          },
+        },
+      },
+    },
+  },
+  UserImportResponse: {
+    type: 'object',
+    required: ['success'],
+    properties: {
+      success: { type: 'boolean' },
+      mode: { type: 'string', enum: ['dry-run', 'apply'] },
+      valid: { type: 'boolean' },
+      error: { type: 'string' },
+      summary: {
+        type: 'object',
+        properties: {
+          total: { type: 'integer' },
+          valid: { type: 'integer' },
+          invalid: { type: 'integer' },
+          created: { type: 'integer' },
+        },
+      },
+      ignoredColumns: { type: 'array', items: { type: 'string' } },
+      rows: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            row: { type: 'integer' },
+            line: nullable({ type: 'integer' }),
+            username: { type: 'string' },
+            email: { type: 'string' },
+            status: { type: 'string', enum: ['valid', 'invalid'] },
+            errors: { type: 'array', items: { type: 'string' } },
+          },
+        },
+      },
+      users: { type: 'array', items: ref('ExportedUser') },
+      credentials: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            username: { type: 'string' },
+            email: { type: 'string' },
+            temporaryPassword: { type: 'string' },
+          },
+        },
+      },
+    },
+  },
+  ExportedUser: {
+    type: 'object',
+    properties: {
+      ...IMPORT_USER_PROPERTIES,
+      isActive: { type: 'boolean', description: 'Only with includeInactive=true' },
+    },
+  },
+  UserExportResponse: {
+    type: 'object',
+    required: ['success', 'users'],
+    properties: {
+      success: { type: 'boolean' },
+      count: { type: 'integer' },
+      users: { type: 'array', items: ref('ExportedUser') },
+    },
+  },
+  UpdateRoleRequest: {
+    type: 'object',
+    required: ['role'],
+    properties: {
+      role: { type: 'string', enum: ROLES },
+    },
+  },
+  UpdateEmailRequest: {
+    type: 'object',
+    required: ['email'],
+    properties: {
+      email: { type: 'string', format: 'email' },
+    },
+  },
+  UpdateEmailResponse: {
+    type: 'object',
+    required: ['success'],
+    properties: {
+      success: { type: 'boolean' },
+      message: { type: 'string' },
+      data: {
+        type: 'object',
+        properties: {
+          username: { type: 'string' },
+          oldEmail: { type: 'string' },
+          newEmail: { type: 'string' },
+        },
+      },
+    },
+  },
+  UpdateUserRequest: {
+    type: 'object',
+    description: 'Profile fields to change; any other field is rejected (400). Changing role also requires users:update_role',
+    properties: {
+      name: { type: 'string' },
+      role: { type: 'string', enum: ROLES },
+      department: { type: 'string' },
+      position: { type: 'string' },
+      workMode: { type: 'string', enum: WORK_MODES },
+      hireDate: date,
+    },
+    additionalProperties: false,
+  },
+  UnlockResponse: {
+    type: 'object',
+    required: ['success'],
+    properties: {
+      success: { type: 'boolean' },
+      message: { type: 'string' },
+      data: {
+        type: 'object',
+        properties: {
+          username: { type: 'string' },
+          wasLocked: { type: 'boolean' },
+          lockedUntil: nullable(dateTime),
+        },
+      },
+    },
+  },
+  RequirePasswordChangeRequest: {
+    type: 'object',
+    properties: {
+      required: { type: 'boolean', description: 'false withdraws the requirement (default true)' },
+    },
+  },
+  RequirePasswordChangeResponse: {
+    type: 'object',
+    required: ['success'],
+    properties: {
+      success: { type: 'boolean' },
+      message: { type: 'string' },
+      data: {
+        type: 'object',
+        properties: {
+          username: { type: 'string' },
+          mustChangePassword: { type: 'boolean' },
+        },
+      },
+    },
+  },
+  TwoFactorResetResponse: {
+    type: 'object',
+    required: ['success'],
+    properties: {
+      success: { type: 'boolean' },
+      message: { type: 'string' },
+      data: {
+        type: 'object',
+        properties: {
+          username: { type: 'string' },
+          wasEnabled: { type: 'boolean' },
+        },
+      },
+    },
+  },
+  DeactivateRequest: {
+    type: 'object',
+    properties: {
+      successor: { type: 'string', description: 'Username of an active manager or super admin; required when there is work to hand over' },
+      effectiveDate: { ...date, description: 'Last day of employment (default today, not in the future)' },
+      reason: { type: 'string' },
+    },
+  },
+  DeactivateResponse: {
+    type: 'object',
+    required: ['success'],
+    properties: {
+      success: { type: 'boolean' },
+      message: { type: 'string' },
+      data: {
+        type: 'object',
+        properties: {
+          username: { type: 'string' },
+          deactivatedBy: { type: 'string' },
+          effectiveDate: date,
+          successor: nullable({ type: 'string' }),
+          ticketsReassigned: { type: 'integer' },
+          leaveRequestsReassigned: { type: 'integer' },
+          checkout: nullable({
+            type: 'object',
+            properties: {
+              id: { type: 'string' },
+              timestamp: dateTime,
+            },
+          }),
+        },
+      },
+    },
+  },
+  ReactivateRequest: {
+    type: 'object',
+    properties: {
+      reason: { type: 'string' },
+    },
+  },
+  ReactivateResponse: {
+    type: 'object',
+    required: ['success'],
+    properties: {
+      success: { type: 'boolean' },
+      message: { type: 'string' },
+      data: {
+        type: 'object',
+        properties: {
+          username: { type: 'string' },
+          reactivatedBy: { type: 'string' },
+          effectiveDate: date,
+        },
+      },
+    },
+  },
+
+  // ===== Audit =====
+  AuditEntry: {
+    type: 'object',
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      createdAt: dateTime,
+      actor: {
+        type: 'object',
+        properties: {
+          uid: nullable({ type: 'string' }),
+          username: nullable({ type: 'string' }),
+          role: nullable({ type: 'string' }),
+        },
+      },
+      action: { type: 'string', description: '<area>.<verb>, e.g. user.role_change' },
+      target: {
+        type: 'object',
+        properties: {
+          type: { type: 'string' },
+          id: nullable({ type: 'string' }),
+          label: nullable({ type: 'string' }),
+        },
+      },
+      changes: {
+        type: 'object',
+        description: 'Changed fields: { field: { before, after } }',
+        additionalProperties: {
+          type: 'object',
+          properties: {
+            before: {},
+            after: {},
+          },
+        },
+      },
+      metadata: { type: 'object' },
+      source: { type: 'string', enum: ['auth-service', 'reporting-service', 'mobile'] },
+      ipAddress: nullable({ type: 'string' }),
+      userAgent: nullable({ type: 'string' }),
+      device: nullable({ type: 'string' }),
+    },
+  },
+  AuditLogResponse: {
+    type: 'object',
+    required: ['success', 'entries'],
+    properties: {
+      success: { type: 'boolean' },
+      entries: { type: 'array', items: ref('AuditEntry') },
+      pagination: PAGINATION,
+    },
+  },
+
+  // ===== Reports =====
+  GenerateReportRequest: {
+    type: 'object',
+    required: ['range'],
+    properties: {
+      range: { type: 'string', enum: REPORT_RANGES },
+      from: { ...date, description: 'Required for custom' },
+      to: { ...date, description: 'Required for custom' },
+      includeEmployees: { type: 'boolean', default: true },
+      format: { type: 'string', enum: REPORT_FORMATS, default: 'pdf' },
+      departments: { type: 'array', items: { type: 'string' }, description: 'Super admins only' },
+    },
+  },
+  GenerateReportResponse: {
+    type: 'object',
+    required: ['success', 'reportId'],
+    properties: {
+      success: { type: 'boolean' },
+      reportId: { type: 'string', format: 'uuid' },
+      message: { type: 'string' },
+      timestamp: dateTime,
+    },
+  },
+  Report: {
+    type: 'object',
+    properties: {
+      reportId: { type: 'string', format: 'uuid' },
+      range: { type: 'string', enum: REPORT_RANGES },
+      period: {
+        type: 'object',
+        properties: {
+          from: nullable(date),
+          to: nullable(date),
+          label: { type: 'string' },
+        },
+      },
+      format: { type: 'string', enum: REPORT_FORMATS },
+      includeEmployees: { type: 'boolean' },
+      departments: nullable({ type: 'array', items: { type: 'string' } }),
+      status: { type: 'string' },
+      error: nullable({ type: 'string' }),
+      filename: nullable({ type: 'string' }),
+      fileSize: nullable({ type: 'integer' }),
+      summary: { type: 'object', additionalProperties: true },
+      source: { type: 'string' },
+      scheduleId: nullable({ type: 'string', format: 'uuid' }),
+      createdBy: { type: 'string' },
+      createdAt: dateTime,
+      completedAt: nullable(dateTime),
+      expiresAt: nullable(dateTime),
+    },
+  },
+  ReportListResponse: {
+    type: 'object',
+    required: ['success', 'reports'],
+    properties: {
+      success: { type: 'boolean' },
+      reports: { type: 'array', items: ref('Report') },
+      pagination: PAGINATION,
+    },
+  },
+  Delivery: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      reportId: { type: 'string', format: 'uuid' },
+      scheduleRunId: nullable({ type: 'string' }),
+      recipient: { type: 'string' },
+      subject: { type: 'string' },
+      transport: { type: 'string' },
+      status: { type: 'string' },
+      attempts: { type: 'integer' },
+      messageId: nullable({ type: 'string' }),
+      error: nullable({ type: 'string' }),
+      createdAt: dateTime,
+      deliveredAt: nullable(dateTime),
+    },
+  },
+  DeliveryListResponse: {
+    type: 'object',
+    required: ['success', 'deliveries'],
+    properties: {
+      success: { type: 'boolean' },
+      deliveries: { type: 'array', items: ref('Delivery') },
+    },
+  },
+
+  // ===== Report schedules =====
+  ScheduleRecipients: {
+    type: 'object',
+    properties: {
+      users: { type: 'array', items: { type: 'string' }, description: 'Usernames' },
+      roles: { type: 'array', items: { type: 'string', enum: ROLES } },
+      departmentManagers: { type: 'array', items: { type: 'string' }, description: 'Departments whose managers receive the report' },
+    },
+  },
+  ScheduleRequest: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      frequency: { type: 'string', enum: ['daily', 'weekly', 'monthly', 'cron'] },
+      runTime: { type: 'string', pattern: '^\\d{2}:\\d{2}$', description: 'HH:MM (daily, weekly, monthly)' },
+      dayOfWeek: { type: 'integer', minimum: 0, maximum: 6, description: 'weekly' },
+      dayOfMonth: { type: 'integer', minimum: 1, maximum: 28, description: 'monthly' },
+      cronExpression: { type: 'string', description: 'cron' },
+      timezone: { type: 'string', description: 'IANA timezone (default UTC)' },
+      rangeType: { type: 'string', enum: ['weekly', 'monthly', 'yearly', 'all'] },
+      format: { type: 'string', enum: REPORT_FORMATS },
+      includeEmployees: { type: 'boolean' },
+      recipients: ref('ScheduleRecipients'),
+      isActive: { type: 'boolean' },
+    },
+  },
+  Schedule: {
+    type: 'object',
+    properties: {
+      scheduleId: { type: 'string', format: 'uuid' },
+      name: { type: 'string' },
+      frequency: { type: 'string', enum: ['daily', 'weekly', 'monthly', 'cron'] },
+      runTime: nullable({ type: 'string' }),
+      dayOfWeek: nullable({ type: 'integer' }),
+      dayOfMonth: nullable({ type: 'integer' }),
+      cronExpression: { type: 'string' },
+      timezone: { type: 'string' },
+      rangeType: { type: 'string' },
+      format: { type: 'string', enum: REPORT_FORMATS },
+      includeEmployees: { type: 'boolean' },
+      recipients: ref('ScheduleRecipients'),
+      isActive: { type: 'boolean' },
+      createdBy: { type: 'string' },
+      lastRunAt: nullable(dateTime),
+      lastRunStatus: nullable({ type: 'string' }),
+      createdAt: dateTime,
+      updatedAt: dateTime,
+    },
+  },
+  ScheduleResponse: {
+    type: 'object',
+    required: ['success', 'schedule'],
+    properties: {
+      success: { type: 'boolean' },
+      schedule: ref('Schedule'),
+    },
+  },
+  ScheduleListResponse: {
+    type: 'object',
+    required: ['success', 'schedules'],
+    properties: {
+      success: { type: 'boolean' },
+      schedules: { type: 'array', items: ref('Schedule') },
+    },
+  },
+  ScheduleRun: {
+    type: 'object',
+    properties: {
+      runId: { type: 'string', format: 'uuid' },
+      scheduleId: { type: 'string', format: 'uuid' },
+      trigger: { type: 'string' },
+      triggeredBy: nullable({ type: 'string' }),
+      scheduledFor: nullable(dateTime),
+      status: { type: 'string' },
+      reportId: nullable({ type: 'string', format: 'uuid' }),
+      recipients: { type: 'array', items: { type: 'string' } },
+      error: nullable({ type: 'string' }),
+      startedAt: nullable(dateTime),
+      finishedAt: nullable(dateTime),
+    },
+  },
+  ScheduleRunResponse: {
+    type: 'object',
+    required: ['success', 'run'],
+    properties: {
+      success: { type: 'boolean' },
+      run: ref('ScheduleRun'),
+      message: { type: 'string' },
+    },
+  },
+  ScheduleRunListResponse: {
+    type: 'object',
+    required: ['success', 'runs'],
+    properties: {
+      success: { type: 'boolean' },
+      runs: { type: 'array', items: ref('ScheduleRun') },
+      pagination: PAGINATION,
+    },
+  },
+};
+
+// Responses the gateway itself can return for any route
+const GATEWAY_RESPONSES = {
+  503: 'Service unavailable',
+  504: 'Service timed out',
+};
+
+/**
+ * Convert an Express path to an OpenAPI path
+ * @param {string} path - e.g. /api/auth/users/:username
+ * @returns {string} e.g. /api/auth/users/{username}
+ */
+function toOpenAPIPath(path) {
+  return path.replace(/:(\w+)/g, '{$1}');
+}
+
+/**
+ * Build the content object for a schema reference
+ * @param {string|Object} body - Schema name, or { contentType: schema name }
+ * @returns {Object} OpenAPI content object
+ */
+function toContent(body) {
+  const byType = typeof body === 'string' ? { 'application/json': body } : body;
+  return Object.fromEntries(Object.entries(byType).map(([type, name]) => [type, { schema: ref(name) }]));
+}
+
+/**
+ * Build the OpenAPI operation for a route
+ * @param {Object} route - ROUTES entry
+ * @returns {Object} OpenAPI operation
+ */
+function toOperation(route) {
+  const pathParams = [...route.path.matchAll(/:(\w+)/g)].map(([, name]) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: { type: 'string' },
+  }));
+
+  const queryParams = (route.query || []).map(param => ({
+    name: param.name,
+    in: 'query',
+    required: false,
+    ...(param.description ? { description: param.description } : {}),
+    schema: {
+      type: param.type || 'string',
+      ...(param.enum ? { enum: param.enum } : {}),
+      ...(param.format ? { format: param.format } : {}),
+    },
+  }));
+
+  const responses = {};
+  Object.entries(route.responses || {}).forEach(([status, body]) => {
+    responses[status] = {
+      description: Number(status) < 400 ? 'Success' : 'Error',
+      content: toContent(body),
+    };
+  });
+  if (route.authenticated) {
+    responses[401] = { description: 'Missing, invalid or expired access token', content: toContent('Error') };
+  }
+  // Gateway rate limits (config/rateLimits.js); routes that document their own 429 keep it
+  if (!responses[429]) {
+    responses[429] = {
+      description: 'Rate limit exceeded',
+      headers: { 'Retry-After': { description: 'Seconds to wait', schema: { type: 'integer' } } },
+      content: toContent('RateLimited'),
+    };
+  }
+  Object.entries(GATEWAY_RESPONSES).forEach(([status, description]) => {
+    responses[status] = { description, content: toContent('Error') };
+  });
+
+  const operation = {
+    tags: [route.tag],
+    summary: route.summary,
+    ...(route.description ? { description: route.description } : {}),
+    operationId: route.method + route.path
+      .replace(/^\/api/, '')
+      .split(/[/:-]+/)
+      .filter(Boolean)
+      .map(part => part[0].toUpperCase() + part.slice(1))
+      .join(''),
+    parameters: [...pathParams, ...queryParams],
+    responses,
+    security: route.authenticated ? [{ bearerAuth: [] }] : [],
+  };
+
+  if (route.requestBody) {
+    operation.requestBody = {
+      required: !route.optionalBody,
+      content: {
+        ...toContent(route.requestBody),
+        ...(route.csv ? { 'text/csv': { schema: { type: 'string' } } } : {}),
+      },
+    };
+  }
+
+  return operation;
+}
+
+/**
+ * Build the OpenAPI 3 document for a route table
+ * @param {Array<Object>} routes - ROUTES entries
+ * @returns {Object} OpenAPI document
+ */
+function buildOpenAPIDocument(routes = ROUTES) {
+  const paths = {};
+  routes.forEach(route => {
+    const path = toOpenAPIPath(route.path);
+    paths[path] = paths[path] || {};
+    paths[path][route.method] = toOperation(route);
+  });
+
+  paths['/health'] = {
+    get: {
+      tags: ['Gateway'],
+      summary: 'API Gateway health',
+      operationId: 'getHealth',
+      responses: { 200: { description: 'Success', content: toContent('HealthResponse') } },
+      security: [],
+    },
+  };
+  paths['/health/live'] = {
+    get: {
+      tags: ['Gateway'],
+      summary: 'Liveness: the gateway process is serving requests',
+      operationId: 'getHealthLive',
+      responses: { 200: { description: 'Success', content: toContent('HealthResponse') } },
+      security: [],
+    },
+  };
+  paths['/health/ready'] = {
+    get: {
+      tags: ['Gateway'],
+      summary: 'Readiness: probes the auth and reporting services',
+      description: 'degraded (200) when only the reporting service is down; unavailable (503) when the auth service is.',
+      operationId: 'getHealthReady',
+      responses: {
+        200: { description: 'Ready or degraded', content: toContent('ReadinessResponse') },
+        503: { description: 'Not ready', content: toContent('ReadinessResponse') },
+      },
+      security: [],
+    },
+  };
+  paths['/metrics'] = {
+    get: {
+      tags: ['Gateway'],
+      summary: 'Prometheus metrics',
+      description: 'Requires `Authorization: Bearer <METRICS_TOKEN>` when METRICS_TOKEN is set.',
+      operationId: 'getMetrics',
+      responses: {
+        200: { description: 'Prometheus text format', content: { 'text/plain': { schema: { type: 'string' } } } },
+        401: { description: 'Missing or wrong metrics token', content: toContent('Error') },
+      },
+      security: [],
+    },
+  };
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Attendance API Gateway',
+      version,
+      description: 'Every endpoint the mobile app can call. Authenticated endpoints take the Supabase access token as a bearer token.',
+    },
+    tags: [
+      { name: 'Auth' },
+      { name: 'Users' },
+      { name: 'Audit', description: 'Super admins and HR admins' },
+      { name: 'Reports' },
+      { name: 'Report Schedules', description: 'Super admins only' },
+      { name: 'Gateway' },
+    ],
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+      },
+      schemas: SCHEMAS,
+    },
+  };
+}
+
+module.exports = {
+  buildOpenAPIDocument,
+  toOpenAPIPath,
+};
@@ -1,31 +1,55 @@
 const express = require('express');
 const cors = require('cors');
+const axios = require('axios');
 
-const authRoutes = require('./routes/auth');
-const reportRoutes = require('./routes/reports');
+const { createGatewayRouter } = require('./routes');
+const { buildOpenAPIDocument } = require('./docs/openapi');
+const { SERVICES } = require('./config/routes');
+const { logger, requestLogger } = require('@attendance/shared/logger');
+const { httpMetrics, metricsHandler } = require('@attendance/shared/metrics');
+const { createHealthRouter } = require('@attendance/shared/health');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Behind a load balancer, set TRUST_PROXY so req.ip (forwarded to the auth service for login throttling)
+// is the client's IP: comma-separated addresses/subnets, a hop count, or true/false
+if (process.env.TRUST_PROXY) {
+  const TRUST_PROXY = process.env.TRUST_PROXY;
+  app.set('trust proxy', ['true', 'false'].includes(TRUST_PROXY)
+    ? TRUST_PROXY === 'true'
+    : /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY, 10) : TRUST_PROXY);
+}
+
+// CORS_ORIGINS: comma-separated origins allowed to call the gateway from a browser (e.g. the admin web app).
+// Unset allows any origin. Requests without an Origin header (the mobile app, server-to-server) are unaffected.
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim().replace(/\/+$/, '')).filter(Boolean);
+const corsOptions = {
+  origin: CORS_ORIGINS.length > 0 ? CORS_ORIGINS : true,
+  // Headers browser clients need to read (file names, rate limit waits, request ids for support)
+  exposedHeaders: ['Content-Disposition', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'x-request-id'],
+};
+if (CORS_ORIGINS.length > 0) {
+  logger.info(`CORS allowed origins: ${CORS_ORIGINS.join(', ')}`, { corsOrigins: CORS_ORIGINS });
+} else {
+  logger.warn('CORS_ORIGINS not set, allowing requests from any origin');
+}
+
 // Middleware
-app.use(cors());
+app.use(requestLogger()); // Request id + one structured log line per request (@attendance/shared/logger)
+app.use(httpMetrics());
+app.use(cors(corsOptions));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Request logging middleware
-app.use((req, res, next) => {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] ${req.method} ${req.path}`, {
-    ip: req.ip,
-    userAgent: req.get('user-agent'),
-    body: req.method !== 'GET' ? req.body : undefined
-  });
-  next();
-});
+// Routes (config/routes.js)
+app.use(createGatewayRouter());
 
-// Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/reports', reportRoutes);
+// OpenAPI 3 document for every gateway route
+const openAPIDocument = buildOpenAPIDocument();
+app.get('/api/docs', (req, res) => {
+  res.status(200).json(openAPIDocument);
+});
 
 // Health check route
 app.get('/health', (req, res) => {
@@ -36,6 +60,30 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Readiness probes each service's own readiness endpoint (which checks its Supabase connection, ...)
+// Allow longer than the services' own check timeout so their result, not ours, is reported
+const DOWNSTREAM_HEALTH_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS || '3000', 10) + 2000;
+const healthChecks = Object.fromEntries(Object.entries(SERVICES).map(([key, service]) => [key, {
+  optional: !!service.optional,
+  timeoutMs: DOWNSTREAM_HEALTH_TIMEOUT_MS,
+  check: async () => {
+    const response = await axios.get(`${service.url}/health/ready`, {
+      timeout: DOWNSTREAM_HEALTH_TIMEOUT_MS,
+      validateStatus: () => true,
+    });
+    const downstream = response.data || {};
+    if (response.status !== 200) {
+      const failing = Object.keys(downstream.checks || {}).filter(name => downstream.checks[name].status !== 'ok');
+      throw new Error(`${service.name} not ready (HTTP ${response.status}${failing.length > 0 ? `, failing: ${failing.join(', ')}` : ''})`);
+    }
+    return { upstreamStatus: downstream.status };
+  },
+}]));
+app.use('/health', createHealthRouter(healthChecks));
+
+// Prometheus metrics (METRICS_TOKEN protects it when set)
+app.get('/metrics', metricsHandler());
+
 // Root route
 app.get('/', (req, res) => {
   res.json({
@@ -44,7 +92,10 @@ app.get('/', (req, res) => {
     endpoints: {
       auth: '/api/auth',
       reports: '/api/reports',
+      docs: '/api/docs',
       health: '/health',
+      ready: '/health/ready',
+      metrics: '/metrics',
     },
   });
 });
@@ -52,16 +103,12 @@ app.get('/', (req, res) => {
 // Start server - listen on all interfaces (0.0.0.0) to allow connections from devices
 const HOST = process.env.HOST || '0.0.0.0';
 app.listen(PORT, HOST, () => {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] ========================================`);
-  console.log(`[${timestamp}] API Gateway server starting...`);
-  console.log(`[${timestamp}] Server running on http://${HOST}:${PORT}`);
-  console.log(`[${timestamp}] Health check: http://localhost:${PORT}/health`);
-  console.log(`[${timestamp}] For physical devices: http://<your-computer-ip>:${PORT}`);
-  console.log(`[${timestamp}] Auth Service URL: ${process.env.AUTH_SERVICE_URL || 'http://localhost:3001'}`);
-  console.log(`[${timestamp}] Reporting Service URL: ${process.env.REPORTING_SERVICE_URL || 'http://localhost:3002'}`);
-  console.log(`[${timestamp}] ========================================`);
-  console.log(`[${timestamp}] API Gateway ready to receive requests`);
+  logger.info(`API Gateway listening on http://${HOST}:${PORT}`, {
+    port: Number(PORT),
+    host: HOST,
+    authServiceUrl: process.env.AUTH_SERVICE_URL || 'http://localhost:3001',
+    reportingServiceUrl: process.env.REPORTING_SERVICE_URL || 'http://localhost:3002',
+  });
 });
 
 module.exports = app;
@@ -0,0 +1,223 @@
+/**
+ * Authentication Middleware
+ * Verifies Supabase access tokens and forwards a signed identity to downstream services
+ */
+const fs = require('fs');
+const path = require('path');
+const { jwtVerify, createRemoteJWKSet, createLocalJWKSet, SignJWT } = require('jose');
+const { logger } = require('@attendance/shared/logger');
+
+const log = logger.child({ component: 'Auth' });
+
+// Supabase token verification settings
+const SUPABASE_URL = (process.env.SUPABASE_URL || '').replace(/\/+$/, '');
+const SUPABASE_JWT_SECRET = process.env.SUPABASE_JWT_SECRET;
+const SUPABASE_JWKS_PATH = process.env.SUPABASE_JWKS_PATH;
+const SUPABASE_JWT_AUDIENCE = process.env.SUPABASE_JWT_AUDIENCE || 'authenticated';
+
+// Shared secret used to sign the identity forwarded to auth-service and reporting-service
+const GATEWAY_IDENTITY_SECRET = process.env.GATEWAY_IDENTITY_SECRET;
+
+// Header carrying the signed identity to downstream services
+const IDENTITY_HEADER = 'x-gateway-identity';
+
+// Client header with the auth-service's proof of a second factor; verified by auth-service, not here
+const TWO_FACTOR_HEADER = 'x-two-factor-token';
+const MAX_TWO_FACTOR_TOKEN_LENGTH = 2048;
+
+// Identity tokens only need to survive a single hop, so keep them short-lived
+const IDENTITY_TOKEN_TTL = '60s';
+const IDENTITY_ISSUER = 'api-gateway';
+const IDENTITY_AUDIENCE = 'attendance-services';
+
+/**
+ * Load the JWKS used to verify asymmetric (RS256/ES256) Supabase tokens
+ * A local JWKS file takes precedence so tokens can be verified without a live Supabase project
+ * @returns {Function|null} jose key resolver or null if no JWKS source is configured
+ */
+function loadJWKS() {
+  if (SUPABASE_JWKS_PATH) {
+    const jwksPath = path.resolve(SUPABASE_JWKS_PATH);
+    const jwks = JSON.parse(fs.readFileSync(jwksPath, 'utf8'));
+    log.info(`Using local JWKS from ${jwksPath}`);
+    return createLocalJWKSet(jwks);
+  }
+
+  if (SUPABASE_URL) {
+    return createRemoteJWKSet(new URL(`${SUPABASE_URL}/auth/v1/.well-known/jwks.json`));
+  }
+
+  return null;
+}
+
+const jwks = loadJWKS();
+const jwtSecret = SUPABASE_JWT_SECRET ? new TextEncoder().encode(SUPABASE_JWT_SECRET) : null;
+const identitySecret = GATEWAY_IDENTITY_SECRET ? new TextEncoder().encode(GATEWAY_IDENTITY_SECRET) : null;
+
+if (!jwks && !jwtSecret) {
+  log.warn('Neither SUPABASE_URL, SUPABASE_JWKS_PATH nor SUPABASE_JWT_SECRET is set. All authenticated routes will reject requests until one is configured.');
+}
+if (!identitySecret) {
+  log.warn('GATEWAY_IDENTITY_SECRET not set. Authenticated requests cannot be forwarded.');
+}
+
+/**
+ * Resolve the verification key for a token based on its signing algorithm
+ * Legacy Supabase projects sign with HS256 (JWT secret), newer ones with asymmetric keys (JWKS)
+ * @param {Object} protectedHeader - Decoded JWT header
+ * @param {Object} token - Flattened token (passed through to the JWKS resolver)
+ * @returns {Promise<KeyLike|Uint8Array>} Verification key
+ */
+async function resolveVerificationKey(protectedHeader, token) {
+  if (protectedHeader.alg === 'HS256') {
+    if (!jwtSecret) {
+      throw new Error('HS256 tokens are not accepted (SUPABASE_JWT_SECRET not set)');
+    }
+    return jwtSecret;
+  }
+
+  if (!jwks) {
+    throw new Error('Asymmetric tokens are not accepted (no JWKS configured)');
+  }
+  return jwks(protectedHeader, token);
+}
+
+/**
+ * Verify a Supabase access token (signature, expiry and audience)
+ * @param {string} token - Raw JWT from the Authorization header
+ * @returns {Promise<Object>} Verified token payload
+ */
+async function verifyAccessToken(token) {
+  const { payload } = await jwtVerify(token, resolveVerificationKey, {
+    audience: SUPABASE_JWT_AUDIENCE,
+    ...(SUPABASE_URL ? { issuer: `${SUPABASE_URL}/auth/v1` } : {}),
+  });
+
+  if (!payload.sub) {
+    throw new Error('Token has no subject');
+  }
+
+  return payload;
+}
+
+/**
+ * Sign the identity that downstream services trust instead of client-supplied headers
+ * @param {Object} identity - { uid, email, authMethods, twoFactorToken }
+ * @returns {Promise<string>} Signed identity token
+ */
+async function signIdentity(identity) {
+  if (!identitySecret) {
+    throw new Error('GATEWAY_IDENTITY_SECRET not configured');
+  }
+
+  return new SignJWT({
+    email: identity.email || null,
+    amr: identity.authMethods || [],
+    ...(identity.twoFactorToken ? { tfa: identity.twoFactorToken } : {}),
+  })
+    .setProtectedHeader({ alg: 'HS256' })
+    .setSubject(identity.uid)
+    .setIssuer(IDENTITY_ISSUER)
+    .setAudience(IDENTITY_AUDIENCE)
+    .setIssuedAt()
+    .setExpirationTime(IDENTITY_TOKEN_TTL)
+    .sign(identitySecret);
+}
+
+/**
+ * Extract the bearer token from the Authorization header
+ * @param {Object} req - Express request
+ * @returns {string|null} Token or null if missing
+ */
+function getBearerToken(req) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+  if (scheme?.toLowerCase() !== 'bearer' || !token) {
+    return null;
+  }
+  return token.trim();
+}
+
+/**
+ * Read the two-factor session token the client sent, if any
+ * @param {Object} req - Express request
+ * @returns {string|null} Token or null if missing or oversized
+ */
+function getTwoFactorToken(req) {
+  const token = req.headers[TWO_FACTOR_HEADER];
+  if (typeof token !== 'string' || !token || token.length > MAX_TWO_FACTOR_TOKEN_LENGTH) {
+    return null;
+  }
+  return token.trim();
+}
+
+/**
+ * Middleware that requires a valid Supabase access token
+ * Sets req.identity and req.identityToken (signed identity for downstream services)
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+async function authenticate(req, res, next) {
+  const token = getBearerToken(req);
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized',
+      message: 'Missing bearer token',
+    });
+  }
+
+  let payload;
+  try {
+    payload = await verifyAccessToken(token);
+  } catch (error) {
+    log.warn(`Token verification failed for ${req.method} ${req.path}`, { error: { code: error.code, message: error.message } });
+    return res.status(401).json({
+      success: false,
+      error: 'Unauthorized',
+      message: error.code === 'ERR_JWT_EXPIRED' ? 'Session expired. Please log in again.' : 'Invalid access token',
+    });
+  }
+
+  try {
+    req.identity = {
+      uid: payload.sub,
+      email: payload.email || null,
+      // How the session was started (password, recovery, otp, ...); a recovery session may reset the password
+      authMethods: Array.isArray(payload.amr) ? payload.amr.map(entry => entry?.method || entry).filter(Boolean) : [],
+      // Passed through for auth-service, which requires it from users with two-factor authentication
+      twoFactorToken: getTwoFactorToken(req),
+    };
+    req.identityToken = await signIdentity(req.identity);
+    next();
+  } catch (error) {
+    log.error('Failed to sign gateway identity', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Gateway authentication is not configured',
+    });
+  }
+}
+
+/**
+ * Build the headers that carry the signed identity to a downstream service
+ * @param {Object} req - Express request (after authenticate)
+ * @returns {Object} Headers object
+ */
+function identityHeaders(req) {
+  return req.identityToken ? { [IDENTITY_HEADER]: req.identityToken } : {};
+}
+
+module.exports = {
+  authenticate,
+  verifyAccessToken,
+  signIdentity,
+  identityHeaders,
+  IDENTITY_HEADER,
+  TWO_FACTOR_HEADER,
+  IDENTITY_ISSUER,
+  IDENTITY_AUDIENCE,
+};
@@ -0,0 +1,162 @@
+/**
+ * Proxy Middleware
+ * Forwards a gateway route (config/routes.js) to its downstream service
+ *
+ * Every route is forwarded the same way:
+ *   - Path parameters and the original query string are passed through unchanged
+ *   - JSON (or CSV, for routes that accept it) bodies are re-sent with their content type
+ *   - The client IP goes in X-Forwarded-For (login throttling), the signed identity in x-gateway-identity
+ *     and the request id in x-request-id, so the services' logs can be matched to the gateway's
+ *   - Responses are streamed back with their status and content headers, so JSON and file
+ *     downloads are relayed byte for byte
+ *   - No response: 504 on timeout, 503 when the service is unreachable
+ */
+const axios = require('axios');
+const { identityHeaders } = require('./authenticate');
+const { logger, REQUEST_ID_HEADER } = require('@attendance/shared/logger');
+
+const log = logger.child({ component: 'Proxy' });
+
+// Response headers relayed to the client
+const RELAYED_HEADERS = ['content-type', 'content-length', 'content-encoding', 'content-disposition', 'retry-after'];
+
+const TIMEOUT_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
+/**
+ * Build the downstream URL for a request
+ * @param {Object} service - SERVICES entry
+ * @param {string} path - Route path with :params
+ * @param {Object} req - Express request
+ * @returns {string} URL with encoded path parameters and the original query string
+ */
+function buildUpstreamUrl(service, path, req) {
+  const upstreamPath = path.replace(/:(\w+)/g, (match, name) => encodeURIComponent(req.params[name]));
+  const queryIndex = req.originalUrl.indexOf('?');
+  const query = queryIndex === -1 ? '' : req.originalUrl.slice(queryIndex);
+  return `${service.url}${upstreamPath}${query}`;
+}
+
+/**
+ * Build the request body and content type to forward
+ * @param {Object} req - Express request (body already parsed)
+ * @returns {{data: *, contentType: string|null}} Body to send
+ */
+function buildUpstreamBody(req) {
+  if (typeof req.body === 'string') {
+    return { data: req.body, contentType: 'text/csv' };
+  }
+  if (['POST', 'PUT', 'PATCH'].includes(req.method)) {
+    return { data: req.body ?? {}, contentType: 'application/json' };
+  }
+  if (req.body !== undefined && req.method === 'DELETE') {
+    return { data: req.body, contentType: 'application/json' };
+  }
+  return { data: undefined, contentType: null };
+}
+
+/**
+ * Send the gateway's own error when the service gave no response
+ * @param {Object} res - Express response
+ * @param {Object} service - SERVICES entry
+ * @param {Error} error - axios error
+ */
+function sendUpstreamError(res, service, error) {
+  if (TIMEOUT_CODES.includes(error.code)) {
+    return res.status(504).json({
+      success: false,
+      error: `${service.name} timed out`,
+      message: `${service.name} did not respond in time. Please try again.`,
+    });
+  }
+  if (error.request) {
+    return res.status(503).json({
+      success: false,
+      error: `${service.name} unavailable`,
+      message: service.unavailableMessage,
+    });
+  }
+  return res.status(500).json({
+    success: false,
+    error: 'Internal server error',
+    message: error.message,
+  });
+}
+
+/**
+ * Create the middleware that forwards a route to its service
+ * @param {Object} route - ROUTES entry
+ * @param {Object} service - SERVICES entry for route.service
+ * @returns {Function} Express middleware
+ */
+function createProxy(route, service) {
+  const label = `${route.method.toUpperCase()} ${route.path}`;
+
+  return async (req, res) => {
+    const startedAt = Date.now();
+    const url = buildUpstreamUrl(service, route.path, req);
+    const { data, contentType } = buildUpstreamBody(req);
+
+    let response;
+    try {
+      response = await axios({
+        method: route.method,
+        url,
+        data,
+        headers: {
+          ...(contentType ? { 'Content-Type': contentType } : {}),
+          // Login throttling is per client IP; downstream services trust this header from the gateway only
+          'X-Forwarded-For': req.ip,
+          [REQUEST_ID_HEADER]: req.id,
+          ...(route.authenticated ? identityHeaders(req) : {}),
+        },
+        timeout: route.timeout,
+        responseType: 'stream',
+        decompress: false,      // Relay the body as-is, so Content-Length/Content-Encoding stay valid
+        validateStatus: () => true, // Service errors are relayed like successes
+        maxRedirects: 0,
+      });
+    } catch (error) {
+      log.error(`${label} -> ${service.name} failed`, {
+        route: route.path,
+        upstream: route.service,
+        latencyMs: Date.now() - startedAt,
+        error: { code: error.code, message: error.message },
+      });
+      return sendUpstreamError(res, service, error);
+    }
+
+    log.info(`${label} -> ${service.name} responded with status ${response.status}`, {
+      route: route.path,
+      upstream: route.service,
+      status: response.status,
+      latencyMs: Date.now() - startedAt,
+    });
+
+    res.status(response.status);
+    // Access-Control-Expose-Headers for these is set by the CORS middleware (index.js)
+    RELAYED_HEADERS.forEach(header => {
+      if (response.headers[header] !== undefined) {
+        res.setHeader(header, response.headers[header]);
+      }
+    });
+
+    response.data.on('error', (error) => {
+      log.error(`${label} -> ${service.name} stream error`, { route: route.path, upstream: route.service, error });
+      if (!res.headersSent) {
+        sendUpstreamError(res, service, error);
+      } else {
+        res.destroy(error);
+      }
+    });
+    // Stop reading from the service if the client goes away mid-download
+    res.on('close', () => {
+      if (!res.writableFinished) response.data.destroy();
+    });
+
+    response.data.pipe(res);
+  };
+}
+
+module.exports = {
+  createProxy,
+};
@@ -0,0 +1,112 @@
+/**
+ * Rate Limit Middleware
+ * Enforces the policies in config/rateLimits.js per client IP or per signed-in user
+ *
+ * Over the limit: 429 with a Retry-After header (seconds) and
+ *   { success: false, error, message, code: 'RATE_LIMITED', retryAfter }
+ * Allowed responses carry RateLimit-Limit / RateLimit-Remaining / RateLimit-Reset for the strictest
+ * limit applied. If the store fails the request is let through rather than taking the gateway down.
+ */
+const { RATE_LIMITS } = require('../config/rateLimits');
+const { getRateLimitStore } = require('../utils/rateLimitStore');
+const { counter } = require('@attendance/shared/metrics');
+const { logger } = require('@attendance/shared/logger');
+
+const log = logger.child({ component: 'RateLimit' });
+
+const rejections = counter('rate_limit_rejections_total', 'Requests rejected by a gateway rate limit', ['policy', 'scope']);
+
+/**
+ * Describe a wait for the error message
+ * @param {number} seconds - Seconds to wait
+ * @returns {string} e.g. "30 seconds", "5 minutes"
+ */
+function formatWait(seconds) {
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+/**
+ * Set the RateLimit-* headers unless a stricter limit already did
+ * @param {Object} res - Express response
+ * @param {Object} limit - { max, windowMs }
+ * @param {number} remaining - Requests left in the window
+ * @param {number} resetSeconds - Seconds until the window resets
+ */
+function setRateLimitHeaders(res, limit, remaining, resetSeconds) {
+  const current = res.getHeader('RateLimit-Remaining');
+  if (current !== undefined && Number(current) <= remaining) return;
+  res.setHeader('RateLimit-Limit', limit.max);
+  res.setHeader('RateLimit-Remaining', remaining);
+  res.setHeader('RateLimit-Reset', resetSeconds);
+}
+
+/**
+ * Create the middleware for one policy scope
+ * @param {string} policy - Policy name in config/rateLimits.js
+ * @param {string} scope - ip | user (user limits must run after authenticate)
+ * @returns {Function|null} Express middleware, or null when the limit is disabled
+ */
+function createRateLimit(policy, scope) {
+  if (!RATE_LIMITS[policy]) {
+    throw new Error(`Unknown rate limit policy "${policy}"`);
+  }
+  const limit = RATE_LIMITS[policy][scope];
+  if (!limit) return null;
+
+  return async (req, res, next) => {
+    const subject = scope === 'user' ? req.identity?.uid : req.ip;
+    if (!subject) return next();
+
+    let result;
+    try {
+      result = await getRateLimitStore().increment(`${policy}:${scope}:${subject}`, limit.windowMs);
+    } catch (error) {
+      log.error(`Rate limit store failed; allowing ${req.method} ${req.path}`, { policy, scope, error });
+      return next();
+    }
+
+    const retryAfter = Math.max(1, Math.ceil((result.resetAt - Date.now()) / 1000));
+    if (result.count <= limit.max) {
+      setRateLimitHeaders(res, limit, limit.max - result.count, retryAfter);
+      return next();
+    }
+
+    rejections.inc({ policy, scope });
+    log.warn(`Rate limit "${policy}" (${scope}) exceeded for ${req.method} ${req.path}`, {
+      policy,
+      scope,
+      ...(scope === 'user' ? { userId: subject } : {}),
+      count: result.count,
+      max: limit.max,
+    });
+
+    setRateLimitHeaders(res, limit, 0, retryAfter);
+    res.setHeader('Retry-After', String(retryAfter));
+    return res.status(429).json({
+      success: false,
+      error: 'Too many requests',
+      message: `Too many requests. Please try again in ${formatWait(retryAfter)}.`,
+      code: 'RATE_LIMITED',
+      retryAfter,
+    });
+  };
+}
+
+/**
+ * Build the rate limit middleware for a route
+ * The default policy always applies; route.rateLimit adds a named policy on top of it
+ * @param {Object} route - ROUTES entry
+ * @param {string} scope - ip | user
+ * @returns {Array<Function>} Middleware (empty when every limit is disabled)
+ */
+function rateLimitsFor(route, scope) {
+  const policies = ['default', ...(route.rateLimit ? [route.rateLimit] : [])];
+  return policies.map(policy => createRateLimit(policy, scope)).filter(Boolean);
+}
+
+module.exports = {
+  createRateLimit,
+  rateLimitsFor,
+};
@@ -0,0 +1,53 @@
+/**
+ * API Gateway Routes
+ * Mounts a proxy for every entry in the route table (config/routes.js)
+ *
+ * Handler chain: per-IP rate limits -> CSV body -> authenticate -> per-user rate limits -> proxy
+ */
+const express = require('express');
+const { authenticate } = require('../middleware/authenticate');
+const { createProxy } = require('../middleware/proxy');
+const { rateLimitsFor } = require('../middleware/rateLimit');
+const { SERVICES, ROUTES } = require('../config/routes');
+const { logger } = require('@attendance/shared/logger');
+
+// Log the service URLs on startup
+Object.entries(SERVICES).forEach(([key, service]) => {
+  logger.info(`${service.name} URL configured: ${service.url}`, { upstream: key, url: service.url });
+  const envVar = `${key.toUpperCase()}_SERVICE_URL`;
+  if (!process.env[envVar]) {
+    logger.warn(`${envVar} not set, using default: ${service.url}`, { upstream: key });
+  }
+});
+
+// CSV bodies for routes that accept them (JSON is parsed app-wide)
+const parseCSV = express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' });
+
+/**
+ * Build the router for a route table
+ * @param {Array<Object>} routes - ROUTES entries
+ * @returns {Object} Express router
+ */
+function createGatewayRouter(routes = ROUTES) {
+  const router = express.Router();
+
+  routes.forEach(route => {
+    const service = SERVICES[route.service];
+    if (!service) {
+      throw new Error(`Unknown service "${route.service}" for ${route.method.toUpperCase()} ${route.path}`);
+    }
+
+    const handlers = [...rateLimitsFor(route, 'ip')];
+    if (route.csv) handlers.push(parseCSV);
+    if (route.authenticated) handlers.push(authenticate, ...rateLimitsFor(route, 'user'));
+    handlers.push(createProxy(route, service));
+
+    router[route.method](route.path, ...handlers);
+  });
+
+  return router;
+}
+
+module.exports = {
+  createGatewayRouter,
+};
@@ -0,0 +1,120 @@
+/**
+ * Test Script: Verify gateway token handling without a live Supabase project
+ *
+ * Usage:
+ *   node test-auth-token.js          # run verification checks
+ *   node test-auth-token.js --print  # also print a valid access token for manual curl testing
+ *
+ * Signs access tokens with the local fixture key in test/fixtures/ and runs them
+ * through the same verifier the gateway uses. To run the gateway itself against the
+ * fixture, start it with SUPABASE_JWKS_PATH=test/fixtures/jwks.json.
+ */
+const path = require('path');
+const { SignJWT, importJWK, jwtVerify } = require('jose');
+
+const FIXTURES_DIR = path.join(__dirname, 'test', 'fixtures');
+const TEST_JWT_SECRET = 'local-test-jwt-secret-at-least-32-chars';
+const TEST_IDENTITY_SECRET = 'local-test-identity-secret';
+
+// Configure the verifier before loading it (settings are read at require time)
+process.env.SUPABASE_URL = process.env.SUPABASE_URL || 'http://localhost:54321';
+process.env.SUPABASE_JWKS_PATH = path.join(FIXTURES_DIR, 'jwks.json');
+process.env.SUPABASE_JWT_SECRET = TEST_JWT_SECRET;
+process.env.GATEWAY_IDENTITY_SECRET = TEST_IDENTITY_SECRET;
+
+const {
+  verifyAccessToken,
+  signIdentity,
+  IDENTITY_ISSUER,
+  IDENTITY_AUDIENCE,
+} = require('./middleware/authenticate');
+
+const ISSUER = `${process.env.SUPABASE_URL.replace(/\/+$/, '')}/auth/v1`;
+const TEST_USER = {
+  sub: '00000000-0000-0000-0000-000000000001',
+  email: 'superadmin@example.com',
+};
+
+/**
+ * Sign an access token shaped like the ones Supabase Auth issues
+ * @param {Object} options - { alg, audience, expiresIn, issuer }
+ * @returns {Promise<string>} Signed JWT
+ */
+async function mintAccessToken({ alg = 'ES256', audience = 'authenticated', expiresIn = '1h', issuer = ISSUER } = {}) {
+  let key;
+  if (alg === 'HS256') {
+    key = new TextEncoder().encode(TEST_JWT_SECRET);
+  } else {
+    const privateJwk = require(path.join(FIXTURES_DIR, 'private-jwk.json'));
+    key = await importJWK(privateJwk, alg);
+  }
+
+  return new SignJWT({ email: TEST_USER.email, role: 'authenticated' })
+    .setProtectedHeader({ alg, kid: alg === 'HS256' ? undefined : 'local-test-key' })
+    .setSubject(TEST_USER.sub)
+    .setIssuer(issuer)
+    .setAudience(audience)
+    .setIssuedAt()
+    .setExpirationTime(expiresIn)
+    .sign(key);
+}
+
+async function expectAccepted(label, tokenPromise) {
+  const payload = await verifyAccessToken(await tokenPromise);
+  if (payload.sub !== TEST_USER.sub) {
+    throw new Error(`${label}: unexpected subject ${payload.sub}`);
+  }
+  console.log(`✓ ${label}`);
+}
+
+async function expectRejected(label, tokenPromise) {
+  try {
+    await verifyAccessToken(await tokenPromise);
+  } catch (error) {
+    console.log(`✓ ${label} (${error.code || error.message})`);
+    return;
+  }
+  throw new Error(`${label}: token was accepted but should have been rejected`);
+}
+
+async function run() {
+  console.log('========================================');
+  console.log('  Testing Gateway Token Verification');
+  console.log('========================================');
+  console.log('');
+
+  await expectAccepted('ES256 token signed with fixture JWKS key is accepted', mintAccessToken());
+  await expectAccepted('HS256 token signed with JWT secret is accepted', mintAccessToken({ alg: 'HS256' }));
+  await expectRejected('Expired token is rejected', mintAccessToken({ expiresIn: Math.floor(Date.now() / 1000) - 60 }));
+  await expectRejected('Wrong audience is rejected', mintAccessToken({ audience: 'anon' }));
+  await expectRejected('Wrong issuer is rejected', mintAccessToken({ issuer: 'https://evil.example.com/auth/v1' }));
+  await expectRejected('Tampered token is rejected', mintAccessToken().then((token) => `${token.slice(0, -4)}AAAA`));
+
+  // Downstream services verify this with the same shared secret
+  const identityToken = await signIdentity({ uid: TEST_USER.sub, email: TEST_USER.email });
+  const { payload } = await jwtVerify(identityToken, new TextEncoder().encode(TEST_IDENTITY_SECRET), {
+    issuer: IDENTITY_ISSUER,
+    audience: IDENTITY_AUDIENCE,
+  });
+  if (payload.sub !== TEST_USER.sub || payload.email !== TEST_USER.email) {
+    throw new Error('Signed identity does not round-trip');
+  }
+  console.log('✓ Signed gateway identity verifies with the shared secret');
+
+  if (process.argv.includes('--print')) {
+    console.log('');
+    console.log('Access token (valid for 1 hour):');
+    console.log(await mintAccessToken());
+  }
+}
+
+run()
+  .then(() => {
+    console.log('');
+    console.log('All token checks passed');
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('✗ Token check failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,211 @@
+/**
+ * Tests: access token verification and the signed identity forwarded to downstream services
+ * Tokens are signed with the fixture key in test/fixtures/ (see test-auth-token.js)
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { SignJWT, importJWK, jwtVerify } = require('jose');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const TEST_JWT_SECRET = 'local-test-jwt-secret-at-least-32-chars';
+const TEST_IDENTITY_SECRET = 'local-test-identity-secret';
+
+// Settings are read at require time
+process.env.LOG_LEVEL = 'error';
+process.env.SUPABASE_URL = 'http://localhost:54321';
+process.env.SUPABASE_JWKS_PATH = path.join(FIXTURES_DIR, 'jwks.json');
+process.env.SUPABASE_JWT_SECRET = TEST_JWT_SECRET;
+process.env.GATEWAY_IDENTITY_SECRET = TEST_IDENTITY_SECRET;
+
+const {
+  authenticate,
+  verifyAccessToken,
+  signIdentity,
+  identityHeaders,
+  IDENTITY_HEADER,
+  IDENTITY_ISSUER,
+  IDENTITY_AUDIENCE,
+} = require('../middleware/authenticate');
+
+const ISSUER = 'http://localhost:54321/auth/v1';
+const TEST_USER = {
+  sub: '00000000-0000-0000-0000-000000000001',
+  email: 'superadmin@example.com',
+};
+
+/**
+ * Sign an access token shaped like the ones Supabase Auth issues
+ * @param {Object} options - { alg, audience, expiresIn, issuer, claims }
+ * @returns {Promise<string>} Signed JWT
+ */
+async function mintAccessToken({ alg = 'ES256', audience = 'authenticated', expiresIn = '1h', issuer = ISSUER, claims = {} } = {}) {
+  const key = alg === 'HS256'
+    ? new TextEncoder().encode(TEST_JWT_SECRET)
+    : await importJWK(require(path.join(FIXTURES_DIR, 'private-jwk.json')), alg);
+
+  return new SignJWT({ email: TEST_USER.email, role: 'authenticated', ...claims })
+    .setProtectedHeader({ alg, kid: alg === 'HS256' ? undefined : 'local-test-key' })
+    .setSubject(TEST_USER.sub)
+    .setIssuer(issuer)
+    .setAudience(audience)
+    .setIssuedAt()
+    .setExpirationTime(expiresIn)
+    .sign(key);
+}
+
+/**
+ * Verify a signed identity the way the auth and reporting services do
+ * @param {string} token - Signed identity
+ * @returns {Promise<Object>} Payload
+ */
+async function verifyIdentityToken(token) {
+  const { payload } = await jwtVerify(token, new TextEncoder().encode(TEST_IDENTITY_SECRET), {
+    algorithms: ['HS256'],
+    issuer: IDENTITY_ISSUER,
+    audience: IDENTITY_AUDIENCE,
+  });
+  return payload;
+}
+
+/**
+ * Run the middleware with a fake request
+ * @param {Object} headers - Request headers
+ * @returns {Promise<{req: Object, status: number|null, body: Object|null, nextCalled: boolean}>} Outcome
+ */
+async function runAuthenticate(headers) {
+  const req = { method: 'GET', path: '/api/test', headers };
+  const outcome = { req, status: null, body: null, nextCalled: false };
+  const res = {
+    status(code) {
+      outcome.status = code;
+      return this;
+    },
+    json(body) {
+      outcome.body = body;
+      return this;
+    },
+  };
+  await authenticate(req, res, () => { outcome.nextCalled = true; });
+  return outcome;
+}
+
+describe('verifyAccessToken', () => {
+  it('accepts an ES256 token signed with the JWKS key', async () => {
+    const payload = await verifyAccessToken(await mintAccessToken());
+    assert.equal(payload.sub, TEST_USER.sub);
+  });
+
+  it('accepts an HS256 token signed with the JWT secret', async () => {
+    const payload = await verifyAccessToken(await mintAccessToken({ alg: 'HS256' }));
+    assert.equal(payload.sub, TEST_USER.sub);
+  });
+
+  it('rejects an expired token', async () => {
+    const token = await mintAccessToken({ expiresIn: Math.floor(Date.now() / 1000) - 60 });
+    await assert.rejects(verifyAccessToken(token), { code: 'ERR_JWT_EXPIRED' });
+  });
+
+  it('rejects a token for another audience', async () => {
+    await assert.rejects(verifyAccessToken(await mintAccessToken({ audience: 'anon' })));
+  });
+
+  it('rejects a token from another issuer', async () => {
+    await assert.rejects(verifyAccessToken(await mintAccessToken({ issuer: 'https://evil.example.com/auth/v1' })));
+  });
+
+  it('rejects a tampered token', async () => {
+    const token = await mintAccessToken();
+    await assert.rejects(verifyAccessToken(`${token.slice(0, -4)}AAAA`));
+  });
+
+  it('rejects an HS256 token signed with another secret', async () => {
+    const token = await new SignJWT({})
+      .setProtectedHeader({ alg: 'HS256' })
+      .setSubject(TEST_USER.sub)
+      .setIssuer(ISSUER)
+      .setAudience('authenticated')
+      .setExpirationTime('1h')
+      .sign(new TextEncoder().encode('some-other-secret-at-least-32-characters'));
+    await assert.rejects(verifyAccessToken(token));
+  });
+});
+
+describe('signIdentity', () => {
+  it('signs an identity the downstream services can verify', async () => {
+    const payload = await verifyIdentityToken(await signIdentity({ uid: TEST_USER.sub, email: TEST_USER.email }));
+    assert.equal(payload.sub, TEST_USER.sub);
+    assert.equal(payload.email, TEST_USER.email);
+    assert.deepEqual(payload.amr, []);
+    assert.equal(payload.tfa, undefined);
+  });
+
+  it('carries the auth methods and two-factor session token', async () => {
+    const payload = await verifyIdentityToken(await signIdentity({
+      uid: TEST_USER.sub,
+      authMethods: ['password'],
+      twoFactorToken: 'two-factor-session-token',
+    }));
+    assert.deepEqual(payload.amr, ['password']);
+    assert.equal(payload.tfa, 'two-factor-session-token');
+  });
+
+  it('is not accepted with another secret', async () => {
+    const token = await signIdentity({ uid: TEST_USER.sub });
+    await assert.rejects(jwtVerify(token, new TextEncoder().encode('another-identity-secret'), {
+      issuer: IDENTITY_ISSUER,
+      audience: IDENTITY_AUDIENCE,
+    }));
+  });
+});
+
+describe('authenticate', () => {
+  it('answers 401 without a bearer token', async () => {
+    const { status, nextCalled } = await runAuthenticate({});
+    assert.equal(status, 401);
+    assert.equal(nextCalled, false);
+  });
+
+  it('answers 401 with an invalid token', async () => {
+    const { status, body, nextCalled } = await runAuthenticate({ authorization: 'Bearer not-a-token' });
+    assert.equal(status, 401);
+    assert.equal(body.message, 'Invalid access token');
+    assert.equal(nextCalled, false);
+  });
+
+  it('tells an expired session apart', async () => {
+    const token = await mintAccessToken({ expiresIn: Math.floor(Date.now() / 1000) - 60 });
+    const { status, body } = await runAuthenticate({ authorization: `Bearer ${token}` });
+    assert.equal(status, 401);
+    assert.equal(body.message, 'Session expired. Please log in again.');
+  });
+
+  it('sets the identity and forwards it signed', async () => {
+    const token = await mintAccessToken({ claims: { amr: [{ method: 'password', timestamp: 1 }] } });
+    const { req, nextCalled } = await runAuthenticate({
+      authorization: `Bearer ${token}`,
+      'x-two-factor-token': 'two-factor-session-token',
+    });
+
+    assert.equal(nextCalled, true);
+    assert.deepEqual(req.identity, {
+      uid: TEST_USER.sub,
+      email: TEST_USER.email,
+      authMethods: ['password'],
+      twoFactorToken: 'two-factor-session-token',
+    });
+
+    const forwarded = identityHeaders(req)[IDENTITY_HEADER];
+    const payload = await verifyIdentityToken(forwarded);
+    assert.equal(payload.sub, TEST_USER.sub);
+    assert.equal(payload.tfa, 'two-factor-session-token');
+  });
+
+  it('drops an oversized two-factor token', async () => {
+    const { req } = await runAuthenticate({
+      authorization: `Bearer ${await mintAccessToken()}`,
+      'x-two-factor-token': 'x'.repeat(4096),
+    });
+    assert.equal(req.identity.twoFactorToken, null);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Rate Limit Store
+ * Counts requests per key in fixed windows for middleware/rateLimit.js
+ *
+ * Every store implements:
+ *   increment(key, windowMs) - count a request; resolves to { count, resetAt } for the current window
+ *   reset(key)               - forget a key
+ *
+ * RATE_LIMIT_STORE=memory - in-process counters (default). Each gateway instance counts on its own, so with
+ *                           N instances behind a load balancer a client can get up to N times the limit;
+ *                           plug in a shared store with setRateLimitStore() to count across instances.
+ */
+const { logger } = require('@attendance/shared/logger');
+
+const log = logger.child({ component: 'RateLimit' });
+
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'memory';
+
+// Expired windows are dropped on this interval so idle keys don't accumulate
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Create an in-memory store
+ * @returns {Object} Rate limit store
+ */
+function createMemoryRateLimitStore() {
+  // key -> { count, resetAt }
+  const windows = new Map();
+
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    windows.forEach((window, key) => {
+      if (window.resetAt <= now) windows.delete(key);
+    });
+  }, SWEEP_INTERVAL_MS);
+  sweeper.unref();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+      window.count++;
+      return { count: window.count, resetAt: window.resetAt };
+    },
+
+    async reset(key) {
+      windows.delete(key);
+    },
+  };
+}
+
+let store = null;
+
+/**
+ * Get the configured store (created on first use)
+ * @returns {Object} Rate limit store
+ */
+function getRateLimitStore() {
+  if (store) return store;
+
+  switch (RATE_LIMIT_STORE) {
+    case 'memory':
+      store = createMemoryRateLimitStore();
+      log.info('Using in-memory rate limit store');
+      break;
+    default:
+      throw new Error(`Unknown RATE_LIMIT_STORE "${RATE_LIMIT_STORE}" (expected memory)`);
+  }
+
+  return store;
+}
+
+/**
+ * Replace the store (e.g. with one shared between gateway instances)
+ * @param {Object} rateLimitStore - Rate limit store
+ */
+function setRateLimitStore(rateLimitStore) {
+  store = rateLimitStore;
+}
+
+module.exports = {
+  getRateLimitStore,
+  setRateLimitStore,
+  createMemoryRateLimitStore,
+};
@@ -0,0 +1,97 @@
+// Role / Permission Matrix
+// Single source of truth for what each role may do through the Auth Service
+
+const ROLES = {
+  SUPER_ADMIN: 'super_admin',
+  MANAGER: 'manager',
+  EMPLOYEE: 'employee',
+};
+
+const VALID_ROLES = Object.values(ROLES);
+
+// Department that turns a manager into an HR Admin (mirrors isHRAdmin in the mobile app)
+const HR_DEPARTMENT = 'HR';
+
+const PERMISSIONS = {
+  USERS_CREATE: 'users:create',
+  USERS_UPDATE: 'users:update',
+  USERS_UPDATE_ROLE: 'users:update_role',
+  USERS_UPDATE_EMAIL: 'users:update_email',
+  USERS_UNLOCK: 'users:unlock',
+  USERS_EXPORT: 'users:export',
+  USERS_DEACTIVATE: 'users:deactivate',
+  USERS_REQUIRE_PASSWORD_CHANGE: 'users:require_password_change',
+  USERS_RESET_TWO_FACTOR: 'users:reset_two_factor',
+  AUDIT_READ: 'audit:read',
+};
+
+// How far a granted permission reaches
+const SCOPES = {
+  ALL: 'all',               // Any user
+  DEPARTMENT: 'department', // Only users in the actor's own department
+};
+
+/**
+ * Permission matrix keyed by effective role
+ * '*' grants every permission. Permissions not listed are denied.
+ * HR admins work across departments, except for what hands over an existing account or its privileges
+ * (email, two-factor reset, role): those stay in their own department, so an HR manager can't take over
+ * another department's manager. Creating users stays org-wide: it takes over no existing account.
+ */
+const ROLE_PERMISSIONS = {
+  super_admin: {
+    '*': SCOPES.ALL,
+  },
+  hr_admin: {
+    [PERMISSIONS.USERS_CREATE]: SCOPES.ALL,
+    [PERMISSIONS.USERS_UPDATE]: SCOPES.ALL,
+    [PERMISSIONS.USERS_UPDATE_ROLE]: SCOPES.DEPARTMENT,
+    [PERMISSIONS.USERS_UPDATE_EMAIL]: SCOPES.DEPARTMENT,
+    [PERMISSIONS.USERS_UNLOCK]: SCOPES.ALL,
+    [PERMISSIONS.USERS_EXPORT]: SCOPES.ALL,
+    [PERMISSIONS.USERS_DEACTIVATE]: SCOPES.ALL,
+    [PERMISSIONS.USERS_REQUIRE_PASSWORD_CHANGE]: SCOPES.ALL,
+    [PERMISSIONS.USERS_RESET_TWO_FACTOR]: SCOPES.DEPARTMENT,
+    [PERMISSIONS.AUDIT_READ]: SCOPES.ALL,
+  },
+  manager: {
+    [PERMISSIONS.USERS_UPDATE]: SCOPES.DEPARTMENT,
+    [PERMISSIONS.USERS_UPDATE_ROLE]: SCOPES.DEPARTMENT,
+    [PERMISSIONS.USERS_EXPORT]: SCOPES.DEPARTMENT,
+  },
+  employee: {},
+};
+
+/**
+ * Get the effective role used for permission lookups
+ * HR managers get the hr_admin row of the matrix
+ * @param {Object} actor - User row ({ role, department })
+ * @returns {string} Effective role
+ */
+function getEffectiveRole(actor) {
+  if (actor?.role === ROLES.MANAGER && actor.department === HR_DEPARTMENT) {
+    return 'hr_admin';
+  }
+  return actor?.role || ROLES.EMPLOYEE;
+}
+
+/**
+ * Get the scope an actor has for a permission
+ * @param {Object} actor - User row ({ role, department })
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {string|null} Scope or null if the permission is not granted
+ */
+function getPermissionScope(actor, permission) {
+  const grants = ROLE_PERMISSIONS[getEffectiveRole(actor)] || {};
+  return grants['*'] || grants[permission] || null;
+}
+
+module.exports = {
+  ROLES,
+  VALID_ROLES,
+  PERMISSIONS,
+  SCOPES,
+  ROLE_PERMISSIONS,
+  getEffectiveRole,
+  getPermissionScope,
+};
@@ -2,15 +2,14 @@
 // This is a trusted backend service with admin privileges
 const { createClient } = require('@supabase/supabase-js');
 require('dotenv').config();
+const { logger } = require('@attendance/shared/logger');
 
 // Supabase configuration
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
 
 if (!supabaseUrl || !supabaseServiceKey) {
-  console.error('✗ Missing Supabase environment variables');
-  console.error('Please ensure SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are set in .env');
-  console.error('See services/auth-service/README.md for setup instructions.');
+  logger.error('Missing Supabase environment variables: ensure SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are set in .env (see services/auth-service/README.md)');
   throw new Error('Supabase configuration missing');
 }
 
@@ -23,11 +22,23 @@ const supabase = createClient(supabaseUrl, supabaseServiceKey, {
   }
 });
 
-console.log('✓ Supabase client initialized successfully');
+logger.info('Supabase client initialized');
+
+/**
+ * Check that Supabase is reachable and accepts the service role key (readiness check)
+ * @returns {Promise<void>} Rejects with the Supabase error
+ */
+async function pingSupabase() {
+  const { error } = await supabase.from('users').select('uid').limit(1);
+  if (error) {
+    throw new Error(`Supabase query failed: ${error.message || error.code || 'unknown error'}`);
+  }
+}
 
 module.exports = {
   supabase,
   supabaseUrl,
+  pingSupabase,
   initialized: true,
 };
 
@@ -3,28 +3,33 @@ const cors = require('cors');
 require('dotenv').config();
 
 const authRoutes = require('./routes/auth');
+const auditRoutes = require('./routes/audit');
+const { pingSupabase } = require('./config/supabase');
+const { logger, requestLogger } = require('@attendance/shared/logger');
+const { httpMetrics, metricsHandler } = require('@attendance/shared/metrics');
+const { createHealthRouter } = require('@attendance/shared/health');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Trust X-Forwarded-For from the API Gateway so req.ip is the client's IP (login throttling is per IP)
+// TRUST_PROXY: comma-separated addresses/subnets, a hop count, or true/false
+// Only loopback by default: anyone else on a private network could set X-Forwarded-For to any address
+const TRUST_PROXY = process.env.TRUST_PROXY || 'loopback';
+app.set('trust proxy', ['true', 'false'].includes(TRUST_PROXY)
+  ? TRUST_PROXY === 'true'
+  : /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY, 10) : TRUST_PROXY);
+
 // Middleware
+app.use(requestLogger()); // Request id + one structured log line per request (@attendance/shared/logger)
+app.use(httpMetrics());
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '1mb' })); // Bulk user imports can be a few hundred rows
 app.use(express.urlencoded({ extended: true }));
 
-// Request logging middleware
-app.use((req, res, next) => {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] Auth Service: ${req.method} ${req.path}`, {
-    ip: req.ip,
-    userAgent: req.get('user-agent'),
-    body: req.method !== 'GET' ? req.body : undefined
-  });
-  next();
-});
-
 // Routes
 app.use('/api/auth', authRoutes);
+app.use('/api/audit', auditRoutes);
 
 // Health check route
 app.get('/health', (req, res) => {
@@ -35,6 +40,14 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Liveness and readiness (/health/live, /health/ready)
+app.use('/health', createHealthRouter({
+  supabase: { check: pingSupabase },
+}));
+
+// Prometheus metrics (METRICS_TOKEN protects it when set)
+app.get('/metrics', metricsHandler());
+
 // Root route
 app.get('/', (req, res) => {
   res.json({
@@ -46,14 +59,11 @@ app.get('/', (req, res) => {
 // Start server - listen on all interfaces (0.0.0.0) to allow connections from devices
 const HOST = process.env.HOST || '0.0.0.0';
 app.listen(PORT, HOST, () => {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] ========================================`);
-  console.log(`[${timestamp}] Auth Service starting...`);
-  console.log(`[${timestamp}] Server running on http://${HOST}:${PORT}`);
-  console.log(`[${timestamp}] Health check: http://localhost:${PORT}/health`);
-  console.log(`[${timestamp}] Supabase URL: ${process.env.SUPABASE_URL || 'NOT SET'}`);
-  console.log(`[${timestamp}] ========================================`);
-  console.log(`[${timestamp}] Auth Service ready to receive requests`);
+  logger.info(`Auth Service listening on http://${HOST}:${PORT}`, {
+    port: Number(PORT),
+    host: HOST,
+    supabaseUrl: process.env.SUPABASE_URL || 'NOT SET',
+  });
 });
 
 module.exports = app;
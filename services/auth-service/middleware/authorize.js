@@ -0,0 +1,194 @@
+/**
+ * Authorization Middleware
+ * Enforces the role/permission matrix (config/permissions.js) for user management routes
+ * Must run after verifyIdentity, which sets req.identity
+ */
+const { supabase } = require('../config/supabase');
+const { logger } = require('@attendance/shared/logger');
+const { isTwoFactorRequired, verifyTwoFactorSession } = require('../services/twoFactor');
+
+const log = logger.child({ component: 'authorize' });
+const {
+  ROLES,
+  PERMISSIONS,
+  SCOPES,
+  getPermissionScope,
+} = require('../config/permissions');
+
+// Human-readable actions used in denial messages
+const ACTION_LABELS = {
+  [PERMISSIONS.USERS_CREATE]: 'create users',
+  [PERMISSIONS.USERS_UPDATE]: 'update users',
+  [PERMISSIONS.USERS_UPDATE_ROLE]: 'change user roles',
+  [PERMISSIONS.USERS_UPDATE_EMAIL]: 'change user emails',
+  [PERMISSIONS.USERS_UNLOCK]: 'unlock user accounts',
+  [PERMISSIONS.USERS_EXPORT]: 'export users',
+  [PERMISSIONS.USERS_DEACTIVATE]: 'deactivate or reactivate users',
+  [PERMISSIONS.USERS_REQUIRE_PASSWORD_CHANGE]: 'require password changes',
+  [PERMISSIONS.USERS_RESET_TWO_FACTOR]: 'reset two-factor authentication',
+  [PERMISSIONS.AUDIT_READ]: 'view the audit log',
+};
+
+/**
+ * Send a structured authorization error
+ * Clients display `error`; `code` lets them distinguish the failure type
+ * @param {Object} res - Express response
+ * @param {number} status - HTTP status (401 or 403)
+ * @param {string} code - Machine-readable code
+ * @param {string} message - Human-readable message
+ */
+function deny(res, status, code, message) {
+  return res.status(status).json({
+    success: false,
+    error: message,
+    code,
+  });
+}
+
+/**
+ * Load the active user row for the verified caller
+ * @param {string} uid - Supabase Auth user ID
+ * @returns {Promise<Object|null>} User row or null if not found
+ */
+async function loadActor(uid) {
+  const { data, error } = await supabase
+    .from('users')
+    .select('uid, username, role, department, is_active, two_factor_enabled')
+    .eq('uid', uid)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Load the user a route acts on
+ * @param {string} username - Target username
+ * @returns {Promise<Object|null>} User row or null if not found
+ */
+async function loadTarget(username) {
+  const { data, error } = await supabase
+    .from('users')
+    .select('uid, username, role, department, is_active')
+    .eq('username', username)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Check a single permission for an actor against an optional target and requested changes
+ * @param {Object} actor - Caller's user row
+ * @param {string} permission - One of PERMISSIONS
+ * @param {Object|null} target - Target user row (null for creation)
+ * @param {Object} changes - Requested values ({ role, department })
+ * @returns {{allowed: boolean, message?: string}} Decision
+ */
+function checkPermission(actor, permission, target, changes = {}) {
+  const scope = getPermissionScope(actor, permission);
+
+  if (!scope) {
+    return { allowed: false, message: `You do not have permission to ${ACTION_LABELS[permission] || permission}` };
+  }
+
+  const isSuperAdmin = actor.role === ROLES.SUPER_ADMIN;
+
+  // Only super admins can touch super admin accounts or hand out the super_admin role
+  if (!isSuperAdmin && target?.role === ROLES.SUPER_ADMIN) {
+    return { allowed: false, message: 'Only super admins can manage super admin accounts' };
+  }
+  if (!isSuperAdmin && changes.role === ROLES.SUPER_ADMIN) {
+    return { allowed: false, message: 'Only super admins can assign the super_admin role' };
+  }
+
+  if (scope === SCOPES.DEPARTMENT) {
+    if (target && target.department !== actor.department) {
+      return { allowed: false, message: 'You can only manage users in your own department' };
+    }
+    if (changes.department !== undefined && changes.department !== actor.department) {
+      return { allowed: false, message: 'You cannot move users outside your own department' };
+    }
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Create middleware that requires a permission
+ * Sets req.actor (caller) and req.targetUser (when the route has :username)
+ * Role changes sent through a generic update also require USERS_UPDATE_ROLE
+ * Callers whose role must use two-factor authentication (TWO_FACTOR_REQUIRED_ROLES) are refused until they set it up,
+ * and enrolled callers until their session carries a two-factor session token (a password-only session is refused)
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {Function} Express middleware
+ */
+function authorize(permission) {
+  return async (req, res, next) => {
+    const uid = req.identity?.uid;
+    if (!uid) {
+      return deny(res, 401, 'UNAUTHORIZED', 'Authentication required. Please log in again.');
+    }
+
+    try {
+      const actor = await loadActor(uid);
+      if (!actor || actor.is_active === false) {
+        return deny(res, 403, 'ACCOUNT_INACTIVE', 'Your account is not active');
+      }
+      if (isTwoFactorRequired(actor.role) && actor.two_factor_enabled !== true) {
+        log.warn(`Denied ${permission} for ${actor.username} (${actor.role}): two-factor authentication not set up`);
+        return deny(res, 403, 'TWO_FACTOR_SETUP_REQUIRED', 'Set up two-factor authentication before managing users');
+      }
+      if (actor.two_factor_enabled === true && !(await verifyTwoFactorSession(req.identity.twoFactorToken, actor.uid))) {
+        log.warn(`Denied ${permission} for ${actor.username} (${actor.role}): session has no two-factor verification`);
+        return deny(res, 403, 'TWO_FACTOR_VERIFICATION_REQUIRED', 'Sign in again with your two-factor code before managing users');
+      }
+
+      let target = null;
+      if (req.params.username) {
+        target = await loadTarget(req.params.username);
+        if (!target) {
+          return res.status(404).json({
+            success: false,
+            error: 'User not found',
+          });
+        }
+      }
+
+      const changes = {
+        role: req.body?.role,
+        department: req.body?.department,
+      };
+
+      const required = [permission];
+      if (permission === PERMISSIONS.USERS_UPDATE && changes.role !== undefined) {
+        required.push(PERMISSIONS.USERS_UPDATE_ROLE);
+      }
+
+      for (const perm of required) {
+        const decision = checkPermission(actor, perm, target, changes);
+        if (!decision.allowed) {
+          log.warn(`Denied ${perm} for ${actor.username} (${actor.role}) on ${target?.username || 'new user'}: ${decision.message}`);
+          return deny(res, 403, 'FORBIDDEN', decision.message);
+        }
+      }
+
+      req.actor = actor;
+      req.targetUser = target;
+      next();
+    } catch (error) {
+      log.error('Error checking permissions', { error });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to verify user permissions',
+      });
+    }
+  };
+}
+
+module.exports = {
+  authorize,
+  checkPermission,
+  deny,
+};
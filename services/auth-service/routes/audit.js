@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+const { verifyIdentity } = require('../middleware/verifyIdentity');
+const { authorize } = require('../middleware/authorize');
+const { PERMISSIONS } = require('../config/permissions');
+const { listAuditLog } = require('../services/auditLog');
+const { logger } = require('@attendance/shared/logger');
+
+/**
+ * Parse an optional YYYY-MM-DD query parameter
+ * @param {string} value - Query value
+ * @param {boolean} endOfDay - Use 23:59:59.999 instead of midnight (for inclusive "to" filters)
+ * @returns {Date|null|undefined} Date, null if absent, undefined if invalid
+ */
+function parseDateFilter(value, endOfDay = false) {
+  if (!value) return null;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return undefined;
+  const date = new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+/**
+ * GET /api/audit
+ * List audit log entries, newest first
+ * Requires: audit:read (super_admin, HR admin)
+ *
+ * Query parameters (all optional):
+ *   page       - Page number (default 1)
+ *   pageSize   - Entries per page (default 50, max 200)
+ *   actor      - Username of the user who made the change
+ *   action     - Full action (user.role_change) or an area (user)
+ *   targetType - user | attendance_record | office_location | office_site | attendance_config | leave_request | report_schedule | report
+ *   target     - Target ID or label (e.g. a username or config key)
+ *   from, to   - Only entries between these dates (YYYY-MM-DD, inclusive)
+ */
+router.get('/', verifyIdentity, authorize(PERMISSIONS.AUDIT_READ), async (req, res) => {
+  const { page, pageSize, actor, action, targetType, target } = req.query;
+
+  if (action && !/^[a-z_]+(\.[a-z_]+)?$/.test(action)) {
+    return res.status(400).json({
+      success: false,
+      error: 'action must look like "user" or "user.role_change"',
+    });
+  }
+
+  const from = parseDateFilter(req.query.from);
+  const to = parseDateFilter(req.query.to, true);
+  if (from === undefined || to === undefined) {
+    return res.status(400).json({
+      success: false,
+      error: '"from" and "to" must be dates in YYYY-MM-DD format',
+    });
+  }
+
+  try {
+    const result = await listAuditLog({ page, pageSize, actor, action, targetType, target, from, to });
+
+    return res.status(200).json({
+      success: true,
+      entries: result.entries,
+      pagination: {
+        page: result.page,
+        pageSize: result.pageSize,
+        total: result.total,
+        totalPages: Math.ceil(result.total / result.pageSize),
+      },
+    });
+  } catch (error) {
+    logger.error('Error listing audit log', { error });
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,245 @@
 const express = require('express');
 const router = express.Router();
 const { supabase } = require('../config/supabase');
+const { verifyIdentity } = require('../middleware/verifyIdentity');
+const { authorize } = require('../middleware/authorize');
+const { PERMISSIONS, VALID_ROLES, SCOPES, getPermissionScope } = require('../config/permissions');
+const {
+  OUTCOMES,
+  normalizeIdentifier,
+  getClientIp,
+  checkIpThrottle,
+  checkAccountLockout,
+  getAccountLockedUntil,
+  recordLoginAttempt,
+  unlockAccount,
+} = require('../services/loginThrottle');
+const {
+  USER_COLUMNS,
+  readImportRows,
+  validateImportRows,
+  applyImport,
+  exportUsers,
+} = require('../services/userImport');
+const { toCSV } = require('../utils/csv');
+const { logger } = require('@attendance/shared/logger');
+const {
+  getPasswordPolicy,
+  validatePassword,
+  isRecentPassword,
+  recordPasswordHistory,
+  recordPasswordChange,
+  isPasswordExpired,
+  verifyCurrentPassword,
+} = require('../services/passwordPolicy');
+const {
+  LOGIN_CHALLENGE_SECONDS,
+  isTwoFactorConfigured,
+  isTwoFactorRequired,
+  getTwoFactorStatus,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  issueRecoveryCodes,
+  disableTwoFactor,
+  createLoginChallenge,
+  verifyLoginChallenge,
+  createTwoFactorSession,
+} = require('../services/twoFactor');
+const {
+  resolveEffectiveDate,
+  getHandoverCounts,
+  resolveSuccessor,
+  deactivateUser,
+  reactivateUser,
+} = require('../services/offboarding');
+const { AUDIT_ACTIONS, recordAudit } = require('../services/auditLog');
+
+// Fields the generic update route can change, as request key -> users column
+const EDITABLE_USER_FIELDS = {
+  name: 'name',
+  department: 'department',
+  position: 'position',
+  role: 'role',
+  workMode: 'work_mode',
+  work_mode: 'work_mode',
+  hireDate: 'hire_date',
+  hire_date: 'hire_date',
+};
+
+// Identity fields that the generic update route must never rewrite
+const PROTECTED_USER_FIELDS = ['uid', 'id', 'username', 'email', 'created_at'];
+
+// Account status fields, changed only through deactivate/reactivate so sign-in and handover stay in sync
+const STATUS_USER_FIELDS = [
+  'isActive',
+  'is_active',
+  'deactivated_at',
+  'deactivation_effective_date',
+  'deactivated_by',
+  'deactivation_reason',
+  'successor_username',
+];
+
+// Password status fields, changed only by password changes and POST /users/:username/require-password-change
+const PASSWORD_USER_FIELDS = ['mustChangePassword', 'must_change_password', 'password_changed_at'];
+
+// Two-factor status, changed only by enrollment and POST /users/:username/two-factor/reset
+const TWO_FACTOR_USER_FIELDS = ['twoFactorEnabled', 'two_factor_enabled'];
+
+/**
+ * Reject a password that fails the password policy
+ * @param {Object} res - Express response
+ * @param {Array<string>} errors - Rule violations
+ * @param {string} [code] - PASSWORD_POLICY or PASSWORD_REUSED
+ */
+function sendPasswordRejected(res, errors, code = 'PASSWORD_POLICY') {
+  return res.status(400).json({
+    success: false,
+    error: errors[0],
+    code,
+    errors,
+  });
+}
+
+/**
+ * Send a throttling/lockout error
+ * @param {Object} res - Express response
+ * @param {Object} decision - Denial from loginThrottle ({ status, code, message, lockedUntil, retryAfter })
+ */
+function sendLoginDenied(res, decision) {
+  res.set('Retry-After', String(decision.retryAfter));
+  return res.status(decision.status).json({
+    success: false,
+    error: decision.message,
+    code: decision.code,
+    lockedUntil: decision.lockedUntil,
+    retryAfter: decision.retryAfter,
+  });
+}
+
+/**
+ * Reject a login for a deactivated account
+ * @param {Object} res - Express response
+ */
+function sendAccountInactive(res) {
+  return res.status(403).json({
+    success: false,
+    error: 'This account has been deactivated. Please contact your administrator',
+    code: 'ACCOUNT_INACTIVE',
+  });
+}
+
+/**
+ * Finish a successful login: reset the failure count, flag an expired password and return the user
+ * @param {Object} res - Express response
+ * @param {Object} userData - users row
+ * @param {Object} attempt - Attempt log details ({ identifier, ip, userAgent })
+ * @param {Object} [extra] - Additional response fields
+ */
+async function completeLogin(res, userData, attempt, extra = {}) {
+  await recordLoginAttempt({ ...attempt, userUid: userData.uid, outcome: OUTCOMES.SUCCESS });
+
+  // Expired passwords are flagged on the row too, so the app keeps asking until the password is changed
+  let mustChangePassword = userData.must_change_password === true;
+  if (!mustChangePassword && isPasswordExpired(userData)) {
+    mustChangePassword = true;
+    logger.info(`Password expired for: ${userData.username}`, { username: userData.username });
+    const { error: flagError } = await supabase
+      .from('users')
+      .update({ must_change_password: true })
+      .eq('uid', userData.uid);
+    if (flagError) {
+      logger.error('Failed to flag expired password', { error: flagError });
+    }
+  }
+
+  logger.info(`✓ Authentication successful for: ${userData.username || userData.email} with role: ${userData.role}`, { username: userData.username, role: userData.role });
+
+  return res.status(200).json({
+    success: true,
+    user: {
+      uid: userData.uid,
+      username: userData.username || userData.email.split('@')[0],
+      email: userData.email,
+      role: userData.role || 'employee',
+      name: userData.name,
+      department: userData.department || '',
+      position: userData.position || '',
+      workMode: userData.work_mode || 'in_office',
+      mustChangePassword,
+      twoFactorSetupRequired: isTwoFactorRequired(userData.role) && userData.two_factor_enabled !== true,
+    },
+    ...extra,
+  });
+}
+
+/**
+ * Stop a password login for an account with two-factor authentication
+ * The client sends the challenge and a code to POST /api/auth/login/two-factor
+ * @param {Object} res - Express response
+ * @param {Object} userData - users row
+ */
+async function sendTwoFactorChallenge(res, userData) {
+  if (!isTwoFactorConfigured()) {
+    logger.error(`Two-factor login for ${userData.username} but TWO_FACTOR_SECRET is not set`);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Two-factor authentication is not configured',
+    });
+  }
+
+  logger.info(`Password accepted for: ${userData.username}; waiting for the second factor`, { username: userData.username });
+  return res.status(401).json({
+    success: false,
+    error: 'Enter the code from your authenticator app',
+    code: 'TWO_FACTOR_REQUIRED',
+    challengeToken: await createLoginChallenge(userData.uid),
+    expiresIn: LOGIN_CHALLENGE_SECONDS,
+  });
+}
+
+/**
+ * Load the signed-in caller for their own account routes (password, two-factor)
+ * Sends 404/403 itself when the caller has no active account
+ * @param {Object} req - Express request (after verifyIdentity)
+ * @param {Object} res - Express response
+ * @returns {Promise<Object|null>} users row, or null when a response was sent
+ */
+async function loadCaller(req, res) {
+  const { data: user, error } = await supabase
+    .from('users')
+    .select('uid, username, email, role, is_active, two_factor_enabled')
+    .eq('uid', req.identity.uid)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      error: 'User not found',
+    });
+    return null;
+  }
+  if (user.is_active === false) {
+    sendAccountInactive(res);
+    return null;
+  }
+  return user;
+}
+
+/**
+ * Reject a wrong two-factor code
+ * @param {Object} res - Express response
+ */
+function sendInvalidTwoFactorCode(res) {
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid verification code',
+    code: 'INVALID_TWO_FACTOR_CODE',
+  });
+}
 
 /**
  * POST /api/auth/login
@@ -8,66 +247,123 @@ const { supabase } = require('../config/supabase');
  * Body: { usernameOrEmail: string, password: string }
  * 
  * Implementation:
- * 1. If username, resolve email using Supabase database query
- * 2. Authenticate using Supabase Auth (signInWithPassword)
- * 3. Fetch user data from Supabase database
- * 4. Return user info
+ * 1. Reject the request if the caller's IP is throttled
+ * 2. Resolve the account (and email for usernames) from the Supabase database
+ * 3. Reject the request if the account is locked
+ * 4. Authenticate using Supabase Auth (signInWithPassword), logging the outcome
+ * 5. Fetch user data from Supabase database (deactivated users are rejected)
+ * 6. Accounts with two-factor authentication get 401 TWO_FACTOR_REQUIRED with a challenge token for
+ *    POST /api/auth/login/two-factor
+ * 7. Return user info, with mustChangePassword when an admin required a new password or it has expired,
+ *    and twoFactorSetupRequired when the role must use two-factor authentication but hasn't set it up
  */
 router.post('/login', async (req, res) => {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] Auth Service: Login request received for:`, req.body.usernameOrEmail || 'unknown');
+  const { usernameOrEmail, password } = req.body || {};
+  logger.info(`Login request received for: ${typeof usernameOrEmail === 'string' ? usernameOrEmail : 'unknown'}`);
   
   try {
-    const { usernameOrEmail, password } = req.body;
-
     if (!usernameOrEmail || !password) {
-      console.log(`[${timestamp}] Auth Service: Login failed - missing credentials`);
+      logger.warn('Login failed - missing credentials');
       return res.status(400).json({
         success: false,
         error: 'Username/email and password are required',
       });
     }
 
+    if (typeof usernameOrEmail !== 'string' || typeof password !== 'string') {
+      logger.warn('Login failed - credentials are not strings');
+      return res.status(400).json({
+        success: false,
+        error: 'Username/email and password must be strings',
+      });
+    }
+
     let email = usernameOrEmail.trim();
-    
-    // Step 1: If input is a username (not an email), resolve email using Supabase
-    if (!usernameOrEmail.includes('@')) {
+    const attempt = {
+      identifier: normalizeIdentifier(usernameOrEmail),
+      userUid: null,
+      ip: getClientIp(req),
+      userAgent: req.get('user-agent') || null,
+    };
+
+    /**
+     * Log a failed attempt and answer 401, or 423 if this failure locked the account
+     * @param {string} reason - Why the attempt failed (logged, never sent to the client)
+     */
+    const rejectAttempt = async (reason) => {
+      await recordLoginAttempt({ ...attempt, outcome: OUTCOMES.FAILURE, reason });
       try {
-        // Query Supabase database for user by username
-        const { data: userData, error: queryError } = await supabase
-          .from('users')
-          .select('email, username')
-          .eq('username', usernameOrEmail)
-          .limit(1)
-          .single();
-        
-        if (queryError || !userData) {
-          console.log('✗ Authentication failed: User not found');
-          return res.status(401).json({
-            success: false,
-            error: 'Invalid username or password',
-          });
+        const lockout = await checkAccountLockout(attempt);
+        if (!lockout.allowed) {
+          logger.warn(`✗ Account locked after repeated failures: ${attempt.identifier}`);
+          return sendLoginDenied(res, lockout);
         }
-        
-        email = userData.email;
-        
-        if (!email) {
-          console.log('✗ Authentication failed: No email found for username');
-          return res.status(401).json({
-            success: false,
-            error: 'Invalid username or password',
-          });
-        }
-      } catch (queryError) {
-        console.error('Database query error:', queryError.message);
-        return res.status(500).json({
-          success: false,
-          error: 'Internal server error',
-        });
+      } catch (throttleError) {
+        logger.error('Login lockout check error', { error: throttleError });
+      }
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid username or password',
+      });
+    };
+
+    // Step 1: Per-IP throttling, before the username lookup so it can't be used for enumeration
+    // Throttle checks fail open: an unavailable attempt log must not stop everyone from logging in
+    try {
+      const ipCheck = await checkIpThrottle(attempt.ip);
+      if (!ipCheck.allowed) {
+        logger.warn(`✗ Login throttled for IP ${attempt.ip}`);
+        await recordLoginAttempt({ ...attempt, outcome: OUTCOMES.BLOCKED, reason: 'IP throttled' });
+        return sendLoginDenied(res, ipCheck);
       }
+    } catch (throttleError) {
+      logger.error('Login IP throttle check error', { error: throttleError });
     }
     
-    // Step 2: Authenticate using Supabase Auth
+    // Step 2: Resolve the account (by username, or by email so both share one lockout)
+    // Emails match case-insensitively, like Supabase Auth (LIKE wildcards escaped)
+    const isEmail = usernameOrEmail.includes('@');
+    try {
+      const lookup = supabase.from('users').select('uid, email, username');
+      const { data: userData, error: queryError } = await (isEmail
+        ? lookup.ilike('email', email.replace(/[\\%_]/g, '\\$&'))
+        : lookup.eq('username', usernameOrEmail))
+        .limit(1)
+        .maybeSingle();
+
+      if (queryError) throw queryError;
+      attempt.userUid = userData?.uid || null;
+
+      // Usernames must resolve to an email
+      if (!isEmail) {
+        email = userData?.email;
+      }
+    } catch (queryError) {
+      logger.error('Database query error', { error: queryError });
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+
+    // Step 3: Per-account lockout (unknown usernames lock the same way, so lockouts don't reveal accounts)
+    try {
+      const lockout = await checkAccountLockout(attempt);
+      if (!lockout.allowed) {
+        logger.warn(`✗ Login rejected, account locked: ${attempt.identifier}`);
+        await recordLoginAttempt({ ...attempt, outcome: OUTCOMES.LOCKED, reason: 'Account locked' });
+        return sendLoginDenied(res, lockout);
+      }
+    } catch (throttleError) {
+      logger.error('Login lockout check error', { error: throttleError });
+    }
+
+    if (!email) {
+      logger.warn('✗ Authentication failed: User not found');
+      return rejectAttempt('Unknown username');
+    }
+    
+    // Step 4: Authenticate using Supabase Auth
     try {
       const { data: authData, error: authError } = await supabase.auth.signInWithPassword({
         email: email,
@@ -78,22 +374,27 @@ router.post('/login', async (req, res) => {
         // Handle authentication errors
         if (authError?.message?.includes('Invalid login credentials') || 
             authError?.message?.includes('Email not confirmed')) {
-          console.log('✗ Authentication failed: Invalid credentials');
-          return res.status(401).json({
-            success: false,
-            error: 'Invalid username or password',
-          });
+          logger.warn('✗ Authentication failed: Invalid credentials');
+          return rejectAttempt(authError.message);
         }
         
         if (authError?.message?.includes('Email rate limit exceeded')) {
-          console.log('✗ Authentication failed: Too many attempts');
+          logger.warn('✗ Authentication failed: Too many attempts');
           return res.status(429).json({
             success: false,
             error: 'Too many failed attempts. Please try again later',
+            code: 'LOGIN_RATE_LIMITED',
           });
         }
+
+        // Deactivated users are banned in Supabase Auth
+        if (authError?.message?.includes('banned')) {
+          logger.warn('✗ Authentication failed: Account deactivated');
+          await recordLoginAttempt({ ...attempt, outcome: OUTCOMES.FAILURE, reason: 'Account deactivated' });
+          return sendAccountInactive(res);
+        }
         
-        console.error('Supabase Auth error:', authError?.message);
+        logger.error('Supabase Auth error', { error: authError });
         return res.status(401).json({
           success: false,
           error: 'Authentication failed',
@@ -103,7 +404,7 @@ router.post('/login', async (req, res) => {
       
       const userId = authData.user.id;
       
-      // Step 3: Fetch user data from Supabase database
+      // Step 5: Fetch user data from Supabase database
       const { data: userData, error: userError } = await supabase
         .from('users')
         .select('*')
@@ -111,31 +412,29 @@ router.post('/login', async (req, res) => {
         .single();
       
       if (userError || !userData) {
-        console.log('✗ Authentication failed: User data not found in database');
+        logger.warn('✗ Authentication failed: User data not found in database');
         return res.status(401).json({
           success: false,
           error: 'User data not found',
         });
       }
-      
-      console.log(`[${timestamp}] Auth Service: ✓ Authentication successful for:`, userData.username || email, 'with role:', userData.role);
-      
-      // Step 4: Return user info
-      return res.status(200).json({
-        success: true,
-        user: {
-          uid: userId,
-          username: userData.username || email.split('@')[0],
-          email: userData.email || email,
-          role: userData.role || 'employee',
-          name: userData.name,
-          department: userData.department || '',
-          position: userData.position || '',
-          workMode: userData.work_mode || 'in_office',
-        },
-      });
+
+      if (userData.is_active === false) {
+        logger.warn('✗ Authentication failed: Account deactivated');
+        await recordLoginAttempt({ ...attempt, userUid: userId, outcome: OUTCOMES.FAILURE, reason: 'Account deactivated' });
+        return sendAccountInactive(res);
+      }
+
+      // Step 6: Second factor. The password alone doesn't reset the failure count here,
+      // so wrong codes keep counting towards the lockout
+      if (userData.two_factor_enabled === true) {
+        return sendTwoFactorChallenge(res, userData);
+      }
+
+      // Step 7: A correct password resets the account's failure count; return user info
+      return completeLogin(res, { ...userData, email: userData.email || email }, attempt);
     } catch (authError) {
-      console.error('Authentication error:', authError);
+      logger.error('Authentication error', { error: authError });
       return res.status(500).json({
         success: false,
         error: 'Internal server error',
@@ -143,7 +442,7 @@ router.post('/login', async (req, res) => {
       });
     }
   } catch (error) {
-    console.error('Login error:', error);
+    logger.error('Login error', { error });
     
     return res.status(500).json({
       success: false,
@@ -153,18 +452,123 @@ router.post('/login', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/auth/login/two-factor
+ * Second login step for accounts with two-factor authentication
+ * Body: { challengeToken, code } (challengeToken from the login response; code from the authenticator app
+ * or a recovery code)
+ *
+ * Wrong codes count towards the account lockout like wrong passwords. A recovery code login reports
+ * recoveryCodesRemaining so the app can suggest generating new ones.
+ * Returns twoFactorToken, which the app sends as X-Two-Factor-Token: user management refuses enrolled
+ * users without it (see authorize)
+ */
+router.post('/login/two-factor', async (req, res) => {
+  const { challengeToken, code } = req.body || {};
+
+  try {
+    if (!challengeToken || !code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Verification code is required',
+      });
+    }
+
+    const userUid = await verifyLoginChallenge(challengeToken);
+    if (!userUid) {
+      return res.status(401).json({
+        success: false,
+        error: 'Your sign-in has expired. Please enter your password again',
+        code: 'TWO_FACTOR_CHALLENGE_EXPIRED',
+      });
+    }
+
+    const { data: userData, error: userError } = await supabase
+      .from('users')
+      .select('*')
+      .eq('uid', userUid)
+      .maybeSingle();
+    if (userError) throw userError;
+    if (!userData) {
+      return res.status(401).json({
+        success: false,
+        error: 'User data not found',
+      });
+    }
+
+    const attempt = {
+      identifier: normalizeIdentifier(userData.username),
+      userUid,
+      ip: getClientIp(req),
+      userAgent: req.get('user-agent') || null,
+    };
+    logger.info(`Two-factor login step for: ${userData.username}`, { username: userData.username });
+
+    // Throttle checks fail open, as for the password step
+    try {
+      const ipCheck = await checkIpThrottle(attempt.ip);
+      if (!ipCheck.allowed) {
+        await recordLoginAttempt({ ...attempt, outcome: OUTCOMES.BLOCKED, reason: 'IP throttled' });
+        return sendLoginDenied(res, ipCheck);
+      }
+      const lockout = await checkAccountLockout(attempt);
+      if (!lockout.allowed) {
+        await recordLoginAttempt({ ...attempt, outcome: OUTCOMES.LOCKED, reason: 'Account locked' });
+        return sendLoginDenied(res, lockout);
+      }
+    } catch (throttleError) {
+      logger.error('Login throttle check error', { error: throttleError });
+    }
+
+    if (userData.is_active === false) {
+      return sendAccountInactive(res);
+    }
+
+    const result = await verifySecondFactor(userUid, code);
+    if (!result) {
+      logger.warn(`✗ Two-factor login failed: invalid code for ${userData.username}`);
+      await recordLoginAttempt({ ...attempt, outcome: OUTCOMES.FAILURE, reason: 'Invalid two-factor code' });
+      try {
+        const lockout = await checkAccountLockout(attempt);
+        if (!lockout.allowed) {
+          return sendLoginDenied(res, lockout);
+        }
+      } catch (throttleError) {
+        logger.error('Login lockout check error', { error: throttleError });
+      }
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid verification code',
+        code: 'INVALID_TWO_FACTOR_CODE',
+      });
+    }
+
+    const twoFactorToken = await createTwoFactorSession(userUid);
+    if (result.method === 'recovery_code') {
+      logger.info(`Recovery code used by: ${userData.username} (${result.recoveryCodesRemaining} left)`, { username: userData.username });
+      return completeLogin(res, userData, attempt, { twoFactorToken, recoveryCodesRemaining: result.recoveryCodesRemaining });
+    }
+    return completeLogin(res, userData, attempt, { twoFactorToken });
+  } catch (error) {
+    logger.error('Two-factor login error', { error });
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
 /**
  * GET /api/auth/check-username/:username
  * Check if username exists
  */
 router.get('/check-username/:username', async (req, res) => {
-  const timestamp = new Date().toISOString();
   const { username } = req.params;
-  console.log(`[${timestamp}] Auth Service: Check username request for: ${username}`);
+  logger.info(`Check username request for: ${username}`);
   
   try {
     if (!username) {
-      console.log(`[${timestamp}] Auth Service: Check username failed - username missing`);
+      logger.warn('Check username failed - username missing');
       return res.status(400).json({
         success: false,
         error: 'Username is required',
@@ -179,7 +583,7 @@ router.get('/check-username/:username', async (req, res) => {
       .limit(1);
 
     if (error) {
-      console.error('Check username error:', error);
+      logger.error('Check username error', { error });
       return res.status(500).json({
         success: false,
         error: 'Internal server error',
@@ -191,7 +595,7 @@ router.get('/check-username/:username', async (req, res) => {
       exists: data && data.length > 0,
     });
   } catch (error) {
-    console.error('Check username error:', error);
+    logger.error('Check username error', { error });
     res.status(500).json({
       success: false,
       error: 'Internal server error',
@@ -199,14 +603,322 @@ router.get('/check-username/:username', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/auth/password/check
+ * Check a password against the password policy before submitting it (sign up, create user, reset)
+ * Body: { password, username, email }
+ * Reuse of old passwords is only checked when the password is actually changed
+ */
+router.post('/password/check', (req, res) => {
+  const { password, username, email } = req.body || {};
+  const errors = validatePassword(password, { username, email });
+
+  return res.status(200).json({
+    success: true,
+    valid: errors.length === 0,
+    errors,
+    policy: getPasswordPolicy(),
+  });
+});
+
+/**
+ * POST /api/auth/password
+ * Change the caller's own password
+ * Body: { currentPassword, newPassword }
+ *
+ * currentPassword is required, except in a session opened from a password recovery link (reset password).
+ * The new password must meet the password policy and must not be one of the last PASSWORD_HISTORY_COUNT
+ * passwords (400 PASSWORD_POLICY / PASSWORD_REUSED). A successful change clears must_change_password.
+ */
+router.post('/password', verifyIdentity, async (req, res) => {
+  const { currentPassword, newPassword } = req.body || {};
+  logger.info(`Password change request for uid: ${req.identity.uid}`);
+
+  try {
+    const user = await loadCaller(req, res);
+    if (!user) return;
+
+    const isRecovery = req.identity.authMethods.includes('recovery');
+    if (!currentPassword && !isRecovery) {
+      return res.status(400).json({
+        success: false,
+        error: 'Current password is required',
+      });
+    }
+    if (typeof newPassword !== 'string' || newPassword.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'New password is required',
+      });
+    }
+
+    if (currentPassword) {
+      if (!(await verifyCurrentPassword(user.email, currentPassword))) {
+        logger.warn(`✗ Password change rejected: wrong current password for ${user.username}`);
+        return res.status(400).json({
+          success: false,
+          error: 'Current password is incorrect',
+          code: 'INVALID_CURRENT_PASSWORD',
+        });
+      }
+      if (currentPassword === newPassword) {
+        return sendPasswordRejected(res, ['New password must be different from your current password'], 'PASSWORD_REUSED');
+      }
+    }
+
+    const policyErrors = validatePassword(newPassword, { username: user.username, email: user.email });
+    if (policyErrors.length > 0) {
+      return sendPasswordRejected(res, policyErrors);
+    }
+
+    if (await isRecentPassword(user.uid, newPassword)) {
+      const { historyCount } = getPasswordPolicy();
+      return sendPasswordRejected(res, [`New password must not be one of your last ${historyCount} passwords`], 'PASSWORD_REUSED');
+    }
+
+    const { error: updateError } = await supabase.auth.admin.updateUserById(user.uid, { password: newPassword });
+    if (updateError) {
+      logger.error('Password update error', { error: updateError });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to update password',
+        message: updateError.message,
+      });
+    }
+
+    await recordPasswordChange(user.uid, newPassword);
+    logger.info(`✓ Password changed for: ${user.username}${isRecovery && !currentPassword ? ' (recovery link)' : ''}`);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Password changed successfully',
+    });
+  } catch (error) {
+    logger.error('Password change error', { error });
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * GET /api/auth/two-factor
+ * The caller's two-factor status: { configured, enabled, required, enabledAt, recoveryCodesRemaining }
+ */
+router.get('/two-factor', verifyIdentity, async (req, res) => {
+  try {
+    const user = await loadCaller(req, res);
+    if (!user) return;
+
+    return res.status(200).json({
+      success: true,
+      data: await getTwoFactorStatus(user),
+    });
+  } catch (error) {
+    logger.error('Two-factor status error', { error });
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * POST /api/auth/two-factor/setup
+ * Start enrollment: returns a new secret and its otpauth:// URI for the authenticator app
+ * Nothing changes for logins until POST /two-factor/enable confirms a code. Calling this again
+ * restarts enrollment with a new secret.
+ */
+router.post('/two-factor/setup', verifyIdentity, async (req, res) => {
+  try {
+    const user = await loadCaller(req, res);
+    if (!user) return;
+
+    if (!isTwoFactorConfigured()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Two-factor authentication is not available',
+        code: 'TWO_FACTOR_UNAVAILABLE',
+      });
+    }
+    if (user.two_factor_enabled) {
+      return res.status(409).json({
+        success: false,
+        error: 'Two-factor authentication is already on. Turn it off first to use a new authenticator',
+      });
+    }
+
+    const enrollment = await startEnrollment(user);
+    logger.info(`Two-factor enrollment started for: ${user.username}`, { username: user.username });
+
+    return res.status(200).json({
+      success: true,
+      data: enrollment,
+    });
+  } catch (error) {
+    logger.error('Two-factor setup error', { error });
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * POST /api/auth/two-factor/enable
+ * Finish enrollment with the first code from the authenticator app
+ * Body: { code }
+ * Returns the recovery codes; they are only ever shown in this response. Also returns twoFactorToken,
+ * so the current session keeps access to user management (see /login/two-factor)
+ */
+router.post('/two-factor/enable', verifyIdentity, async (req, res) => {
+  const { code } = req.body || {};
+
+  try {
+    const user = await loadCaller(req, res);
+    if (!user) return;
+
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Verification code is required',
+      });
+    }
+
+    const result = await confirmEnrollment(user.uid, code);
+    if (!result.ok) {
+      if (result.reason === 'already_enabled') {
+        return res.status(409).json({
+          success: false,
+          error: 'Two-factor authentication is already on',
+        });
+      }
+      if (result.reason === 'not_started') {
+        return res.status(400).json({
+          success: false,
+          error: 'Start two-factor setup first',
+        });
+      }
+      return sendInvalidTwoFactorCode(res);
+    }
+
+    logger.info(`✓ Two-factor authentication enabled for: ${user.username}`, { username: user.username });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication is on. Keep your recovery codes somewhere safe',
+      data: {
+        recoveryCodes: result.recoveryCodes,
+        twoFactorToken: await createTwoFactorSession(user.uid),
+      },
+    });
+  } catch (error) {
+    logger.error('Two-factor enable error', { error });
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * POST /api/auth/two-factor/recovery-codes
+ * Replace the caller's recovery codes (the old ones stop working)
+ * Body: { code } - current authenticator or recovery code
+ */
+router.post('/two-factor/recovery-codes', verifyIdentity, async (req, res) => {
+  const { code } = req.body || {};
+
+  try {
+    const user = await loadCaller(req, res);
+    if (!user) return;
+
+    if (!user.two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not on',
+      });
+    }
+    if (!code || !(await verifySecondFactor(user.uid, code))) {
+      return sendInvalidTwoFactorCode(res);
+    }
+
+    const recoveryCodes = await issueRecoveryCodes(user.uid);
+    logger.info(`Recovery codes regenerated for: ${user.username}`, { username: user.username });
+
+    return res.status(200).json({
+      success: true,
+      message: 'New recovery codes created. The old ones no longer work',
+      data: {
+        recoveryCodes,
+      },
+    });
+  } catch (error) {
+    logger.error('Recovery code regeneration error', { error });
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * POST /api/auth/two-factor/disable
+ * Turn off two-factor authentication for the caller
+ * Body: { code } - current authenticator or recovery code
+ * Not allowed for roles the org policy requires to use it (TWO_FACTOR_REQUIRED_ROLES)
+ */
+router.post('/two-factor/disable', verifyIdentity, async (req, res) => {
+  const { code } = req.body || {};
+
+  try {
+    const user = await loadCaller(req, res);
+    if (!user) return;
+
+    if (!user.two_factor_enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Two-factor authentication is not on',
+      });
+    }
+    if (isTwoFactorRequired(user.role)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Your role requires two-factor authentication',
+        code: 'TWO_FACTOR_REQUIRED_BY_POLICY',
+      });
+    }
+    if (!code || !(await verifySecondFactor(user.uid, code))) {
+      return sendInvalidTwoFactorCode(res);
+    }
+
+    await disableTwoFactor(user.uid);
+    logger.info(`Two-factor authentication disabled by: ${user.username}`, { username: user.username });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Two-factor authentication is off',
+    });
+  } catch (error) {
+    logger.error('Two-factor disable error', { error });
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
 /**
  * POST /api/auth/users
  * Create a new user
- * Body: { username, password, email, name, role, department, position, workMode, hireDate }
+ * Requires: users:create (super_admin, HR admin)
+ * Body: { username, password, email, name, role, department, position, workMode, hireDate, mustChangePassword }
+ * The password must meet the password policy (400 PASSWORD_POLICY with every violation otherwise);
+ * mustChangePassword (default false) makes the user choose a new one at first login
  */
-router.post('/users', async (req, res) => {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] Auth Service: Create user request received for:`, req.body.username || 'unknown');
+router.post('/users', verifyIdentity, authorize(PERMISSIONS.USERS_CREATE), async (req, res) => {
+  logger.info(`Create user request received for: ${req.body?.username || 'unknown'}`);
   
   try {
     const {
@@ -219,16 +931,37 @@ router.post('/users', async (req, res) => {
       position,
       workMode,
       hireDate,
-    } = req.body;
+      mustChangePassword = false,
+    } = req.body || {};
 
     if (!username || !password || !email || !role) {
-      console.log(`[${timestamp}] Auth Service: Create user failed - missing required fields`);
+      logger.warn('Create user failed - missing required fields');
       return res.status(400).json({
         success: false,
         error: 'Username, password, email, and role are required',
       });
     }
 
+    if (!VALID_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Role must be one of: ${VALID_ROLES.join(', ')}`,
+      });
+    }
+
+    if (typeof mustChangePassword !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: '"mustChangePassword" must be true or false',
+      });
+    }
+
+    const passwordErrors = validatePassword(password, { username, email });
+    if (passwordErrors.length > 0) {
+      logger.warn('Create user failed - password does not meet the policy');
+      return sendPasswordRejected(res, passwordErrors);
+    }
+
     // Create user in Supabase Auth using Admin API
     const { data: authUser, error: authError } = await supabase.auth.admin.createUser({
       email: email,
@@ -257,7 +990,7 @@ router.post('/users', async (req, res) => {
         });
       }
       
-      console.error('Create user auth error:', authError);
+      logger.error('Create user auth error', { error: authError });
       return res.status(500).json({
         success: false,
         error: 'Failed to create user',
@@ -279,6 +1012,8 @@ router.post('/users', async (req, res) => {
         work_mode: workMode || 'in_office',
         hire_date: hireDate || new Date().toISOString().split('T')[0],
         is_active: true,
+        must_change_password: mustChangePassword,
+        password_changed_at: new Date().toISOString(),
       })
       .select()
       .single();
@@ -287,36 +1022,233 @@ router.post('/users', async (req, res) => {
       // If database insert fails, try to delete the auth user
       await supabase.auth.admin.deleteUser(authUser.user.id);
       
-      console.error('Create user database error:', dbError);
+      logger.error('Create user database error', { error: dbError });
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to create user profile',
+        message: dbError.message,
+      });
+    }
+
+    // Start the password history, so the user can't "change" back to the password they were given
+    try {
+      await recordPasswordHistory(authUser.user.id, password, req.actor.username);
+    } catch (historyError) {
+      logger.error('Failed to record password history', { error: historyError });
+    }
+
+    logger.info(`✓ User created: ${username} with role: ${role}`, { username, role });
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.USER_CREATE,
+      targetType: 'user',
+      targetId: authUser.user.id,
+      targetLabel: username,
+      after: {
+        email,
+        name: userData.name,
+        role,
+        department: userData.department,
+        position: userData.position,
+        work_mode: userData.work_mode,
+        hire_date: userData.hire_date,
+        must_change_password: mustChangePassword,
+      },
+    });
+
+    return res.status(201).json({
+      success: true,
+      user: {
+        uid: authUser.user.id,
+        username: username,
+        email: email,
+        role: role,
+        name: name || username,
+        department: department || '',
+        position: position || '',
+        workMode: workMode || 'in_office',
+        mustChangePassword,
+      },
+    });
+  } catch (error) {
+    logger.error('Create user error', { error });
+    
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/auth/users/import
+ * Create many users at once from CSV or JSON rows
+ * Requires: users:create (super_admin, HR admin)
+ * Body: { mode: 'dry-run' | 'apply', rows: [{ name, email, username, role, department, position, workMode, hireDate, password }],
+ *   allowNewDepartments: boolean } or CSV (Content-Type: text/csv, ?mode=&allowNewDepartments=)
+ *
+ * dry-run (default) validates every row and reports per-row errors without writing anything.
+ * apply validates again and creates all users or, if any row is invalid or creation fails, none of them.
+ */
+router.post(
+  '/users/import',
+  express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }),
+  verifyIdentity,
+  authorize(PERMISSIONS.USERS_CREATE),
+  async (req, res) => {
+    const isCSV = typeof req.body === 'string';
+    const body = isCSV ? {} : (req.body || {});
+    const mode = req.query.mode || body.mode || 'dry-run';
+    const allowNewDepartments = req.query.allowNewDepartments === 'true' || body.allowNewDepartments === true;
+    logger.info(`User import (${mode}, ${isCSV ? 'csv' : 'json'}) requested by ${req.actor.username}`);
+
+    try {
+      if (!['dry-run', 'apply'].includes(mode)) {
+        return res.status(400).json({
+          success: false,
+          error: 'mode must be dry-run or apply',
+        });
+      }
+
+      let input;
+      try {
+        input = readImportRows(isCSV ? { csv: req.body } : { rows: body.rows, csv: body.csv });
+      } catch (error) {
+        if (error.status !== 400) throw error;
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+        });
+      }
+
+      const results = await validateImportRows(req.actor, input.rows, { allowNewDepartments });
+      const invalid = results.filter(result => result.status === 'invalid');
+      const report = results.map(({ user, ...result }) => result);
+      const summary = { total: results.length, valid: results.length - invalid.length, invalid: invalid.length };
+
+      if (mode === 'dry-run') {
+        logger.info(`User import dry run - ${summary.valid} valid, ${summary.invalid} invalid`);
+        return res.status(200).json({
+          success: true,
+          mode,
+          valid: invalid.length === 0,
+          summary,
+          ignoredColumns: input.ignoredColumns,
+          rows: report,
+        });
+      }
+
+      if (invalid.length > 0) {
+        logger.info(`User import rejected - ${summary.invalid} invalid row(s)`);
+        return res.status(400).json({
+          success: false,
+          error: `${summary.invalid} of ${summary.total} rows failed validation; no users were created`,
+          mode,
+          summary,
+          ignoredColumns: input.ignoredColumns,
+          rows: report,
+        });
+      }
+
+      try {
+        const { users, credentials } = await applyImport(results, { importedBy: req.actor.username });
+        logger.info(`✓ Imported ${users.length} users`);
+        await recordAudit(req, {
+          action: AUDIT_ACTIONS.USER_IMPORT,
+          targetType: 'user',
+          targetLabel: `${users.length} users`,
+          metadata: {
+            usernames: users.map(user => user.username),
+            format: isCSV ? 'csv' : 'json',
+          },
+        });
+        return res.status(201).json({
+          success: true,
+          mode,
+          summary: { ...summary, created: users.length },
+          users,
+          // Generated passwords are only ever returned here; share them securely
+          credentials,
+        });
+      } catch (error) {
+        if (error.rolledBack === undefined) throw error;
+        logger.error('✗ User import rolled back', { error });
+        return res.status(500).json({
+          success: false,
+          error: 'Import failed; no users were created',
+          message: error.message,
+          failedRow: error.row,
+          rolledBack: error.rolledBack,
+          // Auth users that could not be deleted and need cleaning up by hand
+          orphanedAuthUsers: error.orphanedAuthUsers,
+        });
+      }
+    } catch (error) {
+      logger.error('User import error', { error });
       return res.status(500).json({
         success: false,
-        error: 'Failed to create user profile',
-        message: dbError.message,
+        error: 'Internal server error',
+        message: error.message,
       });
     }
+  }
+);
 
-    console.log(`[${timestamp}] Auth Service: ✓ User created:`, username, 'with role:', role);
+/**
+ * GET /api/auth/users/export
+ * Export users in the import format
+ * Requires: users:export (super_admin, HR admin, manager within own department)
+ * Query: format (csv | json, default csv), department, includeInactive (true adds an is_active column)
+ */
+router.get('/users/export', verifyIdentity, authorize(PERMISSIONS.USERS_EXPORT), async (req, res) => {
+  const timestamp = new Date().toISOString();
+  const format = req.query.format || 'csv';
+  const includeInactive = req.query.includeInactive === 'true';
+  let department = req.query.department || null;
+  logger.info(`User export (${format}) requested by ${req.actor.username}`);
 
-    return res.status(201).json({
-      success: true,
-      user: {
-        uid: authUser.user.id,
-        username: username,
-        email: email,
-        role: role,
-        name: name || username,
-        department: department || '',
-        position: position || '',
-        workMode: workMode || 'in_office',
-      },
-    });
+  try {
+    if (!['csv', 'json'].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'format must be csv or json',
+      });
+    }
+
+    // Department-scoped callers only export their own department
+    if (getPermissionScope(req.actor, PERMISSIONS.USERS_EXPORT) === SCOPES.DEPARTMENT) {
+      if (department && department !== req.actor.department) {
+        return res.status(403).json({
+          success: false,
+          error: 'You can only export users in your own department',
+          code: 'FORBIDDEN',
+        });
+      }
+      department = req.actor.department;
+    }
+
+    const users = await exportUsers({ department, includeInactive });
+    logger.info(`✓ Exported ${users.length} users`);
+
+    if (format === 'json') {
+      return res.status(200).json({
+        success: true,
+        count: users.length,
+        users,
+      });
+    }
+
+    const columns = includeInactive ? [...USER_COLUMNS, { key: 'isActive', header: 'is_active' }] : USER_COLUMNS;
+    const filename = `users${department ? `-${department.toLowerCase().replace(/[^a-z0-9]+/g, '-')}` : ''}-${timestamp.split('T')[0]}.csv`;
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    return res.status(200).send(toCSV(columns, users));
   } catch (error) {
-    console.error('Create user error:', error);
-    
+    logger.error('User export error', { error });
     return res.status(500).json({
       success: false,
       error: 'Internal server error',
-      message: error.message,
     });
   }
 });
@@ -324,23 +1256,30 @@ router.post('/users', async (req, res) => {
 /**
  * PATCH /api/auth/users/:username/role
  * Update user role
+ * Requires: users:update_role (super_admin, HR admin, manager within own department)
  * Body: { role: string }
  */
-router.patch('/users/:username/role', async (req, res) => {
-  const timestamp = new Date().toISOString();
+router.patch('/users/:username/role', verifyIdentity, authorize(PERMISSIONS.USERS_UPDATE_ROLE), async (req, res) => {
   const { username } = req.params;
-  const { role } = req.body;
-  console.log(`[${timestamp}] Auth Service: Update role request for: ${username} -> ${role}`);
+  const { role } = req.body || {};
+  logger.info(`Update role request for: ${username} -> ${role}`);
   
   try {
     if (!username || !role) {
-      console.log(`[${timestamp}] Auth Service: Update role failed - missing username or role`);
+      logger.warn('Update role failed - missing username or role');
       return res.status(400).json({
         success: false,
         error: 'Username and role are required',
       });
     }
 
+    if (!VALID_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Role must be one of: ${VALID_ROLES.join(', ')}`,
+      });
+    }
+
     // Update role in Supabase database
     const { data, error } = await supabase
       .from('users')
@@ -352,7 +1291,7 @@ router.patch('/users/:username/role', async (req, res) => {
       .select();
 
     if (error) {
-      console.error('Update role error:', error);
+      logger.error('Update role error', { error });
       return res.status(500).json({
         success: false,
         error: 'Internal server error',
@@ -366,14 +1305,23 @@ router.patch('/users/:username/role', async (req, res) => {
       });
     }
 
-    console.log(`[${timestamp}] Auth Service: ✓ User role updated:`, username, 'to', role);
+    logger.info(`✓ User role updated: ${username} to ${role}`, { username, role });
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.USER_ROLE_CHANGE,
+      targetType: 'user',
+      targetId: data[0].uid,
+      targetLabel: username,
+      before: { role: req.targetUser.role },
+      after: { role },
+    });
 
     return res.status(200).json({
       success: true,
       message: 'User role updated successfully',
     });
   } catch (error) {
-    console.error('Update role error:', error);
+    logger.error('Update role error', { error });
     res.status(500).json({
       success: false,
       error: 'Internal server error',
@@ -383,15 +1331,15 @@ router.patch('/users/:username/role', async (req, res) => {
 
 /**
  * PATCH /api/auth/users/:username/email
- * Update user email (requires admin privileges)
+ * Update user email
+ * Requires: users:update_email (super_admin, HR admin)
  * Body: { email: string }
  */
-router.patch('/users/:username/email', async (req, res) => {
-  const timestamp = new Date().toISOString();
+router.patch('/users/:username/email', verifyIdentity, authorize(PERMISSIONS.USERS_UPDATE_EMAIL), async (req, res) => {
   const { username } = req.params;
-  const { email } = req.body;
+  const { email } = req.body || {};
   
-  console.log(`[${timestamp}] Auth Service: Update email request for: ${username} -> ${email}`);
+  logger.info(`Update email request for: ${username} -> ${email}`);
   
   try {
     if (!username || !email) {
@@ -434,7 +1382,7 @@ router.patch('/users/:username/email', async (req, res) => {
     );
 
     if (authError) {
-      console.error('Update email in Auth error:', authError);
+      logger.error('Update email in Auth error', { error: authError });
       return res.status(500).json({
         success: false,
         error: authError.message || 'Failed to update email in Auth',
@@ -452,14 +1400,23 @@ router.patch('/users/:username/email', async (req, res) => {
       .select();
 
     if (dbError) {
-      console.error('Update email in database error:', dbError);
+      logger.error('Update email in database error', { error: dbError });
       return res.status(500).json({
         success: false,
         error: 'Failed to update email in database',
       });
     }
 
-    console.log(`[${timestamp}] Auth Service: ✓ User email updated: ${username} -> ${email}`);
+    logger.info(`✓ User email updated: ${username} -> ${email}`);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.USER_EMAIL_CHANGE,
+      targetType: 'user',
+      targetId: userData.uid,
+      targetLabel: username,
+      before: { email: userData.email },
+      after: { email },
+    });
 
     return res.status(200).json({
       success: true,
@@ -471,7 +1428,7 @@ router.patch('/users/:username/email', async (req, res) => {
       },
     });
   } catch (error) {
-    console.error('Update email error:', error);
+    logger.error('Update email error', { error });
     return res.status(500).json({
       success: false,
       error: 'Internal server error',
@@ -482,52 +1439,96 @@ router.patch('/users/:username/email', async (req, res) => {
 /**
  * PATCH /api/auth/users/:username
  * Update user information
- * Body: { ...updates }
+ * Requires: users:update (super_admin, HR admin, manager within own department);
+ * changing role also requires users:update_role, and department-scoped callers can't move users out of their department
+ * Body: { name?, department?, position?, role?, workMode?, hireDate? }
  */
-router.patch('/users/:username', async (req, res) => {
-  const timestamp = new Date().toISOString();
+router.patch('/users/:username', verifyIdentity, authorize(PERMISSIONS.USERS_UPDATE), async (req, res) => {
   const { username } = req.params;
-  const updates = req.body;
-  console.log(`[${timestamp}] Auth Service: Update user request for: ${username}`, { updates: Object.keys(updates) });
+  // Express leaves req.body undefined without a JSON body
+  const updates = req.body || {};
+  logger.info(`Update user request for: ${username}`, { updates: Object.keys(updates) });
   
   try {
     if (!username) {
-      console.log(`[${timestamp}] Auth Service: Update user failed - username missing`);
+      logger.warn('Update user failed - username missing');
       return res.status(400).json({
         success: false,
         error: 'Username is required',
       });
     }
 
-    if (!updates || Object.keys(updates).length === 0) {
-      console.log(`[${timestamp}] Auth Service: Update user failed - no update data`);
+    if (Object.keys(updates).length === 0) {
+      logger.warn('Update user failed - no update data');
       return res.status(400).json({
         success: false,
         error: 'Update data is required',
       });
     }
 
-    // Convert camelCase to snake_case for database fields
-    const dbUpdates = {};
-    if (updates.workMode !== undefined) {
-      dbUpdates.work_mode = updates.workMode;
+    const protectedFields = Object.keys(updates).filter(key => PROTECTED_USER_FIELDS.includes(key));
+    if (protectedFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `These fields cannot be changed here: ${protectedFields.join(', ')}`,
+      });
+    }
+
+    const passwordFields = Object.keys(updates).filter(key => PASSWORD_USER_FIELDS.includes(key));
+    if (passwordFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Use POST /api/auth/users/${username}/require-password-change to change: ${passwordFields.join(', ')}`,
+      });
+    }
+
+    const twoFactorFields = Object.keys(updates).filter(key => TWO_FACTOR_USER_FIELDS.includes(key));
+    if (twoFactorFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Two-factor authentication is turned on by the user; use POST /api/auth/users/${username}/two-factor/reset to turn it off`,
+      });
     }
-    if (updates.hireDate !== undefined) {
-      dbUpdates.hire_date = updates.hireDate;
+
+    const statusFields = Object.keys(updates).filter(key => STATUS_USER_FIELDS.includes(key));
+    if (statusFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Use POST /api/auth/users/${username}/deactivate or /reactivate to change: ${statusFields.join(', ')}`,
+      });
     }
-    if (updates.isActive !== undefined) {
-      dbUpdates.is_active = updates.isActive;
+
+    const unknownFields = Object.keys(updates).filter(key => !EDITABLE_USER_FIELDS[key]);
+    if (unknownFields.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `These fields cannot be changed: ${unknownFields.join(', ')}. Editable fields: ${Object.keys(EDITABLE_USER_FIELDS).join(', ')}`,
+      });
     }
-    
-    // Copy other fields as-is (they should already be in correct format)
+
+    if (updates.role !== undefined && !VALID_ROLES.includes(updates.role)) {
+      return res.status(400).json({
+        success: false,
+        error: `Role must be one of: ${VALID_ROLES.join(', ')}`,
+      });
+    }
+
+    // Map request keys to database columns (camelCase or snake_case)
+    const dbUpdates = {};
     Object.keys(updates).forEach(key => {
-      if (!['workMode', 'hireDate', 'isActive'].includes(key)) {
-        dbUpdates[key] = updates[key];
-      }
+      dbUpdates[EDITABLE_USER_FIELDS[key]] = updates[key];
     });
-    
+
+    const changedFields = Object.keys(dbUpdates);
     dbUpdates.updated_at = new Date().toISOString();
 
+    // Current values, for the audit log
+    const { data: previous } = await supabase
+      .from('users')
+      .select('*')
+      .eq('username', username)
+      .maybeSingle();
+
     // Update user data in Supabase database
     const { data, error } = await supabase
       .from('users')
@@ -536,7 +1537,7 @@ router.patch('/users/:username', async (req, res) => {
       .select();
 
     if (error) {
-      console.error('Update user error:', error);
+      logger.error('Update user error', { error });
       return res.status(500).json({
         success: false,
         error: 'Internal server error',
@@ -550,14 +1551,24 @@ router.patch('/users/:username', async (req, res) => {
       });
     }
 
-    console.log(`[${timestamp}] Auth Service: ✓ User info updated:`, username);
+    logger.info(`✓ User info updated: ${username}`);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.USER_UPDATE,
+      targetType: 'user',
+      targetId: data[0].uid,
+      targetLabel: username,
+      before: previous,
+      after: data[0],
+      fields: changedFields,
+    });
 
     return res.status(200).json({
       success: true,
       message: 'User information updated successfully',
     });
   } catch (error) {
-    console.error('Update user error:', error);
+    logger.error('Update user error', { error });
     res.status(500).json({
       success: false,
       error: 'Internal server error',
@@ -565,4 +1576,334 @@ router.patch('/users/:username', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/auth/users/:username/unlock
+ * Clear a login lockout (failed attempts before the unlock no longer count)
+ * Requires: users:unlock (super_admin, HR admin)
+ */
+router.post('/users/:username/unlock', verifyIdentity, authorize(PERMISSIONS.USERS_UNLOCK), async (req, res) => {
+  const { username } = req.params;
+  logger.info(`Unlock request for: ${username} by ${req.actor.username}`);
+
+  try {
+    const target = req.targetUser;
+    const lockedUntil = await getAccountLockedUntil({ identifier: normalizeIdentifier(username), userUid: target.uid });
+
+    await unlockAccount({
+      username: target.username,
+      userUid: target.uid,
+      ip: getClientIp(req),
+      unlockedBy: req.actor.username,
+    });
+
+    logger.info(`✓ Login unlocked for: ${username}${lockedUntil ? ` (was locked until ${lockedUntil.toISOString()})` : ' (was not locked)'}`);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.USER_UNLOCK,
+      targetType: 'user',
+      targetId: target.uid,
+      targetLabel: target.username,
+      metadata: { lockedUntil: lockedUntil ? lockedUntil.toISOString() : null },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: lockedUntil ? 'Account unlocked successfully' : 'Account was not locked; failed attempts have been reset',
+      data: {
+        username: target.username,
+        wasLocked: Boolean(lockedUntil),
+        lockedUntil: lockedUntil ? lockedUntil.toISOString() : null,
+      },
+    });
+  } catch (error) {
+    logger.error('Unlock user error', { error });
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * POST /api/auth/users/:username/require-password-change
+ * Make a user choose a new password at their next login, or withdraw that requirement
+ * Requires: users:require_password_change (super_admin, HR admin)
+ * Body: { required: boolean } (default true)
+ */
+router.post('/users/:username/require-password-change', verifyIdentity, authorize(PERMISSIONS.USERS_REQUIRE_PASSWORD_CHANGE), async (req, res) => {
+  const { username } = req.params;
+  const { required = true } = req.body || {};
+  logger.info(`Require password change request for: ${username} by ${req.actor.username}`, { required });
+
+  try {
+    if (typeof required !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: '"required" must be true or false',
+      });
+    }
+
+    const { error } = await supabase
+      .from('users')
+      .update({ must_change_password: required, updated_at: new Date().toISOString() })
+      .eq('uid', req.targetUser.uid);
+
+    if (error) {
+      logger.error('Require password change error', { error });
+      return res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+      });
+    }
+
+    logger.info(`✓ Password change ${required ? 'required' : 'no longer required'} for: ${username}`);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.USER_REQUIRE_PASSWORD_CHANGE,
+      targetType: 'user',
+      targetId: req.targetUser.uid,
+      targetLabel: req.targetUser.username,
+      metadata: { required },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: required
+        ? 'The user will be asked to choose a new password at their next login'
+        : 'The user is no longer required to change their password',
+      data: {
+        username: req.targetUser.username,
+        mustChangePassword: required,
+      },
+    });
+  } catch (error) {
+    logger.error('Require password change error', { error });
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * POST /api/auth/users/:username/two-factor/reset
+ * Turn off a user's two-factor authentication (lost authenticator and recovery codes)
+ * Requires: users:reset_two_factor (super_admin, HR admin)
+ * Users whose role requires it set it up again at their next login
+ */
+router.post('/users/:username/two-factor/reset', verifyIdentity, authorize(PERMISSIONS.USERS_RESET_TWO_FACTOR), async (req, res) => {
+  const { username } = req.params;
+  logger.info(`Two-factor reset request for: ${username} by ${req.actor.username}`);
+
+  try {
+    const { data: target, error } = await supabase
+      .from('users')
+      .select('two_factor_enabled')
+      .eq('uid', req.targetUser.uid)
+      .maybeSingle();
+    if (error) throw error;
+
+    const wasEnabled = target?.two_factor_enabled === true;
+    await disableTwoFactor(req.targetUser.uid);
+
+    logger.info(`✓ Two-factor authentication reset for: ${username}`, { wasEnabled });
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.USER_TWO_FACTOR_RESET,
+      targetType: 'user',
+      targetId: req.targetUser.uid,
+      targetLabel: req.targetUser.username,
+      before: { two_factor_enabled: wasEnabled },
+      after: { two_factor_enabled: false },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: wasEnabled
+        ? 'Two-factor authentication has been turned off for this user'
+        : 'This user did not have two-factor authentication on',
+      data: {
+        username: req.targetUser.username,
+        wasEnabled,
+      },
+    });
+  } catch (error) {
+    logger.error('Two-factor reset error', { error });
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+    });
+  }
+});
+
+/**
+ * POST /api/auth/users/:username/deactivate
+ * Offboard a user: disable sign-in, hand their open tickets and pending leave approvals
+ * to a successor, close an open check-in and mark them inactive
+ * Requires: users:deactivate (super_admin, HR admin)
+ * Body: { successor?: string, effectiveDate?: 'YYYY-MM-DD' (default today), reason?: string }
+ *   successor is required when the user has open tickets or pending leave approvals
+ */
+router.post('/users/:username/deactivate', verifyIdentity, authorize(PERMISSIONS.USERS_DEACTIVATE), async (req, res) => {
+  const { username } = req.params;
+  const { successor: successorUsername, reason } = req.body || {};
+  logger.info(`Deactivate request for: ${username} by ${req.actor.username}`);
+
+  const target = req.targetUser;
+
+  if (target.uid === req.actor.uid) {
+    return res.status(400).json({
+      success: false,
+      error: 'You cannot deactivate your own account',
+    });
+  }
+
+  if (target.is_active === false) {
+    return res.status(409).json({
+      success: false,
+      error: 'User is already deactivated',
+      code: 'ALREADY_INACTIVE',
+    });
+  }
+
+  if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'reason must be a string',
+    });
+  }
+
+  let effectiveDate;
+  let successor;
+  try {
+    effectiveDate = resolveEffectiveDate(req.body?.effectiveDate);
+    const handover = await getHandoverCounts(target.username);
+    successor = await resolveSuccessor(target, successorUsername, handover);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+    logger.error('Deactivate user error', { error });
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+    });
+  }
+
+  try {
+    const result = await deactivateUser({
+      target,
+      actor: req.actor,
+      successor,
+      effectiveDate,
+      reason: reason ? reason.trim() : null,
+    });
+
+    logger.info(`✓ User deactivated: ${username} (effective ${effectiveDate}, ${result.ticketsReassigned} ticket(s) and ${result.leaveRequestsReassigned} leave approval(s) to ${result.successor || 'nobody'}${result.checkout ? ', open check-in closed' : ''})`);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.USER_DEACTIVATE,
+      targetType: 'user',
+      targetId: target.uid,
+      targetLabel: target.username,
+      before: { is_active: true },
+      after: { is_active: false },
+      metadata: {
+        effectiveDate,
+        reason: reason ? reason.trim() : null,
+        successor: result.successor || null,
+        ticketsReassigned: result.ticketsReassigned,
+        leaveRequestsReassigned: result.leaveRequestsReassigned,
+      },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'User deactivated successfully',
+      data: {
+        username: target.username,
+        deactivatedBy: req.actor.username,
+        ...result,
+      },
+    });
+  } catch (error) {
+    logger.error('Deactivate user error', { error, completedSteps: error.completed });
+    return res.status(500).json({
+      success: false,
+      error: 'Deactivation did not finish. The user is still active; please try again',
+      message: error.message,
+      completedSteps: error.completed || [],
+    });
+  }
+});
+
+/**
+ * POST /api/auth/users/:username/reactivate
+ * Restore a deactivated user's access (reassigned work stays with the successor)
+ * Requires: users:deactivate (super_admin, HR admin)
+ * Body: { reason?: string }
+ */
+router.post('/users/:username/reactivate', verifyIdentity, authorize(PERMISSIONS.USERS_DEACTIVATE), async (req, res) => {
+  const { username } = req.params;
+  const { reason } = req.body || {};
+  logger.info(`Reactivate request for: ${username} by ${req.actor.username}`);
+
+  const target = req.targetUser;
+
+  if (target.is_active !== false) {
+    return res.status(409).json({
+      success: false,
+      error: 'User is already active',
+      code: 'ALREADY_ACTIVE',
+    });
+  }
+
+  if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'reason must be a string',
+    });
+  }
+
+  try {
+    const result = await reactivateUser({
+      target,
+      actor: req.actor,
+      reason: reason ? reason.trim() : null,
+    });
+
+    logger.info(`✓ User reactivated: ${username}`);
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.USER_REACTIVATE,
+      targetType: 'user',
+      targetId: target.uid,
+      targetLabel: target.username,
+      before: { is_active: false },
+      after: { is_active: true },
+      metadata: { reason: reason ? reason.trim() : null },
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'User reactivated successfully',
+      data: {
+        username: target.username,
+        reactivatedBy: req.actor.username,
+        ...result,
+      },
+    });
+  } catch (error) {
+    logger.error('Reactivate user error', { error });
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message,
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,183 @@
+/**
+ * Audit Log - Append-only record of administrative changes (audit_log table)
+ *
+ * Routes call recordAudit() after a change succeeds, with the target's values before and after; only
+ * the fields that changed are stored. The mobile app records its own changes (manual attendance, office
+ * location, attendance settings, leave approvals) through the record_audit_event database function, and
+ * the reporting service records report schedule changes. GET /api/audit reads them all.
+ */
+const { supabase } = require('../config/supabase');
+const { logger } = require('@attendance/shared/logger');
+const { getClientIp } = require('./loginThrottle');
+
+const log = logger.child({ component: 'AuditLog' });
+
+const AUDIT_SOURCE = 'auth-service';
+
+// Actions written by this service (<area>.<verb>)
+const AUDIT_ACTIONS = {
+  USER_CREATE: 'user.create',
+  USER_IMPORT: 'user.import',
+  USER_UPDATE: 'user.update',
+  USER_ROLE_CHANGE: 'user.role_change',
+  USER_EMAIL_CHANGE: 'user.email_change',
+  USER_UNLOCK: 'user.unlock',
+  USER_REQUIRE_PASSWORD_CHANGE: 'user.require_password_change',
+  USER_TWO_FACTOR_RESET: 'user.two_factor_reset',
+  USER_DEACTIVATE: 'user.deactivate',
+  USER_REACTIVATE: 'user.reactivate',
+};
+
+const LIST_PAGE_SIZE_DEFAULT = 50;
+const LIST_PAGE_SIZE_MAX = 200;
+
+/**
+ * Compare two versions of a record
+ * @param {Object|null} before - Values before the change (null for creation)
+ * @param {Object|null} after - Values after the change (null for deletion)
+ * @param {Array<string>} [fields] - Fields to compare (default: every field of either version)
+ * @returns {Object} { field: { before, after } } for the fields that differ
+ */
+function diffChanges(before, after, fields) {
+  const keys = fields || [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+  const changes = {};
+
+  for (const key of keys) {
+    const oldValue = before?.[key] ?? null;
+    const newValue = after?.[key] ?? null;
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes[key] = { before: oldValue, after: newValue };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Record one administrative change
+ * Never throws: the change has already been made, so a logging failure must not fail the request
+ * @param {Object} req - Express request (req.actor is set by authorize)
+ * @param {Object} entry - { action, targetType, targetId, targetLabel, before, after, fields, metadata }
+ * @returns {Promise<void>}
+ */
+async function recordAudit(req, { action, targetType, targetId = null, targetLabel = null, before = null, after = null, fields, metadata = {} }) {
+  const actor = req.actor || {};
+
+  try {
+    const { error } = await supabase
+      .from('audit_log')
+      .insert({
+        actor_uid: actor.uid || req.identity?.uid || null,
+        actor_username: actor.username || null,
+        actor_role: actor.role || null,
+        action,
+        target_type: targetType,
+        target_id: targetId === null ? null : String(targetId),
+        target_label: targetLabel,
+        changes: diffChanges(before, after, fields),
+        metadata,
+        source: AUDIT_SOURCE,
+        ip_address: getClientIp(req),
+        user_agent: req.get('user-agent') || null,
+      });
+
+    if (error) throw error;
+  } catch (error) {
+    log.error(`Error recording audit entry ${action} on ${targetType} ${targetLabel || targetId}`, { error });
+  }
+}
+
+/**
+ * Quote a value for a PostgREST or() filter
+ * @param {string} value - Raw value
+ * @returns {string} Double-quoted value
+ */
+function quoteFilterValue(value) {
+  return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Escape LIKE wildcards so a value matches literally
+ * @param {string} value - Raw value
+ * @returns {string} Escaped value
+ */
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, match => `\\${match}`);
+}
+
+/**
+ * Convert an audit_log row to the API format
+ * @param {Object} row - Database row
+ * @returns {Object} Entry
+ */
+function toAuditEntry(row) {
+  return {
+    id: row.id,
+    createdAt: row.created_at,
+    actor: {
+      uid: row.actor_uid,
+      username: row.actor_username,
+      role: row.actor_role,
+    },
+    action: row.action,
+    target: {
+      type: row.target_type,
+      id: row.target_id,
+      label: row.target_label,
+    },
+    changes: row.changes || {},
+    metadata: row.metadata || {},
+    source: row.source,
+    ipAddress: row.ip_address,
+    userAgent: row.user_agent,
+    device: row.device,
+  };
+}
+
+/**
+ * List audit entries, newest first
+ * @param {Object} filters - { page, pageSize, actor, action, targetType, target, from, to }
+ *   actor: username (case-insensitive); action: full action or an area ("user" matches user.*);
+ *   target: target ID or label (case-insensitive); from/to: Dates on created_at
+ * @returns {Promise<{entries: Array, total: number, page: number, pageSize: number}>} Page of entries
+ */
+async function listAuditLog({ page = 1, pageSize = LIST_PAGE_SIZE_DEFAULT, actor, action, targetType, target, from, to } = {}) {
+  const size = Math.min(Math.max(parseInt(pageSize, 10) || LIST_PAGE_SIZE_DEFAULT, 1), LIST_PAGE_SIZE_MAX);
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const offset = (pageNumber - 1) * size;
+
+  let query = supabase
+    .from('audit_log')
+    .select('*', { count: 'exact' })
+    .order('created_at', { ascending: false })
+    .range(offset, offset + size - 1);
+
+  if (actor) query = query.ilike('actor_username', escapeLike(actor));
+  if (action) {
+    query = action.includes('.')
+      ? query.eq('action', action)
+      : query.like('action', `${escapeLike(action)}.%`);
+  }
+  if (targetType) query = query.eq('target_type', targetType);
+  if (target) {
+    query = query.or(`target_id.eq.${quoteFilterValue(target)},target_label.ilike.${quoteFilterValue(escapeLike(target))}`);
+  }
+  if (from) query = query.gte('created_at', from.toISOString());
+  if (to) query = query.lte('created_at', to.toISOString());
+
+  const { data, error, count } = await query;
+  if (error) throw error;
+
+  return {
+    entries: (data || []).map(toAuditEntry),
+    total: count || 0,
+    page: pageNumber,
+    pageSize: size,
+  };
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  diffChanges,
+  recordAudit,
+  listAuditLog,
+};
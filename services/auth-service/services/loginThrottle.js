@@ -0,0 +1,207 @@
+/**
+ * Login Throttle - Brute-force protection for POST /api/auth/login
+ *
+ * Every login attempt is logged in the login_attempts table. Two sliding windows are checked
+ * against that log before a password is tried:
+ *   - per IP:      LOGIN_MAX_IP_FAILURES failures within LOGIN_IP_WINDOW_MINUTES block the IP until the
+ *                  oldest of them leaves the window (429 LOGIN_RATE_LIMITED)
+ *   - per account: LOGIN_MAX_FAILURES failures within LOGIN_WINDOW_MINUTES lock the account for
+ *                  LOGIN_LOCKOUT_MINUTES after the last one (423 ACCOUNT_LOCKED)
+ * A successful login or an admin unlock resets the account count.
+ *
+ * Accounts are keyed by user UID when the username/email belongs to a user (so both share one
+ * lockout), otherwise by the identifier as typed, so unknown usernames lock exactly like real ones.
+ */
+const { supabase } = require('../config/supabase');
+const { logger } = require('@attendance/shared/logger');
+
+const log = logger.child({ component: 'LoginThrottle' });
+
+const LOGIN_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES || '5', 10);
+const LOGIN_WINDOW_MINUTES = parseInt(process.env.LOGIN_WINDOW_MINUTES || '15', 10);
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10);
+const LOGIN_MAX_IP_FAILURES = parseInt(process.env.LOGIN_MAX_IP_FAILURES || '20', 10);
+const LOGIN_IP_WINDOW_MINUTES = parseInt(process.env.LOGIN_IP_WINDOW_MINUTES || '15', 10);
+
+const MINUTE = 60 * 1000;
+
+// Outcomes stored in login_attempts.outcome
+const OUTCOMES = {
+  SUCCESS: 'success',
+  FAILURE: 'failure',   // Wrong password or unknown user
+  LOCKED: 'locked',     // Rejected because the account was locked
+  BLOCKED: 'blocked',   // Rejected because the IP was throttled
+  UNLOCKED: 'unlocked', // Admin cleared the lockout
+};
+
+/**
+ * Normalize a username/email for the attempt log
+ * @param {string} usernameOrEmail - Identifier as typed
+ * @returns {string} Trimmed, lower-cased identifier
+ */
+function normalizeIdentifier(usernameOrEmail) {
+  return String(usernameOrEmail || '').trim().toLowerCase();
+}
+
+/**
+ * Get the caller's IP address
+ * Relies on the `trust proxy` setting so X-Forwarded-For from the API Gateway is honoured
+ * @param {Object} req - Express request
+ * @returns {string} IP address
+ */
+function getClientIp(req) {
+  return req.ip || req.socket?.remoteAddress || 'unknown';
+}
+
+/**
+ * Build a blocked/locked decision
+ * @param {string} code - ACCOUNT_LOCKED or LOGIN_RATE_LIMITED
+ * @param {Date} until - When attempts are allowed again
+ * @returns {Object} { allowed: false, status, code, lockedUntil, retryAfter, message }
+ */
+function denied(code, until) {
+  const retryAfter = Math.max(Math.ceil((until.getTime() - Date.now()) / 1000), 1);
+  const minutes = Math.ceil(retryAfter / 60);
+  const wait = `${minutes} minute${minutes === 1 ? '' : 's'}`;
+
+  return {
+    allowed: false,
+    status: code === 'ACCOUNT_LOCKED' ? 423 : 429,
+    code,
+    lockedUntil: until.toISOString(),
+    retryAfter,
+    message: code === 'ACCOUNT_LOCKED'
+      ? `Too many failed sign-in attempts. This account is locked for ${wait}.`
+      : `Too many failed sign-in attempts from this network. Please try again in ${wait}.`,
+  };
+}
+
+/**
+ * Check the per-IP sliding window
+ * @param {string} ip - Client IP
+ * @returns {Promise<Object>} { allowed: true } or a denial
+ */
+async function checkIpThrottle(ip) {
+  const since = new Date(Date.now() - LOGIN_IP_WINDOW_MINUTES * MINUTE);
+
+  const { data, error } = await supabase
+    .from('login_attempts')
+    .select('created_at')
+    .eq('ip_address', ip)
+    .eq('outcome', OUTCOMES.FAILURE)
+    .gte('created_at', since.toISOString())
+    .order('created_at', { ascending: false })
+    .limit(LOGIN_MAX_IP_FAILURES);
+
+  if (error) throw error;
+  if (!data || data.length < LOGIN_MAX_IP_FAILURES) return { allowed: true };
+
+  // Blocked until the oldest failure in the window slides out of it
+  const oldest = new Date(data[data.length - 1].created_at);
+  return denied('LOGIN_RATE_LIMITED', new Date(oldest.getTime() + LOGIN_IP_WINDOW_MINUTES * MINUTE));
+}
+
+/**
+ * Get an account's lockout from its recent attempts
+ * @param {Object} account - { identifier, userUid } (userUid null for unknown users)
+ * @returns {Promise<Date|null>} End of the lockout, or null if not locked
+ */
+async function getAccountLockedUntil({ identifier, userUid }) {
+  const since = new Date(Date.now() - (LOGIN_WINDOW_MINUTES + LOGIN_LOCKOUT_MINUTES) * MINUTE);
+
+  let query = supabase
+    .from('login_attempts')
+    .select('outcome, created_at')
+    .in('outcome', [OUTCOMES.FAILURE, OUTCOMES.SUCCESS, OUTCOMES.UNLOCKED])
+    .gte('created_at', since.toISOString())
+    .order('created_at', { ascending: false })
+    .limit(100);
+  query = userUid ? query.eq('user_uid', userUid) : query.eq('identifier', identifier).is('user_uid', null);
+
+  const { data, error } = await query;
+  if (error) throw error;
+
+  // Only failures since the last successful login or unlock count
+  const failures = [];
+  for (const row of data || []) {
+    if (row.outcome !== OUTCOMES.FAILURE) break;
+    failures.push(new Date(row.created_at).getTime());
+  }
+
+  // Locked when LOGIN_MAX_FAILURES of them fall within one window
+  for (let i = 0; i + LOGIN_MAX_FAILURES - 1 < failures.length; i++) {
+    const latest = failures[i];
+    if (latest - failures[i + LOGIN_MAX_FAILURES - 1] > LOGIN_WINDOW_MINUTES * MINUTE) continue;
+
+    const until = latest + LOGIN_LOCKOUT_MINUTES * MINUTE;
+    return until > Date.now() ? new Date(until) : null;
+  }
+
+  return null;
+}
+
+/**
+ * Check the per-account lockout
+ * @param {Object} account - { identifier, userUid }
+ * @returns {Promise<Object>} { allowed: true } or a denial
+ */
+async function checkAccountLockout(account) {
+  const lockedUntil = await getAccountLockedUntil(account);
+  return lockedUntil ? denied('ACCOUNT_LOCKED', lockedUntil) : { allowed: true };
+}
+
+/**
+ * Record one login attempt
+ * Never throws: a logging failure must not break login
+ * @param {Object} attempt - { identifier, userUid, ip, userAgent, outcome, reason }
+ * @returns {Promise<void>}
+ */
+async function recordLoginAttempt({ identifier, userUid = null, ip, userAgent = null, outcome, reason = null }) {
+  try {
+    const { error } = await supabase
+      .from('login_attempts')
+      .insert({
+        identifier,
+        user_uid: userUid,
+        ip_address: ip,
+        user_agent: userAgent,
+        outcome,
+        reason,
+      });
+
+    if (error) throw error;
+  } catch (error) {
+    log.error(`Error recording ${outcome} login attempt for ${identifier}`, { error });
+  }
+}
+
+/**
+ * Clear an account's lockout by logging an unlock, which resets its failure count
+ * @param {Object} unlock - { username, userUid, ip, unlockedBy }
+ * @returns {Promise<void>}
+ */
+async function unlockAccount({ username, userUid, ip, unlockedBy }) {
+  const { error } = await supabase
+    .from('login_attempts')
+    .insert({
+      identifier: normalizeIdentifier(username),
+      user_uid: userUid,
+      ip_address: ip,
+      outcome: OUTCOMES.UNLOCKED,
+      reason: `Unlocked by ${unlockedBy}`,
+    });
+
+  if (error) throw error;
+}
+
+module.exports = {
+  OUTCOMES,
+  LOGIN_MAX_FAILURES,
+  normalizeIdentifier,
+  getClientIp,
+  checkIpThrottle,
+  checkAccountLockout,
+  getAccountLockedUntil,
+  recordLoginAttempt,
+  unlockAccount,
+};
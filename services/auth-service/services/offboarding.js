@@ -0,0 +1,355 @@
+/**
+ * Offboarding - Deactivate and reactivate user accounts
+ *
+ * Deactivation (POST /api/auth/users/:username/deactivate):
+ *   1. Ban the user in Supabase Auth so they can no longer sign in
+ *   2. Hand their open tickets and pending leave approvals to a successor
+ *   3. Close an open check-in with a manual checkout
+ *   4. Set is_active = false with the effective date, reason and who did it
+ *   5. Log the change in user_status_changes
+ *
+ * Steps 1-3 are safe to repeat, and the user stays active until step 4, so a
+ * deactivation that fails half-way can simply be retried.
+ *
+ * Reactivation lifts the ban and sets is_active = true again. Reassigned
+ * tickets and leave approvals stay with the successor.
+ */
+const { supabase } = require('../config/supabase');
+const { ROLES } = require('../config/permissions');
+const { logger } = require('@attendance/shared/logger');
+
+const log = logger.child({ component: 'Offboarding' });
+
+// Supabase Auth has no permanent ban; ~100 years is the documented workaround
+const BAN_DURATION = '876000h';
+
+// Roles that can approve leave requests and handle tickets
+const SUCCESSOR_ROLES = [ROLES.MANAGER, ROLES.SUPER_ADMIN];
+
+const OPEN_TICKET_STATUSES = ['open', 'in_progress'];
+
+/**
+ * Get today's date as YYYY-MM-DD
+ * @returns {string} Today's date
+ */
+function getToday() {
+  return new Date().toISOString().split('T')[0];
+}
+
+/**
+ * Check that a string is a real YYYY-MM-DD date
+ * @param {string} value - Date string
+ * @returns {boolean} True if valid
+ */
+function isValidDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Validate an effective date
+ * @param {string} [effectiveDate] - YYYY-MM-DD, defaults to today
+ * @returns {string} Effective date
+ * @throws {Error} With `status` 400 when the date is invalid or in the future
+ */
+function resolveEffectiveDate(effectiveDate) {
+  if (effectiveDate === undefined || effectiveDate === null || effectiveDate === '') {
+    return getToday();
+  }
+  if (typeof effectiveDate !== 'string' || !isValidDate(effectiveDate)) {
+    throw Object.assign(new Error('effectiveDate must be a date in YYYY-MM-DD format'), { status: 400 });
+  }
+  // Access is removed immediately, so the date can be backdated but not scheduled
+  if (effectiveDate > getToday()) {
+    throw Object.assign(new Error('effectiveDate cannot be in the future; deactivate the user on their last day'), { status: 400 });
+  }
+  return effectiveDate;
+}
+
+/**
+ * Count the work a user would hand over on deactivation
+ * @param {string} username - User being deactivated
+ * @returns {Promise<{tickets: number, leaveRequests: number}>} Open tickets and pending leave approvals assigned to them
+ */
+async function getHandoverCounts(username) {
+  const [tickets, leaveRequests] = await Promise.all([
+    supabase
+      .from('tickets')
+      .select('id', { count: 'exact', head: true })
+      .eq('assigned_to', username)
+      .in('status', OPEN_TICKET_STATUSES),
+    supabase
+      .from('leave_requests')
+      .select('id', { count: 'exact', head: true })
+      .eq('assigned_to', username)
+      .eq('status', 'pending'),
+  ]);
+
+  if (tickets.error) throw tickets.error;
+  if (leaveRequests.error) throw leaveRequests.error;
+
+  return {
+    tickets: tickets.count || 0,
+    leaveRequests: leaveRequests.count || 0,
+  };
+}
+
+/**
+ * Resolve and check the successor for a deactivation
+ * @param {Object} target - User being deactivated ({ uid, username })
+ * @param {string} [successorUsername] - Successor's username
+ * @param {{tickets: number, leaveRequests: number}} handover - getHandoverCounts result
+ * @returns {Promise<Object|null>} Successor row ({ uid, username, role, department }), or null when none is needed
+ * @throws {Error} With `status` 400 when the successor is missing or can't take over
+ */
+async function resolveSuccessor(target, successorUsername, handover) {
+  if (!successorUsername) {
+    if (handover.tickets > 0 || handover.leaveRequests > 0) {
+      throw Object.assign(
+        new Error(`${target.username} has ${handover.tickets} open ticket(s) and ${handover.leaveRequests} pending leave approval(s); choose a successor to take them over`),
+        { status: 400 }
+      );
+    }
+    return null;
+  }
+
+  if (typeof successorUsername !== 'string') {
+    throw Object.assign(new Error('successor must be a username'), { status: 400 });
+  }
+  if (successorUsername === target.username) {
+    throw Object.assign(new Error('A user cannot be their own successor'), { status: 400 });
+  }
+
+  const { data: successor, error } = await supabase
+    .from('users')
+    .select('uid, username, role, department, is_active')
+    .eq('username', successorUsername)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!successor) {
+    throw Object.assign(new Error(`Successor ${successorUsername} not found`), { status: 400 });
+  }
+  if (successor.is_active === false) {
+    throw Object.assign(new Error(`Successor ${successorUsername} is not active`), { status: 400 });
+  }
+  if (!SUCCESSOR_ROLES.includes(successor.role)) {
+    throw Object.assign(new Error('The successor must be a manager or super admin so they can handle tickets and approvals'), { status: 400 });
+  }
+
+  return successor;
+}
+
+/**
+ * Move a user's open tickets and pending leave approvals to a successor
+ * @param {string} username - User being deactivated
+ * @param {string} successorUsername - New assignee
+ * @returns {Promise<{tickets: number, leaveRequests: number}>} Number of rows reassigned
+ */
+async function reassignWork(username, successorUsername) {
+  const now = new Date().toISOString();
+
+  const { data: tickets, error: ticketsError } = await supabase
+    .from('tickets')
+    .update({ assigned_to: successorUsername, updated_at: now })
+    .eq('assigned_to', username)
+    .in('status', OPEN_TICKET_STATUSES)
+    .select('id');
+
+  if (ticketsError) throw ticketsError;
+
+  const { data: leaveRequests, error: leaveError } = await supabase
+    .from('leave_requests')
+    .update({ assigned_to: successorUsername, updated_at: now })
+    .eq('assigned_to', username)
+    .eq('status', 'pending')
+    .select('id');
+
+  if (leaveError) throw leaveError;
+
+  return {
+    tickets: (tickets || []).length,
+    leaveRequests: (leaveRequests || []).length,
+  };
+}
+
+/**
+ * Close a user's open check-in with a manual checkout
+ * @param {Object} target - User being deactivated ({ uid, username })
+ * @param {string} closedBy - Username of the admin
+ * @returns {Promise<Object|null>} The checkout record, or null if the user wasn't checked in
+ */
+async function closeOpenCheckIn(target, closedBy) {
+  const { data: lastRecord, error } = await supabase
+    .from('attendance_records')
+    .select('id, type, timestamp, employee_name')
+    .eq('user_uid', target.uid)
+    .order('timestamp', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!lastRecord || lastRecord.type !== 'checkin') return null;
+
+  const { data: checkout, error: insertError } = await supabase
+    .from('attendance_records')
+    .insert({
+      user_uid: target.uid,
+      username: target.username,
+      employee_name: lastRecord.employee_name,
+      type: 'checkout',
+      timestamp: new Date().toISOString(),
+      auth_method: 'manual',
+      is_manual: true,
+      created_by: closedBy,
+    })
+    .select('id, timestamp')
+    .single();
+
+  if (insertError) throw insertError;
+  return checkout;
+}
+
+/**
+ * Log a deactivation or reactivation (never throws: the change itself already succeeded)
+ * @param {Object} change - { target, actor, action, effectiveDate, reason, successorUsername, details }
+ * @returns {Promise<void>}
+ */
+async function recordStatusChange({ target, actor, action, effectiveDate, reason, successorUsername = null, details = null }) {
+  try {
+    const { error } = await supabase
+      .from('user_status_changes')
+      .insert({
+        user_uid: target.uid,
+        username: target.username,
+        action,
+        effective_date: effectiveDate,
+        reason: reason || null,
+        successor_username: successorUsername,
+        details,
+        performed_by: actor.username,
+        performed_by_uid: actor.uid,
+      });
+
+    if (error) throw error;
+  } catch (error) {
+    log.error(`Failed to log ${action} of ${target.username}`, { error });
+  }
+}
+
+/**
+ * Deactivate a user
+ * @param {Object} options - { target, actor, successor (row or null), effectiveDate, reason }
+ * @returns {Promise<Object>} { effectiveDate, successor, ticketsReassigned, leaveRequestsReassigned, checkout }
+ * @throws {Error} With `completed` (steps that finished) when a step fails
+ */
+async function deactivateUser({ target, actor, successor, effectiveDate, reason }) {
+  const completed = [];
+
+  /**
+   * Run one step, tagging a failure with the steps that already finished
+   * @param {string} name - Step name
+   * @param {Function} step - Async step
+   */
+  const run = async (name, step) => {
+    try {
+      const result = await step();
+      completed.push(name);
+      return result;
+    } catch (error) {
+      throw Object.assign(new Error(`Failed to ${name}: ${error.message}`), { completed });
+    }
+  };
+
+  await run('disable sign-in', async () => {
+    const { error } = await supabase.auth.admin.updateUserById(target.uid, { ban_duration: BAN_DURATION });
+    if (error) throw error;
+  });
+
+  const reassigned = successor
+    ? await run('reassign work', () => reassignWork(target.username, successor.username))
+    : { tickets: 0, leaveRequests: 0 };
+
+  const checkout = await run('close open check-in', () => closeOpenCheckIn(target, actor.username));
+
+  await run('mark user inactive', async () => {
+    const { error } = await supabase
+      .from('users')
+      .update({
+        is_active: false,
+        deactivated_at: new Date().toISOString(),
+        deactivation_effective_date: effectiveDate,
+        deactivated_by: actor.username,
+        deactivation_reason: reason || null,
+        successor_username: successor ? successor.username : null,
+        updated_at: new Date().toISOString(),
+      })
+      .eq('uid', target.uid);
+    if (error) throw error;
+  });
+
+  await recordStatusChange({
+    target,
+    actor,
+    action: 'deactivated',
+    effectiveDate,
+    reason,
+    successorUsername: successor ? successor.username : null,
+    details: {
+      ticketsReassigned: reassigned.tickets,
+      leaveRequestsReassigned: reassigned.leaveRequests,
+      checkoutRecordId: checkout ? checkout.id : null,
+    },
+  });
+
+  return {
+    effectiveDate,
+    successor: successor ? successor.username : null,
+    ticketsReassigned: reassigned.tickets,
+    leaveRequestsReassigned: reassigned.leaveRequests,
+    checkout: checkout ? { id: checkout.id, timestamp: checkout.timestamp } : null,
+  };
+}
+
+/**
+ * Reactivate a deactivated user
+ * @param {Object} options - { target, actor, reason }
+ * @returns {Promise<Object>} { effectiveDate }
+ */
+async function reactivateUser({ target, actor, reason }) {
+  const { error: authError } = await supabase.auth.admin.updateUserById(target.uid, { ban_duration: 'none' });
+  if (authError) {
+    throw new Error(`Failed to restore sign-in: ${authError.message}`);
+  }
+
+  const { error } = await supabase
+    .from('users')
+    .update({
+      is_active: true,
+      deactivated_at: null,
+      deactivation_effective_date: null,
+      deactivated_by: null,
+      deactivation_reason: null,
+      successor_username: null,
+      updated_at: new Date().toISOString(),
+    })
+    .eq('uid', target.uid);
+
+  if (error) {
+    throw new Error(`Failed to mark user active: ${error.message}`);
+  }
+
+  const effectiveDate = getToday();
+  await recordStatusChange({ target, actor, action: 'reactivated', effectiveDate, reason });
+
+  return { effectiveDate };
+}
+
+module.exports = {
+  resolveEffectiveDate,
+  getHandoverCounts,
+  resolveSuccessor,
+  deactivateUser,
+  reactivateUser,
+};
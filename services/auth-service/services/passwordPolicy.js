@@ -0,0 +1,308 @@
+/**
+ * Password Policy - Rules every password set through the auth service must meet
+ *
+ *   - PASSWORD_MIN_LENGTH characters (default 10), at most 72 (Supabase Auth hashes with bcrypt)
+ *   - PASSWORD_MIN_CHARACTER_CLASSES of lowercase, uppercase, digits and symbols (default 3)
+ *   - Not a common or breached password (config/commonPasswords.txt, or PASSWORD_BLOCKLIST_PATH), also
+ *     after stripping trailing digits and symbols ("Summer2026!" is "summer")
+ *   - Doesn't contain the username or the email's local part
+ *   - None of the user's last PASSWORD_HISTORY_COUNT passwords (default 5; 0 turns the check off)
+ *
+ * Passwords are remembered as salted scrypt hashes in the password_history table.
+ * PASSWORD_MAX_AGE_DAYS (default 0 = never) makes users change passwords older than that at their next login.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { createClient } = require('@supabase/supabase-js');
+const { supabase, supabaseUrl } = require('../config/supabase');
+const { logger } = require('@attendance/shared/logger');
+
+const log = logger.child({ component: 'PasswordPolicy' });
+
+const scrypt = promisify(crypto.scrypt);
+
+const PASSWORD_MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH || '10', 10);
+const PASSWORD_MAX_LENGTH = 72;
+const PASSWORD_MIN_CHARACTER_CLASSES = Math.min(parseInt(process.env.PASSWORD_MIN_CHARACTER_CLASSES || '3', 10), 4);
+const PASSWORD_HISTORY_COUNT = parseInt(process.env.PASSWORD_HISTORY_COUNT || '5', 10);
+const PASSWORD_MAX_AGE_DAYS = parseInt(process.env.PASSWORD_MAX_AGE_DAYS || '0', 10);
+const PASSWORD_BLOCKLIST_PATH = process.env.PASSWORD_BLOCKLIST_PATH || path.join(__dirname, '../config/commonPasswords.txt');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// scrypt cost parameters (stored with each hash, so they can be raised later)
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const SCRYPT_KEY_LENGTH = 32;
+
+const CHARACTER_CLASSES = [
+  { name: 'lowercase letters', pattern: /[a-z]/ },
+  { name: 'uppercase letters', pattern: /[A-Z]/ },
+  { name: 'digits', pattern: /[0-9]/ },
+  { name: 'symbols', pattern: /[^A-Za-z0-9]/ },
+];
+
+/**
+ * Load the common password list
+ * @returns {Set<string>} Lower-cased passwords
+ */
+function loadBlocklist() {
+  try {
+    const words = fs.readFileSync(PASSWORD_BLOCKLIST_PATH, 'utf8')
+      .split(/\r?\n/)
+      .map(line => line.trim().toLowerCase())
+      .filter(line => line && !line.startsWith('#'));
+    log.info(`Loaded ${words.length} common passwords from ${path.resolve(PASSWORD_BLOCKLIST_PATH)}`);
+    return new Set(words);
+  } catch (error) {
+    log.error(`Could not read the common password list at ${PASSWORD_BLOCKLIST_PATH}`, { error });
+    return new Set();
+  }
+}
+
+const blocklist = loadBlocklist();
+
+/**
+ * Describe the policy (for clients showing the rules next to a password field)
+ * @returns {Object} { minLength, maxLength, minCharacterClasses, characterClasses, historyCount, maxAgeDays }
+ */
+function getPasswordPolicy() {
+  return {
+    minLength: PASSWORD_MIN_LENGTH,
+    maxLength: PASSWORD_MAX_LENGTH,
+    minCharacterClasses: PASSWORD_MIN_CHARACTER_CLASSES,
+    characterClasses: CHARACTER_CLASSES.map(characterClass => characterClass.name),
+    historyCount: PASSWORD_HISTORY_COUNT,
+    maxAgeDays: PASSWORD_MAX_AGE_DAYS,
+  };
+}
+
+/**
+ * Check whether a password is on the common password list
+ * @param {string} password - Password
+ * @returns {boolean} True if it (or its base word) is listed
+ */
+function isCommonPassword(password) {
+  const lower = password.toLowerCase();
+  const base = lower.replace(/[^a-z]+$/, '').replace(/^[^a-z]+/, '');
+  return blocklist.has(lower) || (base.length >= 4 && blocklist.has(base));
+}
+
+/**
+ * Check a password against the policy (everything except reuse, which needs the user's history)
+ * @param {string} password - Candidate password
+ * @param {Object} [context] - { username, email } of the account, to reject passwords containing them
+ * @returns {Array<string>} Rule violations (empty when the password is acceptable)
+ */
+function validatePassword(password, { username, email } = {}) {
+  if (typeof password !== 'string' || password.length === 0) {
+    return ['Password is required'];
+  }
+
+  const errors = [];
+  if (password.length < PASSWORD_MIN_LENGTH) {
+    errors.push(`Password must be at least ${PASSWORD_MIN_LENGTH} characters long`);
+  }
+  if (password.length > PASSWORD_MAX_LENGTH) {
+    errors.push(`Password must be at most ${PASSWORD_MAX_LENGTH} characters long`);
+  }
+
+  const classes = CHARACTER_CLASSES.filter(characterClass => characterClass.pattern.test(password)).length;
+  if (classes < PASSWORD_MIN_CHARACTER_CLASSES) {
+    errors.push(`Password must mix at least ${PASSWORD_MIN_CHARACTER_CLASSES} of: ${CHARACTER_CLASSES.map(characterClass => characterClass.name).join(', ')}`);
+  }
+
+  if (isCommonPassword(password)) {
+    errors.push('Password is too common. Choose something harder to guess');
+  }
+
+  const lower = password.toLowerCase();
+  const personal = [username, email ? String(email).split('@')[0] : null]
+    .filter(value => value && String(value).length >= 3)
+    .map(value => String(value).toLowerCase());
+  if (personal.some(value => lower.includes(value))) {
+    errors.push('Password must not contain your username or email');
+  }
+
+  return errors;
+}
+
+/**
+ * Generate a random password that meets the policy (for imported users without one)
+ * @returns {string} Temporary password
+ */
+function generateTemporaryPassword() {
+  const sets = ['abcdefghijkmnopqrstuvwxyz', 'ABCDEFGHJKLMNPQRSTUVWXYZ', '23456789', '!@#$%*-_+='];
+  const all = sets.join('');
+  const length = Math.max(PASSWORD_MIN_LENGTH, 16);
+  // One character of every class, then random characters from all of them, shuffled
+  const chars = sets.map(set => set[crypto.randomInt(set.length)]);
+  while (chars.length < length) {
+    chars.push(all[crypto.randomInt(all.length)]);
+  }
+  for (let i = chars.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [chars[i], chars[j]] = [chars[j], chars[i]];
+  }
+  return chars.join('');
+}
+
+/**
+ * Hash a password for the history
+ * @param {string} password - Password
+ * @returns {Promise<string>} scrypt$N$r$p$salt$hash
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, SCRYPT_KEY_LENGTH, { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P });
+  return ['scrypt', SCRYPT_N, SCRYPT_R, SCRYPT_P, salt.toString('base64url'), hash.toString('base64url')].join('$');
+}
+
+/**
+ * Check a password against a stored history hash
+ * @param {string} password - Password
+ * @param {string} stored - Hash from hashPassword
+ * @returns {Promise<boolean>} True if they match
+ */
+async function matchesPasswordHash(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored).split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64url');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64url'), expected.length, {
+    N: parseInt(N, 10),
+    r: parseInt(r, 10),
+    p: parseInt(p, 10),
+  });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Check whether a password is one of the user's recent passwords
+ * @param {string} userUid - User UID
+ * @param {string} password - Candidate password
+ * @returns {Promise<boolean>} True if it was used within the last PASSWORD_HISTORY_COUNT changes
+ */
+async function isRecentPassword(userUid, password) {
+  if (PASSWORD_HISTORY_COUNT <= 0) return false;
+
+  const { data, error } = await supabase
+    .from('password_history')
+    .select('password_hash')
+    .eq('user_uid', userUid)
+    .order('created_at', { ascending: false })
+    .limit(PASSWORD_HISTORY_COUNT);
+  if (error) throw error;
+
+  for (const row of data || []) {
+    if (await matchesPasswordHash(password, row.password_hash)) return true;
+  }
+  return false;
+}
+
+/**
+ * Remember a password in the user's history and drop entries beyond PASSWORD_HISTORY_COUNT
+ * @param {string} userUid - User UID
+ * @param {string} password - The password just set
+ * @param {string|null} changedBy - Admin username, or null when the user set it
+ */
+async function recordPasswordHistory(userUid, password, changedBy = null) {
+  if (PASSWORD_HISTORY_COUNT <= 0) return;
+
+  const { error } = await supabase
+    .from('password_history')
+    .insert({ user_uid: userUid, password_hash: await hashPassword(password), changed_by: changedBy });
+  if (error) throw error;
+
+  const { data: stale, error: staleError } = await supabase
+    .from('password_history')
+    .select('id')
+    .eq('user_uid', userUid)
+    .order('created_at', { ascending: false })
+    .range(PASSWORD_HISTORY_COUNT, PASSWORD_HISTORY_COUNT + 100);
+  if (staleError) throw staleError;
+
+  if (stale && stale.length > 0) {
+    const { error: deleteError } = await supabase
+      .from('password_history')
+      .delete()
+      .in('id', stale.map(row => row.id));
+    if (deleteError) throw deleteError;
+  }
+}
+
+/**
+ * Record a password change: history, password_changed_at and the must-change flag
+ * Called after Supabase Auth accepted the new password, so failures are logged rather than thrown
+ * @param {string} userUid - User UID
+ * @param {string} password - The password just set
+ * @param {Object} [options] - { changedBy: admin username, mustChangePassword: boolean (default false) }
+ */
+async function recordPasswordChange(userUid, password, { changedBy = null, mustChangePassword = false } = {}) {
+  try {
+    await recordPasswordHistory(userUid, password, changedBy);
+  } catch (error) {
+    log.error('Failed to record password history', { userUid, error });
+  }
+
+  const { error } = await supabase
+    .from('users')
+    .update({
+      password_changed_at: new Date().toISOString(),
+      must_change_password: mustChangePassword,
+    })
+    .eq('uid', userUid);
+  if (error) {
+    log.error('Failed to update password status', { userUid, error });
+  }
+}
+
+/**
+ * Check whether a user's password is older than PASSWORD_MAX_AGE_DAYS
+ * @param {Object} user - users row (password_changed_at, created_at)
+ * @returns {boolean} True when the password has to be rotated
+ */
+function isPasswordExpired(user) {
+  if (PASSWORD_MAX_AGE_DAYS <= 0) return false;
+  // Passwords set before the policy existed count from account creation
+  const changedAt = new Date(user.password_changed_at || user.created_at);
+  if (isNaN(changedAt.getTime())) return false;
+  return Date.now() - changedAt.getTime() > PASSWORD_MAX_AGE_DAYS * DAY;
+}
+
+/**
+ * Verify a user's current password without touching the shared client's session
+ * (signing in on the service role client would make its later queries run as that user)
+ * @param {string} email - Account email
+ * @param {string} password - Password to check
+ * @returns {Promise<boolean>} True if Supabase Auth accepts it
+ */
+async function verifyCurrentPassword(email, password) {
+  const client = createClient(supabaseUrl, process.env.SUPABASE_SERVICE_ROLE_KEY, {
+    auth: { autoRefreshToken: false, persistSession: false },
+  });
+  const { data, error } = await client.auth.signInWithPassword({ email, password });
+  if (data?.session) {
+    // Revoke only this throwaway session, not the user's other devices
+    await client.auth.signOut({ scope: 'local' }).catch(() => {});
+  }
+  if (error?.message?.includes('Invalid login credentials')) return false;
+  if (error) throw error;
+  return Boolean(data?.user);
+}
+
+module.exports = {
+  getPasswordPolicy,
+  validatePassword,
+  generateTemporaryPassword,
+  isRecentPassword,
+  recordPasswordHistory,
+  recordPasswordChange,
+  isPasswordExpired,
+  verifyCurrentPassword,
+  hashPassword,
+  matchesPasswordHash,
+};
@@ -0,0 +1,410 @@
+/**
+ * Two-Factor Authentication - TOTP enrollment, login verification and recovery codes
+ *
+ * Enrollment stores a new secret (pending until the first code from the authenticator app confirms it),
+ * then turns on users.two_factor_enabled and issues RECOVERY_CODE_COUNT one-time recovery codes.
+ * Logins for enrolled users stop after the password with a short-lived challenge token; the code is
+ * checked against that token by POST /api/auth/login/two-factor.
+ *
+ * A correct code (at login or when enrollment is confirmed) also returns a two-factor session token. The app
+ * sends it with every request (X-Two-Factor-Token), the gateway carries it in the signed identity, and
+ * authorize() refuses enrolled users without a valid one, so a password-only Supabase session can't manage users.
+ *
+ * TWO_FACTOR_SECRET:         encrypts TOTP secrets at rest and signs login challenges (required for 2FA)
+ * TWO_FACTOR_REQUIRED_ROLES: roles that must enroll before managing users (default super_admin,manager;
+ *                            "none" for no one)
+ * TWO_FACTOR_ISSUER:         account name prefix shown in authenticator apps (default hadir.ai)
+ */
+const crypto = require('crypto');
+const { SignJWT, jwtVerify } = require('jose');
+const { supabase } = require('../config/supabase');
+const { logger } = require('@attendance/shared/logger');
+const { generateSecret, findTimeStep, buildOtpauthUri } = require('../utils/totp');
+
+const log = logger.child({ component: 'TwoFactor' });
+
+const TWO_FACTOR_SECRET = process.env.TWO_FACTOR_SECRET;
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'hadir.ai';
+const TWO_FACTOR_REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || 'super_admin,manager')
+  .split(',')
+  .map(role => role.trim())
+  .filter(role => role && role !== 'none');
+
+const RECOVERY_CODE_COUNT = 10;
+const LOGIN_CHALLENGE_SECONDS = 5 * 60;
+const CHALLENGE_ISSUER = 'auth-service';
+const CHALLENGE_AUDIENCE = 'login-two-factor';
+const TWO_FACTOR_SESSION_SECONDS = 12 * 60 * 60;
+const TWO_FACTOR_SESSION_AUDIENCE = 'two-factor-session';
+
+// Separate keys for encryption, challenge and session signing, derived from the one configured secret
+const encryptionKey = TWO_FACTOR_SECRET
+  ? Buffer.from(crypto.hkdfSync('sha256', TWO_FACTOR_SECRET, '', 'totp-secret-encryption', 32))
+  : null;
+const challengeKey = TWO_FACTOR_SECRET
+  ? new Uint8Array(crypto.hkdfSync('sha256', TWO_FACTOR_SECRET, '', 'login-challenge', 32))
+  : null;
+const sessionKey = TWO_FACTOR_SECRET
+  ? new Uint8Array(crypto.hkdfSync('sha256', TWO_FACTOR_SECRET, '', 'two-factor-session', 32))
+  : null;
+
+if (!TWO_FACTOR_SECRET) {
+  log.warn('TWO_FACTOR_SECRET not set. Two-factor enrollment is unavailable and no role is required to use it.');
+}
+
+/**
+ * Check whether two-factor authentication can be used
+ * @returns {boolean} True when TWO_FACTOR_SECRET is set
+ */
+function isTwoFactorConfigured() {
+  return Boolean(TWO_FACTOR_SECRET);
+}
+
+/**
+ * Check whether the org policy requires a role to use two-factor authentication
+ * @param {string} role - User role
+ * @returns {boolean} True when the role must enroll (never while 2FA is not configured)
+ */
+function isTwoFactorRequired(role) {
+  return isTwoFactorConfigured() && TWO_FACTOR_REQUIRED_ROLES.includes(role);
+}
+
+/**
+ * Encrypt a TOTP secret for storage
+ * @param {string} secret - Base32 secret
+ * @returns {string} v1.<iv>.<tag>.<ciphertext>
+ */
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey, iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return ['v1', iv, cipher.getAuthTag(), ciphertext].map(part => (Buffer.isBuffer(part) ? part.toString('base64url') : part)).join('.');
+}
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {string} stored - Value from encryptSecret
+ * @returns {string} Base32 secret
+ */
+function decryptSecret(stored) {
+  const [version, iv, tag, ciphertext] = String(stored).split('.');
+  if (version !== 'v1') {
+    throw new Error(`Unknown TOTP secret format "${version}"`);
+  }
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey, Buffer.from(iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Normalize a recovery code as typed (case, spaces and dashes don't matter)
+ * @param {string} code - Recovery code
+ * @returns {string} Normalized code
+ */
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[\s-]/g, '');
+}
+
+/**
+ * Hash a recovery code for storage
+ * @param {string} code - Recovery code
+ * @returns {string} Hex SHA-256 of the normalized code
+ */
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+/**
+ * Load a user's TOTP row
+ * @param {string} userUid - User UID
+ * @returns {Promise<Object|null>} user_two_factor row
+ */
+async function loadTwoFactor(userUid) {
+  const { data, error } = await supabase
+    .from('user_two_factor')
+    .select('user_uid, secret_encrypted, enabled_at, last_used_step')
+    .eq('user_uid', userUid)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Count a user's unused recovery codes
+ * @param {string} userUid - User UID
+ * @returns {Promise<number>} Codes left
+ */
+async function countRecoveryCodes(userUid) {
+  const { count, error } = await supabase
+    .from('user_recovery_codes')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_uid', userUid)
+    .is('used_at', null);
+  if (error) throw error;
+  return count || 0;
+}
+
+/**
+ * Get a user's two-factor status
+ * @param {Object} user - users row (uid, role, two_factor_enabled)
+ * @returns {Promise<Object>} { configured, enabled, required, enabledAt, recoveryCodesRemaining }
+ */
+async function getTwoFactorStatus(user) {
+  const row = user.two_factor_enabled ? await loadTwoFactor(user.uid) : null;
+  return {
+    configured: isTwoFactorConfigured(),
+    enabled: user.two_factor_enabled === true,
+    required: isTwoFactorRequired(user.role),
+    enabledAt: row?.enabled_at || null,
+    recoveryCodesRemaining: user.two_factor_enabled ? await countRecoveryCodes(user.uid) : 0,
+  };
+}
+
+/**
+ * Start (or restart) enrollment with a new secret
+ * @param {Object} user - users row (uid, username, email)
+ * @returns {Promise<Object>} { secret, otpauthUri, issuer, accountName }
+ */
+async function startEnrollment(user) {
+  const secret = generateSecret();
+  const accountName = user.email || user.username;
+
+  const { error } = await supabase
+    .from('user_two_factor')
+    .upsert({
+      user_uid: user.uid,
+      secret_encrypted: encryptSecret(secret),
+      enabled_at: null,
+      last_used_step: null,
+      updated_at: new Date().toISOString(),
+    }, { onConflict: 'user_uid' });
+  if (error) throw error;
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({ secret, issuer: TWO_FACTOR_ISSUER, accountName }),
+    issuer: TWO_FACTOR_ISSUER,
+    accountName,
+  };
+}
+
+/**
+ * Accept a TOTP code once: the step must be newer than the last accepted one
+ * The conditional update makes two concurrent uses of the same code fail for one of them
+ * @param {string} userUid - User UID
+ * @param {number} step - Time step of the code
+ * @param {Object} [extra] - Other columns to set (e.g. enabled_at)
+ * @returns {Promise<boolean>} True if the step was recorded
+ */
+async function consumeTimeStep(userUid, step, extra = {}) {
+  const { data, error } = await supabase
+    .from('user_two_factor')
+    .update({ last_used_step: step, updated_at: new Date().toISOString(), ...extra })
+    .eq('user_uid', userUid)
+    .or(`last_used_step.is.null,last_used_step.lt.${step}`)
+    .select('user_uid');
+  if (error) throw error;
+  return Array.isArray(data) && data.length > 0;
+}
+
+/**
+ * Replace a user's recovery codes
+ * @param {string} userUid - User UID
+ * @returns {Promise<string[]>} The new codes (shown once; only hashes are stored)
+ */
+async function issueRecoveryCodes(userUid) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = generateSecret().slice(0, 10).toLowerCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  const { error: deleteError } = await supabase
+    .from('user_recovery_codes')
+    .delete()
+    .eq('user_uid', userUid);
+  if (deleteError) throw deleteError;
+
+  const { error } = await supabase
+    .from('user_recovery_codes')
+    .insert(codes.map(code => ({ user_uid: userUid, code_hash: hashRecoveryCode(code) })));
+  if (error) throw error;
+
+  return codes;
+}
+
+/**
+ * Finish enrollment with the first code from the authenticator app
+ * @param {string} userUid - User UID
+ * @param {string} code - TOTP code
+ * @returns {Promise<Object>} { ok: true, recoveryCodes } or { ok: false, reason: 'not_started'|'already_enabled'|'invalid_code' }
+ */
+async function confirmEnrollment(userUid, code) {
+  const row = await loadTwoFactor(userUid);
+  if (!row) return { ok: false, reason: 'not_started' };
+  if (row.enabled_at) return { ok: false, reason: 'already_enabled' };
+
+  const step = findTimeStep(decryptSecret(row.secret_encrypted), code);
+  if (step === null || !(await consumeTimeStep(userUid, step, { enabled_at: new Date().toISOString() }))) {
+    return { ok: false, reason: 'invalid_code' };
+  }
+
+  const recoveryCodes = await issueRecoveryCodes(userUid);
+
+  const { error } = await supabase
+    .from('users')
+    .update({ two_factor_enabled: true, updated_at: new Date().toISOString() })
+    .eq('uid', userUid);
+  if (error) throw error;
+
+  return { ok: true, recoveryCodes };
+}
+
+/**
+ * Verify a second factor: a TOTP code or an unused recovery code
+ * @param {string} userUid - User UID
+ * @param {string} code - Code as typed
+ * @returns {Promise<Object|null>} { method: 'totp' } or { method: 'recovery_code', recoveryCodesRemaining }, null if wrong
+ */
+async function verifySecondFactor(userUid, code) {
+  const row = await loadTwoFactor(userUid);
+  if (!row?.enabled_at) return null;
+
+  const step = findTimeStep(decryptSecret(row.secret_encrypted), code);
+  if (step !== null) {
+    return (await consumeTimeStep(userUid, step)) ? { method: 'totp' } : null;
+  }
+
+  const normalized = normalizeRecoveryCode(code);
+  if (normalized.length !== 10) return null;
+
+  const { data: match, error } = await supabase
+    .from('user_recovery_codes')
+    .select('id')
+    .eq('user_uid', userUid)
+    .eq('code_hash', hashRecoveryCode(normalized))
+    .is('used_at', null)
+    .maybeSingle();
+  if (error) throw error;
+  if (!match) return null;
+
+  // Only one request can use the code
+  const { data: used, error: useError } = await supabase
+    .from('user_recovery_codes')
+    .update({ used_at: new Date().toISOString() })
+    .eq('id', match.id)
+    .is('used_at', null)
+    .select('id');
+  if (useError) throw useError;
+  if (!used || used.length === 0) return null;
+
+  return { method: 'recovery_code', recoveryCodesRemaining: await countRecoveryCodes(userUid) };
+}
+
+/**
+ * Turn two-factor authentication off and forget the secret and recovery codes
+ * @param {string} userUid - User UID
+ */
+async function disableTwoFactor(userUid) {
+  const { error: userError } = await supabase
+    .from('users')
+    .update({ two_factor_enabled: false, updated_at: new Date().toISOString() })
+    .eq('uid', userUid);
+  if (userError) throw userError;
+
+  const { error: secretError } = await supabase.from('user_two_factor').delete().eq('user_uid', userUid);
+  if (secretError) throw secretError;
+
+  const { error: codesError } = await supabase.from('user_recovery_codes').delete().eq('user_uid', userUid);
+  if (codesError) throw codesError;
+}
+
+/**
+ * Create the token that carries a password-verified login to the second step
+ * @param {string} userUid - User UID
+ * @returns {Promise<string>} Signed challenge (valid LOGIN_CHALLENGE_SECONDS)
+ */
+async function createLoginChallenge(userUid) {
+  return new SignJWT({})
+    .setProtectedHeader({ alg: 'HS256' })
+    .setSubject(userUid)
+    .setIssuer(CHALLENGE_ISSUER)
+    .setAudience(CHALLENGE_AUDIENCE)
+    .setIssuedAt()
+    .setExpirationTime(`${LOGIN_CHALLENGE_SECONDS}s`)
+    .sign(challengeKey);
+}
+
+/**
+ * Verify a login challenge
+ * @param {string} token - Challenge from createLoginChallenge
+ * @returns {Promise<string|null>} User UID, or null when invalid or expired
+ */
+async function verifyLoginChallenge(token) {
+  if (!challengeKey || typeof token !== 'string') return null;
+  try {
+    const { payload } = await jwtVerify(token, challengeKey, {
+      algorithms: ['HS256'],
+      issuer: CHALLENGE_ISSUER,
+      audience: CHALLENGE_AUDIENCE,
+    });
+    return payload.sub || null;
+  } catch (error) {
+    log.warn('Rejected login challenge', { error: { code: error.code, message: error.message } });
+    return null;
+  }
+}
+
+/**
+ * Create the token that proves a user entered their second factor
+ * @param {string} userUid - User UID
+ * @returns {Promise<string>} Signed token (valid TWO_FACTOR_SESSION_SECONDS)
+ */
+async function createTwoFactorSession(userUid) {
+  return new SignJWT({})
+    .setProtectedHeader({ alg: 'HS256' })
+    .setSubject(userUid)
+    .setIssuer(CHALLENGE_ISSUER)
+    .setAudience(TWO_FACTOR_SESSION_AUDIENCE)
+    .setIssuedAt()
+    .setExpirationTime(`${TWO_FACTOR_SESSION_SECONDS}s`)
+    .sign(sessionKey);
+}
+
+/**
+ * Check a two-factor session token for a user
+ * @param {string} token - Token from createTwoFactorSession (req.identity.twoFactorToken)
+ * @param {string} userUid - User the request is authenticated as
+ * @returns {Promise<boolean>} True when the token is valid and was issued to this user
+ */
+async function verifyTwoFactorSession(token, userUid) {
+  if (!sessionKey || typeof token !== 'string') return false;
+  try {
+    const { payload } = await jwtVerify(token, sessionKey, {
+      algorithms: ['HS256'],
+      issuer: CHALLENGE_ISSUER,
+      audience: TWO_FACTOR_SESSION_AUDIENCE,
+    });
+    return payload.sub === userUid;
+  } catch (error) {
+    log.warn('Rejected two-factor session', { error: { code: error.code, message: error.message } });
+    return false;
+  }
+}
+
+module.exports = {
+  LOGIN_CHALLENGE_SECONDS,
+  TWO_FACTOR_SESSION_SECONDS,
+  TWO_FACTOR_REQUIRED_ROLES,
+  isTwoFactorConfigured,
+  isTwoFactorRequired,
+  getTwoFactorStatus,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  issueRecoveryCodes,
+  disableTwoFactor,
+  createLoginChallenge,
+  verifyLoginChallenge,
+  createTwoFactorSession,
+  verifyTwoFactorSession,
+};
@@ -0,0 +1,388 @@
+/**
+ * User Import/Export - Bulk onboarding for POST /api/auth/users/import and GET /api/auth/users/export
+ *
+ * Import runs in two modes over the same validation:
+ *   - dry-run: validate every row and report per-row errors, nothing is written
+ *   - apply:   validate again, then create the Auth users one by one and insert all `users` rows in a
+ *              single statement. If anything fails, every Auth user created so far is deleted, so an
+ *              import either creates all of its users or none of them.
+ */
+const { supabase } = require('../config/supabase');
+const { PERMISSIONS, VALID_ROLES, ROLES } = require('../config/permissions');
+const { checkPermission } = require('../middleware/authorize');
+const { parseCSV } = require('../utils/csv');
+const { logger } = require('@attendance/shared/logger');
+const { validatePassword, generateTemporaryPassword, recordPasswordHistory } = require('./passwordPolicy');
+
+const log = logger.child({ component: 'UserImport' });
+
+const USER_IMPORT_MAX_ROWS = parseInt(process.env.USER_IMPORT_MAX_ROWS || '500', 10);
+
+// Mirrors WORK_MODES in the mobile app
+const VALID_WORK_MODES = ['in_office', 'semi_remote', 'fully_remote'];
+
+// Import/export columns; CSV headers and JSON keys match case-insensitively, ignoring spaces and _
+const USER_COLUMNS = [
+  { key: 'name', header: 'name' },
+  { key: 'email', header: 'email' },
+  { key: 'username', header: 'username' },
+  { key: 'role', header: 'role' },
+  { key: 'department', header: 'department' },
+  { key: 'position', header: 'position' },
+  { key: 'workMode', header: 'work_mode' },
+  { key: 'hireDate', header: 'hire_date' },
+];
+
+// Import-only column: a temporary password is generated when it is left empty, and must be changed at first login
+const PASSWORD_COLUMN = { key: 'password', header: 'password' };
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const USERNAME_REGEX = /^[a-zA-Z0-9._-]{3,50}$/;
+
+/**
+ * Match a CSV header or JSON key to a column key
+ * @param {string} name - Header/key as given
+ * @returns {string|null} Column key, or null if it isn't an import column
+ */
+function getColumnKey(name) {
+  const normalized = String(name).toLowerCase().replace(/[\s_-]/g, '');
+  const column = [...USER_COLUMNS, PASSWORD_COLUMN]
+    .find(col => col.key.toLowerCase() === normalized || col.header.replace(/_/g, '') === normalized);
+  return column ? column.key : null;
+}
+
+/**
+ * Turn a request body into import rows
+ * @param {Object} input - { rows: Array<Object> } (JSON) or { csv: string }
+ * @returns {{rows: Array<{row: number, line: number|null, values: Object}>, ignoredColumns: Array<string>}}
+ * @throws {Error} With `status` 400 when the input can't be read
+ */
+function readImportRows({ rows, csv }) {
+  let records;
+
+  if (typeof csv === 'string') {
+    try {
+      records = parseCSV(csv).rows;
+    } catch (error) {
+      throw Object.assign(new Error(`Invalid CSV: ${error.message}`), { status: 400 });
+    }
+  } else if (Array.isArray(rows)) {
+    if (rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+      throw Object.assign(new Error('Every entry in rows must be an object'), { status: 400 });
+    }
+    records = rows.map(values => ({ line: null, values }));
+  } else {
+    throw Object.assign(new Error('Send users as a JSON "rows" array or as CSV'), { status: 400 });
+  }
+
+  if (records.length === 0) {
+    throw Object.assign(new Error('No users to import'), { status: 400 });
+  }
+  if (records.length > USER_IMPORT_MAX_ROWS) {
+    throw Object.assign(new Error(`Too many rows (${records.length}); import at most ${USER_IMPORT_MAX_ROWS} users at a time`), { status: 400 });
+  }
+
+  const ignoredColumns = new Set();
+  const importRows = records.map((record, index) => {
+    const values = {};
+    Object.entries(record.values).forEach(([name, value]) => {
+      const key = getColumnKey(name);
+      if (!key) {
+        ignoredColumns.add(name);
+        return;
+      }
+      values[key] = value === null || value === undefined ? '' : String(value).trim();
+    });
+    return { row: index + 1, line: record.line, values };
+  });
+
+  return { rows: importRows, ignoredColumns: [...ignoredColumns] };
+}
+
+/**
+ * Load every user's username, email and department (paged past the 1000-row API limit)
+ * @returns {Promise<Array>} User rows
+ */
+async function loadExistingUsers() {
+  const pageSize = 1000;
+  const users = [];
+
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await supabase
+      .from('users')
+      .select('username, email, department')
+      .range(from, from + pageSize - 1);
+
+    if (error) throw error;
+    users.push(...(data || []));
+    if (!data || data.length < pageSize) return users;
+  }
+}
+
+/**
+ * Check that a string is a real YYYY-MM-DD date
+ * @param {string} value - Date string
+ * @returns {boolean} True if valid
+ */
+function isValidDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Validate import rows
+ * @param {Object} actor - Caller's user row ({ role, department })
+ * @param {Array} rows - Rows from readImportRows
+ * @param {Object} options - { allowNewDepartments: boolean (default false) }
+ * @returns {Promise<Array>} [{ row, line, username, email, status: 'valid' | 'invalid', errors, user }]
+ */
+async function validateImportRows(actor, rows, { allowNewDepartments = false } = {}) {
+  const existingUsers = await loadExistingUsers();
+  const existingUsernames = new Set(existingUsers.map(u => String(u.username || '').toLowerCase()));
+  const existingEmails = new Set(existingUsers.map(u => String(u.email || '').toLowerCase()));
+  const knownDepartments = new Set(existingUsers.map(u => u.department).filter(Boolean));
+
+  // Count usernames/emails within the file to flag duplicates on every row that repeats them
+  const count = (key) => rows.reduce((counts, { values }) => {
+    const value = String(values[key] || '').toLowerCase();
+    if (value) counts.set(value, (counts.get(value) || 0) + 1);
+    return counts;
+  }, new Map());
+  const usernameCounts = count('username');
+  const emailCounts = count('email');
+
+  return rows.map(({ row, line, values }) => {
+    const errors = [];
+    const username = values.username || '';
+    const email = values.email || '';
+    const role = values.role ? values.role.toLowerCase() : '';
+    const department = values.department || '';
+    const workMode = values.workMode ? values.workMode.toLowerCase() : 'in_office';
+
+    if (!username) {
+      errors.push('username is required');
+    } else if (!USERNAME_REGEX.test(username)) {
+      errors.push('username must be 3-50 letters, numbers, dots, dashes or underscores');
+    } else if (existingUsernames.has(username.toLowerCase())) {
+      errors.push(`username "${username}" already exists`);
+    } else if (usernameCounts.get(username.toLowerCase()) > 1) {
+      errors.push(`username "${username}" appears more than once in this import`);
+    }
+
+    if (!email) {
+      errors.push('email is required');
+    } else if (!EMAIL_REGEX.test(email)) {
+      errors.push(`email "${email}" is not a valid email address`);
+    } else if (existingEmails.has(email.toLowerCase())) {
+      errors.push(`email "${email}" already exists`);
+    } else if (emailCounts.get(email.toLowerCase()) > 1) {
+      errors.push(`email "${email}" appears more than once in this import`);
+    }
+
+    if (!role) {
+      errors.push('role is required');
+    } else if (!VALID_ROLES.includes(role)) {
+      errors.push(`role must be one of: ${VALID_ROLES.join(', ')}`);
+    }
+
+    if (!department && role === ROLES.MANAGER) {
+      errors.push('department is required for managers');
+    } else if (department && !allowNewDepartments && !knownDepartments.has(department)) {
+      errors.push(`department "${department}" does not exist (set allowNewDepartments to create it)`);
+    }
+
+    if (!VALID_WORK_MODES.includes(workMode)) {
+      errors.push(`work_mode must be one of: ${VALID_WORK_MODES.join(', ')}`);
+    }
+
+    if (values.hireDate && !isValidDate(values.hireDate)) {
+      errors.push('hire_date must be a date in YYYY-MM-DD format');
+    }
+
+    // Same password policy as every other password (services/passwordPolicy.js)
+    if (values.password) {
+      errors.push(...validatePassword(values.password, { username, email }).map(message => message.replace(/^Password/, 'password')));
+    }
+
+    // Same rules as creating one user (e.g. only super admins create super admins)
+    if (role && VALID_ROLES.includes(role)) {
+      const decision = checkPermission(actor, PERMISSIONS.USERS_CREATE, null, { role, department });
+      if (!decision.allowed) errors.push(decision.message);
+    }
+
+    return {
+      row,
+      line,
+      username,
+      email,
+      status: errors.length === 0 ? 'valid' : 'invalid',
+      errors,
+      user: {
+        username,
+        email,
+        name: values.name || username,
+        role,
+        department,
+        position: values.position || '',
+        workMode,
+        hireDate: values.hireDate || new Date().toISOString().split('T')[0],
+        password: values.password || null,
+      },
+    };
+  });
+}
+
+/**
+ * Delete Auth users created by a failed import
+ * @param {Array<string>} uids - Auth user IDs
+ * @returns {Promise<Array<string>>} IDs that could not be deleted
+ */
+async function rollbackAuthUsers(uids) {
+  const orphaned = [];
+  for (const uid of uids) {
+    const { error } = await supabase.auth.admin.deleteUser(uid);
+    if (error) {
+      log.error(`Rollback failed to delete Auth user ${uid}`, { error });
+      orphaned.push(uid);
+    }
+  }
+  return orphaned;
+}
+
+/**
+ * Create the users of a validated import, all or nothing
+ * @param {Array} results - validateImportRows results (all valid)
+ * @param {Object} [options] - { importedBy: admin username (recorded in the password history) }
+ * @returns {Promise<Object>} { users, credentials: [{ username, email, temporaryPassword }] }
+ * @throws {Error} With `row`, `rolledBack` and `orphanedAuthUsers` when the import was rolled back
+ */
+async function applyImport(results, { importedBy = null } = {}) {
+  const created = [];
+  const credentials = [];
+
+  // Step 1: Auth users, one at a time (the Admin API has no batch create)
+  for (const result of results) {
+    const { user } = result;
+    const password = user.password || generateTemporaryPassword();
+
+    const { data, error } = await supabase.auth.admin.createUser({
+      email: user.email,
+      password,
+      email_confirm: true,
+      user_metadata: {
+        username: user.username,
+        name: user.name,
+      },
+    });
+
+    if (error || !data?.user) {
+      const orphanedAuthUsers = await rollbackAuthUsers(created.map(c => c.uid));
+      throw Object.assign(new Error(`Row ${result.row} (${user.username}): ${error?.message || 'Auth user was not created'}`), {
+        row: result.row,
+        rolledBack: created.length - orphanedAuthUsers.length,
+        orphanedAuthUsers,
+      });
+    }
+
+    created.push({ uid: data.user.id, user, password });
+    if (!user.password) {
+      credentials.push({ username: user.username, email: user.email, temporaryPassword: password });
+    }
+  }
+
+  // Step 2: All `users` rows in one insert, which Postgres applies atomically
+  const { data: inserted, error: insertError } = await supabase
+    .from('users')
+    .insert(created.map(({ uid, user }) => ({
+      uid,
+      username: user.username,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      department: user.department,
+      position: user.position,
+      work_mode: user.workMode,
+      hire_date: user.hireDate,
+      is_active: true,
+      must_change_password: !user.password,
+      password_changed_at: new Date().toISOString(),
+    })))
+    .select('uid, username, email, name, role, department, position, work_mode, hire_date');
+
+  if (insertError) {
+    const orphanedAuthUsers = await rollbackAuthUsers(created.map(c => c.uid));
+    throw Object.assign(new Error(`Failed to create user profiles: ${insertError.message}`), {
+      row: null,
+      rolledBack: created.length - orphanedAuthUsers.length,
+      orphanedAuthUsers,
+    });
+  }
+
+  // Step 3: Password history (best effort: the users already exist)
+  for (const { uid, user, password } of created) {
+    await recordPasswordHistory(uid, password, importedBy).catch((error) => {
+      log.error(`Failed to record password history for ${user.username}`, { error });
+    });
+  }
+
+  return {
+    users: (inserted || []).map(toExportRow),
+    credentials,
+  };
+}
+
+/**
+ * Convert a users row to an export row
+ * @param {Object} row - users row
+ * @returns {Object} Row keyed by USER_COLUMNS keys
+ */
+function toExportRow(row) {
+  return {
+    name: row.name || '',
+    email: row.email || '',
+    username: row.username || '',
+    role: row.role || '',
+    department: row.department || '',
+    position: row.position || '',
+    workMode: row.work_mode || 'in_office',
+    hireDate: row.hire_date || '',
+    ...(row.is_active !== undefined ? { isActive: row.is_active } : {}),
+  };
+}
+
+/**
+ * Load users for export, ordered by department then username
+ * @param {Object} filters - { department: string|null, includeInactive: boolean }
+ * @returns {Promise<Array>} Export rows (with isActive when includeInactive is set)
+ */
+async function exportUsers({ department = null, includeInactive = false } = {}) {
+  const pageSize = 1000;
+  const rows = [];
+
+  for (let from = 0; ; from += pageSize) {
+    let query = supabase
+      .from('users')
+      .select(`name, email, username, role, department, position, work_mode, hire_date${includeInactive ? ', is_active' : ''}`)
+      .order('department', { ascending: true })
+      .order('username', { ascending: true })
+      .range(from, from + pageSize - 1);
+
+    if (department) query = query.eq('department', department);
+    if (!includeInactive) query = query.eq('is_active', true);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    rows.push(...(data || []).map(toExportRow));
+    if (!data || data.length < pageSize) return rows;
+  }
+}
+
+module.exports = {
+  USER_COLUMNS,
+  USER_IMPORT_MAX_ROWS,
+  readImportRows,
+  validateImportRows,
+  applyImport,
+  exportUsers,
+};
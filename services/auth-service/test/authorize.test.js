@@ -0,0 +1,230 @@
+/**
+ * Tests: the role/permission matrix, department scoping and the authorize() middleware
+ * Runs against the in-memory Supabase stand-in (test/fakeSupabase.js)
+ */
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeSupabase } = require('./fakeSupabase');
+
+// Settings are read at require time
+process.env.LOG_LEVEL = 'error';
+process.env.TWO_FACTOR_SECRET = 'local-test-two-factor-secret';
+process.env.TWO_FACTOR_REQUIRED_ROLES = 'super_admin,manager';
+
+const tables = installFakeSupabase();
+
+const { PERMISSIONS, SCOPES, getEffectiveRole, getPermissionScope } = require('../config/permissions');
+const { authorize, checkPermission } = require('../middleware/authorize');
+const { createTwoFactorSession } = require('../services/twoFactor');
+
+const SUPER_ADMIN = { uid: 'uid-super', username: 'super', role: 'super_admin', department: 'Management' };
+const HR_ADMIN = { uid: 'uid-hr', username: 'hr', role: 'manager', department: 'HR' };
+const MANAGER = { uid: 'uid-manager', username: 'manager', role: 'manager', department: 'Engineering' };
+const EMPLOYEE = { uid: 'uid-employee', username: 'employee', role: 'employee', department: 'Engineering' };
+const OTHER_MANAGER = { uid: 'uid-sales-manager', username: 'salesmanager', role: 'manager', department: 'Sales' };
+const OTHER_EMPLOYEE = { uid: 'uid-sales', username: 'sales', role: 'employee', department: 'Sales' };
+const HR_EMPLOYEE = { uid: 'uid-hr-employee', username: 'hremployee', role: 'employee', department: 'HR' };
+
+describe('permission matrix', () => {
+  it('treats managers in HR as HR admins', () => {
+    assert.equal(getEffectiveRole(HR_ADMIN), 'hr_admin');
+    assert.equal(getEffectiveRole(MANAGER), 'manager');
+    assert.equal(getEffectiveRole(HR_EMPLOYEE), 'employee');
+    assert.equal(getEffectiveRole(null), 'employee');
+  });
+
+  it('grants super admins everything everywhere', () => {
+    Object.values(PERMISSIONS).forEach(permission => {
+      assert.equal(getPermissionScope(SUPER_ADMIN, permission), SCOPES.ALL, permission);
+    });
+  });
+
+  it('keeps HR admins to their department for what hands over an account', () => {
+    assert.equal(getPermissionScope(HR_ADMIN, PERMISSIONS.USERS_CREATE), SCOPES.ALL);
+    assert.equal(getPermissionScope(HR_ADMIN, PERMISSIONS.USERS_UPDATE), SCOPES.ALL);
+    assert.equal(getPermissionScope(HR_ADMIN, PERMISSIONS.USERS_DEACTIVATE), SCOPES.ALL);
+    assert.equal(getPermissionScope(HR_ADMIN, PERMISSIONS.USERS_UPDATE_ROLE), SCOPES.DEPARTMENT);
+    assert.equal(getPermissionScope(HR_ADMIN, PERMISSIONS.USERS_UPDATE_EMAIL), SCOPES.DEPARTMENT);
+    assert.equal(getPermissionScope(HR_ADMIN, PERMISSIONS.USERS_RESET_TWO_FACTOR), SCOPES.DEPARTMENT);
+  });
+
+  it('limits managers to updating and exporting their department', () => {
+    assert.equal(getPermissionScope(MANAGER, PERMISSIONS.USERS_UPDATE), SCOPES.DEPARTMENT);
+    assert.equal(getPermissionScope(MANAGER, PERMISSIONS.USERS_UPDATE_ROLE), SCOPES.DEPARTMENT);
+    assert.equal(getPermissionScope(MANAGER, PERMISSIONS.USERS_EXPORT), SCOPES.DEPARTMENT);
+    assert.equal(getPermissionScope(MANAGER, PERMISSIONS.USERS_CREATE), null);
+    assert.equal(getPermissionScope(MANAGER, PERMISSIONS.USERS_UPDATE_EMAIL), null);
+    assert.equal(getPermissionScope(MANAGER, PERMISSIONS.AUDIT_READ), null);
+  });
+
+  it('grants employees nothing', () => {
+    Object.values(PERMISSIONS).forEach(permission => {
+      assert.equal(getPermissionScope(EMPLOYEE, permission), null, permission);
+    });
+  });
+});
+
+describe('checkPermission', () => {
+  it('lets managers update users in their own department only', () => {
+    assert.equal(checkPermission(MANAGER, PERMISSIONS.USERS_UPDATE, EMPLOYEE).allowed, true);
+    assert.equal(checkPermission(MANAGER, PERMISSIONS.USERS_UPDATE, OTHER_EMPLOYEE).allowed, false);
+  });
+
+  it('keeps managers from moving users out of their department', () => {
+    const decision = checkPermission(MANAGER, PERMISSIONS.USERS_UPDATE, EMPLOYEE, { department: 'Sales' });
+    assert.deepEqual(decision, { allowed: false, message: 'You cannot move users outside your own department' });
+  });
+
+  it('lets HR admins update users in any department', () => {
+    assert.equal(checkPermission(HR_ADMIN, PERMISSIONS.USERS_UPDATE, OTHER_EMPLOYEE, { department: 'Engineering' }).allowed, true);
+    assert.equal(checkPermission(HR_ADMIN, PERMISSIONS.USERS_CREATE, null, { department: 'Sales' }).allowed, true);
+  });
+
+  it('keeps HR admins from taking over accounts outside HR', () => {
+    assert.equal(checkPermission(HR_ADMIN, PERMISSIONS.USERS_UPDATE_EMAIL, OTHER_MANAGER).allowed, false);
+    assert.equal(checkPermission(HR_ADMIN, PERMISSIONS.USERS_RESET_TWO_FACTOR, OTHER_MANAGER).allowed, false);
+    assert.equal(checkPermission(HR_ADMIN, PERMISSIONS.USERS_UPDATE_ROLE, OTHER_EMPLOYEE, { role: 'manager' }).allowed, false);
+    assert.equal(checkPermission(HR_ADMIN, PERMISSIONS.USERS_UPDATE_EMAIL, HR_EMPLOYEE).allowed, true);
+    assert.equal(checkPermission(HR_ADMIN, PERMISSIONS.USERS_RESET_TWO_FACTOR, HR_EMPLOYEE).allowed, true);
+  });
+
+  it('leaves super admin accounts and the super_admin role to super admins', () => {
+    assert.equal(checkPermission(HR_ADMIN, PERMISSIONS.USERS_DEACTIVATE, SUPER_ADMIN).allowed, false);
+    assert.equal(checkPermission(HR_ADMIN, PERMISSIONS.USERS_CREATE, null, { role: 'super_admin' }).allowed, false);
+    assert.equal(checkPermission(SUPER_ADMIN, PERMISSIONS.USERS_UPDATE_ROLE, EMPLOYEE, { role: 'super_admin' }).allowed, true);
+  });
+
+  it('denies permissions the role does not have', () => {
+    assert.deepEqual(checkPermission(EMPLOYEE, PERMISSIONS.USERS_EXPORT, null), {
+      allowed: false,
+      message: 'You do not have permission to export users',
+    });
+  });
+});
+
+/**
+ * Run authorize() with a fake request
+ * @param {string} permission - Permission to require
+ * @param {Object} request - { identity, params, body }
+ * @returns {Promise<{req: Object, status: number|null, body: Object|null, nextCalled: boolean}>} Outcome
+ */
+async function runAuthorize(permission, { identity, params = {}, body } = {}) {
+  const req = { identity, params, body };
+  const outcome = { req, status: null, body: null, nextCalled: false };
+  const res = {
+    status(code) {
+      outcome.status = code;
+      return this;
+    },
+    json(json) {
+      outcome.body = json;
+      return this;
+    },
+  };
+  await authorize(permission)(req, res, () => { outcome.nextCalled = true; });
+  return outcome;
+}
+
+/**
+ * Build the verified identity of a user who signed in with their second factor
+ * @param {Object} user - User row
+ * @returns {Promise<Object>} req.identity
+ */
+async function identityWithTwoFactor(user) {
+  return { uid: user.uid, twoFactorToken: await createTwoFactorSession(user.uid) };
+}
+
+describe('authorize', () => {
+  beforeEach(() => {
+    tables.users = [SUPER_ADMIN, HR_ADMIN, MANAGER, EMPLOYEE, OTHER_MANAGER, OTHER_EMPLOYEE, HR_EMPLOYEE]
+      .map(user => ({ ...user, is_active: true, two_factor_enabled: user.role !== 'employee' }));
+  });
+
+  it('answers 401 without a verified identity', async () => {
+    const { status, body } = await runAuthorize(PERMISSIONS.USERS_UPDATE, {});
+    assert.equal(status, 401);
+    assert.equal(body.code, 'UNAUTHORIZED');
+  });
+
+  it('refuses inactive callers', async () => {
+    tables.users.find(user => user.uid === MANAGER.uid).is_active = false;
+    const { status, body } = await runAuthorize(PERMISSIONS.USERS_UPDATE, {
+      identity: await identityWithTwoFactor(MANAGER),
+      params: { username: EMPLOYEE.username },
+    });
+    assert.equal(status, 403);
+    assert.equal(body.code, 'ACCOUNT_INACTIVE');
+  });
+
+  it('refuses required roles until they set up two-factor authentication', async () => {
+    tables.users.find(user => user.uid === MANAGER.uid).two_factor_enabled = false;
+    const { status, body } = await runAuthorize(PERMISSIONS.USERS_UPDATE, {
+      identity: { uid: MANAGER.uid },
+      params: { username: EMPLOYEE.username },
+    });
+    assert.equal(status, 403);
+    assert.equal(body.code, 'TWO_FACTOR_SETUP_REQUIRED');
+  });
+
+  it('refuses a password-only session of an enrolled user', async () => {
+    const { status, body } = await runAuthorize(PERMISSIONS.USERS_UPDATE, {
+      identity: { uid: MANAGER.uid, twoFactorToken: null },
+      params: { username: EMPLOYEE.username },
+    });
+    assert.equal(status, 403);
+    assert.equal(body.code, 'TWO_FACTOR_VERIFICATION_REQUIRED');
+  });
+
+  it("refuses another user's two-factor session", async () => {
+    const { status, body } = await runAuthorize(PERMISSIONS.USERS_UPDATE, {
+      identity: { uid: MANAGER.uid, twoFactorToken: await createTwoFactorSession(OTHER_MANAGER.uid) },
+      params: { username: EMPLOYEE.username },
+    });
+    assert.equal(status, 403);
+    assert.equal(body.code, 'TWO_FACTOR_VERIFICATION_REQUIRED');
+  });
+
+  it('answers 404 for an unknown target', async () => {
+    const { status } = await runAuthorize(PERMISSIONS.USERS_UPDATE, {
+      identity: await identityWithTwoFactor(MANAGER),
+      params: { username: 'nobody' },
+    });
+    assert.equal(status, 404);
+  });
+
+  it('lets a verified manager update their department and sets the actor and target', async () => {
+    const { req, nextCalled } = await runAuthorize(PERMISSIONS.USERS_UPDATE, {
+      identity: await identityWithTwoFactor(MANAGER),
+      params: { username: EMPLOYEE.username },
+      body: { name: 'New Name' },
+    });
+    assert.equal(nextCalled, true);
+    assert.equal(req.actor.uid, MANAGER.uid);
+    assert.equal(req.targetUser.uid, EMPLOYEE.uid);
+  });
+
+  it('refuses a manager acting on another department', async () => {
+    const { status, body } = await runAuthorize(PERMISSIONS.USERS_UPDATE, {
+      identity: await identityWithTwoFactor(MANAGER),
+      params: { username: OTHER_EMPLOYEE.username },
+    });
+    assert.equal(status, 403);
+    assert.equal(body.code, 'FORBIDDEN');
+  });
+
+  it('also requires the role permission when an update changes the role', async () => {
+    const { status, body } = await runAuthorize(PERMISSIONS.USERS_UPDATE, {
+      identity: await identityWithTwoFactor(HR_ADMIN),
+      params: { username: OTHER_EMPLOYEE.username },
+      body: { role: 'manager' },
+    });
+    assert.equal(status, 403);
+    assert.equal(body.error, 'You can only manage users in your own department');
+  });
+
+  it('lets employees without two-factor authentication through to the permission check', async () => {
+    const { status, body } = await runAuthorize(PERMISSIONS.USERS_EXPORT, { identity: { uid: EMPLOYEE.uid } });
+    assert.equal(status, 403);
+    assert.equal(body.error, 'You do not have permission to export users');
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * In-memory stand-in for the Supabase client, for tests of modules that require config/supabase
+ * Supports the query builder calls those modules make: select (with count and head), insert, upsert, update,
+ * delete, eq, is, or, maybeSingle and single. Filters in or() may use eq, is (null) and lt.
+ */
+const crypto = require('crypto');
+const path = require('path');
+
+/**
+ * Check a row against one PostgREST-style filter (column.operator.value)
+ * @param {Object} row - Table row
+ * @param {string} filter - e.g. "last_used_step.lt.42"
+ * @returns {boolean} True if the row matches
+ */
+function matchesFilter(row, filter) {
+  const [column, operator, ...rest] = filter.split('.');
+  const value = rest.join('.');
+  switch (operator) {
+    case 'eq': return String(row[column]) === value;
+    case 'is': return value === 'null' ? row[column] === null || row[column] === undefined : String(row[column]) === value;
+    case 'lt': return row[column] !== null && row[column] !== undefined && Number(row[column]) < Number(value);
+    default: throw new Error(`Unsupported filter operator "${operator}"`);
+  }
+}
+
+class Query {
+  constructor(rows) {
+    this.rows = rows;
+    this.filters = [];
+    this.action = 'select';
+    this.values = null;
+    this.returning = false;
+    this.conflictColumn = null;
+    this.countRows = false;
+    this.headOnly = false;
+  }
+
+  select(columns, { count, head } = {}) {
+    this.returning = true;
+    this.countRows = Boolean(count);
+    this.headOnly = Boolean(head);
+    return this;
+  }
+
+  insert(values) {
+    this.action = 'insert';
+    this.values = Array.isArray(values) ? values : [values];
+    return this;
+  }
+
+  upsert(values, { onConflict }) {
+    this.action = 'upsert';
+    this.values = Array.isArray(values) ? values : [values];
+    this.conflictColumn = onConflict;
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.values = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  eq(column, value) {
+    this.filters.push(row => row[column] === value);
+    return this;
+  }
+
+  is(column, value) {
+    this.filters.push(row => (value === null ? row[column] === null || row[column] === undefined : row[column] === value));
+    return this;
+  }
+
+  or(expression) {
+    const alternatives = expression.split(',');
+    this.filters.push(row => alternatives.some(filter => matchesFilter(row, filter)));
+    return this;
+  }
+
+  run() {
+    if (this.action === 'insert') {
+      // Like a uuid primary key default
+      const inserted = this.values.map(values => ({ id: crypto.randomUUID(), ...values }));
+      this.rows.push(...inserted);
+      return inserted;
+    }
+
+    if (this.action === 'upsert') {
+      return this.values.map(values => {
+        const existing = this.rows.find(row => row[this.conflictColumn] === values[this.conflictColumn]);
+        if (existing) return { ...Object.assign(existing, values) };
+        this.rows.push({ ...values });
+        return { ...values };
+      });
+    }
+
+    const matched = this.rows.filter(row => this.filters.every(filter => filter(row)));
+    if (this.action === 'update') {
+      matched.forEach(row => Object.assign(row, this.values));
+    } else if (this.action === 'delete') {
+      matched.forEach(row => this.rows.splice(this.rows.indexOf(row), 1));
+    }
+    return matched.map(row => ({ ...row }));
+  }
+
+  async maybeSingle() {
+    const rows = this.run();
+    if (rows.length > 1) return { data: null, error: new Error('More than one row') };
+    return { data: rows[0] || null, error: null };
+  }
+
+  async single() {
+    const rows = this.run();
+    if (rows.length !== 1) return { data: null, error: new Error(`Expected one row, got ${rows.length}`) };
+    return { data: rows[0], error: null };
+  }
+
+  then(resolve, reject) {
+    try {
+      const rows = this.run();
+      resolve({
+        data: this.headOnly || !(this.action === 'select' || this.returning) ? null : rows,
+        error: null,
+        ...(this.countRows ? { count: rows.length } : {}),
+      });
+    } catch (error) {
+      reject(error);
+    }
+  }
+}
+
+/**
+ * Replace config/supabase with an in-memory client (call before requiring the module under test)
+ * @param {Object<string, Array<Object>>} [tables] - Initial rows per table
+ * @returns {Object<string, Array<Object>>} The live tables, for assertions and resets
+ */
+function installFakeSupabase(tables = {}) {
+  const supabase = {
+    from(table) {
+      if (!tables[table]) tables[table] = [];
+      return new Query(tables[table]);
+    },
+  };
+
+  const modulePath = path.join(__dirname, '..', 'config', 'supabase.js');
+  require.cache[modulePath] = {
+    id: modulePath,
+    filename: modulePath,
+    loaded: true,
+    exports: { supabase, pingSupabase: async () => {}, initialized: true },
+  };
+  return tables;
+}
+
+module.exports = {
+  installFakeSupabase,
+};
@@ -0,0 +1,98 @@
+/**
+ * Tests: TOTP codes (RFC 6238) and the clock drift window
+ */
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  TOTP_STEP_SECONDS,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  codeForStep,
+  getTimeStep,
+  findTimeStep,
+  buildOtpauthUri,
+} = require('../utils/totp');
+
+// RFC 6238 appendix B test secret (SHA-1); the expected codes are the last 6 of its 8-digit values
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('base32', () => {
+  it('round-trips bytes', () => {
+    const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253, 254, 255]);
+    assert.deepEqual(base32Decode(base32Encode(bytes)), bytes);
+  });
+
+  it('ignores case, spaces and padding', () => {
+    assert.deepEqual(base32Decode('mzxw 6ytb oi======'), Buffer.from('foobar'));
+  });
+
+  it('rejects characters outside the alphabet', () => {
+    assert.throws(() => base32Decode('ABC1'), /Invalid base32 character/);
+  });
+
+  it('generates 160-bit secrets', () => {
+    assert.equal(base32Decode(generateSecret()).length, 20);
+  });
+});
+
+describe('codeForStep', () => {
+  const key = base32Decode(RFC_SECRET);
+
+  it('matches the RFC 6238 test vectors', () => {
+    assert.equal(codeForStep(key, getTimeStep(59 * 1000)), '287082');
+    assert.equal(codeForStep(key, getTimeStep(1111111109 * 1000)), '081804');
+    assert.equal(codeForStep(key, getTimeStep(1234567890 * 1000)), '005924');
+    assert.equal(codeForStep(key, getTimeStep(2000000000 * 1000)), '279037');
+  });
+});
+
+describe('findTimeStep', () => {
+  const key = base32Decode(RFC_SECRET);
+  const now = 1111111109 * 1000;
+  const current = getTimeStep(now);
+
+  it('returns the step of a current code', () => {
+    assert.equal(findTimeStep(RFC_SECRET, '081804', { now }), current);
+  });
+
+  it('ignores spaces in the code', () => {
+    assert.equal(findTimeStep(RFC_SECRET, '081 804', { now }), current);
+  });
+
+  it('accepts one step of clock drift either way', () => {
+    assert.equal(findTimeStep(RFC_SECRET, codeForStep(key, current - 1), { now }), current - 1);
+    assert.equal(findTimeStep(RFC_SECRET, codeForStep(key, current + 1), { now }), current + 1);
+  });
+
+  it('rejects codes outside the window', () => {
+    assert.equal(findTimeStep(RFC_SECRET, codeForStep(key, current - 2), { now }), null);
+    assert.equal(findTimeStep(RFC_SECRET, codeForStep(key, current + 2), { now }), null);
+    assert.equal(findTimeStep(RFC_SECRET, codeForStep(key, current + 2), { now, window: 2 }), current + 2);
+  });
+
+  it('rejects a code once its step has passed', () => {
+    assert.equal(findTimeStep(RFC_SECRET, '081804', { now: now + 2 * TOTP_STEP_SECONDS * 1000 }), null);
+  });
+
+  it('rejects malformed codes', () => {
+    assert.equal(findTimeStep(RFC_SECRET, '', { now }), null);
+    assert.equal(findTimeStep(RFC_SECRET, '81804', { now }), null);
+    assert.equal(findTimeStep(RFC_SECRET, '0818045', { now }), null);
+    assert.equal(findTimeStep(RFC_SECRET, 'abcdef', { now }), null);
+    assert.equal(findTimeStep(RFC_SECRET, undefined, { now }), null);
+  });
+});
+
+describe('buildOtpauthUri', () => {
+  it('encodes the label and the parameters authenticator apps read', () => {
+    const uri = new URL(buildOtpauthUri({ secret: RFC_SECRET, issuer: 'hadir.ai', accountName: 'a b@example.com' }));
+    assert.equal(uri.protocol, 'otpauth:');
+    assert.equal(uri.host, 'totp');
+    assert.equal(decodeURIComponent(uri.pathname), '/hadir.ai:a b@example.com');
+    assert.equal(uri.searchParams.get('secret'), RFC_SECRET);
+    assert.equal(uri.searchParams.get('issuer'), 'hadir.ai');
+    assert.equal(uri.searchParams.get('digits'), '6');
+    assert.equal(uri.searchParams.get('period'), String(TOTP_STEP_SECONDS));
+  });
+});
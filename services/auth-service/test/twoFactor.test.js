@@ -0,0 +1,154 @@
+/**
+ * Tests: two-factor enrollment, code replay protection, recovery codes and two-factor session tokens
+ * Runs against the in-memory Supabase stand-in (test/fakeSupabase.js)
+ */
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { installFakeSupabase } = require('./fakeSupabase');
+
+// Settings are read at require time
+process.env.LOG_LEVEL = 'error';
+process.env.TWO_FACTOR_SECRET = 'local-test-two-factor-secret';
+process.env.TWO_FACTOR_REQUIRED_ROLES = 'super_admin,manager';
+
+const tables = installFakeSupabase();
+
+const {
+  isTwoFactorRequired,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  createTwoFactorSession,
+  verifyTwoFactorSession,
+} = require('../services/twoFactor');
+const { base32Decode, codeForStep, getTimeStep } = require('../utils/totp');
+
+const USER = { uid: 'user-1', username: 'manager1', email: 'manager1@example.com' };
+
+/**
+ * Get the code an authenticator app shows for a step
+ * @param {string} secret - Base32 secret
+ * @param {number} [offset] - Steps from now
+ * @returns {string} Code
+ */
+function codeAt(secret, offset = 0) {
+  return codeForStep(base32Decode(secret), getTimeStep() + offset);
+}
+
+/**
+ * Enroll USER and return the secret and recovery codes
+ * The enrollment code is for the previous step, so tests can use the current and next steps
+ * @returns {Promise<{secret: string, recoveryCodes: string[]}>} Enrollment result
+ */
+async function enroll() {
+  const { secret } = await startEnrollment(USER);
+  const result = await confirmEnrollment(USER.uid, codeAt(secret, -1));
+  assert.equal(result.ok, true);
+  return { secret, recoveryCodes: result.recoveryCodes };
+}
+
+beforeEach(() => {
+  tables.users = [{ ...USER, role: 'manager', two_factor_enabled: false }];
+  tables.user_two_factor = [];
+  tables.user_recovery_codes = [];
+});
+
+describe('isTwoFactorRequired', () => {
+  it('follows TWO_FACTOR_REQUIRED_ROLES', () => {
+    assert.equal(isTwoFactorRequired('super_admin'), true);
+    assert.equal(isTwoFactorRequired('manager'), true);
+    assert.equal(isTwoFactorRequired('employee'), false);
+  });
+});
+
+describe('enrollment', () => {
+  it('stores the secret encrypted', async () => {
+    const { secret } = await startEnrollment(USER);
+    const [row] = tables.user_two_factor;
+    assert.match(row.secret_encrypted, /^v1\./);
+    assert.equal(row.secret_encrypted.includes(secret), false);
+    assert.equal(row.enabled_at, null);
+  });
+
+  it('turns two-factor authentication on with a correct code', async () => {
+    const { recoveryCodes } = await enroll();
+    assert.equal(recoveryCodes.length, 10);
+    assert.equal(tables.users[0].two_factor_enabled, true);
+    assert.ok(tables.user_two_factor[0].enabled_at);
+    // Only hashes are stored
+    assert.equal(tables.user_recovery_codes.some(row => recoveryCodes.includes(row.code_hash)), false);
+  });
+
+  it('refuses a wrong code', async () => {
+    const { secret } = await startEnrollment(USER);
+    const wrong = String((Number(codeAt(secret)) + 1) % 1000000).padStart(6, '0');
+    assert.deepEqual(await confirmEnrollment(USER.uid, wrong), { ok: false, reason: 'invalid_code' });
+    assert.equal(tables.users[0].two_factor_enabled, false);
+  });
+
+  it('refuses to confirm twice', async () => {
+    const { secret } = await enroll();
+    assert.deepEqual(await confirmEnrollment(USER.uid, codeAt(secret)), { ok: false, reason: 'already_enabled' });
+  });
+});
+
+describe('verifySecondFactor', () => {
+  it('accepts a current code', async () => {
+    const { secret } = await enroll();
+    assert.deepEqual(await verifySecondFactor(USER.uid, codeAt(secret)), { method: 'totp' });
+  });
+
+  it('refuses the same code twice', async () => {
+    const { secret } = await enroll();
+    const code = codeAt(secret);
+    assert.deepEqual(await verifySecondFactor(USER.uid, code), { method: 'totp' });
+    assert.equal(await verifySecondFactor(USER.uid, code), null);
+  });
+
+  it('refuses the code used to enroll', async () => {
+    const { secret } = await enroll();
+    assert.equal(await verifySecondFactor(USER.uid, codeAt(secret, -1)), null);
+  });
+
+  it('refuses an older code once a newer one was used', async () => {
+    const { secret } = await enroll();
+    assert.deepEqual(await verifySecondFactor(USER.uid, codeAt(secret, 1)), { method: 'totp' });
+    assert.equal(await verifySecondFactor(USER.uid, codeAt(secret)), null);
+  });
+
+  it('refuses codes before enrollment is confirmed', async () => {
+    const { secret } = await startEnrollment(USER);
+    assert.equal(await verifySecondFactor(USER.uid, codeAt(secret)), null);
+  });
+
+  it('accepts each recovery code once, however it is typed', async () => {
+    const { recoveryCodes } = await enroll();
+    const typed = recoveryCodes[0].toUpperCase().replace('-', ' ');
+    assert.deepEqual(await verifySecondFactor(USER.uid, typed), { method: 'recovery_code', recoveryCodesRemaining: 9 });
+    assert.equal(await verifySecondFactor(USER.uid, recoveryCodes[0]), null);
+    assert.deepEqual(await verifySecondFactor(USER.uid, recoveryCodes[1]), { method: 'recovery_code', recoveryCodesRemaining: 8 });
+  });
+
+  it('refuses unknown recovery codes', async () => {
+    await enroll();
+    assert.equal(await verifySecondFactor(USER.uid, 'aaaaa-bbbbb'), null);
+  });
+});
+
+describe('two-factor session', () => {
+  it('verifies for the user it was issued to', async () => {
+    const token = await createTwoFactorSession(USER.uid);
+    assert.equal(await verifyTwoFactorSession(token, USER.uid), true);
+  });
+
+  it('does not verify for another user', async () => {
+    const token = await createTwoFactorSession(USER.uid);
+    assert.equal(await verifyTwoFactorSession(token, 'user-2'), false);
+  });
+
+  it('does not verify when missing or tampered with', async () => {
+    const token = await createTwoFactorSession(USER.uid);
+    assert.equal(await verifyTwoFactorSession(null, USER.uid), false);
+    assert.equal(await verifyTwoFactorSession(`${token.slice(0, -4)}AAAA`, USER.uid), false);
+  });
+});
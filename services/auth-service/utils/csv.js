@@ -0,0 +1,106 @@
+/**
+ * CSV helpers for user import/export
+ */
+const { escapeCSVCell } = require('@attendance/shared/csv');
+
+/**
+ * Build a CSV document
+ * @param {Array<{key: string, header: string}>} columns - Columns in order
+ * @param {Array<Object>} rows - Rows keyed by column key
+ * @returns {string} CSV text (UTF-8 BOM so Excel detects the encoding, CRLF line endings)
+ */
+function toCSV(columns, rows) {
+  const lines = [columns.map(col => escapeCSVCell(col.header)).join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(col => escapeCSVCell(row[col.key])).join(','));
+  });
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted cells, "" escapes, CRLF or LF line endings)
+ * The first line is the header; blank lines are skipped
+ * @param {string} text - CSV text
+ * @returns {{headers: Array<string>, rows: Array<{line: number, values: Object}>}} Rows keyed by header,
+ *   with the line number each row started on
+ * @throws {Error} If a quoted cell is never closed
+ */
+function parseCSV(text) {
+  const records = [];
+  let record = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(cell);
+      records.push({ line: recordLine, cells: record });
+      record = [];
+      cell = '';
+      line++;
+      recordLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted cell starting on line ${recordLine}`);
+  }
+  if (cell !== '' || record.length > 0) {
+    record.push(cell);
+    records.push({ line: recordLine, cells: record });
+  }
+
+  const nonBlank = records.filter(r => r.cells.some(value => value.trim() !== ''));
+  if (nonBlank.length === 0) {
+    return { headers: [], rows: [] };
+  }
+
+  const [headerRecord, ...dataRecords] = nonBlank;
+  const headers = headerRecord.cells.map(header => header.trim());
+
+  return {
+    headers,
+    rows: dataRecords.map(r => ({
+      line: r.line,
+      values: headers.reduce((values, header, index) => {
+        // Undo the formula-escaping ' that toCSV adds
+        const value = (r.cells[index] || '').trim();
+        values[header] = /^'[=+\-@]/.test(value) ? value.slice(1) : value;
+        return values;
+      }, {}),
+    })),
+  };
+}
+
+module.exports = {
+  escapeCSVCell,
+  toCSV,
+  parseCSV,
+};
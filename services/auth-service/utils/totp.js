@@ -0,0 +1,143 @@
+/**
+ * TOTP (RFC 6238) - Time-based one-time passwords for two-factor authentication
+ * SHA-1, 6 digits and 30-second steps: the parameters every authenticator app supports
+ */
+const crypto = require('crypto');
+
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+const SECRET_BYTES = 20;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Encode bytes as base32 (RFC 4648, no padding), the format authenticator apps expect for secrets
+ * @param {Buffer} buffer - Bytes
+ * @returns {string} Base32 text
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Decode base32 text (case, spaces and padding are ignored)
+ * @param {string} text - Base32 text
+ * @returns {Buffer} Bytes
+ */
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new TOTP secret
+ * @returns {string} Base32 secret (160 bits)
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(SECRET_BYTES));
+}
+
+/**
+ * Compute the one-time code for a time step (RFC 4226 HOTP)
+ * @param {Buffer} key - Decoded secret
+ * @param {number} step - Time step counter
+ * @returns {string} Zero-padded code
+ */
+function codeForStep(key, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * Get the time step for a moment
+ * @param {number} [now] - Milliseconds since epoch (default: now)
+ * @returns {number} Step counter
+ */
+function getTimeStep(now = Date.now()) {
+  return Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+}
+
+/**
+ * Find the time step a code belongs to, allowing for clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code as typed (spaces ignored)
+ * @param {Object} [options] - { window: steps either side of now (default 1), now }
+ * @returns {number|null} Matching step, or null when the code is wrong
+ */
+function findTimeStep(secret, code, { window = 1, now = Date.now() } = {}) {
+  const candidate = String(code || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(candidate)) return null;
+
+  const key = base32Decode(secret);
+  const current = getTimeStep(now);
+  for (let offset = -window; offset <= window; offset++) {
+    const step = current + offset;
+    if (crypto.timingSafeEqual(Buffer.from(codeForStep(key, step)), Buffer.from(candidate))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the otpauth:// URI authenticator apps import (directly or from a QR code)
+ * @param {Object} params - { secret, issuer, accountName }
+ * @returns {string} otpauth URI
+ */
+function buildOtpauthUri({ secret, issuer, accountName }) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const query = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${query}`;
+}
+
+module.exports = {
+  TOTP_DIGITS,
+  TOTP_STEP_SECONDS,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  codeForStep,
+  getTimeStep,
+  findTimeStep,
+  buildOtpauthUri,
+};
@@ -1,21 +1,21 @@
 // Supabase Configuration for Reporting Service
-// This service uses Service Role Key for read-only database access
+// This service uses Service Role Key for database and storage access
 const { createClient } = require('@supabase/supabase-js');
 require('dotenv').config();
+const { logger } = require('@attendance/shared/logger');
 
 // Supabase configuration
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
 
 if (!supabaseUrl || !supabaseServiceKey) {
-  console.error('✗ Missing Supabase environment variables');
-  console.error('Please ensure SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are set in .env');
+  logger.error('Missing Supabase environment variables: ensure SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY are set in .env');
   throw new Error('Supabase configuration missing');
 }
 
 // Create Supabase client with service role key (admin privileges)
 // Service role key bypasses Row Level Security (RLS) policies
-// IMPORTANT: This service only performs READ operations
+// Writes are limited to the generated_reports archive and its storage bucket
 const supabase = createClient(supabaseUrl, supabaseServiceKey, {
   auth: {
     autoRefreshToken: false,
@@ -23,11 +23,23 @@ const supabase = createClient(supabaseUrl, supabaseServiceKey, {
   }
 });
 
-console.log('✓ Reporting Service: Supabase client initialized successfully');
+logger.info('Supabase client initialized');
+
+/**
+ * Check that Supabase is reachable and accepts the service role key (readiness check)
+ * @returns {Promise<void>} Rejects with the Supabase error
+ */
+async function pingSupabase() {
+  const { error } = await supabase.from('users').select('uid').limit(1);
+  if (error) {
+    throw new Error(`Supabase query failed: ${error.message || error.code || 'unknown error'}`);
+  }
+}
 
 module.exports = {
   supabase,
   supabaseUrl,
+  pingSupabase,
   initialized: true,
 };
 
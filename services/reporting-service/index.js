@@ -7,30 +7,35 @@ const cors = require('cors');
 require('dotenv').config();
 
 const reportRoutes = require('./routes/reports');
-const { startMonthlyReportJob } = require('./jobs/monthlyReportJob');
-const { cleanupExpiredReports } = require('./services/reportStorage');
-const { deletePDFFile } = require('./services/pdfGenerator');
+const scheduleRoutes = require('./routes/schedules');
+const { startReportScheduler } = require('./jobs/reportScheduler');
+const { startReportRetentionJob } = require('./jobs/reportRetentionJob');
+const { pingSupabase } = require('./config/supabase');
+const { getEmailTransport } = require('./services/email');
+const { logger, requestLogger } = require('@attendance/shared/logger');
+const { httpMetrics, metricsHandler } = require('@attendance/shared/metrics');
+const { createHealthRouter } = require('@attendance/shared/health');
 
 const app = express();
 const PORT = process.env.PORT || 3002;
 
+// Trust X-Forwarded-For from the API Gateway so req.ip is the client's IP (recorded in the audit log)
+// TRUST_PROXY: comma-separated addresses/subnets, a hop count, or true/false
+// Only loopback by default: anyone else on a private network could set X-Forwarded-For to any address
+const TRUST_PROXY = process.env.TRUST_PROXY || 'loopback';
+app.set('trust proxy', ['true', 'false'].includes(TRUST_PROXY)
+  ? TRUST_PROXY === 'true'
+  : /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY, 10) : TRUST_PROXY);
+
 // Middleware
+app.use(requestLogger()); // Request id + one structured log line per request (@attendance/shared/logger)
+app.use(httpMetrics());
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Request logging middleware
-app.use((req, res, next) => {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] Reporting Service: ${req.method} ${req.path}`, {
-    ip: req.ip,
-    userAgent: req.get('user-agent'),
-    body: req.method !== 'GET' ? req.body : undefined
-  });
-  next();
-});
-
-// Routes
+// Routes (schedules first so /api/reports/:reportId doesn't capture them)
+app.use('/api/reports/schedules', scheduleRoutes);
 app.use('/api/reports', reportRoutes);
 
 // Health check route
@@ -42,6 +47,25 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Liveness and readiness (/health/live, /health/ready)
+// A broken email transport only degrades readiness: reports are still generated and archived for download
+app.use('/health', createHealthRouter({
+  supabase: { check: pingSupabase },
+  email: {
+    optional: true,
+    timeoutMs: 10000, // SMTP verification connects and authenticates
+    cacheMs: 60000,   // ...so don't do it on every probe
+    check: async () => {
+      const transport = getEmailTransport();
+      if (transport.verify) await transport.verify();
+      return { transport: transport.name };
+    },
+  },
+}));
+
+// Prometheus metrics (METRICS_TOKEN protects it when set)
+app.get('/metrics', metricsHandler());
+
 // Root route
 app.get('/', (req, res) => {
   res.json({
@@ -49,8 +73,13 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       generate: 'POST /api/reports/generate',
+      list: 'GET /api/reports',
       download: 'GET /api/reports/download/:reportId',
+      delete: 'DELETE /api/reports/:reportId',
+      schedules: '/api/reports/schedules',
       health: '/health',
+      ready: '/health/ready',
+      metrics: '/metrics',
     },
   });
 });
@@ -58,25 +87,17 @@ app.get('/', (req, res) => {
 // Start server - listen on all interfaces (0.0.0.0) to allow connections from devices
 const HOST = process.env.HOST || '0.0.0.0';
 app.listen(PORT, HOST, () => {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] ========================================`);
-  console.log(`[${timestamp}] Reporting Service starting...`);
-  console.log(`[${timestamp}] Server running on http://${HOST}:${PORT}`);
-  console.log(`[${timestamp}] Health check: http://localhost:${PORT}/health`);
-  console.log(`[${timestamp}] Supabase URL: ${process.env.SUPABASE_URL || 'NOT SET'}`);
-  console.log(`[${timestamp}] ========================================`);
-  console.log(`[${timestamp}] Reporting Service ready to receive requests`);
-  
-  // Start monthly report cron job
-  startMonthlyReportJob();
+  logger.info(`Reporting Service listening on http://${HOST}:${PORT}`, {
+    port: Number(PORT),
+    host: HOST,
+    supabaseUrl: process.env.SUPABASE_URL || 'NOT SET',
+  });
   
-  // Start cleanup job for expired reports (runs every 5 minutes)
-  setInterval(() => {
-    cleanupExpiredReports(deletePDFFile);
-  }, 5 * 60 * 1000); // 5 minutes
+  // Start report schedules (report_schedules table)
+  startReportScheduler();
   
-  // Run initial cleanup
-  cleanupExpiredReports(deletePDFFile);
+  // Start retention job for archived reports (REPORT_RETENTION_DAYS / REPORT_CLEANUP_CRON)
+  startReportRetentionJob();
 });
 
 module.exports = app;
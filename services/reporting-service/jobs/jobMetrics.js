@@ -0,0 +1,38 @@
+/**
+ * Cron Job Metrics
+ * Outcome, duration and last-run time of the cron jobs, exported on /metrics:
+ *   cron_job_runs_total{job,outcome}
+ *   cron_job_duration_seconds{job}
+ *   cron_job_last_run_timestamp_seconds{job,outcome}
+ *
+ * Jobs: report_schedule (scheduled report runs), report_retention (expired report cleanup)
+ * Outcomes: success, failure, skipped (another run or instance already had it)
+ */
+const { counter, gauge, histogram } = require('@attendance/shared/metrics');
+
+const jobRuns = counter('cron_job_runs_total', 'Cron job runs by outcome', ['job', 'outcome']);
+const jobDuration = histogram(
+  'cron_job_duration_seconds',
+  'Cron job run time in seconds',
+  ['job'],
+  [0.1, 0.5, 1, 5, 10, 30, 60, 120, 300, 600]
+);
+const jobLastRun = gauge('cron_job_last_run_timestamp_seconds', 'Unix time the job last finished with this outcome', ['job', 'outcome']);
+
+/**
+ * Record a finished (or skipped) job run
+ * @param {string} job - Job name
+ * @param {string} outcome - success | failure | skipped
+ * @param {number} [durationSeconds] - Run time (omitted for skipped runs)
+ */
+function recordJobRun(job, outcome, durationSeconds) {
+  jobRuns.inc({ job, outcome });
+  jobLastRun.set({ job, outcome }, Math.floor(Date.now() / 1000));
+  if (durationSeconds !== undefined) {
+    jobDuration.observe({ job }, durationSeconds);
+  }
+}
+
+module.exports = {
+  recordJobRun,
+};
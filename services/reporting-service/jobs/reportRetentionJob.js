@@ -0,0 +1,65 @@
+/**
+ * Report Retention Job - Removes archived reports past their retention period
+ * Schedule is configurable with REPORT_CLEANUP_CRON (default: hourly)
+ */
+const cron = require('node-cron');
+const { cleanupExpiredReports, REPORT_RETENTION_DAYS } = require('../services/reportStorage');
+const { logger } = require('@attendance/shared/logger');
+const { recordJobRun } = require('./jobMetrics');
+
+const log = logger.child({ component: 'ReportRetention' });
+
+const REPORT_CLEANUP_CRON = process.env.REPORT_CLEANUP_CRON || '0 * * * *';
+
+let isRunning = false;
+
+/**
+ * Delete expired reports (skips if a previous run is still in progress)
+ */
+async function runReportCleanup() {
+  if (isRunning) {
+    log.warn('Report cleanup is already running. Skipping...');
+    recordJobRun('report_retention', 'skipped');
+    return;
+  }
+
+  isRunning = true;
+  const startedAt = Date.now();
+  try {
+    await cleanupExpiredReports();
+    recordJobRun('report_retention', 'success', (Date.now() - startedAt) / 1000);
+  } catch (error) {
+    log.error('✗ Error cleaning up expired reports', { error });
+    recordJobRun('report_retention', 'failure', (Date.now() - startedAt) / 1000);
+  } finally {
+    isRunning = false;
+  }
+}
+
+/**
+ * Start the report retention cron job and run an initial cleanup
+ */
+function startReportRetentionJob() {
+  if (!REPORT_RETENTION_DAYS || REPORT_RETENTION_DAYS <= 0) {
+    log.info('✓ Report retention disabled (REPORT_RETENTION_DAYS=0): reports are kept until deleted');
+    return;
+  }
+
+  if (!cron.validate(REPORT_CLEANUP_CRON)) {
+    throw new Error(`Invalid REPORT_CLEANUP_CRON expression: "${REPORT_CLEANUP_CRON}"`);
+  }
+
+  cron.schedule(REPORT_CLEANUP_CRON, runReportCleanup, {
+    scheduled: true,
+    timezone: 'UTC',
+  });
+
+  log.info(`✓ Report retention job scheduled: "${REPORT_CLEANUP_CRON}" UTC, keeping reports for ${REPORT_RETENTION_DAYS} day(s)`);
+
+  runReportCleanup();
+}
+
+module.exports = {
+  startReportRetentionJob,
+  runReportCleanup,
+};
@@ -0,0 +1,249 @@
+/**
+ * Report Scheduler - Runs report schedules stored in the report_schedules table
+ * Replaces the hardcoded monthly report job (now the seeded "Monthly Attendance Report" schedule)
+ */
+const cron = require('node-cron');
+const { generateReportData } = require('../services/reportFormatter');
+const { renderReport, getReportFormat } = require('../services/reportFormats');
+const { sendReportEmail, generateScheduledReportEmailBody } = require('../services/emailService');
+const { getRecipientEmails } = require('../services/queryService');
+const { generateReportId, createReport, completeReport, failReport } = require('../services/reportStorage');
+const { acquireSlot } = require('../services/generationSlots');
+const { logger } = require('@attendance/shared/logger');
+const { recordJobRun } = require('./jobMetrics');
+
+const log = logger.child({ component: 'Scheduler' });
+const {
+  getCronExpression,
+  listSchedules,
+  getSchedule,
+  startRun,
+  finishRun,
+} = require('../services/scheduleService');
+
+// Picks up schedules created or changed through another service instance
+const SCHEDULE_SYNC_CRON = '*/5 * * * *';
+
+// scheduleId -> { task, expression, timezone }
+const registeredTasks = new Map();
+
+/**
+ * Generate, archive and email the report for one run
+ * Waits for a generation slot first (services/generationSlots.js), so a burst of schedules runs a few at a time
+ * @param {Object} schedule - report_schedules row
+ * @param {Object} run - report_schedule_runs row
+ * @returns {Promise<string>} Run status: success | failed
+ */
+async function executeRun(schedule, run) {
+  const releaseSlot = await acquireSlot();
+  try {
+    return await generateAndDeliver(schedule, run);
+  } finally {
+    releaseSlot();
+  }
+}
+
+/**
+ * Body of executeRun, run while holding a generation slot
+ * @param {Object} schedule - report_schedules row
+ * @param {Object} run - report_schedule_runs row
+ * @returns {Promise<string>} Run status: success | failed
+ */
+async function generateAndDeliver(schedule, run) {
+  const reportId = generateReportId();
+  let archived = false;
+
+  log.info(`Running "${schedule.name}" (${run.trigger}, run ${run.id})`);
+
+  try {
+    await createReport({
+      reportId,
+      range: schedule.range_type,
+      format: schedule.format,
+      includeEmployees: schedule.include_employees,
+      source: 'scheduled',
+      scheduleId: schedule.id,
+    });
+
+    const reportData = await generateReportData(schedule.range_type, null, null, {
+      includeEmployees: schedule.include_employees,
+    });
+    log.info(`Report data generated: ${reportData.period.label}`);
+
+    const fileBuffer = await renderReport(reportData, schedule.format);
+    const report = await completeReport(reportId, fileBuffer, reportData, schedule.format);
+    archived = true;
+
+    const recipients = await getRecipientEmails(schedule.recipients);
+    if (recipients.length === 0) {
+      throw new Error('No active recipients matched this schedule');
+    }
+
+    const emailSubject = `${schedule.name} - ${reportData.period.label}`;
+    const emailBody = generateScheduledReportEmailBody(reportData, schedule.name, getReportFormat(schedule.format).attachmentLabel);
+
+    // Send individually so one bad address doesn't block the others (each outcome lands in the delivery log)
+    const delivered = [];
+    const failures = [];
+    for (const email of recipients) {
+      try {
+        await sendReportEmail(email, emailSubject, emailBody, fileBuffer, report.filename, { reportId, scheduleRunId: run.id });
+        delivered.push(email);
+      } catch (error) {
+        log.error(`✗ Failed to email ${email}`, { error });
+        failures.push(`${email}: ${error.message}`);
+      }
+    }
+
+    const status = failures.length === 0 ? 'success' : 'failed';
+    await finishRun(run, {
+      status,
+      reportId,
+      recipients: delivered,
+      errorMessage: failures.length > 0 ? `Delivery failed for ${failures.length} of ${recipients.length} recipient(s): ${failures.join('; ')}` : null,
+    });
+    log.info(`✓ "${schedule.name}" sent to ${delivered.length} of ${recipients.length} recipient(s)`);
+    return status;
+  } catch (error) {
+    log.error(`✗ "${schedule.name}" failed`, { error });
+    // A delivery failure leaves the archived report downloadable
+    if (!archived) {
+      await failReport(reportId, error);
+    }
+    await finishRun(run, {
+      status: 'failed',
+      reportId: archived ? reportId : null,
+      errorMessage: error.message,
+    }).catch((finishError) => {
+      log.error(`Error recording failed run ${run.id}`, { error: finishError });
+    });
+    return 'failed';
+  }
+}
+
+/**
+ * Start a run of a schedule
+ * @param {Object} schedule - report_schedules row
+ * @param {Object} options - { trigger: 'scheduled' | 'manual', scheduledFor: Date, triggeredBy: string }
+ * @returns {Promise<{run: Object|null, finished: Promise}>} Run row (null if another instance claimed the tick)
+ *   and a promise that settles when the run completes
+ */
+async function startScheduleRun(schedule, { trigger = 'manual', scheduledFor = null, triggeredBy = null } = {}) {
+  const run = await startRun({ scheduleId: schedule.id, trigger, scheduledFor, triggeredBy });
+  if (!run) {
+    return { run: null, finished: Promise.resolve() };
+  }
+
+  const startedAt = Date.now();
+  const finished = executeRun(schedule, run);
+  if (trigger === 'scheduled') {
+    finished.then(status => {
+      recordJobRun('report_schedule', status === 'success' ? 'success' : 'failure', (Date.now() - startedAt) / 1000);
+    });
+  }
+  return { run, finished };
+}
+
+/**
+ * Handle a cron tick for a registered schedule
+ * Re-reads the schedule so changes made through another instance are respected
+ * @param {string} scheduleId - Schedule ID
+ * @param {string} expression - Expression the task was registered with
+ */
+async function onScheduleTick(scheduleId, expression) {
+  // Truncate to the minute so every instance derives the same tick
+  const scheduledFor = new Date(Math.floor(Date.now() / 60000) * 60000);
+
+  try {
+    const schedule = await getSchedule(scheduleId);
+    if (!schedule || !schedule.is_active || getCronExpression(schedule) !== expression) {
+      // Deleted, paused or rescheduled elsewhere; the next sync fixes the registration
+      return;
+    }
+
+    const { run } = await startScheduleRun(schedule, { trigger: 'scheduled', scheduledFor });
+    if (!run) {
+      log.info(`"${schedule.name}" tick ${scheduledFor.toISOString()} already claimed by another instance`);
+      recordJobRun('report_schedule', 'skipped');
+    }
+  } catch (error) {
+    log.error(`Error running schedule ${scheduleId}`, { error });
+    recordJobRun('report_schedule', 'failure');
+  }
+}
+
+/**
+ * Register (or re-register) the cron task for a schedule
+ * Inactive schedules are unregistered
+ * @param {Object} schedule - report_schedules row
+ */
+function registerSchedule(schedule) {
+  const expression = getCronExpression(schedule);
+  const existing = registeredTasks.get(schedule.id);
+
+  if (existing && existing.expression === expression && existing.timezone === schedule.timezone && schedule.is_active) {
+    return;
+  }
+
+  unregisterSchedule(schedule.id);
+  if (!schedule.is_active) return;
+
+  if (!cron.validate(expression)) {
+    log.error(`Skipping "${schedule.name}": invalid cron expression "${expression}"`);
+    return;
+  }
+
+  const task = cron.schedule(expression, () => onScheduleTick(schedule.id, expression), {
+    scheduled: true,
+    timezone: schedule.timezone,
+  });
+
+  registeredTasks.set(schedule.id, { task, expression, timezone: schedule.timezone });
+  log.info(`✓ Report schedule "${schedule.name}" registered: "${expression}" (${schedule.timezone})`);
+}
+
+/**
+ * Stop the cron task for a schedule
+ * @param {string} scheduleId - Schedule ID
+ */
+function unregisterSchedule(scheduleId) {
+  const existing = registeredTasks.get(scheduleId);
+  if (existing) {
+    existing.task.stop();
+    registeredTasks.delete(scheduleId);
+  }
+}
+
+/**
+ * Reconcile registered tasks with the report_schedules table
+ */
+async function syncSchedules() {
+  try {
+    const schedules = await listSchedules({ activeOnly: true });
+    const activeIds = new Set(schedules.map(schedule => schedule.id));
+
+    for (const scheduleId of registeredTasks.keys()) {
+      if (!activeIds.has(scheduleId)) unregisterSchedule(scheduleId);
+    }
+    schedules.forEach(registerSchedule);
+  } catch (error) {
+    log.error('Error loading report schedules', { error });
+  }
+}
+
+/**
+ * Load all active schedules and keep them in sync
+ */
+async function startReportScheduler() {
+  await syncSchedules();
+  cron.schedule(SCHEDULE_SYNC_CRON, syncSchedules, { scheduled: true });
+  log.info(`✓ Report scheduler started: ${registeredTasks.size} active schedule(s)`);
+}
+
+module.exports = {
+  startReportScheduler,
+  startScheduleRun,
+  registerSchedule,
+  unregisterSchedule,
+  syncSchedules,
+};
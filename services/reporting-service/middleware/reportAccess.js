@@ -0,0 +1,158 @@
+/**
+ * Report Access Middleware
+ * Loads the verified caller and restricts report routes by role
+ * Managers may only work with reports scoped to their own department
+ */
+const { supabase } = require('../config/supabase');
+const { isTwoFactorRequired, verifyTwoFactorSession } = require('../services/twoFactorSession');
+const { logger } = require('@attendance/shared/logger');
+
+const log = logger.child({ component: 'reportAccess' });
+
+/**
+ * Create middleware that requires an active user with one of the given roles
+ * Runs after verifyIdentity, so req.identity comes from the gateway-signed token
+ * Sets req.user to the caller's users row
+ * Like the Auth Service, refuses callers whose role must use two-factor authentication until they set it up,
+ * and enrolled callers whose session carries no two-factor session token (a password-only session)
+ * @param {Array<string>} allowedRoles - Roles allowed through
+ * @param {string} deniedMessage - Message for callers with any other role
+ * @returns {Function} Express middleware
+ */
+function requireReportRole(allowedRoles, deniedMessage) {
+  return async (req, res, next) => {
+    try {
+      const { uid } = req.identity || {};
+
+      if (!uid) {
+        return res.status(401).json({
+          success: false,
+          error: 'Unauthorized',
+          message: 'User authentication required',
+        });
+      }
+
+      // Look up the verified user by Supabase Auth ID to check their role
+      const { data, error } = await supabase
+        .from('users')
+        .select('role, uid, id, email, username, name, department, two_factor_enabled')
+        .eq('is_active', true)
+        .eq('uid', uid)
+        .maybeSingle();
+
+      if (error) {
+        log.error('Database query error', { error });
+        return res.status(500).json({
+          success: false,
+          error: 'Internal server error',
+          message: 'Failed to verify user permissions',
+        });
+      }
+
+      if (!data) {
+        log.warn(`No active user found for uid ${uid}`);
+        return res.status(403).json({
+          success: false,
+          error: 'Forbidden',
+          message: 'User not found or inactive',
+        });
+      }
+
+      if (!allowedRoles.includes(data.role)) {
+        log.warn(`Role ${data.role} not allowed (expected ${allowedRoles.join(' or ')})`);
+        return res.status(403).json({
+          success: false,
+          error: 'Forbidden',
+          message: deniedMessage,
+        });
+      }
+
+      if (isTwoFactorRequired(data.role) && data.two_factor_enabled !== true) {
+        log.warn(`Denied ${data.role} ${data.username}: two-factor authentication not set up`);
+        return res.status(403).json({
+          success: false,
+          error: 'Forbidden',
+          message: 'Set up two-factor authentication before accessing reports',
+          code: 'TWO_FACTOR_SETUP_REQUIRED',
+        });
+      }
+
+      if (data.two_factor_enabled === true && !(await verifyTwoFactorSession(req.identity.twoFactorToken, data.uid))) {
+        log.warn(`Denied ${data.role} ${data.username}: session has no two-factor verification`);
+        return res.status(403).json({
+          success: false,
+          error: 'Forbidden',
+          message: 'Sign in again with your two-factor code before accessing reports',
+          code: 'TWO_FACTOR_VERIFICATION_REQUIRED',
+        });
+      }
+
+      log.info(`✓ User verified as ${data.role}: ${data.email || data.username}`);
+      req.user = data;
+      next();
+    } catch (error) {
+      log.error('Unexpected error', { error });
+      res.status(500).json({
+        success: false,
+        error: 'Internal server error',
+        message: 'Failed to verify user permissions',
+      });
+    }
+  };
+}
+
+// Archive management, deletion and schedules
+const verifySuperAdmin = requireReportRole(['super_admin'], 'Only super admins can access reports');
+
+// Report generation, listing and download (managers are limited to their department)
+const verifyReportUser = requireReportRole(['super_admin', 'manager'], 'Only super admins and managers can access reports');
+
+/**
+ * Resolve which departments a report may cover for the caller
+ * Super admins may pick any departments (or none for company-wide); managers always get their own
+ * @param {Object} user - Caller's users row (req.user)
+ * @param {Array<string>|undefined} requested - Departments requested in the body
+ * @returns {{departments: Array<string>|null, error?: string, status?: number}} Scope or an error
+ */
+function resolveReportScope(user, requested) {
+  if (requested !== undefined && (
+    !Array.isArray(requested) || requested.some(dept => typeof dept !== 'string' || !dept.trim())
+  )) {
+    return { departments: null, status: 400, error: '"departments" must be an array of department names' };
+  }
+
+  const departments = requested ? [...new Set(requested.map(dept => dept.trim()))] : [];
+
+  if (user.role === 'super_admin') {
+    return { departments: departments.length > 0 ? departments : null };
+  }
+
+  if (!user.department) {
+    return { departments: null, status: 403, error: 'You are not assigned to a department, so you cannot generate reports' };
+  }
+
+  if (departments.some(dept => dept !== user.department)) {
+    return { departments: null, status: 403, error: 'Managers can only generate reports for their own department' };
+  }
+
+  return { departments: [user.department] };
+}
+
+/**
+ * Check whether the caller may access an archived report
+ * Managers can only access reports they generated themselves
+ * @param {Object} user - Caller's users row (req.user)
+ * @param {Object} report - generated_reports row
+ * @returns {boolean} True if allowed
+ */
+function canAccessReport(user, report) {
+  if (user.role === 'super_admin') return true;
+  return Boolean(report.created_by_uid) && report.created_by_uid === user.uid;
+}
+
+module.exports = {
+  verifySuperAdmin,
+  verifyReportUser,
+  resolveReportScope,
+  canAccessReport,
+};
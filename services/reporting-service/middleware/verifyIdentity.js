@@ -0,0 +1,76 @@
+/**
+ * Gateway Identity Middleware
+ * Verifies the identity signed by the API Gateway after it validated the caller's Supabase token
+ */
+const { jwtVerify } = require('jose');
+require('dotenv').config();
+const { logger } = require('@attendance/shared/logger');
+
+const log = logger.child({ component: 'verifyIdentity' });
+
+// Shared with the API Gateway (must match its GATEWAY_IDENTITY_SECRET)
+const GATEWAY_IDENTITY_SECRET = process.env.GATEWAY_IDENTITY_SECRET;
+const IDENTITY_HEADER = 'x-gateway-identity';
+const IDENTITY_ISSUER = 'api-gateway';
+const IDENTITY_AUDIENCE = 'attendance-services';
+
+const identitySecret = GATEWAY_IDENTITY_SECRET ? new TextEncoder().encode(GATEWAY_IDENTITY_SECRET) : null;
+
+if (!identitySecret) {
+  log.warn('GATEWAY_IDENTITY_SECRET not set. Authenticated routes will reject all requests.');
+}
+
+/**
+ * Middleware that requires a valid gateway-signed identity
+ * Sets req.identity = { uid, email, authMethods, twoFactorToken }
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+async function verifyIdentity(req, res, next) {
+  const token = req.headers[IDENTITY_HEADER];
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required. Please log in again.',
+      code: 'UNAUTHORIZED',
+    });
+  }
+
+  if (!identitySecret) {
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Service authentication is not configured',
+    });
+  }
+
+  try {
+    const { payload } = await jwtVerify(token, identitySecret, {
+      algorithms: ['HS256'],
+      issuer: IDENTITY_ISSUER,
+      audience: IDENTITY_AUDIENCE,
+    });
+
+    req.identity = {
+      uid: payload.sub,
+      email: payload.email || null,
+      authMethods: Array.isArray(payload.amr) ? payload.amr : [],
+      twoFactorToken: typeof payload.tfa === 'string' ? payload.tfa : null,
+    };
+    next();
+  } catch (error) {
+    log.warn(`Rejected identity for ${req.method} ${req.path}`, { error: { code: error.code, message: error.message } });
+    return res.status(401).json({
+      success: false,
+      error: 'Your session has expired. Please log in again.',
+      code: 'UNAUTHORIZED',
+    });
+  }
+}
+
+module.exports = {
+  verifyIdentity,
+  IDENTITY_HEADER,
+};
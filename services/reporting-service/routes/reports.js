@@ -1,120 +1,57 @@
 /**
  * Reports API Routes
- * Handles manual report generation requests
+ * Handles manual report generation, the report archive and downloads
+ * Super admins see everything; managers are limited to their own department and their own reports
  */
 const express = require('express');
 const router = express.Router();
-const fs = require('fs');
-const path = require('path');
 const { generateReportData } = require('../services/reportFormatter');
-const { generatePDF, savePDFToFile, deletePDFFile } = require('../services/pdfGenerator');
+const {
+  VALID_FORMATS,
+  getReportFormat,
+  renderReport,
+} = require('../services/reportFormats');
 const { sendReportEmail, generateManualReportEmailBody } = require('../services/emailService');
 const { getSuperAdminEmail } = require('../services/queryService');
-const { supabase } = require('../config/supabase');
-const { 
-  generateReportId, 
-  storeReport, 
-  getReport, 
+const { verifyIdentity } = require('../middleware/verifyIdentity');
+const {
+  verifySuperAdmin,
+  verifyReportUser,
+  resolveReportScope,
+  canAccessReport,
+} = require('../middleware/reportAccess');
+const {
+  generateReportId,
+  createReport,
+  completeReport,
+  failReport,
+  getReport,
+  getReportFile,
+  listReports,
   deleteReport,
-  cleanupExpiredReports 
 } = require('../services/reportStorage');
+const { listReportDeliveries } = require('../services/deliveryLog');
+const { tryAcquireSlot, REPORT_MAX_CONCURRENT } = require('../services/generationSlots');
+const { AUDIT_ACTIONS, recordAudit } = require('../services/auditLog');
+const { logger } = require('@attendance/shared/logger');
 
-/**
- * Middleware to verify super admin role
- * @param {Object} req - Express request
- * @param {Object} res - Express response
- * @param {Function} next - Next middleware
- */
-async function verifySuperAdmin(req, res, next) {
-  try {
-    // Get user from request (should be set by auth middleware)
-    const userId = req.headers['x-user-id'];
-    const userEmail = req.headers['x-user-email'];
-
-    console.log(`[verifySuperAdmin] Received headers:`, { userId, userEmail });
-
-    if (!userId && !userEmail) {
-      return res.status(401).json({
-        success: false,
-        error: 'Unauthorized',
-        message: 'User authentication required',
-      });
-    }
-
-    // Query user from database to verify role
-    // Prioritize email lookup as it's more reliable than ID matching
-    let query = supabase.from('users').select('role, uid, id, email, username').eq('is_active', true);
-    
-    if (userEmail) {
-      // Email lookup is most reliable - try this first
-      query = query.eq('email', userEmail);
-      console.log(`[verifySuperAdmin] Querying by email: ${userEmail}`);
-    } else if (userId) {
-      // Try both uid and id fields - use proper Supabase OR syntax
-      // Format: (uid.eq.value,id.eq.value) - note the parentheses
-      query = query.or(`uid.eq.${userId},id.eq.${userId}`);
-      console.log(`[verifySuperAdmin] Querying by userId: ${userId}`);
-    }
-
-    const { data, error } = await query.single();
+const VALID_RANGES = ['weekly', 'monthly', 'yearly', 'all', 'custom'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
-    // Log the query result for debugging
-    console.log(`[verifySuperAdmin] Query result:`, { 
-      found: !!data, 
-      error: error?.message || null,
-      userRole: data?.role || null,
-      userId: data?.id || null,
-      userUid: data?.uid || null,
-      userEmail: data?.email || null
-    });
-
-    if (error) {
-      console.error(`[verifySuperAdmin] Database query error:`, error);
-      // If it's a "not found" error (PGRST116), provide more specific message
-      if (error.code === 'PGRST116' || error.message?.includes('No rows')) {
-        return res.status(403).json({
-          success: false,
-          error: 'Forbidden',
-          message: `User not found in database. Searched with: ${userId ? `ID: ${userId}` : `Email: ${userEmail}`}`,
-        });
-      }
-      return res.status(403).json({
-        success: false,
-        error: 'Forbidden',
-        message: 'User not found or inactive',
-      });
-    }
+// Suggested wait when every generation slot is busy (most reports finish well within this)
+const REPORTS_BUSY_RETRY_AFTER_SECONDS = 30;
 
-    if (!data) {
-      console.warn(`[verifySuperAdmin] No user data returned from query`);
-      return res.status(403).json({
-        success: false,
-        error: 'Forbidden',
-        message: 'User not found or inactive',
-      });
-    }
-
-    if (data.role !== 'super_admin') {
-      console.warn(`[verifySuperAdmin] User role mismatch. Expected: super_admin, Got: ${data.role}`);
-      return res.status(403).json({
-        success: false,
-        error: 'Forbidden',
-        message: 'Only super admins can generate reports',
-      });
-    }
-
-    // User is verified as super admin
-    console.log(`[verifySuperAdmin] ✓ User verified as super_admin: ${data.email || data.username}`);
-    req.user = data;
-    next();
-  } catch (error) {
-    console.error('[verifySuperAdmin] Unexpected error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Internal server error',
-      message: 'Failed to verify user permissions',
-    });
-  }
+/**
+ * Parse an optional YYYY-MM-DD query parameter
+ * @param {string} value - Query value
+ * @param {boolean} endOfDay - Use 23:59:59.999 instead of midnight (for inclusive "to" filters)
+ * @returns {Date|null|undefined} Date, null if absent, undefined if invalid
+ */
+function parseDateFilter(value, endOfDay = false) {
+  if (!value) return null;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return undefined;
+  const date = new Date(`${value}T${endOfDay ? '23:59:59.999' : '00:00:00.000'}Z`);
+  return isNaN(date.getTime()) ? undefined : date;
 }
 
 /**
@@ -125,23 +62,27 @@ async function verifySuperAdmin(req, res, next) {
  * {
  *   "range": "weekly | monthly | yearly | all | custom",
  *   "from": "2026-01-01", // Optional, required for custom
- *   "to": "2026-01-31"     // Optional, required for custom
+ *   "to": "2026-01-31",    // Optional, required for custom
+ *   "includeEmployees": true, // Optional, per-employee breakdown (default true)
+ *   "format": "pdf | csv | xlsx", // Optional, output format (default pdf)
+ *   "departments": ["HR"] // Optional, super admins only; managers are always limited to their own department
  * }
+ *
+ * 429 REPORTS_BUSY (with Retry-After) when REPORT_MAX_CONCURRENT reports are already being generated
  */
-router.post('/generate', verifySuperAdmin, async (req, res) => {
+router.post('/generate', verifyIdentity, verifyReportUser, async (req, res) => {
   const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] Received report generation request:`, req.body);
+  logger.info('Received report generation request', { request: req.body });
 
   try {
-    const { range, from, to } = req.body;
+    const { range, from, to, includeEmployees = true, format = 'pdf', departments: requestedDepartments } = req.body;
 
     // Validate range
-    const validRanges = ['weekly', 'monthly', 'yearly', 'all', 'custom'];
-    if (!range || !validRanges.includes(range)) {
+    if (!range || !VALID_RANGES.includes(range)) {
       return res.status(400).json({
         success: false,
         error: 'Invalid range',
-        message: `Range must be one of: ${validRanges.join(', ')}`,
+        message: `Range must be one of: ${VALID_RANGES.join(', ')}`,
       });
     }
 
@@ -154,56 +95,106 @@ router.post('/generate', verifySuperAdmin, async (req, res) => {
       });
     }
 
-    // Generate unique report ID for download tracking
+    if (typeof includeEmployees !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid includeEmployees',
+        message: '"includeEmployees" must be true or false',
+      });
+    }
+
+    if (!VALID_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid format',
+        message: `Format must be one of: ${VALID_FORMATS.join(', ')}`,
+      });
+    }
+
+    // Enforce the department scope server-side, whatever the client asked for
+    const scope = resolveReportScope(req.user, requestedDepartments);
+    if (scope.error) {
+      return res.status(scope.status).json({
+        success: false,
+        error: scope.status === 403 ? 'Forbidden' : 'Invalid departments',
+        message: scope.error,
+      });
+    }
+    const { departments } = scope;
+
+    const releaseSlot = tryAcquireSlot();
+    if (!releaseSlot) {
+      logger.warn(`Report generation busy (${REPORT_MAX_CONCURRENT} in progress), rejecting request`, { maxConcurrent: REPORT_MAX_CONCURRENT });
+      res.setHeader('Retry-After', String(REPORTS_BUSY_RETRY_AFTER_SECONDS));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many reports in progress',
+        message: 'The server is busy generating other reports. Please try again in a moment.',
+        code: 'REPORTS_BUSY',
+        retryAfter: REPORTS_BUSY_RETRY_AFTER_SECONDS,
+      });
+    }
+
+    // Record the report in the archive before responding so it can be polled/downloaded by ID
     const reportId = generateReportId();
-    console.log(`[${timestamp}] Generated report ID: ${reportId}`);
+    try {
+      await createReport({
+        reportId,
+        range,
+        format,
+        includeEmployees,
+        departments,
+        source: 'manual',
+        createdBy: { uid: req.user.uid, username: req.user.username },
+      });
+    } catch (error) {
+      releaseSlot();
+      throw error;
+    }
+    logger.info(`Generated report ID: ${reportId}`);
 
     // Generate report data (async - don't wait)
-    generateReportData(range, from, to)
+    generateReportData(range, from, to, { includeEmployees, departments })
       .then(async (reportData) => {
-        console.log(`[${timestamp}] Report data generated:`, reportData.period.label);
+        logger.info(`Report data generated: ${reportData.period.label}`);
 
+        let archived = false;
         try {
-          // Generate PDF
-          const pdfBuffer = await generatePDF(reportData);
-          console.log(`[${timestamp}] PDF generated (${pdfBuffer.length} bytes)`);
-
-          // Save PDF to file using reportId
-          const filename = `report-${reportId}.pdf`;
-          const pdfPath = await savePDFToFile(pdfBuffer, filename);
-          console.log(`[${timestamp}] PDF saved: ${pdfPath}`);
-
-          // Store report metadata for download access
-          storeReport(reportId, pdfPath, reportData);
-          console.log(`[${timestamp}] Report metadata stored for download: ${reportId}`);
-
-          // Get super admin email
-          const superAdminEmail = await getSuperAdminEmail();
-          if (!superAdminEmail) {
-            throw new Error('Super admin email not found');
+          // Render the report in the requested format
+          const fileBuffer = await renderReport(reportData, format);
+          logger.info(`${format.toUpperCase()} generated (${fileBuffer.length} bytes)`);
+
+          // Persist file and metadata for download access
+          const report = await completeReport(reportId, fileBuffer, reportData, format);
+          archived = true;
+          logger.info(`Report archived for download: ${reportId}`);
+
+          // Super admin reports go to the super admin mailbox; manager reports go to the requester
+          const recipientEmail = req.user.role === 'super_admin' ? await getSuperAdminEmail() : req.user.email;
+          if (!recipientEmail) {
+            throw new Error(`No email address found for ${req.user.role === 'super_admin' ? 'super admin' : req.user.username}`);
           }
 
           // Generate email content
           const emailSubject = `Attendance Report - ${reportData.period.label}`;
-          const emailBody = generateManualReportEmailBody(reportData);
-
-          // Send email (with PDF attachment)
-          await sendReportEmail(superAdminEmail, emailSubject, emailBody, pdfPath, filename);
-          console.log(`[${timestamp}] ✓ Report sent successfully to ${superAdminEmail}`);
+          const emailBody = generateManualReportEmailBody(reportData, getReportFormat(format).attachmentLabel);
 
-          // NOTE: Do NOT delete PDF immediately - it's needed for download
-          // PDF will be cleaned up by expiration mechanism
+          // Send email (with report attachment)
+          await sendReportEmail(recipientEmail, emailSubject, emailBody, fileBuffer, report.filename, { reportId });
+          logger.info(`✓ Report sent successfully to ${recipientEmail}`);
         } catch (error) {
-          console.error(`[${timestamp}] ✗ Error processing report:`, error);
-          // Clean up report metadata on error
-          deleteReport(reportId, deletePDFFile);
+          logger.error('✗ Error processing report', { error });
+          // An email failure leaves the archived report downloadable
+          if (!archived) {
+            await failReport(reportId, error);
+          }
         }
       })
-      .catch((error) => {
-        console.error(`[${timestamp}] ✗ Error generating report:`, error);
-        // Clean up report metadata on error
-        deleteReport(reportId, deletePDFFile);
-      });
+      .catch(async (error) => {
+        logger.error('✗ Error generating report', { error });
+        await failReport(reportId, error);
+      })
+      .finally(releaseSlot);
 
     // Return immediately - report generation happens in background
     res.status(202).json({
@@ -213,7 +204,7 @@ router.post('/generate', verifySuperAdmin, async (req, res) => {
       timestamp: timestamp,
     });
   } catch (error) {
-    console.error(`[${timestamp}] Error handling report request:`, error);
+    logger.error('Error handling report request', { error });
     res.status(500).json({
       success: false,
       error: 'Internal server error',
@@ -222,34 +213,109 @@ router.post('/generate', verifySuperAdmin, async (req, res) => {
   }
 });
 
+/**
+ * List archived reports
+ * GET /api/reports
+ * Managers only see reports they generated themselves
+ *
+ * Query parameters (all optional):
+ *   page      - Page number (default 1)
+ *   pageSize  - Reports per page (default 20, max 100)
+ *   range     - weekly | monthly | yearly | all | custom
+ *   createdBy - Username of the user who requested the report
+ *   from, to  - Only reports generated between these dates (YYYY-MM-DD, inclusive)
+ */
+router.get('/', verifyIdentity, verifyReportUser, async (req, res) => {
+  const { page, pageSize, range, createdBy } = req.query;
+
+  if (range && !VALID_RANGES.includes(range)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid range',
+      message: `Range must be one of: ${VALID_RANGES.join(', ')}`,
+    });
+  }
+
+  const from = parseDateFilter(req.query.from);
+  const to = parseDateFilter(req.query.to, true);
+  if (from === undefined || to === undefined) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid date filter',
+      message: '"from" and "to" must be dates in YYYY-MM-DD format',
+    });
+  }
+
+  try {
+    const createdByUid = req.user.role === 'super_admin' ? undefined : req.user.uid;
+    const result = await listReports({ page, pageSize, range, createdBy, createdByUid, from, to });
+
+    res.status(200).json({
+      success: true,
+      reports: result.reports,
+      pagination: {
+        page: result.page,
+        pageSize: result.pageSize,
+        total: result.total,
+        totalPages: Math.ceil(result.total / result.pageSize),
+      },
+    });
+  } catch (error) {
+    logger.error('Error listing reports', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to list reports',
+    });
+  }
+});
+
 /**
  * Download report
  * GET /api/reports/download/:reportId
  * 
  * Downloads a previously generated report by ID
+ * Managers can only download reports they generated themselves
  */
-router.get('/download/:reportId', verifySuperAdmin, async (req, res) => {
-  const timestamp = new Date().toISOString();
+router.get('/download/:reportId', verifyIdentity, verifyReportUser, async (req, res) => {
   const { reportId } = req.params;
   
-  console.log(`[${timestamp}] Download request for report: ${reportId}`);
+  logger.info(`Download request for report: ${reportId}`);
   
   try {
     // Get report metadata
-    const report = getReport(reportId);
+    const report = UUID_PATTERN.test(reportId) ? await getReport(reportId) : null;
     
-    if (!report) {
+    // Reports the caller can't access are reported as missing so their IDs can't be probed
+    if (!report || !canAccessReport(req.user, report)) {
       return res.status(404).json({
         success: false,
         error: 'Report not found',
-        message: 'Report not found or has expired. Reports expire after 30 minutes.',
+        message: 'Report not found or has expired.',
+      });
+    }
+
+    if (report.status === 'generating') {
+      return res.status(409).json({
+        success: false,
+        error: 'Report not ready',
+        message: 'The report is still being generated. Please try again shortly.',
+      });
+    }
+
+    if (report.status === 'failed') {
+      return res.status(409).json({
+        success: false,
+        error: 'Report generation failed',
+        message: report.error_message || 'The report could not be generated. Please generate it again.',
       });
     }
     
-    // Check if file exists
-    if (!fs.existsSync(report.filePath)) {
-      console.error(`[${timestamp}] Report file not found: ${report.filePath}`);
-      deleteReport(reportId);
+    let fileBuffer;
+    try {
+      fileBuffer = await getReportFile(report);
+    } catch (error) {
+      logger.error(`Report file not found for ${reportId} (${report.storage_key})`, { error });
       return res.status(404).json({
         success: false,
         error: 'Report file not found',
@@ -257,37 +323,15 @@ router.get('/download/:reportId', verifySuperAdmin, async (req, res) => {
       });
     }
     
-    // Generate filename for download
-    const reportData = report.reportData;
-    const periodLabel = reportData?.period?.label || 'report';
-    const sanitizedLabel = periodLabel.replace(/[^a-z0-9]/gi, '_').toLowerCase();
-    const downloadFilename = `attendance-report-${sanitizedLabel}-${reportId.substring(0, 8)}.pdf`;
-    
-    // Set response headers for PDF download
-    res.setHeader('Content-Type', 'application/pdf');
-    res.setHeader('Content-Disposition', `attachment; filename="${downloadFilename}"`);
-    res.setHeader('Content-Length', fs.statSync(report.filePath).size);
-    
-    // Stream the file
-    const fileStream = fs.createReadStream(report.filePath);
-    fileStream.pipe(res);
-    
-    fileStream.on('end', () => {
-      console.log(`[${timestamp}] ✓ Report ${reportId} downloaded successfully`);
-    });
-    
-    fileStream.on('error', (error) => {
-      console.error(`[${timestamp}] ✗ Error streaming report ${reportId}:`, error);
-      if (!res.headersSent) {
-        res.status(500).json({
-          success: false,
-          error: 'Download failed',
-          message: 'Error reading report file.',
-        });
-      }
-    });
+    // Serve the file with the content type and filename of the format it was generated in
+    res.setHeader('Content-Type', report.content_type || getReportFormat(report.format).contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${report.filename}"`);
+    res.setHeader('Content-Length', fileBuffer.length);
+    res.end(fileBuffer);
+
+    logger.info(`✓ Report ${reportId} downloaded successfully`);
   } catch (error) {
-    console.error(`[${timestamp}] Error handling download request:`, error);
+    logger.error('Error handling download request', { error });
     res.status(500).json({
       success: false,
       error: 'Internal server error',
@@ -297,53 +341,88 @@ router.get('/download/:reportId', verifySuperAdmin, async (req, res) => {
 });
 
 /**
- * Health check
- * GET /api/reports/health
+ * Email delivery log for a report, newest first
+ * GET /api/reports/:reportId/deliveries
+ * Managers can only see deliveries for reports they generated themselves
  */
-router.get('/health', (req, res) => {
-  res.status(200).json({
-    status: 'ok',
-    message: 'Reports service is running',
-    timestamp: new Date().toISOString(),
-  });
+router.get('/:reportId/deliveries', verifyIdentity, verifyReportUser, async (req, res) => {
+  const { reportId } = req.params;
+
+  try {
+    const report = UUID_PATTERN.test(reportId) ? await getReport(reportId) : null;
+
+    if (!report || !canAccessReport(req.user, report)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found',
+        message: 'Report not found or has expired.',
+      });
+    }
+
+    const deliveries = await listReportDeliveries(reportId);
+    res.status(200).json({
+      success: true,
+      deliveries,
+    });
+  } catch (error) {
+    logger.error(`Error listing deliveries for report ${reportId}`, { error });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to list report deliveries',
+    });
+  }
 });
 
 /**
- * TEST ENDPOINT: Trigger monthly report manually
- * GET /api/reports/test/monthly
- * 
- * WARNING: This is for testing only. In production, remove or protect this endpoint.
+ * Delete an archived report (file and metadata)
+ * DELETE /api/reports/:reportId
  */
-router.get('/test/monthly', verifySuperAdmin, async (req, res) => {
-  const timestamp = new Date().toISOString();
-  console.log(`[${timestamp}] TEST: Manual monthly report trigger requested`);
-  
+router.delete('/:reportId', verifyIdentity, verifySuperAdmin, async (req, res) => {
+  const { reportId } = req.params;
+
   try {
-    const { triggerMonthlyReport } = require('../jobs/monthlyReportJob');
-    
-    // Trigger report generation (async - don't wait)
-    triggerMonthlyReport()
-      .then(() => {
-        console.log(`[${timestamp}] TEST: Monthly report generation completed`);
-      })
-      .catch((error) => {
-        console.error(`[${timestamp}] TEST: Monthly report generation failed:`, error);
+    const deleted = UUID_PATTERN.test(reportId) ? await deleteReport(reportId) : false;
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found',
+        message: 'Report not found or has already been deleted.',
       });
-    
-    res.status(202).json({
+    }
+
+    logger.info(`✓ Report ${reportId} deleted by ${req.user.email || req.user.username}`);
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.REPORT_DELETE,
+      targetType: 'report',
+      targetId: reportId,
+    });
+    res.status(200).json({
       success: true,
-      message: 'Monthly report generation triggered. Check server logs and email for results.',
-      timestamp: timestamp,
+      message: 'Report deleted successfully',
     });
   } catch (error) {
-    console.error(`[${timestamp}] TEST: Error triggering monthly report:`, error);
+    logger.error(`Error deleting report ${reportId}`, { error });
     res.status(500).json({
       success: false,
       error: 'Internal server error',
-      message: 'Failed to trigger monthly report',
+      message: 'Failed to delete report',
     });
   }
 });
 
+/**
+ * Health check
+ * GET /api/reports/health
+ */
+router.get('/health', (req, res) => {
+  res.status(200).json({
+    status: 'ok',
+    message: 'Reports service is running',
+    timestamp: new Date().toISOString(),
+  });
+});
+
 module.exports = router;
 
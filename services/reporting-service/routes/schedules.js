@@ -0,0 +1,292 @@
+/**
+ * Report Schedule API Routes
+ * CRUD for report schedules, run history and "run now"
+ * Mounted at /api/reports/schedules; every route requires a super admin
+ */
+const express = require('express');
+const router = express.Router();
+const { verifyIdentity } = require('../middleware/verifyIdentity');
+const { verifySuperAdmin } = require('../middleware/reportAccess');
+const {
+  validateSchedule,
+  toScheduleResponse,
+  toRunResponse,
+  listSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  listScheduleRuns,
+} = require('../services/scheduleService');
+const { registerSchedule, unregisterSchedule, startScheduleRun } = require('../jobs/reportScheduler');
+const { AUDIT_ACTIONS, recordAudit } = require('../services/auditLog');
+const { logger } = require('@attendance/shared/logger');
+
+const log = logger.child({ component: 'Schedules' });
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Schedule settings compared in audit entries (run bookkeeping like last_run_at is left out)
+const SCHEDULE_AUDIT_FIELDS = [
+  'name', 'frequency', 'run_time', 'day_of_week', 'day_of_month', 'cron_expression', 'timezone',
+  'range_type', 'format', 'include_employees', 'recipients', 'is_active',
+];
+
+router.use(verifyIdentity, verifySuperAdmin);
+
+/**
+ * Load the schedule named by :scheduleId into req.schedule (404 if missing)
+ */
+router.param('scheduleId', async (req, res, next, scheduleId) => {
+  try {
+    const schedule = UUID_PATTERN.test(scheduleId) ? await getSchedule(scheduleId) : null;
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Schedule not found',
+        message: `No report schedule with ID ${scheduleId}`,
+      });
+    }
+    req.schedule = schedule;
+    next();
+  } catch (error) {
+    log.error(`Error loading schedule ${scheduleId}`, { error });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to load report schedule',
+    });
+  }
+});
+
+/**
+ * Send a validation error response
+ * @param {Object} res - Express response
+ * @param {Array<string>} errors - Validation errors
+ */
+function invalidSchedule(res, errors) {
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid schedule',
+    message: errors.join('; '),
+    details: errors,
+  });
+}
+
+/**
+ * List schedules
+ * GET /api/reports/schedules
+ */
+router.get('/', async (req, res) => {
+  try {
+    const schedules = await listSchedules();
+    res.status(200).json({
+      success: true,
+      schedules: schedules.map(toScheduleResponse),
+    });
+  } catch (error) {
+    log.error('Error listing schedules', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to list report schedules',
+    });
+  }
+});
+
+/**
+ * Create a schedule
+ * POST /api/reports/schedules
+ *
+ * Request body:
+ * {
+ *   "name": "Weekly HR summary",
+ *   "frequency": "daily | weekly | monthly | cron",
+ *   "runTime": "08:00",            // HH:MM, daily/weekly/monthly
+ *   "dayOfWeek": 1,                // 0-6 (Sunday-Saturday), weekly
+ *   "dayOfMonth": 1,               // 1-28, monthly
+ *   "cronExpression": "0 8 * * 1", // cron only
+ *   "timezone": "Asia/Karachi",    // IANA timezone (default UTC)
+ *   "rangeType": "weekly | monthly | yearly | all",
+ *   "format": "pdf | csv | xlsx",
+ *   "includeEmployees": true,
+ *   "recipients": { "users": ["jdoe"], "roles": ["super_admin"], "departmentManagers": ["HR"] },
+ *   "isActive": true
+ * }
+ */
+router.post('/', async (req, res) => {
+  const { row, errors } = validateSchedule(req.body || {});
+  if (errors.length > 0) {
+    return invalidSchedule(res, errors);
+  }
+
+  try {
+    const schedule = await createSchedule({ ...row, created_by: req.user.username });
+    registerSchedule(schedule);
+
+    log.info(`✓ Schedule "${schedule.name}" created by ${req.user.username}`);
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.SCHEDULE_CREATE,
+      targetType: 'report_schedule',
+      targetId: schedule.id,
+      targetLabel: schedule.name,
+      after: schedule,
+      fields: SCHEDULE_AUDIT_FIELDS,
+    });
+    res.status(201).json({
+      success: true,
+      schedule: toScheduleResponse(schedule),
+    });
+  } catch (error) {
+    log.error('Error creating schedule', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to create report schedule',
+    });
+  }
+});
+
+/**
+ * Get a schedule
+ * GET /api/reports/schedules/:scheduleId
+ */
+router.get('/:scheduleId', (req, res) => {
+  res.status(200).json({
+    success: true,
+    schedule: toScheduleResponse(req.schedule),
+  });
+});
+
+/**
+ * Update a schedule (partial; omitted fields keep their current values)
+ * PATCH /api/reports/schedules/:scheduleId
+ */
+router.patch('/:scheduleId', async (req, res) => {
+  const { row, errors } = validateSchedule(req.body || {}, req.schedule);
+  if (errors.length > 0) {
+    return invalidSchedule(res, errors);
+  }
+
+  try {
+    const schedule = await updateSchedule(req.schedule.id, row);
+    registerSchedule(schedule);
+
+    log.info(`✓ Schedule "${schedule.name}" updated by ${req.user.username}`);
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.SCHEDULE_UPDATE,
+      targetType: 'report_schedule',
+      targetId: schedule.id,
+      targetLabel: schedule.name,
+      before: req.schedule,
+      after: schedule,
+      fields: SCHEDULE_AUDIT_FIELDS,
+    });
+    res.status(200).json({
+      success: true,
+      schedule: toScheduleResponse(schedule),
+    });
+  } catch (error) {
+    log.error(`Error updating schedule ${req.schedule.id}`, { error });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to update report schedule',
+    });
+  }
+});
+
+/**
+ * Delete a schedule and its run history (archived reports are kept)
+ * DELETE /api/reports/schedules/:scheduleId
+ */
+router.delete('/:scheduleId', async (req, res) => {
+  try {
+    await deleteSchedule(req.schedule.id);
+    unregisterSchedule(req.schedule.id);
+
+    log.info(`✓ Schedule "${req.schedule.name}" deleted by ${req.user.username}`);
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.SCHEDULE_DELETE,
+      targetType: 'report_schedule',
+      targetId: req.schedule.id,
+      targetLabel: req.schedule.name,
+      before: req.schedule,
+      fields: SCHEDULE_AUDIT_FIELDS,
+    });
+    res.status(200).json({
+      success: true,
+      message: 'Report schedule deleted successfully',
+    });
+  } catch (error) {
+    log.error(`Error deleting schedule ${req.schedule.id}`, { error });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to delete report schedule',
+    });
+  }
+});
+
+/**
+ * Run history for a schedule, newest first
+ * GET /api/reports/schedules/:scheduleId/runs?page=1&pageSize=20
+ */
+router.get('/:scheduleId/runs', async (req, res) => {
+  try {
+    const result = await listScheduleRuns(req.schedule.id, req.query);
+    res.status(200).json({
+      success: true,
+      runs: result.runs,
+      pagination: {
+        page: result.page,
+        pageSize: result.pageSize,
+        total: result.total,
+        totalPages: Math.ceil(result.total / result.pageSize),
+      },
+    });
+  } catch (error) {
+    log.error(`Error listing runs for ${req.schedule.id}`, { error });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to list schedule runs',
+    });
+  }
+});
+
+/**
+ * Run a schedule now (also works for paused schedules)
+ * POST /api/reports/schedules/:scheduleId/run
+ */
+router.post('/:scheduleId/run', async (req, res) => {
+  try {
+    const { run } = await startScheduleRun(req.schedule, {
+      trigger: 'manual',
+      triggeredBy: req.user.username,
+    });
+
+    await recordAudit(req, {
+      action: AUDIT_ACTIONS.SCHEDULE_RUN,
+      targetType: 'report_schedule',
+      targetId: req.schedule.id,
+      targetLabel: req.schedule.name,
+      metadata: { runId: run.id },
+    });
+
+    res.status(202).json({
+      success: true,
+      run: toRunResponse(run),
+      message: 'Schedule run started. Check the run history for the result.',
+    });
+  } catch (error) {
+    log.error(`Error starting run for ${req.schedule.id}`, { error });
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: 'Failed to start schedule run',
+    });
+  }
+});
+
+module.exports = router;
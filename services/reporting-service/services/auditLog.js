@@ -0,0 +1,79 @@
+/**
+ * Audit Log - Records report schedule and archive changes in the shared audit_log table
+ * Entries are read through the auth service (GET /api/audit)
+ */
+const { supabase } = require('../config/supabase');
+const { logger } = require('@attendance/shared/logger');
+
+const log = logger.child({ component: 'AuditLog' });
+
+const AUDIT_SOURCE = 'reporting-service';
+
+// Actions written by this service (<area>.<verb>)
+const AUDIT_ACTIONS = {
+  SCHEDULE_CREATE: 'report_schedule.create',
+  SCHEDULE_UPDATE: 'report_schedule.update',
+  SCHEDULE_DELETE: 'report_schedule.delete',
+  SCHEDULE_RUN: 'report_schedule.run',
+  REPORT_DELETE: 'report.delete',
+};
+
+/**
+ * Compare two versions of a record
+ * @param {Object|null} before - Values before the change (null for creation)
+ * @param {Object|null} after - Values after the change (null for deletion)
+ * @param {Array<string>} [fields] - Fields to compare (default: every field of either version)
+ * @returns {Object} { field: { before, after } } for the fields that differ
+ */
+function diffChanges(before, after, fields) {
+  const keys = fields || [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+  const changes = {};
+
+  for (const key of keys) {
+    const oldValue = before?.[key] ?? null;
+    const newValue = after?.[key] ?? null;
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes[key] = { before: oldValue, after: newValue };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Record one administrative change
+ * Never throws: the change has already been made, so a logging failure must not fail the request
+ * @param {Object} req - Express request (req.user is set by verifyIdentity)
+ * @param {Object} entry - { action, targetType, targetId, targetLabel, before, after, fields, metadata }
+ * @returns {Promise<void>}
+ */
+async function recordAudit(req, { action, targetType, targetId = null, targetLabel = null, before = null, after = null, fields, metadata = {} }) {
+  const actor = req.user || {};
+
+  try {
+    const { error } = await supabase
+      .from('audit_log')
+      .insert({
+        actor_uid: actor.uid || null,
+        actor_username: actor.username || null,
+        actor_role: actor.role || null,
+        action,
+        target_type: targetType,
+        target_id: targetId === null ? null : String(targetId),
+        target_label: targetLabel,
+        changes: diffChanges(before, after, fields),
+        metadata,
+        source: AUDIT_SOURCE,
+        ip_address: req.ip || req.socket?.remoteAddress || null,
+        user_agent: req.get('user-agent') || null,
+      });
+
+    if (error) throw error;
+  } catch (error) {
+    log.error(`Error recording audit entry ${action} on ${targetType} ${targetLabel || targetId}`, { error });
+  }
+}
+
+module.exports = {
+  AUDIT_ACTIONS,
+  recordAudit,
+};
@@ -0,0 +1,96 @@
+/**
+ * Email Delivery Log
+ * Records the outcome of every report email in the email_deliveries table
+ */
+const { supabase } = require('../config/supabase');
+const { logger } = require('@attendance/shared/logger');
+
+const log = logger.child({ component: 'DeliveryLog' });
+
+/**
+ * Convert an email_deliveries row to the API representation
+ * @param {Object} row - email_deliveries row
+ * @returns {Object} Delivery
+ */
+function toDeliveryResponse(row) {
+  return {
+    id: row.id,
+    reportId: row.report_id,
+    scheduleRunId: row.schedule_run_id,
+    recipient: row.recipient,
+    subject: row.subject,
+    transport: row.transport,
+    status: row.status,
+    attempts: row.attempts,
+    messageId: row.message_id,
+    error: row.error_message || null,
+    createdAt: row.created_at,
+    deliveredAt: row.delivered_at,
+  };
+}
+
+/**
+ * Record the outcome of one email
+ * Never throws: a logging failure must not turn a delivered email into a failed one
+ * @param {Object} delivery - { reportId, scheduleRunId, recipient, subject, transport, status: 'sent' | 'failed',
+ *   attempts, messageId, errorMessage }
+ * @returns {Promise<Object|null>} Inserted row, or null if it couldn't be recorded
+ */
+async function recordDelivery({
+  reportId = null,
+  scheduleRunId = null,
+  recipient,
+  subject,
+  transport,
+  status,
+  attempts,
+  messageId = null,
+  errorMessage = null,
+}) {
+  try {
+    const { data, error } = await supabase
+      .from('email_deliveries')
+      .insert({
+        report_id: reportId,
+        schedule_run_id: scheduleRunId,
+        recipient,
+        subject,
+        transport,
+        status,
+        attempts,
+        message_id: messageId,
+        error_message: errorMessage,
+        delivered_at: status === 'sent' ? new Date().toISOString() : null,
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    log.error(`Error recording ${status} delivery to ${recipient}`, { error });
+    return null;
+  }
+}
+
+/**
+ * List deliveries for a report, newest first
+ * @param {string} reportId - Report ID
+ * @returns {Promise<Array>} Deliveries
+ */
+async function listReportDeliveries(reportId) {
+  const { data, error } = await supabase
+    .from('email_deliveries')
+    .select('*')
+    .eq('report_id', reportId)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return (data || []).map(toDeliveryResponse);
+}
+
+module.exports = {
+  recordDelivery,
+  listReportDeliveries,
+  toDeliveryResponse,
+};
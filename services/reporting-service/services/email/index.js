@@ -0,0 +1,92 @@
+/**
+ * Email Transports
+ * Selects how report emails are delivered
+ *
+ * Every transport implements:
+ *   send({ from, to, subject, html, attachments }) - deliver one email, resolves to { messageId }
+ *     attachments are { filename, content: Buffer }; errors flagged `permanent` are not retried
+ *   verify() - check the transport can deliver (credentials, server reachable) without sending anything;
+ *     used by the readiness check
+ *
+ * EMAIL_TRANSPORT=resend - Resend API (RESEND_API_KEY)
+ * EMAIL_TRANSPORT=smtp   - SMTP server (EMAIL_HOST, EMAIL_PORT, EMAIL_SECURE, EMAIL_USER, EMAIL_PASSWORD)
+ * EMAIL_TRANSPORT=outbox - .eml files under EMAIL_OUTBOX_DIR, nothing is sent
+ *
+ * When EMAIL_TRANSPORT is unset: resend if RESEND_API_KEY is set, else smtp if EMAIL_HOST is set, else outbox
+ */
+const path = require('path');
+const { createOutboxTransport } = require('./outboxTransport');
+const { logger } = require('@attendance/shared/logger');
+
+const log = logger.child({ component: 'Email' });
+
+const EMAIL_OUTBOX_DIR = process.env.EMAIL_OUTBOX_DIR || path.join(__dirname, '../../storage/outbox');
+
+let transport = null;
+
+/**
+ * Work out which transport to use from the environment
+ * @returns {string} Transport name
+ */
+function getConfiguredTransportName() {
+  if (process.env.EMAIL_TRANSPORT) return process.env.EMAIL_TRANSPORT;
+  if (process.env.RESEND_API_KEY) return 'resend';
+  if (process.env.EMAIL_HOST) return 'smtp';
+  return 'outbox';
+}
+
+/**
+ * Get the configured email transport (created on first use)
+ * @returns {Object} Email transport
+ */
+function getEmailTransport() {
+  if (transport) return transport;
+
+  const name = getConfiguredTransportName();
+  switch (name) {
+    case 'resend': {
+      const { createResendTransport } = require('./resendTransport');
+      transport = createResendTransport({ apiKey: process.env.RESEND_API_KEY });
+      log.info('Using Resend transport');
+      break;
+    }
+    case 'smtp': {
+      const { createSmtpTransport } = require('./smtpTransport');
+      const port = parseInt(process.env.EMAIL_PORT || '587', 10);
+      transport = createSmtpTransport({
+        host: process.env.EMAIL_HOST,
+        port,
+        secure: process.env.EMAIL_SECURE ? process.env.EMAIL_SECURE === 'true' : port === 465,
+        user: process.env.EMAIL_USER,
+        password: process.env.EMAIL_PASSWORD,
+      });
+      log.info(`Using SMTP transport (${process.env.EMAIL_HOST}:${port})`);
+      break;
+    }
+    case 'outbox':
+      transport = createOutboxTransport({ outboxDir: EMAIL_OUTBOX_DIR });
+      if (!process.env.EMAIL_TRANSPORT) {
+        log.warn('No email transport configured (RESEND_API_KEY or EMAIL_HOST). Emails will be written to the outbox, not sent.');
+      }
+      log.info(`Using outbox transport at ${path.resolve(EMAIL_OUTBOX_DIR)}`);
+      break;
+    default:
+      throw new Error(`Unknown EMAIL_TRANSPORT "${name}" (expected resend, smtp or outbox)`);
+  }
+
+  return transport;
+}
+
+/**
+ * Replace the email transport (used by test scripts to capture emails)
+ * @param {Object} emailTransport - Email transport
+ */
+function setEmailTransport(emailTransport) {
+  transport = emailTransport;
+}
+
+module.exports = {
+  getEmailTransport,
+  setEmailTransport,
+  createOutboxTransport,
+};
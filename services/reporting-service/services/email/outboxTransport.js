@@ -0,0 +1,51 @@
+/**
+ * Outbox Email Transport
+ * Writes each email as an .eml file instead of sending it
+ * For development and tests: open the files in any mail client to check the content and attachments
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+const { logger } = require('@attendance/shared/logger');
+
+const log = logger.child({ component: 'Outbox' });
+
+/**
+ * Create an outbox transport
+ * @param {Object} options - { outboxDir: string }
+ * @returns {Object} Email transport ({ name, send, verify })
+ */
+function createOutboxTransport({ outboxDir }) {
+  const root = path.resolve(outboxDir);
+
+  // Builds the raw RFC 822 message without sending it
+  const composer = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+  return {
+    name: 'outbox',
+
+    async send({ from, to, subject, html, attachments = [] }) {
+      const info = await composer.sendMail({ from, to, subject, html, attachments });
+
+      const id = crypto.randomUUID();
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      const filePath = path.join(root, `${timestamp}-${id}.eml`);
+
+      await fs.promises.mkdir(root, { recursive: true });
+      await fs.promises.writeFile(filePath, info.message);
+
+      log.info(`Wrote email for ${to} to ${filePath}`);
+      return { messageId: info.messageId, path: filePath };
+    },
+
+    async verify() {
+      await fs.promises.mkdir(root, { recursive: true });
+      await fs.promises.access(root, fs.constants.W_OK);
+    },
+  };
+}
+
+module.exports = {
+  createOutboxTransport,
+};
@@ -0,0 +1,61 @@
+/**
+ * Resend Email Transport
+ * Sends email through the Resend API (https://resend.com)
+ */
+const { Resend } = require('resend');
+
+/**
+ * Create a Resend transport
+ * @param {Object} options - { apiKey: string }
+ * @returns {Object} Email transport ({ name, send, verify })
+ */
+function createResendTransport({ apiKey }) {
+  if (!apiKey) {
+    throw new Error('Resend transport requires RESEND_API_KEY');
+  }
+
+  const resend = new Resend(apiKey);
+
+  return {
+    name: 'resend',
+
+    async send({ from, to, subject, html, attachments = [] }) {
+      // Resend expects attachments as base64 strings
+      const { data, error } = await resend.emails.send({
+        from,
+        to: [to],
+        subject,
+        html,
+        attachments: attachments.map(attachment => ({
+          filename: attachment.filename,
+          content: attachment.content.toString('base64'),
+        })),
+      });
+
+      if (error) {
+        const sendError = new Error(`Resend API error: ${error.message || JSON.stringify(error)}`);
+        // Validation and auth errors won't succeed on a retry; rate limits and server errors might
+        sendError.permanent = ['validation_error', 'missing_required_field', 'invalid_api_key', 'restricted_api_key'].includes(error.name);
+        throw sendError;
+      }
+
+      if (!data || !data.id) {
+        throw new Error('Resend API returned no email ID');
+      }
+
+      return { messageId: data.id };
+    },
+
+    async verify() {
+      // Any authenticated call checks the key; sending-only keys are valid but can't list domains
+      const { error } = await resend.domains.list();
+      if (error && error.name !== 'restricted_api_key') {
+        throw new Error(`Resend API error: ${error.message || error.name}`);
+      }
+    },
+  };
+}
+
+module.exports = {
+  createResendTransport,
+};
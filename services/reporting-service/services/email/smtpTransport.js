@@ -0,0 +1,47 @@
+/**
+ * SMTP Email Transport
+ * Sends email through any SMTP server (on-prem mail relays, Gmail, Office 365, ...)
+ */
+const nodemailer = require('nodemailer');
+
+/**
+ * Create an SMTP transport
+ * @param {Object} options - { host, port, secure, user, password }
+ * @returns {Object} Email transport ({ name, send, verify })
+ */
+function createSmtpTransport({ host, port = 587, secure = false, user, password }) {
+  if (!host) {
+    throw new Error('SMTP transport requires EMAIL_HOST');
+  }
+
+  const transporter = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass: password } : undefined,
+  });
+
+  return {
+    name: 'smtp',
+
+    async send({ from, to, subject, html, attachments = [] }) {
+      try {
+        const info = await transporter.sendMail({ from, to, subject, html, attachments });
+        return { messageId: info.messageId };
+      } catch (error) {
+        // 5xx replies (bad recipient, auth rejected) are permanent; 4xx and connection errors are worth retrying
+        error.permanent = error.responseCode >= 500 || error.code === 'EAUTH';
+        throw error;
+      }
+    },
+
+    async verify() {
+      // Connects and authenticates, then quits
+      await transporter.verify();
+    },
+  };
+}
+
+module.exports = {
+  createSmtpTransport,
+};
@@ -1,98 +1,99 @@
 /**
- * Email Service - Sends reports via email using Resend API
+ * Email Service - Sends reports via the configured email transport (Resend, SMTP or outbox)
+ * Retries transient failures with exponential backoff and records every outcome in the delivery log
  */
-const { Resend } = require('resend');
 const fs = require('fs');
 require('dotenv').config();
+const { getEmailTransport } = require('./email');
+const { recordDelivery } = require('./deliveryLog');
+const { logger } = require('@attendance/shared/logger');
 
-// Resend API configuration
-const RESEND_API_KEY = process.env.RESEND_API_KEY;
-const RESEND_FROM_EMAIL = process.env.RESEND_FROM_EMAIL || process.env.EMAIL_FROM || 'reports@hadir.ai';
+const log = logger.child({ component: 'Email' });
+
+const EMAIL_FROM = process.env.RESEND_FROM_EMAIL || process.env.EMAIL_FROM || 'reports@hadir.ai';
+
+// Attempts per email (first try included), and the delay before the first retry (doubles each time)
+const EMAIL_MAX_ATTEMPTS = Math.max(parseInt(process.env.EMAIL_MAX_ATTEMPTS || '3', 10) || 1, 1);
+const EMAIL_RETRY_DELAY_MS = parseInt(process.env.EMAIL_RETRY_DELAY_MS || '2000', 10);
 
 /**
- * Initialize Resend client
- * @returns {Resend|null} Resend client instance or null if not configured
+ * Wait before the next attempt
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
  */
-function createResendClient() {
-  if (!RESEND_API_KEY) {
-    console.warn('⚠ Resend API key not configured. Email sending will be disabled.');
-    console.warn('⚠ Please set RESEND_API_KEY environment variable.');
-    return null;
-  }
-
-  return new Resend(RESEND_API_KEY);
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
 }
 
 /**
- * Send report via email using Resend API
+ * Send a report via email
  * @param {string} to - Recipient email address
  * @param {string} subject - Email subject
  * @param {string} body - Email body (HTML or plain text)
- * @param {string} pdfPath - Path to PDF file
- * @param {string} pdfFilename - PDF filename for attachment
- * @returns {Promise<Object>} Email send result
+ * @param {Buffer|string} attachment - Report file contents, or a path to the file
+ * @param {string} attachmentFilename - Filename for attachment
+ * @param {Object} context - Delivery log references: { reportId, scheduleRunId }
+ * @returns {Promise<Object>} { success, messageId, attempts, transport }
  */
-async function sendReportEmail(to, subject, body, pdfPath, pdfFilename) {
-  const resend = createResendClient();
-  
-  if (!resend) {
-    throw new Error('Email service not configured. Please set RESEND_API_KEY environment variable.');
+async function sendReportEmail(to, subject, body, attachment, attachmentFilename, context = {}) {
+  if (!Buffer.isBuffer(attachment) && !fs.existsSync(attachment)) {
+    throw new Error(`Report file not found: ${attachment}`);
   }
 
-  if (!fs.existsSync(pdfPath)) {
-    throw new Error(`PDF file not found: ${pdfPath}`);
-  }
+  const fileBuffer = Buffer.isBuffer(attachment) ? attachment : fs.readFileSync(attachment);
+  const delivery = {
+    reportId: context.reportId || null,
+    scheduleRunId: context.scheduleRunId || null,
+    recipient: to,
+    subject,
+  };
 
+  let transport;
   try {
-    // Read PDF file as base64 for attachment
-    const pdfBuffer = fs.readFileSync(pdfPath);
-    const pdfBase64 = pdfBuffer.toString('base64');
-
-    // Send email via Resend API
-    // Resend expects attachments as base64 strings
-    const { data, error } = await resend.emails.send({
-      from: `Hadir.AI Reports <${RESEND_FROM_EMAIL}>`,
-      to: [to],
-      subject: subject,
-      html: body,
-      attachments: [
-        {
-          filename: pdfFilename,
-          content: pdfBase64, // Base64 encoded PDF content
-        },
-      ],
-    });
-
-    if (error) {
-      console.error('✗ Resend API error:', error);
-      throw new Error(`Resend API error: ${error.message || JSON.stringify(error)}`);
-    }
+    transport = getEmailTransport();
+  } catch (error) {
+    log.error('✗ Email transport not configured', { error });
+    await recordDelivery({ ...delivery, transport: process.env.EMAIL_TRANSPORT || 'unknown', status: 'failed', attempts: 0, errorMessage: error.message });
+    throw error;
+  }
 
-    if (!data || !data.id) {
-      throw new Error('Resend API returned no email ID');
-    }
+  const message = {
+    from: `Hadir.AI Reports <${EMAIL_FROM}>`,
+    to,
+    subject,
+    html: body,
+    attachments: [{ filename: attachmentFilename, content: fileBuffer }],
+  };
 
-    console.log('✓ Report email sent successfully via Resend:', data.id);
-    return { success: true, messageId: data.id };
-  } catch (error) {
-    console.error('✗ Error sending report email:', error);
-    // Provide more helpful error messages
-    if (error.message?.includes('API key')) {
-      throw new Error('Invalid Resend API key. Please check RESEND_API_KEY environment variable.');
-    }
-    if (error.message?.includes('domain')) {
-      throw new Error('Resend domain not verified. Please verify your sending domain in Resend dashboard.');
+  for (let attempt = 1; ; attempt++) {
+    try {
+      const { messageId } = await transport.send(message);
+
+      log.info(`✓ Report email sent to ${to} via ${transport.name} (attempt ${attempt})`, { messageId });
+      await recordDelivery({ ...delivery, transport: transport.name, status: 'sent', attempts: attempt, messageId });
+      return { success: true, messageId, attempts: attempt, transport: transport.name };
+    } catch (error) {
+      const willRetry = !error.permanent && attempt < EMAIL_MAX_ATTEMPTS;
+      log.error(`✗ Error sending report email to ${to} via ${transport.name} (attempt ${attempt}/${EMAIL_MAX_ATTEMPTS})`, { error });
+
+      if (!willRetry) {
+        await recordDelivery({ ...delivery, transport: transport.name, status: 'failed', attempts: attempt, errorMessage: error.message });
+        throw error;
+      }
+
+      await delay(EMAIL_RETRY_DELAY_MS * 2 ** (attempt - 1));
     }
-    throw error;
   }
 }
 
 /**
- * Generate email body for monthly report
+ * Generate email body for a scheduled report
  * @param {Object} reportData - Report data
+ * @param {string} scheduleName - Name of the schedule that produced the report
+ * @param {string} attachmentLabel - Describes the attachment, e.g. 'a PDF' or 'an Excel workbook'
  * @returns {string} HTML email body
  */
-function generateMonthlyReportEmailBody(reportData) {
+function generateScheduledReportEmailBody(reportData, scheduleName, attachmentLabel = 'a PDF') {
   return `
     <!DOCTYPE html>
     <html>
@@ -107,18 +108,19 @@ function generateMonthlyReportEmailBody(reportData) {
     </head>
     <body>
       <div class="header">
-        <h1>Monthly Attendance Report</h1>
+        <h1>${scheduleName}</h1>
         <p>${reportData.period.label}</p>
       </div>
       <div class="content">
         <h2>Report Summary</h2>
         <div class="summary">
+          <p><strong>Scope:</strong> ${reportData.scope?.label || 'All departments'}</p>
           <p><strong>Total Employees:</strong> ${reportData.overall.totalEmployees}</p>
           <p><strong>Attendance Rate:</strong> ${reportData.overall.attendanceRate}</p>
           <p><strong>Pending Leave Requests:</strong> ${reportData.overall.pendingLeaves}</p>
           <p><strong>Open Tickets:</strong> ${reportData.overall.openTickets}</p>
         </div>
-        <p>Please find the detailed report attached as a PDF.</p>
+        <p>Please find the detailed report attached as ${attachmentLabel}.</p>
         <p>This is an automated report generated by Hadir.AI Attendance Management System.</p>
       </div>
       <div class="footer">
@@ -133,9 +135,10 @@ function generateMonthlyReportEmailBody(reportData) {
 /**
  * Generate email body for manual report
  * @param {Object} reportData - Report data
+ * @param {string} attachmentLabel - Describes the attachment, e.g. 'a PDF' or 'an Excel workbook'
  * @returns {string} HTML email body
  */
-function generateManualReportEmailBody(reportData) {
+function generateManualReportEmailBody(reportData, attachmentLabel = 'a PDF') {
   return `
     <!DOCTYPE html>
     <html>
@@ -156,12 +159,13 @@ function generateManualReportEmailBody(reportData) {
       <div class="content">
         <h2>Report Summary</h2>
         <div class="summary">
+          <p><strong>Scope:</strong> ${reportData.scope?.label || 'All departments'}</p>
           <p><strong>Total Employees:</strong> ${reportData.overall.totalEmployees}</p>
           <p><strong>Attendance Rate:</strong> ${reportData.overall.attendanceRate}</p>
           <p><strong>Pending Leave Requests:</strong> ${reportData.overall.pendingLeaves}</p>
           <p><strong>Open Tickets:</strong> ${reportData.overall.openTickets}</p>
         </div>
-        <p>Please find the detailed report attached as a PDF.</p>
+        <p>Please find the detailed report attached as ${attachmentLabel}.</p>
         <p>This report was generated on request from the Hadir.AI Admin Dashboard.</p>
       </div>
       <div class="footer">
@@ -175,7 +179,7 @@ function generateManualReportEmailBody(reportData) {
 
 module.exports = {
   sendReportEmail,
-  generateMonthlyReportEmailBody,
+  generateScheduledReportEmailBody,
   generateManualReportEmailBody,
 };
 
@@ -0,0 +1,81 @@
+/**
+ * Report Generation Slots
+ * Caps how many reports this instance generates at once (queries, rendering and storage are memory and
+ * CPU heavy). Manual requests take a slot or are turned away; scheduled runs wait for one in order.
+ *
+ * Exported on /metrics:
+ *   report_generations_active       - Slots in use
+ *   report_generations_waiting      - Scheduled runs waiting for a slot
+ *
+ * REPORT_MAX_CONCURRENT: slots per instance (default 2)
+ */
+const { gauge } = require('@attendance/shared/metrics');
+
+const REPORT_MAX_CONCURRENT = Math.max(1, parseInt(process.env.REPORT_MAX_CONCURRENT || '2', 10) || 2);
+
+const activeGauge = gauge('report_generations_active', 'Reports being generated');
+const waitingGauge = gauge('report_generations_waiting', 'Scheduled report runs waiting for a generation slot');
+
+let active = 0;
+// Resolvers of runs waiting for a slot, oldest first
+const waiting = [];
+
+/**
+ * Publish the slot gauges
+ */
+function updateGauges() {
+  activeGauge.set({}, active);
+  waitingGauge.set({}, waiting.length);
+}
+
+/**
+ * Create the release function for a taken slot (safe to call more than once)
+ * @returns {Function} release()
+ */
+function createRelease() {
+  let released = false;
+  return () => {
+    if (released) return;
+    released = true;
+    const next = waiting.shift();
+    if (next) {
+      // Hand the slot straight to the next waiting run
+      next(createRelease());
+    } else {
+      active--;
+    }
+    updateGauges();
+  };
+}
+
+/**
+ * Take a slot if one is free
+ * @returns {Function|null} release(), or null when every slot is in use
+ */
+function tryAcquireSlot() {
+  if (active >= REPORT_MAX_CONCURRENT) return null;
+  active++;
+  updateGauges();
+  return createRelease();
+}
+
+/**
+ * Wait for a slot
+ * @returns {Promise<Function>} release()
+ */
+function acquireSlot() {
+  const release = tryAcquireSlot();
+  if (release) return Promise.resolve(release);
+  return new Promise(resolve => {
+    waiting.push(resolve);
+    updateGauges();
+  });
+}
+
+updateGauges();
+
+module.exports = {
+  tryAcquireSlot,
+  acquireSlot,
+  REPORT_MAX_CONCURRENT,
+};
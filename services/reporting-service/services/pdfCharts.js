@@ -0,0 +1,237 @@
+/**
+ * PDF Charts - Simple charts drawn with pdfkit vector primitives
+ * Every chart draws inside the box { x, y, width, height } and leaves doc.y below it
+ */
+
+const CHART_COLORS = {
+  axis: '#999999',
+  grid: '#e5e5e5',
+  label: '#555555',
+  primary: '#2563eb',
+  secondary: '#9ca3af',
+};
+
+/**
+ * Draw a chart title and return the space left below it
+ * @param {PDFDocument} doc - PDF document
+ * @param {string} title - Chart title
+ * @param {Object} box - { x, y, width, height }
+ * @returns {Object} Remaining box
+ */
+function drawTitle(doc, title, box) {
+  doc.fillColor('black')
+     .fontSize(12)
+     .font('Helvetica-Bold')
+     .text(title, box.x, box.y, { width: box.width, lineBreak: false });
+  return { ...box, y: box.y + 20, height: box.height - 20 };
+}
+
+/**
+ * Draw the horizontal grid lines and y-axis labels of a percentage chart
+ * @param {PDFDocument} doc - PDF document
+ * @param {Object} plot - Plot area { x, y, width, height }
+ */
+function drawPercentGrid(doc, plot) {
+  doc.fontSize(7).font('Helvetica');
+  [0, 25, 50, 75, 100].forEach(percent => {
+    const y = plot.y + plot.height - (percent / 100) * plot.height;
+    doc.moveTo(plot.x, y)
+       .lineTo(plot.x + plot.width, y)
+       .lineWidth(0.5)
+       .strokeColor(percent === 0 ? CHART_COLORS.axis : CHART_COLORS.grid)
+       .stroke();
+    doc.fillColor(CHART_COLORS.label)
+       .text(`${percent}%`, plot.x - 30, y - 3, { width: 25, align: 'right', lineBreak: false });
+  });
+}
+
+/**
+ * Draw "No data for this period" in place of an empty chart
+ * @param {PDFDocument} doc - PDF document
+ * @param {Object} box - { x, y, width, height }
+ */
+function drawEmpty(doc, box) {
+  doc.fillColor(CHART_COLORS.label)
+     .fontSize(9)
+     .font('Helvetica-Oblique')
+     .text('No data for this period', box.x, box.y + box.height / 2 - 5, {
+       width: box.width,
+       align: 'center',
+       lineBreak: false,
+     });
+}
+
+/**
+ * Finish a chart: reset colours and move the cursor below it
+ * @param {PDFDocument} doc - PDF document
+ * @param {Object} box - The box the chart was drawn in
+ */
+function endChart(doc, box) {
+  doc.fillColor('black').strokeColor('black').lineWidth(1).font('Helvetica');
+  doc.x = box.x;
+  doc.y = box.y + box.height + 15;
+}
+
+/**
+ * Draw a line chart of percentages (0-100)
+ * @param {PDFDocument} doc - PDF document
+ * @param {Object} options - { x, y, width, height, title, points: [{ label, value }] }
+ */
+function drawLineChart(doc, { x, y, width, height, title, points }) {
+  const box = { x, y, width, height };
+  const area = drawTitle(doc, title, box);
+  const plot = { x: area.x + 35, y: area.y + 5, width: area.width - 45, height: area.height - 30 };
+
+  if (!points || points.length === 0) {
+    drawEmpty(doc, area);
+    endChart(doc, box);
+    return;
+  }
+
+  drawPercentGrid(doc, plot);
+
+  const step = points.length > 1 ? plot.width / (points.length - 1) : 0;
+  const toPoint = (point, index) => ({
+    px: points.length > 1 ? plot.x + index * step : plot.x + plot.width / 2,
+    py: plot.y + plot.height - (Math.min(Math.max(point.value, 0), 100) / 100) * plot.height,
+  });
+
+  // Line
+  points.forEach((point, index) => {
+    const { px, py } = toPoint(point, index);
+    if (index === 0) doc.moveTo(px, py);
+    else doc.lineTo(px, py);
+  });
+  doc.lineWidth(1.5).strokeColor(CHART_COLORS.primary).stroke();
+
+  // Markers (skipped when they would overlap)
+  if (step >= 6 || points.length === 1) {
+    points.forEach((point, index) => {
+      const { px, py } = toPoint(point, index);
+      doc.circle(px, py, 2).fillColor(CHART_COLORS.primary).fill();
+    });
+  }
+
+  // X-axis labels: at most ~8, always including the last point
+  const labelEvery = Math.max(Math.ceil(points.length / 8), 1);
+  doc.fontSize(7).font('Helvetica').fillColor(CHART_COLORS.label);
+  points.forEach((point, index) => {
+    if (index % labelEvery !== 0 && index !== points.length - 1) return;
+    if (index !== points.length - 1 && points.length - 1 - index < labelEvery) return;
+    const { px } = toPoint(point, index);
+    doc.text(point.label, px - 25, plot.y + plot.height + 5, { width: 50, align: 'center', lineBreak: false });
+  });
+
+  endChart(doc, box);
+}
+
+/**
+ * Draw a vertical bar chart of percentages (0-100), optionally with a previous value per bar
+ * @param {PDFDocument} doc - PDF document
+ * @param {Object} options - { x, y, width, height, title, bars: [{ label, value, previous }], legend: [current, previous] }
+ */
+function drawBarChart(doc, { x, y, width, height, title, bars, legend = null }) {
+  const box = { x, y, width, height };
+  const area = drawTitle(doc, title, box);
+  const plot = { x: area.x + 35, y: area.y + 5, width: area.width - 45, height: area.height - (legend ? 45 : 30) };
+
+  if (!bars || bars.length === 0) {
+    drawEmpty(doc, area);
+    endChart(doc, box);
+    return;
+  }
+
+  drawPercentGrid(doc, plot);
+
+  const hasPrevious = bars.some(bar => bar.previous !== null && bar.previous !== undefined);
+  const slot = plot.width / bars.length;
+  const barWidth = Math.min(slot * (hasPrevious ? 0.35 : 0.6), 40);
+  const barHeight = value => (Math.min(Math.max(value || 0, 0), 100) / 100) * plot.height;
+
+  bars.forEach((bar, index) => {
+    const center = plot.x + slot * index + slot / 2;
+    const baseline = plot.y + plot.height;
+    const currentX = hasPrevious ? center - barWidth - 1 : center - barWidth / 2;
+
+    if (hasPrevious) {
+      const previousHeight = barHeight(bar.previous);
+      doc.rect(center + 1, baseline - previousHeight, barWidth, previousHeight).fillColor(CHART_COLORS.secondary).fill();
+    }
+
+    const currentHeight = barHeight(bar.value);
+    doc.rect(currentX, baseline - currentHeight, barWidth, currentHeight).fillColor(CHART_COLORS.primary).fill();
+
+    doc.fillColor('black')
+       .fontSize(7)
+       .font('Helvetica')
+       .text(`${Math.round(bar.value || 0)}%`, currentX - 10, baseline - currentHeight - 10, {
+         width: barWidth + 20,
+         align: 'center',
+         lineBreak: false,
+       });
+    doc.fillColor(CHART_COLORS.label)
+       .text(bar.label, center - slot / 2, baseline + 5, { width: slot, align: 'center', lineBreak: false, ellipsis: true });
+  });
+
+  if (legend) {
+    const legendY = plot.y + plot.height + 22;
+    [[legend[0], CHART_COLORS.primary], [legend[1], CHART_COLORS.secondary]].forEach(([label, color], index) => {
+      const legendX = plot.x + index * 150;
+      doc.rect(legendX, legendY, 8, 8).fillColor(color).fill();
+      doc.fillColor(CHART_COLORS.label)
+         .fontSize(8)
+         .text(label, legendX + 12, legendY, { width: 135, lineBreak: false, ellipsis: true });
+    });
+  }
+
+  endChart(doc, box);
+}
+
+/**
+ * Draw a horizontal bar chart of counts
+ * @param {PDFDocument} doc - PDF document
+ * @param {Object} options - { x, y, width, height, title, bars: [{ label, value, note }] }
+ */
+function drawHorizontalBarChart(doc, { x, y, width, height, title, bars }) {
+  const box = { x, y, width, height };
+  const area = drawTitle(doc, title, box);
+
+  if (!bars || bars.length === 0) {
+    drawEmpty(doc, area);
+    endChart(doc, box);
+    return;
+  }
+
+  const labelWidth = 110;
+  const valueWidth = 90;
+  const rowHeight = Math.min(area.height / bars.length, 22);
+  const barMaxWidth = area.width - labelWidth - valueWidth;
+  const maxValue = Math.max(...bars.map(bar => bar.value), 1);
+
+  bars.forEach((bar, index) => {
+    const rowY = area.y + index * rowHeight;
+    const barHeight = Math.max(rowHeight - 8, 4);
+
+    doc.fillColor(CHART_COLORS.label)
+       .fontSize(9)
+       .font('Helvetica')
+       .text(bar.label, area.x, rowY + barHeight / 2 - 4, { width: labelWidth - 8, lineBreak: false, ellipsis: true });
+
+    const length = (bar.value / maxValue) * barMaxWidth;
+    doc.rect(area.x + labelWidth, rowY, Math.max(length, 1), barHeight).fillColor(CHART_COLORS.primary).fill();
+
+    doc.fillColor('black')
+       .text(bar.note || String(bar.value), area.x + labelWidth + length + 5, rowY + barHeight / 2 - 4, {
+         width: valueWidth - 5,
+         lineBreak: false,
+       });
+  });
+
+  endChart(doc, box);
+}
+
+module.exports = {
+  drawLineChart,
+  drawBarChart,
+  drawHorizontalBarChart,
+};
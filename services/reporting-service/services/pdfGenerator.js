@@ -2,8 +2,262 @@
  * PDF Generator - Creates professional PDF reports
  */
 const PDFDocument = require('pdfkit');
-const fs = require('fs');
-const path = require('path');
+const { drawLineChart, drawBarChart, drawHorizontalBarChart } = require('./pdfCharts');
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Per-employee table layout (x offsets and widths on an A4 page with 50pt margins)
+const EMPLOYEE_TABLE_COLUMNS = [
+  { label: 'Employee', key: 'name', x: 50, width: 115 },
+  { label: 'Department', key: 'department', x: 168, width: 82 },
+  { label: 'Present', key: 'daysPresent', x: 253, width: 40 },
+  { label: 'Absent', key: 'daysAbsent', x: 296, width: 40 },
+  { label: 'Leave', key: 'daysOnLeave', x: 339, width: 36 },
+  { label: 'Late', key: 'lateArrivals', x: 378, width: 32 },
+  { label: 'Hours', key: 'totalHours', x: 413, width: 42 },
+  { label: 'Avg In', key: 'averageCheckIn', x: 458, width: 40 },
+];
+const EMPLOYEE_TABLE_ROW_HEIGHT = 16;
+// Start a new page once a row would cross this y position
+const EMPLOYEE_TABLE_PAGE_LIMIT = 760;
+
+/**
+ * Draw the per-employee table header at the current position
+ * @param {PDFDocument} doc - PDF document
+ */
+function drawEmployeeTableHeader(doc) {
+  const y = doc.y;
+  doc.fontSize(9).font('Helvetica-Bold');
+  EMPLOYEE_TABLE_COLUMNS.forEach(col => {
+    doc.text(col.label, col.x, y, { width: col.width, lineBreak: false });
+  });
+  doc.moveTo(50, y + 12)
+     .lineTo(500, y + 12)
+     .stroke();
+  doc.y = y + EMPLOYEE_TABLE_ROW_HEIGHT;
+  doc.font('Helvetica');
+}
+
+/**
+ * Render the per-employee breakdown as a paginated table
+ * The header row is repeated at the top of every page the table spans
+ * @param {PDFDocument} doc - PDF document
+ * @param {Array} employees - Employee breakdown rows from generateReportData
+ */
+function renderEmployeeTable(doc, employees) {
+  doc.addPage();
+  doc.fontSize(16)
+     .font('Helvetica-Bold')
+     .text('Employee Attendance Breakdown', 50, doc.y, { underline: true })
+     .moveDown(0.3);
+  doc.fontSize(9)
+     .font('Helvetica')
+     .text('Present/Absent/Leave in working days. Hours are totals for the period; Avg In is the average first check-in time.')
+     .moveDown(0.5);
+
+  drawEmployeeTableHeader(doc);
+
+  employees.forEach(employee => {
+    if (doc.y + EMPLOYEE_TABLE_ROW_HEIGHT > EMPLOYEE_TABLE_PAGE_LIMIT) {
+      doc.addPage();
+      drawEmployeeTableHeader(doc);
+    }
+
+    const y = doc.y;
+    doc.fontSize(9);
+    EMPLOYEE_TABLE_COLUMNS.forEach(col => {
+      const value = employee[col.key];
+      doc.text(value === null || value === undefined || value === '' ? '-' : String(value), col.x, y, {
+        width: col.width,
+        lineBreak: false,
+        ellipsis: true,
+      });
+    });
+    doc.y = y + EMPLOYEE_TABLE_ROW_HEIGHT;
+  });
+}
+
+// Department table layout
+const DEPARTMENT_TABLE_COLUMNS = [
+  { label: 'Department', x: 50, width: 140 },
+  { label: 'Employees', x: 195, width: 60 },
+  { label: 'Attendance', x: 260, width: 65 },
+  { label: 'Change', x: 330, width: 60 },
+  { label: 'Leaves', x: 395, width: 50 },
+  { label: 'Tickets', x: 450, width: 50 },
+];
+
+// Comparison table layout
+const COMPARISON_TABLE_COLUMNS = [
+  { label: 'Metric', x: 50, width: 160 },
+  { label: 'This period', x: 215, width: 90 },
+  { label: 'Previous', x: 310, width: 90 },
+  { label: 'Change', x: 405, width: 95 },
+];
+
+const DELTA_COLORS = { better: '#15803d', worse: '#b91c1c', same: '#555555' };
+
+/**
+ * Format a comparison metric's value
+ * @param {number} value - Metric value
+ * @param {string} unit - '%' or ''
+ * @returns {string} Display value
+ */
+function formatMetricValue(value, unit) {
+  return `${value}${unit}`;
+}
+
+/**
+ * Format a change between periods (percentage metrics change in percentage points)
+ * @param {Object} metric - { delta, unit }
+ * @returns {string} e.g. "+3 pts", "-2", "No change"
+ */
+function formatDelta(metric) {
+  if (metric.delta === 0) return 'No change';
+  const sign = metric.delta > 0 ? '+' : '';
+  return metric.unit === '%' ? `${sign}${metric.delta} pts` : `${sign}${metric.delta}`;
+}
+
+/**
+ * Pick the colour of a change: green when it moved the right way, red when it didn't
+ * @param {Object} metric - { delta, higherIsBetter }
+ * @returns {string} Colour
+ */
+function getDeltaColor(metric) {
+  if (metric.delta === 0) return DELTA_COLORS.same;
+  return (metric.delta > 0) === metric.higherIsBetter ? DELTA_COLORS.better : DELTA_COLORS.worse;
+}
+
+/**
+ * Write one table row at the current position
+ * @param {PDFDocument} doc - PDF document
+ * @param {Array} columns - Column layout
+ * @param {Array<string>} values - Cell values
+ * @param {Array<string>} colors - Optional cell colours
+ */
+function drawTableRow(doc, columns, values, colors = []) {
+  const y = doc.y;
+  columns.forEach((col, index) => {
+    doc.fillColor(colors[index] || 'black')
+       .text(values[index], col.x, y, { width: col.width, lineBreak: false, ellipsis: true });
+  });
+  doc.fillColor('black');
+  doc.x = 50;
+  doc.y = y + 16;
+}
+
+/**
+ * Write a table header row with a rule underneath
+ * @param {PDFDocument} doc - PDF document
+ * @param {Array} columns - Column layout
+ */
+function drawTableHeader(doc, columns) {
+  doc.fontSize(10).font('Helvetica-Bold');
+  drawTableRow(doc, columns, columns.map(col => col.label));
+  doc.moveTo(50, doc.y - 3)
+     .lineTo(500, doc.y - 3)
+     .stroke();
+  doc.y += 2;
+  doc.font('Helvetica');
+}
+
+/**
+ * Render the comparison with the previous equivalent period
+ * @param {PDFDocument} doc - PDF document
+ * @param {Object} comparison - reportData.comparison
+ */
+function renderComparison(doc, comparison) {
+  doc.fontSize(16)
+     .font('Helvetica-Bold')
+     .text('Compared with Previous Period', 50, doc.y, { underline: true })
+     .moveDown(0.3);
+  doc.fontSize(9)
+     .font('Helvetica')
+     .text(`Previous period: ${comparison.period.label}`)
+     .moveDown(0.5);
+
+  drawTableHeader(doc, COMPARISON_TABLE_COLUMNS);
+  comparison.metrics.forEach(metric => {
+    drawTableRow(
+      doc,
+      COMPARISON_TABLE_COLUMNS,
+      [metric.label, formatMetricValue(metric.current, metric.unit), formatMetricValue(metric.previous, metric.unit), formatDelta(metric)],
+      [null, null, null, getDeltaColor(metric)]
+    );
+  });
+  doc.moveDown(1);
+}
+
+/**
+ * Format a trend point's date for a chart axis
+ * @param {string} date - YYYY-MM-DD, or YYYY-MM for monthly trends
+ * @param {string} granularity - 'day' | 'week' | 'month'
+ * @returns {string} Axis label
+ */
+function formatTrendLabel(date, granularity) {
+  const [year, month, day] = date.split('-').map(Number);
+  if (granularity === 'month') return `${MONTH_NAMES[month - 1]} ${year}`;
+  const label = `${MONTH_NAMES[month - 1]} ${day}`;
+  return granularity === 'week' ? `Wk ${label}` : label;
+}
+
+/**
+ * Render the trend charts on their own page
+ * @param {PDFDocument} doc - PDF document
+ * @param {Object} reportData - Formatted report data
+ */
+function renderTrends(doc, reportData) {
+  const { attendance, leaveTypes } = reportData.trends;
+  const granularityLabel = { day: 'Daily', week: 'Weekly', month: 'Monthly' }[attendance.granularity];
+  const comparisonByDepartment = new Map(
+    (reportData.comparison?.departments || []).map(dept => [dept.key, dept.previous])
+  );
+
+  doc.addPage();
+  doc.fontSize(16)
+     .font('Helvetica-Bold')
+     .text('Trends', 50, doc.y, { underline: true })
+     .moveDown(0.5);
+
+  drawLineChart(doc, {
+    x: 50,
+    y: doc.y,
+    width: 450,
+    height: 200,
+    title: `${granularityLabel} Attendance Rate`,
+    points: attendance.points.map(point => ({
+      label: formatTrendLabel(point.date, attendance.granularity),
+      value: point.rate,
+    })),
+  });
+
+  drawBarChart(doc, {
+    x: 50,
+    y: doc.y,
+    width: 450,
+    height: 210,
+    title: 'Attendance by Department',
+    bars: (reportData.departments || []).map(dept => ({
+      label: dept.name,
+      value: dept.attendancePercent,
+      previous: comparisonByDepartment.has(dept.name) ? comparisonByDepartment.get(dept.name) : null,
+    })),
+    legend: reportData.comparison ? [reportData.period.label, reportData.comparison.period.label] : null,
+  });
+
+  drawHorizontalBarChart(doc, {
+    x: 50,
+    y: doc.y,
+    width: 450,
+    height: 180,
+    title: 'Leave by Type',
+    bars: leaveTypes.map(type => ({
+      label: type.type.charAt(0).toUpperCase() + type.type.slice(1),
+      value: type.days,
+      note: `${type.days} day${type.days === 1 ? '' : 's'} (${type.requests} request${type.requests === 1 ? '' : 's'})`,
+    })),
+  });
+}
 
 /**
  * Generate PDF report from report data
@@ -16,6 +270,7 @@ async function generatePDF(reportData) {
       const doc = new PDFDocument({
         size: 'A4',
         margins: { top: 50, bottom: 50, left: 50, right: 50 },
+        bufferPages: true, // Needed to write page footers after all content is laid out
       });
 
       const chunks = [];
@@ -33,6 +288,7 @@ async function generatePDF(reportData) {
       doc.fontSize(12)
          .font('Helvetica')
          .text(`Period: ${reportData.period.label}`, { align: 'center' })
+         .text(`Scope: ${reportData.scope?.label || 'All departments'}`, { align: 'center' })
          .moveDown(1);
 
       // Overall Summary Section
@@ -49,51 +305,70 @@ async function generatePDF(reportData) {
          .text(`Open Tickets: ${reportData.overall.openTickets}`)
          .moveDown(1);
 
+      // Previous equivalent period (not available for all-time reports)
+      if (reportData.comparison) {
+        renderComparison(doc, reportData.comparison);
+      }
+
       // Department-wise Statistics
       if (reportData.departments && reportData.departments.length > 0) {
+        const previousByDepartment = new Map(
+          (reportData.comparison?.departments || []).map(dept => [dept.key, dept])
+        );
+
+        if (doc.y > 650) {
+          doc.addPage();
+        }
+
         doc.fontSize(16)
            .font('Helvetica-Bold')
-           .text('Department-wise Statistics', { underline: true })
+           .text('Department-wise Statistics', 50, doc.y, { underline: true })
            .moveDown(0.5);
 
-        // Table header
-        doc.fontSize(10)
-           .font('Helvetica-Bold')
-           .text('Department', 50, doc.y)
-           .text('Employees', 200, doc.y)
-           .text('Attendance', 280, doc.y)
-           .text('Leaves', 360, doc.y)
-           .text('Tickets', 420, doc.y)
-           .moveDown(0.3);
-
-        // Draw line
-        doc.moveTo(50, doc.y)
-           .lineTo(500, doc.y)
-           .stroke()
-           .moveDown(0.3);
+        drawTableHeader(doc, DEPARTMENT_TABLE_COLUMNS);
 
         // Table rows
-        doc.font('Helvetica');
-        reportData.departments.forEach((dept, index) => {
+        reportData.departments.forEach(dept => {
           // Check if we need a new page
           if (doc.y > 700) {
             doc.addPage();
+            drawTableHeader(doc, DEPARTMENT_TABLE_COLUMNS);
           }
 
-          doc.fontSize(10)
-             .text(dept.name || 'N/A', 50, doc.y)
-             .text(String(dept.employees || 0), 200, doc.y)
-             .text(dept.attendanceRate || '0%', 280, doc.y)
-             .text(String(dept.leaves || 0), 360, doc.y)
-             .text(String(dept.tickets || 0), 420, doc.y)
-             .moveDown(0.4);
+          const previous = previousByDepartment.get(dept.name);
+          doc.fontSize(10);
+          drawTableRow(
+            doc,
+            DEPARTMENT_TABLE_COLUMNS,
+            [
+              dept.name || 'N/A',
+              String(dept.employees || 0),
+              dept.attendanceRate || '0%',
+              previous ? formatDelta(previous) : '-',
+              String(dept.leaves || 0),
+              String(dept.tickets || 0),
+            ],
+            [null, null, null, previous ? getDeltaColor(previous) : null]
+          );
         });
       }
 
+      // Attendance, department and leave type charts
+      if (reportData.trends) {
+        renderTrends(doc, reportData);
+      }
+
+      // Per-employee breakdown (omitted when the report was requested without it)
+      if (reportData.employees && reportData.employees.length > 0) {
+        renderEmployeeTable(doc, reportData.employees);
+      }
+
       // Footer
       const pageCount = doc.bufferedPageRange();
       for (let i = 0; i < pageCount.count; i++) {
         doc.switchToPage(i);
+        // Footer sits inside the bottom margin; lift the margin so pdfkit doesn't add a page
+        doc.page.margins.bottom = 0;
         doc.fontSize(8)
            .font('Helvetica')
            .text(
@@ -117,48 +392,7 @@ async function generatePDF(reportData) {
   });
 }
 
-/**
- * Save PDF to temporary file
- * @param {Buffer} pdfBuffer - PDF buffer
- * @param {string} filename - Filename
- * @returns {Promise<string>} File path
- */
-async function savePDFToFile(pdfBuffer, filename) {
-  return new Promise((resolve, reject) => {
-    try {
-      const tempDir = path.join(__dirname, '../../temp');
-      if (!fs.existsSync(tempDir)) {
-        fs.mkdirSync(tempDir, { recursive: true });
-      }
-
-      const filePath = path.join(tempDir, filename);
-      fs.writeFile(filePath, pdfBuffer, (err) => {
-        if (err) reject(err);
-        else resolve(filePath);
-      });
-    } catch (error) {
-      reject(error);
-    }
-  });
-}
-
-/**
- * Delete temporary PDF file
- * @param {string} filePath - File path
- */
-function deletePDFFile(filePath) {
-  try {
-    if (fs.existsSync(filePath)) {
-      fs.unlinkSync(filePath);
-    }
-  } catch (error) {
-    console.error('Error deleting PDF file:', error);
-  }
-}
-
 module.exports = {
   generatePDF,
-  savePDFToFile,
-  deletePDFFile,
 };
 
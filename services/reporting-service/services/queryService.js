@@ -3,6 +3,9 @@
  * All queries use Supabase Service Role Key for read-only access
  */
 const { supabase } = require('../config/supabase');
+const { logger } = require('@attendance/shared/logger');
+
+const log = logger.child({ component: 'QueryService' });
 
 /**
  * Get all active employees
@@ -12,7 +15,7 @@ async function getAllEmployees() {
   try {
     const { data, error } = await supabase
       .from('users')
-      .select('id, username, name, email, role, department, position, work_mode, is_active')
+      .select('id, uid, username, name, email, role, department, position, work_mode, hire_date, is_active')
       .eq('is_active', true)
       .order('department', { ascending: true })
       .order('name', { ascending: true });
@@ -20,7 +23,7 @@ async function getAllEmployees() {
     if (error) throw error;
     return data || [];
   } catch (error) {
-    console.error('Error fetching employees:', error);
+    log.error('Error fetching employees', { error });
     throw error;
   }
 }
@@ -34,7 +37,7 @@ async function getEmployeesByDepartment(department) {
   try {
     const { data, error } = await supabase
       .from('users')
-      .select('id, uid, username, name, email, role, department, position, work_mode, is_active')
+      .select('id, uid, username, name, email, role, department, position, work_mode, hire_date, is_active')
       .eq('is_active', true)
       .eq('department', department)
       .order('name', { ascending: true });
@@ -42,7 +45,7 @@ async function getEmployeesByDepartment(department) {
     if (error) throw error;
     return data || [];
   } catch (error) {
-    console.error('Error fetching employees by department:', error);
+    log.error('Error fetching employees by department', { error });
     throw error;
   }
 }
@@ -65,7 +68,7 @@ async function getAttendanceRecords(from, to) {
     if (error) throw error;
     return data || [];
   } catch (error) {
-    console.error('Error fetching attendance records:', error);
+    log.error('Error fetching attendance records', { error });
     throw error;
   }
 }
@@ -88,7 +91,32 @@ async function getLeaveRequests(from, to) {
     if (error) throw error;
     return data || [];
   } catch (error) {
-    console.error('Error fetching leave requests:', error);
+    log.error('Error fetching leave requests', { error });
+    throw error;
+  }
+}
+
+/**
+ * Get approved leave requests that overlap a date range
+ * Unlike getLeaveRequests, leaves that start before or end after the range are included
+ * @param {Date} from - Start date
+ * @param {Date} to - End date
+ * @returns {Promise<Array>} Array of approved leave requests
+ */
+async function getApprovedLeavesOverlapping(from, to) {
+  try {
+    const { data, error } = await supabase
+      .from('leave_requests')
+      .select('*')
+      .eq('status', 'approved')
+      .lte('start_date', formatDate(to))
+      .gte('end_date', formatDate(from))
+      .order('start_date', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    log.error('Error fetching approved leaves', { error });
     throw error;
   }
 }
@@ -111,7 +139,71 @@ async function getTickets(from, to) {
     if (error) throw error;
     return data || [];
   } catch (error) {
-    console.error('Error fetching tickets:', error);
+    log.error('Error fetching tickets', { error });
+    throw error;
+  }
+}
+
+/**
+ * Get holidays within date range
+ * @param {Date} from - Start date
+ * @param {Date} to - End date
+ * @returns {Promise<Array>} Array of calendar events of type holiday
+ */
+async function getHolidays(from, to) {
+  try {
+    const { data, error } = await supabase
+      .from('calendar_events')
+      .select('*')
+      .eq('type', 'holiday')
+      .gte('date', formatDate(from))
+      .lte('date', formatDate(to))
+      .order('date', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    log.error('Error fetching holidays', { error });
+    throw error;
+  }
+}
+
+/**
+ * Get the configured weekend days (the weekend_days attendance config)
+ * @returns {Promise<Object|null>} Config value ({ days: [0-6] }) or null if not set
+ */
+async function getWeekendDaysConfig() {
+  try {
+    const { data, error } = await supabase
+      .from('attendance_config')
+      .select('config_value')
+      .eq('config_key', 'weekend_days')
+      .maybeSingle();
+
+    if (error) throw error;
+    return data?.config_value || null;
+  } catch (error) {
+    log.error('Error fetching weekend days config', { error });
+    throw error;
+  }
+}
+
+/**
+ * Get the organisation's timezone (the timezone attendance config)
+ * @returns {Promise<Object|null>} Config value ({ timezone: 'Asia/Karachi' }) or null if not set
+ */
+async function getTimeZoneConfig() {
+  try {
+    const { data, error } = await supabase
+      .from('attendance_config')
+      .select('config_value')
+      .eq('config_key', 'timezone')
+      .maybeSingle();
+
+    if (error) throw error;
+    return data?.config_value || null;
+  } catch (error) {
+    log.error('Error fetching timezone config', { error });
     throw error;
   }
 }
@@ -126,7 +218,7 @@ async function getSuperAdminEmail() {
     // Check environment variable first (allows override without database changes)
     const envEmail = process.env.REPORT_RECIPIENT_EMAIL || process.env.SUPER_ADMIN_EMAIL;
     if (envEmail) {
-      console.log('Using email from environment variable:', envEmail);
+      log.info(`Using email from environment variable: ${envEmail}`);
       return envEmail;
     }
 
@@ -142,7 +234,41 @@ async function getSuperAdminEmail() {
     if (error) throw error;
     return data?.email || null;
   } catch (error) {
-    console.error('Error fetching super admin email:', error);
+    log.error('Error fetching super admin email', { error });
+    throw error;
+  }
+}
+
+/**
+ * Resolve schedule recipients to email addresses
+ * @param {Object} recipients - { users: [usernames], roles: [roles], departmentManagers: [departments] }
+ * @returns {Promise<Array<string>>} Unique email addresses of active users
+ */
+async function getRecipientEmails(recipients = {}) {
+  const { users = [], roles = [], departmentManagers = [] } = recipients;
+  const activeUsers = () => supabase.from('users').select('email').eq('is_active', true);
+
+  const queries = [];
+  if (users.length > 0) queries.push(activeUsers().in('username', users));
+  if (roles.length > 0) queries.push(activeUsers().in('role', roles));
+  if (departmentManagers.length > 0) {
+    queries.push(activeUsers().eq('role', 'manager').in('department', departmentManagers));
+  }
+
+  try {
+    const results = await Promise.all(queries);
+    const emails = new Map();
+
+    results.forEach(({ data, error }) => {
+      if (error) throw error;
+      (data || []).forEach(user => {
+        if (user.email) emails.set(user.email.toLowerCase(), user.email);
+      });
+    });
+
+    return [...emails.values()];
+  } catch (error) {
+    log.error('Error resolving report recipients', { error });
     throw error;
   }
 }
@@ -159,7 +285,12 @@ module.exports = {
   getEmployeesByDepartment,
   getAttendanceRecords,
   getLeaveRequests,
+  getApprovedLeavesOverlapping,
   getTickets,
+  getHolidays,
+  getWeekendDaysConfig,
+  getTimeZoneConfig,
   getSuperAdminEmail,
+  getRecipientEmails,
 };
 
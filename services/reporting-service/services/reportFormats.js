@@ -0,0 +1,70 @@
+/**
+ * Report Formats - Maps each supported output format to its renderer and file details
+ */
+const { generatePDF } = require('./pdfGenerator');
+const { generateCSV, generateXLSX } = require('./spreadsheetGenerator');
+
+const REPORT_FORMATS = {
+  pdf: {
+    extension: 'pdf',
+    contentType: 'application/pdf',
+    attachmentLabel: 'a PDF',
+    render: generatePDF,
+  },
+  csv: {
+    extension: 'csv',
+    contentType: 'text/csv; charset=utf-8',
+    attachmentLabel: 'a CSV file',
+    render: generateCSV,
+  },
+  xlsx: {
+    extension: 'xlsx',
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    attachmentLabel: 'an Excel workbook',
+    render: generateXLSX,
+  },
+};
+
+const VALID_FORMATS = Object.keys(REPORT_FORMATS);
+const DEFAULT_FORMAT = 'pdf';
+
+/**
+ * Get the definition for a report format
+ * @param {string} format - Format name (pdf | csv | xlsx)
+ * @returns {Object} Format definition (falls back to PDF for unknown formats)
+ */
+function getReportFormat(format) {
+  return REPORT_FORMATS[format] || REPORT_FORMATS[DEFAULT_FORMAT];
+}
+
+/**
+ * Render report data in the requested format
+ * @param {Object} reportData - Formatted report data
+ * @param {string} format - Format name (pdf | csv | xlsx)
+ * @returns {Promise<Buffer>} Rendered file
+ */
+async function renderReport(reportData, format = DEFAULT_FORMAT) {
+  return getReportFormat(format).render(reportData);
+}
+
+/**
+ * Build the user-facing filename for a report download or email attachment
+ * @param {Object} reportData - Formatted report data
+ * @param {string} reportId - Report ID
+ * @param {string} format - Format name (pdf | csv | xlsx)
+ * @returns {string} Filename, e.g. attendance-report-january_2026-1a2b3c4d.xlsx
+ */
+function getReportFilename(reportData, reportId, format = DEFAULT_FORMAT) {
+  const periodLabel = reportData?.period?.label || 'report';
+  const sanitizedLabel = periodLabel.replace(/[^a-z0-9]/gi, '_').toLowerCase();
+  return `attendance-report-${sanitizedLabel}-${reportId.substring(0, 8)}.${getReportFormat(format).extension}`;
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  VALID_FORMATS,
+  DEFAULT_FORMAT,
+  getReportFormat,
+  renderReport,
+  getReportFilename,
+};
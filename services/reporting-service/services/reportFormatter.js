@@ -6,70 +6,423 @@ const {
   getEmployeesByDepartment,
   getAttendanceRecords,
   getLeaveRequests,
+  getApprovedLeavesOverlapping,
   getTickets,
+  getHolidays,
+  getWeekendDaysConfig,
+  getTimeZoneConfig,
 } = require('./queryService');
 const { getDateRange, formatDate, getPeriodLabel } = require('../utils/dateUtils');
+const { logger } = require('@attendance/shared/logger');
+
+const log = logger.child({ component: 'ReportFormatter' });
+const {
+  toDateKey,
+  getMinutesOfDay,
+  addDaysToKey,
+  getWeekdayOfKey,
+  parseWeekendDays,
+  parseTimeZone,
+  getHolidayDates,
+  calculateAttendance,
+  summarizeAttendance,
+} = require('@attendance/shared/attendanceEngine');
+
+// Late arrival threshold in the organisation's timezone (HH:MM) plus grace period
+const WORK_START_TIME = process.env.WORK_START_TIME || '09:00';
+const LATE_GRACE_MINUTES = parseInt(process.env.LATE_GRACE_MINUTES || '15', 10);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether an attendance record belongs to an employee
+ * Matches by user_uid, username, or legacy employee_* fields
+ * @param {Object} record - Attendance record
+ * @param {Object} employee - Employee object
+ * @returns {boolean} True if the record belongs to the employee
+ */
+function recordBelongsToEmployee(record, employee) {
+  return Boolean(
+    (record.user_uid && (record.user_uid === employee.uid || record.user_uid === employee.id)) ||
+    (record.username && record.username === employee.username) ||
+    (record.employee_uid && (record.employee_uid === employee.uid || record.employee_uid === employee.id)) ||
+    (record.employee_id && (record.employee_id === employee.id || record.employee_id === employee.username))
+  );
+}
 
 /**
- * Calculate attendance rate for a set of employees and records
+ * Check whether a leave request belongs to an employee
+ * @param {Object} leave - Leave request
+ * @param {Object} employee - Employee object
+ * @returns {boolean} True if the leave belongs to the employee
+ */
+function leaveBelongsToEmployee(leave, employee) {
+  return Boolean(
+    (leave.employee_uid && (leave.employee_uid === employee.uid || leave.employee_uid === employee.id)) ||
+    (leave.employee_id && (leave.employee_id === employee.username || leave.employee_id === employee.id))
+  );
+}
+
+/**
+ * Run the attendance engine for every employee
  * @param {Array} employees - Array of employee objects
- * @param {Array} records - Array of attendance records
+ * @param {Array} records - Attendance records in the period
+ * @param {Array} approvedLeaves - Approved leave requests overlapping the period
+ * @param {Array} holidays - Holiday calendar events in the period
+ * @param {Object} calendar - { weekendDays: days of the week off (0 = Sunday), timeZone: organisation timezone }
  * @param {Date} from - Start date
  * @param {Date} to - End date
+ * @returns {Map<Object, Object>} Employee -> attendance engine result
+ */
+function calculateEmployeeAttendance(employees, records, approvedLeaves, holidays, { weekendDays, timeZone }, from, to) {
+  const holidayEvents = holidays.map(event => ({
+    date: event.date,
+    type: event.type,
+    visibility: event.visibility,
+    visibleTo: event.visible_to || event.assigned_to || [],
+    createdBy: event.created_by,
+  }));
+
+  // The period is a range of calendar days (see getDateRange); punches are put on days in the organisation's timezone
+  return new Map(employees.map(employee => [employee, calculateAttendance({
+    from: toDateKey(from),
+    to: toDateKey(to),
+    records: records.filter(record => recordBelongsToEmployee(record, employee)),
+    holidayDates: getHolidayDates(holidayEvents, [employee.username, employee.uid, employee.id]),
+    leaves: approvedLeaves
+      .filter(leave => leaveBelongsToEmployee(leave, employee))
+      .map(leave => ({ startDate: leave.start_date, endDate: leave.end_date })),
+    hireDate: employee.hire_date,
+    weekendDays,
+    timeZone,
+  })]));
+}
+
+/**
+ * Calculate the attendance percentage for a set of employees
+ * @param {Array} employees - Array of employee objects
+ * @param {Map<Object, Object>} attendance - Employee -> attendance engine result
+ * @returns {number} Attendance rate, rounded to a whole percent
+ */
+function getAttendancePercent(employees, attendance) {
+  if (!employees || employees.length === 0) return 0;
+
+  const { rate } = summarizeAttendance(employees.map(employee => attendance.get(employee)));
+  return Math.round(rate);
+}
+
+/**
+ * Calculate the attendance rate for a set of employees
+ * @param {Array} employees - Array of employee objects
+ * @param {Map<Object, Object>} attendance - Employee -> attendance engine result
  * @returns {string} Attendance rate as percentage
  */
-function calculateAttendanceRate(employees, records, from, to) {
-  if (!employees || employees.length === 0) return '0%';
-
-  // Calculate expected work days (excluding weekends)
-  const workDays = calculateWorkDays(from, to);
-  const expectedCheckIns = employees.length * workDays;
-
-  if (expectedCheckIns === 0) return '0%';
-
-  // Build list of employee identifiers to match records
-  // Attendance records use: user_uid (UUID) and username (string)
-  const employeeUids = employees.map(emp => emp.uid).filter(Boolean);
-  const employeeUsernames = employees.map(emp => emp.username).filter(Boolean);
-  const employeeIds = employees.map(emp => emp.id).filter(Boolean);
-
-  // Filter records to only those belonging to these employees
-  // Match by user_uid, username, or id (for backward compatibility)
-  const relevantRecords = records.filter(r => {
-    return (
-      (r.user_uid && (employeeUids.includes(r.user_uid) || employeeIds.includes(r.user_uid))) ||
-      (r.username && employeeUsernames.includes(r.username)) ||
-      (r.employee_uid && (employeeUids.includes(r.employee_uid) || employeeIds.includes(r.employee_uid))) ||
-      (r.employee_id && (employeeIds.includes(r.employee_id) || employeeUsernames.includes(r.employee_id)))
-    );
+function calculateAttendanceRate(employees, attendance) {
+  return `${getAttendancePercent(employees, attendance)}%`;
+}
+
+/**
+ * Get the trend bucket a day falls into
+ * @param {string} key - Date key (YYYY-MM-DD)
+ * @param {string} granularity - 'day' | 'week' | 'month'
+ * @returns {string} Bucket key: the day, the Monday of its week, or YYYY-MM
+ */
+function getTrendBucket(key, granularity) {
+  if (granularity === 'day') return key;
+  if (granularity === 'month') return key.slice(0, 7);
+
+  return addDaysToKey(key, -((getWeekdayOfKey(key) + 6) % 7));
+}
+
+/**
+ * Calculate the attendance trend over the period
+ * Daily for periods up to two months, weekly up to a year, monthly beyond that
+ * @param {Array} employees - Array of employee objects
+ * @param {Map<Object, Object>} attendance - Employee -> attendance engine result
+ * @param {Date} from - Start date
+ * @param {Date} to - End date
+ * @returns {Object} { granularity, points: [{ date, expected, attended, rate }] }
+ */
+function calculateAttendanceTrend(employees, attendance, from, to) {
+  const now = new Date();
+  const end = to < now ? to : now;
+  const days = Math.max(Math.round((end - from) / (24 * 60 * 60 * 1000)), 0) + 1;
+  const granularity = days <= 62 ? 'day' : days <= 366 ? 'week' : 'month';
+
+  const buckets = new Map();
+  employees.forEach(employee => {
+    const result = attendance.get(employee);
+    const onLeave = new Set(result.leaveDayKeys);
+    const present = new Set(result.presentDayKeys);
+
+    result.workingDayKeys.forEach(key => {
+      if (onLeave.has(key)) return;
+      const bucket = getTrendBucket(key, granularity);
+      if (!buckets.has(bucket)) buckets.set(bucket, { expected: 0, attended: 0 });
+      const entry = buckets.get(bucket);
+      entry.expected++;
+      if (present.has(key)) entry.attended++;
+    });
+  });
+
+  const points = [...buckets.keys()].sort().map(date => {
+    const { expected, attended } = buckets.get(date);
+    return { date, expected, attended, rate: Math.round((attended / expected) * 1000) / 10 };
+  });
+
+  return { granularity, points };
+}
+
+/**
+ * Break leave requests down by leave type (rejected requests are left out)
+ * @param {Array} leaveRequests - Leave requests in the period
+ * @returns {Array} [{ type, requests, days }] sorted by days, most first
+ */
+function calculateLeaveTypeBreakdown(leaveRequests) {
+  const types = new Map();
+
+  leaveRequests
+    .filter(lr => lr.status !== 'rejected')
+    .forEach(lr => {
+      const type = lr.leave_type || 'other';
+      if (!types.has(type)) types.set(type, { type, requests: 0, days: 0 });
+      const entry = types.get(type);
+      entry.requests++;
+      entry.days += Number(lr.days) || 0;
+    });
+
+  return [...types.values()].sort((a, b) => b.days - a.days || b.requests - a.requests);
+}
+
+/**
+ * Convert minutes since midnight to HH:MM
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string} Time string
+ */
+function formatMinutes(minutes) {
+  const rounded = Math.round(minutes);
+  const hours = String(Math.floor(rounded / 60)).padStart(2, '0');
+  const mins = String(rounded % 60).padStart(2, '0');
+  return `${hours}:${mins}`;
+}
+
+/**
+ * Calculate per-employee attendance breakdown
+ * Day counts come from the attendance engine (holidays, leave, hire date and weekend days applied)
+ * @param {Array} employees - Array of employee objects
+ * @param {Map<Object, Object>} attendance - Employee -> attendance engine result
+ * @param {string} timeZone - Organisation timezone check-in times are read in
+ * @returns {Array} Employee breakdown rows
+ */
+function calculateEmployeeBreakdown(employees, attendance, timeZone) {
+  const [startHour, startMinute] = WORK_START_TIME.split(':').map(Number);
+  const lateAfterMinutes = startHour * 60 + (startMinute || 0) + LATE_GRACE_MINUTES;
+
+  return employees.map(employee => {
+    const result = attendance.get(employee);
+    const workingDays = new Set(result.workingDayKeys);
+
+    let lateArrivals = 0;
+    let totalHours = 0;
+    let checkInMinutesTotal = 0;
+
+    result.presentDayKeys.forEach(key => {
+      const { firstCheckIn, lastCheckOut } = result.days[key];
+      const checkInMinutes = getMinutesOfDay(firstCheckIn, timeZone);
+      checkInMinutesTotal += checkInMinutes;
+
+      // Coming in on a day off is never late
+      if (workingDays.has(key) && checkInMinutes > lateAfterMinutes) {
+        lateArrivals++;
+      }
+      if (lastCheckOut && lastCheckOut > firstCheckIn) {
+        totalHours += (lastCheckOut - firstCheckIn) / (1000 * 60 * 60);
+      }
+    });
+
+    return {
+      username: employee.username,
+      name: employee.name || employee.username,
+      department: employee.department || '',
+      position: employee.position || '',
+      daysPresent: result.presentDays,
+      daysAbsent: result.absentDays,
+      daysOnLeave: result.leaveDays,
+      lateArrivals,
+      totalHours: Math.round(totalHours * 10) / 10,
+      averageCheckIn: result.presentDays > 0 ? formatMinutes(checkInMinutesTotal / result.presentDays) : null,
+    };
   });
+}
 
-  // Count actual check-ins from relevant records only
-  const checkInCount = relevantRecords.filter(r => r.type === 'checkin').length;
-  const rate = (checkInCount / expectedCheckIns) * 100;
+/**
+ * Find the employee a leave request or ticket belongs to
+ * @param {Array} employees - Array of employee objects
+ * @param {string} uid - employee_uid / created_by_uid value
+ * @param {string} username - employee_id / created_by value
+ * @returns {Object|null} Matching employee or null
+ */
+function findEmployee(employees, uid, username) {
+  return employees.find(emp =>
+    (uid && (emp.uid === uid || emp.id === uid)) ||
+    (username && (emp.username === username || emp.id === username))
+  ) || null;
+}
 
-  return `${Math.round(rate)}%`;
+/**
+ * Format leave requests as itemised report rows
+ * @param {Array} leaveRequests - Leave requests in the period
+ * @param {Array} employees - Array of employee objects
+ * @returns {Array} Leave rows
+ */
+function formatLeaveRows(leaveRequests, employees) {
+  return leaveRequests.map(lr => {
+    const employee = findEmployee(employees, lr.employee_uid, lr.employee_id);
+    const requestedAt = lr.requested_at || lr.created_at;
+    return {
+      employee: employee?.name || lr.employee_id || '',
+      department: employee?.department || '',
+      leaveType: lr.leave_type || '',
+      startDate: lr.start_date ? String(lr.start_date).split('T')[0] : '',
+      endDate: lr.end_date ? String(lr.end_date).split('T')[0] : '',
+      days: lr.days ?? null,
+      status: lr.status || '',
+      requestedAt: requestedAt ? formatDate(new Date(requestedAt)) : '',
+    };
+  });
+}
+
+/**
+ * Format tickets as itemised report rows
+ * @param {Array} tickets - Tickets in the period
+ * @param {Array} employees - Array of employee objects
+ * @returns {Array} Ticket rows
+ */
+function formatTicketRows(tickets, employees) {
+  return tickets.map(t => {
+    const creator = findEmployee(employees, t.created_by_uid, t.created_by);
+    return {
+      subject: t.subject || '',
+      category: t.category || '',
+      priority: t.priority || '',
+      status: t.status || '',
+      createdBy: creator?.name || t.created_by || '',
+      department: creator?.department || '',
+      assignedTo: t.assigned_to || '',
+      createdAt: t.created_at ? formatDate(new Date(t.created_at)) : '',
+    };
+  });
 }
 
 /**
- * Calculate work days between two dates (excluding weekends)
+ * Fetch the attendance, leave and ticket activity for a period
  * @param {Date} from - Start date
  * @param {Date} to - End date
- * @returns {number} Number of work days
- */
-function calculateWorkDays(from, to) {
-  let count = 0;
-  const current = new Date(from);
-  
-  while (current <= to) {
-    const dayOfWeek = current.getDay();
-    if (dayOfWeek !== 0 && dayOfWeek !== 6) { // Not Sunday (0) or Saturday (6)
-      count++;
-    }
-    current.setDate(current.getDate() + 1);
-  }
-  
-  return count;
+ * @param {Array|null} scopeEmployees - Employees of a department-scoped report (null = company-wide)
+ * @returns {Promise<Object>} { attendanceRecords, leaveRequests, tickets, approvedLeaves, holidays }
+ */
+async function fetchPeriodActivity(from, to, scopeEmployees = null) {
+  // Attendance is fetched a day either side: in the organisation's timezone the period can start or end up to
+  // 14 hours off the server's (the attendance engine only counts the period's own days)
+  const [attendanceRecords, leaveRequests, tickets, approvedLeaves, holidays] = await Promise.all([
+    getAttendanceRecords(new Date(from.getTime() - DAY_MS), new Date(to.getTime() + DAY_MS)),
+    getLeaveRequests(from, to),
+    getTickets(from, to),
+    getApprovedLeavesOverlapping(from, to),
+    getHolidays(from, to),
+  ]);
+
+  // Department-scoped reports only count leave requests and tickets raised by employees in scope
+  return {
+    attendanceRecords,
+    leaveRequests: scopeEmployees
+      ? leaveRequests.filter(lr => findEmployee(scopeEmployees, lr.employee_uid, lr.employee_id))
+      : leaveRequests,
+    tickets: scopeEmployees
+      ? tickets.filter(t => findEmployee(scopeEmployees, t.created_by_uid, t.created_by))
+      : tickets,
+    approvedLeaves,
+    holidays,
+  };
+}
+
+/**
+ * Sum a count across every employee's attendance result
+ * @param {Map<Object, Object>} attendance - Employee -> attendance engine result
+ * @param {string} field - Result field (e.g. absentDays)
+ * @returns {number} Total
+ */
+function sumAttendance(attendance, field) {
+  let total = 0;
+  attendance.forEach(result => { total += result[field]; });
+  return total;
+}
+
+/**
+ * Build a comparison metric
+ * @param {string} key - Metric key
+ * @param {string} label - Display label
+ * @param {number} current - This period's value
+ * @param {number} previous - Previous period's value
+ * @param {Object} options - { unit: '%' | '', higherIsBetter: boolean }
+ * @returns {Object} { key, label, current, previous, delta, unit, higherIsBetter }
+ */
+function comparisonMetric(key, label, current, previous, { unit = '', higherIsBetter = true } = {}) {
+  return {
+    key,
+    label,
+    current,
+    previous,
+    delta: Math.round((current - previous) * 10) / 10,
+    unit,
+    higherIsBetter,
+  };
+}
+
+/**
+ * Compare the report period with the previous equivalent period
+ * Uses the current employee list for both periods (hire dates keep new joiners out of the earlier one)
+ * @param {Object} params - { range, comparisonRange, employees, departments, calendar, scoped,
+ *   current: { activity, attendance } }
+ * @returns {Promise<Object>} { period, metrics, departments }
+ */
+async function calculateComparison({ range, comparisonRange, employees, departments, calendar, scoped, current }) {
+  const { from, to } = comparisonRange;
+  const previousActivity = await fetchPeriodActivity(from, to, scoped ? employees : null);
+  const previousAttendance = calculateEmployeeAttendance(
+    employees,
+    previousActivity.attendanceRecords,
+    previousActivity.approvedLeaves,
+    previousActivity.holidays,
+    calendar,
+    from,
+    to
+  );
+
+  return {
+    period: {
+      from: formatDate(from),
+      to: formatDate(to),
+      label: getPeriodLabel(range, from, to),
+    },
+    metrics: [
+      comparisonMetric('attendanceRate', 'Attendance Rate',
+        getAttendancePercent(employees, current.attendance), getAttendancePercent(employees, previousAttendance), { unit: '%' }),
+      comparisonMetric('absentDays', 'Absent Days',
+        sumAttendance(current.attendance, 'absentDays'), sumAttendance(previousAttendance, 'absentDays'), { higherIsBetter: false }),
+      comparisonMetric('leaveDays', 'Leave Days Taken',
+        sumAttendance(current.attendance, 'leaveDays'), sumAttendance(previousAttendance, 'leaveDays'), { higherIsBetter: false }),
+      comparisonMetric('leaveRequests', 'Leave Requests',
+        current.activity.leaveRequests.length, previousActivity.leaveRequests.length, { higherIsBetter: false }),
+      comparisonMetric('ticketsRaised', 'Tickets Raised',
+        current.activity.tickets.length, previousActivity.tickets.length, { higherIsBetter: false }),
+    ],
+    departments: departments.map(dept => {
+      const deptEmployees = employees.filter(emp => emp.department === dept);
+      return comparisonMetric(dept, dept,
+        getAttendancePercent(deptEmployees, current.attendance), getAttendancePercent(deptEmployees, previousAttendance), { unit: '%' });
+    }),
+  };
 }
 
 /**
@@ -77,46 +430,62 @@ function calculateWorkDays(from, to) {
  * @param {string} range - Report range type
  * @param {string} from - Custom start date (optional)
  * @param {string} to - Custom end date (optional)
+ * @param {Object} options - { includeEmployees: boolean (per-employee section, default true),
+ *   departments: Array<string> (limit the report to these departments; omit for company-wide) }
  * @returns {Promise<Object>} Formatted report data
  */
-async function generateReportData(range, from = null, to = null) {
+async function generateReportData(range, from = null, to = null, options = {}) {
+  const { includeEmployees = true, departments: scopeDepartments = null } = options;
+  const scoped = Array.isArray(scopeDepartments) && scopeDepartments.length > 0;
+
   try {
-    // Get date range
+    // Get date range (and the previous equivalent period to compare against)
     const dateRange = getDateRange(range, from, to);
-    const { from: fromDate, to: toDate } = dateRange;
+    const { from: fromDate, to: toDate, comparison: comparisonRange } = dateRange;
 
     // Fetch all data in parallel
-    const [allEmployees, attendanceRecords, leaveRequests, tickets] = await Promise.all([
-      getAllEmployees(),
-      getAttendanceRecords(fromDate, toDate),
-      getLeaveRequests(fromDate, toDate),
-      getTickets(fromDate, toDate),
+    const [allEmployees, weekendConfig, timeZoneConfig] = await Promise.all([
+      scoped
+        ? Promise.all(scopeDepartments.map(getEmployeesByDepartment)).then(lists => lists.flat())
+        : getAllEmployees(),
+      getWeekendDaysConfig(),
+      getTimeZoneConfig(),
     ]);
+    const weekendDays = parseWeekendDays(weekendConfig);
+    const timeZone = parseTimeZone(timeZoneConfig);
+    const calendar = { weekendDays, timeZone };
+    const activity = await fetchPeriodActivity(fromDate, toDate, scoped ? allEmployees : null);
+    const { attendanceRecords, leaveRequests, tickets, approvedLeaves, holidays } = activity;
 
-    // Debug logging
-    console.log(`[ReportFormatter] Date range: ${fromDate.toISOString()} to ${toDate.toISOString()}`);
-    console.log(`[ReportFormatter] Employees found: ${allEmployees.length}`);
-    console.log(`[ReportFormatter] Attendance records found: ${attendanceRecords.length}`);
-    console.log(`[ReportFormatter] Leave requests found: ${leaveRequests.length}`);
-    console.log(`[ReportFormatter] Tickets found: ${tickets.length}`);
-    
-    if (attendanceRecords.length > 0) {
-      console.log(`[ReportFormatter] Sample attendance record fields:`, Object.keys(attendanceRecords[0]));
-      console.log(`[ReportFormatter] Sample attendance record:`, {
-        user_uid: attendanceRecords[0].user_uid,
-        username: attendanceRecords[0].username,
-        type: attendanceRecords[0].type,
-        timestamp: attendanceRecords[0].timestamp
-      });
-    }
+    const sample = attendanceRecords[0];
+    log.debug('Report data loaded', {
+      from: fromDate.toISOString(),
+      to: toDate.toISOString(),
+      scope: scoped ? scopeDepartments : 'all departments',
+      employees: allEmployees.length,
+      attendanceRecords: attendanceRecords.length,
+      leaveRequests: leaveRequests.length,
+      tickets: tickets.length,
+      holidays: holidays.length,
+      weekendDays,
+      timeZone,
+      sampleAttendanceRecord: sample
+        ? { fields: Object.keys(sample), user_uid: sample.user_uid, username: sample.username, type: sample.type, timestamp: sample.timestamp }
+        : undefined,
+    });
 
-    // Get unique departments
-    const departments = [...new Set(allEmployees.map(emp => emp.department).filter(Boolean))];
+    // Get unique departments (scoped reports list every requested department, even if empty)
+    const departments = scoped
+      ? scopeDepartments
+      : [...new Set(allEmployees.map(emp => emp.department).filter(Boolean))];
+
+    // Expected vs attended working days per employee
+    const attendance = calculateEmployeeAttendance(allEmployees, attendanceRecords, approvedLeaves, holidays, calendar, fromDate, toDate);
 
     // Calculate overall statistics
     const overall = {
       totalEmployees: allEmployees.length,
-      attendanceRate: calculateAttendanceRate(allEmployees, attendanceRecords, fromDate, toDate),
+      attendanceRate: calculateAttendanceRate(allEmployees, attendance),
       pendingLeaves: leaveRequests.filter(lr => lr.status === 'pending').length,
       openTickets: tickets.filter(t => t.status === 'open' || t.status === 'pending').length,
     };
@@ -125,22 +494,11 @@ async function generateReportData(range, from = null, to = null) {
     const departmentStats = departments.map(dept => {
       const deptEmployees = allEmployees.filter(emp => emp.department === dept);
       
-      // Build employee identifiers for matching
-      // Attendance records use: user_uid (UUID) and username (string)
+      // Build employee identifiers for matching leave requests and tickets
       const deptEmployeeUids = deptEmployees.map(emp => emp.uid).filter(Boolean);
       const deptEmployeeUsernames = deptEmployees.map(emp => emp.username).filter(Boolean);
       const deptEmployeeIds = deptEmployees.map(emp => emp.id).filter(Boolean);
       
-      // Filter attendance records - match by user_uid, username, or id
-      const deptAttendanceRecords = attendanceRecords.filter(ar => {
-        return (
-          (ar.user_uid && (deptEmployeeUids.includes(ar.user_uid) || deptEmployeeIds.includes(ar.user_uid))) ||
-          (ar.username && deptEmployeeUsernames.includes(ar.username)) ||
-          (ar.employee_uid && (deptEmployeeUids.includes(ar.employee_uid) || deptEmployeeIds.includes(ar.employee_uid))) ||
-          (ar.employee_id && (deptEmployeeIds.includes(ar.employee_id) || deptEmployeeUsernames.includes(ar.employee_id)))
-        );
-      });
-      
       // Filter leave requests - match by employee_uid or employee_id
       const deptLeaveRequests = leaveRequests.filter(lr => {
         return (
@@ -160,12 +518,26 @@ async function generateReportData(range, from = null, to = null) {
       return {
         name: dept,
         employees: deptEmployees.length,
-        attendanceRate: calculateAttendanceRate(deptEmployees, deptAttendanceRecords, fromDate, toDate),
+        attendanceRate: calculateAttendanceRate(deptEmployees, attendance),
+        attendancePercent: getAttendancePercent(deptEmployees, attendance),
         leaves: deptLeaveRequests.length,
         tickets: deptTickets.length,
       };
     });
 
+    // Previous equivalent period (none for all-time reports)
+    const comparison = comparisonRange
+      ? await calculateComparison({
+          range,
+          comparisonRange,
+          employees: allEmployees,
+          departments,
+          calendar,
+          scoped,
+          current: { activity, attendance },
+        })
+      : null;
+
     // Build report data structure
     const reportData = {
       period: {
@@ -174,20 +546,42 @@ async function generateReportData(range, from = null, to = null) {
         to: formatDate(toDate),
         label: getPeriodLabel(range, fromDate, toDate),
       },
+      scope: {
+        departments: scoped ? scopeDepartments : null,
+        label: scoped
+          ? `${scopeDepartments.length === 1 ? 'Department' : 'Departments'}: ${scopeDepartments.join(', ')}`
+          : 'All departments',
+      },
       overall,
       departments: departmentStats,
+      comparison,
+      // Chart data for the PDF
+      trends: {
+        attendance: calculateAttendanceTrend(allEmployees, attendance, fromDate, toDate),
+        leaveTypes: calculateLeaveTypeBreakdown(leaveRequests),
+      },
+      // Itemised rows for the CSV/XLSX exports (the PDF only shows the counts above)
+      leaves: formatLeaveRows(leaveRequests, allEmployees),
+      tickets: formatTicketRows(tickets, allEmployees),
     };
 
+    if (includeEmployees) {
+      reportData.employees = calculateEmployeeBreakdown(allEmployees, attendance, timeZone);
+    }
+
     return reportData;
   } catch (error) {
-    console.error('Error generating report data:', error);
+    log.error('Error generating report data', { error });
     throw error;
   }
 }
 
 module.exports = {
   generateReportData,
+  calculateEmployeeAttendance,
   calculateAttendanceRate,
-  calculateWorkDays,
+  calculateAttendanceTrend,
+  calculateLeaveTypeBreakdown,
+  calculateEmployeeBreakdown,
 };
 
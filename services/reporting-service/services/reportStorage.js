@@ -1,16 +1,47 @@
 /**
  * Report Storage Service
- * Manages temporary report storage with expiration
- * Uses in-memory storage for simplicity (suitable for Render deployment)
+ * Persists generated reports: metadata in the generated_reports table, files in the storage backend
+ * Reports survive restarts and are shared by every service instance
  */
 const { v4: uuidv4 } = require('uuid');
+const { supabase } = require('../config/supabase');
+const { getStorageBackend } = require('./storage');
+const { getReportFormat, getReportFilename } = require('./reportFormats');
+const { logger } = require('@attendance/shared/logger');
+const { counter, histogram } = require('@attendance/shared/metrics');
 
-// In-memory storage for report metadata
-// Format: { reportId: { filePath, createdAt, expiresAt, reportData } }
-const reportStore = new Map();
+const log = logger.child({ component: 'ReportStorage' });
 
-// Report expiration time (30 minutes)
-const REPORT_EXPIRATION_MS = 30 * 60 * 1000;
+// From createReport to completeReport/failReport: data queries, rendering and storing the file
+const reportDuration = histogram(
+  'report_generation_duration_seconds',
+  'Time to generate and archive a report',
+  ['source', 'format', 'outcome'],
+  [0.5, 1, 2.5, 5, 10, 30, 60, 120, 300]
+);
+const reportsGenerated = counter('reports_generated_total', 'Reports generated', ['source', 'format', 'outcome']);
+
+// reportId -> end timer of a report that is generating on this instance
+const generationTimers = new Map();
+
+/**
+ * Record the outcome of a report started on this instance
+ * @param {string} reportId - Report ID
+ * @param {string} outcome - ready | failed
+ */
+function observeGeneration(reportId, outcome) {
+  const timer = generationTimers.get(reportId);
+  if (!timer) return;
+  generationTimers.delete(reportId);
+  timer.end({ outcome });
+  reportsGenerated.inc({ ...timer.labels, outcome });
+}
+
+// How long reports are kept before the retention job removes them (0 = keep forever)
+const REPORT_RETENTION_DAYS = parseInt(process.env.REPORT_RETENTION_DAYS || '30', 10);
+
+const LIST_PAGE_SIZE_DEFAULT = 20;
+const LIST_PAGE_SIZE_MAX = 100;
 
 /**
  * Generate a unique report ID
@@ -21,132 +52,291 @@ function generateReportId() {
 }
 
 /**
- * Store report metadata
- * @param {string} reportId - Report ID
- * @param {string} filePath - Path to PDF file
- * @param {Object} reportData - Report data (for reference)
- * @returns {Object} Stored report metadata
+ * Get the expiry timestamp for a report created now
+ * @returns {string|null} ISO timestamp or null when retention is disabled
  */
-function storeReport(reportId, filePath, reportData = null) {
-  const now = new Date();
-  const expiresAt = new Date(now.getTime() + REPORT_EXPIRATION_MS);
-  
-  const reportMetadata = {
-    reportId,
-    filePath,
-    createdAt: now,
-    expiresAt,
-    reportData, // Store for reference (optional)
+function getExpiresAt() {
+  if (!REPORT_RETENTION_DAYS || REPORT_RETENTION_DAYS <= 0) return null;
+  return new Date(Date.now() + REPORT_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Convert a generated_reports row to the API representation
+ * @param {Object} row - generated_reports row
+ * @returns {Object} Report metadata
+ */
+function toReportMetadata(row) {
+  return {
+    reportId: row.id,
+    range: row.range,
+    period: {
+      from: row.period_from,
+      to: row.period_to,
+      label: row.period_label,
+    },
+    format: row.format,
+    includeEmployees: row.include_employees,
+    departments: row.departments || null,
+    status: row.status,
+    error: row.error_message || null,
+    filename: row.filename,
+    fileSize: row.file_size,
+    summary: row.summary || {},
+    source: row.source,
+    scheduleId: row.schedule_id || null,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    completedAt: row.completed_at,
+    expiresAt: row.expires_at,
   };
-  
-  reportStore.set(reportId, reportMetadata);
-  
-  console.log(`[ReportStorage] Stored report ${reportId}, expires at ${expiresAt.toISOString()}`);
-  
-  return reportMetadata;
 }
 
 /**
- * Get report metadata by ID
+ * Record a report that has started generating
+ * @param {Object} report - { reportId, range, format, includeEmployees, departments, source, createdBy: { uid, username }, scheduleId }
+ *   departments is the department scope (null = all departments)
+ * @returns {Promise<Object>} Inserted row
+ */
+async function createReport({ reportId, range, format = 'pdf', includeEmployees = true, departments = null, source = 'manual', createdBy = null, scheduleId = null }) {
+  const { data, error } = await supabase
+    .from('generated_reports')
+    .insert({
+      id: reportId,
+      range,
+      format,
+      include_employees: includeEmployees,
+      departments,
+      status: 'generating',
+      source,
+      created_by_uid: createdBy?.uid || null,
+      created_by: createdBy?.username || null,
+      schedule_id: scheduleId,
+      // Set now so a report interrupted by a restart is still cleaned up eventually
+      expires_at: getExpiresAt(),
+    })
+    .select()
+    .single();
+
+  if (error) throw error;
+
+  const labels = { source, format };
+  generationTimers.set(reportId, { labels, end: reportDuration.startTimer(labels) });
+
+  log.info(`Created report ${reportId} (${range}, ${format})`);
+  return data;
+}
+
+/**
+ * Store a finished report file and mark the report ready
  * @param {string} reportId - Report ID
- * @returns {Object|null} Report metadata or null if not found/expired
+ * @param {Buffer} fileBuffer - Rendered report
+ * @param {Object} reportData - Report data the file was rendered from
+ * @param {string} format - Output format (pdf | csv | xlsx)
+ * @returns {Promise<Object>} Updated row
  */
-function getReport(reportId) {
-  const report = reportStore.get(reportId);
-  
-  if (!report) {
-    return null;
-  }
-  
-  // Check if expired
-  if (new Date() > report.expiresAt) {
-    console.log(`[ReportStorage] Report ${reportId} has expired`);
-    reportStore.delete(reportId);
-    return null;
+async function completeReport(reportId, fileBuffer, reportData, format = 'pdf') {
+  const storage = getStorageBackend();
+  const reportFormat = getReportFormat(format);
+  const now = new Date();
+  const month = String(now.getUTCMonth() + 1).padStart(2, '0');
+  const storageKey = `${now.getUTCFullYear()}/${month}/${reportId}.${reportFormat.extension}`;
+
+  await storage.put(storageKey, fileBuffer, reportFormat.contentType);
+
+  const { data, error } = await supabase
+    .from('generated_reports')
+    .update({
+      status: 'ready',
+      period_from: reportData.period.from,
+      period_to: reportData.period.to,
+      period_label: reportData.period.label,
+      storage_backend: storage.name,
+      storage_key: storageKey,
+      filename: getReportFilename(reportData, reportId, format),
+      content_type: reportFormat.contentType,
+      file_size: fileBuffer.length,
+      summary: reportData.overall,
+      completed_at: now.toISOString(),
+      expires_at: getExpiresAt(),
+    })
+    .eq('id', reportId)
+    .select()
+    .single();
+
+  if (error) {
+    // Don't leave an orphaned file behind if the metadata can't be saved
+    await storage.remove(storageKey).catch(() => {});
+    throw error;
   }
-  
-  return report;
+
+  observeGeneration(reportId, 'ready');
+  log.info(`Stored report ${reportId} (${fileBuffer.length} bytes, ${storage.name}:${storageKey})`);
+  return data;
 }
 
 /**
- * Delete report metadata and file
+ * Mark a report as failed
  * @param {string} reportId - Report ID
- * @param {Function} deleteFileCallback - Callback to delete the file
- * @returns {boolean} Success status
+ * @param {Error} failure - Error that stopped generation
  */
-function deleteReport(reportId, deleteFileCallback = null) {
-  const report = reportStore.get(reportId);
-  
-  if (report) {
-    // Delete file if callback provided
-    if (deleteFileCallback && typeof deleteFileCallback === 'function') {
-      try {
-        deleteFileCallback(report.filePath);
-      } catch (error) {
-        console.error(`[ReportStorage] Error deleting file for report ${reportId}:`, error);
-      }
-    }
-    
-    reportStore.delete(reportId);
-    console.log(`[ReportStorage] Deleted report ${reportId}`);
-    return true;
+async function failReport(reportId, failure) {
+  observeGeneration(reportId, 'failed');
+  const { error } = await supabase
+    .from('generated_reports')
+    .update({
+      status: 'failed',
+      error_message: failure?.message || String(failure),
+      completed_at: new Date().toISOString(),
+    })
+    .eq('id', reportId);
+
+  if (error) {
+    log.error(`Error marking report ${reportId} as failed`, { error });
   }
-  
-  return false;
 }
 
 /**
- * Clean up expired reports
- * @param {Function} deleteFileCallback - Callback to delete files
- * @returns {number} Number of reports cleaned up
+ * Get report metadata by ID
+ * @param {string} reportId - Report ID
+ * @returns {Promise<Object|null>} generated_reports row or null if not found/expired
  */
-function cleanupExpiredReports(deleteFileCallback = null) {
-  const now = new Date();
-  let cleanedCount = 0;
-  
-  for (const [reportId, report] of reportStore.entries()) {
-    if (now > report.expiresAt) {
-      deleteReport(reportId, deleteFileCallback);
-      cleanedCount++;
-    }
-  }
-  
-  if (cleanedCount > 0) {
-    console.log(`[ReportStorage] Cleaned up ${cleanedCount} expired report(s)`);
+async function getReport(reportId) {
+  const { data, error } = await supabase
+    .from('generated_reports')
+    .select('*')
+    .eq('id', reportId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) return null;
+
+  if (data.expires_at && new Date(data.expires_at) < new Date()) {
+    log.info(`Report ${reportId} has expired`);
+    return null;
   }
-  
-  return cleanedCount;
+
+  return data;
 }
 
 /**
- * Get all active reports (for debugging/admin)
- * @returns {Array} Array of report metadata
+ * Read a stored report file
+ * @param {Object} report - generated_reports row
+ * @returns {Promise<Buffer>} File contents
  */
-function getAllReports() {
-  cleanupExpiredReports(); // Clean up before returning
-  return Array.from(reportStore.values());
+async function getReportFile(report) {
+  const storage = getStorageBackend();
+  if (report.storage_backend && report.storage_backend !== storage.name) {
+    log.warn(`Report ${report.id} was stored in "${report.storage_backend}" but the active backend is "${storage.name}"`);
+  }
+  return storage.get(report.storage_key);
 }
 
 /**
- * Get storage statistics
- * @returns {Object} Storage stats
+ * List archived reports, newest first
+ * @param {Object} filters - { page, pageSize, range, createdBy, createdByUid, from, to } (from/to filter on creation date)
+ * @returns {Promise<{reports: Array, total: number, page: number, pageSize: number}>} Page of reports
  */
-function getStorageStats() {
-  cleanupExpiredReports(); // Clean up before stats
+async function listReports({ page = 1, pageSize = LIST_PAGE_SIZE_DEFAULT, range, createdBy, createdByUid, from, to } = {}) {
+  const size = Math.min(Math.max(parseInt(pageSize, 10) || LIST_PAGE_SIZE_DEFAULT, 1), LIST_PAGE_SIZE_MAX);
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const offset = (pageNumber - 1) * size;
+
+  let query = supabase
+    .from('generated_reports')
+    .select('*', { count: 'exact' })
+    .or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`)
+    .order('created_at', { ascending: false })
+    .range(offset, offset + size - 1);
+
+  if (range) query = query.eq('range', range);
+  if (createdBy) query = query.eq('created_by', createdBy);
+  if (createdByUid) query = query.eq('created_by_uid', createdByUid);
+  if (from) query = query.gte('created_at', from.toISOString());
+  if (to) query = query.lte('created_at', to.toISOString());
+
+  const { data, error, count } = await query;
+  if (error) throw error;
+
   return {
-    totalReports: reportStore.size,
-    activeReports: Array.from(reportStore.values()).filter(r => new Date() < r.expiresAt).length,
+    reports: (data || []).map(toReportMetadata),
+    total: count || 0,
+    page: pageNumber,
+    pageSize: size,
   };
 }
 
+/**
+ * Delete a report's file and metadata
+ * @param {string} reportId - Report ID
+ * @returns {Promise<boolean>} True if the report existed
+ */
+async function deleteReport(reportId) {
+  const { data: report, error: fetchError } = await supabase
+    .from('generated_reports')
+    .select('id, storage_key')
+    .eq('id', reportId)
+    .maybeSingle();
+
+  if (fetchError) throw fetchError;
+  if (!report) return false;
+
+  if (report.storage_key) {
+    try {
+      await getStorageBackend().remove(report.storage_key);
+    } catch (error) {
+      log.error(`Error deleting file for report ${reportId}`, { error });
+    }
+  }
+
+  const { error } = await supabase
+    .from('generated_reports')
+    .delete()
+    .eq('id', reportId);
+
+  if (error) throw error;
+
+  log.info(`Deleted report ${reportId}`);
+  return true;
+}
+
+/**
+ * Delete every report past its retention period
+ * @returns {Promise<number>} Number of reports cleaned up
+ */
+async function cleanupExpiredReports() {
+  const { data, error } = await supabase
+    .from('generated_reports')
+    .select('id')
+    .lt('expires_at', new Date().toISOString());
+
+  if (error) throw error;
+
+  let cleanedCount = 0;
+  for (const report of data || []) {
+    try {
+      if (await deleteReport(report.id)) cleanedCount++;
+    } catch (deleteError) {
+      log.error(`Error cleaning up report ${report.id}`, { error: deleteError });
+    }
+  }
+
+  if (cleanedCount > 0) {
+    log.info(`Cleaned up ${cleanedCount} expired report(s)`);
+  }
+
+  return cleanedCount;
+}
+
 module.exports = {
   generateReportId,
-  storeReport,
+  createReport,
+  completeReport,
+  failReport,
   getReport,
+  getReportFile,
+  listReports,
   deleteReport,
   cleanupExpiredReports,
-  getAllReports,
-  getStorageStats,
-  REPORT_EXPIRATION_MS,
+  toReportMetadata,
+  REPORT_RETENTION_DAYS,
 };
-
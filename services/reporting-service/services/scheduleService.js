@@ -0,0 +1,424 @@
+/**
+ * Schedule Service - Validation and persistence for report schedules and their run history
+ */
+const cron = require('node-cron');
+const { supabase } = require('../config/supabase');
+const { VALID_FORMATS } = require('./reportFormats');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'cron'];
+// 'custom' needs fixed dates, which a recurring schedule can't provide
+const SCHEDULE_RANGES = ['weekly', 'monthly', 'yearly', 'all'];
+const RECIPIENT_ROLES = ['super_admin', 'manager', 'employee'];
+const RECIPIENT_KEYS = ['users', 'roles', 'departmentManagers'];
+
+const RUNS_PAGE_SIZE_DEFAULT = 20;
+const RUNS_PAGE_SIZE_MAX = 100;
+
+// Postgres unique_violation (another instance already claimed the cron tick)
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Check whether a string is a valid IANA timezone
+ * @param {string} timezone - Timezone name
+ * @returns {boolean} True if valid
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Build the cron expression a schedule runs on
+ * @param {Object} schedule - report_schedules row
+ * @returns {string} Five-field cron expression
+ */
+function getCronExpression(schedule) {
+  if (schedule.frequency === 'cron') {
+    return schedule.cron_expression;
+  }
+
+  const [hour, minute] = (schedule.run_time || '02:00').split(':').map(Number);
+  switch (schedule.frequency) {
+    case 'daily':
+      return `${minute} ${hour} * * *`;
+    case 'weekly':
+      return `${minute} ${hour} * * ${schedule.day_of_week}`;
+    case 'monthly':
+      return `${minute} ${hour} ${schedule.day_of_month} * *`;
+    default:
+      throw new Error(`Unknown schedule frequency: ${schedule.frequency}`);
+  }
+}
+
+/**
+ * Validate and normalize a recipients object
+ * @param {*} recipients - { users, roles, departmentManagers }
+ * @param {Array<string>} errors - Collected validation errors
+ * @returns {Object} Normalized recipients
+ */
+function normalizeRecipients(recipients, errors) {
+  if (!recipients || typeof recipients !== 'object' || Array.isArray(recipients)) {
+    errors.push('"recipients" must be an object with users, roles and/or departmentManagers');
+    return {};
+  }
+
+  const normalized = {};
+  Object.keys(recipients).forEach(key => {
+    if (!RECIPIENT_KEYS.includes(key)) {
+      errors.push(`Unknown recipients field "${key}" (expected ${RECIPIENT_KEYS.join(', ')})`);
+    }
+  });
+
+  RECIPIENT_KEYS.forEach(key => {
+    const value = recipients[key];
+    if (value === undefined) return;
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item.trim())) {
+      errors.push(`"recipients.${key}" must be an array of non-empty strings`);
+      return;
+    }
+    normalized[key] = [...new Set(value.map(item => item.trim()))];
+  });
+
+  (normalized.roles || []).forEach(role => {
+    if (!RECIPIENT_ROLES.includes(role)) {
+      errors.push(`Invalid recipient role "${role}" (expected ${RECIPIENT_ROLES.join(', ')})`);
+    }
+  });
+
+  if (RECIPIENT_KEYS.every(key => !normalized[key] || normalized[key].length === 0)) {
+    errors.push('At least one recipient (user, role or department managers) is required');
+  }
+
+  return normalized;
+}
+
+/**
+ * Validate schedule input and convert it to a report_schedules row
+ * For updates, pass the existing row; the merged result is validated as a whole
+ * @param {Object} input - Request body (camelCase)
+ * @param {Object|null} existing - Existing row when updating
+ * @returns {{row: Object, errors: Array<string>}} Row fields to write and validation errors
+ */
+function validateSchedule(input = {}, existing = null) {
+  const errors = [];
+  const pick = (key, column, fallback) => {
+    if (input[key] !== undefined) return input[key];
+    if (existing) return existing[column];
+    return fallback;
+  };
+
+  const row = {
+    name: pick('name', 'name'),
+    frequency: pick('frequency', 'frequency'),
+    run_time: pick('runTime', 'run_time', '02:00'),
+    day_of_week: pick('dayOfWeek', 'day_of_week', null),
+    day_of_month: pick('dayOfMonth', 'day_of_month', null),
+    cron_expression: pick('cronExpression', 'cron_expression', null),
+    timezone: pick('timezone', 'timezone', 'UTC'),
+    range_type: pick('rangeType', 'range_type', 'monthly'),
+    format: pick('format', 'format', 'pdf'),
+    include_employees: pick('includeEmployees', 'include_employees', true),
+    recipients: pick('recipients', 'recipients'),
+    is_active: pick('isActive', 'is_active', true),
+  };
+
+  if (typeof row.name !== 'string' || !row.name.trim()) {
+    errors.push('"name" is required');
+  } else {
+    row.name = row.name.trim();
+  }
+
+  if (!FREQUENCIES.includes(row.frequency)) {
+    errors.push(`"frequency" must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+
+  if (row.frequency === 'cron') {
+    if (typeof row.cron_expression !== 'string' || !cron.validate(row.cron_expression)
+      || row.cron_expression.trim().split(/\s+/).length !== 5) {
+      errors.push('"cronExpression" must be a valid five-field cron expression (minute hour day month weekday)');
+    }
+  } else {
+    row.cron_expression = null;
+
+    if (typeof row.run_time !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(row.run_time)) {
+      errors.push('"runTime" must be in HH:MM format (24-hour)');
+    }
+  }
+
+  if (row.frequency === 'weekly') {
+    if (!Number.isInteger(row.day_of_week) || row.day_of_week < 0 || row.day_of_week > 6) {
+      errors.push('"dayOfWeek" must be an integer from 0 (Sunday) to 6 (Saturday) for weekly schedules');
+    }
+  } else {
+    row.day_of_week = null;
+  }
+
+  if (row.frequency === 'monthly') {
+    if (!Number.isInteger(row.day_of_month) || row.day_of_month < 1 || row.day_of_month > 28) {
+      errors.push('"dayOfMonth" must be an integer from 1 to 28 for monthly schedules');
+    }
+  } else {
+    row.day_of_month = null;
+  }
+
+  if (typeof row.timezone !== 'string' || !isValidTimezone(row.timezone)) {
+    errors.push('"timezone" must be a valid IANA timezone (e.g. UTC, Asia/Karachi)');
+  }
+
+  if (!SCHEDULE_RANGES.includes(row.range_type)) {
+    errors.push(`"rangeType" must be one of: ${SCHEDULE_RANGES.join(', ')}`);
+  }
+
+  if (!VALID_FORMATS.includes(row.format)) {
+    errors.push(`"format" must be one of: ${VALID_FORMATS.join(', ')}`);
+  }
+
+  if (typeof row.include_employees !== 'boolean') {
+    errors.push('"includeEmployees" must be true or false');
+  }
+
+  if (typeof row.is_active !== 'boolean') {
+    errors.push('"isActive" must be true or false');
+  }
+
+  row.recipients = normalizeRecipients(row.recipients, errors);
+
+  return { row, errors };
+}
+
+/**
+ * Convert a report_schedules row to the API representation
+ * @param {Object} row - report_schedules row
+ * @returns {Object} Schedule
+ */
+function toScheduleResponse(row) {
+  return {
+    scheduleId: row.id,
+    name: row.name,
+    frequency: row.frequency,
+    runTime: row.frequency === 'cron' ? null : row.run_time,
+    dayOfWeek: row.day_of_week,
+    dayOfMonth: row.day_of_month,
+    cronExpression: getCronExpression(row),
+    timezone: row.timezone,
+    rangeType: row.range_type,
+    format: row.format,
+    includeEmployees: row.include_employees,
+    recipients: row.recipients || {},
+    isActive: row.is_active,
+    createdBy: row.created_by,
+    lastRunAt: row.last_run_at,
+    lastRunStatus: row.last_run_status,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Convert a report_schedule_runs row to the API representation
+ * @param {Object} row - report_schedule_runs row
+ * @returns {Object} Run
+ */
+function toRunResponse(row) {
+  return {
+    runId: row.id,
+    scheduleId: row.schedule_id,
+    trigger: row.trigger,
+    triggeredBy: row.triggered_by,
+    scheduledFor: row.scheduled_for,
+    status: row.status,
+    reportId: row.report_id,
+    recipients: row.recipients || [],
+    error: row.error_message || null,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+  };
+}
+
+/**
+ * Get all schedules
+ * @param {Object} options - { activeOnly: boolean }
+ * @returns {Promise<Array>} report_schedules rows
+ */
+async function listSchedules({ activeOnly = false } = {}) {
+  let query = supabase
+    .from('report_schedules')
+    .select('*')
+    .order('created_at', { ascending: true });
+
+  if (activeOnly) query = query.eq('is_active', true);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Get a schedule by ID
+ * @param {string} scheduleId - Schedule ID
+ * @returns {Promise<Object|null>} report_schedules row or null
+ */
+async function getSchedule(scheduleId) {
+  const { data, error } = await supabase
+    .from('report_schedules')
+    .select('*')
+    .eq('id', scheduleId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Insert a schedule
+ * @param {Object} row - Validated row fields
+ * @returns {Promise<Object>} Inserted row
+ */
+async function createSchedule(row) {
+  const { data, error } = await supabase
+    .from('report_schedules')
+    .insert(row)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Update a schedule
+ * @param {string} scheduleId - Schedule ID
+ * @param {Object} row - Validated row fields
+ * @returns {Promise<Object>} Updated row
+ */
+async function updateSchedule(scheduleId, row) {
+  const { data, error } = await supabase
+    .from('report_schedules')
+    .update(row)
+    .eq('id', scheduleId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Delete a schedule (its run history is removed by ON DELETE CASCADE)
+ * @param {string} scheduleId - Schedule ID
+ */
+async function deleteSchedule(scheduleId) {
+  const { error } = await supabase
+    .from('report_schedules')
+    .delete()
+    .eq('id', scheduleId);
+
+  if (error) throw error;
+}
+
+/**
+ * Record the start of a schedule run
+ * Scheduled runs claim their cron tick; if another instance already did, null is returned
+ * @param {Object} run - { scheduleId, trigger, scheduledFor, triggeredBy }
+ * @returns {Promise<Object|null>} Inserted run row, or null if the tick was already claimed
+ */
+async function startRun({ scheduleId, trigger, scheduledFor = null, triggeredBy = null }) {
+  const { data, error } = await supabase
+    .from('report_schedule_runs')
+    .insert({
+      schedule_id: scheduleId,
+      trigger,
+      scheduled_for: scheduledFor ? scheduledFor.toISOString() : null,
+      triggered_by: triggeredBy,
+      status: 'running',
+    })
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === UNIQUE_VIOLATION) return null;
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * Record the outcome of a schedule run and update the schedule's last run fields
+ * @param {Object} run - report_schedule_runs row
+ * @param {Object} outcome - { status, reportId, recipients, errorMessage }
+ */
+async function finishRun(run, { status, reportId = null, recipients = [], errorMessage = null }) {
+  const finishedAt = new Date().toISOString();
+
+  const [runResult, scheduleResult] = await Promise.all([
+    supabase
+      .from('report_schedule_runs')
+      .update({
+        status,
+        report_id: reportId,
+        recipients,
+        error_message: errorMessage,
+        finished_at: finishedAt,
+      })
+      .eq('id', run.id),
+    supabase
+      .from('report_schedules')
+      .update({
+        last_run_at: finishedAt,
+        last_run_status: status,
+      })
+      .eq('id', run.schedule_id),
+  ]);
+
+  if (runResult.error) throw runResult.error;
+  if (scheduleResult.error) throw scheduleResult.error;
+}
+
+/**
+ * List a schedule's runs, newest first
+ * @param {string} scheduleId - Schedule ID
+ * @param {Object} options - { page, pageSize }
+ * @returns {Promise<{runs: Array, total: number, page: number, pageSize: number}>} Page of runs
+ */
+async function listScheduleRuns(scheduleId, { page = 1, pageSize = RUNS_PAGE_SIZE_DEFAULT } = {}) {
+  const size = Math.min(Math.max(parseInt(pageSize, 10) || RUNS_PAGE_SIZE_DEFAULT, 1), RUNS_PAGE_SIZE_MAX);
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+  const offset = (pageNumber - 1) * size;
+
+  const { data, error, count } = await supabase
+    .from('report_schedule_runs')
+    .select('*', { count: 'exact' })
+    .eq('schedule_id', scheduleId)
+    .order('started_at', { ascending: false })
+    .range(offset, offset + size - 1);
+
+  if (error) throw error;
+
+  return {
+    runs: (data || []).map(toRunResponse),
+    total: count || 0,
+    page: pageNumber,
+    pageSize: size,
+  };
+}
+
+module.exports = {
+  FREQUENCIES,
+  SCHEDULE_RANGES,
+  getCronExpression,
+  validateSchedule,
+  toScheduleResponse,
+  toRunResponse,
+  listSchedules,
+  getSchedule,
+  createSchedule,
+  updateSchedule,
+  deleteSchedule,
+  startRun,
+  finishRun,
+  listScheduleRuns,
+};
@@ -0,0 +1,147 @@
+/**
+ * Spreadsheet Generator - Renders report data as CSV or multi-sheet XLSX
+ * Both formats are built from the same section definitions so they always carry the same data
+ */
+const ExcelJS = require('exceljs');
+const { escapeCSVCell } = require('@attendance/shared/csv');
+
+const DEPARTMENT_COLUMNS = [
+  { header: 'Department', key: 'name', width: 24 },
+  { header: 'Employees', key: 'employees', width: 12 },
+  { header: 'Attendance Rate', key: 'attendanceRate', width: 16 },
+  { header: 'Leaves', key: 'leaves', width: 10 },
+  { header: 'Tickets', key: 'tickets', width: 10 },
+];
+
+const EMPLOYEE_COLUMNS = [
+  { header: 'Username', key: 'username', width: 18 },
+  { header: 'Name', key: 'name', width: 24 },
+  { header: 'Department', key: 'department', width: 18 },
+  { header: 'Position', key: 'position', width: 18 },
+  { header: 'Days Present', key: 'daysPresent', width: 13 },
+  { header: 'Days Absent', key: 'daysAbsent', width: 12 },
+  { header: 'Days On Leave', key: 'daysOnLeave', width: 14 },
+  { header: 'Late Arrivals', key: 'lateArrivals', width: 13 },
+  { header: 'Total Hours', key: 'totalHours', width: 12 },
+  { header: 'Average Check-In', key: 'averageCheckIn', width: 17 },
+];
+
+const LEAVE_COLUMNS = [
+  { header: 'Employee', key: 'employee', width: 24 },
+  { header: 'Department', key: 'department', width: 18 },
+  { header: 'Leave Type', key: 'leaveType', width: 14 },
+  { header: 'Start Date', key: 'startDate', width: 12 },
+  { header: 'End Date', key: 'endDate', width: 12 },
+  { header: 'Days', key: 'days', width: 8 },
+  { header: 'Status', key: 'status', width: 12 },
+  { header: 'Requested On', key: 'requestedAt', width: 14 },
+];
+
+const TICKET_COLUMNS = [
+  { header: 'Subject', key: 'subject', width: 36 },
+  { header: 'Category', key: 'category', width: 14 },
+  { header: 'Priority', key: 'priority', width: 10 },
+  { header: 'Status', key: 'status', width: 12 },
+  { header: 'Created By', key: 'createdBy', width: 24 },
+  { header: 'Department', key: 'department', width: 18 },
+  { header: 'Assigned To', key: 'assignedTo', width: 18 },
+  { header: 'Created On', key: 'createdAt', width: 12 },
+];
+
+/**
+ * Build the report sections shared by the CSV and XLSX outputs
+ * The Employees section is only present when the report includes the per-employee breakdown
+ * @param {Object} reportData - Formatted report data
+ * @returns {Array<{title: string, columns: Array, rows: Array}>} Sections in output order
+ */
+function buildSections(reportData) {
+  const { period, overall } = reportData;
+
+  const sections = [
+    {
+      title: 'Overall',
+      columns: [
+        { header: 'Metric', key: 'metric', width: 24 },
+        { header: 'Value', key: 'value', width: 28 },
+      ],
+      rows: [
+        { metric: 'Period', value: period.label },
+        { metric: 'From', value: period.from },
+        { metric: 'To', value: period.to },
+        { metric: 'Scope', value: reportData.scope?.label || 'All departments' },
+        { metric: 'Total Employees', value: overall.totalEmployees },
+        { metric: 'Attendance Rate', value: overall.attendanceRate },
+        { metric: 'Pending Leave Requests', value: overall.pendingLeaves },
+        { metric: 'Open Tickets', value: overall.openTickets },
+      ],
+    },
+    { title: 'Departments', columns: DEPARTMENT_COLUMNS, rows: reportData.departments || [] },
+  ];
+
+  if (reportData.employees) {
+    sections.push({ title: 'Employees', columns: EMPLOYEE_COLUMNS, rows: reportData.employees });
+  }
+
+  sections.push(
+    { title: 'Leaves', columns: LEAVE_COLUMNS, rows: reportData.leaves || [] },
+    { title: 'Tickets', columns: TICKET_COLUMNS, rows: reportData.tickets || [] }
+  );
+
+  return sections;
+}
+
+/**
+ * Generate CSV report from report data
+ * Each section is written as a title line, a header row and its data rows, separated by a blank line
+ * @param {Object} reportData - Formatted report data
+ * @returns {Promise<Buffer>} CSV buffer (UTF-8 with BOM so Excel detects the encoding)
+ */
+async function generateCSV(reportData) {
+  const lines = [];
+
+  buildSections(reportData).forEach((section, index) => {
+    if (index > 0) lines.push('');
+    lines.push(escapeCSVCell(section.title));
+    lines.push(section.columns.map(col => escapeCSVCell(col.header)).join(','));
+    section.rows.forEach(row => {
+      lines.push(section.columns.map(col => escapeCSVCell(row[col.key])).join(','));
+    });
+  });
+
+  return Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`, 'utf8');
+}
+
+/**
+ * Generate XLSX workbook from report data
+ * One worksheet per section: Overall, Departments, (Employees), Leaves, Tickets
+ * @param {Object} reportData - Formatted report data
+ * @returns {Promise<Buffer>} XLSX buffer
+ */
+async function generateXLSX(reportData) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Hadir.AI Reporting Service';
+  workbook.created = new Date();
+
+  buildSections(reportData).forEach(section => {
+    const sheet = workbook.addWorksheet(section.title, {
+      views: [{ state: 'frozen', ySplit: 1 }],
+    });
+    sheet.columns = section.columns;
+    sheet.getRow(1).font = { bold: true };
+    sheet.addRows(section.rows.map(row => {
+      const values = {};
+      section.columns.forEach(col => {
+        values[col.key] = row[col.key] ?? null;
+      });
+      return values;
+    }));
+  });
+
+  const buffer = await workbook.xlsx.writeBuffer();
+  return Buffer.from(buffer);
+}
+
+module.exports = {
+  generateCSV,
+  generateXLSX,
+};
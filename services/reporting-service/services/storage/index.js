@@ -0,0 +1,63 @@
+/**
+ * Report File Storage
+ * Selects the storage backend for generated report files
+ *
+ * Every backend implements:
+ *   put(key, buffer, contentType) - write a file
+ *   get(key)                      - read a file (Buffer)
+ *   remove(key)                   - delete a file (no error if missing)
+ *   exists(key)                   - check whether a file exists
+ *
+ * REPORT_STORAGE_BACKEND=local    - filesystem under REPORT_STORAGE_DIR (default)
+ * REPORT_STORAGE_BACKEND=supabase - Supabase Storage bucket REPORT_STORAGE_BUCKET
+ */
+const path = require('path');
+const { createLocalFileStorage } = require('./localFileStorage');
+const { logger } = require('@attendance/shared/logger');
+
+const log = logger.child({ component: 'ReportStorage' });
+
+const REPORT_STORAGE_BACKEND = process.env.REPORT_STORAGE_BACKEND || 'local';
+const REPORT_STORAGE_DIR = process.env.REPORT_STORAGE_DIR || path.join(__dirname, '../../storage/reports');
+const REPORT_STORAGE_BUCKET = process.env.REPORT_STORAGE_BUCKET || 'reports';
+
+let backend = null;
+
+/**
+ * Get the configured storage backend (created on first use)
+ * @returns {Object} Storage backend
+ */
+function getStorageBackend() {
+  if (backend) return backend;
+
+  switch (REPORT_STORAGE_BACKEND) {
+    case 'local':
+      backend = createLocalFileStorage({ rootDir: REPORT_STORAGE_DIR });
+      log.info(`Using local file storage at ${path.resolve(REPORT_STORAGE_DIR)}`);
+      break;
+    case 'supabase': {
+      const { createSupabaseStorage } = require('./supabaseStorage');
+      backend = createSupabaseStorage({ bucket: REPORT_STORAGE_BUCKET });
+      log.info(`Using Supabase Storage bucket "${REPORT_STORAGE_BUCKET}"`);
+      break;
+    }
+    default:
+      throw new Error(`Unknown REPORT_STORAGE_BACKEND "${REPORT_STORAGE_BACKEND}" (expected local or supabase)`);
+  }
+
+  return backend;
+}
+
+/**
+ * Replace the storage backend (used by test scripts to point at a temporary directory)
+ * @param {Object} storageBackend - Storage backend
+ */
+function setStorageBackend(storageBackend) {
+  backend = storageBackend;
+}
+
+module.exports = {
+  getStorageBackend,
+  setStorageBackend,
+  createLocalFileStorage,
+};
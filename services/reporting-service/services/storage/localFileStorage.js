@@ -0,0 +1,60 @@
+/**
+ * Local Filesystem Storage Backend
+ * Stores report files under a directory on this machine
+ * Suitable for development, tests and single-instance deployments with a persistent disk
+ */
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create a local filesystem storage backend
+ * @param {Object} options - { rootDir: string }
+ * @returns {Object} Storage backend ({ name, put, get, remove, exists })
+ */
+function createLocalFileStorage({ rootDir }) {
+  const root = path.resolve(rootDir);
+
+  /**
+   * Resolve a storage key to a path inside the root directory
+   * @param {string} key - Object key (e.g. 2026/01/<id>.pdf)
+   * @returns {string} Absolute file path
+   */
+  function resolveKey(key) {
+    const filePath = path.resolve(root, key);
+    if (filePath !== root && !filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    async get(key) {
+      return fs.promises.readFile(resolveKey(key));
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    },
+
+    async exists(key) {
+      try {
+        await fs.promises.access(resolveKey(key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+  };
+}
+
+module.exports = {
+  createLocalFileStorage,
+};
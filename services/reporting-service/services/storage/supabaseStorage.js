@@ -0,0 +1,50 @@
+/**
+ * Supabase Storage Backend
+ * Stores report files in a private Supabase Storage bucket shared by all service instances
+ */
+const path = require('path');
+const { supabase } = require('../../config/supabase');
+
+/**
+ * Create a Supabase Storage backend
+ * @param {Object} options - { bucket: string }
+ * @returns {Object} Storage backend ({ name, put, get, remove, exists })
+ */
+function createSupabaseStorage({ bucket }) {
+  const storage = () => supabase.storage.from(bucket);
+
+  return {
+    name: 'supabase',
+
+    async put(key, buffer, contentType) {
+      const { error } = await storage().upload(key, buffer, {
+        contentType,
+        upsert: true,
+      });
+      if (error) throw error;
+    },
+
+    async get(key) {
+      const { data, error } = await storage().download(key);
+      if (error) throw error;
+      return Buffer.from(await data.arrayBuffer());
+    },
+
+    async remove(key) {
+      const { error } = await storage().remove([key]);
+      if (error) throw error;
+    },
+
+    async exists(key) {
+      const dir = path.posix.dirname(key);
+      const name = path.posix.basename(key);
+      const { data, error } = await storage().list(dir === '.' ? '' : dir, { search: name });
+      if (error) throw error;
+      return data.some(object => object.name === name);
+    },
+  };
+}
+
+module.exports = {
+  createSupabaseStorage,
+};
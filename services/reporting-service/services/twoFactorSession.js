@@ -0,0 +1,68 @@
+/**
+ * Two-Factor Session Check
+ * Verifies the two-factor session token the Auth Service issues after a correct code. The gateway forwards it
+ * in the signed identity (tfa claim), so a password-only Supabase session can't reach reports for roles that
+ * must use two-factor authentication.
+ *
+ * TWO_FACTOR_SECRET:         same value as the Auth Service (unset: no role is required to use 2FA)
+ * TWO_FACTOR_REQUIRED_ROLES: same value as the Auth Service (default super_admin,manager; "none" for no one)
+ */
+const crypto = require('crypto');
+const { jwtVerify } = require('jose');
+require('dotenv').config();
+const { logger } = require('@attendance/shared/logger');
+
+const log = logger.child({ component: 'TwoFactorSession' });
+
+const TWO_FACTOR_SECRET = process.env.TWO_FACTOR_SECRET;
+const TWO_FACTOR_REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES || 'super_admin,manager')
+  .split(',')
+  .map(role => role.trim())
+  .filter(role => role && role !== 'none');
+
+// Must match the Auth Service's session token (services/twoFactor.js there)
+const TWO_FACTOR_SESSION_ISSUER = 'auth-service';
+const TWO_FACTOR_SESSION_AUDIENCE = 'two-factor-session';
+
+const sessionKey = TWO_FACTOR_SECRET
+  ? new Uint8Array(crypto.hkdfSync('sha256', TWO_FACTOR_SECRET, '', 'two-factor-session', 32))
+  : null;
+
+if (!TWO_FACTOR_SECRET) {
+  log.warn('TWO_FACTOR_SECRET not set. Report access only checks two-factor sessions of enrolled users, which will be refused.');
+}
+
+/**
+ * Check whether the org policy requires a role to use two-factor authentication
+ * @param {string} role - User role
+ * @returns {boolean} True when the role must enroll (never while TWO_FACTOR_SECRET is not set)
+ */
+function isTwoFactorRequired(role) {
+  return Boolean(TWO_FACTOR_SECRET) && TWO_FACTOR_REQUIRED_ROLES.includes(role);
+}
+
+/**
+ * Check a two-factor session token for a user
+ * @param {string|null} token - req.identity.twoFactorToken
+ * @param {string} userUid - User the request is authenticated as
+ * @returns {Promise<boolean>} True when the token is valid and was issued to this user
+ */
+async function verifyTwoFactorSession(token, userUid) {
+  if (!sessionKey || typeof token !== 'string') return false;
+  try {
+    const { payload } = await jwtVerify(token, sessionKey, {
+      algorithms: ['HS256'],
+      issuer: TWO_FACTOR_SESSION_ISSUER,
+      audience: TWO_FACTOR_SESSION_AUDIENCE,
+    });
+    return payload.sub === userUid;
+  } catch (error) {
+    log.warn('Rejected two-factor session', { error: { code: error.code, message: error.message } });
+    return false;
+  }
+}
+
+module.exports = {
+  isTwoFactorRequired,
+  verifyTwoFactorSession,
+};
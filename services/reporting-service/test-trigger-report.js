@@ -1,31 +1,52 @@
 /**
- * Test Script: Trigger Monthly Report Manually
- * 
+ * Test Script: Run a report schedule manually
+ *
  * Usage:
- *   node test-trigger-report.js
- * 
- * This script manually triggers the monthly report generation
- * for testing purposes without waiting for the cron job.
+ *   node test-trigger-report.js               # runs the seeded "Monthly Attendance Report" schedule
+ *   node test-trigger-report.js <scheduleId>  # runs a specific schedule
+ *
+ * This script runs a schedule immediately (recorded as a manual run in its history)
+ * for testing purposes without waiting for its cron time.
  */
 require('dotenv').config();
-const { triggerMonthlyReport } = require('./jobs/monthlyReportJob');
+const { startScheduleRun } = require('./jobs/reportScheduler');
+const { listSchedules, getSchedule } = require('./services/scheduleService');
+
+const DEFAULT_SCHEDULE_NAME = 'Monthly Attendance Report';
+
+async function findSchedule(scheduleId) {
+  if (scheduleId) {
+    return getSchedule(scheduleId);
+  }
+  const schedules = await listSchedules();
+  return schedules.find(schedule => schedule.name === DEFAULT_SCHEDULE_NAME) || null;
+}
 
 console.log('========================================');
-console.log('  Testing Monthly Report Generation');
+console.log('  Testing Scheduled Report Generation');
 console.log('========================================');
 console.log('');
 
 const timestamp = new Date().toISOString();
-console.log(`[${timestamp}] Starting manual report trigger...`);
+console.log(`[${timestamp}] Starting manual schedule run...`);
+
+findSchedule(process.argv[2])
+  .then(async (schedule) => {
+    if (!schedule) {
+      throw new Error(`Schedule not found: ${process.argv[2] || DEFAULT_SCHEDULE_NAME}`);
+    }
+    console.log(`[${timestamp}] Running "${schedule.name}" (${schedule.id})`);
 
-triggerMonthlyReport()
-  .then(() => {
-    console.log(`[${timestamp}] ✓ Report generation completed successfully`);
-    console.log('Check your email for the report.');
+    const { run, finished } = await startScheduleRun(schedule, { trigger: 'manual', triggeredBy: 'test-trigger-report' });
+    await finished;
+    return run;
+  })
+  .then((run) => {
+    console.log(`[${timestamp}] ✓ Schedule run ${run.id} finished`);
+    console.log('Check the run history and your email for the report.');
     process.exit(0);
   })
   .catch((error) => {
     console.error(`[${timestamp}] ✗ Report generation failed:`, error);
     process.exit(1);
   });
-
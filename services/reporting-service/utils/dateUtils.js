@@ -7,7 +7,8 @@
  * @param {string} range - 'weekly', 'monthly', 'yearly', 'all', or 'custom'
  * @param {string} from - Custom start date (ISO format) - optional
  * @param {string} to - Custom end date (ISO format) - optional
- * @returns {Object} { from: Date, to: Date }
+ * @returns {Object} { from: Date, to: Date, comparison: { from: Date, to: Date } | null }
+ *   comparison is the previous equivalent period (see getComparisonRange)
  */
 function getDateRange(range, from = null, to = null) {
   const now = new Date();
@@ -61,6 +62,47 @@ function getDateRange(range, from = null, to = null) {
       throw new Error(`Invalid range type: ${range}`);
   }
 
+  return { from: fromDate, to: toDate, comparison: getComparisonRange(range, fromDate, toDate) };
+}
+
+/**
+ * Get the previous equivalent period to compare a report against
+ * monthly/yearly: the calendar month/year before; weekly/custom: the same number of days immediately before
+ * @param {string} range - Report range type
+ * @param {Date} from - Start of the report period
+ * @param {Date} to - End of the report period
+ * @returns {Object|null} { from: Date, to: Date }, or null for 'all' (nothing before it)
+ */
+function getComparisonRange(range, from, to) {
+  let fromDate, toDate;
+
+  switch (range) {
+    case 'monthly':
+      fromDate = new Date(from.getFullYear(), from.getMonth() - 1, 1);
+      toDate = new Date(from.getFullYear(), from.getMonth(), 0);
+      break;
+
+    case 'yearly':
+      fromDate = new Date(from.getFullYear() - 1, 0, 1);
+      toDate = new Date(from.getFullYear() - 1, 11, 31);
+      break;
+
+    case 'weekly':
+    case 'custom': {
+      // Count calendar days so the window has the same length across DST changes
+      const days = Math.round((new Date(to.getFullYear(), to.getMonth(), to.getDate()) -
+        new Date(from.getFullYear(), from.getMonth(), from.getDate())) / (24 * 60 * 60 * 1000)) + 1;
+      toDate = new Date(from.getFullYear(), from.getMonth(), from.getDate() - 1);
+      fromDate = new Date(toDate.getFullYear(), toDate.getMonth(), toDate.getDate() - days + 1);
+      break;
+    }
+
+    default:
+      return null;
+  }
+
+  fromDate.setHours(0, 0, 0, 0);
+  toDate.setHours(23, 59, 59, 999);
   return { from: fromDate, to: toDate };
 }
 
@@ -112,6 +154,7 @@ function getPeriodLabel(range, from, to) {
 
 module.exports = {
   getDateRange,
+  getComparisonRange,
   formatDate,
   getMonthName,
   getPeriodLabel,
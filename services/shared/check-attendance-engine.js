@@ -0,0 +1,51 @@
+/**
+ * Check Script: Compare the mobile app's copy of the attendance engine with this one
+ *
+ * Usage:
+ *   node check-attendance-engine.js [mobileAppDir]   # default ../../apps/mobile
+ *
+ * The app bundles its own copy (utils/attendanceEngine.js) because it can't load this package. Reports and in-app
+ * analytics only agree while both files are identical, so this exits with 1 when they differ.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const MOBILE_DIR = path.resolve(process.argv[2] || path.join(__dirname, '..', '..', 'apps', 'mobile'));
+const ENGINE_PATH = path.join(__dirname, 'attendanceEngine.js');
+const MOBILE_ENGINE_PATH = path.join(MOBILE_DIR, 'utils', 'attendanceEngine.js');
+
+/**
+ * Find the first line where two sources differ
+ * @param {string} a - First source
+ * @param {string} b - Second source
+ * @returns {number} 1-based line number, or 0 when they are identical
+ */
+function findFirstDifference(a, b) {
+  if (a === b) return 0;
+  const linesA = a.split('\n');
+  const linesB = b.split('\n');
+  const index = linesA.findIndex((line, i) => line !== linesB[i]);
+  return (index === -1 ? linesA.length : index) + 1;
+}
+
+function main() {
+  if (!fs.existsSync(MOBILE_ENGINE_PATH)) {
+    console.error(`Mobile attendance engine not found: ${MOBILE_ENGINE_PATH}`);
+    process.exit(1);
+  }
+
+  const line = findFirstDifference(
+    fs.readFileSync(ENGINE_PATH, 'utf8'),
+    fs.readFileSync(MOBILE_ENGINE_PATH, 'utf8'),
+  );
+
+  if (line) {
+    console.error(`✗ ${path.relative(process.cwd(), MOBILE_ENGINE_PATH)} differs from attendanceEngine.js (first at line ${line})`);
+    console.error('  Copy the changed file over the other one so reports and the app compute the same figures.');
+    process.exit(1);
+  }
+
+  console.log('✓ The mobile attendance engine matches @attendance/shared/attendanceEngine');
+}
+
+main();
@@ -0,0 +1,27 @@
+/**
+ * CSV Cells
+ * Escaping used by every CSV the services produce (user exports, CSV reports)
+ */
+
+/**
+ * Escape a single CSV cell
+ * Text starting with a formula character is prefixed with ' so spreadsheet apps don't evaluate it
+ * @param {*} value - Cell value
+ * @returns {string} Escaped cell
+ */
+function escapeCSVCell(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+module.exports = {
+  escapeCSVCell,
+};
@@ -0,0 +1,110 @@
+/**
+ * Health Checks
+ * Liveness and readiness endpoints, mounted at /health next to each service's static GET /health:
+ *
+ *   GET /health/live  - The process is up and serving requests; never touches dependencies
+ *   GET /health/ready - Runs every dependency check in parallel, each with a timeout:
+ *                       200 "ok" when all pass, 200 "degraded" when only optional checks fail,
+ *                       503 "unavailable" when a required check fails
+ *
+ * The result of each check is also exported as health_check_up{check} (1 or 0) on /metrics.
+ *
+ * HEALTH_CHECK_TIMEOUT_MS: default timeout per check (default 3000)
+ */
+const { gauge } = require('./metrics');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'Health' });
+
+const HEALTH_CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS || '3000', 10);
+
+const checkUp = gauge('health_check_up', 'Result of the last readiness check (1 = passing)', ['check']);
+
+/**
+ * Run a check with a timeout
+ * @param {Function} check - async () => details (any object) or nothing
+ * @param {number} timeoutMs - Timeout
+ * @returns {Promise<Object>} { status: 'ok' | 'error', latencyMs, ...details } or { status, latencyMs, error }
+ */
+async function runCheck(check, timeoutMs) {
+  const start = Date.now();
+  let timer;
+  try {
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+    });
+    const details = await Promise.race([Promise.resolve().then(check), timeout]);
+    return { status: 'ok', latencyMs: Date.now() - start, ...(details || {}) };
+  } catch (error) {
+    return { status: 'error', latencyMs: Date.now() - start, error: error.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Create the /health router
+ * A plain middleware rather than express.Router(), so this package has no dependencies; mount it with app.use('/health', ...)
+ * @param {Object} checks - { name: { check: async () => details, optional: boolean, timeoutMs: number, cacheMs: number } }
+ *   optional checks only degrade readiness; cacheMs reuses a result (for checks that are expensive to run on every probe)
+ * @returns {Function} Express middleware
+ */
+function createHealthRouter(checks = {}) {
+  // name -> { result, at }
+  const cache = new Map();
+
+  /**
+   * Run one named check, using the cached result when it is fresh enough
+   * @param {string} name - Check name
+   * @param {Object} definition - checks entry
+   * @returns {Promise<Object>} Check result
+   */
+  async function evaluate(name, definition) {
+    const cached = cache.get(name);
+    if (cached && definition.cacheMs && Date.now() - cached.at < definition.cacheMs) {
+      return cached.result;
+    }
+
+    const result = await runCheck(definition.check, definition.timeoutMs || HEALTH_CHECK_TIMEOUT_MS);
+    if (definition.optional) result.optional = true;
+    cache.set(name, { result, at: Date.now() });
+    checkUp.set({ check: name }, result.status === 'ok' ? 1 : 0);
+    if (result.status !== 'ok') {
+      log.warn(`Readiness check "${name}" failed: ${result.error}`, { check: name, optional: !!definition.optional });
+    }
+    return result;
+  }
+
+  const live = (req, res) => {
+    res.status(200).json({
+      status: 'ok',
+      uptimeSeconds: Math.round(process.uptime()),
+      timestamp: new Date().toISOString(),
+    });
+  };
+
+  const ready = async (req, res) => {
+    const names = Object.keys(checks);
+    const results = await Promise.all(names.map(name => evaluate(name, checks[name])));
+
+    const failed = names.filter((name, i) => results[i].status !== 'ok');
+    const requiredFailed = failed.some(name => !checks[name].optional);
+    const status = requiredFailed ? 'unavailable' : failed.length > 0 ? 'degraded' : 'ok';
+
+    res.status(requiredFailed ? 503 : 200).json({
+      status,
+      checks: Object.fromEntries(names.map((name, i) => [name, results[i]])),
+      timestamp: new Date().toISOString(),
+    });
+  };
+
+  return (req, res, next) => {
+    if (req.method === 'GET' && req.path === '/live') return live(req, res);
+    if (req.method === 'GET' && req.path === '/ready') return ready(req, res).catch(next);
+    next();
+  };
+}
+
+module.exports = {
+  createHealthRouter,
+};
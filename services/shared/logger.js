@@ -0,0 +1,204 @@
+/**
+ * Structured Logger
+ * Writes one JSON line per event to stdout (stderr for errors):
+ *   {"time":"...","level":"info","service":"auth-service","requestId":"...","msg":"...", ...fields}
+ *
+ * Shared by every service through the @attendance/shared package; `service` is SERVICE_NAME or the name in the
+ * package.json of the service that was started.
+ * - requestLogger() gives each request an id (the incoming x-request-id, or a new UUID), echoes it in
+ *   the x-request-id response header and logs method, route, status and latency when the response ends
+ * - Anything logged while a request is being handled carries its requestId, including from services and jobs
+ * - Passwords, tokens, secrets and other credentials are replaced with [REDACTED]; email addresses are masked
+ *
+ * LOG_LEVEL: debug, info (default), warn or error
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Get the name of the service this process runs
+ * @returns {string} SERVICE_NAME, else the name in the nearest package.json above the started script
+ */
+function resolveServiceName() {
+  if (process.env.SERVICE_NAME) return process.env.SERVICE_NAME;
+
+  let dir = require.main ? path.dirname(require.main.filename) : process.cwd();
+  for (;;) {
+    const file = path.join(dir, 'package.json');
+    if (fs.existsSync(file)) {
+      try {
+        return JSON.parse(fs.readFileSync(file, 'utf8')).name || 'unknown';
+      } catch (error) {
+        return 'unknown';
+      }
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) return 'unknown';
+    dir = parent;
+  }
+}
+
+const SERVICE_NAME = resolveServiceName();
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[(process.env.LOG_LEVEL || '').toLowerCase()] || LEVELS.info;
+
+const REQUEST_ID_HEADER = 'x-request-id';
+// Incoming ids are echoed into logs and headers, so only accept plain tokens
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const SENSITIVE_KEY_PATTERN = /password|passwd|token|secret|authorization|cookie|api[-_]?key|otp|identity|service[-_]?role/i;
+const EMAIL_KEY_PATTERN = /email/i;
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+const MAX_DEPTH = 5;
+
+const requestContext = new AsyncLocalStorage();
+
+/**
+ * Mask the email addresses in a string (jane.doe@example.com -> j***@example.com)
+ * @param {string} text - Text to mask
+ * @returns {string} Masked text
+ */
+function maskEmails(text) {
+  return text.replace(EMAIL_PATTERN, '$1***@$2');
+}
+
+/**
+ * Serialize an Error for a log line
+ * @param {Error} error - Error to serialize
+ * @returns {Object} name, message, code/status when set, and the stack
+ */
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: maskEmails(String(error.message)),
+    ...(error.code !== undefined ? { code: error.code } : {}),
+    ...(error.status !== undefined ? { status: error.status } : {}),
+    ...(error.stack ? { stack: maskEmails(error.stack) } : {}),
+  };
+}
+
+/**
+ * Copy a value with credentials redacted and email addresses masked
+ * @param {*} value - Value to redact
+ * @param {number} depth - Current nesting depth
+ * @returns {*} Safe copy
+ */
+function redact(value, depth = 0) {
+  if (typeof value === 'string') return maskEmails(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (value instanceof Error) return serializeError(value);
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+  if (depth >= MAX_DEPTH) return '[Truncated]';
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  const copy = {};
+  Object.entries(value).forEach(([key, item]) => {
+    if (SENSITIVE_KEY_PATTERN.test(key) && item !== undefined && item !== null && item !== '') {
+      copy[key] = '[REDACTED]';
+    } else if (EMAIL_KEY_PATTERN.test(key) && typeof item === 'string') {
+      copy[key] = maskEmails(item);
+    } else {
+      copy[key] = redact(item, depth + 1);
+    }
+  });
+  return copy;
+}
+
+/**
+ * Get the id of the request being handled
+ * @returns {string|undefined} Request id, or undefined outside a request (startup, scheduled jobs)
+ */
+function getRequestId() {
+  return requestContext.getStore()?.requestId;
+}
+
+/**
+ * Write a log line
+ * @param {string} level - debug, info, warn or error
+ * @param {Object} bound - Fields of the logger (component, ...)
+ * @param {string} msg - Message
+ * @param {Object|Error} [fields] - Extra fields; an Error is logged under `error`
+ */
+function write(level, bound, msg, fields) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+
+  const extra = fields instanceof Error ? { error: fields } : fields;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    service: SERVICE_NAME,
+    ...(getRequestId() ? { requestId: getRequestId() } : {}),
+    ...redact({ ...bound, ...extra }),
+    msg: maskEmails(String(msg)),
+  };
+
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch (error) {
+    // Circular structures: keep the message rather than lose the line
+    line = JSON.stringify({ time: entry.time, level, service: SERVICE_NAME, requestId: entry.requestId, msg: entry.msg, logError: error.message });
+  }
+  (LEVELS[level] >= LEVELS.error ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+/**
+ * Create a logger
+ * @param {Object} [bound] - Fields added to every line (e.g. { component: 'Scheduler' })
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function, child: Function}}
+ *   Each level takes (msg, fields); child(fields) returns a logger with more bound fields
+ */
+function createLogger(bound = {}) {
+  return {
+    debug: (msg, fields) => write('debug', bound, msg, fields),
+    info: (msg, fields) => write('info', bound, msg, fields),
+    warn: (msg, fields) => write('warn', bound, msg, fields),
+    error: (msg, fields) => write('error', bound, msg, fields),
+    child: (fields) => createLogger({ ...bound, ...fields }),
+  };
+}
+
+const logger = createLogger();
+
+/**
+ * Request logging middleware: assigns req.id and logs the response
+ * Mount before the routes (and body parsers) so every request is covered.
+ * @returns {Function} Express middleware
+ */
+function requestLogger() {
+  return (req, res, next) => {
+    const incomingId = req.get(REQUEST_ID_HEADER);
+    req.id = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+    res.setHeader(REQUEST_ID_HEADER, req.id);
+
+    const start = process.hrtime.bigint();
+    res.on('finish', () => {
+      const status = res.statusCode;
+      const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+      requestContext.run({ requestId: req.id }, () => {
+        logger[level](`${req.method} ${req.originalUrl.split('?')[0]} ${status}`, {
+          method: req.method,
+          route: req.route ? `${req.baseUrl}${req.route.path}` : undefined,
+          status,
+          latencyMs: Number((Number(process.hrtime.bigint() - start) / 1e6).toFixed(1)),
+          ip: req.ip,
+          userAgent: req.get('user-agent'),
+        });
+      });
+    });
+
+    requestContext.run({ requestId: req.id }, next);
+  };
+}
+
+module.exports = {
+  logger,
+  requestLogger,
+  getRequestId,
+  redact,
+  REQUEST_ID_HEADER,
+};
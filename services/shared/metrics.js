@@ -0,0 +1,235 @@
+/**
+ * Prometheus Metrics
+ * A small in-process registry of counters, gauges and histograms, served in the Prometheus text format
+ * (version 0.0.4) at GET /metrics. Shared by every service through the @attendance/shared package.
+ *
+ * Every service exports:
+ *   http_requests_total{method,route,status}            - Requests handled
+ *   http_request_duration_seconds{method,route}          - Request latency (histogram)
+ *   process_* / nodejs_heap_*                            - Uptime and memory
+ * `route` is the Express route pattern (e.g. /api/reports/download/:reportId), or "unmatched" for 404s,
+ * so ids in paths don't create a series per request.
+ *
+ * METRICS_TOKEN: when set, /metrics requires `Authorization: Bearer <METRICS_TOKEN>`
+ */
+const crypto = require('crypto');
+
+// Seconds; covers fast JSON routes through slow report downloads
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+// name -> metric
+const registry = new Map();
+const startTime = Date.now();
+
+/**
+ * Escape a label value for the text format
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Format a label set
+ * @param {Object} labels - { name: value }
+ * @returns {string} {a="1",b="2"} or '' without labels
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * Register a metric, or return the existing one with the same name
+ * @param {string} type - counter | gauge | histogram
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {Array<string>} labelNames - Label names
+ * @returns {Object} Metric
+ */
+function register(type, name, help, labelNames) {
+  const existing = registry.get(name);
+  if (existing) {
+    if (existing.type !== type) throw new Error(`Metric ${name} is already registered as a ${existing.type}`);
+    return existing;
+  }
+  const metric = { type, name, help, labelNames, series: new Map() };
+  registry.set(name, metric);
+  return metric;
+}
+
+/**
+ * Get (creating it if needed) the series for a label set
+ * @param {Object} metric - Registered metric
+ * @param {Object} labels - Label values (missing ones become '')
+ * @param {Function} init - Creates the series state
+ * @returns {Object} Series state
+ */
+function getSeries(metric, labels = {}, init) {
+  const values = metric.labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name])));
+  const key = values.join('\u0000');
+  if (!metric.series.has(key)) {
+    const labelSet = Object.fromEntries(metric.labelNames.map((name, i) => [name, values[i]]));
+    metric.series.set(key, { labels: labelSet, ...init() });
+  }
+  return metric.series.get(key);
+}
+
+/**
+ * Create a counter
+ * @param {string} name - Metric name (should end in _total)
+ * @param {string} help - Description
+ * @param {Array<string>} [labelNames] - Label names
+ * @returns {{inc: Function}} inc(labels, value = 1)
+ */
+function counter(name, help, labelNames = []) {
+  const metric = register('counter', name, help, labelNames);
+  return {
+    inc: (labels, value = 1) => {
+      getSeries(metric, labels, () => ({ value: 0 })).value += value;
+    },
+  };
+}
+
+/**
+ * Create a gauge
+ * @param {string} name - Metric name
+ * @param {string} help - Description
+ * @param {Array<string>} [labelNames] - Label names
+ * @returns {{set: Function}} set(labels, value)
+ */
+function gauge(name, help, labelNames = []) {
+  const metric = register('gauge', name, help, labelNames);
+  return {
+    set: (labels, value) => {
+      getSeries(metric, labels, () => ({ value: 0 })).value = value;
+    },
+  };
+}
+
+/**
+ * Create a histogram
+ * @param {string} name - Metric name (should end in the unit, e.g. _seconds)
+ * @param {string} help - Description
+ * @param {Array<string>} [labelNames] - Label names
+ * @param {Array<number>} [buckets] - Upper bounds, ascending (+Inf is added)
+ * @returns {{observe: Function, startTimer: Function}} observe(labels, value);
+ *   startTimer(labels) returns end(moreLabels) which observes the elapsed seconds and returns them
+ */
+function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const metric = register('histogram', name, help, labelNames);
+  metric.buckets = buckets;
+
+  const observe = (labels, value) => {
+    const series = getSeries(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+    buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  };
+
+  return {
+    observe,
+    startTimer: (labels = {}) => {
+      const start = process.hrtime.bigint();
+      return (moreLabels = {}) => {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        observe({ ...labels, ...moreLabels }, seconds);
+        return seconds;
+      };
+    },
+  };
+}
+
+const processUptime = gauge('process_uptime_seconds', 'Seconds since the process started');
+const processStartTime = gauge('process_start_time_seconds', 'Start time of the process since the Unix epoch in seconds');
+const residentMemory = gauge('process_resident_memory_bytes', 'Resident memory size in bytes');
+const heapUsed = gauge('nodejs_heap_used_bytes', 'V8 heap used in bytes');
+const heapTotal = gauge('nodejs_heap_total_bytes', 'V8 heap size in bytes');
+
+/**
+ * Render every metric in the Prometheus text format
+ * @returns {string} Exposition text
+ */
+function render() {
+  const memory = process.memoryUsage();
+  processUptime.set({}, process.uptime());
+  processStartTime.set({}, Math.floor(startTime / 1000));
+  residentMemory.set({}, memory.rss);
+  heapUsed.set({}, memory.heapUsed);
+  heapTotal.set({}, memory.heapTotal);
+
+  const lines = [];
+  registry.forEach(metric => {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+    metric.series.forEach(series => {
+      if (metric.type !== 'histogram') {
+        lines.push(`${metric.name}${formatLabels(series.labels)} ${series.value}`);
+        return;
+      }
+      metric.buckets.forEach((bound, i) => {
+        lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[i]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${metric.name}_count${formatLabels(series.labels)} ${series.count}`);
+    });
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+const httpRequests = counter('http_requests_total', 'HTTP requests handled', ['method', 'route', 'status']);
+const httpDuration = histogram('http_request_duration_seconds', 'HTTP request latency in seconds', ['method', 'route']);
+
+/**
+ * Request metrics middleware: counts requests and observes their latency when the response ends
+ * @returns {Function} Express middleware
+ */
+function httpMetrics() {
+  return (req, res, next) => {
+    const end = httpDuration.startTimer();
+    res.on('finish', () => {
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+      end({ method: req.method, route });
+      httpRequests.inc({ method: req.method, route, status: res.statusCode });
+    });
+    next();
+  };
+}
+
+/**
+ * GET /metrics handler
+ * @returns {Function} Express handler
+ */
+function metricsHandler() {
+  const token = process.env.METRICS_TOKEN;
+  const expected = token ? Buffer.from(`Bearer ${token}`) : null;
+
+  return (req, res) => {
+    if (expected) {
+      const provided = Buffer.from(req.get('authorization') || '');
+      if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        return res.status(401).json({
+          success: false,
+          error: 'Unauthorized',
+          message: 'A valid metrics token is required',
+        });
+      }
+    }
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(render());
+  };
+}
+
+module.exports = {
+  counter,
+  gauge,
+  histogram,
+  render,
+  httpMetrics,
+  metricsHandler,
+};
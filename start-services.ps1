@@ -59,7 +59,7 @@ if (Test-Port -Port 3002) {
 # Check and install dependencies for API Gateway
 Write-Host ""
 Write-Host "Checking API Gateway dependencies..." -ForegroundColor Yellow
-if (-not (Test-Path "services\api-gateway\node_modules")) {
+if (-not (Test-Path "services\api-gateway\node_modules\@attendance\shared")) {
     Write-Host "Installing API Gateway dependencies..." -ForegroundColor Yellow
     Set-Location "services\api-gateway"
     npm install
@@ -75,7 +75,7 @@ if (-not (Test-Path "services\api-gateway\node_modules")) {
 
 # Check and install dependencies for Auth Service
 Write-Host "Checking Auth Service dependencies..." -ForegroundColor Yellow
-if (-not (Test-Path "services\auth-service\node_modules")) {
+if (-not (Test-Path "services\auth-service\node_modules\@attendance\shared")) {
     Write-Host "Installing Auth Service dependencies..." -ForegroundColor Yellow
     Set-Location "services\auth-service"
     npm install
@@ -91,7 +91,7 @@ if (-not (Test-Path "services\auth-service\node_modules")) {
 
 # Check and install dependencies for Reporting Service
 Write-Host "Checking Reporting Service dependencies..." -ForegroundColor Yellow
-if (-not (Test-Path "services\reporting-service\node_modules")) {
+if (-not (Test-Path "services\reporting-service\node_modules\@attendance\shared")) {
     Write-Host "Installing Reporting Service dependencies..." -ForegroundColor Yellow
     Set-Location "services\reporting-service"
     npm install
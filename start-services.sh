@@ -5,7 +5,7 @@
 # This script:
 # - Checks for required directories
 # - Verifies ports are available
-# - Installs dependencies if needed
+# - Installs dependencies if needed (also when the shared services/shared package is not linked yet)
 # - Starts API Gateway (port 3000)
 # - Starts Auth Service (port 3001)
 # - Starts Reporting Service (port 3002)
@@ -65,7 +65,7 @@ fi
 # Check and install dependencies for API Gateway
 echo ""
 echo "Checking API Gateway dependencies..."
-if [ ! -d "services/api-gateway/node_modules" ]; then
+if [ ! -e "services/api-gateway/node_modules/@attendance/shared" ]; then
     echo "Installing API Gateway dependencies..."
     cd services/api-gateway
     npm install
@@ -81,7 +81,7 @@ fi
 
 # Check and install dependencies for Auth Service
 echo "Checking Auth Service dependencies..."
-if [ ! -d "services/auth-service/node_modules" ]; then
+if [ ! -e "services/auth-service/node_modules/@attendance/shared" ]; then
     echo "Installing Auth Service dependencies..."
     cd services/auth-service
     npm install
@@ -97,7 +97,7 @@ fi
 
 # Check and install dependencies for Reporting Service
 echo "Checking Reporting Service dependencies..."
-if [ ! -d "services/reporting-service/node_modules" ]; then
+if [ ! -e "services/reporting-service/node_modules/@attendance/shared" ]; then
     echo "Installing Reporting Service dependencies..."
     cd services/reporting-service
     npm install